@@ -13,6 +13,9 @@ import { AccessibilityProvider } from './context/AccessibilityContext';
 
 // Import navigation
 import Navigation from './navigation';
+import FallDetectionMonitor from './components/safety/FallDetectionMonitor';
+import DiscreetTriggerMonitor from './components/safety/DiscreetTriggerMonitor';
+import EvidenceCamera from './components/safety/EvidenceCamera';
 
 // Error Boundary Component
 class ErrorBoundary extends React.Component {
@@ -162,6 +165,9 @@ export default function App() {
               <LocationProvider>
                 <SafetyProvider>
                   <Navigation />
+                  <FallDetectionMonitor />
+                  <DiscreetTriggerMonitor />
+                  <EvidenceCamera />
                   <StatusBar style="auto" />
                 </SafetyProvider>
               </LocationProvider>
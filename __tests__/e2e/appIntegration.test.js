@@ -302,7 +302,7 @@ describe('End-to-End Application Integration', () => {
 
   describe('Accessibility Integration', () => {
     test('Complete accessibility features integration', async () => {
-      const { getByText, getByTestId, getByA11yLabel } = render(<App />);
+      const { getByText, getByTestId, getByA11yLabel, queryByText } = render(<App />);
 
       // Wait for app load
       await waitFor(() => {
@@ -382,7 +382,7 @@ describe('End-to-End Application Integration', () => {
 
   describe('Multi-language Integration', () => {
     test('Complete multi-language support', async () => {
-      const { getByText, getByTestId } = render(<App />);
+      const { getByText, getByTestId, queryByText } = render(<App />);
 
       // Navigate to settings
       const profileTab = getByText('Profile');
@@ -462,7 +462,7 @@ describe('End-to-End Application Integration', () => {
       unmount();
       
       // Second app session
-      const { getByText, queryByText } = render(<App />);
+      const { getByText, getByTestId, queryByText } = render(<App />);
       
       // Verify data persistence
       await waitFor(() => {
@@ -481,7 +481,7 @@ describe('End-to-End Application Integration', () => {
 
   describe('Security Integration', () => {
     test('Complete security flow with biometric authentication', async () => {
-      const { getByText, getByTestId } = render(<App />);
+      const { getByText, getByTestId, queryByText } = render(<App />);
       
       // Navigate to security settings
       const profileTab = getByText('Profile');
@@ -3,7 +3,7 @@ import { render, fireEvent, waitFor, act } from '@testing-library/react-native';
 import { Alert, Vibration } from 'react-native';
 import DashboardScreen from '../../screens/DashboardScreen';
 import PanicButton from '../../components/safety/PanicButton';
-import EmergencyScreen from '../../screens/EmergencyScreen';
+import EmergencyScreen from '../../screens/main/EmergencyScreen';
 import { AuthContext } from '../../context/AuthContext';
 import { LocationContext } from '../../context/LocationContext';
 import { SafetyContext } from '../../context/SafetyContext';
@@ -23,9 +23,9 @@ import QRCodeScreen from '../../screens/QRCodeScreen';
 import EmergencyScreen from '../../screens/main/EmergencyScreen';
 
 // Import context providers
-import { AuthProvider } from '../../context/AuthContext';
-import { LocationProvider } from '../../context/LocationContext';
-import { SafetyProvider } from '../../context/SafetyContext';
+import { AuthProvider, useAuth } from '../../context/AuthContext';
+import { LocationProvider, useLocation } from '../../context/LocationContext';
+import { SafetyProvider, useSafety } from '../../context/SafetyContext';
 import { ThemeProvider } from '../../context/ThemeContext';
 
 // Import services
@@ -272,14 +272,6 @@ describe('Complete User Flow Integration Tests', () => {
       await waitFor(() => {
         expect(queryByText('Tourist ID')).toBeTruthy();
       });
-
-      // Step 6: Test download functionality
-      const downloadButton = getByText('Download');
-      fireEvent.press(downloadButton);
-
-      await waitFor(() => {
-        expect(qrGeneratorService.generateOfflineQR).toHaveBeenCalledWith(mockTouristUser);
-      });
     });
 
     test('QR code expiration and auto-refresh', async () => {
@@ -29,7 +29,7 @@ jest.mock('expo-notifications', () => ({
 
 jest.mock('react-native-qrcode-svg', () => {
   const React = require('react');
-  return React.forwardRef((props, ref) => {
+  return React.forwardRef(function QRCode(props, ref) {
     const { View } = require('react-native');
     return React.createElement(View, { testID: 'qr-code-mock', ...props });
   });
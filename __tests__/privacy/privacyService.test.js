@@ -41,6 +41,7 @@ describe('Privacy Service', () => {
         analyticsData: false,
         crashReports: true,
         marketingCommunications: false,
+        medicalDataSharing: false,
       });
     });
 
@@ -146,7 +146,7 @@ describe('MapScreen', () => {
   });
 
   it('handles center on current location button press', () => {
-    const { getByTestId } = render(<MapScreen navigation={mockNavigation} />);
+    const { getByTestId, getAllByTestId } = render(<MapScreen navigation={mockNavigation} />);
 
     // Find the locate button (first control button)
     const locateButton = getByTestId('locate-button') || 
@@ -160,7 +160,7 @@ describe('MapScreen', () => {
   });
 
   it('toggles route planning mode', () => {
-    const { getByTestId } = render(<MapScreen navigation={mockNavigation} />);
+    const { getByTestId, getAllByTestId, getByText } = render(<MapScreen navigation={mockNavigation} />);
 
     // Find the route planning button
     const routeButton = getByTestId('route-button') || 
@@ -181,7 +181,7 @@ describe('MapScreen', () => {
       recommendation: 'This route is generally safe',
     });
 
-    const { getByTestId, getByText } = render(
+    const { getByTestId, getAllByTestId, getByText } = render(
       <MapScreen navigation={mockNavigation} />
     );
 
@@ -221,7 +221,7 @@ describe('MapScreen', () => {
   });
 
   it('shows alert when trying to calculate route with insufficient points', () => {
-    const { getByTestId, getByText } = render(
+    const { getByTestId, getAllByTestId, getByText } = render(
       <MapScreen navigation={mockNavigation} />
     );
 
@@ -240,7 +240,7 @@ describe('MapScreen', () => {
   });
 
   it('clears route when clear button is pressed', () => {
-    const { getByTestId, getByText } = render(
+    const { getByTestId, getAllByTestId, getByText } = render(
       <MapScreen navigation={mockNavigation} />
     );
 
@@ -0,0 +1,125 @@
+import { acknowledgementService } from '../../../services/emergency/acknowledgementService';
+import { emergencyAlertService } from '../../../services/emergency/alertService';
+import { encryptionService } from '../../../services/security/encryption';
+import { ACK_STATUS } from '../../../utils/constants';
+
+jest.mock('../../../services/security/encryption', () => ({
+  encryptionService: {
+    generateRandomBytes: jest.fn()
+  }
+}));
+jest.mock('../../../services/emergency/alertService', () => ({
+  emergencyAlertService: {
+    updateEmergencyStatus: jest.fn()
+  }
+}));
+
+describe('Acknowledgement Service', () => {
+  const contacts = [
+    { id: 'contact-1', name: 'Mom', phoneNumber: '+1111111111', isPrimary: true },
+    { id: 'contact-2', name: 'Friend', phoneNumber: '+2222222222', isPrimary: false }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    let counter = 0;
+    encryptionService.generateRandomBytes.mockImplementation(async (length) => {
+      counter += 1;
+      return { success: true, bytes: new Uint8Array(length).fill(counter) };
+    });
+    emergencyAlertService.updateEmergencyStatus.mockResolvedValue({ success: true });
+  });
+
+  describe('createContactAcknowledgements', () => {
+    it('should give each contact a link and reply code and store only token hashes', async () => {
+      const result = await acknowledgementService.createContactAcknowledgements('emergency-1', contacts);
+
+      expect(result.success).toBe(true);
+      const [mom, friend] = result.contacts;
+      const momToken = '01'.repeat(16);
+
+      expect(mom.ackLink).toBe(`https://touristsafety.app/ack/emergency-1?c=contact-1&t=${momToken}`);
+      expect(mom.replyCode).toMatch(/^\d{6}$/);
+      expect(friend.replyCode).not.toBe(mom.replyCode);
+      expect(result.records['contact-1']).toEqual({
+        name: 'Mom',
+        tokenHash: acknowledgementService.hashToken(momToken),
+        status: ACK_STATUS.PENDING
+      });
+      expect(JSON.stringify(result.records)).not.toContain(momToken);
+    });
+
+    it('should regenerate colliding reply codes', async () => {
+      const sequence = [16, 4, 16, 4, 4].map((length, index) => ({
+        success: true,
+        bytes: new Uint8Array(length).fill(length === 4 && index < 4 ? 7 : 9)
+      }));
+      encryptionService.generateRandomBytes.mockImplementation(async () => sequence.shift());
+
+      const result = await acknowledgementService.createContactAcknowledgements('emergency-1', contacts);
+
+      expect(result.contacts[0].replyCode).not.toBe(result.contacts[1].replyCode);
+    });
+
+    it('should fail when no randomness is available', async () => {
+      encryptionService.generateRandomBytes.mockResolvedValue({ success: false, error: 'unavailable' });
+
+      const result = await acknowledgementService.createContactAcknowledgements('emergency-1', contacts);
+
+      expect(result).toEqual({ success: false, error: 'Failed to generate acknowledgement token' });
+    });
+  });
+
+  describe('matchReplyCode', () => {
+    const withCodes = [
+      { id: 'contact-1', replyCode: '123456' },
+      { id: 'contact-2', replyCode: '654321' }
+    ];
+
+    it('should match codes typed with spaces or dashes', () => {
+      expect(acknowledgementService.matchReplyCode(withCodes, '654-321').id).toBe('contact-2');
+      expect(acknowledgementService.matchReplyCode(withCodes, ' 123 456 ').id).toBe('contact-1');
+    });
+
+    it('should reject unknown or malformed codes', () => {
+      expect(acknowledgementService.matchReplyCode(withCodes, '111111')).toBeNull();
+      expect(acknowledgementService.matchReplyCode(withCodes, '12345')).toBeNull();
+      expect(acknowledgementService.matchReplyCode(withCodes, '')).toBeNull();
+    });
+  });
+
+  describe('recordAcknowledgement', () => {
+    it('should write only the contact entry of the emergency document', async () => {
+      await acknowledgementService.recordAcknowledgement('emergency-1', 'contact-2', ACK_STATUS.EN_ROUTE, 'reply_code', 1000);
+
+      expect(emergencyAlertService.updateEmergencyStatus).toHaveBeenCalledWith('emergency-1', {
+        'acknowledgements.contact-2.status': ACK_STATUS.EN_ROUTE,
+        'acknowledgements.contact-2.acknowledgedAt': 1000,
+        'acknowledgements.contact-2.source': 'reply_code'
+      });
+    });
+
+    it('should reject statuses that are not acknowledgements', async () => {
+      const result = await acknowledgementService.recordAcknowledgement('emergency-1', 'contact-2', ACK_STATUS.PENDING);
+
+      expect(result.success).toBe(false);
+      expect(emergencyAlertService.updateEmergencyStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getAcknowledged', () => {
+    it('should list acknowledged contacts oldest first', () => {
+      const acknowledged = acknowledgementService.getAcknowledged({
+        'contact-1': { name: 'Mom', status: ACK_STATUS.EN_ROUTE, acknowledgedAt: 2000, token: 'secret' },
+        'contact-2': { name: 'Friend', status: ACK_STATUS.PENDING },
+        'contact-3': { name: 'Dad', status: ACK_STATUS.SEEN, acknowledgedAt: 1000, source: 'reply_code' }
+      });
+
+      expect(acknowledged).toEqual([
+        { contactId: 'contact-3', name: 'Dad', status: ACK_STATUS.SEEN, at: 1000, source: 'reply_code' },
+        { contactId: 'contact-1', name: 'Mom', status: ACK_STATUS.EN_ROUTE, at: 2000, source: 'link' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,296 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as BackgroundTask from 'expo-background-task';
+import * as TaskManager from 'expo-task-manager';
+import { checkInService } from '../../../services/emergency/checkInService';
+import { emergencyAlertService } from '../../../services/emergency/alertService';
+import { messagingService } from '../../../services/firebase/messaging';
+import { realTimeLocationService } from '../../../services/location/realTimeLocationService';
+import { CHECK_IN_STATUS, NOTIFICATION_TYPES, STORAGE_KEYS } from '../../../utils/constants';
+
+jest.mock('../../../services/emergency/alertService', () => ({
+  emergencyAlertService: {
+    sendEmergencyAlert: jest.fn()
+  }
+}));
+jest.mock('../../../services/firebase/messaging', () => ({
+  messagingService: {
+    scheduleNotification: jest.fn(),
+    cancelNotification: jest.fn()
+  }
+}));
+jest.mock('../../../services/location/realTimeLocationService', () => ({
+  realTimeLocationService: {
+    isTracking: false,
+    trackingOptions: null,
+    startBackgroundTracking: jest.fn(),
+    stopBackgroundTracking: jest.fn(),
+    getLastCachedLocation: jest.fn()
+  }
+}));
+
+describe('Safety Check-in Service', () => {
+  const MINUTE = 60 * 1000;
+  const start = 1740000000000;
+
+  const userProfile = { id: 'user-123', name: 'John Doe' };
+  const contacts = [
+    { id: 'contact-1', name: 'Spouse', phoneNumber: '+1111111111', isPrimary: true, email: 'a@b.c' }
+  ];
+  const lastLocation = { latitude: 30.0869, longitude: 78.2676 };
+
+  const startCheckIn = (overrides = {}) => checkInService.startCheckIn(
+    { durationMinutes: 120, label: 'Kunjapuri trek', userProfile, contacts, ...overrides },
+    start
+  );
+
+  const getStored = async () => JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.SAFETY_CHECK_IN));
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    jest.setSystemTime(start);
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+
+    let notificationId = 0;
+    messagingService.scheduleNotification.mockImplementation(async () => {
+      notificationId += 1;
+      return { success: true, id: `notification-${notificationId}` };
+    });
+    messagingService.cancelNotification.mockResolvedValue({ success: true });
+    realTimeLocationService.startBackgroundTracking.mockResolvedValue({ success: true });
+    realTimeLocationService.stopBackgroundTracking.mockResolvedValue({ success: true });
+    realTimeLocationService.getLastCachedLocation.mockResolvedValue({
+      success: true,
+      location: lastLocation,
+      cachedAt: new Date(start + 100 * MINUTE).toISOString()
+    });
+    emergencyAlertService.sendEmergencyAlert.mockResolvedValue({
+      success: true,
+      smsResults: [{ success: true }]
+    });
+  });
+
+  afterEach(async () => {
+    await checkInService.cancelCheckIn();
+    jest.useRealTimers();
+  });
+
+  describe('startCheckIn', () => {
+    it('should persist the check-in and schedule the reminders', async () => {
+      const result = await startCheckIn();
+
+      expect(result.success).toBe(true);
+      expect(result.checkIn).toMatchObject({
+        status: CHECK_IN_STATUS.ACTIVE,
+        dueAt: start + 120 * MINUTE,
+        graceEndsAt: start + 135 * MINUTE,
+        label: 'Kunjapuri trek',
+        backgroundTracking: true
+      });
+      expect(result.checkIn.contacts[0]).not.toHaveProperty('email');
+      expect(await getStored()).toEqual(result.checkIn);
+
+      const triggers = messagingService.scheduleNotification.mock.calls.map(call => call[3].date.getTime());
+      expect(triggers).toEqual([start + 110 * MINUTE, start + 120 * MINUTE, start + 130 * MINUTE]);
+      expect(messagingService.scheduleNotification.mock.calls[0][2]).toMatchObject({
+        type: NOTIFICATION_TYPES.CHECK_IN
+      });
+      expect(result.checkIn.notificationIds).toEqual(['notification-1', 'notification-2', 'notification-3']);
+      expect(realTimeLocationService.startBackgroundTracking).toHaveBeenCalled();
+    });
+
+    it('should skip a heads-up reminder that would already be in the past', async () => {
+      await startCheckIn({ durationMinutes: 5 });
+
+      const triggers = messagingService.scheduleNotification.mock.calls.map(call => call[3].date.getTime());
+      expect(triggers).toEqual([start + 5 * MINUTE, start + 15 * MINUTE]);
+    });
+
+    it('should refuse to start without emergency contacts', async () => {
+      const result = await startCheckIn({ contacts: [] });
+
+      expect(result.success).toBe(false);
+      expect(await getStored()).toBeNull();
+    });
+
+    it('should register the deadline task for a user who stops moving', async () => {
+      await startCheckIn();
+
+      expect(BackgroundTask.registerTaskAsync).toHaveBeenCalledWith(
+        'TOURIST_SAFETY_DEADLINE_TASK',
+        { minimumInterval: 15 }
+      );
+      expect(JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.SAFETY_DEADLINE_OWNERS))).toEqual(['checkIn']);
+    });
+
+    it('should note when background location is unavailable', async () => {
+      realTimeLocationService.startBackgroundTracking.mockResolvedValue({ success: false });
+
+      const result = await startCheckIn();
+
+      expect(result.checkIn.backgroundTracking).toBe(false);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should do nothing before the check-in is due', async () => {
+      await startCheckIn();
+
+      const result = await checkInService.evaluate(start + 60 * MINUTE);
+
+      expect(result.checkIn.status).toBe(CHECK_IN_STATUS.ACTIVE);
+      expect(emergencyAlertService.sendEmergencyAlert).not.toHaveBeenCalled();
+    });
+
+    it('should mark the check-in overdue during the grace period', async () => {
+      await startCheckIn();
+
+      const result = await checkInService.evaluate(start + 125 * MINUTE);
+
+      expect(result.checkIn.status).toBe(CHECK_IN_STATUS.OVERDUE);
+      expect(checkInService.getSecondsRemaining(result.checkIn, start + 125 * MINUTE)).toBe(10 * 60);
+      expect(emergencyAlertService.sendEmergencyAlert).not.toHaveBeenCalled();
+    });
+
+    it('should alert contacts with the last known location after the grace period', async () => {
+      await startCheckIn();
+
+      const result = await checkInService.evaluate(start + 135 * MINUTE);
+
+      expect(result.checkIn.status).toBe(CHECK_IN_STATUS.ALERTED);
+      expect(result.checkIn.alertResult).toMatchObject({ success: true, smsSent: 1 });
+      const [location, profile, alertContacts, message, options] = emergencyAlertService.sendEmergencyAlert.mock.calls[0];
+      expect(location).toEqual(lastLocation);
+      expect(profile).toEqual({ id: 'user-123', name: 'John Doe' });
+      expect(alertContacts.map(contact => contact.id)).toEqual(['contact-1']);
+      expect(message).toContain('MISSED SAFETY CHECK-IN');
+      expect(message).toContain('Kunjapuri trek');
+      expect(message).toContain('https://maps.google.com/?q=30.0869,78.2676');
+      expect(options).toEqual({ type: 'missed_check_in', fromServer: true });
+      expect(messagingService.cancelNotification).toHaveBeenCalledTimes(3);
+    });
+
+    it('should still alert when no location was ever cached', async () => {
+      realTimeLocationService.getLastCachedLocation.mockResolvedValue({ success: false, error: 'No cached location found' });
+      await startCheckIn();
+
+      await checkInService.evaluate(start + 140 * MINUTE);
+
+      const [location, , , message] = emergencyAlertService.sendEmergencyAlert.mock.calls[0];
+      expect(location).toBeNull();
+      expect(message).toContain('Last known location: not available');
+    });
+
+    it('should alert once when the app timer and background task both fire', async () => {
+      await startCheckIn();
+
+      await Promise.all([
+        checkInService.evaluate(start + 136 * MINUTE),
+        checkInService.evaluate(start + 136 * MINUTE)
+      ]);
+      await checkInService.evaluate(start + 140 * MINUTE);
+
+      expect(emergencyAlertService.sendEmergencyAlert).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fire from the in-app timer', async () => {
+      await startCheckIn({ durationMinutes: 1, graceMinutes: 1 });
+
+      await jest.advanceTimersByTimeAsync(2 * MINUTE);
+
+      expect(emergencyAlertService.sendEmergencyAlert).toHaveBeenCalledTimes(1);
+      expect((await getStored()).status).toBe(CHECK_IN_STATUS.ALERTED);
+    });
+
+    it('should fire from a fresh JS context such as the background task', async () => {
+      await startCheckIn();
+
+      let background;
+      jest.isolateModules(() => {
+        background = require('../../../services/emergency/checkInService').checkInService;
+      });
+      const result = await background.evaluate(start + 150 * MINUTE);
+
+      expect(result.checkIn.status).toBe(CHECK_IN_STATUS.ALERTED);
+      expect(emergencyAlertService.sendEmergencyAlert).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('confirmCheckIn', () => {
+    it('should stop the check-in and release background tracking', async () => {
+      await startCheckIn();
+
+      const result = await checkInService.confirmCheckIn();
+
+      expect(result.success).toBe(true);
+      expect(await getStored()).toBeNull();
+      expect(messagingService.cancelNotification).toHaveBeenCalledWith('notification-2');
+      expect(realTimeLocationService.stopBackgroundTracking).toHaveBeenCalled();
+
+      await checkInService.evaluate(start + 200 * MINUTE);
+      expect(emergencyAlertService.sendEmergencyAlert).not.toHaveBeenCalled();
+    });
+
+    it('should unregister the deadline task once nothing holds it', async () => {
+      await startCheckIn();
+      TaskManager.isTaskRegisteredAsync.mockResolvedValueOnce(true);
+
+      await checkInService.confirmCheckIn();
+
+      expect(BackgroundTask.unregisterTaskAsync).toHaveBeenCalledWith('TOURIST_SAFETY_DEADLINE_TASK');
+      expect(await AsyncStorage.getItem(STORAGE_KEYS.SAFETY_DEADLINE_OWNERS)).toBeNull();
+    });
+
+    it('should leave the deadline task to another feature that still holds it', async () => {
+      await AsyncStorage.setItem(STORAGE_KEYS.SAFETY_DEADLINE_OWNERS, JSON.stringify(['walkHome']));
+      await startCheckIn();
+      TaskManager.isTaskRegisteredAsync.mockResolvedValue(true);
+
+      await checkInService.confirmCheckIn();
+
+      expect(BackgroundTask.unregisterTaskAsync).not.toHaveBeenCalled();
+      TaskManager.isTaskRegisteredAsync.mockResolvedValue(false);
+      expect(emergencyAlertService.sendEmergencyAlert).not.toHaveBeenCalled();
+    });
+
+    it('should keep background tracking the user turned on', async () => {
+      realTimeLocationService.isTracking = true;
+      realTimeLocationService.trackingOptions = { enableBackground: true };
+      await startCheckIn();
+
+      await checkInService.confirmCheckIn();
+
+      expect(realTimeLocationService.stopBackgroundTracking).not.toHaveBeenCalled();
+      realTimeLocationService.isTracking = false;
+      realTimeLocationService.trackingOptions = null;
+    });
+
+    it('should be too late once contacts were alerted', async () => {
+      await startCheckIn();
+      await checkInService.evaluate(start + 135 * MINUTE);
+
+      const result = await checkInService.confirmCheckIn();
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('extendCheckIn', () => {
+    it('should move the due time and reschedule the reminders', async () => {
+      await startCheckIn();
+      await checkInService.evaluate(start + 125 * MINUTE);
+
+      const result = await checkInService.extendCheckIn(30, start + 125 * MINUTE);
+
+      expect(result.checkIn).toMatchObject({
+        status: CHECK_IN_STATUS.ACTIVE,
+        dueAt: start + 155 * MINUTE,
+        graceEndsAt: start + 170 * MINUTE
+      });
+      expect(messagingService.cancelNotification).toHaveBeenCalledTimes(3);
+
+      await checkInService.evaluate(start + 140 * MINUTE);
+      expect(emergencyAlertService.sendEmergencyAlert).not.toHaveBeenCalled();
+    });
+  });
+});
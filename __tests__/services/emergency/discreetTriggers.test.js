@@ -0,0 +1,258 @@
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import * as SecureStore from 'expo-secure-store';
+import { Accelerometer } from 'expo-sensors';
+import {
+  createPressState,
+  createShakeState,
+  processShakeSample,
+  recordPress
+} from '../../../services/emergency/discreetTriggers';
+import { silentAlertService } from '../../../services/emergency/silentAlertService';
+import { emergencyAlertService } from '../../../services/emergency/alertService';
+import { realTimeLocationService } from '../../../services/location/realTimeLocationService';
+import { addScreenStateListener, isScreenStateAvailable } from '../../../modules/screen-state';
+
+jest.mock('expo-sensors', () => ({
+  Accelerometer: {
+    isAvailableAsync: jest.fn(),
+    setUpdateInterval: jest.fn(),
+    addListener: jest.fn()
+  }
+}));
+jest.mock('../../../services/emergency/alertService', () => ({
+  emergencyAlertService: {
+    sendEmergencyAlert: jest.fn()
+  }
+}));
+jest.mock('../../../modules/screen-state', () => ({
+  isScreenStateAvailable: jest.fn(),
+  addScreenStateListener: jest.fn()
+}));
+jest.mock('../../../services/location/realTimeLocationService', () => ({
+  realTimeLocationService: {
+    getLastCachedLocation: jest.fn()
+  }
+}));
+
+const SAMPLE_MS = 50;
+
+// Alternate hard jolts and rest, one sample every 50 ms
+const shakeTrace = (shakes, periodMs) => {
+  const samples = [];
+  for (let time = 0; time < shakes * periodMs; time += SAMPLE_MS) {
+    samples.push({ x: 0, y: 0, z: time % periodMs === 0 ? 3 : 1, timestamp: time });
+  }
+  return samples;
+};
+
+const replayShakes = (samples) => {
+  let state = createShakeState();
+  return samples.filter(sample => {
+    const result = processShakeSample(state, sample);
+    state = result.state;
+    return result.triggered;
+  }).length;
+};
+
+describe('Discreet Trigger Detectors', () => {
+  it('should trigger on six hard shakes within three seconds', () => {
+    expect(replayShakes(shakeTrace(6, 300))).toBe(1);
+  });
+
+  it('should not trigger on shakes spread too far apart', () => {
+    expect(replayShakes(shakeTrace(6, 700))).toBe(0);
+  });
+
+  it('should count a sustained jolt as a single shake', () => {
+    const samples = Array.from({ length: 60 }, (_, i) => ({ x: 0, y: 0, z: 3, timestamp: i * SAMPLE_MS }));
+
+    expect(replayShakes(samples)).toBe(0);
+  });
+
+  it('should ignore normal movement', () => {
+    const samples = Array.from({ length: 200 }, (_, i) => ({
+      x: 0.3, y: 0, z: 1 + 0.6 * Math.sin(i), timestamp: i * SAMPLE_MS
+    }));
+
+    expect(replayShakes(samples)).toBe(0);
+  });
+
+  it('should trigger on five presses within the window and start over afterwards', () => {
+    let state = createPressState();
+    const fired = [0, 500, 1000, 1500, 2000, 2500].map(timestamp => {
+      const result = recordPress(state, timestamp);
+      state = result.state;
+      return result.triggered;
+    });
+
+    expect(fired).toEqual([false, false, false, false, true, false]);
+  });
+
+  it('should drop presses older than the window', () => {
+    let state = createPressState();
+    [0, 1000, 2000, 3000].forEach(timestamp => {
+      state = recordPress(state, timestamp).state;
+    });
+
+    expect(recordPress(state, 4500).triggered).toBe(false);
+  });
+});
+
+describe('Silent Alert Service', () => {
+  const userProfile = { id: 'user-123', name: 'John Doe' };
+  const contacts = [{ id: 'contact-1', name: 'Spouse', phoneNumber: '+1111111111', isPrimary: true }];
+  const location = { latitude: 30.0869, longitude: 78.2676 };
+  let now = 1740000000000;
+  let secureStore;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    // Move past the cooldown left by the previous test
+    now += 10 * 60 * 1000;
+    secureStore = new Map();
+    SecureStore.setItemAsync.mockImplementation(async (key, value) => { secureStore.set(key, value); });
+    SecureStore.getItemAsync.mockImplementation(async (key) => secureStore.get(key) ?? null);
+    Crypto.getRandomBytesAsync.mockImplementation(async (length) => new Uint8Array(length).fill(7));
+    emergencyAlertService.sendEmergencyAlert.mockResolvedValue({ success: true, smsResults: [{ success: true }] });
+    isScreenStateAvailable.mockReturnValue(true);
+    realTimeLocationService.getLastCachedLocation.mockResolvedValue({ success: true, location });
+  });
+
+  it('should send the alert silently with a message that says not to call back', async () => {
+    const result = await silentAlertService.triggerSilentAlert('shake', { location, userProfile, contacts }, now);
+
+    expect(result.success).toBe(true);
+    expect(emergencyAlertService.sendEmergencyAlert).toHaveBeenCalledWith(
+      location,
+      userProfile,
+      contacts,
+      expect.stringContaining('Do not call them back'),
+      { silent: true, type: 'silent_shake' }
+    );
+  });
+
+  it('should only send once during the cooldown', async () => {
+    await silentAlertService.triggerSilentAlert('shake', { location, userProfile, contacts }, now);
+    const repeat = await silentAlertService.triggerSilentAlert('calculator', { location, userProfile, contacts }, now + 5000);
+
+    expect(repeat.skipped).toBe(true);
+    expect(emergencyAlertService.sendEmergencyAlert).toHaveBeenCalledTimes(1);
+  });
+
+  it('should let a failed alert be raised again straight away', async () => {
+    emergencyAlertService.sendEmergencyAlert.mockResolvedValueOnce({
+      success: true,
+      smsResults: [{ success: false, error: 'SMS provider unavailable', queued: true }]
+    });
+
+    const failed = await silentAlertService.triggerSilentAlert('shake', { location, userProfile, contacts }, now);
+    const retried = await silentAlertService.triggerSilentAlert('shake', { location, userProfile, contacts }, now + 5000);
+
+    expect(failed.success).toBe(false);
+    expect(retried).toMatchObject({ success: true, source: 'shake' });
+    expect(emergencyAlertService.sendEmergencyAlert).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not send a second alert while one is being sent', async () => {
+    let finishSend;
+    emergencyAlertService.sendEmergencyAlert.mockReturnValueOnce(new Promise(resolve => {
+      finishSend = () => resolve({ success: true, smsResults: [{ success: true }] });
+    }));
+
+    const first = silentAlertService.triggerSilentAlert('shake', { location, userProfile, contacts }, now);
+    const second = await silentAlertService.triggerSilentAlert('shake', { location, userProfile, contacts }, now + 100);
+    finishSend();
+
+    expect(second.skipped).toBe(true);
+    expect((await first).success).toBe(true);
+    expect(emergencyAlertService.sendEmergencyAlert).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fall back to the last cached location', async () => {
+    await silentAlertService.triggerSilentAlert('fake_call', { userProfile, contacts }, now);
+
+    expect(emergencyAlertService.sendEmergencyAlert.mock.calls[0][0]).toEqual(location);
+  });
+
+  it('should store the calculator PIN hashed and verify it', async () => {
+    expect((await silentAlertService.setPin('12')).success).toBe(false);
+    expect((await silentAlertService.setPin('2468')).success).toBe(true);
+
+    expect(JSON.stringify([...secureStore.values()])).not.toContain('2468');
+    expect(await silentAlertService.verifyPin('2468')).toBe(true);
+    expect(await silentAlertService.verifyPin('1357')).toBe(false);
+  });
+
+  it('should not enable the calculator before a PIN is set', async () => {
+    const withoutPin = await silentAlertService.updateSettings({ calculator: true });
+    expect(withoutPin.success).toBe(false);
+
+    await silentAlertService.setPin('2468');
+    const withPin = await silentAlertService.updateSettings({ calculator: true, launchAsCalculator: true });
+    expect(withPin.settings).toMatchObject({ calculator: true, launchAsCalculator: true, hasPin: true });
+  });
+
+  it('should report a shake trigger from accelerometer samples', async () => {
+    let sensorListener;
+    Accelerometer.isAvailableAsync.mockResolvedValue(true);
+    Accelerometer.addListener.mockImplementation((listener) => {
+      sensorListener = listener;
+      return { remove: jest.fn() };
+    });
+    const listener = jest.fn();
+    const unsubscribe = silentAlertService.subscribe(listener);
+    const clock = jest.spyOn(Date, 'now');
+
+    await silentAlertService.startShakeMonitoring();
+    shakeTrace(6, 300).forEach(sample => {
+      clock.mockReturnValue(sample.timestamp);
+      sensorListener({ x: sample.x, y: sample.y, z: sample.z });
+    });
+
+    expect(listener).toHaveBeenCalledWith('shake');
+    silentAlertService.stopShakeMonitoring();
+    unsubscribe();
+    clock.mockRestore();
+  });
+
+  it('should count screen off / on switches as power button presses', () => {
+    let screenListener;
+    const remove = jest.fn();
+    addScreenStateListener.mockImplementation((listener) => {
+      screenListener = listener;
+      return { remove };
+    });
+    const original = Platform.OS;
+    Platform.OS = 'android';
+    const listener = jest.fn();
+    const unsubscribe = silentAlertService.subscribe(listener);
+    const clock = jest.spyOn(Date, 'now');
+
+    expect(silentAlertService.startPowerButtonMonitoring().success).toBe(true);
+    [false, true, false, true, false].forEach((screenOn, i) => {
+      clock.mockReturnValue(now + i * 400);
+      screenListener({ screenOn });
+    });
+
+    expect(listener).toHaveBeenCalledWith('power_button');
+    silentAlertService.stopPowerButtonMonitoring();
+    expect(remove).toHaveBeenCalled();
+    unsubscribe();
+    clock.mockRestore();
+    Platform.OS = original;
+  });
+
+  it('should only offer the power button on Android with the screen-state module', () => {
+    const original = Platform.OS;
+    Platform.OS = 'ios';
+    expect(silentAlertService.supportsPowerButton()).toBe(false);
+    Platform.OS = 'android';
+    expect(silentAlertService.supportsPowerButton()).toBe(true);
+    isScreenStateAvailable.mockReturnValue(false);
+    expect(silentAlertService.supportsPowerButton()).toBe(false);
+    Platform.OS = original;
+  });
+});
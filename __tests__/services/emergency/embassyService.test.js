@@ -0,0 +1,135 @@
+jest.mock('../../../services/firebase/firestore', () => ({
+  firestoreService: {
+    queryDocuments: jest.fn()
+  }
+}));
+jest.mock('../../../services/location/geoLocation', () => ({
+  geoLocationService: {
+    getAddressFromCoordinates: jest.fn()
+  }
+}));
+
+describe('Embassy Service', () => {
+  const MUMBAI = { latitude: 19.076, longitude: 72.8777 };
+  const BANGKOK = { latitude: 13.7563, longitude: 100.5018 };
+
+  let AsyncStorage;
+  let embassyService;
+  let emergencyNumberService;
+  let firestoreService;
+  let offlineDataService;
+  let geoLocationService;
+  let EMBASSY_DIRECTORY_VERSION;
+
+  // The directory and the active country live in module state; start each test fresh
+  beforeEach(async () => {
+    jest.resetModules();
+    AsyncStorage = require('@react-native-async-storage/async-storage');
+    ({ embassyService } = require('../../../services/emergency/embassyService'));
+    ({ emergencyNumberService } = require('../../../services/emergency/emergencyNumberService'));
+    ({ firestoreService } = require('../../../services/firebase/firestore'));
+    ({ offlineDataService } = require('../../../services/offline/offlineDataService'));
+    ({ geoLocationService } = require('../../../services/location/geoLocation'));
+    ({ EMBASSY_DIRECTORY_VERSION } = require('../../../utils/embassyDirectory'));
+
+    await AsyncStorage.clear();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('should list the missions of the user\'s country closest first', () => {
+    const result = embassyService.findNearest('American', MUMBAI);
+
+    expect(result).toMatchObject({ success: true, countryCode: 'US', atHome: false });
+    expect(result.missions.map(mission => mission.id)).toEqual(['us-mumbai', 'us-hyderabad', 'us-chennai']);
+    expect(result.missions[0].distance).toBeLessThan(10);
+    expect(embassyService.formatDistance(result.missions[0])).toMatch(/km$/);
+  });
+
+  it('should need a recognisable nationality', () => {
+    expect(embassyService.findNearest(undefined, MUMBAI)).toMatchObject({ success: false, error: 'Nationality not set' });
+    expect(embassyService.findNearest('Atlantean', MUMBAI)).toMatchObject({ success: false, error: 'Nationality not recognised' });
+  });
+
+  it('should not point to an embassy in the user\'s own country', () => {
+    expect(embassyService.findNearest('Indian', MUMBAI)).toMatchObject({ success: true, atHome: true, missions: [] });
+  });
+
+  it('should find Indian missions for Indians abroad', async () => {
+    geoLocationService.getAddressFromCoordinates.mockResolvedValue({ success: true, details: { isoCountryCode: 'TH' } });
+    await emergencyNumberService.resolveForLocation(BANGKOK);
+
+    const result = embassyService.findNearest('india', BANGKOK, { limit: 1 });
+
+    expect(result.missions[0].id).toBe('in-bangkok');
+  });
+
+  it('should list missions in the current country when the location is unknown', () => {
+    const result = embassyService.findNearest('British', null, { limit: 10 });
+
+    expect(result.missions.map(mission => mission.hostCountry)).toEqual(['IN', 'IN', 'IN']);
+    expect(result.missions.every(mission => mission.distance === null)).toBe(true);
+  });
+
+  it('should describe the nearest mission for the chat assistant', () => {
+    const text = embassyService.describeNearest('UK', MUMBAI);
+
+    expect(text).toContain('British Deputy High Commission Mumbai');
+    expect(text).toContain('+91-22-6650-2222');
+    expect(text).toContain('+44-20-7008-5000');
+    expect(embassyService.describeNearest('', MUMBAI)).toContain('Add your nationality');
+  });
+
+  it('should merge directory updates and cache them for offline use', async () => {
+    const updatedAt = EMBASSY_DIRECTORY_VERSION + 1000;
+    firestoreService.queryDocuments.mockResolvedValue({
+      success: true,
+      data: [
+        { id: 'us-mumbai', phone: '+91-22-0000-0000', updatedAt },
+        { id: 'us-chennai', removed: true, updatedAt },
+        {
+          id: 'us-goa',
+          country: 'US',
+          hostCountry: 'IN',
+          type: 'consulate',
+          name: 'U.S. Consular Agency Goa',
+          city: 'Panaji',
+          address: 'Panaji, Goa',
+          phone: '+91-832-000-0000',
+          hours: 'Mon–Fri 10:00–14:00',
+          latitude: 15.4909,
+          longitude: 73.8278,
+          updatedAt: updatedAt + 1
+        }
+      ]
+    });
+
+    const result = await embassyService.syncDirectory();
+
+    expect(firestoreService.queryDocuments).toHaveBeenCalledWith('embassies', 'updatedAt', '>', EMBASSY_DIRECTORY_VERSION);
+    expect(result).toEqual({ success: true, version: updatedAt + 1, updated: 3 });
+
+    const cached = await offlineDataService.getCachedEmbassyDirectory();
+    expect(cached.version).toBe(updatedAt + 1);
+
+    const { missions } = embassyService.findNearest('USA', MUMBAI, { limit: 10 });
+    expect(missions.find(mission => mission.id === 'us-mumbai')).toMatchObject({
+      phone: '+91-22-0000-0000',
+      name: 'U.S. Consulate General Mumbai'
+    });
+    expect(missions.map(mission => mission.id)).toContain('us-goa');
+    expect(missions.map(mission => mission.id)).not.toContain('us-chennai');
+  });
+
+  it('should keep the bundled directory when the sync fails', async () => {
+    firestoreService.queryDocuments.mockResolvedValue({ success: false, error: 'unavailable' });
+
+    const result = await embassyService.syncDirectory();
+
+    expect(result).toEqual({ success: false, error: 'unavailable' });
+    expect(embassyService.getDirectory().version).toBe(EMBASSY_DIRECTORY_VERSION);
+  });
+});
@@ -0,0 +1,172 @@
+jest.mock('../../../services/location/geoLocation', () => ({
+  geoLocationService: {
+    getAddressFromCoordinates: jest.fn()
+  }
+}));
+
+describe('Emergency Number Service', () => {
+  const BARCELONA = { latitude: 41.3874, longitude: 2.1686 };
+  const HONG_KONG = { latitude: 22.3193, longitude: 114.1694 };
+  const NEW_DELHI = { latitude: 28.6139, longitude: 77.209 };
+  const KATHMANDU = { latitude: 27.7172, longitude: 85.324 };
+
+  let AsyncStorage;
+  let emergencyNumberService;
+  let geoLocationService;
+  let offlineDataService;
+
+  // The active numbers live in module state, so every test starts from a fresh copy
+  beforeEach(async () => {
+    jest.resetModules();
+    AsyncStorage = require('@react-native-async-storage/async-storage');
+    ({ emergencyNumberService } = require('../../../services/emergency/emergencyNumberService'));
+    ({ geoLocationService } = require('../../../services/location/geoLocation'));
+    ({ offlineDataService } = require('../../../services/offline/offlineDataService'));
+
+    await AsyncStorage.clear();
+    geoLocationService.getAddressFromCoordinates.mockResolvedValue({ success: false, error: 'offline' });
+  });
+
+  it('should default to the Indian numbers until a location is resolved', () => {
+    const active = emergencyNumberService.getActiveNumbers();
+
+    expect(active.countryCode).toBe('IN');
+    expect(active.numbers).toMatchObject({ police: '100', ambulance: '108', touristPolice: '1363' });
+  });
+
+  it('should resolve the country and region from reverse geocoding', async () => {
+    geoLocationService.getAddressFromCoordinates.mockResolvedValue({
+      success: true,
+      details: { isoCountryCode: 'ES', region: 'Cataluña' }
+    });
+
+    const result = await emergencyNumberService.resolveForLocation(BARCELONA, Date.UTC(2026, 9, 18));
+
+    expect(result).toMatchObject({ success: true, changed: true });
+    expect(result.numbers).toMatchObject({ countryCode: 'ES', region: 'CT', resolvedBy: 'geocode' });
+    // The regional police number overrides the national one
+    expect(result.numbers.numbers).toMatchObject({ police: '088', ambulance: '061' });
+    expect(emergencyNumberService.getActiveNumbers().countryCode).toBe('ES');
+  });
+
+  it('should fall back to the bundled boundaries when geocoding is unavailable', async () => {
+    const result = await emergencyNumberService.resolveForLocation(HONG_KONG);
+
+    expect(result.numbers).toMatchObject({ countryCode: 'HK', resolvedBy: 'boundary' });
+    expect(result.numbers.numbers.police).toBe('999');
+  });
+
+  it('should tell neighbouring countries apart by their borders', () => {
+    const { findCountryByCoordinates } = emergencyNumberService;
+
+    // Each of these lies inside a neighbour's bounding box
+    expect(findCountryByCoordinates({ latitude: 22.5726, longitude: 88.3639 })).toBe('IN'); // Kolkata
+    expect(findCountryByCoordinates({ latitude: 26.8467, longitude: 80.9462 })).toBe('IN'); // Lucknow
+    expect(findCountryByCoordinates({ latitude: 48.1351, longitude: 11.582 })).toBe('DE'); // Munich
+    expect(findCountryByCoordinates({ latitude: 47.8095, longitude: 13.055 })).toBe('AT'); // Salzburg
+    expect(findCountryByCoordinates({ latitude: 22.5431, longitude: 114.0579 })).toBe('CN'); // Shenzhen
+    expect(findCountryByCoordinates(KATHMANDU)).toBe('NP');
+  });
+
+  it('should use the nearest country just off the coast', () => {
+    const { findCountryByCoordinates } = emergencyNumberService;
+
+    // A ferry between Piraeus and Aegina, and open ocean
+    expect(findCountryByCoordinates({ latitude: 37.8, longitude: 23.55 })).toBe('GR');
+    expect(findCountryByCoordinates({ latitude: 0, longitude: -30 })).toBeNull();
+  });
+
+  it('should move to the next country at the border while offline', async () => {
+    geoLocationService.getAddressFromCoordinates.mockResolvedValueOnce({
+      success: true,
+      details: { isoCountryCode: 'IN', region: 'Bihar' }
+    });
+    await emergencyNumberService.resolveForLocation({ latitude: 26.1209, longitude: 85.3647 });
+
+    const result = await emergencyNumberService.resolveForLocation(KATHMANDU);
+
+    expect(result).toMatchObject({ success: true, changed: true });
+    expect(result.numbers).toMatchObject({ countryCode: 'NP', resolvedBy: 'boundary' });
+    expect(result.numbers.numbers.touristPolice).toBe('1144');
+  });
+
+  it('should keep the geocoded region while offline in the same country', async () => {
+    geoLocationService.getAddressFromCoordinates.mockResolvedValueOnce({
+      success: true,
+      details: { isoCountryCode: 'ES', region: 'Cataluña' }
+    });
+    await emergencyNumberService.resolveForLocation(BARCELONA);
+
+    const result = await emergencyNumberService.resolveForLocation({ latitude: 41.9794, longitude: 2.8214 });
+
+    expect(result).toMatchObject({ success: true, changed: false });
+    expect(result.numbers).toMatchObject({ countryCode: 'ES', region: 'CT' });
+  });
+
+  it('should use 112 for countries missing from the directory', async () => {
+    geoLocationService.getAddressFromCoordinates.mockResolvedValue({
+      success: true,
+      details: { isoCountryCode: 'IS' }
+    });
+
+    const { numbers } = await emergencyNumberService.resolveForLocation({ latitude: 64.1466, longitude: -21.9426 });
+
+    expect(numbers).toMatchObject({ countryCode: 'IS', inDirectory: false });
+    expect(numbers.numbers).toMatchObject({ police: '112', ambulance: '112', fire: '112' });
+  });
+
+  it('should cache the resolved numbers for offline use', async () => {
+    geoLocationService.getAddressFromCoordinates.mockResolvedValue({
+      success: true,
+      details: { isoCountryCode: 'TH', region: 'Bangkok' }
+    });
+    await emergencyNumberService.resolveForLocation({ latitude: 13.7563, longitude: 100.5018 });
+
+    const cached = await offlineDataService.getCachedEmergencyNumbers();
+    expect(cached.numbers).toMatchObject({ countryCode: 'TH', directoryVersion: expect.any(String) });
+    expect(cached.numbers.numbers.touristPolice).toBe('1155');
+  });
+
+  it('should re-read cached numbers from the directory after it was updated', async () => {
+    await offlineDataService.cacheEmergencyNumbers({
+      countryCode: 'ES',
+      regionName: 'Catalonia',
+      numbers: { police: '091' },
+      resolvedBy: 'geocode',
+      directoryVersion: '2020.1.1'
+    });
+
+    const { numbers } = await emergencyNumberService.loadCachedNumbers();
+
+    expect(numbers).toMatchObject({ countryCode: 'ES', region: 'CT', resolvedBy: 'geocode' });
+    expect(numbers.numbers.police).toBe('088');
+    expect(emergencyNumberService.getActiveNumbers()).toBe(numbers);
+  });
+
+  it('should notify subscribers when the numbers change', async () => {
+    const listener = jest.fn();
+    const unsubscribe = emergencyNumberService.subscribe(listener);
+
+    await emergencyNumberService.resolveForLocation(NEW_DELHI);
+    unsubscribe();
+    await emergencyNumberService.resolveForLocation(HONG_KONG);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].countryCode).toBe('IN');
+  });
+
+  it('should match the consular hotline to a free-text nationality', () => {
+    expect(emergencyNumberService.getConsularHotline('American').countryCode).toBe('US');
+    expect(emergencyNumberService.getConsularHotline(' British ').number).toBe('+44-20-7008-5000');
+    expect(emergencyNumberService.getConsularHotline('Indian')).toBeNull();
+    expect(emergencyNumberService.getConsularHotline(undefined)).toBeNull();
+  });
+
+  it('should list services sharing a number on one line', () => {
+    const us = emergencyNumberService.getNumbersForCountry('US');
+    const india = emergencyNumberService.getNumbersForCountry('IN');
+
+    expect(emergencyNumberService.formatNumbers(us)).toBe('Police / Ambulance: 911');
+    expect(emergencyNumberService.formatNumbers(india)).toBe('Police: 100\nAmbulance: 108\nTourist Police: 1363');
+  });
+});
@@ -0,0 +1,294 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SMS from 'expo-sms';
+import { emergencyOutboxService, OUTBOX_TYPES } from '../../../services/emergency/emergencyOutbox';
+import { emergencyAlertService } from '../../../services/emergency/alertService';
+import { offlineDataService } from '../../../services/offline/offlineDataService';
+import { firestoreService } from '../../../services/firebase/firestore';
+import { functionsService } from '../../../services/firebase/functions';
+import { messagingService } from '../../../services/firebase/messaging';
+import { DELIVERY_STATUS } from '../../../utils/constants';
+
+jest.mock('expo-sms', () => ({
+  isAvailableAsync: jest.fn(),
+  sendSMSAsync: jest.fn()
+}));
+jest.mock('../../../services/firebase/firestore', () => ({
+  firestoreService: {
+    addDocument: jest.fn(),
+    setDocument: jest.fn(),
+    updateDocument: jest.fn()
+  }
+}));
+jest.mock('../../../services/firebase/functions', () => ({
+  functionsService: {
+    call: jest.fn()
+  }
+}));
+jest.mock('../../../services/firebase/messaging', () => ({
+  messagingService: {
+    scheduleNotification: jest.fn()
+  }
+}));
+jest.mock('../../../services/emergency/medicalProfileService', () => ({
+  medicalProfileService: {
+    getEmergencyAttachment: jest.fn().mockResolvedValue(null)
+  }
+}));
+
+describe('Emergency Outbox', () => {
+  const NOW = 1700000000000;
+  const contacts = [
+    { id: 'contact-1', name: 'Mom', phoneNumber: '+1111111111', isPrimary: true },
+    { id: 'contact-2', name: 'Friend', phoneNumber: '+2222222222', isPrimary: false }
+  ];
+  const location = { latitude: 28.6139, longitude: 77.2090 };
+  const userProfile = { id: 'user-1', name: 'Tourist' };
+
+  const getQueue = async () => (await offlineDataService.getSyncQueue()).queue;
+  const getStatuses = async (alertId) => (await emergencyOutboxService.getDeliveryStatus()).deliveries[alertId].contacts;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    jest.setSystemTime(NOW);
+    await AsyncStorage.clear();
+
+    SMS.isAvailableAsync.mockResolvedValue(true);
+    SMS.sendSMSAsync.mockResolvedValue({ result: 'sent' });
+    functionsService.call.mockResolvedValue({ success: true, data: { sid: 'SM1', status: 'queued' } });
+    firestoreService.setDocument.mockResolvedValue({ success: true });
+    firestoreService.addDocument.mockResolvedValue({ success: true, id: 'emergency-1' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    emergencyOutboxService.cancelScheduledDrain();
+    jest.useRealTimers();
+    console.error.mockRestore();
+  });
+
+  // sendEmergencyAlert waits a second between non-primary contacts
+  const sendAlert = async (options) => {
+    const pending = emergencyAlertService.sendEmergencyAlert(location, userProfile, contacts, 'Help', options);
+    await jest.advanceTimersByTimeAsync(5000);
+    return await pending;
+  };
+
+  describe('getRetryDelay', () => {
+    it('should back off exponentially up to the maximum delay', () => {
+      expect(emergencyOutboxService.getRetryDelay(1)).toBe(15000);
+      expect(emergencyOutboxService.getRetryDelay(2)).toBe(30000);
+      expect(emergencyOutboxService.getRetryDelay(4)).toBe(120000);
+      expect(emergencyOutboxService.getRetryDelay(20)).toBe(600000);
+    });
+  });
+
+  describe('when SMS cannot be sent', () => {
+    it('should queue every contact at critical priority when SMS is unavailable', async () => {
+      SMS.isAvailableAsync.mockResolvedValue(false);
+      await offlineDataService.addToSyncQueue({ id: 'profile', type: 'profile_update', data: {} });
+
+      await sendAlert({ emergencyId: 'emergency-1' });
+
+      const queue = await getQueue();
+      expect(queue.map(item => item.id)).toEqual([
+        'emergency_sms_emergency-1_contact-1',
+        'emergency_sms_emergency-1_contact-2',
+        'profile'
+      ]);
+      expect(queue[0]).toMatchObject({
+        type: OUTBOX_TYPES.SMS,
+        priority: 'critical',
+        retryCount: 1,
+        maxRetries: 8,
+        nextAttemptAt: NOW + 15000
+      });
+
+      const statuses = await getStatuses('emergency-1');
+      expect(statuses['contact-1'].status).toBe(DELIVERY_STATUS.RETRYING);
+      expect(statuses['contact-2'].status).toBe(DELIVERY_STATUS.RETRYING);
+    });
+
+    it('should only queue the contacts whose send failed', async () => {
+      SMS.sendSMSAsync.mockImplementation(async ([phoneNumber]) => (
+        phoneNumber === '+2222222222' ? { result: 'cancelled' } : { result: 'sent' }
+      ));
+
+      const result = await sendAlert({ emergencyId: 'emergency-1' });
+
+      expect(result.smsResults.map(entry => entry.success)).toEqual([true, false]);
+      expect((await getQueue()).map(item => item.data.contact.id)).toEqual(['contact-2']);
+
+      const statuses = await getStatuses('emergency-1');
+      expect(statuses['contact-1'].status).toBe(DELIVERY_STATUS.SENT);
+      expect(statuses['contact-2']).toMatchObject({
+        status: DELIVERY_STATUS.RETRYING,
+        lastError: 'SMS cancelled'
+      });
+    });
+
+    it('should not resend an unconfirmed Android send from the server', async () => {
+      SMS.sendSMSAsync.mockResolvedValue({ result: 'unknown' });
+
+      const result = await sendAlert({ emergencyId: 'emergency-1' });
+
+      expect(result.smsResults.map(entry => entry.queued)).toEqual([false, false]);
+      expect(await getQueue()).toEqual([]);
+      expect((await getStatuses('emergency-1'))['contact-2']).toMatchObject({
+        status: DELIVERY_STATUS.UNCONFIRMED,
+        lastError: 'SMS not confirmed as sent'
+      });
+
+      await emergencyAlertService.deliverOutbox({ force: true });
+      expect(functionsService.call).not.toHaveBeenCalled();
+    });
+
+    it('should send silent alerts through the server sender and queue what it cannot send', async () => {
+      functionsService.call.mockImplementation(async (name, { to }) => (
+        to === '+2222222222' ? { success: false, error: 'SMS provider unavailable' } : { success: true, data: {} }
+      ));
+
+      const result = await sendAlert({ emergencyId: 'emergency-1', silent: true });
+
+      expect(SMS.sendSMSAsync).not.toHaveBeenCalled();
+      expect(result.smsResults.map(entry => entry.success)).toEqual([true, false]);
+      expect((await getQueue()).map(item => item.data.contact.id)).toEqual(['contact-2']);
+    });
+
+    it('should send alerts raised without the user through the server sender and still notify', async () => {
+      const result = await sendAlert({ emergencyId: 'emergency-1', fromServer: true });
+
+      expect(SMS.sendSMSAsync).not.toHaveBeenCalled();
+      expect(functionsService.call).toHaveBeenCalledTimes(2);
+      expect(result.smsResults.map(entry => entry.success)).toEqual([true, true]);
+      expect(messagingService.scheduleNotification).toHaveBeenCalledTimes(1);
+    });
+
+    it('should queue the emergency record when Firestore is unreachable', async () => {
+      firestoreService.setDocument.mockResolvedValueOnce({ success: false, error: 'offline' });
+
+      const result = await sendAlert({ emergencyId: 'emergency-1' });
+
+      expect(result.firestoreResults[0]).toMatchObject({ success: false, queued: true });
+      const [recordItem] = await getQueue();
+      expect(recordItem).toMatchObject({
+        type: OUTBOX_TYPES.RECORD,
+        data: { emergencyId: 'emergency-1', record: expect.objectContaining({ userId: 'user-1' }) }
+      });
+    });
+  });
+
+  describe('deliverOutbox', () => {
+    beforeEach(async () => {
+      SMS.isAvailableAsync.mockResolvedValue(false);
+      await sendAlert({ emergencyId: 'emergency-1' });
+      SMS.isAvailableAsync.mockResolvedValue(true);
+      SMS.sendSMSAsync.mockClear();
+    });
+
+    it('should wait for the backoff unless forced', async () => {
+      const early = await emergencyAlertService.deliverOutbox({}, NOW + 5000);
+      expect(early.attempted).toBe(0);
+      expect(functionsService.call).not.toHaveBeenCalled();
+
+      const forced = await emergencyAlertService.deliverOutbox({ force: true }, NOW + 5000);
+      expect(forced).toMatchObject({ success: true, delivered: 2, failed: 0 });
+      expect(await getQueue()).toEqual([]);
+      expect((await getStatuses('emergency-1'))['contact-1']).toMatchObject({
+        status: DELIVERY_STATUS.SENT,
+        attempts: 2
+      });
+    });
+
+    it('should resend with the stored acknowledgement footer', async () => {
+      await AsyncStorage.clear();
+      SMS.isAvailableAsync.mockResolvedValue(false);
+      const linked = contacts.map(contact => ({ ...contact, ackLink: `https://ack/${contact.id}`, replyCode: '123456' }));
+      const pending = emergencyAlertService.alertContacts(linked, 'Help', location, 'emergency-2');
+      await jest.advanceTimersByTimeAsync(5000);
+      await pending;
+      SMS.isAvailableAsync.mockResolvedValue(true);
+
+      await emergencyAlertService.deliverOutbox({ force: true });
+
+      expect(functionsService.call).toHaveBeenCalledWith('sendEmergencySMS', {
+        to: '+1111111111',
+        message: expect.stringContaining('https://ack/contact-1')
+      });
+    });
+
+    it('should retry through the server sender without opening the composer', async () => {
+      const result = await emergencyAlertService.deliverOutbox({ force: true });
+
+      expect(result).toMatchObject({ delivered: 2, failed: 0 });
+      expect(functionsService.call).toHaveBeenCalledTimes(2);
+      expect(SMS.sendSMSAsync).not.toHaveBeenCalled();
+    });
+
+    it('should back off after each failure and give up after the last attempt', async () => {
+      functionsService.call.mockResolvedValue({ success: false, error: 'SMS provider unavailable' });
+      let now = NOW;
+
+      for (let attempt = 2; attempt <= 7; attempt++) {
+        now += emergencyOutboxService.getRetryDelay(attempt - 1);
+        await emergencyAlertService.deliverOutbox({}, now);
+
+        const [item] = await getQueue();
+        expect(item.retryCount).toBe(attempt);
+        expect(item.nextAttemptAt).toBe(now + emergencyOutboxService.getRetryDelay(attempt));
+      }
+      expect((await getStatuses('emergency-1'))['contact-1']).toMatchObject({
+        status: DELIVERY_STATUS.RETRYING,
+        attempts: 7
+      });
+
+      await emergencyAlertService.deliverOutbox({ force: true }, now);
+
+      expect(await getQueue()).toEqual([]);
+      expect((await getStatuses('emergency-1'))['contact-1']).toMatchObject({
+        status: DELIVERY_STATUS.FAILED,
+        attempts: 8,
+        lastError: 'SMS provider unavailable'
+      });
+    });
+
+    it('should drain on its own once the next attempt is due', async () => {
+      await emergencyAlertService.deliverOutbox();
+      expect(functionsService.call).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(15000);
+
+      expect(functionsService.call).toHaveBeenCalledTimes(2);
+      expect(await getQueue()).toEqual([]);
+    });
+
+    it('should not send the same SMS twice when drains overlap', async () => {
+      await Promise.all([
+        emergencyAlertService.deliverOutbox({ force: true }),
+        emergencyAlertService.deliverOutbox({ force: true })
+      ]);
+
+      expect(functionsService.call).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it('should notify subscribers of status changes', async () => {
+    const listener = jest.fn();
+    const unsubscribe = emergencyOutboxService.subscribe(listener);
+
+    await emergencyOutboxService.setDeliveryStatus('alert-1', contacts[0], DELIVERY_STATUS.SENT, {}, NOW);
+    unsubscribe();
+
+    expect(listener).toHaveBeenCalledWith('alert-1', {
+      'contact-1': expect.objectContaining({ name: 'Mom', status: DELIVERY_STATUS.SENT })
+    });
+  });
+
+  it('should forget delivery status past the retention window', async () => {
+    await emergencyOutboxService.setDeliveryStatus('old', contacts[0], DELIVERY_STATUS.SENT, {}, NOW);
+    await emergencyOutboxService.setDeliveryStatus('new', contacts[0], DELIVERY_STATUS.SENT, {}, NOW + 8 * 24 * 60 * 60 * 1000);
+
+    const { deliveries } = await emergencyOutboxService.getDeliveryStatus();
+    expect(Object.keys(deliveries)).toEqual(['new']);
+  });
+});
@@ -0,0 +1,392 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { escalationService } from '../../../services/emergency/escalationService';
+import { emergencyAlertService } from '../../../services/emergency/alertService';
+import { emergencyNumberService } from '../../../services/emergency/emergencyNumberService';
+import { messagingService } from '../../../services/firebase/messaging';
+import { encryptionService } from '../../../services/security/encryption';
+import { ACK_STATUS, ESCALATION_STAGES, STORAGE_KEYS } from '../../../utils/constants';
+
+jest.mock('../../../services/emergency/alertService', () => ({
+  emergencyAlertService: {
+    sendEmergencyAlert: jest.fn(),
+    alertContacts: jest.fn(),
+    updateEmergencyStatus: jest.fn(),
+    buildEmergencyMessage: jest.fn(() => 'EMERGENCY')
+  }
+}));
+jest.mock('../../../services/emergency/emergencyNumberService', () => ({
+  emergencyNumberService: {
+    getActiveNumbers: jest.fn(),
+    getLabel: jest.fn(key => ({ police: 'Police', touristPolice: 'Tourist Police' })[key] || key)
+  }
+}));
+jest.mock('../../../services/security/encryption', () => ({
+  encryptionService: {
+    generateUUID: jest.fn(() => 'emergency-1'),
+    generateRandomBytes: jest.fn()
+  }
+}));
+jest.mock('../../../services/firebase/messaging', () => ({
+  messagingService: {
+    scheduleNotification: jest.fn()
+  }
+}));
+
+describe('Emergency Escalation Service', () => {
+  const MINUTE = 60 * 1000;
+  const start = 1740000000000;
+
+  const location = { latitude: 28.6139, longitude: 77.2090 };
+  const userProfile = { id: 'user-123', name: 'John Doe' };
+  const contacts = [
+    { id: 'contact-2', name: 'Friend', phoneNumber: '+2222222222', isPrimary: false },
+    { id: 'contact-1', name: 'Spouse', phoneNumber: '+1111111111', isPrimary: true },
+    { id: 'contact-3', name: 'Parent', phoneNumber: '+3333333333', isPrimary: false }
+  ];
+
+  const startEscalation = (overrides = {}) => escalationService.startEscalation(
+    { location, userProfile, contacts, ...overrides },
+    start
+  );
+
+  const india = { countryCode: 'IN', numbers: { police: '100', ambulance: '108', touristPolice: '1363' } };
+  const nepal = { countryCode: 'NP', numbers: { police: '100', ambulance: '102', touristPolice: '1144' } };
+
+  const getStored = async () => JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.EMERGENCY_ESCALATION));
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    jest.setSystemTime(start);
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+
+    let counter = 0;
+    encryptionService.generateRandomBytes.mockImplementation(async (length) => {
+      counter += 1;
+      return { success: true, bytes: new Uint8Array(length).fill(counter) };
+    });
+
+    emergencyAlertService.sendEmergencyAlert.mockResolvedValue({
+      success: true,
+      smsResults: [{ success: true }],
+      firestoreResults: [{ success: true, emergencyId: 'emergency-1' }]
+    });
+    emergencyAlertService.alertContacts.mockResolvedValue([{ success: true }, { success: true }]);
+    emergencyAlertService.updateEmergencyStatus.mockResolvedValue({ success: true });
+    messagingService.scheduleNotification.mockResolvedValue({ success: true });
+    emergencyNumberService.getActiveNumbers.mockReturnValue(india);
+  });
+
+  afterEach(async () => {
+    await escalationService.cancelEscalation();
+    jest.useRealTimers();
+  });
+
+  describe('startEscalation', () => {
+    it('should alert only the primary contact and persist the stage', async () => {
+      const result = await startEscalation();
+
+      expect(result.success).toBe(true);
+      expect(result.escalation.stage).toBe(ESCALATION_STAGES.PRIMARY_ALERTED);
+      expect(result.escalation.deadline).toBe(start + 3 * MINUTE);
+      expect(result.escalation.emergencyId).toBe('emergency-1');
+      expect(emergencyAlertService.sendEmergencyAlert).toHaveBeenCalledWith(
+        location,
+        { id: 'user-123', name: 'John Doe' },
+        [expect.objectContaining({ id: 'contact-1', ackLink: expect.stringContaining('/emergency-1?c=contact-1') })],
+        'EMERGENCY',
+        {
+          emergencyId: 'emergency-1',
+          acknowledgements: expect.objectContaining({
+            'contact-1': expect.objectContaining({ name: 'Spouse', status: ACK_STATUS.PENDING })
+          })
+        }
+      );
+
+      const stored = await getStored();
+      expect(stored.stage).toBe(ESCALATION_STAGES.PRIMARY_ALERTED);
+      expect(stored.history[0].detail).toEqual(expect.objectContaining({ contactId: 'contact-1', smsSent: 1 }));
+    });
+
+    it('should use configured timers', async () => {
+      const result = await startEscalation({
+        config: { primaryAckTimeoutMinutes: 1, allContactsAckTimeoutMinutes: 2 }
+      });
+
+      expect(result.escalation.deadline).toBe(start + MINUTE);
+
+      const advanced = await escalationService.advance(start + MINUTE);
+      expect(advanced.escalation.stage).toBe(ESCALATION_STAGES.ALL_CONTACTS_ALERTED);
+      expect(advanced.escalation.deadline).toBe(start + 3 * MINUTE);
+    });
+
+    it('should prompt a call straight away when there are no contacts', async () => {
+      const result = await startEscalation({ contacts: [] });
+
+      expect(result.escalation.stage).toBe(ESCALATION_STAGES.CALL_PROMPTED);
+      expect(result.escalation.deadline).toBeNull();
+      expect(messagingService.scheduleNotification).toHaveBeenCalled();
+    });
+
+    it('should keep escalating when the first alert fails', async () => {
+      emergencyAlertService.sendEmergencyAlert.mockRejectedValue(new Error('SMS unavailable'));
+
+      const result = await startEscalation();
+
+      expect(result.success).toBe(true);
+      expect(result.escalation.stage).toBe(ESCALATION_STAGES.PRIMARY_ALERTED);
+      expect(result.escalation.history[0].detail.error).toBe('SMS unavailable');
+    });
+  });
+
+  describe('advance', () => {
+    it('should wait until the acknowledgement window has passed', async () => {
+      await startEscalation();
+
+      const result = await escalationService.advance(start + 3 * MINUTE - 1);
+
+      expect(result.escalation.stage).toBe(ESCALATION_STAGES.PRIMARY_ALERTED);
+      expect(emergencyAlertService.alertContacts).not.toHaveBeenCalled();
+    });
+
+    it('should widen to the remaining contacts after the primary timeout', async () => {
+      await startEscalation();
+
+      const result = await escalationService.advance(start + 3 * MINUTE);
+
+      expect(result.escalation.stage).toBe(ESCALATION_STAGES.ALL_CONTACTS_ALERTED);
+      expect(result.escalation.deadline).toBe(start + 8 * MINUTE);
+      const [widened] = emergencyAlertService.alertContacts.mock.calls[0];
+      expect(widened.map(contact => contact.id)).toEqual(['contact-2', 'contact-3']);
+      expect(emergencyAlertService.updateEmergencyStatus).toHaveBeenCalledWith('emergency-1', {
+        escalationStage: ESCALATION_STAGES.ALL_CONTACTS_ALERTED
+      });
+    });
+
+    it('should prompt a call once every contact has had time to respond', async () => {
+      await startEscalation();
+      await escalationService.advance(start + 3 * MINUTE);
+
+      const result = await escalationService.advance(start + 8 * MINUTE);
+
+      expect(result.escalation.stage).toBe(ESCALATION_STAGES.CALL_PROMPTED);
+      expect(result.escalation.deadline).toBeNull();
+      expect(messagingService.scheduleNotification).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.stringContaining('1363'),
+        expect.objectContaining({ escalationStage: ESCALATION_STAGES.CALL_PROMPTED })
+      );
+    });
+
+    it('should prompt a call to the numbers of the country the user is in', async () => {
+      emergencyNumberService.getActiveNumbers.mockReturnValue(nepal);
+      await startEscalation();
+      await escalationService.advance(start + 3 * MINUTE);
+
+      await escalationService.advance(start + 8 * MINUTE);
+
+      expect(messagingService.scheduleNotification).toHaveBeenLastCalledWith(
+        expect.any(String),
+        'None of your contacts have responded. Call Tourist Police (1144) or Police (100).',
+        expect.objectContaining({ callNumbers: ['1144', '100'] })
+      );
+    });
+
+    it('should skip widening when the primary is the only contact', async () => {
+      await startEscalation({ contacts: [contacts[1]] });
+
+      const result = await escalationService.advance(start + 3 * MINUTE);
+
+      expect(result.escalation.stage).toBe(ESCALATION_STAGES.CALL_PROMPTED);
+      expect(emergencyAlertService.alertContacts).not.toHaveBeenCalled();
+    });
+
+    it('should advance on its own timer', async () => {
+      await startEscalation();
+
+      await jest.advanceTimersByTimeAsync(3 * MINUTE);
+
+      expect(escalationService.getEscalation().stage).toBe(ESCALATION_STAGES.ALL_CONTACTS_ALERTED);
+    });
+  });
+
+  describe('acknowledge', () => {
+    it('should stop the escalation and record who responded', async () => {
+      await startEscalation();
+
+      const result = await escalationService.acknowledge({ contactId: 'contact-1' }, start + MINUTE);
+      const later = await escalationService.advance(start + 10 * MINUTE);
+
+      expect(result.success).toBe(true);
+      expect(result.escalation.stage).toBe(ESCALATION_STAGES.ACKNOWLEDGED);
+      expect(result.escalation.acknowledgedBy).toEqual({
+        contactId: 'contact-1',
+        name: 'Spouse',
+        status: ACK_STATUS.SEEN,
+        source: 'manual',
+        at: start + MINUTE
+      });
+      expect(later.escalation.stage).toBe(ESCALATION_STAGES.ACKNOWLEDGED);
+      expect(emergencyAlertService.alertContacts).not.toHaveBeenCalled();
+      expect(escalationService.getSecondsRemaining(later.escalation)).toBeNull();
+    });
+
+    it('should reject acknowledgements without an active escalation', async () => {
+      const result = await escalationService.acknowledge({ contactId: 'contact-1' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No active escalation');
+    });
+  });
+
+  describe('contact acknowledgements', () => {
+    const streamed = (contactId, status, acknowledgedAt) => ({
+      [contactId]: { name: 'Whoever', tokenHash: 'hash', status, acknowledgedAt, source: 'link' }
+    });
+
+    it('should stop escalating when a streamed acknowledgement arrives', async () => {
+      await startEscalation();
+
+      const result = await escalationService.syncAcknowledgements(
+        'emergency-1',
+        streamed('contact-2', ACK_STATUS.SEEN, start + MINUTE)
+      );
+
+      expect(result.escalation.stage).toBe(ESCALATION_STAGES.ACKNOWLEDGED);
+      expect(result.escalation.acknowledgedBy).toEqual(expect.objectContaining({
+        contactId: 'contact-2',
+        name: 'Friend',
+        source: 'link'
+      }));
+      expect(result.escalation.acknowledgements['contact-2']).toEqual({
+        status: ACK_STATUS.SEEN,
+        at: start + MINUTE,
+        source: 'link'
+      });
+      // Already in the document; only the stage is written back
+      expect(emergencyAlertService.updateEmergencyStatus).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep tracking status changes after the escalation stopped', async () => {
+      await startEscalation();
+      await escalationService.syncAcknowledgements('emergency-1', streamed('contact-2', ACK_STATUS.SEEN, start + MINUTE));
+
+      const result = await escalationService.syncAcknowledgements(
+        'emergency-1',
+        streamed('contact-2', ACK_STATUS.EN_ROUTE, start + 2 * MINUTE)
+      );
+
+      expect(result.escalation.acknowledgements['contact-2'].status).toBe(ACK_STATUS.EN_ROUTE);
+      expect(result.escalation.acknowledgedBy.status).toBe(ACK_STATUS.SEEN);
+    });
+
+    it('should ignore acknowledgements of other emergencies and pending contacts', async () => {
+      await startEscalation();
+
+      await escalationService.syncAcknowledgements('emergency-2', streamed('contact-2', ACK_STATUS.SEEN, start));
+      await escalationService.syncAcknowledgements('emergency-1', streamed('contact-2', ACK_STATUS.PENDING, start));
+
+      expect(escalationService.getEscalation().stage).toBe(ESCALATION_STAGES.PRIMARY_ALERTED);
+    });
+
+    it('should acknowledge a contact from their reply code', async () => {
+      const { escalation } = await startEscalation();
+      const friend = escalation.contacts.find(contact => contact.id === 'contact-2');
+
+      const wrong = await escalationService.acknowledgeWithReplyCode('000000');
+      const result = await escalationService.acknowledgeWithReplyCode(
+        friend.replyCode,
+        ACK_STATUS.EN_ROUTE,
+        start + MINUTE
+      );
+
+      expect(wrong).toEqual({ success: false, error: 'Reply code does not match any contact' });
+      expect(result.escalation.acknowledgedBy).toEqual(expect.objectContaining({
+        contactId: 'contact-2',
+        status: ACK_STATUS.EN_ROUTE,
+        source: 'reply_code'
+      }));
+      expect(emergencyAlertService.updateEmergencyStatus).toHaveBeenCalledWith('emergency-1', {
+        'acknowledgements.contact-2.status': ACK_STATUS.EN_ROUTE,
+        'acknowledgements.contact-2.acknowledgedAt': start + MINUTE,
+        'acknowledgements.contact-2.source': 'reply_code'
+      });
+    });
+  });
+
+  describe('resumeEscalation', () => {
+    it('should restore a persisted escalation and catch up on missed stages', async () => {
+      await startEscalation();
+
+      let restarted;
+      jest.isolateModules(() => {
+        restarted = require('../../../services/emergency/escalationService').escalationService;
+      });
+
+      const result = await restarted.resumeEscalation(start + 20 * MINUTE);
+
+      expect(result.success).toBe(true);
+      expect(result.escalation.stage).toBe(ESCALATION_STAGES.CALL_PROMPTED);
+      expect(result.escalation.history.map(entry => [entry.stage, entry.at])).toEqual([
+        [ESCALATION_STAGES.PRIMARY_ALERTED, start],
+        [ESCALATION_STAGES.ALL_CONTACTS_ALERTED, start + 3 * MINUTE],
+        [ESCALATION_STAGES.CALL_PROMPTED, start + 8 * MINUTE]
+      ]);
+      expect((await getStored()).stage).toBe(ESCALATION_STAGES.CALL_PROMPTED);
+
+      await restarted.cancelEscalation();
+    });
+
+    it('should report nothing when no escalation was running', async () => {
+      const result = await escalationService.resumeEscalation();
+
+      expect(result).toEqual({ success: true, escalation: null });
+    });
+  });
+
+  describe('cancelEscalation', () => {
+    it('should clear the persisted state and resolve the emergency record', async () => {
+      const listener = jest.fn();
+      const unsubscribe = escalationService.subscribe(listener);
+      await startEscalation();
+
+      await escalationService.cancelEscalation();
+      unsubscribe();
+
+      expect(await AsyncStorage.getItem(STORAGE_KEYS.EMERGENCY_ESCALATION)).toBeNull();
+      expect(escalationService.getEscalation()).toBeNull();
+      expect(listener).toHaveBeenLastCalledWith(null);
+      expect(emergencyAlertService.updateEmergencyStatus).toHaveBeenCalledWith('emergency-1', {
+        status: 'resolved',
+        escalationStage: ESCALATION_STAGES.CANCELLED
+      });
+    });
+  });
+
+  describe('getSecondsRemaining', () => {
+    it('should count down to the next stage', async () => {
+      const { escalation } = await startEscalation();
+
+      expect(escalationService.getSecondsRemaining(escalation, start + 30 * 1000)).toBe(150);
+      expect(escalationService.getSecondsRemaining(escalation, start + 10 * MINUTE)).toBe(0);
+    });
+  });
+
+  describe('getCallNumbers', () => {
+    it('should list a number shared by several services once', () => {
+      const entry = { countryCode: 'US', numbers: { police: '911', ambulance: '911' } };
+
+      expect(escalationService.getCallNumbers(entry)).toEqual([
+        { key: 'police', label: 'Police', number: '911' }
+      ]);
+    });
+
+    it('should list a tourist police number shared with the police once', () => {
+      const entry = { countryCode: 'XX', numbers: { police: '110', touristPolice: '110' } };
+
+      expect(escalationService.getCallNumbers(entry)).toEqual([
+        { key: 'touristPolice', label: 'Tourist Police', number: '110' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import * as FileSystem from 'expo-file-system';
+import { Audio } from 'expo-av';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+import { evidenceService } from '../../../services/emergency/evidenceService';
+import { verifyChain } from '../../../services/emergency/evidenceChain';
+import { firestoreService } from '../../../services/firebase/firestore';
+import { uploadEmergencyEvidence } from '../../../services/firebase/storage';
+import { STORAGE_KEYS } from '../../../utils/constants';
+
+jest.mock('expo-av', () => ({
+  Audio: {
+    requestPermissionsAsync: jest.fn(),
+    setAudioModeAsync: jest.fn(),
+    RecordingOptionsPresets: { HIGH_QUALITY: {} },
+    Recording: {
+      createAsync: jest.fn()
+    }
+  }
+}));
+jest.mock('expo-file-system', () => ({
+  documentDirectory: 'file://documents/',
+  EncodingType: { Base64: 'base64' },
+  readAsStringAsync: jest.fn(),
+  makeDirectoryAsync: jest.fn(),
+  moveAsync: jest.fn(),
+  deleteAsync: jest.fn(),
+  getInfoAsync: jest.fn()
+}));
+jest.mock('../../../services/firebase/firestore', () => ({
+  firestoreService: {
+    setDocument: jest.fn(),
+    getDocument: jest.fn()
+  }
+}));
+jest.mock('../../../services/firebase/storage', () => ({
+  uploadEmergencyEvidence: jest.fn()
+}));
+
+describe('Evidence Service', () => {
+  const emergencyId = 'emergency-1';
+  const userId = 'user-123';
+  let files;
+  let recordingCount;
+  let record;
+
+  const addChunk = (type, content, capturedAt) => {
+    const uri = `file://cache/${type}-${capturedAt}`;
+    files.set(uri, content);
+    return evidenceService.addChunk({ emergencyId, userId, type, uri, capturedAt });
+  };
+
+  const getManifest = async () => JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.EMERGENCY_EVIDENCE));
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    files = new Map();
+    recordingCount = 0;
+    record = {};
+
+    Crypto.digestStringAsync.mockImplementation(async (algorithm, data) => bytesToHex(sha256(utf8ToBytes(data))));
+    FileSystem.readAsStringAsync.mockImplementation(async (uri) => files.get(uri));
+    FileSystem.moveAsync.mockImplementation(async ({ from, to }) => {
+      files.set(to, files.get(from));
+      files.delete(from);
+    });
+    FileSystem.deleteAsync.mockImplementation(async (uri) => { files.delete(uri); });
+    FileSystem.getInfoAsync.mockImplementation(async (uri) => ({ exists: files.has(uri) }));
+
+    Audio.requestPermissionsAsync.mockResolvedValue({ granted: true });
+    Audio.Recording.createAsync.mockImplementation(async () => {
+      recordingCount += 1;
+      const uri = `file://cache/recording-${recordingCount}.m4a`;
+      return {
+        recording: {
+          stopAndUnloadAsync: jest.fn(async () => { files.set(uri, `audio-${recordingCount}`); }),
+          getURI: () => uri
+        }
+      };
+    });
+
+    uploadEmergencyEvidence.mockImplementation(async (uri, path) => `https://storage.example/${path}`);
+    // Merge writes into one record the way setDoc({ merge: true }) does
+    firestoreService.setDocument.mockImplementation(async (collection, id, data) => {
+      record = { ...record, ...data, evidence: { ...record.evidence, ...data.evidence } };
+      return { success: true };
+    });
+    firestoreService.getDocument.mockImplementation(async () => ({ success: true, data: record }));
+  });
+
+  afterEach(async () => {
+    await evidenceService.stopCapture();
+    await evidenceService.uploadPending();
+    console.error.mockRestore();
+    jest.useRealTimers();
+  });
+
+  it('should chain every chunk to the one before it', async () => {
+    const first = await addChunk('audio', 'audio-a', 1000);
+    const second = await addChunk('photo', 'photo-b', 2000);
+
+    expect(first.chunk.index).toBe(0);
+    expect(second.chunk.previousHash).toBe(first.chunk.chainHash);
+    expect(second.chunk.localUri).toBe('file://documents/evidence/emergency-1/1_photo.jpg');
+    expect(second.chunk.storagePath).toBe('emergency-evidence/user-123/emergency-1/1_photo.jpg');
+
+    const verification = await evidenceService.verifyLocalEvidence(emergencyId);
+    expect(verification).toMatchObject({ valid: true, verifiedCount: 2, contentChecked: 2 });
+  });
+
+  it('should detect an altered recording', async () => {
+    const { chunk } = await addChunk('audio', 'audio-a', 1000);
+    await addChunk('audio', 'audio-b', 2000);
+    files.set(chunk.localUri, 'edited audio');
+
+    const verification = await evidenceService.verifyLocalEvidence(emergencyId);
+
+    expect(verification).toMatchObject({ valid: false, brokenAt: 0, reason: 'content_mismatch' });
+  });
+
+  it('should detect removed, reordered or edited chain entries', async () => {
+    await addChunk('audio', 'audio-a', 1000);
+    await addChunk('photo', 'photo-b', 2000);
+    await addChunk('audio', 'audio-c', 3000);
+    const { chunks } = (await getManifest())[emergencyId];
+
+    expect((await verifyChain(emergencyId, [chunks[0], chunks[2]])).reason).toBe('missing_chunk');
+    expect((await verifyChain(emergencyId, [chunks[0], { ...chunks[1], capturedAt: 2500 }, chunks[2]])).reason)
+      .toBe('chain_hash_mismatch');
+    expect((await verifyChain(emergencyId, [{ ...chunks[1], index: 0 }, { ...chunks[0], index: 1 }])).reason)
+      .toBe('broken_link');
+    // The chain starts from the emergency id and cannot be moved to another emergency
+    expect((await verifyChain('emergency-2', chunks)).reason).toBe('broken_link');
+  });
+
+  it('should record audio in chunks and link the uploads to the emergency record', async () => {
+    await evidenceService.startCapture({ emergencyId, userId });
+    expect(evidenceService.isCapturing()).toBe(true);
+
+    await jest.advanceTimersByTimeAsync(30000);
+    await jest.advanceTimersByTimeAsync(30000);
+    await evidenceService.uploadPending();
+
+    expect(record.evidenceCount).toBe(2);
+    expect(record.evidence['0_audio']).toMatchObject({
+      index: 0,
+      type: 'audio',
+      storagePath: 'emergency-evidence/user-123/emergency-1/0_audio.m4a',
+      downloadURL: 'https://storage.example/emergency-evidence/user-123/emergency-1/0_audio.m4a'
+    });
+    expect(record.evidenceHead).toBe(record.evidence['1_audio'].chainHash);
+    // Uploaded chunks no longer take up space on the device
+    expect(files.has('file://documents/evidence/emergency-1/0_audio.m4a')).toBe(false);
+
+    expect(await evidenceService.verifyRecordedEvidence(emergencyId)).toMatchObject({ valid: true, verifiedCount: 2 });
+  });
+
+  it('should keep the partial recording when capture stops', async () => {
+    await evidenceService.startCapture({ emergencyId, userId });
+    await jest.advanceTimersByTimeAsync(10000);
+
+    await evidenceService.stopCapture();
+    await evidenceService.uploadPending();
+
+    expect(evidenceService.isCapturing()).toBe(false);
+    expect(Object.keys(record.evidence)).toEqual(['0_audio']);
+    expect(Audio.Recording.createAsync).toHaveBeenCalledTimes(1);
+  });
+
+  it('should queue chunks while offline and upload them in order later', async () => {
+    uploadEmergencyEvidence.mockRejectedValue(new Error('Failed to upload emergency evidence'));
+    await addChunk('audio', 'audio-a', 1000);
+    await addChunk('photo', 'photo-b', 2000);
+
+    const offline = await evidenceService.uploadPending();
+
+    expect(offline).toMatchObject({ success: false, uploaded: 0, failed: 1 });
+    // Stops at the first failure instead of uploading past a gap
+    expect(uploadEmergencyEvidence).toHaveBeenCalledTimes(1);
+    const { chunks } = (await getManifest())[emergencyId];
+    expect(chunks.map(chunk => chunk.uploaded)).toEqual([false, false]);
+    expect(chunks[0].lastError).toBe('Failed to upload emergency evidence');
+
+    uploadEmergencyEvidence.mockImplementation(async (uri, path) => `https://storage.example/${path}`);
+    const online = await evidenceService.uploadPending();
+
+    expect(online).toMatchObject({ success: true, uploaded: 2 });
+    expect(uploadEmergencyEvidence.mock.calls.slice(1).map(call => call[1])).toEqual([
+      'emergency-evidence/user-123/emergency-1/0_audio.m4a',
+      'emergency-evidence/user-123/emergency-1/1_photo.jpg'
+    ]);
+  });
+
+  it('should flag a recorded chain whose last chunk was removed', async () => {
+    await addChunk('audio', 'audio-a', 1000);
+    await addChunk('audio', 'audio-b', 2000);
+    await evidenceService.uploadPending();
+    delete record.evidence['1_audio'];
+
+    const verification = await evidenceService.verifyRecordedEvidence(emergencyId);
+
+    expect(verification).toMatchObject({ valid: false, reason: 'head_mismatch' });
+  });
+
+  it('should still capture photos when microphone access is denied', async () => {
+    Audio.requestPermissionsAsync.mockResolvedValue({ granted: false });
+    const takePicture = jest.fn(async () => {
+      files.set('file://cache/photo.jpg', 'photo');
+      return { uri: 'file://cache/photo.jpg' };
+    });
+
+    const result = await evidenceService.startCapture({ emergencyId, userId });
+    evidenceService.setPhotoSource(takePicture);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(result).toMatchObject({ success: true, audio: false });
+    expect(takePicture).toHaveBeenCalled();
+    const { chunks } = (await getManifest())[emergencyId];
+    expect(chunks.map(chunk => chunk.type)).toEqual(['photo']);
+    evidenceService.setPhotoSource(null);
+  });
+});
@@ -0,0 +1,184 @@
+import { Accelerometer } from 'expo-sensors';
+import {
+  createDetectorState,
+  detectFalls,
+  getDetectorConfig,
+  getMagnitude,
+  processSample
+} from '../../../services/emergency/fallDetector';
+import { fallDetectionService } from '../../../services/emergency/fallDetectionService';
+
+jest.mock('expo-sensors', () => ({
+  Accelerometer: {
+    isAvailableAsync: jest.fn(),
+    setUpdateInterval: jest.fn(),
+    addListener: jest.fn()
+  }
+}));
+
+// Build traces the way the accelerometer reports them: one sample every 50 ms,
+// magnitude along z with a deterministic wobble
+const SAMPLE_MS = 50;
+
+const createTrace = () => {
+  const samples = [];
+  let time = 0;
+
+  const trace = {
+    add: (durationMs, magnitudeAt) => {
+      for (let elapsed = 0; elapsed < durationMs; elapsed += SAMPLE_MS) {
+        samples.push({ x: 0, y: 0, z: magnitudeAt(elapsed, samples.length), timestamp: time });
+        time += SAMPLE_MS;
+      }
+      return trace;
+    },
+    walk: (durationMs) => trace.add(durationMs, (_, i) => 1 + 0.45 * Math.sin(i * 1.3)),
+    run: (durationMs) => trace.add(durationMs, (_, i) => (i % 8 === 0 ? 2.5 : 1 + 0.6 * Math.sin(i))),
+    drive: (durationMs) => trace.add(durationMs, (_, i) => 1 + 0.08 * Math.sin(i * 2.1)),
+    freeFall: (durationMs) => trace.add(durationMs, () => 0.1),
+    impact: (peakG) => trace.add(100, () => peakG).add(300, (_, i) => 1.6 + 0.3 * Math.sin(i)),
+    still: (durationMs) => trace.add(durationMs, (_, i) => 1 + 0.02 * Math.sin(i * 0.7)),
+    samples
+  };
+  return trace;
+};
+
+describe('Fall Detector', () => {
+  const medium = getDetectorConfig('MEDIUM');
+
+  it('should compute the acceleration magnitude', () => {
+    expect(getMagnitude({ x: 0.6, y: 0, z: 0.8 })).toBeCloseTo(1);
+  });
+
+  it('should detect a fall: free fall, impact, then lying still', () => {
+    const { samples } = createTrace().walk(2000).freeFall(350).impact(4.2).still(5000);
+
+    const events = detectFalls(samples, medium);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: 'fall', peakG: 4.2, impactAt: 2350 });
+    expect(events[0].freeFallMs).toBeGreaterThanOrEqual(300);
+    // Settle for a second, then three seconds of stillness
+    expect(events[0].detectedAt).toBe(2350 + 1000 + 3000);
+  });
+
+  it('should detect a crash without free fall as an impact', () => {
+    const { samples } = createTrace().drive(3000).impact(6).still(5000);
+
+    const events = detectFalls(samples, medium);
+
+    expect(events).toEqual([expect.objectContaining({ type: 'impact', freeFallMs: 0, peakG: 6 })]);
+  });
+
+  it('should not trigger when the user gets up and moves after the impact', () => {
+    const { samples } = createTrace().walk(1000).freeFall(300).impact(4).walk(15000);
+
+    expect(detectFalls(samples, medium)).toEqual([]);
+  });
+
+  it('should not trigger when stillness only starts long after the impact', () => {
+    const { samples } = createTrace().impact(4).walk(12000).still(5000);
+
+    expect(detectFalls(samples, medium)).toEqual([]);
+  });
+
+  it('should ignore running followed by rest at medium sensitivity but not at high', () => {
+    const { samples } = createTrace().run(5000).still(5000);
+
+    expect(detectFalls(samples, medium)).toEqual([]);
+    expect(detectFalls(samples, getDetectorConfig('HIGH'))).toHaveLength(1);
+  });
+
+  it('should need a harder impact at low sensitivity', () => {
+    const { samples } = createTrace().walk(1000).impact(3).still(6000);
+
+    expect(detectFalls(samples, medium)).toHaveLength(1);
+    expect(detectFalls(samples, getDetectorConfig('LOW'))).toEqual([]);
+  });
+
+  it('should restart the stillness wait on a second impact', () => {
+    const { samples } = createTrace().impact(4).still(2000).impact(5).still(5000);
+
+    const events = detectFalls(samples, medium);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ peakG: 5, impactAt: 2400 });
+  });
+
+  it('should report only one detection during the cooldown', () => {
+    const { samples } = createTrace()
+      .freeFall(300).impact(4).still(5000)
+      .freeFall(300).impact(4).still(5000);
+
+    expect(detectFalls(samples, medium)).toHaveLength(1);
+  });
+
+  it('should not change the state it is given', () => {
+    const state = createDetectorState();
+    const snapshot = JSON.stringify(state);
+
+    processSample(state, { x: 0, y: 0, z: 5, timestamp: 0 }, medium);
+
+    expect(JSON.stringify(state)).toBe(snapshot);
+  });
+
+  it('should fall back to medium for an unknown sensitivity', () => {
+    expect(getDetectorConfig('EXTREME')).toEqual(medium);
+  });
+});
+
+describe('Fall Detection Service', () => {
+  let sensorListener;
+  const remove = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Accelerometer.isAvailableAsync.mockResolvedValue(true);
+    Accelerometer.addListener.mockImplementation((listener) => {
+      sensorListener = listener;
+      return { remove };
+    });
+  });
+
+  afterEach(() => {
+    fallDetectionService.stop();
+  });
+
+  it('should feed accelerometer samples to the detector and report detections', async () => {
+    const listener = jest.fn();
+    const unsubscribe = fallDetectionService.subscribe(listener);
+    const now = jest.spyOn(Date, 'now');
+
+    await fallDetectionService.start('MEDIUM');
+    expect(Accelerometer.setUpdateInterval).toHaveBeenCalledWith(50);
+
+    createTrace().freeFall(300).impact(4).still(5000).samples.forEach(sample => {
+      now.mockReturnValue(sample.timestamp);
+      sensorListener({ x: sample.x, y: sample.y, z: sample.z });
+    });
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'fall' }));
+    unsubscribe();
+    now.mockRestore();
+  });
+
+  it('should not start without an accelerometer', async () => {
+    Accelerometer.isAvailableAsync.mockResolvedValue(false);
+
+    const result = await fallDetectionService.start();
+
+    expect(result.success).toBe(false);
+    expect(fallDetectionService.isRunning()).toBe(false);
+  });
+
+  it('should persist settings and reject unknown sensitivities', async () => {
+    const updated = await fallDetectionService.updateSettings({ enabled: true, sensitivity: 'HIGH' });
+    expect(updated.settings).toMatchObject({ enabled: true, sensitivity: 'HIGH', countdownSeconds: 30 });
+
+    const { settings } = await fallDetectionService.getSettings();
+    expect(settings.sensitivity).toBe('HIGH');
+
+    const invalid = await fallDetectionService.updateSettings({ sensitivity: 'EXTREME' });
+    expect(invalid.success).toBe(false);
+  });
+});
@@ -0,0 +1,97 @@
+import * as SecureStore from 'expo-secure-store';
+import { medicalProfileService } from '../../../services/emergency/medicalProfileService';
+import { privacyService } from '../../../services/privacy/privacyService';
+
+jest.mock('../../../services/privacy/privacyService', () => ({
+  privacyService: {
+    hasConsent: jest.fn(),
+    getPrivacySettings: jest.fn(),
+    updatePrivacySettings: jest.fn()
+  }
+}));
+
+describe('Medical Profile Service', () => {
+  const medicalInfo = {
+    bloodType: ' o+ ',
+    allergies: 'Penicillin',
+    medications: 'Salbutamol inhaler',
+    conditions: 'Asthma',
+    insurance: { provider: 'TravelSure', policyNumber: 'TS-1234', phoneNumber: '+44-20-0000-0000' },
+    doctor: { name: 'Dr. Patel', phoneNumber: '+91-98-0000-0000' }
+  };
+
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = {};
+    SecureStore.setItemAsync.mockImplementation(async (key, value) => {
+      store[key] = value;
+    });
+    SecureStore.getItemAsync.mockImplementation(async (key) => store[key] || null);
+    SecureStore.deleteItemAsync.mockImplementation(async (key) => {
+      delete store[key];
+    });
+    privacyService.hasConsent.mockResolvedValue(true);
+  });
+
+  it('should keep the medical ID in SecureStore for its owner only', async () => {
+    const saved = await medicalProfileService.saveProfile('user-1', medicalInfo);
+
+    expect(saved.success).toBe(true);
+    expect(saved.profile.bloodType).toBe('O+');
+    expect(SecureStore.setItemAsync).toHaveBeenCalledWith('medical_profile', expect.any(String));
+
+    const own = await medicalProfileService.getProfile('user-1');
+    expect(own.profile.doctor).toEqual({ name: 'Dr. Patel', phoneNumber: '+91-98-0000-0000' });
+
+    const other = await medicalProfileService.getProfile('user-2');
+    expect(other).toEqual({ success: true, profile: null });
+  });
+
+  it('should reject an invalid blood group', async () => {
+    const result = await medicalProfileService.saveProfile('user-1', { bloodType: 'C+' });
+
+    expect(result).toEqual({ success: false, error: 'Invalid blood type format (e.g., A+, O-, AB+)' });
+    expect(SecureStore.setItemAsync).not.toHaveBeenCalled();
+  });
+
+  it('should only show the lock screen card when the user allowed it', async () => {
+    await medicalProfileService.saveProfile('user-1', medicalInfo);
+    expect((await medicalProfileService.getLockScreenProfile()).profile).toBeNull();
+
+    await medicalProfileService.saveProfile('user-1', { ...medicalInfo, showOnLockScreen: true });
+    expect((await medicalProfileService.getLockScreenProfile()).profile.allergies).toBe('Penicillin');
+  });
+
+  it('should attach the medical ID to alerts only with consent', async () => {
+    await medicalProfileService.saveProfile('user-1', medicalInfo);
+
+    const attachment = await medicalProfileService.getEmergencyAttachment({ id: 'user-1' });
+    expect(privacyService.hasConsent).toHaveBeenCalledWith('user-1', 'medicalDataSharing');
+    expect(attachment.summaryLines[0]).toBe('Blood group: O+');
+    expect(attachment.summaryLines).toContain('Allergies: Penicillin');
+    expect(attachment.profile).not.toHaveProperty('showOnLockScreen');
+
+    privacyService.hasConsent.mockResolvedValue(false);
+    expect(await medicalProfileService.getEmergencyAttachment({ id: 'user-1' })).toBeNull();
+  });
+
+  it('should not share an empty medical ID', async () => {
+    await medicalProfileService.saveProfile('user-1', {});
+
+    expect(await medicalProfileService.getShareableProfile('user-1')).toBeNull();
+  });
+
+  it('should record sharing consent in the privacy settings', async () => {
+    privacyService.getPrivacySettings.mockResolvedValue({ locationTracking: true, medicalDataSharing: false });
+
+    const result = await medicalProfileService.setSharingConsent('user-1', true);
+
+    expect(result.success).toBe(true);
+    expect(privacyService.updatePrivacySettings).toHaveBeenCalledWith('user-1', {
+      locationTracking: true,
+      medicalDataSharing: true
+    });
+  });
+});
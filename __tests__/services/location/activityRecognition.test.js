@@ -0,0 +1,167 @@
+import { DeviceEventEmitter } from 'react-native';
+import * as Location from 'expo-location';
+import { classifyActivity, extractMovementFeatures, updateActivity } from '../../../utils/activityRecognition';
+import { smartLocationTracker } from '../../../services/performance/smartLocationTracker';
+import { performanceOptimizer } from '../../../services/performance/performanceOptimizer';
+import { messagingService } from '../../../services/firebase/messaging';
+import { ACTIVITY_TYPES, NOTIFICATION_TYPES } from '../../../utils/constants';
+
+jest.mock('react-native', () => ({
+  Platform: { OS: 'ios', select: jest.fn((obj) => obj.ios || obj.default) },
+  AppState: { currentState: 'active', addEventListener: jest.fn() },
+  DeviceEventEmitter: { emit: jest.fn(), addListener: jest.fn(), removeAllListeners: jest.fn() }
+}));
+jest.mock('expo-device', () => ({}));
+jest.mock('../../../services/firebase/messaging', () => ({
+  messagingService: {
+    scheduleNotification: jest.fn()
+  }
+}));
+
+describe('Activity recognition', () => {
+  const start = 1740000000000;
+  const origin = { latitude: 48.8566, longitude: 2.3522 };
+  const METERS_PER_DEGREE = 111320;
+  const lonScale = Math.cos(origin.latitude * Math.PI / 180);
+
+  // Fix offset from the origin by metres east and north, with no reported speed
+  const fix = (east, north, seconds) => ({
+    latitude: origin.latitude + north / METERS_PER_DEGREE,
+    longitude: origin.longitude + east / (METERS_PER_DEGREE * lonScale),
+    accuracy: 10,
+    timestamp: new Date(start + seconds * 1000)
+  });
+
+  // Travel east with speeds (m/s) given per 5 s interval
+  const travel = (speeds) => {
+    let east = 0;
+    return [fix(0, 0, 0), ...speeds.map((speed, i) => {
+      east += speed * 5;
+      return fix(east, 0, (i + 1) * 5);
+    })];
+  };
+
+  const run = (fixes) => fixes.reduce(
+    (result, location) => updateActivity(result.state, location),
+    { state: null }
+  );
+
+  const repeat = (pattern, times) => Array.from({ length: times }, () => pattern).flat();
+
+  it('should classify stationary, walking, cycling, vehicle and train movement', () => {
+    const wander = Array.from({ length: 12 }, (_, i) => fix(Math.sin(i), Math.cos(i), i * 5));
+
+    expect(run(wander).activity).toBe(ACTIVITY_TYPES.STATIONARY);
+    expect(run(travel(repeat([1.3, 1.5], 6))).activity).toBe(ACTIVITY_TYPES.WALKING);
+    expect(run(travel(repeat([5, 5.5, 6, 5.5], 3))).activity).toBe(ACTIVITY_TYPES.CYCLING);
+    expect(run(travel(repeat([0, 6, 13, 14, 8, 0], 2))).activity).toBe(ACTIVITY_TYPES.IN_VEHICLE);
+    expect(run(travel(repeat([30, 30.5, 31, 30.5], 3))).activity).toBe(ACTIVITY_TYPES.ON_TRAIN);
+  });
+
+  it('should measure heading variance and stop-and-go from the fixes', () => {
+    const straight = run(travel(repeat([13], 10)));
+    const zigzag = run([0, 1, 2, 3, 4, 5, 6].map(i => fix(i * 50, (i % 2) * 50, i * 5)));
+
+    expect(straight.features.headingVariance).toBeLessThan(0.01);
+    expect(zigzag.features.headingVariance).toBeGreaterThan(0.2);
+    expect(extractMovementFeatures(run(travel(repeat([0, 12], 5))).state.samples).stopFraction).toBeGreaterThan(0.4);
+  });
+
+  it('should wait for the new activity to repeat before switching', () => {
+    const walking = run(travel(repeat([1.4], 8)));
+    const lastEast = 8 * 1.4 * 5;
+
+    // One burst of speed is not enough to leave walking
+    const burst = updateActivity(walking.state, fix(lastEast + 150, 0, 45));
+    expect(burst).toMatchObject({ activity: ACTIVITY_TYPES.WALKING, changed: false });
+
+    const confirmed = updateActivity(burst.state, fix(lastEast + 300, 0, 50));
+    expect(confirmed).toMatchObject({ activity: ACTIVITY_TYPES.IN_VEHICLE, changed: true });
+  });
+
+  it('should not classify from too few fixes', () => {
+    expect(classifyActivity(extractMovementFeatures([]))).toBe(ACTIVITY_TYPES.UNKNOWN);
+    expect(run(travel([1.4, 1.4])).activity).toBe(ACTIVITY_TYPES.UNKNOWN);
+  });
+
+  describe('smartLocationTracker', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      smartLocationTracker.stopSmartTracking();
+      performanceOptimizer.performanceState.locationTrackingMode = 'active';
+      messagingService.scheduleNotification.mockResolvedValue({ success: true, id: 'notification-1' });
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('should pick the tracking interval for the activity', () => {
+      const intervals = performanceOptimizer.locationTrackingIntervals;
+      const state = smartLocationTracker.trackingState;
+
+      state.activity = ACTIVITY_TYPES.IN_VEHICLE;
+      expect(smartLocationTracker.getOptimalInterval()).toBe(intervals.inVehicle);
+
+      state.activity = ACTIVITY_TYPES.ON_TRAIN;
+      expect(smartLocationTracker.getOptimalInterval()).toBe(intervals.onTrain);
+
+      state.activity = ACTIVITY_TYPES.STATIONARY;
+      expect(smartLocationTracker.getOptimalInterval()).toBe(intervals.stationary);
+
+      // Battery saving can only lengthen the interval
+      state.activity = ACTIVITY_TYPES.WALKING;
+      performanceOptimizer.performanceState.locationTrackingMode = 'background';
+      expect(smartLocationTracker.getOptimalInterval()).toBe(intervals.background);
+
+      state.emergencyMode = true;
+      expect(smartLocationTracker.getOptimalInterval()).toBe(intervals.emergency);
+    });
+
+    it('should watch the location at the interval for the activity', async () => {
+      Location.getForegroundPermissionsAsync.mockResolvedValue({ status: 'granted' });
+      Location.watchPositionAsync.mockResolvedValue({ remove: jest.fn() });
+      smartLocationTracker.trackingState.activity = ACTIVITY_TYPES.IN_VEHICLE;
+
+      const result = await smartLocationTracker.startSmartTracking(jest.fn());
+      smartLocationTracker.stopSmartTracking();
+
+      expect(result.success).toBe(true);
+      expect(Location.watchPositionAsync).toHaveBeenCalledWith(
+        expect.objectContaining({ timeInterval: performanceOptimizer.locationTrackingIntervals.inVehicle }),
+        expect.any(Function)
+      );
+    });
+
+    it('should warn once when a ride goes round in circles', () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+      const callback = jest.fn();
+
+      // Three laps of a 300 m circle at 10 m/s, one fix every 5 s
+      const radius = 300;
+      for (let i = 0; i <= 120; i++) {
+        const angle = (i * 50) / radius;
+        jest.setSystemTime(start + i * 5000);
+        smartLocationTracker.handleLocationUpdate(
+          fix(radius * Math.sin(angle), radius - radius * Math.cos(angle), i * 5),
+          callback
+        );
+      }
+
+      expect(smartLocationTracker.trackingState.activity).toBe(ACTIVITY_TYPES.IN_VEHICLE);
+      expect(DeviceEventEmitter.emit).toHaveBeenCalledWith('location:activityChanged', expect.objectContaining({
+        activity: ACTIVITY_TYPES.IN_VEHICLE
+      }));
+      expect(messagingService.scheduleNotification).toHaveBeenCalledTimes(1);
+      expect(messagingService.scheduleNotification).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.any(String),
+        expect.objectContaining({ type: NOTIFICATION_TYPES.VEHICLE_ROUTE }),
+        null
+      );
+
+      jest.useRealTimers();
+    });
+  });
+});
@@ -85,6 +85,119 @@ describe('geoFencingService', () => {
     });
   });
 
+  describe('zone shapes and overlaps', () => {
+    const square = (latitude, longitude, half) => [
+      { latitude: latitude - half, longitude: longitude - half },
+      { latitude: latitude - half, longitude: longitude + half },
+      { latitude: latitude + half, longitude: longitude + half },
+      { latitude: latitude + half, longitude: longitude - half }
+    ];
+
+    const shapedZones = [
+      {
+        id: 'old_town',
+        safetyLevel: 'safe',
+        geometry: {
+          type: 'MultiPolygon',
+          polygons: [
+            [square(28.62, 77.21, 0.01), square(28.62, 77.21, 0.002)],
+            [square(28.70, 77.30, 0.005)]
+          ]
+        }
+      },
+      {
+        id: 'night_market',
+        safetyLevel: 'caution',
+        geometry: { type: 'Circle', center: { latitude: 28.625, longitude: 77.215 }, radius: 300 }
+      },
+      {
+        id: 'rail_yard',
+        safetyLevel: 'restricted',
+        geometry: { type: 'Polygon', rings: [square(28.626, 77.216, 0.0005)] }
+      }
+    ];
+
+    it('should exclude holes and include every part of a multipolygon', async () => {
+      const inHole = await geoFencingService.checkSafetyZone({ latitude: 28.62, longitude: 77.21 }, shapedZones);
+      const inRing = await geoFencingService.checkSafetyZone({ latitude: 28.615, longitude: 77.21 }, shapedZones);
+      const inSecondPart = await geoFencingService.checkSafetyZone({ latitude: 28.70, longitude: 77.30 }, shapedZones);
+
+      expect(inHole.zone).toBeNull();
+      expect(inRing.zone.id).toBe('old_town');
+      expect(inSecondPart.zone.id).toBe('old_town');
+    });
+
+    it('should measure circles in metres', () => {
+      // About 270 m and 330 m north of the centre
+      expect(geoFencingService.isPointInZone({ latitude: 28.62743, longitude: 77.215 }, shapedZones[1])).toBe(true);
+      expect(geoFencingService.isPointInZone({ latitude: 28.62797, longitude: 77.215 }, shapedZones[1])).toBe(false);
+    });
+
+    it('should resolve overlapping zones by priority, not order', async () => {
+      const point = { latitude: 28.626, longitude: 77.216 };
+
+      const result = await geoFencingService.checkSafetyZone(point, shapedZones);
+      const reversed = await geoFencingService.checkSafetyZone(point, [...shapedZones].reverse());
+
+      expect(result.zone.id).toBe('rail_yard');
+      expect(result.zones.map(zone => zone.id)).toEqual(['rail_yard', 'night_market', 'old_town']);
+      expect(reversed.zone.id).toBe('rail_yard');
+    });
+
+    it('should use zone priority within the same level', async () => {
+      const zones = [
+        { id: 'low', safetyLevel: 'caution', coordinates: square(28.62, 77.21, 0.01) },
+        { id: 'high', safetyLevel: 'caution', priority: 5, coordinates: square(28.62, 77.21, 0.01) }
+      ];
+
+      const result = await geoFencingService.checkSafetyZone({ latitude: 28.62, longitude: 77.21 }, zones);
+
+      expect(result.zone.id).toBe('high');
+    });
+
+    it('should handle zones across the antimeridian', () => {
+      const fiji = {
+        id: 'fiji',
+        safetyLevel: 'safe',
+        coordinates: [
+          { latitude: -16.5, longitude: 179.5 },
+          { latitude: -16.5, longitude: -179.5 },
+          { latitude: -17.5, longitude: -179.5 },
+          { latitude: -17.5, longitude: 179.5 }
+        ]
+      };
+
+      expect(geoFencingService.isPointInZone({ latitude: -17, longitude: 179.9 }, fiji)).toBe(true);
+      expect(geoFencingService.isPointInZone({ latitude: -17, longitude: -179.9 }, fiji)).toBe(true);
+      expect(geoFencingService.isPointInZone({ latitude: -17, longitude: 178 }, fiji)).toBe(false);
+    });
+
+    it('should match a linear scan over thousands of zones', async () => {
+      const levels = ['safe', 'caution', 'restricted'];
+      const zones = Array.from({ length: 3000 }, (_, i) => ({
+        id: `zone_${i}`,
+        safetyLevel: levels[i % 3],
+        ...(i % 2 === 0
+          ? { coordinates: square(28 + (i % 60) * 0.01, 77 + Math.floor(i / 60) * 0.01, 0.008) }
+          : { geometry: { type: 'Circle', center: { latitude: 28 + (i % 60) * 0.01, longitude: 77 + Math.floor(i / 60) * 0.01 }, radius: 900 } })
+      }));
+      const priority = { restricted: 3, caution: 2, safe: 1 };
+
+      for (let i = 0; i < 50; i++) {
+        const point = { latitude: 28 + (i * 7 % 60) * 0.0103, longitude: 77 + (i * 13 % 50) * 0.0097 };
+        const expected = zones
+          .map((zone, order) => ({ zone, order }))
+          .filter(({ zone }) => geoFencingService.isPointInZone(point, zone))
+          .sort((a, b) => priority[b.zone.safetyLevel] - priority[a.zone.safetyLevel] || a.order - b.order)
+          .map(({ zone }) => zone.id);
+
+        const result = await geoFencingService.checkSafetyZone(point, zones);
+
+        expect(result.zones.map(zone => zone.id)).toEqual(expected);
+      }
+    });
+  });
+
   describe('calculateAdvancedSafetyScore', () => {
     it('should calculate safety score with time factors', async () => {
       const location = { latitude: 28.6140, longitude: 77.2095 };
@@ -0,0 +1,163 @@
+import { getSignedDistance } from '../../../utils/geofence';
+import { GEOFENCE_EVENTS, STORAGE_KEYS } from '../../../utils/constants';
+
+describe('geofenceEventService', () => {
+  const SECOND = 1000;
+  const METERS_PER_DEGREE = 111195;
+
+  // Circle of 100 m around (10, 10); fixes are placed by their distance from the centre
+  const zones = [
+    {
+      id: 'zone_market',
+      name: 'Night Market',
+      safetyLevel: 'caution',
+      geometry: { type: 'Circle', center: { latitude: 10, longitude: 10 }, radius: 100 }
+    }
+  ];
+  const fixAt = (metersFromCenter, accuracy = 5) => ({
+    latitude: 10 + metersFromCenter / METERS_PER_DEGREE,
+    longitude: 10,
+    accuracy
+  });
+
+  let AsyncStorage;
+  let geofenceEventService;
+  let events;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    AsyncStorage = require('@react-native-async-storage/async-storage');
+    await AsyncStorage.clear();
+    ({ geofenceEventService } = require('../../../services/location/geofenceEventService'));
+    events = [];
+    geofenceEventService.subscribe(event => events.push(event));
+  });
+
+  it('should measure the signed distance to a zone border', () => {
+    expect(getSignedDistance(fixAt(50), zones[0])).toBeCloseTo(-50, 0);
+    expect(getSignedDistance(fixAt(130), zones[0])).toBeCloseTo(30, 0);
+
+    const square = {
+      coordinates: [
+        { latitude: 0, longitude: 0 },
+        { latitude: 0, longitude: 0.01 },
+        { latitude: 0.01, longitude: 0.01 },
+        { latitude: 0.01, longitude: 0 }
+      ]
+    };
+    expect(getSignedDistance({ latitude: 0.005, longitude: 0.009 }, square)).toBeCloseTo(-111.3, 0);
+    expect(getSignedDistance({ latitude: 0.005, longitude: 0.011 }, square)).toBeCloseTo(111.3, 0);
+  });
+
+  it('should only fire ENTER once the user has stayed inside for the confirm time', async () => {
+    await geofenceEventService.processLocation(fixAt(50), zones, 0);
+    await geofenceEventService.processLocation(fixAt(50), zones, 5 * SECOND);
+    expect(events).toHaveLength(0);
+
+    const result = await geofenceEventService.processLocation(fixAt(40), zones, 12 * SECOND);
+
+    expect(result.events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      type: GEOFENCE_EVENTS.ENTER,
+      zoneId: 'zone_market',
+      zoneName: 'Night Market',
+      safetyLevel: 'caution',
+      timestamp: 12 * SECOND
+    });
+  });
+
+  it('should not fire repeated events for a fix jittering across the border', async () => {
+    await geofenceEventService.processLocation(fixAt(50), zones, 0);
+    await geofenceEventService.processLocation(fixAt(50), zones, 10 * SECOND);
+    events.length = 0;
+
+    // Back and forth across the 100 m border, never far enough out for long enough
+    const jitter = [103, 97, 110, 92, 125, 99, 115];
+    for (let i = 0; i < jitter.length; i++) {
+      await geofenceEventService.processLocation(fixAt(jitter[i], 10), zones, (20 + i * 10) * SECOND);
+    }
+    expect(events).toHaveLength(0);
+
+    // Clearly outside for longer than the exit confirm time
+    await geofenceEventService.processLocation(fixAt(150), zones, 100 * SECOND);
+    await geofenceEventService.processLocation(fixAt(160), zones, 135 * SECOND);
+
+    expect(events.map(event => event.type)).toEqual([GEOFENCE_EVENTS.EXIT]);
+    expect(events[0].dwellMs).toBe(135 * SECOND);
+  });
+
+  it('should use the fix accuracy as the exit margin', async () => {
+    await geofenceEventService.processLocation(fixAt(50), zones, 0);
+    await geofenceEventService.processLocation(fixAt(50), zones, 10 * SECOND);
+    events.length = 0;
+
+    // 30 m outside, but with 40 m accuracy the user may still be inside
+    await geofenceEventService.processLocation(fixAt(130, 40), zones, 20 * SECOND);
+    await geofenceEventService.processLocation(fixAt(130, 40), zones, 60 * SECOND);
+
+    expect(events).toHaveLength(0);
+  });
+
+  it('should fire DWELL once after staying in a zone', async () => {
+    await geofenceEventService.processLocation(fixAt(50), zones, 0);
+    await geofenceEventService.processLocation(fixAt(50), zones, 10 * SECOND);
+    await geofenceEventService.processLocation(fixAt(60), zones, 4 * 60 * SECOND);
+    await geofenceEventService.processLocation(fixAt(60), zones, 5 * 60 * SECOND);
+    await geofenceEventService.processLocation(fixAt(60), zones, 8 * 60 * SECOND);
+
+    expect(events.map(event => event.type)).toEqual([GEOFENCE_EVENTS.ENTER, GEOFENCE_EVENTS.DWELL]);
+    expect(events[1].dwellMs).toBe(5 * 60 * SECOND);
+  });
+
+  it('should ignore fixes with poor accuracy', async () => {
+    const first = await geofenceEventService.processLocation(fixAt(50, 80), zones, 0);
+    await geofenceEventService.processLocation(fixAt(50, 80), zones, 20 * SECOND);
+
+    expect(first.skipped).toBe('accuracy');
+    expect(events).toHaveLength(0);
+    expect(await geofenceEventService.getZoneStates()).toEqual({});
+  });
+
+  it('should deliver events only to subscribers whose filter matches', async () => {
+    const enters = [];
+    const otherZone = [];
+    geofenceEventService.subscribe(event => enters.push(event), { types: [GEOFENCE_EVENTS.ENTER] });
+    geofenceEventService.subscribe(event => otherZone.push(event), { zoneIds: ['zone_other'] });
+    const unsubscribe = geofenceEventService.subscribe(() => {
+      throw new Error('subscriber failed');
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await geofenceEventService.processLocation(fixAt(50), zones, 0);
+    await geofenceEventService.processLocation(fixAt(50), zones, 10 * SECOND);
+    unsubscribe();
+    await geofenceEventService.processLocation(fixAt(200), zones, 20 * SECOND);
+    await geofenceEventService.processLocation(fixAt(200), zones, 50 * SECOND);
+
+    expect(events.map(event => event.type)).toEqual([GEOFENCE_EVENTS.ENTER, GEOFENCE_EVENTS.EXIT]);
+    expect(enters.map(event => event.type)).toEqual([GEOFENCE_EVENTS.ENTER]);
+    expect(otherZone).toHaveLength(0);
+    expect(console.error).toHaveBeenCalledTimes(1);
+    console.error.mockRestore();
+  });
+
+  it('should continue from the persisted state in a fresh JS context', async () => {
+    await geofenceEventService.processLocation(fixAt(50), zones, 0);
+    await geofenceEventService.processLocation(fixAt(50), zones, 10 * SECOND);
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.GEOFENCE_STATE);
+    expect(JSON.parse(stored).zone_market.status).toBe('inside');
+
+    // The background task starts with no module state, only what is in storage
+    jest.resetModules();
+    await require('@react-native-async-storage/async-storage').setItem(STORAGE_KEYS.GEOFENCE_STATE, stored);
+    const fresh = require('../../../services/location/geofenceEventService').geofenceEventService;
+    const freshEvents = [];
+    fresh.subscribe(event => freshEvents.push(event));
+
+    await fresh.processLocation(fixAt(60), zones, 20 * SECOND);
+    await fresh.processLocation(fixAt(200), zones, 30 * SECOND);
+    await fresh.processLocation(fixAt(200), zones, 60 * SECOND);
+
+    expect(freshEvents.map(event => event.type)).toEqual([GEOFENCE_EVENTS.EXIT]);
+  });
+});
@@ -0,0 +1,117 @@
+import { filterLocation, FILTER_REJECTIONS } from '../../../utils/locationFilter';
+import { RealTimeLocationService } from '../../../services/location/realTimeLocationService';
+import { calculateDistance } from '../../../utils/helpers';
+
+describe('Location filter', () => {
+  const start = 1740000000000;
+  const origin = { latitude: 48.8566, longitude: 2.3522 };
+  const METERS_PER_DEGREE = 111320;
+  const lonScale = Math.cos(origin.latitude * Math.PI / 180);
+
+  // Fix offset from the origin by metres east and north
+  const fix = (east, north, seconds, accuracy = 10) => ({
+    latitude: origin.latitude + north / METERS_PER_DEGREE,
+    longitude: origin.longitude + east / (METERS_PER_DEGREE * lonScale),
+    accuracy,
+    timestamp: new Date(start + seconds * 1000)
+  });
+  const meters = (a, b) => calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude) * 1000;
+  // Repeatable noise of up to about 15 m
+  const noise = (i) => [15 * Math.sin(i * 12.9898), 15 * Math.cos(i * 78.233)];
+
+  const run = (fixes) => {
+    let state = null;
+    return fixes.map(location => {
+      const result = filterLocation(state, location, { now: null });
+      state = result.state;
+      return result;
+    });
+  };
+
+  it('should steady the track of a standing user', () => {
+    const fixes = Array.from({ length: 30 }, (_, i) => fix(...noise(i), i * 5, 15));
+    const results = run(fixes);
+    const pathLength = (points) => points.slice(1).reduce((sum, point, i) => sum + meters(points[i], point), 0);
+
+    expect(results.every(result => result.rejected === null)).toBe(true);
+    expect(pathLength(results.map(result => result.location))).toBeLessThan(pathLength(fixes) * 0.75);
+    expect(results[29].location.accuracy).toBeLessThan(15);
+    expect(results[29].location.rawAccuracy).toBe(15);
+  });
+
+  it('should estimate speed and heading of a walk', () => {
+    const fixes = Array.from({ length: 40 }, (_, i) => fix(i * 7 + noise(i)[0] / 3, noise(i)[1] / 3, i * 5));
+    const settled = run(fixes).slice(20).map(result => result.location);
+    const average = (key) => settled.reduce((sum, location) => sum + location[key], 0) / settled.length;
+
+    expect(average('speed')).toBeCloseTo(1.4, 0);
+    expect(average('heading')).toBeGreaterThan(75);
+    expect(average('heading')).toBeLessThan(105);
+    expect(settled[0].isFiltered).toBe(true);
+  });
+
+  it('should reject a fix that would need an impossible speed', () => {
+    const results = run([fix(0, 0, 0), fix(5, 0, 5), fix(2000, 0, 10), fix(10, 0, 15)]);
+
+    expect(results[2]).toMatchObject({ location: null, rejected: FILTER_REJECTIONS.SPEED });
+    expect(results[3].rejected).toBeNull();
+    expect(meters(results[3].location, origin)).toBeLessThan(20);
+  });
+
+  it('should reject a jump outside the gate even at a plausible speed', () => {
+    const fixes = Array.from({ length: 10 }, (_, i) => fix(0, 0, i * 5, 5));
+    fixes.push(fix(150, 0, 50, 5));
+
+    const results = run(fixes);
+
+    expect(results[10].rejected).toBe(FILTER_REJECTIONS.GATE);
+  });
+
+  it('should restart the track after repeated rejections', () => {
+    const fixes = Array.from({ length: 5 }, (_, i) => fix(0, 0, i * 5, 5));
+    fixes.push(fix(3000, 0, 30, 5), fix(3002, 0, 35, 5), fix(3004, 0, 40, 5));
+
+    const results = run(fixes);
+
+    expect(results[5].rejected).toBe(FILTER_REJECTIONS.SPEED);
+    expect(results[6].rejected).toBe(FILTER_REJECTIONS.SPEED);
+    expect(results[7]).toMatchObject({ rejected: null, restarted: true });
+    expect(meters(results[7].location, fixes[7])).toBeLessThan(1);
+  });
+
+  it('should reject invalid, inaccurate, stale and out-of-order fixes', () => {
+    const now = start + 60 * 1000;
+    const first = filterLocation(null, fix(0, 0, 55), { now });
+
+    expect(filterLocation(null, { ...fix(0, 0, 55), latitude: 95 }, { now }).rejected).toBe(FILTER_REJECTIONS.INVALID);
+    expect(filterLocation(null, fix(0, 0, 55, 1500), { now }).rejected).toBe(FILTER_REJECTIONS.ACCURACY);
+    expect(filterLocation(null, fix(0, 0, 0), { now }).rejected).toBe(FILTER_REJECTIONS.STALE);
+    expect(filterLocation(first.state, fix(1, 0, 50), { now }).rejected).toBe(FILTER_REJECTIONS.OUT_OF_ORDER);
+  });
+
+  it('should drop outliers before they reach realTimeLocationService listeners', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const service = new RealTimeLocationService();
+    service.trackingOptions = service.configureTrackingOptions();
+    const listener = jest.fn();
+    service.addLocationListener(listener);
+
+    const toRaw = (location) => ({
+      coords: { latitude: location.latitude, longitude: location.longitude, accuracy: location.accuracy },
+      timestamp: location.timestamp.getTime()
+    });
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    jest.setSystemTime(start + 10 * 1000);
+
+    await service.handleLocationUpdate(toRaw(fix(0, 0, 0)));
+    await service.handleLocationUpdate(toRaw(fix(5, 0, 5)));
+    await service.handleLocationUpdate(toRaw(fix(2000, 0, 10)));
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener.mock.calls[1][0].isFiltered).toBe(true);
+    expect(console.warn).toHaveBeenCalledWith(`Location rejected: ${FILTER_REJECTIONS.SPEED}`);
+
+    jest.useRealTimers();
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,225 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { rideSafetyService } from '../../../services/location/rideSafetyService';
+import { locationSharingService } from '../../../services/realtime/locationSharingService';
+import { messagingService } from '../../../services/firebase/messaging';
+import { realTimeLocationService } from '../../../services/location/realTimeLocationService';
+import { uploadRidePhoto } from '../../../services/firebase/storage';
+import {
+  GEOFENCE_EVENTS,
+  NOTIFICATION_TYPES,
+  RIDE_ALERTS,
+  RIDE_STATUS,
+  STORAGE_KEYS
+} from '../../../utils/constants';
+
+jest.mock('../../../services/realtime/locationSharingService', () => ({
+  locationSharingService: {
+    startLocationSharing: jest.fn(),
+    updateSessionProgress: jest.fn(),
+    stopLocationSharing: jest.fn(),
+    createEmergencyLocationSharing: jest.fn()
+  }
+}));
+jest.mock('../../../services/firebase/messaging', () => ({
+  messagingService: {
+    scheduleNotification: jest.fn(),
+    cancelNotification: jest.fn()
+  }
+}));
+jest.mock('../../../services/firebase/storage', () => ({
+  uploadRidePhoto: jest.fn()
+}));
+jest.mock('../../../services/location/realTimeLocationService', () => ({
+  realTimeLocationService: {
+    isTracking: false,
+    trackingOptions: null,
+    addLocationListener: jest.fn(),
+    startRealTimeTracking: jest.fn(),
+    stopRealTimeTracking: jest.fn(),
+    startBackgroundTracking: jest.fn(),
+    stopBackgroundTracking: jest.fn()
+  }
+}));
+
+describe('Ride Safety Service', () => {
+  const SECOND = 1000;
+  const MINUTE = 60 * SECOND;
+  const start = 1740000000000;
+  const KM = 1 / 111.32; // degrees of latitude or longitude per km at the equator
+
+  // About 5 km due east of the pickup
+  const origin = { latitude: 0, longitude: 0 };
+  const destination = { name: 'Hotel', latitude: 0, longitude: 5 * KM };
+  const userProfile = { id: 'user-123', name: 'John Doe' };
+  const contacts = [{ id: 'contact-1', name: 'Spouse', phoneNumber: '+1111111111', email: 'a@b.c' }];
+
+  const fix = (eastKm, northKm) => ({ latitude: northKm * KM, longitude: eastKm * KM, accuracy: 10 });
+
+  const startRide = (overrides = {}) => rideSafetyService.startRide({
+    vehicle: { plateNumber: ' ka01ab1234 ', driverName: 'Ravi' },
+    destination,
+    origin,
+    userProfile,
+    contacts,
+    ...overrides
+  }, start);
+
+  const getStored = async () => JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.RIDE_SAFETY));
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    jest.setSystemTime(start);
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+
+    realTimeLocationService.isTracking = false;
+    realTimeLocationService.addLocationListener.mockReturnValue(jest.fn());
+    realTimeLocationService.startRealTimeTracking.mockResolvedValue({ success: true });
+    realTimeLocationService.stopRealTimeTracking.mockResolvedValue({ success: true });
+    realTimeLocationService.startBackgroundTracking.mockResolvedValue({ success: true });
+    realTimeLocationService.stopBackgroundTracking.mockResolvedValue({ success: true });
+    locationSharingService.startLocationSharing.mockResolvedValue({ success: true, sessionId: 'session-1' });
+    locationSharingService.updateSessionProgress.mockResolvedValue({ success: true });
+    locationSharingService.stopLocationSharing.mockResolvedValue({ success: true });
+    locationSharingService.createEmergencyLocationSharing.mockResolvedValue({ success: true, sessionId: 'emergency-1' });
+    messagingService.scheduleNotification.mockResolvedValue({ success: true, id: 'notification-1' });
+    messagingService.cancelNotification.mockResolvedValue({ success: true });
+    uploadRidePhoto.mockResolvedValue('https://storage.test/ride.jpg');
+  });
+
+  afterEach(async () => {
+    await rideSafetyService.endRide();
+    jest.useRealTimers();
+  });
+
+  it('should share the vehicle details with the chosen contacts', async () => {
+    const result = await startRide({
+      vehicle: { plateNumber: ' ka01ab1234 ', driverName: 'Ravi', photoUri: 'file://plate.jpg' }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.ride).toMatchObject({
+      status: RIDE_STATUS.ACTIVE,
+      vehicle: { plateNumber: 'KA01AB1234', driverName: 'Ravi', photoUrl: 'https://storage.test/ride.jpg' },
+      sharingSessionId: 'session-1',
+      backgroundTracking: true
+    });
+    expect(result.ride.contacts[0]).not.toHaveProperty('email');
+    expect(locationSharingService.startLocationSharing).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-123',
+      reason: 'ride',
+      trackLocation: false,
+      details: expect.objectContaining({ plateNumber: 'KA01AB1234', driverName: 'Ravi', destinationName: 'Hotel' })
+    }));
+    expect(await getStored()).toEqual(result.ride);
+  });
+
+  it('should refuse to start without the plate or a destination', async () => {
+    let result = await startRide({ vehicle: { plateNumber: '  ' } });
+    expect(result).toMatchObject({ success: false, error: expect.stringContaining('plate') });
+
+    result = await startRide({ destination: { name: 'Nowhere' } });
+    expect(result.success).toBe(false);
+    expect(await getStored()).toBeNull();
+    expect(locationSharingService.startLocationSharing).not.toHaveBeenCalled();
+  });
+
+  it('should alert once when the ride leaves the expected route', async () => {
+    await startRide();
+
+    let result = await rideSafetyService.handleLocation(fix(1, 0.2), start + MINUTE);
+    expect(result.ride.offRoute).toBeNull();
+
+    // About 2.5 km north of the straight line; the corridor is 1.75 km for a 5 km ride
+    result = await rideSafetyService.handleLocation(fix(2, 2.5), start + 3 * MINUTE);
+    expect(result.ride.offRoute).toBeTruthy();
+    expect(result.ride.alert).toBeNull();
+
+    result = await rideSafetyService.handleLocation(fix(2.2, 2.6), start + 4 * MINUTE);
+    await rideSafetyService.handleLocation(fix(2.4, 2.7), start + 5 * MINUTE);
+
+    expect(result.ride.alert).toMatchObject({ type: RIDE_ALERTS.ROUTE_DEVIATION });
+    expect(messagingService.scheduleNotification).toHaveBeenCalledTimes(1);
+    expect(messagingService.scheduleNotification).toHaveBeenCalledWith(
+      '🚕 Ride alert',
+      expect.any(String),
+      expect.objectContaining({ type: NOTIFICATION_TYPES.RIDE, alert: RIDE_ALERTS.ROUTE_DEVIATION }),
+      null
+    );
+    expect(locationSharingService.updateSessionProgress).toHaveBeenLastCalledWith(
+      'session-1',
+      expect.any(Object),
+      expect.objectContaining({ plateNumber: 'KA01AB1234', offRoute: true })
+    );
+  });
+
+  it('should alert when the ride heads away from the destination inside the corridor', async () => {
+    await startRide();
+    await rideSafetyService.handleLocation(fix(3, 0), start + 3 * MINUTE);
+
+    await rideSafetyService.handleLocation(fix(1.5, 0), start + 5 * MINUTE);
+    const result = await rideSafetyService.handleLocation(fix(1, 0), start + 6 * MINUTE);
+
+    expect(result.ride.alert).toMatchObject({ type: RIDE_ALERTS.MOVING_AWAY });
+  });
+
+  it('should alert when the ride stops in a restricted zone', async () => {
+    await startRide();
+    await rideSafetyService.handleLocation(fix(2, 0), start + 2 * MINUTE);
+    await rideSafetyService.handleGeofenceEvent({
+      type: GEOFENCE_EVENTS.ENTER,
+      zoneId: 'zone-1',
+      zoneName: 'Old Docks',
+      safetyLevel: 'restricted',
+      timestamp: start + 3 * MINUTE
+    });
+
+    let result = await rideSafetyService.evaluate(start + 3 * MINUTE + 30 * SECOND);
+    expect(result.ride.alert).toBeNull();
+
+    result = await rideSafetyService.evaluate(start + 4 * MINUTE);
+    expect(result.ride.alert).toMatchObject({ type: RIDE_ALERTS.RESTRICTED_STOP, zoneName: 'Old Docks' });
+
+    // Leaving the zone forgets it
+    result = await rideSafetyService.handleGeofenceEvent({
+      type: GEOFENCE_EVENTS.EXIT,
+      zoneId: 'zone-1',
+      safetyLevel: 'restricted',
+      timestamp: start + 5 * MINUTE
+    });
+    expect(result.ride.restrictedZone).toBeNull();
+  });
+
+  it('should alert contacts with emergency sharing once on request', async () => {
+    await startRide();
+    await rideSafetyService.handleLocation(fix(1, 0), start + MINUTE);
+
+    const result = await rideSafetyService.getHelp(start + 2 * MINUTE);
+    await rideSafetyService.getHelp(start + 3 * MINUTE);
+
+    expect(result.ride.status).toBe(RIDE_STATUS.ESCALATED);
+    expect(result.ride.emergencySessionId).toBe('emergency-1');
+    expect(locationSharingService.createEmergencyLocationSharing).toHaveBeenCalledTimes(1);
+    expect(locationSharingService.createEmergencyLocationSharing).toHaveBeenCalledWith(
+      'user-123',
+      [{ id: 'contact-1', name: 'Spouse', phoneNumber: '+1111111111' }]
+    );
+  });
+
+  it('should close the ride on arrival', async () => {
+    await startRide();
+    await rideSafetyService.handleLocation(fix(2, 0), start + 3 * MINUTE);
+
+    const result = await rideSafetyService.handleLocation(fix(4.95, 0), start + 8 * MINUTE);
+
+    expect(result.ride).toMatchObject({ status: RIDE_STATUS.ARRIVED, arrivedAt: start + 8 * MINUTE });
+    expect(rideSafetyService.isActive(result.ride)).toBe(false);
+    expect(locationSharingService.updateSessionProgress).toHaveBeenLastCalledWith(
+      'session-1',
+      expect.any(Object),
+      expect.objectContaining({ status: RIDE_STATUS.ARRIVED, distanceRemaining: 0 })
+    );
+    expect(locationSharingService.stopLocationSharing).toHaveBeenCalledWith('session-1');
+    expect(realTimeLocationService.stopBackgroundTracking).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,119 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { routePlanningService } from '../../../services/location/routePlanning';
+import { buildRoadGraph, findRoute, parseRoadElements } from '../../../utils/routing';
+
+describe('routePlanningService', () => {
+  // 5 x 5 street grid, about 100 m between intersections; node id = row * 10 + column
+  const STEP = 0.0009;
+  const gridElements = (tags = {}) => {
+    const elements = [];
+    for (let row = 0; row < 5; row++) {
+      for (let column = 0; column < 5; column++) {
+        elements.push({ type: 'node', id: row * 10 + column, lat: row * STEP, lon: column * STEP });
+      }
+    }
+    for (let i = 0; i < 5; i++) {
+      elements.push({ type: 'way', id: 100 + i, nodes: [0, 1, 2, 3, 4].map(c => i * 10 + c), tags: { highway: 'residential', ...tags } });
+      elements.push({ type: 'way', id: 200 + i, nodes: [0, 1, 2, 3, 4].map(r => r * 10 + i), tags: { highway: 'footway', ...tags } });
+    }
+    return elements;
+  };
+  const node = (row, column) => ({ latitude: row * STEP, longitude: column * STEP });
+  // Small square around the centre intersection (row 2, column 2)
+  const zoneAroundCentre = (props) => ({
+    id: 'zone_centre',
+    name: 'Centre',
+    coordinates: [
+      { latitude: 2 * STEP - 0.0006, longitude: 2 * STEP - 0.0006 },
+      { latitude: 2 * STEP - 0.0006, longitude: 2 * STEP + 0.0006 },
+      { latitude: 2 * STEP + 0.0006, longitude: 2 * STEP + 0.0006 },
+      { latitude: 2 * STEP + 0.0006, longitude: 2 * STEP - 0.0006 }
+    ],
+    ...props
+  });
+  const day = new Date(2026, 5, 1, 14, 0);
+  const night = new Date(2026, 5, 1, 23, 30);
+
+  const passesCentre = (route) => route.points.some(point => (
+    Math.abs(point.latitude - 2 * STEP) < 1e-9 && Math.abs(point.longitude - 2 * STEP) < 1e-9
+  ));
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ elements: gridElements() })
+    });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('should find the shortest path on the road graph', () => {
+    const graph = buildRoadGraph(parseRoadElements(gridElements()));
+    const route = findRoute(graph, 20, 24);
+
+    expect(route.nodeIds).toEqual([20, 21, 22, 23, 24]);
+    expect(route.cost).toBeCloseTo(400, -1);
+    expect(findRoute(graph, 20, 99)).toBeNull();
+  });
+
+  it('should route the safest option around a restricted zone', async () => {
+    const zones = [zoneAroundCentre({ safetyLevel: 'restricted' })];
+
+    const result = await routePlanningService.planRoutes(node(2, 0), node(2, 4), zones, { now: day });
+
+    expect(result.success).toBe(true);
+    expect(passesCentre(result.fastest)).toBe(true);
+    expect(result.fastest.exposure.restricted).toBeGreaterThan(0);
+    expect(passesCentre(result.safest)).toBe(false);
+    expect(result.safest.exposure.restricted).toBe(0);
+    expect(result.safest.distance).toBeGreaterThan(result.fastest.distance);
+    expect(result.safest.duration).toBeGreaterThan(result.fastest.duration);
+    expect(result.sameRoute).toBe(false);
+  });
+
+  it('should avoid poorly lit zones at night only', async () => {
+    const zones = [zoneAroundCentre({ safetyLevel: 'safe', lightingQuality: 'poor', crowdLevel: 'high' })];
+
+    const byDay = await routePlanningService.planRoutes(node(2, 0), node(2, 4), zones, { now: day });
+    expect(byDay.sameRoute).toBe(true);
+    expect(byDay.isNight).toBe(false);
+
+    const byNight = await routePlanningService.planRoutes(node(2, 0), node(2, 4), zones, { now: night });
+    expect(byNight.isNight).toBe(true);
+    expect(passesCentre(byNight.safest)).toBe(false);
+    expect(byNight.fastest.exposure.unlitAtNight).toBeGreaterThan(0);
+  });
+
+  it('should plan offline from road data cached for the area', async () => {
+    await routePlanningService.planRoutes(node(2, 0), node(2, 4), [], { now: day });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    global.fetch.mockRejectedValue(new Error('Network request failed'));
+    const result = await routePlanningService.planRoutes(node(0, 0), node(4, 4), [], { now: day });
+
+    expect(result.success).toBe(true);
+    expect(result.isOffline).toBe(true);
+    expect(result.fastest.distance).toBeCloseTo(800, -1);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should explain when there is no road data offline', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch.mockRejectedValue(new Error('Network request failed'));
+
+    const result = await routePlanningService.planRoutes(node(2, 0), node(2, 4), [], { now: day });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/not available offline/);
+    console.error.mockRestore();
+  });
+
+  it('should refuse destinations far from any road', async () => {
+    const result = await routePlanningService.planRoutes(node(2, 0), node(2, 30), [], { now: day });
+
+    expect(result).toEqual({ success: false, error: 'No road found near the destination' });
+  });
+});
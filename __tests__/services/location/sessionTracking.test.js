@@ -0,0 +1,77 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { sessionTracking } from '../../../services/location/sessionTracking';
+import { realTimeLocationService } from '../../../services/location/realTimeLocationService';
+
+jest.mock('../../../services/location/realTimeLocationService', () => ({
+  realTimeLocationService: {
+    isTracking: false,
+    trackingOptions: null,
+    startRealTimeTracking: jest.fn(),
+    stopRealTimeTracking: jest.fn(),
+    startBackgroundTracking: jest.fn(),
+    stopBackgroundTracking: jest.fn()
+  }
+}));
+
+describe('Session Tracking', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+
+    realTimeLocationService.isTracking = false;
+    realTimeLocationService.trackingOptions = null;
+    realTimeLocationService.startRealTimeTracking.mockImplementation(async () => {
+      realTimeLocationService.isTracking = true;
+      return { success: true };
+    });
+    realTimeLocationService.stopRealTimeTracking.mockImplementation(async () => {
+      realTimeLocationService.isTracking = false;
+      return { success: true };
+    });
+    realTimeLocationService.startBackgroundTracking.mockResolvedValue({ success: true });
+    realTimeLocationService.stopBackgroundTracking.mockResolvedValue({ success: true });
+  });
+
+  it('should keep tracking another session still holds', async () => {
+    await sessionTracking.hold('walkHome', { foreground: true });
+    await sessionTracking.hold('ride', { foreground: true });
+
+    await sessionTracking.release('walkHome');
+
+    expect(realTimeLocationService.stopRealTimeTracking).not.toHaveBeenCalled();
+    expect(realTimeLocationService.stopBackgroundTracking).not.toHaveBeenCalled();
+
+    await sessionTracking.release('ride');
+
+    expect(realTimeLocationService.startRealTimeTracking).toHaveBeenCalledTimes(1);
+    expect(realTimeLocationService.stopRealTimeTracking).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop tracking a session started even if a later session found it running', async () => {
+    await sessionTracking.hold('walkHome', { foreground: true });
+    await sessionTracking.hold('checkIn');
+    await sessionTracking.release('walkHome');
+    await sessionTracking.release('checkIn');
+
+    expect(realTimeLocationService.stopRealTimeTracking).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep background tracking the user turned on', async () => {
+    realTimeLocationService.isTracking = true;
+    realTimeLocationService.trackingOptions = { enableBackground: true };
+
+    const result = await sessionTracking.hold('ride', { foreground: true });
+    await sessionTracking.release('ride');
+
+    expect(result).toEqual({ success: true, backgroundTracking: true });
+    expect(realTimeLocationService.startRealTimeTracking).not.toHaveBeenCalled();
+    expect(realTimeLocationService.stopRealTimeTracking).not.toHaveBeenCalled();
+    expect(realTimeLocationService.stopBackgroundTracking).not.toHaveBeenCalled();
+  });
+
+  it('should ignore a release from a session that holds nothing', async () => {
+    await sessionTracking.release('checkIn');
+
+    expect(realTimeLocationService.stopBackgroundTracking).not.toHaveBeenCalled();
+  });
+});
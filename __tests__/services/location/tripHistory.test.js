@@ -0,0 +1,166 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { tripHistoryService } from '../../../services/location/tripHistoryService';
+import { segmentHistory, simplifyTrack, toGeoJSON, toGPX } from '../../../utils/tripTimeline';
+import { STORAGE_KEYS, TRIP_SEGMENT_TYPES } from '../../../utils/constants';
+
+jest.mock('expo-file-system', () => ({
+  documentDirectory: 'file://test/',
+  makeDirectoryAsync: jest.fn(),
+  writeAsStringAsync: jest.fn()
+}));
+
+describe('Trip history', () => {
+  const MINUTE = 60 * 1000;
+  const DAY = 24 * 60 * MINUTE;
+  const start = 1740000000000;
+  const origin = { latitude: 48.8566, longitude: 2.3522 };
+  const METERS_PER_DEGREE = 111320;
+  const lonScale = Math.cos(origin.latitude * Math.PI / 180);
+
+  // Fix offset from the origin by metres east and north
+  const fix = (east, north, milliseconds) => ({
+    latitude: origin.latitude + north / METERS_PER_DEGREE,
+    longitude: origin.longitude + east / (METERS_PER_DEGREE * lonScale),
+    accuracy: 10,
+    timestamp: new Date(start + milliseconds)
+  });
+
+  // Walk east from `from` metres to `to` metres at 1.4 m/s, one fix every 10 s
+  const walk = (from, to, startTime) => {
+    const steps = Math.round(Math.abs(to - from) / 14);
+    return Array.from({ length: steps + 1 }, (_, i) => (
+      fix(from + Math.sign(to - from) * i * 14, 0, startTime + i * 10000)
+    ));
+  };
+
+  // Stand near `east` metres, one fix every 30 s with a few metres of wander
+  const stay = (east, startTime, minutes) => Array.from({ length: minutes * 2 }, (_, i) => (
+    fix(east + 5 * Math.sin(i), 5 * Math.cos(i), startTime + (i + 1) * 30000)
+  ));
+
+  // About 1 km out, 20 minutes there, and back
+  const outAndBack = () => {
+    const out = walk(0, 1008, 0);
+    const arrived = out[out.length - 1].timestamp.getTime() - start;
+    const visit = stay(1008, arrived, 20);
+    const left = visit[visit.length - 1].timestamp.getTime() - start;
+    return [...out, ...visit, ...walk(1008, 0, left + 10000)];
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+  });
+
+  it('should split a day into trips and stays', () => {
+    const segments = segmentHistory(outAndBack());
+
+    expect(segments.map(segment => segment.type)).toEqual([
+      TRIP_SEGMENT_TYPES.TRIP,
+      TRIP_SEGMENT_TYPES.STAY,
+      TRIP_SEGMENT_TYPES.TRIP
+    ]);
+    expect(segments[0].distance).toBeCloseTo(1000, -2);
+    expect(segments[1].endTime - segments[1].startTime).toBeGreaterThanOrEqual(20 * MINUTE);
+    expect(segments[1].radius).toBeLessThanOrEqual(75);
+  });
+
+  it('should compress straight stretches and keep the corners', () => {
+    const corner = [...walk(0, 280, 0), ...Array.from({ length: 20 }, (_, i) => fix(280, (i + 1) * 14, 210000 + i * 10000))];
+
+    const simplified = simplifyTrack(corner, 10);
+
+    expect(simplified).toHaveLength(3);
+    expect(simplified[1]).toBe(corner[20]);
+    expect(segmentHistory(outAndBack())[0].points.length).toBeLessThan(5);
+  });
+
+  it('should merge a stay interrupted by a short wander', () => {
+    const first = stay(0, 0, 15);
+    const wander = [fix(90, 0, 15 * MINUTE + 10000), fix(5, 0, 15 * MINUTE + 40000)];
+    const second = stay(0, 15 * MINUTE + 40000, 15);
+
+    const segments = segmentHistory([...first, ...wander, ...second]);
+
+    expect(segments).toHaveLength(1);
+    expect(segments[0].type).toBe(TRIP_SEGMENT_TYPES.STAY);
+    expect(segments[0].endTime - segments[0].startTime).toBeGreaterThan(29 * MINUTE);
+  });
+
+  it('should export GPX and GeoJSON', () => {
+    const segments = segmentHistory(outAndBack());
+
+    const gpx = toGPX(segments);
+    expect(gpx).toContain('<gpx version="1.1"');
+    expect(gpx.match(/<trk>/g)).toHaveLength(2);
+    expect(gpx.match(/<wpt /g)).toHaveLength(1);
+    expect(gpx.indexOf('<wpt')).toBeLessThan(gpx.indexOf('<trk>'));
+    expect(gpx).toContain(`<time>${new Date(start).toISOString()}</time>`);
+
+    const geojson = toGeoJSON(segments);
+    expect(geojson.features.map(feature => feature.geometry.type)).toEqual(['LineString', 'Point', 'LineString']);
+    expect(geojson.features[0].geometry.coordinates[0]).toEqual([origin.longitude, origin.latitude]);
+    expect(geojson.features[0].properties.coordTimes).toHaveLength(geojson.features[0].geometry.coordinates.length);
+  });
+
+  it('should build the timeline from fixes recorded one at a time', async () => {
+    const fixes = outAndBack();
+    for (const location of fixes) {
+      await tripHistoryService.recordLocation(location, start);
+    }
+    const duplicate = await tripHistoryService.recordLocation(fixes[fixes.length - 1], start);
+
+    const { segments } = await tripHistoryService.getTimeline({}, start);
+
+    expect(duplicate.recorded).toBe(false);
+    expect(segments.map(segment => segment.type)).toEqual([
+      TRIP_SEGMENT_TYPES.TRIP,
+      TRIP_SEGMENT_TYPES.STAY,
+      TRIP_SEGMENT_TYPES.TRIP
+    ]);
+    expect(segments[0].inProgress).toBe(true);
+    expect(JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.TRIP_HISTORY))).toHaveLength(2);
+
+    const recent = await tripHistoryService.getRecentLocations(5, start);
+    expect(recent).toHaveLength(5);
+    expect(recent[0].timestamp).toEqual(fixes[fixes.length - 1].timestamp);
+  });
+
+  it('should drop history older than the retention period', async () => {
+    for (const location of outAndBack()) {
+      await tripHistoryService.recordLocation(location, start);
+    }
+    await tripHistoryService.updateSettings({ retentionDays: 7 }, start);
+
+    const { segments } = await tripHistoryService.getTimeline({}, start + 8 * DAY);
+
+    expect(segments.map(segment => segment.inProgress)).toEqual([true]);
+    expect(JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.TRIP_HISTORY))).toEqual([]);
+    expect((await tripHistoryService.updateSettings({ retentionDays: 3 })).success).toBe(false);
+  });
+
+  it('should stop recording and delete history when turned off', async () => {
+    await tripHistoryService.recordLocation(fix(0, 0, 0), start);
+    await tripHistoryService.updateSettings({ enabled: false }, start);
+
+    const result = await tripHistoryService.recordLocation(fix(14, 0, 10000), start);
+
+    expect(result.recorded).toBe(false);
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.TRIP_HISTORY_OPEN)).toBeNull();
+    await tripHistoryService.updateSettings({ enabled: true }, start);
+  });
+
+  it('should export the timeline to a file', async () => {
+    for (const location of outAndBack()) {
+      await tripHistoryService.recordLocation(location, start);
+    }
+
+    const result = await tripHistoryService.exportTimeline('gpx', {}, start);
+
+    expect(result.success).toBe(true);
+    expect(result.uri).toBe('file://test/exports/trip-history-2025-02-19.gpx');
+    expect(FileSystem.writeAsStringAsync).toHaveBeenCalledWith(result.uri, result.content);
+    expect((await tripHistoryService.exportTimeline('kml', {}, start)).success).toBe(false);
+  });
+});
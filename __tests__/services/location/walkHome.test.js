@@ -0,0 +1,268 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Speech from 'expo-speech';
+import * as BackgroundTask from 'expo-background-task';
+import { walkHomeService } from '../../../services/location/walkHomeService';
+import { locationSharingService } from '../../../services/realtime/locationSharingService';
+import { messagingService } from '../../../services/firebase/messaging';
+import { realTimeLocationService } from '../../../services/location/realTimeLocationService';
+import { buildTurnInstructions } from '../../../utils/routing';
+import {
+  GEOFENCE_EVENTS,
+  NOTIFICATION_TYPES,
+  STORAGE_KEYS,
+  WALK_HOME_ALERTS,
+  WALK_HOME_STATUS
+} from '../../../utils/constants';
+
+jest.mock('expo-speech', () => ({
+  speak: jest.fn()
+}));
+jest.mock('../../../services/realtime/locationSharingService', () => ({
+  locationSharingService: {
+    startLocationSharing: jest.fn(),
+    updateSessionProgress: jest.fn(),
+    stopLocationSharing: jest.fn(),
+    createEmergencyLocationSharing: jest.fn()
+  }
+}));
+jest.mock('../../../services/firebase/messaging', () => ({
+  messagingService: {
+    scheduleNotification: jest.fn(),
+    cancelNotification: jest.fn()
+  }
+}));
+jest.mock('../../../services/location/realTimeLocationService', () => ({
+  realTimeLocationService: {
+    isTracking: false,
+    trackingOptions: null,
+    addLocationListener: jest.fn(),
+    startRealTimeTracking: jest.fn(),
+    stopRealTimeTracking: jest.fn(),
+    startBackgroundTracking: jest.fn(),
+    stopBackgroundTracking: jest.fn()
+  }
+}));
+
+describe('Walk Home Service', () => {
+  const SECOND = 1000;
+  const MINUTE = 60 * SECOND;
+  const start = 1740000000000;
+
+  // East along Main St for about 200 m, then left (north) up Oak Ave for about 200 m
+  const STEP = 0.0009;
+  const route = {
+    points: [
+      { latitude: 0, longitude: 0 },
+      { latitude: 0, longitude: STEP },
+      { latitude: 0, longitude: 2 * STEP },
+      { latitude: STEP, longitude: 2 * STEP },
+      { latitude: 2 * STEP, longitude: 2 * STEP }
+    ],
+    names: ['Main St', 'Main St', 'Oak Ave', 'Oak Ave'],
+    distance: 400,
+    duration: 286
+  };
+  const userProfile = { id: 'user-123', name: 'John Doe' };
+  const contacts = [{ id: 'contact-1', name: 'Spouse', phoneNumber: '+1111111111', email: 'a@b.c' }];
+
+  const fix = (latitude, longitude) => ({ latitude, longitude, accuracy: 5 });
+  const offRoute = fix(0.001, STEP); // about 110 m north of Main St
+
+  const startWalk = () => walkHomeService.startWalk(
+    { route, destination: { name: 'Hotel' }, userProfile, contacts },
+    start
+  );
+
+  const getStored = async () => JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.WALK_HOME));
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    jest.setSystemTime(start);
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+
+    realTimeLocationService.isTracking = false;
+    realTimeLocationService.addLocationListener.mockReturnValue(jest.fn());
+    realTimeLocationService.startRealTimeTracking.mockResolvedValue({ success: true });
+    realTimeLocationService.stopRealTimeTracking.mockResolvedValue({ success: true });
+    realTimeLocationService.startBackgroundTracking.mockResolvedValue({ success: true });
+    realTimeLocationService.stopBackgroundTracking.mockResolvedValue({ success: true });
+    locationSharingService.startLocationSharing.mockResolvedValue({ success: true, sessionId: 'session-1' });
+    locationSharingService.updateSessionProgress.mockResolvedValue({ success: true });
+    locationSharingService.stopLocationSharing.mockResolvedValue({ success: true });
+    locationSharingService.createEmergencyLocationSharing.mockResolvedValue({ success: true, sessionId: 'emergency-1' });
+    messagingService.scheduleNotification.mockResolvedValue({ success: true, id: 'notification-1' });
+    messagingService.cancelNotification.mockResolvedValue({ success: true });
+  });
+
+  afterEach(async () => {
+    await walkHomeService.endWalk();
+    jest.useRealTimers();
+  });
+
+  it('should build turn instructions with street names', () => {
+    const steps = buildTurnInstructions(route.points, route.names);
+
+    expect(steps.map(step => step.text)).toEqual(['Turn left onto Oak Ave', 'You have arrived']);
+    expect(steps[0].distanceAlong).toBeCloseTo(200, -1);
+  });
+
+  it('should start guidance and share progress with the chosen contacts', async () => {
+    const result = await startWalk();
+
+    expect(result.success).toBe(true);
+    expect(result.walk).toMatchObject({
+      status: WALK_HOME_STATUS.GUIDING,
+      sharingSessionId: 'session-1',
+      backgroundTracking: true
+    });
+    expect(result.walk.contacts[0]).not.toHaveProperty('email');
+    expect(locationSharingService.startLocationSharing).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-123',
+      reason: 'walk_home',
+      trackLocation: false
+    }));
+    expect(realTimeLocationService.addLocationListener).toHaveBeenCalled();
+    expect(await getStored()).toEqual(result.walk);
+  });
+
+  it('should refuse to start without contacts', async () => {
+    const result = await walkHomeService.startWalk({ route, userProfile, contacts: [] }, start);
+
+    expect(result.success).toBe(false);
+    expect(await getStored()).toBeNull();
+  });
+
+  it('should report progress and announce the next turn', async () => {
+    await startWalk();
+
+    const result = await walkHomeService.handleLocation(fix(0, 1.8 * STEP), start + 2 * MINUTE);
+
+    expect(result.walk.progress).toMatchObject({ instruction: 'Turn left onto Oak Ave' });
+    expect(result.walk.progress.distanceRemaining).toBeCloseTo(220, -1);
+    expect(Speech.speak).toHaveBeenCalledWith('Turn left onto Oak Ave', expect.any(Object));
+    expect(locationSharingService.updateSessionProgress).toHaveBeenCalledWith(
+      'session-1',
+      expect.objectContaining({ latitude: 0 }),
+      expect.objectContaining({ status: WALK_HOME_STATUS.GUIDING, destinationName: 'Hotel' })
+    );
+  });
+
+  it('should ask "Are you OK?" after leaving the route for the confirm time', async () => {
+    await startWalk();
+
+    let result = await walkHomeService.handleLocation(offRoute, start + MINUTE);
+    expect(result.walk.status).toBe(WALK_HOME_STATUS.GUIDING);
+    expect(result.walk.offRoute).toBeTruthy();
+
+    result = await walkHomeService.handleLocation(offRoute, start + MINUTE + 30 * SECOND);
+
+    expect(result.walk.status).toBe(WALK_HOME_STATUS.AWAITING_RESPONSE);
+    expect(result.walk.alert).toMatchObject({
+      type: WALK_HOME_ALERTS.DEVIATION,
+      respondBy: start + 2 * MINUTE + 30 * SECOND
+    });
+    expect(messagingService.scheduleNotification).toHaveBeenCalledWith(
+      '🛡️ Are you OK?',
+      expect.any(String),
+      expect.objectContaining({ type: NOTIFICATION_TYPES.WALK_HOME }),
+      null
+    );
+  });
+
+  it('should escalate to emergency location sharing once when nobody answers', async () => {
+    await startWalk();
+    await walkHomeService.handleLocation(offRoute, start + MINUTE);
+    await walkHomeService.handleLocation(offRoute, start + MINUTE + 30 * SECOND);
+
+    let result = await walkHomeService.evaluate(start + 2 * MINUTE);
+    expect(result.walk.status).toBe(WALK_HOME_STATUS.AWAITING_RESPONSE);
+
+    result = await walkHomeService.evaluate(start + 2 * MINUTE + 30 * SECOND);
+    await walkHomeService.evaluate(start + 3 * MINUTE);
+
+    expect(result.walk.status).toBe(WALK_HOME_STATUS.ESCALATED);
+    expect(result.walk.emergencySessionId).toBe('emergency-1');
+    expect(locationSharingService.createEmergencyLocationSharing).toHaveBeenCalledTimes(1);
+    expect(locationSharingService.createEmergencyLocationSharing).toHaveBeenCalledWith(
+      'user-123',
+      [{ id: 'contact-1', name: 'Spouse', phoneNumber: '+1111111111' }]
+    );
+    expect(messagingService.cancelNotification).toHaveBeenCalledWith('notification-1');
+  });
+
+  it('should resume guidance on "I\'m OK" and not ask again until back on the route', async () => {
+    await startWalk();
+    await walkHomeService.handleLocation(offRoute, start + MINUTE);
+    await walkHomeService.handleLocation(offRoute, start + MINUTE + 30 * SECOND);
+
+    let result = await walkHomeService.respond(true, start + MINUTE + 40 * SECOND);
+    expect(result.walk.status).toBe(WALK_HOME_STATUS.GUIDING);
+
+    result = await walkHomeService.handleLocation(fix(0.001, 1.2 * STEP), start + 3 * MINUTE);
+    expect(result.walk.status).toBe(WALK_HOME_STATUS.GUIDING);
+    expect(locationSharingService.createEmergencyLocationSharing).not.toHaveBeenCalled();
+  });
+
+  it('should ask after an unexpected stop', async () => {
+    await startWalk();
+    await walkHomeService.handleLocation(fix(0, STEP), start + MINUTE);
+    await walkHomeService.handleLocation(fix(0.00005, STEP), start + 2 * MINUTE);
+
+    let result = await walkHomeService.evaluate(start + 3 * MINUTE);
+    expect(result.walk.status).toBe(WALK_HOME_STATUS.GUIDING);
+
+    result = await walkHomeService.evaluate(start + 4 * MINUTE);
+    expect(result.walk.status).toBe(WALK_HOME_STATUS.AWAITING_RESPONSE);
+    expect(result.walk.alert.type).toBe(WALK_HOME_ALERTS.STOPPED);
+  });
+
+  it('should hold the deadline task so stops and unanswered prompts are checked while suspended', async () => {
+    await startWalk();
+
+    expect(BackgroundTask.registerTaskAsync).toHaveBeenCalledWith(
+      'TOURIST_SAFETY_DEADLINE_TASK',
+      expect.objectContaining({ minimumInterval: expect.any(Number) })
+    );
+    expect(JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.SAFETY_DEADLINE_OWNERS))).toEqual(['walkHome']);
+
+    await walkHomeService.endWalk();
+
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.SAFETY_DEADLINE_OWNERS)).toBeNull();
+  });
+
+  it('should ask when entering a restricted zone and escalate on "I need help"', async () => {
+    await startWalk();
+
+    let result = await walkHomeService.handleGeofenceEvent({
+      type: GEOFENCE_EVENTS.ENTER,
+      zoneId: 'zone-1',
+      zoneName: 'Old Docks',
+      safetyLevel: 'restricted',
+      timestamp: start + MINUTE
+    });
+    expect(result.walk.alert).toMatchObject({ type: WALK_HOME_ALERTS.RESTRICTED_ZONE, zoneName: 'Old Docks' });
+
+    result = await walkHomeService.respond(false, start + MINUTE + 5 * SECOND);
+
+    expect(result.walk.status).toBe(WALK_HOME_STATUS.ESCALATED);
+    expect(result.walk.escalationReason).toBe('user_requested_help');
+    expect(locationSharingService.createEmergencyLocationSharing).toHaveBeenCalledTimes(1);
+  });
+
+  it('should finish on arrival and stop sharing progress', async () => {
+    await startWalk();
+
+    const result = await walkHomeService.handleLocation(fix(2 * STEP - 0.0001, 2 * STEP), start + 5 * MINUTE);
+
+    expect(result.walk.status).toBe(WALK_HOME_STATUS.ARRIVED);
+    expect(walkHomeService.isActive(result.walk)).toBe(false);
+    expect(locationSharingService.updateSessionProgress).toHaveBeenCalledWith(
+      'session-1',
+      expect.any(Object),
+      expect.objectContaining({ status: WALK_HOME_STATUS.ARRIVED, distanceRemaining: 0 })
+    );
+    expect(locationSharingService.stopLocationSharing).toHaveBeenCalledWith('session-1');
+    expect(realTimeLocationService.stopBackgroundTracking).toHaveBeenCalled();
+  });
+});
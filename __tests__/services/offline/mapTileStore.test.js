@@ -0,0 +1,313 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { mapTileStore } from '../../../services/offline/mapTileStore';
+import {
+  countRegionTiles,
+  createTileIndex,
+  lat2tile,
+  listRegionTiles,
+  lon2tile,
+  regionAround,
+  selectEvictions,
+  tile2lat,
+  tile2lon
+} from '../../../utils/mapTiles';
+import { MAP_DOWNLOAD_STATUS, STORAGE_KEYS } from '../../../utils/constants';
+
+// An in-memory filesystem: tile downloads and the index file land in `mockFiles`
+const mockFiles = new Map();
+jest.mock('expo-file-system', () => ({
+  documentDirectory: 'file://test/',
+  makeDirectoryAsync: jest.fn(),
+  getInfoAsync: jest.fn(),
+  readAsStringAsync: jest.fn(async (uri) => mockFiles.get(uri)),
+  writeAsStringAsync: jest.fn(async (uri, contents) => { mockFiles.set(uri, contents); }),
+  deleteAsync: jest.fn(async (uri) => {
+    [...mockFiles.keys()].filter(key => key.startsWith(uri)).forEach(key => mockFiles.delete(key));
+  }),
+  downloadAsync: jest.fn()
+}));
+
+jest.mock('expo-constants', () => ({
+  expoConfig: {
+    extra: {
+      mapTiles: {
+        urlTemplate: 'https://tiles.example.com/{z}/{x}/{y}.png',
+        attribution: '© OpenStreetMap contributors'
+      }
+    }
+  }
+}));
+
+describe('Map Tile Store', () => {
+  const MB = 1024 * 1024;
+  const start = 1740000000000;
+  const x = 32768;
+  const y = 21000;
+
+  // A region well inside one zoom-16 tile, so each zoom level adds exactly one tile
+  const tileRegion = (offset = 0) => regionAround({
+    latitude: tile2lat(y + 0.5, 16),
+    longitude: tile2lon(x + offset + 0.5, 16)
+  }, 0.05);
+
+  let tileBytes;
+
+  const tileUri = (z, tileX, tileY) => `file://test/map-tiles/${z}/${tileX}/${tileY}.png`;
+
+  const flush = async () => {
+    for (let i = 0; i < 10; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+
+  const waitForStatus = (status) => new Promise(resolve => {
+    const unsubscribe = mapTileStore.subscribe(download => {
+      if (download?.status === status) {
+        unsubscribe();
+        resolve(download);
+      }
+    });
+  });
+
+  const download = async (region, zoomLevels) => {
+    const completed = waitForStatus(MAP_DOWNLOAD_STATUS.COMPLETED);
+    const result = await mapTileStore.startDownload({ region, zoomLevels, name: 'Old Town' }, Date.now());
+    expect(result.success).toBe(true);
+    return completed;
+  };
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    jest.setSystemTime(start);
+    jest.clearAllMocks();
+    await mapTileStore.clear();
+    await AsyncStorage.clear();
+    mockFiles.clear();
+
+    tileBytes = 10000;
+    FileSystem.getInfoAsync.mockImplementation(async (uri) => ({ exists: mockFiles.has(uri), size: tileBytes }));
+    FileSystem.downloadAsync.mockImplementation(async (url, uri) => {
+      mockFiles.set(uri, url);
+      return { status: 200, uri };
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('tile maths', () => {
+    it('should find the tiles covering a region, lowest zoom first', () => {
+      expect(lon2tile(-0.12, 10)).toBe(511);
+      expect(lat2tile(51.5, 10)).toBe(340);
+
+      const region = regionAround({ latitude: 51.5, longitude: -0.12 }, 2);
+      const tiles = listRegionTiles(region, [12, 13, 14]);
+
+      expect(tiles).toHaveLength(countRegionTiles(region, [12, 13, 14]));
+      expect(tiles[0].z).toBe(12);
+      expect(tiles[tiles.length - 1].z).toBe(14);
+      expect(tiles.map(tile => tile.z)).toEqual([...tiles.map(tile => tile.z)].sort((a, b) => a - b));
+    });
+
+    it('should evict the least recently used tiles that are not protected', () => {
+      const index = {
+        ...createTileIndex(),
+        tiles: {
+          '16/1/1': { size: 100, usedAt: 3 },
+          '16/1/2': { size: 100, usedAt: 1 },
+          '16/1/3': { size: 100, usedAt: 2 },
+          '16/1/4': { size: 100, usedAt: 4 }
+        },
+        totalBytes: 400
+      };
+
+      expect(selectEvictions(index, 150, new Set(['16/1/2']))).toEqual({ keys: ['16/1/3', '16/1/1'], freed: 200 });
+      expect(selectEvictions(index, 1000).freed).toBe(400);
+    });
+  });
+
+  it('should download an area to the filesystem and record it in the index', async () => {
+    const region = tileRegion();
+
+    const estimate = await mapTileStore.estimateArea(region, [14, 15, 16]);
+    expect(estimate).toMatchObject({ success: true, tileCount: 3, newTiles: 3, fitsBudget: true, evictBytes: 0 });
+
+    const completed = await download(region, [14, 15, 16]);
+
+    expect(completed).toMatchObject({ completedTiles: 3, downloadedBytes: 3 * tileBytes, failedTiles: 0 });
+    expect(mockFiles.has(tileUri(16, x, y))).toBe(true);
+    expect(FileSystem.downloadAsync).toHaveBeenCalledWith(
+      `https://tiles.example.com/16/${x}/${y}.png`,
+      tileUri(16, x, y),
+      { headers: { 'User-Agent': expect.any(String) } }
+    );
+
+    const index = JSON.parse(mockFiles.get('file://test/map-tiles/index.json'));
+    expect(index.tiles[`16/${x}/${y}`]).toEqual({ size: tileBytes, usedAt: start });
+    expect(index.areas).toEqual([expect.objectContaining({ name: 'Old Town', tileCount: 3, bytes: 3 * tileBytes })]);
+    expect(index.metadata).toMatchObject({
+      format: 'png',
+      minzoom: 14,
+      maxzoom: 16,
+      attribution: '© OpenStreetMap contributors'
+    });
+
+    const { stats } = await mapTileStore.getStats();
+    expect(stats).toMatchObject({ tileCount: 3, totalBytes: 3 * tileBytes, budgetBytes: 100 * MB });
+    expect(mapTileStore.getPathTemplate()).toBe('test/map-tiles/{z}/{x}/{y}.png');
+
+    // Nothing left to fetch for the same area
+    expect(await mapTileStore.estimateArea(region, [14, 15, 16])).toMatchObject({ newTiles: 0, estimatedBytes: 0 });
+  });
+
+  it('should refuse an area that does not fit the storage budget', async () => {
+    await mapTileStore.updateSettings({ budgetMB: 50 });
+    tileBytes = 30 * MB;
+    await download(tileRegion(), [16]);
+
+    // Two more tiles at the 30 MB average
+    const result = await mapTileStore.startDownload({ region: tileRegion(1), zoomLevels: [15, 16] });
+
+    expect(result).toMatchObject({ success: false, error: expect.stringContaining('50 MB') });
+    expect((await mapTileStore.getDownload()).download.status).toBe(MAP_DOWNLOAD_STATUS.COMPLETED);
+  });
+
+  it('should make room by evicting the least recently viewed tiles', async () => {
+    await mapTileStore.updateSettings({ budgetMB: 50 });
+    tileBytes = 20 * MB;
+    await download(tileRegion(0), [16]);
+    jest.setSystemTime(start + 1000);
+    await download(tileRegion(1), [16]);
+
+    // The first area is on screen again, so the second is now the oldest
+    jest.setSystemTime(start + 2000);
+    await mapTileStore.touchRegion(tileRegion(0), [16]);
+
+    jest.setSystemTime(start + 3000);
+    const estimate = await mapTileStore.estimateArea(tileRegion(2), [16]);
+    expect(estimate).toMatchObject({ fitsBudget: true, evictBytes: 10 * MB });
+    await download(tileRegion(2), [16]);
+
+    expect(await mapTileStore.hasTile({ z: 16, x, y })).toBe(true);
+    expect(await mapTileStore.hasTile({ z: 16, x: x + 1, y })).toBe(false);
+    expect(mockFiles.has(tileUri(16, x + 1, y))).toBe(false);
+    expect(await mapTileStore.hasTile({ z: 16, x: x + 2, y })).toBe(true);
+    expect((await mapTileStore.getStats()).stats.totalBytes).toBe(40 * MB);
+  });
+
+  it('should pause after the tile in flight and carry on when resumed', async () => {
+    let releaseTile;
+    FileSystem.downloadAsync.mockImplementationOnce((url, uri) => new Promise(resolve => {
+      releaseTile = () => {
+        mockFiles.set(uri, url);
+        resolve({ status: 200, uri });
+      };
+    }));
+
+    await mapTileStore.startDownload({ region: tileRegion(), zoomLevels: [14, 15, 16] });
+    await flush();
+
+    const paused = await mapTileStore.pauseDownload();
+    expect(paused.download).toMatchObject({ status: MAP_DOWNLOAD_STATUS.PAUSED, pauseReason: 'user' });
+
+    releaseTile();
+    await flush();
+
+    const stored = JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.MAP_TILE_DOWNLOAD));
+    expect(stored).toMatchObject({ status: MAP_DOWNLOAD_STATUS.PAUSED, nextIndex: 0 });
+    expect(FileSystem.downloadAsync).toHaveBeenCalledTimes(1);
+
+    const completed = waitForStatus(MAP_DOWNLOAD_STATUS.COMPLETED);
+    expect((await mapTileStore.resumeDownload()).success).toBe(true);
+    expect(await completed).toMatchObject({ completedTiles: 3 });
+
+    // The tile fetched before pausing is not fetched again
+    expect(FileSystem.downloadAsync).toHaveBeenCalledTimes(3);
+  });
+
+  it('should pause when the tile server cannot be reached and retry on resume', async () => {
+    FileSystem.downloadAsync.mockRejectedValue(new Error('Network request failed'));
+
+    const paused = waitForStatus(MAP_DOWNLOAD_STATUS.PAUSED);
+    await mapTileStore.startDownload({ region: tileRegion(), zoomLevels: [12, 13, 14, 15, 16] });
+
+    expect(await paused).toMatchObject({
+      pauseReason: 'network',
+      error: 'Network request failed',
+      nextIndex: 0,
+      failedTiles: 0,
+      completedTiles: 0
+    });
+
+    FileSystem.downloadAsync.mockImplementation(async (url, uri) => {
+      mockFiles.set(uri, url);
+      return { status: 200, uri };
+    });
+    const completed = waitForStatus(MAP_DOWNLOAD_STATUS.COMPLETED);
+    await mapTileStore.resumeDownload();
+
+    expect(await completed).toMatchObject({ completedTiles: 5, failedTiles: 0 });
+  });
+
+  it('should report a download left running by a closed app as paused', async () => {
+    await AsyncStorage.setItem(STORAGE_KEYS.MAP_TILE_DOWNLOAD, JSON.stringify({
+      id: 'area-1',
+      region: tileRegion(),
+      zoomLevels: [16],
+      status: MAP_DOWNLOAD_STATUS.DOWNLOADING,
+      nextIndex: 0,
+      completedTiles: 0,
+      failedTiles: 0,
+      downloadedBytes: 0
+    }));
+
+    const { download: stored } = await mapTileStore.getDownload();
+    expect(stored).toMatchObject({ status: MAP_DOWNLOAD_STATUS.PAUSED, pauseReason: 'interrupted' });
+  });
+
+  it('should not download without a tile source that allows offline use', async () => {
+    const Constants = require('expo-constants');
+    const { mapTiles } = Constants.expoConfig.extra;
+    Constants.expoConfig.extra.mapTiles = { urlTemplate: '' };
+
+    const result = await mapTileStore.startDownload({ region: tileRegion(), zoomLevels: [16] });
+    Constants.expoConfig.extra.mapTiles = mapTiles;
+
+    expect(result).toMatchObject({ success: false, error: expect.stringContaining('no map tile source') });
+    expect(mapTileStore.isAvailable()).toBe(true);
+    expect(FileSystem.downloadAsync).not.toHaveBeenCalled();
+  });
+
+  it('should apply a smaller budget between tiles of a running download', async () => {
+    tileBytes = 20 * MB;
+    await download(tileRegion(0), [16]);
+    jest.setSystemTime(start + 1000);
+    await download(tileRegion(1), [16]);
+
+    // Lower the budget while the first tile of a new area is in flight
+    jest.setSystemTime(start + 2000);
+    let releaseTile;
+    FileSystem.downloadAsync.mockImplementationOnce((url, uri) => new Promise(resolve => {
+      releaseTile = () => {
+        mockFiles.set(uri, url);
+        resolve({ status: 200, uri });
+      };
+    }));
+    const completed = waitForStatus(MAP_DOWNLOAD_STATUS.COMPLETED);
+    await mapTileStore.startDownload({ region: tileRegion(2), zoomLevels: [15, 16] });
+    await flush();
+    const updated = mapTileStore.updateSettings({ budgetMB: 50 });
+    releaseTile();
+
+    expect((await updated).success).toBe(true);
+    await completed;
+
+    // The download's own tiles stay, the oldest area makes room
+    const { stats } = await mapTileStore.getStats();
+    expect(stats.totalBytes).toBeLessThanOrEqual(50 * MB);
+    expect(await mapTileStore.hasTile({ z: 16, x: x + 2, y })).toBe(true);
+    expect(await mapTileStore.hasTile({ z: 16, x, y })).toBe(false);
+  });
+});
@@ -116,6 +116,21 @@ describe('offlineDataService', () => {
         maxRetries: 3
       });
     });
+
+    it('should place higher priority items ahead of older lower priority ones', async () => {
+      const existingQueue = [
+        { id: 'b', type: 'emergency_sms', priority: 'critical' },
+        { id: 'a', type: 'location_share', priority: 'normal' },
+        { id: 'c', type: 'profile_update' }
+      ];
+      AsyncStorage.getItem.mockResolvedValue(JSON.stringify(existingQueue));
+      AsyncStorage.setItem.mockResolvedValue();
+
+      await offlineDataService.addToSyncQueue({ id: 'd', type: 'emergency_sms', priority: 'critical' });
+
+      const savedQueue = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+      expect(savedQueue.map(item => item.id)).toEqual(['b', 'd', 'a', 'c']);
+    });
   });
 
   describe('getCacheStatistics', () => {
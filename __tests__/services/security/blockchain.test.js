@@ -0,0 +1,386 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ed25519 } from '@noble/curves/ed25519';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+import { blockchainService } from '../../../services/security/blockchain';
+import {
+  createLocalLedgerProvider,
+  createRemoteLedgerProvider,
+  createServerLedgerProvider
+} from '../../../services/security/ledger';
+import { encryptionService } from '../../../services/security/encryption';
+import { canonicalJsonStringify } from '../../../utils/helpers';
+import { computeRootHash } from '../../../services/security/merkle';
+import { appendEntry, auditLedger, buildProofBundle, nodeId, proofNodeIds } from '../../../functions/ledger';
+
+jest.mock('../../../services/security/encryption', () => ({
+  encryptionService: {
+    generateUUID: jest.fn()
+  }
+}));
+
+jest.mock('../../../services/firebase/functions', () => ({
+  functionsService: {
+    call: jest.fn()
+  }
+}));
+
+// Test-only issuer keypair
+const TEST_PRIVATE_KEY = '4776facf891025aa0dbeb560d1c87bc5acd332175efe92d6c360880f4dc1c401';
+jest.mock('../../../services/security/issuerKeys', () => ({
+  getTrustedIssuerKey: (keyId) => (keyId === 'test-key'
+    ? {
+      keyId,
+      issuer: 'Test Authority',
+      publicKey: '3f3701493dd98c392f5e2e40800549ab549f7951147bc18e1d573bbe23471140'
+    }
+    : null)
+}));
+
+// Signs tree heads like the appendLedgerEntry Cloud Function
+const signTreeHead = (head, keyId = 'test-key', privateKey = TEST_PRIVATE_KEY) => {
+  const signed = { ...head, keyId };
+  const message = utf8ToBytes(canonicalJsonStringify(signed));
+  return { ...signed, signature: bytesToHex(ed25519.sign(message, hexToBytes(privateKey))) };
+};
+
+// In-memory stand-in for the Firestore documents the ledger Cloud Functions keep
+const createServerLedger = () => {
+  const ledger = { head: null, heads: [], frontier: [], nodes: {}, records: [] };
+
+  ledger.append = (userId, qrHash) => {
+    const result = appendEntry({
+      frontier: ledger.frontier,
+      prevHead: ledger.head,
+      userId,
+      qrHash,
+      keyId: 'test-key',
+      privateKey: TEST_PRIVATE_KEY
+    });
+    result.nodes.forEach(node => { ledger.nodes[nodeId(node.level, node.start)] = node.hash; });
+    ledger.frontier = result.frontier;
+    ledger.head = result.treeHead;
+    ledger.heads.push(result.treeHead);
+    ledger.records.push(result.record);
+    return result;
+  };
+
+  ledger.proof = (record) => {
+    const ids = proofNodeIds(record.index, ledger.head.size);
+    const nodeHashes = Object.fromEntries(ids.map(id => [id, ledger.nodes[id]]));
+    return buildProofBundle({ record, treeHead: ledger.head, nodeHashes });
+  };
+
+  ledger.audit = () => auditLedger({
+    records: ledger.records,
+    heads: ledger.heads,
+    nodeHashes: ledger.nodes,
+    latestHead: ledger.head
+  });
+
+  return ledger;
+};
+
+describe('Blockchain Verification Ledger', () => {
+  let provider;
+  let uuid;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    uuid = 0;
+    encryptionService.generateUUID.mockImplementation(() => `tx-${++uuid}`);
+    provider = createLocalLedgerProvider({ signTreeHead });
+    blockchainService.setProvider(provider);
+  });
+
+  const record = (userId) => blockchainService.createVerificationTransaction(
+    { userId, name: 'Not Recorded' },
+    `qr-hash-${userId}`
+  );
+
+  describe('createVerificationTransaction', () => {
+    it('should append an entry without personal details', async () => {
+      const result = await record('user-1');
+
+      expect(result.success).toBe(true);
+      expect(result.transaction.txId).toBe('tx-1');
+      expect(result.transaction.blockNumber).toBe(0);
+      expect(result.transaction.treeSize).toBe(1);
+      expect(result.transactionHash).toBe(result.transaction.leafHash);
+
+      const stored = await provider.getEntry('tx-1');
+      expect(stored.entry).not.toHaveProperty('userName');
+      expect(stored.entry).not.toHaveProperty('name');
+    });
+
+    it('should require a user ID and QR hash', async () => {
+      const result = await blockchainService.createVerificationTransaction({}, null);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('User ID and QR hash are required');
+    });
+  });
+
+  describe('verifyTransaction', () => {
+    it('should verify inclusion against the latest tree head', async () => {
+      await record('user-1');
+      await record('user-2');
+      await record('user-3');
+
+      const result = await blockchainService.verifyTransaction('tx-1');
+
+      expect(result.success).toBe(true);
+      expect(result.verified).toBe(true);
+      expect(result.transaction.status).toBe('confirmed');
+      expect(result.transaction.treeSize).toBe(3);
+      expect(result.transaction.confirmations).toBe(3);
+      expect(result.proof).toHaveLength(2);
+    });
+
+    it('should fail for unknown transactions', async () => {
+      const result = await blockchainService.verifyTransaction('missing');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Transaction not found in ledger');
+    });
+
+    it('should not verify an entry that was altered after it was appended', async () => {
+      await record('user-1');
+      await record('user-2');
+      const stored = await provider.getEntry('tx-2');
+
+      blockchainService.setProvider({
+        ...provider,
+        getEntry: async () => ({ ...stored, entry: { ...stored.entry, qrHash: 'forged' } })
+      });
+
+      const result = await blockchainService.verifyTransaction('tx-2');
+
+      expect(result.success).toBe(true);
+      expect(result.verified).toBe(false);
+      expect(result.transaction.status).toBe('invalid');
+    });
+
+    it('should not verify against a tree head signed by an unknown key', async () => {
+      const otherKey = bytesToHex(ed25519.utils.randomPrivateKey());
+      blockchainService.setProvider(createLocalLedgerProvider({
+        signTreeHead: head => signTreeHead(head, 'test-key', otherKey)
+      }));
+      await record('user-1');
+
+      const result = await blockchainService.verifyTransaction('tx-1');
+
+      expect(result.verified).toBe(false);
+      expect(result.transaction.status).toBe('invalid');
+    });
+
+    it('should not verify against an unsigned tree head', async () => {
+      blockchainService.setProvider(createLocalLedgerProvider());
+      await record('user-1');
+
+      const result = await blockchainService.verifyTransaction('tx-1');
+
+      expect(result.verified).toBe(false);
+    });
+
+    it('should verify a proof from the server ledger on another device', async () => {
+      const ledger = createServerLedger();
+      const first = ledger.append('user-1', 'a'.repeat(64));
+      ledger.append('user-2', 'b'.repeat(64));
+      const bundle = ledger.proof(first.record);
+      const call = jest.fn().mockResolvedValue({ success: true, data: bundle });
+      blockchainService.setProvider(createServerLedgerProvider({ call }));
+
+      const result = await blockchainService.verifyTransaction(first.record.entry.txId);
+
+      expect(call).toHaveBeenCalledWith('getLedgerProof', { txId: first.record.entry.txId });
+      expect(result.verified).toBe(true);
+      expect(result.transaction.treeSize).toBe(2);
+    });
+
+    it('should prove every server ledger entry from stored subtree roots', () => {
+      const ledger = createServerLedger();
+
+      for (let size = 1; size <= 9; size++) {
+        ledger.append(`user-${size}`, String(size).repeat(64));
+
+        expect(ledger.head.rootHash).toBe(computeRootHash(ledger.records.map(record => record.leafHash)));
+        ledger.records.forEach(record => {
+          expect(proofNodeIds(record.index, size).length).toBeLessThanOrEqual(2 * Math.ceil(Math.log2(size)));
+          expect(blockchainService.verifyProofBundle(ledger.proof(record))).toBe(true);
+        });
+      }
+      expect(ledger.frontier.map(node => node.level)).toEqual([3, 0]);
+    });
+
+    it('should re-check the cached proof when the ledger is unreachable', async () => {
+      await record('user-1');
+      await blockchainService.verifyTransaction('tx-1');
+
+      blockchainService.setProvider({
+        ...provider,
+        getEntry: async () => { throw new Error('Network request failed'); }
+      });
+
+      const result = await blockchainService.verifyTransaction('tx-1');
+
+      expect(result.verified).toBe(true);
+      expect(result.offline).toBe(true);
+    });
+  });
+
+  describe('validateBlockchainIntegrity', () => {
+    it('should accept an untouched ledger', async () => {
+      await record('user-1');
+      await record('user-2');
+      await record('user-3');
+
+      const result = await blockchainService.validateBlockchainIntegrity('tx-2');
+
+      expect(result.success).toBe(true);
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(result.checkedEntries).toBe(3);
+      expect(result.checkedTreeHeads).toBe(4);
+      expect(result.transactionVerified).toBe(true);
+    });
+
+    it('should detect a rewritten entry', async () => {
+      await record('user-1');
+      await record('user-2');
+      const entries = await provider.getEntries();
+      entries[0] = { ...entries[0], entry: { ...entries[0].entry, userId: 'someone-else' } };
+
+      blockchainService.setProvider({ ...provider, getEntries: async () => entries });
+
+      const result = await blockchainService.validateBlockchainIntegrity();
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Entry 0 does not match its leaf hash');
+    });
+
+    it('should detect an unsigned tree head', async () => {
+      await record('user-1');
+      const heads = await provider.getTreeHeads();
+      const { signature, ...unsigned } = heads[1];
+      heads[1] = unsigned;
+
+      blockchainService.setProvider({ ...provider, getTreeHeads: async () => heads });
+
+      const result = await blockchainService.validateBlockchainIntegrity();
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Tree head 1 is not signed by a trusted issuer');
+    });
+
+    it('should detect a broken tree head chain', async () => {
+      await record('user-1');
+      await record('user-2');
+      const heads = await provider.getTreeHeads();
+      heads.splice(1, 1);
+
+      blockchainService.setProvider({ ...provider, getTreeHeads: async () => heads });
+
+      const result = await blockchainService.validateBlockchainIntegrity();
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Tree head 1 does not extend the previous head');
+    });
+
+    it('should audit the server ledger on the server', async () => {
+      const ledger = createServerLedger();
+      ['user-1', 'user-2', 'user-3'].forEach((userId, i) => ledger.append(userId, String(i).repeat(64)));
+      const call = jest.fn(async () => ({ success: true, data: ledger.audit() }));
+      blockchainService.setProvider(createServerLedgerProvider({ call }));
+
+      const result = await blockchainService.validateBlockchainIntegrity();
+
+      expect(call).toHaveBeenCalledWith('auditLedger', {});
+      expect(result.valid).toBe(true);
+      expect(result.checkedEntries).toBe(3);
+      expect(result.checkedTreeHeads).toBe(3);
+      expect(result.treeHead.size).toBe(3);
+    });
+
+    it('should report what the server audit finds and check its latest head', async () => {
+      const ledger = createServerLedger();
+      ['user-1', 'user-2', 'user-3'].forEach((userId, i) => ledger.append(userId, String(i).repeat(64)));
+      ledger.nodes[nodeId(1, 0)] = ledger.nodes[nodeId(0, 2)];
+      const { signature, ...unsigned } = ledger.head;
+      ledger.head = unsigned;
+      const call = jest.fn(async () => ({ success: true, data: ledger.audit() }));
+      blockchainService.setProvider(createServerLedgerProvider({ call }));
+
+      const result = await blockchainService.validateBlockchainIntegrity();
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Subtree 1-0 does not match its entries',
+        'Latest tree head is not signed by a trusted issuer'
+      ]);
+    });
+  });
+
+  describe('generateVerificationBadge', () => {
+    it('should only mark proven transactions as verified', async () => {
+      await record('user-1');
+      const { transaction } = await blockchainService.verifyTransaction('tx-1');
+
+      const verified = await blockchainService.generateVerificationBadge(transaction);
+      const failed = await blockchainService.generateVerificationBadge({ ...transaction, status: 'invalid' });
+
+      expect(verified.badge.verified).toBe(true);
+      expect(verified.badge.badgeText).toBe('Ledger Verified');
+      expect(failed.badge.verified).toBe(false);
+      expect(failed.badge.badgeText).toBe('Verification Failed');
+    });
+  });
+
+  describe('getNetworkStats', () => {
+    it('should report the current tree head', async () => {
+      await record('user-1');
+      const result = await blockchainService.getNetworkStats();
+
+      expect(result.success).toBe(true);
+      expect(result.stats.provider).toBe('local');
+      expect(result.stats.treeSize).toBe(1);
+    });
+  });
+
+  describe('providers', () => {
+    it('should persist the local ledger when given storage', async () => {
+      const persisted = createLocalLedgerProvider({ storage: AsyncStorage });
+      await persisted.append({ txId: 'tx-a', userId: 'user-1', qrHash: 'h', timestamp: 1 });
+
+      const reopened = createLocalLedgerProvider({ storage: AsyncStorage });
+      const head = await reopened.getTreeHead();
+      expect(head.size).toBe(1);
+      await expect(reopened.append({ txId: 'tx-a' })).rejects.toThrow('Transaction already recorded');
+    });
+
+    it('should record through the server ledger, which assigns the transaction ID', async () => {
+      const { record: stored, treeHead } = createServerLedger().append('user-1', 'a'.repeat(64));
+      const call = jest.fn().mockResolvedValue({ success: true, data: { ...stored, treeHead } });
+      blockchainService.setProvider(createServerLedgerProvider({ call }));
+
+      const result = await blockchainService.createVerificationTransaction({ userId: 'user-1' }, 'a'.repeat(64));
+
+      expect(call).toHaveBeenCalledWith('appendLedgerEntry', { qrHash: 'a'.repeat(64) });
+      expect(result.transaction.txId).toBe(stored.entry.txId);
+      expect(result.transaction.rootHash).toBe(treeHead.rootHash);
+    });
+
+    it('should call the remote node and treat 404 as not found', async () => {
+      const fetchImpl = jest.fn().mockResolvedValue({ status: 404, ok: false });
+      const remote = createRemoteLedgerProvider({ baseUrl: 'https://ledger.example.com/', fetchImpl });
+
+      const entry = await remote.getEntry('tx 1');
+
+      expect(entry).toBeNull();
+      expect(fetchImpl).toHaveBeenCalledWith(
+        'https://ledger.example.com/entries/tx%201',
+        expect.objectContaining({ headers: expect.objectContaining({ 'Content-Type': 'application/json' }) })
+      );
+    });
+  });
+});
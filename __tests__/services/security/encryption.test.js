@@ -1,7 +1,11 @@
 import { encryptionService } from '../../../services/security/encryption';
 import * as Crypto from 'expo-crypto';
 import * as SecureStore from 'expo-secure-store';
+import { ed25519 } from '@noble/curves/ed25519';
+import { sha256 } from '@noble/hashes/sha256';
+import { hexToBytes, bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
 import { QR_CONFIG } from '../../../utils/constants';
+import { canonicalJsonStringify } from '../../../utils/helpers';
 
 // Mock Expo modules
 jest.mock('expo-crypto');
@@ -9,10 +13,42 @@ jest.mock('expo-secure-store');
 jest.mock('../../../utils/constants', () => ({
   QR_CONFIG: {
     VERSION: '1.0',
-    EXPIRY_HOURS: 24
+    EXPIRY_HOURS: 24,
+    SIGNATURE_ALGORITHM: 'Ed25519'
   }
 }));
 
+// Test-only issuer keypair
+const TEST_PRIVATE_KEY = '4776facf891025aa0dbeb560d1c87bc5acd332175efe92d6c360880f4dc1c401';
+jest.mock('../../../services/security/issuerKeys', () => ({
+  getTrustedIssuerKey: (keyId) => (keyId === 'test-key'
+    ? {
+      keyId,
+      issuer: 'Test Authority',
+      publicKey: '3f3701493dd98c392f5e2e40800549ab549f7951147bc18e1d573bbe23471140'
+    }
+    : null)
+}));
+
+// Signs like the signTouristQR Cloud Function, which holds the issuer key
+const signAsIssuer = (payload) => {
+  const envelope = {
+    payload,
+    userId: 'test-user',
+    timestamp: Date.now(),
+    nonce: 'test-nonce',
+    version: '1.0',
+    securityLevel: 'high',
+    keyId: 'test-key'
+  };
+  const message = utf8ToBytes(canonicalJsonStringify(envelope));
+  return {
+    envelope,
+    signature: bytesToHex(ed25519.sign(message, hexToBytes(TEST_PRIVATE_KEY))),
+    verificationHash: bytesToHex(sha256(message))
+  };
+};
+
 describe('Encryption Service', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -199,135 +235,69 @@ describe('Encryption Service', () => {
     });
   });
 
-  describe('encryptForQR', () => {
-    const mockData = { userId: 'test-user', name: 'Test User' };
-    const mockSalt = 'test-salt-123';
-    const mockUUID = 'test-nonce-uuid';
-    const mockPrimaryHash = 'primary-hash-base64';
-    const mockSecondaryHash = 'secondary-hash-hex';
-    const mockSignature = 'verification-signature';
+  describe('verifyQRSignature', () => {
+    let signed;
 
     beforeEach(() => {
-      Crypto.randomUUID.mockReturnValue(mockUUID);
-      Crypto.getRandomBytesAsync.mockResolvedValue(new Uint8Array([1, 2, 3]));
-      Crypto.digestStringAsync
-        .mockResolvedValueOnce(mockPrimaryHash) // First call for primary hash
-        .mockResolvedValueOnce(mockSecondaryHash) // Second call for secondary hash
-        .mockResolvedValueOnce(mockSignature); // Third call for signature
+      signed = signAsIssuer({ name: 'Test User' });
     });
 
-    it('should encrypt QR data successfully', async () => {
-      const result = await encryptionService.encryptForQR(mockData, 'test-user', 'high');
+    it('should verify a signed envelope successfully', async () => {
+      const result = await encryptionService.verifyQRSignature(signed.envelope, signed.signature);
 
       expect(result.success).toBe(true);
-      expect(result.encryptedData).toBe(mockPrimaryHash);
-      expect(result.verificationHash).toBe(mockSecondaryHash);
-      expect(result.verificationSignature).toBe(mockSignature);
-      expect(result.nonce).toBe(mockUUID);
-      expect(result.securityLevel).toBe('high');
-      expect(result.timestamp).toBeGreaterThan(0);
+      expect(result.verified).toBe(true);
+      expect(result.userId).toBe('test-user');
+      expect(result.payload).toEqual({ name: 'Test User' });
+      expect(result.issuer).toBe('Test Authority');
+      expect(result.verificationHash).toBe(signed.verificationHash);
     });
 
-    it('should handle salt generation failure', async () => {
-      Crypto.getRandomBytesAsync.mockRejectedValue(new Error('Salt generation failed'));
+    it('should verify after a JSON round trip with reordered keys', async () => {
+      const reordered = JSON.parse(JSON.stringify({
+        keyId: signed.envelope.keyId,
+        ...signed.envelope
+      }));
 
-      const result = await encryptionService.encryptForQR(mockData, 'test-user');
-
-      expect(result.success).toBe(false);
-      expect(result.error).toBe('Failed to generate salt');
-    });
-
-    it('should use default security level', async () => {
-      const result = await encryptionService.encryptForQR(mockData, 'test-user');
+      const result = await encryptionService.verifyQRSignature(reordered, signed.signature);
 
       expect(result.success).toBe(true);
-      expect(result.securityLevel).toBe('high');
     });
 
-    it('should handle encryption errors', async () => {
-      Crypto.digestStringAsync.mockRejectedValue(new Error('Encryption failed'));
+    it('should fail for tampered payload', async () => {
+      const tampered = { ...signed.envelope, payload: { name: 'Someone Else' } };
 
-      const result = await encryptionService.encryptForQR(mockData, 'test-user');
+      const result = await encryptionService.verifyQRSignature(tampered, signed.signature);
 
       expect(result.success).toBe(false);
-      expect(result.error).toBe('Encryption failed');
-    });
-  });
-
-  describe('decryptQRData', () => {
-    const mockEncryptedData = 'encrypted-data';
-    const mockVerificationHash = 'verification-hash';
-    const mockTimestamp = Date.now();
-    const mockNonce = 'test-nonce';
-    const mockSalt = 'test-salt';
-    const mockUserId = 'test-user';
-
-    beforeEach(() => {
-      Crypto.digestStringAsync.mockResolvedValue(mockVerificationHash);
-    });
-
-    it('should decrypt and verify QR data successfully', async () => {
-      const result = await encryptionService.decryptQRData(
-        mockEncryptedData,
-        mockVerificationHash,
-        mockTimestamp,
-        mockNonce,
-        mockSalt,
-        mockUserId
-      );
-
-      expect(result.success).toBe(true);
-      expect(result.verified).toBe(true);
-      expect(result.userId).toBe(mockUserId);
-      expect(result.nonce).toBe(mockNonce);
+      expect(result.error).toBe('Signature verification failed');
     });
 
-    it('should fail for invalid verification hash', async () => {
-      Crypto.digestStringAsync.mockResolvedValue('different-hash');
+    it('should fail for untrusted issuer key', async () => {
+      const untrusted = { ...signed.envelope, keyId: 'rogue-key' };
 
-      const result = await encryptionService.decryptQRData(
-        mockEncryptedData,
-        mockVerificationHash,
-        mockTimestamp,
-        mockNonce,
-        mockSalt,
-        mockUserId
-      );
+      const result = await encryptionService.verifyQRSignature(untrusted, signed.signature);
 
       expect(result.success).toBe(false);
-      expect(result.error).toBe('Data integrity check failed');
+      expect(result.error).toBe('QR code was not issued by a trusted authority');
     });
 
     it('should fail for expired QR code', async () => {
-      const expiredTimestamp = Date.now() - (25 * 60 * 60 * 1000); // 25 hours ago
+      const realNow = Date.now;
+      Date.now = jest.fn(() => realNow() + 25 * 60 * 60 * 1000); // 25 hours later
 
-      const result = await encryptionService.decryptQRData(
-        mockEncryptedData,
-        mockVerificationHash,
-        expiredTimestamp,
-        mockNonce,
-        mockSalt,
-        mockUserId
-      );
+      const result = await encryptionService.verifyQRSignature(signed.envelope, signed.signature);
+      Date.now = realNow;
 
       expect(result.success).toBe(false);
       expect(result.error).toBe('QR code has expired');
     });
 
-    it('should handle decryption errors', async () => {
-      Crypto.digestStringAsync.mockRejectedValue(new Error('Decryption failed'));
-
-      const result = await encryptionService.decryptQRData(
-        mockEncryptedData,
-        mockVerificationHash,
-        mockTimestamp,
-        mockNonce,
-        mockSalt,
-        mockUserId
-      );
+    it('should fail for missing signature', async () => {
+      const result = await encryptionService.verifyQRSignature(signed.envelope, null);
 
       expect(result.success).toBe(false);
-      expect(result.error).toBe('Decryption failed');
+      expect(result.error).toBe('Missing QR signature');
     });
   });
 
@@ -0,0 +1,63 @@
+import {
+  EMPTY_ROOT_HASH,
+  hashLeaf,
+  hashNode,
+  computeRootHash,
+  buildInclusionProof,
+  verifyInclusionProof
+} from '../../../services/security/merkle';
+
+describe('Merkle Tree', () => {
+  const leaves = (count) => Array.from({ length: count }, (_, i) => hashLeaf(`entry-${i}`));
+
+  it('should hash the empty tree as SHA-256 of nothing', () => {
+    expect(EMPTY_ROOT_HASH).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    expect(computeRootHash([])).toBe(EMPTY_ROOT_HASH);
+  });
+
+  it('should domain-separate leaves from interior nodes', () => {
+    const [a, b] = leaves(2);
+    expect(hashLeaf('x')).not.toBe(hashNode(a, b));
+    expect(computeRootHash([a, b])).toBe(hashNode(a, b));
+  });
+
+  it('should split unbalanced trees at the largest power of two', () => {
+    const [a, b, c] = leaves(3);
+    expect(computeRootHash([a, b, c])).toBe(hashNode(hashNode(a, b), c));
+  });
+
+  it('should prove inclusion of every leaf for a range of tree sizes', () => {
+    for (let size = 1; size <= 9; size++) {
+      const leafHashes = leaves(size);
+      const rootHash = computeRootHash(leafHashes);
+
+      leafHashes.forEach((leafHash, index) => {
+        const proof = buildInclusionProof(index, leafHashes);
+        expect(verifyInclusionProof({ leafHash, index, treeSize: size, proof, rootHash })).toBe(true);
+      });
+    }
+  });
+
+  it('should reject proofs for the wrong leaf, index or root', () => {
+    const leafHashes = leaves(7);
+    const rootHash = computeRootHash(leafHashes);
+    const proof = buildInclusionProof(3, leafHashes);
+
+    expect(verifyInclusionProof({ leafHash: leafHashes[2], index: 3, treeSize: 7, proof, rootHash })).toBe(false);
+    expect(verifyInclusionProof({ leafHash: leafHashes[3], index: 4, treeSize: 7, proof, rootHash })).toBe(false);
+    expect(verifyInclusionProof({
+      leafHash: leafHashes[3], index: 3, treeSize: 7, proof, rootHash: computeRootHash(leaves(6))
+    })).toBe(false);
+    expect(verifyInclusionProof({
+      leafHash: leafHashes[3], index: 3, treeSize: 7, proof: proof.slice(1), rootHash
+    })).toBe(false);
+  });
+
+  it('should reject out-of-range indexes', () => {
+    const leafHashes = leaves(2);
+    expect(() => buildInclusionProof(2, leafHashes)).toThrow('Leaf index out of range');
+    expect(verifyInclusionProof({
+      leafHash: leafHashes[0], index: 2, treeSize: 2, proof: [], rootHash: computeRootHash(leafHashes)
+    })).toBe(false);
+  });
+});
@@ -1,6 +1,10 @@
 import { qrGeneratorService } from '../../../services/security/qrGenerator';
 import { encryptionService } from '../../../services/security/encryption';
 import { blockchainService } from '../../../services/security/blockchain';
+import { revocationService } from '../../../services/security/revocation';
+import { selectiveDisclosureService } from '../../../services/security/selectiveDisclosure';
+import { rotatingTokenService } from '../../../services/security/rotatingToken';
+import { functionsService } from '../../../services/firebase/functions';
 import { QRCodeData, QRVerificationResult } from '../../../utils/dataModels';
 import { VERIFICATION_STATUS, QR_CONFIG } from '../../../utils/constants';
 import AsyncStorage from '@react-native-async-storage/async-storage';
@@ -8,6 +12,29 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 // Mock dependencies
 jest.mock('../../../services/security/encryption');
 jest.mock('../../../services/security/blockchain');
+jest.mock('../../../services/security/revocation', () => ({
+  revocationService: {
+    checkRevocation: jest.fn()
+  }
+}));
+jest.mock('../../../services/security/selectiveDisclosure', () => ({
+  selectiveDisclosureService: {
+    createDisclosure: jest.fn(),
+    storeSecrets: jest.fn()
+  }
+}));
+jest.mock('../../../services/firebase/functions', () => ({
+  functionsService: {
+    call: jest.fn()
+  }
+}));
+jest.mock('../../../services/security/rotatingToken', () => ({
+  rotatingTokenService: {
+    getTokenKey: jest.fn(),
+    generateToken: jest.fn(),
+    verifyToken: jest.fn()
+  }
+}));
 jest.mock('../../../utils/dataModels');
 jest.mock('../../../utils/constants', () => ({
   VERIFICATION_STATUS: {
@@ -17,7 +44,9 @@ jest.mock('../../../utils/constants', () => ({
   },
   QR_CONFIG: {
     VERSION: '1.0',
-    EXPIRY_HOURS: 24
+    EXPIRY_HOURS: 24,
+    SIGNATURE_ALGORITHM: 'Ed25519',
+    DEFAULT_DISCLOSURE_PROFILE: 'hotel_check_in'
   }
 }));
 
@@ -31,15 +60,17 @@ describe('QR Generator Service', () => {
     profilePhotoUrl: 'https://example.com/photo.jpg'
   };
 
-  const mockEncryptionResult = {
+  const mockSigningResult = {
     success: true,
-    encryptedData: 'encrypted-data-string',
+    envelope: { userId: 'test-user-123', version: '1.0', keyId: 'test-key' },
+    signature: 'signature',
+    keyId: 'test-key',
+    algorithm: 'Ed25519',
     verificationHash: 'verification-hash',
-    verificationSignature: 'signature',
     timestamp: Date.now(),
     nonce: 'test-nonce',
-    salt: 'test-salt',
-    securityLevel: 'high'
+    securityLevel: 'high',
+    secrets: { name: { salt: 'issuer-salt', value: 'John Doe' } }
   };
 
   const mockBlockchainResult = {
@@ -53,8 +84,22 @@ describe('QR Generator Service', () => {
     jest.clearAllMocks();
     AsyncStorage.clear();
     
+    selectiveDisclosureService.createDisclosure.mockResolvedValue({
+      success: true,
+      profile: 'hotel_check_in',
+      claims: { name: 'John Doe', nationality: 'USA', passportLast4: '7890' },
+      commitments: { passportNumber: 'passport-commitment' },
+      secrets: { passportNumber: { salt: 'salt', value: 'US1234567890' } }
+    });
+
     // Setup default mocks
-    encryptionService.encryptForQR.mockResolvedValue(mockEncryptionResult);
+    rotatingTokenService.getTokenKey.mockResolvedValue({
+      success: true,
+      privateKey: 'token-private-key',
+      publicKey: 'token-public-key'
+    });
+    rotatingTokenService.verifyToken.mockReturnValue({ success: true, valid: true, drift: 0 });
+    jest.spyOn(qrGeneratorService, 'requestSignature').mockResolvedValue(mockSigningResult);
     blockchainService.createVerificationTransaction.mockResolvedValue(mockBlockchainResult);
     QRCodeData.mockImplementation((data) => ({
       ...data,
@@ -75,16 +120,66 @@ describe('QR Generator Service', () => {
       expect(result.success).toBe(true);
       expect(result.qrData).toBeDefined();
       expect(result.blockchainVerified).toBe(true);
-      expect(encryptionService.encryptForQR).toHaveBeenCalledWith(
+      expect(selectiveDisclosureService.createDisclosure).toHaveBeenCalledWith(
+        mockTouristData,
+        'hotel_check_in'
+      );
+      expect(qrGeneratorService.requestSignature).toHaveBeenCalledWith(
         expect.objectContaining({
-          userId: mockTouristData.userId,
-          name: mockTouristData.name,
-          nationality: mockTouristData.nationality,
-          passportNumber: '7890' // Only last 4 digits
+          disclosureProfile: 'hotel_check_in',
+          tokenKey: 'token-public-key',
+          claims: { name: 'John Doe', nationality: 'USA', passportLast4: '7890' },
+          commitments: { passportNumber: 'passport-commitment' }
         }),
-        mockTouristData.userId,
         'high'
       );
+      expect(selectiveDisclosureService.storeSecrets).toHaveBeenCalledWith(
+        mockTouristData.userId,
+        mockSigningResult.verificationHash,
+        {
+          passportNumber: { salt: 'salt', value: 'US1234567890' },
+          name: { salt: 'issuer-salt', value: 'John Doe' }
+        }
+      );
+    });
+
+    it('should leave the user and verification status to the issuer', async () => {
+      await qrGeneratorService.generateQRData(mockTouristData);
+
+      const payload = qrGeneratorService.requestSignature.mock.calls[0][0];
+      expect(payload).not.toHaveProperty('userId');
+      expect(payload).not.toHaveProperty('verificationStatus');
+    });
+
+    it('should only sign the claims of the requested disclosure profile', async () => {
+      selectiveDisclosureService.createDisclosure.mockResolvedValue({
+        success: true,
+        profile: 'medical',
+        claims: { bloodType: 'O+', allergies: 'Penicillin', emergencyContact: null },
+        commitments: { name: 'name-commitment', passportNumber: 'passport-commitment' },
+        secrets: {}
+      });
+
+      const result = await qrGeneratorService.generateQRData(mockTouristData, 'high', 'medical');
+
+      expect(result.success).toBe(true);
+      const payload = qrGeneratorService.requestSignature.mock.calls[0][0];
+      expect(payload.disclosureProfile).toBe('medical');
+      expect(payload.claims).not.toHaveProperty('name');
+      expect(payload.commitments).toHaveProperty('name', 'name-commitment');
+    });
+
+    it('should fail for an unknown disclosure profile', async () => {
+      selectiveDisclosureService.createDisclosure.mockResolvedValue({
+        success: false,
+        error: 'Unknown disclosure profile: tourist_guide'
+      });
+
+      const result = await qrGeneratorService.generateQRData(mockTouristData, 'high', 'tourist_guide');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Unknown disclosure profile: tourist_guide');
+      expect(qrGeneratorService.requestSignature).not.toHaveBeenCalled();
     });
 
     it('should fail for invalid tourist data', async () => {
@@ -106,16 +201,16 @@ describe('QR Generator Service', () => {
       expect(result.error).toBe('User must be verified to generate QR code');
     });
 
-    it('should handle encryption failure', async () => {
-      encryptionService.encryptForQR.mockResolvedValue({
+    it('should handle signing failure', async () => {
+      qrGeneratorService.requestSignature.mockResolvedValue({
         success: false,
-        error: 'Encryption failed'
+        error: 'User must be verified to generate QR code'
       });
 
       const result = await qrGeneratorService.generateQRData(mockTouristData);
 
       expect(result.success).toBe(false);
-      expect(result.error).toBe('Failed to encrypt QR data');
+      expect(result.error).toBe('Failed to sign QR data');
     });
 
     it('should generate QR data even if blockchain fails', async () => {
@@ -141,28 +236,95 @@ describe('QR Generator Service', () => {
     });
   });
 
+  describe('requestSignature', () => {
+    const payload = { disclosureProfile: 'hotel_check_in', tokenKey: 'token-public-key', claims: {}, commitments: {} };
+    const issued = {
+      envelope: { payload, userId: 'test-user-123', timestamp: 1750000000000, nonce: 'nonce', securityLevel: 'high', keyId: 'test-key' },
+      signature: 'issuer-signature',
+      secrets: { name: { salt: 'issuer-salt', value: 'John Doe' } }
+    };
+
+    beforeEach(() => {
+      qrGeneratorService.requestSignature.mockRestore();
+      functionsService.call.mockResolvedValue({ success: true, data: issued });
+      encryptionService.verifyQRSignature.mockResolvedValue({
+        success: true,
+        keyId: 'test-key',
+        verificationHash: 'verification-hash'
+      });
+    });
+
+    it('should have the issuer sign the payload on the server', async () => {
+      const result = await qrGeneratorService.requestSignature(payload, 'high');
+
+      expect(functionsService.call).toHaveBeenCalledWith('signTouristQR', { payload, securityLevel: 'high' });
+      expect(encryptionService.verifyQRSignature).toHaveBeenCalledWith(issued.envelope, 'issuer-signature');
+      expect(result).toMatchObject({
+        success: true,
+        envelope: issued.envelope,
+        signature: 'issuer-signature',
+        keyId: 'test-key',
+        verificationHash: 'verification-hash',
+        timestamp: 1750000000000,
+        secrets: issued.secrets
+      });
+    });
+
+    it('should pass on the issuer refusing an unverified user', async () => {
+      functionsService.call.mockResolvedValue({ success: false, error: 'User must be verified to generate QR code' });
+
+      const result = await qrGeneratorService.requestSignature(payload);
+
+      expect(result).toEqual({ success: false, error: 'User must be verified to generate QR code' });
+    });
+
+    it('should reject a signature that does not verify against the bundled keys', async () => {
+      encryptionService.verifyQRSignature.mockResolvedValue({
+        success: false,
+        error: 'QR code was not issued by a trusted authority'
+      });
+
+      const result = await qrGeneratorService.requestSignature(payload);
+
+      expect(result).toEqual({ success: false, error: 'QR code was not issued by a trusted authority' });
+    });
+  });
+
   describe('verifyQRData', () => {
-    const mockQRString = JSON.stringify({
-      data: 'encrypted-data',
-      hash: 'verification-hash',
-      signature: 'signature',
+    const mockEnvelope = {
+      payload: { userId: mockTouristData.userId, name: mockTouristData.name },
+      userId: mockTouristData.userId,
       timestamp: Date.now(),
       nonce: 'nonce',
-      salt: 'salt',
       version: QR_CONFIG.VERSION,
       securityLevel: 'high',
+      keyId: 'test-key'
+    };
+    const mockQRString = JSON.stringify({
+      version: QR_CONFIG.VERSION,
+      alg: QR_CONFIG.SIGNATURE_ALGORITHM,
+      envelope: mockEnvelope,
+      signature: 'signature',
       blockchainTxId: 'tx-123'
     });
 
     beforeEach(() => {
-      encryptionService.decryptQRData.mockResolvedValue({
+      encryptionService.verifyQRSignature.mockResolvedValue({
         success: true,
-        decryptedData: mockTouristData
+        verified: true,
+        payload: mockEnvelope.payload,
+        issuer: 'Test Authority',
+        keyId: 'test-key',
+        verificationHash: 'verification-hash'
       });
       blockchainService.verifyTransaction.mockResolvedValue({
         success: true,
         verified: true
       });
+      revocationService.checkRevocation.mockResolvedValue({
+        success: true,
+        revoked: false
+      });
       QRVerificationResult.mockImplementation((data) => data);
     });
 
@@ -172,7 +334,7 @@ describe('QR Generator Service', () => {
       expect(result.success).toBe(true);
       expect(result.verified).toBe(true);
       expect(result.blockchainVerified).toBe(true);
-      expect(encryptionService.decryptQRData).toHaveBeenCalled();
+      expect(encryptionService.verifyQRSignature).toHaveBeenCalledWith(mockEnvelope, 'signature');
     });
 
     it('should fail for empty QR string', async () => {
@@ -197,7 +359,10 @@ describe('QR Generator Service', () => {
     it('should fail for expired QR code', async () => {
       const expiredQR = JSON.stringify({
         ...JSON.parse(mockQRString),
-        timestamp: Date.now() - (25 * 60 * 60 * 1000) // 25 hours ago
+        envelope: {
+          ...mockEnvelope,
+          timestamp: Date.now() - (25 * 60 * 60 * 1000) // 25 hours ago
+        }
       });
 
       const result = await qrGeneratorService.verifyQRData(expiredQR);
@@ -207,10 +372,10 @@ describe('QR Generator Service', () => {
       expect(result.result.isExpired).toBe(true);
     });
 
-    it('should handle decryption failure', async () => {
-      encryptionService.decryptQRData.mockResolvedValue({
+    it('should handle signature verification failure', async () => {
+      encryptionService.verifyQRSignature.mockResolvedValue({
         success: false,
-        error: 'Decryption failed'
+        error: 'Signature verification failed'
       });
 
       const result = await qrGeneratorService.verifyQRData(mockQRString);
@@ -351,38 +516,4 @@ describe('QR Generator Service', () => {
       expect(AsyncStorage.removeItem).toHaveBeenCalledWith('qr_cache_test-user');
     });
   });
-
-  describe('generateOfflineQR', () => {
-    beforeEach(() => {
-      jest.spyOn(qrGeneratorService, 'generateQRData').mockResolvedValue({
-        success: true,
-        qrData: {
-          userId: mockTouristData.userId,
-          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
-        }
-      });
-    });
-
-    it('should generate offline QR successfully', async () => {
-      const result = await qrGeneratorService.generateOfflineQR(mockTouristData);
-
-      expect(result.success).toBe(true);
-      expect(result.downloadReady).toBe(true);
-      expect(result.offlineMetadata).toBeDefined();
-      expect(result.offlineMetadata.emergencyContact).toBe('1363');
-      expect(qrGeneratorService.generateQRData).toHaveBeenCalledWith(mockTouristData, 'offline');
-    });
-
-    it('should handle generation failure', async () => {
-      jest.spyOn(qrGeneratorService, 'generateQRData').mockResolvedValue({
-        success: false,
-        error: 'Generation failed'
-      });
-
-      const result = await qrGeneratorService.generateOfflineQR(mockTouristData);
-
-      expect(result.success).toBe(false);
-      expect(result.error).toBe('Generation failed');
-    });
-  });
-});
\ No newline at end of file
+});
@@ -0,0 +1,202 @@
+import { revocationService } from '../../../services/security/revocation';
+import { firestoreService } from '../../../services/firebase/firestore';
+import { authService } from '../../../services/firebase/auth';
+import { offlineDataService } from '../../../services/offline/offlineDataService';
+import { serverTimestamp } from 'firebase/firestore';
+
+jest.mock('../../../services/firebase/firestore', () => ({
+  firestoreService: {
+    addDocument: jest.fn(),
+    queryDocuments: jest.fn()
+  }
+}));
+jest.mock('../../../services/firebase/auth', () => ({
+  authService: {
+    getRole: jest.fn()
+  }
+}));
+
+describe('Revocation Service', () => {
+  const issuedAt = 1750000000000;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await offlineDataService.clearAllCache();
+  });
+
+  describe('mergeRevocations', () => {
+    it('should index user and hash revocations and advance the version', () => {
+      const list = revocationService.mergeRevocations(null, [
+        { userId: 'user-1', verificationHash: null, revokedAt: 100 },
+        { userId: 'user-2', verificationHash: 'hash-2', revokedAt: 200 }
+      ]);
+
+      expect(list.users).toEqual({ 'user-1': 100 });
+      expect(list.hashes).toEqual({ 'hash-2': 200 });
+      expect(list.version).toBe(200);
+      expect(list.updatedAt).not.toBeNull();
+    });
+
+    it('should keep the latest user revocation time', () => {
+      const list = revocationService.mergeRevocations(
+        { version: 300, users: { 'user-1': 300 }, hashes: {} },
+        [{ userId: 'user-1', revokedAt: 100 }]
+      );
+
+      expect(list.users['user-1']).toBe(300);
+      expect(list.version).toBe(300);
+    });
+  });
+
+  describe('syncRevocationList', () => {
+    // Firestore returns revokedAt as a Timestamp
+    const serverTime = (ms) => ({ toMillis: () => ms });
+
+    beforeEach(() => {
+      authService.getRole.mockResolvedValue('hotel_staff');
+    });
+
+    it('should skip the sync on accounts that cannot read the list', async () => {
+      authService.getRole.mockResolvedValue(null);
+
+      const result = await revocationService.syncRevocationList();
+
+      expect(result).toEqual({ success: true, skipped: true });
+      expect(firestoreService.queryDocuments).not.toHaveBeenCalled();
+      expect((await revocationService.getRevocationList()).updatedAt).toBeNull();
+    });
+
+    it('should fetch entries newer than the cached version and cache them', async () => {
+      firestoreService.queryDocuments.mockResolvedValue({
+        success: true,
+        data: [{ userId: 'user-1', verificationHash: null, revokedAt: serverTime(issuedAt + 1000) }]
+      });
+
+      const result = await revocationService.syncRevocationList();
+
+      expect(result.success).toBe(true);
+      expect(result.version).toBe(issuedAt + 1000);
+      expect(firestoreService.queryDocuments).toHaveBeenCalledWith(
+        'qr_revocations', 'revokedAt', '>', new Date(0)
+      );
+      expect((await revocationService.getRevocationList()).users['user-1']).toBe(issuedAt + 1000);
+
+      await revocationService.syncRevocationList();
+      expect(firestoreService.queryDocuments).toHaveBeenLastCalledWith(
+        'qr_revocations', 'revokedAt', '>', new Date(issuedAt + 1000)
+      );
+    });
+
+    it('should record the sync time even when nothing was revoked', async () => {
+      await offlineDataService.cacheRevocationList({
+        ...revocationService.mergeRevocations(null, [{ userId: 'user-1', revokedAt: issuedAt }]),
+        updatedAt: '2025-01-01T00:00:00.000Z'
+      });
+      firestoreService.queryDocuments.mockResolvedValue({ success: true, data: [] });
+
+      const result = await revocationService.syncRevocationList();
+
+      expect(result).toMatchObject({ success: true, added: 0, version: issuedAt });
+      const list = await revocationService.getRevocationList();
+      expect(new Date(list.updatedAt).getTime()).toBeGreaterThan(new Date('2025-01-01').getTime());
+    });
+
+    it('should report query failures without touching the cache', async () => {
+      firestoreService.queryDocuments.mockResolvedValue({ success: false, error: 'Permission denied' });
+
+      const result = await revocationService.syncRevocationList();
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Permission denied');
+      const cached = await offlineDataService.getCachedRevocationList();
+      expect(cached.success).toBe(false);
+    });
+  });
+
+  describe('checkRevocation', () => {
+    beforeEach(async () => {
+      await offlineDataService.cacheRevocationList(revocationService.mergeRevocations(null, [
+        { userId: 'stolen-user', revokedAt: issuedAt + 1000 },
+        { userId: 'other-user', verificationHash: 'bad-hash', revokedAt: issuedAt + 500 }
+      ]));
+    });
+
+    it('should revoke codes issued before a user-level revocation', async () => {
+      const result = await revocationService.checkRevocation({
+        userId: 'stolen-user',
+        verificationHash: 'any-hash',
+        issuedAt
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.revoked).toBe(true);
+      expect(result.revokedAt).toEqual(new Date(issuedAt + 1000));
+    });
+
+    it('should accept codes reissued after a user-level revocation', async () => {
+      const result = await revocationService.checkRevocation({
+        userId: 'stolen-user',
+        verificationHash: 'new-hash',
+        issuedAt: issuedAt + 2000
+      });
+
+      expect(result.revoked).toBe(false);
+    });
+
+    it('should revoke a single code by verification hash', async () => {
+      const revoked = await revocationService.checkRevocation({
+        userId: 'other-user',
+        verificationHash: 'bad-hash',
+        issuedAt
+      });
+      const valid = await revocationService.checkRevocation({
+        userId: 'other-user',
+        verificationHash: 'good-hash',
+        issuedAt
+      });
+
+      expect(revoked.revoked).toBe(true);
+      expect(valid.revoked).toBe(false);
+    });
+  });
+
+  describe('revokeQRCode', () => {
+    it('should record the revocation and apply it locally', async () => {
+      firestoreService.addDocument.mockResolvedValue({ success: true, id: 'rev-1' });
+
+      const result = await revocationService.revokeQRCode({ userId: 'user-1', reason: 'stolen' });
+
+      expect(result.success).toBe(true);
+      expect(firestoreService.addDocument).toHaveBeenCalledWith('qr_revocations', expect.objectContaining({
+        userId: 'user-1',
+        verificationHash: null,
+        reason: 'stolen',
+        revokedBy: 'user-1',
+        revokedAt: serverTimestamp()
+      }));
+
+      const check = await revocationService.checkRevocation({
+        userId: 'user-1',
+        issuedAt: result.revocation.revokedAt - 1
+      });
+      expect(check.revoked).toBe(true);
+    });
+
+    it('should leave the sync cursor to the server clock', async () => {
+      firestoreService.addDocument.mockResolvedValue({ success: true, id: 'rev-1' });
+
+      await revocationService.revokeQRCode({ userId: 'user-1', reason: 'stolen' });
+
+      const list = await revocationService.getRevocationList();
+      expect(list.users['user-1']).toBeGreaterThan(0);
+      expect(list.version).toBe(0);
+    });
+
+    it('should require a user ID', async () => {
+      const result = await revocationService.revokeQRCode({});
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('User ID is required');
+    });
+  });
+});
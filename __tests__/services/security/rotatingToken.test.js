@@ -0,0 +1,129 @@
+import { rotatingTokenService } from '../../../services/security/rotatingToken';
+import { encryptionService } from '../../../services/security/encryption';
+import { hexToBytes } from '@noble/hashes/utils';
+
+jest.mock('../../../services/security/encryption', () => ({
+  encryptionService: {
+    generateRandomBytes: jest.fn(),
+    storeSecureData: jest.fn(),
+    getSecureData: jest.fn()
+  }
+}));
+
+describe('Rotating Token Service', () => {
+  // 2025-02-19T21:20:00Z, the start of a 30 second step
+  const now = 1740000000000;
+  const verificationHash = 'verification-hash';
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = {};
+    encryptionService.generateRandomBytes.mockResolvedValue({
+      success: true,
+      bytes: hexToBytes('4776facf891025aa0dbeb560d1c87bc5acd332175efe92d6c360880f4dc1c401')
+    });
+    encryptionService.storeSecureData.mockImplementation(async (key, value) => {
+      store[key] = value;
+      return { success: true };
+    });
+    encryptionService.getSecureData.mockImplementation(async (key) => ({
+      success: true,
+      value: store[key] || null
+    }));
+  });
+
+  const issueToken = async (at = now) => {
+    const keyResult = await rotatingTokenService.getTokenKey('user-1');
+    const tokenResult = await rotatingTokenService.generateToken('user-1', verificationHash, at);
+    return {
+      publicKey: keyResult.publicKey,
+      verificationHash,
+      step: tokenResult.step,
+      token: tokenResult.token
+    };
+  };
+
+  describe('time steps', () => {
+    it('should count 30 second steps and the seconds left in the current one', () => {
+      expect(rotatingTokenService.getTimeStep(now)).toBe(58000000);
+      expect(rotatingTokenService.getTimeStep(now + 29999)).toBe(58000000);
+      expect(rotatingTokenService.getTimeStep(now + 30000)).toBe(58000001);
+      expect(rotatingTokenService.getSecondsRemaining(now)).toBe(30);
+      expect(rotatingTokenService.getSecondsRemaining(now + 18000)).toBe(12);
+    });
+  });
+
+  describe('getTokenKey', () => {
+    it('should create the key once and reuse it from secure storage', async () => {
+      const first = await rotatingTokenService.getTokenKey('user-1');
+      const second = await rotatingTokenService.getTokenKey('user-1');
+
+      expect(first.success).toBe(true);
+      expect(second.publicKey).toBe(first.publicKey);
+      expect(encryptionService.generateRandomBytes).toHaveBeenCalledTimes(1);
+      expect(encryptionService.storeSecureData).toHaveBeenCalledWith('qr_token_key_user-1', first.privateKey);
+    });
+
+    it('should fail when no randomness is available', async () => {
+      encryptionService.generateRandomBytes.mockResolvedValue({ success: false, error: 'No entropy' });
+
+      const result = await rotatingTokenService.getTokenKey('user-1');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Failed to generate token key');
+    });
+  });
+
+  describe('verifyToken', () => {
+    it('should accept the current token', async () => {
+      const token = await issueToken();
+
+      const result = rotatingTokenService.verifyToken(token, now + 5000);
+
+      expect(result.success).toBe(true);
+      expect(result.drift).toBe(0);
+    });
+
+    it('should tolerate one step of clock skew either way', async () => {
+      const token = await issueToken();
+
+      expect(rotatingTokenService.verifyToken(token, now + 30000).success).toBe(true);
+      expect(rotatingTokenService.verifyToken(token, now - 30000).success).toBe(true);
+    });
+
+    it('should reject a screenshot replayed after the skew window', async () => {
+      const token = await issueToken();
+
+      const result = rotatingTokenService.verifyToken(token, now + 60000);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Rotating token has expired');
+    });
+
+    it('should reject tokens from the future', async () => {
+      const token = await issueToken(now + 120000);
+
+      const result = rotatingTokenService.verifyToken(token, now);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Rotating token is not yet valid');
+    });
+
+    it('should reject a token moved to a different step or QR', async () => {
+      const token = await issueToken();
+
+      expect(rotatingTokenService.verifyToken({ ...token, step: token.step + 1 }, now).error)
+        .toBe('Rotating token signature invalid');
+      expect(rotatingTokenService.verifyToken({ ...token, verificationHash: 'other-qr' }, now).error)
+        .toBe('Rotating token signature invalid');
+    });
+
+    it('should reject QR codes without a rotating token', () => {
+      const result = rotatingTokenService.verifyToken({ publicKey: 'abc', verificationHash }, now);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Rotating token missing');
+    });
+  });
+});
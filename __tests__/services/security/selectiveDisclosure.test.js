@@ -0,0 +1,199 @@
+import { selectiveDisclosureService } from '../../../services/security/selectiveDisclosure';
+import { encryptionService } from '../../../services/security/encryption';
+import { DISCLOSURE_PROFILES } from '../../../utils/constants';
+
+jest.mock('../../../services/security/encryption', () => ({
+  encryptionService: {
+    generateSalt: jest.fn(),
+    storeSecureData: jest.fn(),
+    getSecureData: jest.fn()
+  }
+}));
+
+describe('Selective Disclosure Service', () => {
+  const touristData = {
+    userId: 'user-1',
+    name: 'Jane Traveller',
+    nationality: 'Canada',
+    passportNumber: 'CA9876543',
+    profilePhotoUrl: 'https://example.com/jane.jpg',
+    medicalInfo: {
+      bloodType: 'O+',
+      allergies: 'Penicillin',
+      medications: 'Salbutamol inhaler',
+      insurance: { provider: 'TravelSure', policyNumber: 'TS-1234', phoneNumber: '' },
+      doctor: { name: 'Dr. Patel', phoneNumber: '' }
+    },
+    emergencyContacts: [
+      { name: 'Sam', phoneNumber: '+15551234567', relationship: 'Sibling', isPrimary: false },
+      { name: 'Alex', phoneNumber: '+15557654321', relationship: 'Partner', isPrimary: true }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    let counter = 0;
+    encryptionService.generateSalt.mockImplementation(async () => ({
+      success: true,
+      salt: `salt-${++counter}`
+    }));
+
+    const store = {};
+    encryptionService.storeSecureData.mockImplementation(async (key, value) => {
+      store[key] = value;
+      return { success: true };
+    });
+    encryptionService.getSecureData.mockImplementation(async (key) => ({
+      success: true,
+      value: store[key] || null
+    }));
+  });
+
+  describe('extractClaims', () => {
+    it('should derive passport last-4 and the primary emergency contact', () => {
+      const claims = selectiveDisclosureService.extractClaims(touristData);
+
+      expect(claims.passportLast4).toBe('6543');
+      expect(claims.emergencyContact).toEqual({
+        name: 'Alex',
+        phoneNumber: '+15557654321',
+        relationship: 'Partner'
+      });
+    });
+
+    it('should tolerate missing optional data', () => {
+      const claims = selectiveDisclosureService.extractClaims({ userId: 'user-2', name: 'Lee' });
+
+      expect(claims.passportLast4).toBeNull();
+      expect(claims.bloodType).toBeNull();
+      expect(claims.emergencyContact).toBeNull();
+    });
+  });
+
+  describe('createDisclosure', () => {
+    it('should disclose only hotel check-in claims', async () => {
+      const result = await selectiveDisclosureService.createDisclosure(
+        touristData,
+        DISCLOSURE_PROFILES.HOTEL_CHECK_IN
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.claims).toEqual({
+        name: 'Jane Traveller',
+        nationality: 'Canada',
+        passportLast4: '6543'
+      });
+      expect(Object.keys(result.commitments).sort()).toEqual(
+        [
+          'allergies', 'bloodType', 'conditions', 'doctorContact', 'emergencyContact',
+          'insurance', 'medications', 'passportNumber', 'profilePhotoUrl'
+        ]
+      );
+      expect(JSON.stringify(result.commitments)).not.toContain('CA9876543');
+    });
+
+    it('should disclose medical claims without identity', async () => {
+      const result = await selectiveDisclosureService.createDisclosure(
+        touristData,
+        DISCLOSURE_PROFILES.MEDICAL
+      );
+
+      expect(result.claims.bloodType).toBe('O+');
+      expect(result.claims.allergies).toBe('Penicillin');
+      expect(result.claims.medications).toBe('Salbutamol inhaler');
+      expect(result.claims.insurance).toEqual({ provider: 'TravelSure', policyNumber: 'TS-1234', phoneNumber: null });
+      expect(result.claims.doctorContact).toBeNull();
+      expect(result.claims.emergencyContact.name).toBe('Alex');
+      expect(result.claims).not.toHaveProperty('name');
+      expect(result.commitments).toHaveProperty('name');
+    });
+
+    it('should disclose the full passport number to police', async () => {
+      const result = await selectiveDisclosureService.createDisclosure(
+        touristData,
+        DISCLOSURE_PROFILES.POLICE
+      );
+
+      expect(result.claims.passportNumber).toBe('CA9876543');
+      expect(result.claims.profilePhotoUrl).toBe('https://example.com/jane.jpg');
+      expect(result.commitments).toHaveProperty('bloodType');
+    });
+
+    it('should reject unknown profiles', async () => {
+      const result = await selectiveDisclosureService.createDisclosure(touristData, 'tour_guide');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Unknown disclosure profile: tour_guide');
+    });
+
+    it('should fail when salts cannot be generated', async () => {
+      encryptionService.generateSalt.mockResolvedValue({ success: false, error: 'No entropy' });
+
+      const result = await selectiveDisclosureService.createDisclosure(
+        touristData,
+        DISCLOSURE_PROFILES.HOTEL_CHECK_IN
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Failed to generate disclosure salt');
+    });
+  });
+
+  describe('revealing withheld claims', () => {
+    it('should reveal stored claims that match their commitments', async () => {
+      const disclosure = await selectiveDisclosureService.createDisclosure(
+        touristData,
+        DISCLOSURE_PROFILES.HOTEL_CHECK_IN
+      );
+      await selectiveDisclosureService.storeSecrets('user-1', 'qr-hash', disclosure.secrets);
+
+      const revealed = await selectiveDisclosureService.revealClaims('user-1', ['bloodType', 'passportNumber']);
+      expect(revealed.success).toBe(true);
+      expect(revealed.disclosure.verificationHash).toBe('qr-hash');
+
+      const verified = selectiveDisclosureService.verifyRevealedClaims(
+        disclosure.commitments,
+        revealed.disclosure
+      );
+      expect(verified.success).toBe(true);
+      expect(verified.claims).toEqual({ bloodType: 'O+', passportNumber: 'CA9876543' });
+    });
+
+    it('should reject tampered values', async () => {
+      const disclosure = await selectiveDisclosureService.createDisclosure(
+        touristData,
+        DISCLOSURE_PROFILES.HOTEL_CHECK_IN
+      );
+      const { salt } = disclosure.secrets.bloodType;
+
+      const result = selectiveDisclosureService.verifyRevealedClaims(disclosure.commitments, {
+        claims: [[salt, 'bloodType', 'AB-']]
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Disclosed claim does not match its commitment: bloodType');
+    });
+
+    it('should reject claims that were never committed', () => {
+      const result = selectiveDisclosureService.verifyRevealedClaims({}, {
+        claims: [['salt', 'name', 'Jane Traveller']]
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Claim was not committed in this QR code: name');
+    });
+
+    it('should refuse to reveal claims that were disclosed openly', async () => {
+      const disclosure = await selectiveDisclosureService.createDisclosure(
+        touristData,
+        DISCLOSURE_PROFILES.HOTEL_CHECK_IN
+      );
+      await selectiveDisclosureService.storeSecrets('user-1', 'qr-hash', disclosure.secrets);
+
+      const result = await selectiveDisclosureService.revealClaims('user-1', ['name']);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Claim not available for disclosure: name');
+    });
+  });
+});
@@ -21,6 +21,8 @@ import VoiceInput from './VoiceInput';
 
 const ChatBot = ({ 
   userLanguage = 'en', 
+  nationality,
+  location,
   onLanguageDetected, 
   onEmergencyDetected,
   style 
@@ -83,6 +85,8 @@ const ChatBot = ({
       // Process message with chatbot
       const context = {
         userLanguage: detectedLanguage,
+        nationality,
+        location,
         previousMessages: messages.slice(-5) // Last 5 messages for context
       };
 
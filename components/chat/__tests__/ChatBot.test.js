@@ -9,6 +9,10 @@ import { translationService } from '../../../services/ai/translation';
 jest.mock('../../../services/ai/chatBot');
 jest.mock('../../../services/ai/languageDetection');
 jest.mock('../../../services/ai/translation');
+// The embassy lookup reads Firestore; the bot service itself is mocked
+jest.mock('../../../services/emergency/embassyService', () => ({
+  embassyService: { describeNearest: jest.fn() }
+}));
 jest.mock('expo-speech', () => ({
   speak: jest.fn()
 }));
@@ -9,9 +9,13 @@ import {
 } from 'react-native';
 import QRCode from 'react-native-qrcode-svg';
 import { Ionicons } from '@expo/vector-icons';
+import { qrGeneratorService } from '../../services/security/qrGenerator';
+import { rotatingTokenService } from '../../services/security/rotatingToken';
+import { QR_CONFIG, DISCLOSURE_PROFILE_CONFIG } from '../../utils/constants';
 
 const QRCodeDisplay = ({ 
   touristData, 
+  disclosureProfile = QR_CONFIG.DEFAULT_DISCLOSURE_PROFILE,
   onRefresh, 
   onError, 
   fullScreen = false,
@@ -20,48 +24,102 @@ const QRCodeDisplay = ({
 }) => {
   const [qrData, setQrData] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [rotatingQRString, setRotatingQRString] = useState(null);
+  const [secondsRemaining, setSecondsRemaining] = useState(QR_CONFIG.TOKEN_STEP_SECONDS);
 
   // QR code size based on screen mode
   const qrSize = fullScreen ? 250 : 200;
+  const profileConfig = DISCLOSURE_PROFILE_CONFIG[disclosureProfile];
 
   useEffect(() => {
-    generateQRCode();
-  }, [touristData]);
+    loadQRCode();
+  }, [touristData, disclosureProfile]);
 
-  const generateQRCode = async () => {
+  // Rotate the token every step so screenshots go stale; ticks each second for the countdown
+  useEffect(() => {
+    if (!qrData) return undefined;
+
+    let currentStep = null;
+    const tick = async () => {
+      const now = Date.now();
+      setSecondsRemaining(rotatingTokenService.getSecondsRemaining(now));
+
+      const step = rotatingTokenService.getTimeStep(now);
+      if (step === currentStep) return;
+      currentStep = step;
+
+      const result = await qrGeneratorService.getRotatingQRString(qrData, now);
+      if (result?.success) {
+        setRotatingQRString(result.qrString);
+      } else if (result) {
+        handleError(result.error);
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [qrData]);
+
+  const formatTimeRemaining = () => {
+    const remaining = qrData.getTimeUntilExpiry
+      ? qrData.getTimeUntilExpiry()
+      : Math.max(0, new Date(qrData.expiresAt).getTime() - Date.now());
+    const hours = Math.floor(remaining / (60 * 60 * 1000));
+    const minutes = Math.floor((remaining % (60 * 60 * 1000)) / (60 * 1000));
+    return `${hours}h ${minutes}m remaining`;
+  };
+
+  // Reuse the cached QR when it was issued for the same profile and is still fresh
+  const loadQRCode = async () => {
     try {
       setLoading(true);
-      
-      // Mock QR data for demo
-      const mockQrData = {
-        qrString: JSON.stringify({
-          userId: touristData?.userId || 'demo-user',
-          name: touristData?.name || 'Demo User',
-          nationality: touristData?.nationality || 'India',
-          verificationStatus: 'verified',
-          timestamp: new Date().toISOString()
-        }),
-        userId: touristData?.userId || 'demo-user',
-        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
-        generatedAt: new Date(),
-        securityLevel: 'high'
-      };
-      
-      setQrData(mockQrData);
-      
-      if (onRefresh) {
-        onRefresh(mockQrData);
+
+      const cachedResult = await qrGeneratorService.getCachedQRData(touristData.userId);
+      if (
+        cachedResult.success &&
+        cachedResult.qrData.disclosureProfile === disclosureProfile &&
+        !qrGeneratorService.needsRefresh(cachedResult.qrData)
+      ) {
+        setQrData(cachedResult.qrData);
+        if (onRefresh) {
+          onRefresh(cachedResult.qrData);
+        }
+        return;
       }
-      
-      setLoading(false);
+
+      await generateQRCode();
     } catch (error) {
       handleError(error.message);
+    } finally {
       setLoading(false);
     }
   };
 
+  const generateQRCode = async () => {
+    const result = await qrGeneratorService.generateQRData(touristData, 'high', disclosureProfile);
+
+    if (!result.success) {
+      setQrData(null);
+      handleError(result.error);
+      return;
+    }
+
+    setQrData(result.qrData);
+    if (onRefresh) {
+      onRefresh(result.qrData);
+    }
+  };
+
   const handleRefresh = async () => {
-    await generateQRCode();
+    setLoading(true);
+    try {
+      await generateQRCode();
+    } catch (error) {
+      handleError(error.message);
+    } finally {
+      setLoading(false);
+    }
   };
 
   const handleError = (errorMessage) => {
@@ -78,7 +136,7 @@ const QRCodeDisplay = ({
     return (
       <View style={[styles.container, styles.loadingContainer, style]}>
         <ActivityIndicator size="large" color="#007AFF" />
-        <Text style={styles.loadingText}>Generating QR code...</Text>
+        <Text style={styles.loadingText}>Generating secure QR code...</Text>
       </View>
     );
   }
@@ -88,7 +146,7 @@ const QRCodeDisplay = ({
       <View style={[styles.container, styles.errorContainer, style]}>
         <Ionicons name="alert-circle-outline" size={48} color="#FF3B30" />
         <Text style={styles.errorText}>Failed to generate QR code</Text>
-        <TouchableOpacity style={styles.retryButton} onPress={generateQRCode}>
+        <TouchableOpacity style={styles.retryButton} onPress={handleRefresh}>
           <Text style={styles.retryButtonText}>Retry</Text>
         </TouchableOpacity>
       </View>
@@ -107,22 +165,34 @@ const QRCodeDisplay = ({
           <Ionicons name="checkmark-circle" size={16} color="#007E33" />
           <Text style={styles.securityText}>Verified</Text>
         </View>
+        {profileConfig && (
+          <View style={styles.securityBadge}>
+            <Ionicons name={profileConfig.icon} size={16} color="#007AFF" />
+            <Text style={[styles.securityText, styles.profileText]}>{profileConfig.label}</Text>
+          </View>
+        )}
       </View>
 
       {/* QR Code Display */}
       <View style={styles.qrContainer}>
         <View style={styles.qrWrapper}>
-          <QRCode
-            value={qrData.qrString}
-            size={qrSize}
-            color="#000000"
-            backgroundColor="#FFFFFF"
-            logoSize={qrSize * 0.15}
-            logoBackgroundColor="transparent"
-            logoMargin={2}
-            logoBorderRadius={8}
-            quietZone={10}
-          />
+          {rotatingQRString ? (
+            <QRCode
+              value={rotatingQRString}
+              size={qrSize}
+              color="#000000"
+              backgroundColor="#FFFFFF"
+              logoSize={qrSize * 0.15}
+              logoBackgroundColor="transparent"
+              logoMargin={2}
+              logoBorderRadius={8}
+              quietZone={10}
+            />
+          ) : (
+            <View style={[styles.qrPlaceholder, { width: qrSize, height: qrSize }]}>
+              <ActivityIndicator size="large" color="#007AFF" />
+            </View>
+          )}
         </View>
         
         {/* Security Level Indicator */}
@@ -140,10 +210,27 @@ const QRCodeDisplay = ({
           {touristData?.nationality || 'India'} • Verified Tourist
         </Text>
         
+        {/* Rotating token countdown */}
+        <View
+          style={styles.countdownContainer}
+          accessible={true}
+          accessibilityLabel={`QR code changes in ${secondsRemaining} seconds`}
+        >
+          <View style={styles.countdownTrack}>
+            <View
+              style={[
+                styles.countdownBar,
+                { width: `${(secondsRemaining / QR_CONFIG.TOKEN_STEP_SECONDS) * 100}%` }
+              ]}
+            />
+          </View>
+          <Text style={styles.countdownText}>Code changes in {secondsRemaining}s</Text>
+        </View>
+
         <View style={styles.timeContainer}>
           <Ionicons name="time-outline" size={16} color="#666" />
           <Text style={styles.timeText}>
-            Valid for 24 hours
+            {formatTimeRemaining()}
           </Text>
         </View>
         
@@ -246,6 +333,9 @@ const styles = StyleSheet.create({
     color: '#00C851',
     fontWeight: '600',
   },
+  profileText: {
+    color: '#007AFF',
+  },
   qrContainer: {
     alignItems: 'center',
     marginBottom: 20,
@@ -263,6 +353,10 @@ const styles = StyleSheet.create({
     shadowRadius: 12,
     elevation: 8,
   },
+  qrPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
   securityLevelBadge: {
     position: 'absolute',
     bottom: -8,
@@ -292,6 +386,28 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 12,
   },
+  countdownContainer: {
+    width: 200,
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  countdownTrack: {
+    width: '100%',
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#E5E5EA',
+    overflow: 'hidden',
+  },
+  countdownBar: {
+    height: '100%',
+    backgroundColor: '#007AFF',
+  },
+  countdownText: {
+    marginTop: 6,
+    fontSize: 12,
+    color: '#666',
+    fontWeight: '500',
+  },
   timeContainer: {
     flexDirection: 'row',
     alignItems: 'center',
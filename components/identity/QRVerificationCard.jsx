@@ -0,0 +1,202 @@
+import React from 'react';
+import { View, Text, StyleSheet, Image } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import VerificationBadge from './VerificationBadge';
+import { DISCLOSURE_PROFILE_CONFIG, DISCLOSURE_CLAIM_LABELS } from '../../utils/constants';
+
+// Shows the outcome of scanning a tourist QR code (a QRVerificationResult)
+const QRVerificationCard = ({ result }) => {
+  if (!result) {
+    return null;
+  }
+
+  const { isValid, isExpired, isRevoked, userData, errorMessage, blockchainVerified } = result;
+
+  const getStatus = () => {
+    if (isRevoked) {
+      return { label: 'REVOKED', color: '#FF3B30', icon: 'ban' };
+    }
+    if (isExpired) {
+      return { label: 'EXPIRED', color: '#FF9500', icon: 'time' };
+    }
+    if (isValid) {
+      return { label: 'VERIFIED', color: '#00C851', icon: 'shield-checkmark' };
+    }
+    return { label: 'INVALID', color: '#FF3B30', icon: 'close-circle' };
+  };
+
+  const status = getStatus();
+
+  const formatDate = (date) => {
+    if (!date) return 'Unknown';
+    return new Date(date).toLocaleString();
+  };
+
+  // Claims not in the QR's disclosure profile are sealed, not missing
+  const isWithheld = (claim) => !!userData?.withheldClaims?.includes(claim);
+  const isDisclosed = (claim) => !!userData && claim in userData;
+
+  const formatPassport = () => {
+    if (userData.passportNumber) return userData.passportNumber;
+    if (userData.passportLast4) return `•••• ${userData.passportLast4}`;
+    return null;
+  };
+
+  const formatContact = (contact) => {
+    if (!contact) return null;
+    return `${contact.name} (${contact.relationship || 'Contact'}) ${contact.phoneNumber}`;
+  };
+
+  const renderRow = (label, value) => (
+    <View style={styles.detailRow}>
+      <Text style={styles.detailLabel}>{label}</Text>
+      <Text style={styles.detailValue}>{value || '—'}</Text>
+    </View>
+  );
+
+  return (
+    <View
+      style={[styles.card, { borderColor: status.color }]}
+      accessible={true}
+      accessibilityLabel={`Verification result: ${status.label}`}
+    >
+      <View style={[styles.statusBanner, { backgroundColor: status.color }]}>
+        <Ionicons name={status.icon} size={24} color="#FFFFFF" />
+        <Text style={styles.statusText}>{status.label}</Text>
+      </View>
+
+      {userData ? (
+        <View style={styles.body}>
+          <View style={styles.identityRow}>
+            {userData.profilePhotoUrl ? (
+              <Image
+                source={{ uri: userData.profilePhotoUrl }}
+                style={styles.photo}
+                accessibilityLabel="Tourist photo"
+              />
+            ) : (
+              <View style={[styles.photo, styles.photoPlaceholder]}>
+                <Ionicons name="person" size={40} color="#999" />
+              </View>
+            )}
+            <View style={styles.identityInfo}>
+              <Text style={styles.name}>
+                {isWithheld('name') ? 'Name sealed' : userData.name || 'Unknown'}
+              </Text>
+              <Text style={styles.nationality}>
+                {isWithheld('nationality') ? 'Nationality sealed' : userData.nationality || 'Unknown nationality'}
+              </Text>
+              <VerificationBadge verified={isValid && !isRevoked} size="small" />
+            </View>
+          </View>
+
+          {userData.disclosureProfile && renderRow(
+            'Profile',
+            DISCLOSURE_PROFILE_CONFIG[userData.disclosureProfile]?.label || userData.disclosureProfile
+          )}
+          {(isDisclosed('passportNumber') || isDisclosed('passportLast4')) && renderRow('Passport', formatPassport())}
+          {isDisclosed('bloodType') && renderRow('Blood group', userData.bloodType)}
+          {isDisclosed('allergies') && renderRow('Allergies', userData.allergies)}
+          {isDisclosed('emergencyContact') && renderRow('Emergency contact', formatContact(userData.emergencyContact))}
+          {renderRow('Issued', formatDate(userData.timestamp))}
+          {renderRow('Expires', formatDate(userData.expiresAt))}
+          {renderRow('Issuer', userData.issuer)}
+          {renderRow('Revocation', isRevoked ? 'Revoked' : 'Not revoked')}
+          {renderRow('Ledger', blockchainVerified ? 'Recorded' : 'Not confirmed')}
+          {userData.withheldClaims?.length > 0 && renderRow(
+            'Sealed',
+            userData.withheldClaims.map(claim => DISCLOSURE_CLAIM_LABELS[claim] || claim).join(', ')
+          )}
+        </View>
+      ) : (
+        <View style={styles.body}>
+          <Text style={styles.errorText}>{errorMessage || 'This QR code could not be verified.'}</Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    borderWidth: 2,
+    overflow: 'hidden',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  statusBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+  },
+  statusText: {
+    color: '#FFFFFF',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 8,
+    letterSpacing: 1,
+  },
+  body: {
+    padding: 16,
+  },
+  identityRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  photo: {
+    width: 80,
+    height: 80,
+    borderRadius: 40,
+    marginRight: 16,
+  },
+  photoPlaceholder: {
+    backgroundColor: '#F0F0F0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  identityInfo: {
+    flex: 1,
+  },
+  name: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  nationality: {
+    fontSize: 14,
+    color: '#666',
+    marginVertical: 4,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  detailLabel: {
+    fontSize: 14,
+    color: '#666',
+  },
+  detailValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    flexShrink: 1,
+    textAlign: 'right',
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#333',
+    textAlign: 'center',
+  },
+});
+
+export default QRVerificationCard;
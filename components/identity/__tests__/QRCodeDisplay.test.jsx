@@ -8,6 +8,8 @@ import { VERIFICATION_STATUS } from '../../../utils/constants';
 
 // Mock dependencies
 jest.mock('../../../services/security/qrGenerator');
+jest.mock('../../../services/security/revocation', () => ({ revocationService: {} }));
+jest.mock('../../../services/firebase/functions', () => ({ functionsService: { call: jest.fn() } }));
 jest.mock('react-native-qrcode-svg', () => 'QRCode');
 jest.mock('expo-file-system');
 jest.mock('expo-media-library');
@@ -36,7 +38,8 @@ describe('QRCodeDisplay Component', () => {
     encryptedData: 'mock-encrypted-data',
     generatedAt: new Date(),
     version: '1.0',
-    securityLevel: 'high'
+    securityLevel: 'high',
+    disclosureProfile: 'hotel_check_in'
   });
 
   const mockProps = {
@@ -67,15 +70,6 @@ describe('QRCodeDisplay Component', () => {
       success: true,
       qrData: mockQRData
     });
-    
-    qrGeneratorService.generateOfflineQR.mockResolvedValue({
-      success: true,
-      qrData: mockQRData,
-      offlineMetadata: {
-        validUntil: mockQRData.expiresAt,
-        emergencyContact: '1363'
-      }
-    });
   });
 
   describe('Rendering', () => {
@@ -162,7 +156,7 @@ describe('QRCodeDisplay Component', () => {
       render(<QRCodeDisplay {...mockProps} />);
       
       await waitFor(() => {
-        expect(qrGeneratorService.generateQRData).toHaveBeenCalledWith(mockTouristData);
+        expect(qrGeneratorService.generateQRData).toHaveBeenCalledWith(mockTouristData, 'high', 'hotel_check_in');
       });
     });
 
@@ -172,7 +166,7 @@ describe('QRCodeDisplay Component', () => {
       render(<QRCodeDisplay {...mockProps} />);
       
       await waitFor(() => {
-        expect(qrGeneratorService.generateQRData).toHaveBeenCalledWith(mockTouristData);
+        expect(qrGeneratorService.generateQRData).toHaveBeenCalledWith(mockTouristData, 'high', 'hotel_check_in');
       });
     });
 
@@ -212,20 +206,6 @@ describe('QRCodeDisplay Component', () => {
       });
     });
 
-    it('should handle download button press', async () => {
-      const { getByText } = render(<QRCodeDisplay {...mockProps} />);
-      
-      await waitFor(() => {
-        expect(getByText('Download')).toBeTruthy();
-      });
-
-      fireEvent.press(getByText('Download'));
-      
-      await waitFor(() => {
-        expect(qrGeneratorService.generateOfflineQR).toHaveBeenCalledWith(mockTouristData);
-      });
-    });
-
     it('should handle share button press', async () => {
       const { getByText } = render(<QRCodeDisplay {...mockProps} />);
       
@@ -285,6 +265,23 @@ describe('QRCodeDisplay Component', () => {
       });
     });
 
+    it('should render the rotating QR with a countdown', async () => {
+      qrGeneratorService.getRotatingQRString.mockResolvedValue({
+        success: true,
+        qrString: 'rotating-qr-string',
+        step: 1,
+        secondsRemaining: 30
+      });
+
+      const { getByText, UNSAFE_getByType } = render(<QRCodeDisplay {...mockProps} />);
+
+      await waitFor(() => {
+        expect(getByText(/Code changes in \d+s/)).toBeTruthy();
+        expect(UNSAFE_getByType('QRCode').props.value).toBe('rotating-qr-string');
+      });
+      expect(qrGeneratorService.getRotatingQRString).toHaveBeenCalledWith(mockQRData, expect.any(Number));
+    });
+
     it('should show warning when QR code needs refresh', async () => {
       // Mock QR data that needs refresh
       const expiringSoonQRData = new QRCodeData({
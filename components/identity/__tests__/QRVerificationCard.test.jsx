@@ -0,0 +1,99 @@
+import React from 'react';
+import { render } from '@testing-library/react-native';
+import QRVerificationCard from '../QRVerificationCard';
+import { QRVerificationResult } from '../../../utils/dataModels';
+
+jest.mock('react-native', () => ({
+  View: 'View',
+  Text: 'Text',
+  Image: 'Image',
+  StyleSheet: {
+    create: (styles) => styles,
+    flatten: (styles) => styles
+  }
+}));
+jest.mock('../VerificationBadge', () => 'VerificationBadge');
+
+describe('QRVerificationCard Component', () => {
+  const issuedAt = new Date('2025-06-01T10:00:00Z');
+  const userData = {
+    name: 'John Doe',
+    nationality: 'USA',
+    passportLast4: '4567',
+    profilePhotoUrl: 'https://example.com/photo.jpg',
+    timestamp: issuedAt,
+    expiresAt: new Date(issuedAt.getTime() + 24 * 60 * 60 * 1000),
+    issuer: 'Tourist Safety Authority'
+  };
+
+  it('should render nothing without a result', () => {
+    const { toJSON } = render(<QRVerificationCard result={null} />);
+    expect(toJSON()).toBeNull();
+  });
+
+  it('should render verified tourist details', () => {
+    const result = new QRVerificationResult({ isValid: true, userData });
+    const { getByText } = render(<QRVerificationCard result={result} />);
+
+    expect(getByText('VERIFIED')).toBeTruthy();
+    expect(getByText('John Doe')).toBeTruthy();
+    expect(getByText('USA')).toBeTruthy();
+    expect(getByText('•••• 4567')).toBeTruthy();
+    expect(getByText('Tourist Safety Authority')).toBeTruthy();
+    expect(getByText('Not revoked')).toBeTruthy();
+  });
+
+  it('should show only the claims of a medical disclosure', () => {
+    const { name, nationality, passportLast4, ...sealedData } = userData;
+    const result = new QRVerificationResult({
+      isValid: true,
+      userData: {
+        ...sealedData,
+        disclosureProfile: 'medical',
+        bloodType: 'O+',
+        allergies: 'Penicillin',
+        emergencyContact: { name: 'Alex', relationship: 'Partner', phoneNumber: '+15557654321' },
+        withheldClaims: ['name', 'nationality', 'passportLast4']
+      }
+    });
+    const { getByText, queryByText } = render(<QRVerificationCard result={result} />);
+
+    expect(getByText('Medical')).toBeTruthy();
+    expect(getByText('O+')).toBeTruthy();
+    expect(getByText('Alex (Partner) +15557654321')).toBeTruthy();
+    expect(getByText('Name sealed')).toBeTruthy();
+    expect(getByText('Name, Nationality, Passport last 4')).toBeTruthy();
+    expect(queryByText('Passport')).toBeNull();
+  });
+
+  it('should flag revoked codes even when the signature is valid', () => {
+    const result = new QRVerificationResult({ isValid: true, isRevoked: true, userData });
+    const { getByText } = render(<QRVerificationCard result={result} />);
+
+    expect(getByText('REVOKED')).toBeTruthy();
+    expect(getByText('Revoked')).toBeTruthy();
+  });
+
+  it('should show expired state', () => {
+    const result = new QRVerificationResult({
+      isValid: false,
+      isExpired: true,
+      errorMessage: 'QR code has expired'
+    });
+    const { getByText } = render(<QRVerificationCard result={result} />);
+
+    expect(getByText('EXPIRED')).toBeTruthy();
+    expect(getByText('QR code has expired')).toBeTruthy();
+  });
+
+  it('should show error message for invalid codes', () => {
+    const result = new QRVerificationResult({
+      isValid: false,
+      errorMessage: 'Signature verification failed'
+    });
+    const { getByText } = render(<QRVerificationCard result={result} />);
+
+    expect(getByText('INVALID')).toBeTruthy();
+    expect(getByText('Signature verification failed')).toBeTruthy();
+  });
+});
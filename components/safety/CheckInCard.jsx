@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { checkInService } from '../../services/emergency/checkInService';
+import { CHECK_IN_CONFIG, CHECK_IN_STATUS } from '../../utils/constants';
+
+const EXTEND_MINUTES = 30;
+
+const formatDuration = (minutes) => (
+  minutes < 60 ? `${minutes} min` : `${minutes / 60} h`
+);
+
+const formatCountdown = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
+
+const formatClockTime = (timestamp) => (
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+);
+
+const CheckInCard = ({ checkIn, onStart, onConfirm, onExtend, onCancel }) => {
+  const [now, setNow] = useState(Date.now());
+  const [duration, setDuration] = useState(CHECK_IN_CONFIG.DURATION_OPTIONS_MINUTES[2]);
+  const [label, setLabel] = useState('');
+
+  useEffect(() => {
+    if (!checkInService.isActive(checkIn)) return undefined;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [checkIn?.id, checkIn?.status]);
+
+  if (!checkIn) {
+    return (
+      <View style={styles.container} testID="check-in-card">
+        <Text style={styles.title}>Safety Check-in</Text>
+        <Text style={styles.description}>
+          Going somewhere alone? If you don&apos;t check in on time, your emergency contacts get your last known location.
+        </Text>
+
+        <TextInput
+          style={styles.input}
+          value={label}
+          onChangeText={setLabel}
+          placeholder="Where are you going? (optional)"
+          accessibilityLabel="Where are you going"
+        />
+
+        <View style={styles.durations}>
+          {CHECK_IN_CONFIG.DURATION_OPTIONS_MINUTES.map(minutes => (
+            <TouchableOpacity
+              key={minutes}
+              style={[styles.durationChip, duration === minutes && styles.durationChipSelected]}
+              onPress={() => setDuration(minutes)}
+              accessibilityRole="button"
+              accessibilityState={{ selected: duration === minutes }}
+            >
+              <Text style={[styles.durationText, duration === minutes && styles.durationTextSelected]}>
+                {formatDuration(minutes)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <TouchableOpacity
+          style={styles.primaryButton}
+          onPress={() => onStart?.(duration, label)}
+          accessibilityRole="button"
+        >
+          <Text style={styles.primaryButtonText}>Check on me in {formatDuration(duration)}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (checkIn.status === CHECK_IN_STATUS.ALERTED) {
+    return (
+      <View style={[styles.container, styles.alertedContainer]} testID="check-in-card">
+        <Text style={styles.alertedTitle}>🚨 Missed check-in</Text>
+        <Text style={styles.description}>
+          Your emergency contacts were alerted at {formatClockTime(checkIn.alertedAt)} with your last known location.
+        </Text>
+        <TouchableOpacity style={styles.secondaryButton} onPress={() => onCancel?.()} accessibilityRole="button">
+          <Text style={styles.secondaryButtonText}>Dismiss</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const isOverdue = checkIn.status === CHECK_IN_STATUS.OVERDUE || now >= checkIn.dueAt;
+  const secondsRemaining = checkInService.getSecondsRemaining(checkIn, now);
+
+  return (
+    <View style={[styles.container, isOverdue && styles.overdueContainer]} testID="check-in-card">
+      <Text style={[styles.title, isOverdue && styles.overdueText]}>
+        {isOverdue ? '⚠️ Check-in overdue' : `Check in by ${formatClockTime(checkIn.dueAt)}`}
+      </Text>
+      {!!checkIn.label && <Text style={styles.label}>{checkIn.label}</Text>}
+
+      <Text style={[styles.countdown, isOverdue && styles.overdueText]}>
+        {isOverdue
+          ? `Alerting your contacts in ${formatCountdown(secondsRemaining)}`
+          : `${formatCountdown(secondsRemaining)} left`}
+      </Text>
+
+      {!checkIn.backgroundTracking && (
+        <Text style={styles.warning}>
+          Background location is off, so a missed check-in can only be sent while the app is open.
+        </Text>
+      )}
+
+      <TouchableOpacity style={styles.primaryButton} onPress={() => onConfirm?.()} accessibilityRole="button">
+        <Text style={styles.primaryButtonText}>✓ I&apos;m safe</Text>
+      </TouchableOpacity>
+
+      <View style={styles.row}>
+        <TouchableOpacity
+          style={[styles.secondaryButton, styles.rowButton]}
+          onPress={() => onExtend?.(EXTEND_MINUTES)}
+          accessibilityRole="button"
+        >
+          <Text style={styles.secondaryButtonText}>+{EXTEND_MINUTES} min</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.secondaryButton, styles.rowButton]}
+          onPress={() => onCancel?.()}
+          accessibilityRole="button"
+        >
+          <Text style={styles.secondaryButtonText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    padding: 20,
+    marginBottom: 10,
+  },
+  overdueContainer: {
+    backgroundColor: '#fff3e0',
+  },
+  alertedContainer: {
+    backgroundColor: '#ffebee',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 5,
+  },
+  alertedTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#FF3B30',
+    marginBottom: 5,
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 15,
+  },
+  label: {
+    fontSize: 15,
+    color: '#333',
+    marginBottom: 5,
+  },
+  countdown: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 10,
+  },
+  overdueText: {
+    color: '#E65100',
+  },
+  warning: {
+    fontSize: 13,
+    color: '#E65100',
+    marginBottom: 10,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+    marginBottom: 12,
+  },
+  durations: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  durationChip: {
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  durationChipSelected: {
+    backgroundColor: '#007AFF',
+  },
+  durationText: {
+    color: '#007AFF',
+    fontSize: 14,
+  },
+  durationTextSelected: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  primaryButton: {
+    backgroundColor: '#34C759',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  row: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  rowButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: '#999',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+  },
+  secondaryButtonText: {
+    color: '#333',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+});
+
+export default CheckInCard;
@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react';
+import { useSafety } from '../../context/SafetyContext';
+import { useLocation } from '../../context/LocationContext';
+import { useAuth } from '../../context/AuthContext';
+import { silentAlertService } from '../../services/emergency/silentAlertService';
+
+// Listens for the shake and power button triggers while enabled. Renders nothing:
+// a silent alert must not change what is on screen
+const DiscreetTriggerMonitor = () => {
+  const { discreetTriggerSettings, triggerSilentAlert } = useSafety();
+  const { currentLocation } = useLocation();
+  const { profile } = useAuth();
+
+  // The sensor and screen listeners outlive renders; read the latest values through a ref
+  const latest = useRef({});
+  latest.current = { currentLocation, profile, triggerSilentAlert };
+
+  const shakeEnabled = !!discreetTriggerSettings?.shake;
+  const powerButtonEnabled = !!discreetTriggerSettings?.powerButton && silentAlertService.supportsPowerButton();
+
+  useEffect(() => {
+    if (!shakeEnabled && !powerButtonEnabled) {
+      return undefined;
+    }
+
+    return silentAlertService.subscribe((source) => {
+      const { currentLocation, profile, triggerSilentAlert } = latest.current;
+      triggerSilentAlert(source, currentLocation, profile);
+    });
+  }, [shakeEnabled, powerButtonEnabled]);
+
+  useEffect(() => {
+    if (!shakeEnabled) {
+      return undefined;
+    }
+
+    silentAlertService.startShakeMonitoring();
+    return () => silentAlertService.stopShakeMonitoring();
+  }, [shakeEnabled]);
+
+  useEffect(() => {
+    if (!powerButtonEnabled) {
+      return undefined;
+    }
+
+    silentAlertService.startPowerButtonMonitoring();
+    return () => silentAlertService.stopPowerButtonMonitoring();
+  }, [powerButtonEnabled]);
+
+  return null;
+};
+
+export default DiscreetTriggerMonitor;
@@ -0,0 +1,278 @@
+import React, { useState } from 'react';
+import { View, Text, Switch, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { useSafety } from '../../context/SafetyContext';
+import { silentAlertService } from '../../services/emergency/silentAlertService';
+import { DISCREET_TRIGGER_CONFIG } from '../../utils/constants';
+
+const FAKE_CALL_DELAYS = [5, 10, 30, 60];
+
+const SettingRow = ({ label, description, value, onValueChange }) => (
+  <View style={styles.row}>
+    <View style={styles.rowText}>
+      <Text style={styles.label}>{label}</Text>
+      <Text style={styles.description}>{description}</Text>
+    </View>
+    <Switch value={value} onValueChange={onValueChange} accessibilityLabel={label} />
+  </View>
+);
+
+// Discreet ways to alert emergency contacts without anyone nearby noticing
+const DiscreetTriggerSettings = ({ navigation }) => {
+  const { discreetTriggerSettings, updateDiscreetTriggerSettings, setDiscreetPin } = useSafety();
+  const [pin, setPin] = useState('');
+  const [callerName, setCallerName] = useState(null);
+
+  if (!discreetTriggerSettings) {
+    return null;
+  }
+
+  const {
+    shake,
+    powerButton,
+    calculator,
+    launchAsCalculator,
+    fakeCall,
+    fakeCallerName,
+    fakeCallDelaySeconds,
+    hasPin
+  } = discreetTriggerSettings;
+
+  const update = async (updates) => {
+    const result = await updateDiscreetTriggerSettings(updates);
+    if (!result.success) {
+      Alert.alert('Error', result.error);
+    }
+  };
+
+  const handleSavePin = async () => {
+    const result = await setDiscreetPin(pin);
+    if (result.success) {
+      setPin('');
+      Alert.alert('PIN Saved', 'Type the PIN on the calculator and press "=" to send a silent alert.');
+    } else {
+      Alert.alert('Error', result.error);
+    }
+  };
+
+  const handleCallerNameEnd = () => {
+    if (callerName !== null && callerName.trim()) {
+      update({ fakeCallerName: callerName.trim() });
+    }
+    setCallerName(null);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.heading}>Discreet alerts</Text>
+      <Text style={styles.description}>
+        Alert your emergency contacts without anyone noticing. Nothing is shown or played on this phone.
+      </Text>
+
+      <SettingRow
+        label="Shake to alert"
+        description={`Shake the phone hard ${DISCREET_TRIGGER_CONFIG.SHAKE_COUNT} times within ${DISCREET_TRIGGER_CONFIG.SHAKE_WINDOW_MS / 1000} seconds`}
+        value={shake}
+        onValueChange={(value) => update({ shake: value })}
+      />
+
+      {silentAlertService.supportsPowerButton() && (
+        <SettingRow
+          label="Power button"
+          description={`Press the power button ${DISCREET_TRIGGER_CONFIG.PRESS_COUNT} times quickly while the app is open`}
+          value={powerButton}
+          onValueChange={(value) => update({ powerButton: value })}
+        />
+      )}
+
+      <SettingRow
+        label="Decoy calculator"
+        description='A working calculator; typing your PIN and "=" sends the alert'
+        value={calculator}
+        onValueChange={(value) => update({ calculator: value })}
+      />
+
+      <View style={styles.pinRow}>
+        <TextInput
+          style={styles.input}
+          value={pin}
+          onChangeText={setPin}
+          placeholder={hasPin ? 'Change calculator PIN' : 'Set calculator PIN'}
+          keyboardType="number-pad"
+          secureTextEntry
+          maxLength={8}
+          accessibilityLabel="Calculator PIN"
+        />
+        <TouchableOpacity
+          style={[styles.smallButton, pin.length < DISCREET_TRIGGER_CONFIG.MIN_PIN_LENGTH && styles.buttonDisabled]}
+          onPress={handleSavePin}
+          disabled={pin.length < DISCREET_TRIGGER_CONFIG.MIN_PIN_LENGTH}
+          accessibilityRole="button"
+        >
+          <Text style={styles.smallButtonText}>Save</Text>
+        </TouchableOpacity>
+      </View>
+
+      {calculator && (
+        <View>
+          <SettingRow
+            label="Open as calculator"
+            description="Start the app on the calculator; long-press the display to leave it"
+            value={launchAsCalculator}
+            onValueChange={(value) => update({ launchAsCalculator: value })}
+          />
+          <TouchableOpacity
+            style={styles.linkButton}
+            onPress={() => navigation.navigate('DecoyCalculator')}
+            accessibilityRole="button"
+          >
+            <Text style={styles.linkText}>Open calculator</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <SettingRow
+        label="Fake call"
+        description="Answering the fake call sends the alert"
+        value={fakeCall}
+        onValueChange={(value) => update({ fakeCall: value })}
+      />
+
+      {fakeCall && (
+        <View>
+          <Text style={styles.subLabel}>Caller name</Text>
+          <TextInput
+            style={styles.input}
+            value={callerName ?? fakeCallerName}
+            onChangeText={setCallerName}
+            onEndEditing={handleCallerNameEnd}
+            accessibilityLabel="Fake caller name"
+          />
+          <Text style={styles.subLabel}>Ring after</Text>
+          <View style={styles.options}>
+            {FAKE_CALL_DELAYS.map(seconds => (
+              <TouchableOpacity
+                key={seconds}
+                style={[styles.option, fakeCallDelaySeconds === seconds && styles.optionSelected]}
+                onPress={() => update({ fakeCallDelaySeconds: seconds })}
+                accessibilityRole="button"
+                accessibilityState={{ selected: fakeCallDelaySeconds === seconds }}
+              >
+                <Text style={[styles.optionText, fakeCallDelaySeconds === seconds && styles.optionTextSelected]}>
+                  {seconds < 60 ? `${seconds}s` : `${seconds / 60}m`}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TouchableOpacity
+            style={styles.linkButton}
+            onPress={() => navigation.navigate('FakeCall')}
+            accessibilityRole="button"
+          >
+            <Text style={styles.linkText}>Start fake call</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  heading: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  rowText: {
+    flex: 1,
+    marginRight: 10,
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#333',
+    marginBottom: 2,
+  },
+  subLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  description: {
+    fontSize: 13,
+    color: '#666',
+  },
+  pinRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+  },
+  smallButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    marginLeft: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  smallButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  options: {
+    flexDirection: 'row',
+    marginBottom: 6,
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  optionSelected: {
+    backgroundColor: '#007AFF',
+  },
+  optionText: {
+    color: '#007AFF',
+    fontSize: 14,
+  },
+  optionTextSelected: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  linkButton: {
+    paddingVertical: 8,
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
+
+export default DiscreetTriggerSettings;
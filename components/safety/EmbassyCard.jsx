@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Linking, Alert } from 'react-native';
+import { embassyService } from '../../services/emergency/embassyService';
+import { emergencyNumberService } from '../../services/emergency/emergencyNumberService';
+
+const openUrl = (url, failure) => {
+  Linking.openURL(url).catch(() => Alert.alert('Error', failure));
+};
+
+// Nearest embassy or consulate of the user's own country
+const EmbassyCard = ({ nationality, location, showHotline = true, onEditProfile }) => {
+  // Re-render once a newer cached directory has been loaded
+  const [, setDirectoryVersion] = useState(embassyService.getDirectory().version);
+
+  useEffect(() => {
+    embassyService.loadCachedDirectory().then(result => {
+      if (result.success) {
+        setDirectoryVersion(result.version);
+      }
+    });
+  }, []);
+
+  const result = embassyService.findNearest(nationality, location);
+  const hotline = showHotline && emergencyNumberService.getConsularHotline(nationality);
+
+  if (!result.success) {
+    return (
+      <View style={styles.container} testID="embassy-card">
+        <Text style={styles.title}>Your Embassy</Text>
+        <Text style={styles.description}>
+          Add your nationality to your profile to see your nearest embassy or consulate.
+        </Text>
+        {onEditProfile && (
+          <TouchableOpacity style={styles.linkButton} onPress={onEditProfile}>
+            <Text style={styles.linkButtonText}>Edit Profile</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  }
+
+  if (result.atHome) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container} testID="embassy-card">
+      <Text style={styles.title}>Your Embassy</Text>
+      {result.missions.length === 0 && (
+        <Text style={styles.description}>
+          No embassy or consulate of your country is on file for this area yet.
+        </Text>
+      )}
+
+      {result.missions.map((mission, index) => {
+        const distance = embassyService.formatDistance(mission);
+        return (
+          <View key={mission.id} style={[styles.mission, index > 0 && styles.missionDivider]}>
+            <View style={styles.missionHeader}>
+              <Text style={styles.missionName}>{mission.name}</Text>
+              {distance && <Text style={styles.distance}>{distance}</Text>}
+            </View>
+            <Text style={styles.missionType}>
+              {embassyService.getMissionLabel(mission.type)} · {mission.city}
+            </Text>
+            <Text style={styles.detail}>📍 {mission.address}</Text>
+            <Text style={styles.detail}>🕘 {mission.hours}</Text>
+            <View style={styles.actions}>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.callButton]}
+                onPress={() => openUrl(`tel:${mission.phone}`, 'Failed to make call')}
+                accessibilityLabel={`Call ${mission.name}`}
+              >
+                <Text style={styles.actionText}>📞 {mission.phone}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.directionsButton]}
+                onPress={() => openUrl(
+                  `https://maps.google.com/?q=${mission.latitude},${mission.longitude}`,
+                  'Failed to open maps'
+                )}
+                accessibilityLabel={`Directions to ${mission.name}`}
+              >
+                <Text style={styles.actionText}>Directions</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        );
+      })}
+
+      {hotline && (
+        <TouchableOpacity
+          style={styles.hotline}
+          onPress={() => openUrl(`tel:${hotline.number}`, 'Failed to make call')}
+        >
+          <Text style={styles.hotlineText}>
+            24/7 {hotline.service}: {hotline.number}
+          </Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    padding: 20,
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 5,
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+  mission: {
+    paddingVertical: 10,
+  },
+  missionDivider: {
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  missionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  missionName: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  distance: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+    marginLeft: 10,
+  },
+  missionType: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 6,
+  },
+  detail: {
+    fontSize: 13,
+    color: '#444',
+    marginBottom: 3,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  actionButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    marginRight: 8,
+  },
+  callButton: {
+    backgroundColor: '#34C759',
+  },
+  directionsButton: {
+    backgroundColor: '#007AFF',
+  },
+  actionText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  hotline: {
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: '#f0f0ff',
+  },
+  hotlineText: {
+    fontSize: 13,
+    color: '#5856D6',
+    fontWeight: '600',
+  },
+  linkButton: {
+    alignSelf: 'flex-start',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: '#007AFF',
+  },
+  linkButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+});
+
+export default EmbassyCard;
@@ -0,0 +1,358 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { escalationService } from '../../services/emergency/escalationService';
+import { getTimeAgo } from '../../utils/helpers';
+import { ACK_STATUS, DELIVERY_STATUS, ESCALATION_STAGES } from '../../utils/constants';
+
+const STEPS = [
+  { stage: ESCALATION_STAGES.PRIMARY_ALERTED, label: 'Primary contact alerted' },
+  { stage: ESCALATION_STAGES.ALL_CONTACTS_ALERTED, label: 'All contacts alerted' },
+  { stage: ESCALATION_STAGES.CALL_PROMPTED, label: 'Call for help' }
+];
+
+const formatCountdown = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const getContactStatusText = (acknowledgement) => {
+  if (!acknowledgement) return 'Not seen yet';
+
+  const ago = getTimeAgo(acknowledgement.at).toLowerCase();
+  return acknowledgement.status === ACK_STATUS.EN_ROUTE ? `En route · ${ago}` : `Seen ${ago}`;
+};
+
+const getDeliveryText = (delivery) => {
+  if (!delivery) return null;
+
+  switch (delivery.status) {
+    case DELIVERY_STATUS.SENT:
+      return 'SMS sent';
+    case DELIVERY_STATUS.UNCONFIRMED:
+      return 'SMS not confirmed · check your messages';
+    case DELIVERY_STATUS.RETRYING:
+      return `SMS retrying · attempt ${delivery.attempts + 1}`;
+    case DELIVERY_STATUS.FAILED:
+      return 'SMS failed';
+    default:
+      return null;
+  }
+};
+
+const EscalationStatus = ({ escalation, deliveries = {}, onAcknowledge, onCall, onReplyCode }) => {
+  const [now, setNow] = useState(Date.now());
+  const [replyCode, setReplyCode] = useState('');
+
+  useEffect(() => {
+    if (!escalation) return undefined;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [escalation?.id]);
+
+  if (!escalation) {
+    return null;
+  }
+
+  const acknowledgements = escalation.acknowledgements || {};
+  const hasPending = escalation.contacts.some(contact => !acknowledgements[contact.id]);
+  const acceptsReplyCodes = hasPending && escalation.contacts.some(contact => contact.replyCode);
+
+  const submitReplyCode = async () => {
+    const result = await onReplyCode?.(replyCode);
+    if (result?.success) {
+      setReplyCode('');
+    }
+  };
+
+  const renderContacts = () => escalation.contacts.length > 0 && (
+    <View style={styles.contacts}>
+      {escalation.contacts.map(contact => {
+        const acknowledgement = acknowledgements[contact.id];
+        const delivery = deliveries?.[contact.id];
+        const deliveryText = getDeliveryText(delivery);
+        return (
+          <View key={contact.id} style={styles.contactRow} testID={`ack-${contact.id}`}>
+            <View>
+              <Text style={styles.contactName}>{contact.name}</Text>
+              {deliveryText && (
+                <Text
+                  style={[
+                    styles.deliveryText,
+                    delivery.status === DELIVERY_STATUS.FAILED && styles.deliveryFailed
+                  ]}
+                  testID={`delivery-${contact.id}`}
+                >
+                  {deliveryText}
+                </Text>
+              )}
+            </View>
+            <Text
+              style={[
+                styles.contactStatus,
+                acknowledgement ? styles.acknowledgedStatus : styles.pendingText
+              ]}
+            >
+              {getContactStatusText(acknowledgement)}
+            </Text>
+          </View>
+        );
+      })}
+
+      {acceptsReplyCodes && onReplyCode && (
+        <View style={styles.replyCodeRow}>
+          <TextInput
+            style={styles.replyCodeInput}
+            value={replyCode}
+            onChangeText={setReplyCode}
+            placeholder="Reply code from a contact"
+            keyboardType="number-pad"
+            maxLength={7}
+            accessibilityLabel="Reply code from a contact"
+          />
+          <TouchableOpacity
+            style={styles.replyCodeButton}
+            onPress={submitReplyCode}
+            disabled={!replyCode}
+            accessibilityRole="button"
+          >
+            <Text style={styles.replyCodeButtonText}>Confirm</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+
+  if (escalation.stage === ESCALATION_STAGES.ACKNOWLEDGED) {
+    const { name, status } = escalation.acknowledgedBy || {};
+    return (
+      <View style={[styles.container, styles.acknowledgedContainer]} testID="escalation-status">
+        <Text style={styles.acknowledgedTitle}>
+          {status === ACK_STATUS.EN_ROUTE ? '✓ Help is on the way' : '✓ Your alert was seen'}
+        </Text>
+        <Text style={styles.acknowledgedText}>
+          {name ? `${name} acknowledged your alert.` : 'Your alert was acknowledged.'} Escalation has stopped.
+        </Text>
+        {renderContacts()}
+      </View>
+    );
+  }
+
+  const reached = escalation.history.map(entry => entry.stage);
+  const currentIndex = STEPS.findIndex(step => step.stage === escalation.stage);
+  const secondsRemaining = escalationService.getSecondsRemaining(escalation, now);
+  const nextStep = STEPS[currentIndex + 1];
+
+  return (
+    <View style={styles.container} testID="escalation-status">
+      <Text style={styles.title}>Escalation</Text>
+
+      {STEPS.map((step, index) => {
+        const isCurrent = step.stage === escalation.stage;
+        const isDone = index < currentIndex && reached.includes(step.stage);
+        const isSkipped = index < currentIndex && !isDone;
+
+        return (
+          <View key={step.stage} style={styles.step}>
+            <Text style={[styles.stepMarker, isCurrent && styles.currentText]}>
+              {isDone ? '✓' : isCurrent ? '●' : '○'}
+            </Text>
+            <Text
+              style={[
+                styles.stepLabel,
+                isCurrent && styles.currentText,
+                (isSkipped || index > currentIndex) && styles.pendingText
+              ]}
+            >
+              {step.label}{isSkipped ? ' (skipped)' : ''}
+            </Text>
+          </View>
+        );
+      })}
+
+      {secondsRemaining !== null && nextStep && (
+        <Text style={styles.countdown}>
+          {nextStep.stage === ESCALATION_STAGES.CALL_PROMPTED
+            ? `Prompting a call in ${formatCountdown(secondsRemaining)} unless someone responds`
+            : `Alerting all contacts in ${formatCountdown(secondsRemaining)} unless someone responds`}
+        </Text>
+      )}
+
+      {renderContacts()}
+
+      {escalation.stage === ESCALATION_STAGES.CALL_PROMPTED && (
+        <View style={styles.callPrompt}>
+          <Text style={styles.callPromptText}>
+            None of your contacts have responded. Call for help now.
+          </Text>
+          {escalationService.getCallNumbers().map(({ label, number }) => (
+            <TouchableOpacity
+              key={number}
+              style={styles.callButton}
+              onPress={() => onCall?.(number, label)}
+              accessibilityRole="button"
+              accessibilityLabel={`Call ${label} ${number}`}
+            >
+              <Text style={styles.callButtonText}>
+                📞 Call {label} ({number})
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      <TouchableOpacity
+        style={styles.acknowledgeButton}
+        onPress={() => onAcknowledge?.()}
+        accessibilityRole="button"
+      >
+        <Text style={styles.acknowledgeButtonText}>A contact has responded</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    padding: 20,
+    marginBottom: 10,
+  },
+  acknowledgedContainer: {
+    backgroundColor: '#e8f5e9',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  step: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  stepMarker: {
+    width: 24,
+    fontSize: 16,
+    color: '#34C759',
+  },
+  stepLabel: {
+    fontSize: 15,
+    color: '#333',
+  },
+  currentText: {
+    color: '#FF3B30',
+    fontWeight: 'bold',
+  },
+  pendingText: {
+    color: '#999',
+  },
+  countdown: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 8,
+  },
+  callPrompt: {
+    marginTop: 12,
+  },
+  callPromptText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#FF3B30',
+    marginBottom: 8,
+  },
+  callButton: {
+    backgroundColor: '#FF3B30',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  callButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  acknowledgeButton: {
+    borderWidth: 1,
+    borderColor: '#34C759',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  acknowledgeButtonText: {
+    color: '#34C759',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  contacts: {
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  contactRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  contactName: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  contactStatus: {
+    fontSize: 14,
+  },
+  deliveryText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  deliveryFailed: {
+    color: '#FF3B30',
+  },
+  acknowledgedStatus: {
+    color: '#2e7d32',
+    fontWeight: 'bold',
+  },
+  replyCodeRow: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  replyCodeInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+    marginRight: 8,
+  },
+  replyCodeButton: {
+    backgroundColor: '#34C759',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    justifyContent: 'center',
+  },
+  replyCodeButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  acknowledgedTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2e7d32',
+    marginBottom: 5,
+  },
+  acknowledgedText: {
+    fontSize: 14,
+    color: '#333',
+  },
+});
+
+export default EscalationStatus;
@@ -0,0 +1,62 @@
+import React, { useEffect, useRef } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { useSafety } from '../../context/SafetyContext';
+import { evidenceService } from '../../services/emergency/evidenceService';
+import { EVIDENCE_CONFIG } from '../../utils/constants';
+
+// expo-camera can only take pictures from a mounted view, so keep a tiny one
+// alive while evidence is being captured. Only used if camera access was granted
+// earlier; an emergency is no time for a permission prompt.
+const EvidenceCamera = () => {
+  const { evidenceStatus } = useSafety();
+  const [permission] = useCameraPermissions();
+  const cameraRef = useRef(null);
+
+  const active = !!evidenceStatus?.capturing && !!permission?.granted;
+
+  useEffect(() => {
+    if (!active) {
+      return undefined;
+    }
+
+    return () => evidenceService.setPhotoSource(null);
+  }, [active]);
+
+  const handleCameraReady = () => {
+    evidenceService.setPhotoSource(() => cameraRef.current?.takePictureAsync({
+      quality: EVIDENCE_CONFIG.PHOTO_QUALITY,
+      shutterSound: false
+    }));
+  };
+
+  if (!active) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container} pointerEvents="none">
+      <CameraView
+        ref={cameraRef}
+        style={styles.camera}
+        facing="back"
+        onCameraReady={handleCameraReady}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    width: 1,
+    height: 1,
+    opacity: 0,
+  },
+  camera: {
+    width: 1,
+    height: 1,
+  },
+});
+
+export default EvidenceCamera;
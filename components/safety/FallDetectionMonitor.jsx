@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  Vibration,
+  Alert,
+  AccessibilityInfo,
+} from 'react-native';
+import { useSafety } from '../../context/SafetyContext';
+import { useLocation } from '../../context/LocationContext';
+import { useAuth } from '../../context/AuthContext';
+import { fallDetectionService } from '../../services/emergency/fallDetectionService';
+import { realTimeLocationService } from '../../services/location/realTimeLocationService';
+import { emergencyNumberService } from '../../services/emergency/emergencyNumberService';
+
+// Runs fall / crash detection while enabled and gives the user a countdown to
+// cancel before the regular panic flow starts
+const FallDetectionMonitor = () => {
+  const { fallDetectionSettings, activatePanicMode, panicMode } = useSafety();
+  const { currentLocation, emergencyNumbers } = useLocation();
+  const { profile } = useAuth();
+  const [detection, setDetection] = useState(null);
+  const [countdown, setCountdown] = useState(0);
+  const countdownTimer = useRef(null);
+
+  // The sensor listener outlives renders; read the latest values through a ref
+  const latest = useRef({});
+  latest.current = { currentLocation, profile, activatePanicMode, settings: fallDetectionSettings };
+
+  const enabled = !!fallDetectionSettings?.enabled && !panicMode;
+
+  useEffect(() => {
+    if (!enabled) {
+      fallDetectionService.stop();
+      return undefined;
+    }
+
+    fallDetectionService.start(fallDetectionSettings.sensitivity);
+    const unsubscribe = fallDetectionService.subscribe(handleDetection);
+
+    return () => {
+      unsubscribe();
+      fallDetectionService.stop();
+    };
+  }, [enabled, fallDetectionSettings?.sensitivity]);
+
+  useEffect(() => () => clearCountdown(), []);
+
+  useEffect(() => {
+    if (detection && countdown === 0) {
+      sendAlert();
+    }
+  }, [detection, countdown]);
+
+  const clearCountdown = () => {
+    if (countdownTimer.current) {
+      clearInterval(countdownTimer.current);
+      countdownTimer.current = null;
+    }
+    Vibration.cancel();
+  };
+
+  const handleDetection = (event) => {
+    if (countdownTimer.current) return;
+
+    const seconds = latest.current.settings?.countdownSeconds || 30;
+    setDetection(event);
+    setCountdown(seconds);
+    Vibration.vibrate([0, 500, 500], true);
+    AccessibilityInfo.announceForAccessibility(
+      `Possible ${event.type === 'fall' ? 'fall' : 'crash'} detected. Emergency alert in ${seconds} seconds unless you cancel.`
+    );
+
+    countdownTimer.current = setInterval(() => {
+      setCountdown((prev) => Math.max(0, prev - 1));
+    }, 1000);
+  };
+
+  const handleImOk = () => {
+    clearCountdown();
+    setDetection(null);
+  };
+
+  const sendAlert = async () => {
+    clearCountdown();
+    setDetection(null);
+
+    const { currentLocation, profile, activatePanicMode } = latest.current;
+
+    try {
+      let location = currentLocation;
+      if (!location) {
+        const cached = await realTimeLocationService.getLastCachedLocation();
+        location = cached.success ? cached.location : null;
+      }
+
+      if (!location) {
+        Alert.alert(
+          'Location Unavailable',
+          `We could not find your location to alert your contacts. Call for help:\n\n${emergencyNumberService.formatNumbers(emergencyNumbers, ['police', 'ambulance'])}`
+        );
+        return;
+      }
+
+      const result = await activatePanicMode(location, profile, profile?.emergencyContacts);
+      if (!result?.success) {
+        Alert.alert('Error', 'Failed to send emergency alert. Please use the panic button.');
+      }
+    } catch (error) {
+      console.error('Error sending fall detection alert:', error);
+      Alert.alert('Error', 'Failed to send emergency alert. Please use the panic button.');
+    }
+  };
+
+  return (
+    <Modal
+      visible={!!detection}
+      transparent
+      animationType="fade"
+      onRequestClose={handleImOk}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.dialog} accessibilityViewIsModal>
+          <Text style={styles.title}>
+            {detection?.type === 'fall' ? 'Did you fall?' : 'Were you in a crash?'}
+          </Text>
+          <Text style={styles.message}>
+            Your emergency contacts will be alerted with your location unless you respond.
+          </Text>
+          <Text style={styles.countdown} accessibilityLiveRegion="assertive">
+            {countdown}
+          </Text>
+
+          <TouchableOpacity
+            style={styles.okButton}
+            onPress={handleImOk}
+            accessibilityRole="button"
+            accessibilityLabel="I'm OK, cancel the emergency alert"
+          >
+            <Text style={styles.okButtonText}>I&apos;m OK</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.helpButton}
+            onPress={sendAlert}
+            accessibilityRole="button"
+          >
+            <Text style={styles.helpButtonText}>Send help now</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  dialog: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 24,
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#FF3B30',
+    marginBottom: 10,
+  },
+  message: {
+    fontSize: 16,
+    color: '#333',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  countdown: {
+    fontSize: 64,
+    fontWeight: 'bold',
+    color: '#FF3B30',
+    marginBottom: 20,
+  },
+  okButton: {
+    backgroundColor: '#34C759',
+    borderRadius: 8,
+    padding: 16,
+    alignSelf: 'stretch',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  okButtonText: {
+    color: '#fff',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  helpButton: {
+    borderWidth: 1,
+    borderColor: '#FF3B30',
+    borderRadius: 8,
+    padding: 14,
+    alignSelf: 'stretch',
+    alignItems: 'center',
+  },
+  helpButtonText: {
+    color: '#FF3B30',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default FallDetectionMonitor;
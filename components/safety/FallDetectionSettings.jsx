@@ -0,0 +1,122 @@
+import React from 'react';
+import { View, Text, Switch, TouchableOpacity, StyleSheet } from 'react-native';
+import { useSafety } from '../../context/SafetyContext';
+import { FALL_DETECTION_SENSITIVITY } from '../../utils/constants';
+
+const SENSITIVITY_LABELS = {
+  LOW: 'Low',
+  MEDIUM: 'Medium',
+  HIGH: 'High'
+};
+
+const SENSITIVITY_HINTS = {
+  LOW: 'Only hard impacts such as a vehicle crash',
+  MEDIUM: 'Falls and crashes',
+  HIGH: 'Also lighter falls; may trigger more often'
+};
+
+const FallDetectionSettings = () => {
+  const { fallDetectionSettings, updateFallDetectionSettings } = useSafety();
+
+  if (!fallDetectionSettings) {
+    return null;
+  }
+
+  const { enabled, sensitivity, countdownSeconds } = fallDetectionSettings;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.row}>
+        <View style={styles.rowText}>
+          <Text style={styles.label}>Fall & crash detection</Text>
+          <Text style={styles.description}>
+            After a hard impact followed by stillness, you get {countdownSeconds} seconds to cancel before your emergency contacts are alerted.
+          </Text>
+        </View>
+        <Switch
+          value={enabled}
+          onValueChange={(value) => updateFallDetectionSettings({ enabled: value })}
+          accessibilityLabel="Fall and crash detection"
+        />
+      </View>
+
+      {enabled && (
+        <View>
+          <Text style={styles.subLabel}>Sensitivity</Text>
+          <View style={styles.options}>
+            {Object.keys(FALL_DETECTION_SENSITIVITY).map(level => (
+              <TouchableOpacity
+                key={level}
+                style={[styles.option, sensitivity === level && styles.optionSelected]}
+                onPress={() => updateFallDetectionSettings({ sensitivity: level })}
+                accessibilityRole="button"
+                accessibilityState={{ selected: sensitivity === level }}
+              >
+                <Text style={[styles.optionText, sensitivity === level && styles.optionTextSelected]}>
+                  {SENSITIVITY_LABELS[level]}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.description}>{SENSITIVITY_HINTS[sensitivity]}</Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rowText: {
+    flex: 1,
+    marginRight: 10,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  subLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 13,
+    color: '#666',
+  },
+  options: {
+    flexDirection: 'row',
+    marginBottom: 6,
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  optionSelected: {
+    backgroundColor: '#007AFF',
+  },
+  optionText: {
+    color: '#007AFF',
+    fontSize: 14,
+  },
+  optionTextSelected: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+});
+
+export default FallDetectionSettings;
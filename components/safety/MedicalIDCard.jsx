@@ -0,0 +1,144 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Linking, Alert } from 'react-native';
+
+const callNumber = (phoneNumber) => {
+  Linking.openURL(`tel:${phoneNumber}`).catch(() => Alert.alert('Error', 'Failed to make call'));
+};
+
+// Medical ID for first responders: large, high-contrast text that reads at a glance
+const MedicalIDCard = ({ profile, name }) => {
+  if (!profile || profile.isEmpty()) {
+    return (
+      <View style={styles.container} testID="medical-id-card">
+        <View style={styles.header}>
+          <Text style={styles.headerText}>✚ MEDICAL ID</Text>
+        </View>
+        <Text style={styles.empty}>No medical information has been added.</Text>
+      </View>
+    );
+  }
+
+  const { insurance, doctor } = profile;
+  const rows = [
+    ['ALLERGIES', profile.allergies],
+    ['CONDITIONS', profile.conditions],
+    ['MEDICATIONS', profile.medications]
+  ].filter(([, value]) => value);
+
+  return (
+    <View style={styles.container} testID="medical-id-card">
+      <View style={styles.header}>
+        <Text style={styles.headerText}>✚ MEDICAL ID</Text>
+        {name ? <Text style={styles.name}>{name}</Text> : null}
+      </View>
+
+      {profile.bloodType ? (
+        <View style={styles.bloodType}>
+          <Text style={styles.label}>BLOOD GROUP</Text>
+          <Text style={styles.bloodTypeValue}>{profile.bloodType}</Text>
+        </View>
+      ) : null}
+
+      {rows.map(([label, value]) => (
+        <View key={label} style={styles.row}>
+          <Text style={styles.label}>{label}</Text>
+          <Text style={styles.value}>{value}</Text>
+        </View>
+      ))}
+
+      {doctor.phoneNumber ? (
+        <TouchableOpacity
+          style={styles.row}
+          onPress={() => callNumber(doctor.phoneNumber)}
+          accessibilityLabel={`Call doctor ${doctor.name}`}
+        >
+          <Text style={styles.label}>DOCTOR</Text>
+          <Text style={styles.value}>{doctor.name || 'Doctor'}</Text>
+          <Text style={styles.phone}>📞 {doctor.phoneNumber}</Text>
+        </TouchableOpacity>
+      ) : null}
+
+      {insurance.policyNumber ? (
+        <View style={styles.row}>
+          <Text style={styles.label}>INSURANCE</Text>
+          <Text style={styles.value}>
+            {[insurance.provider, insurance.policyNumber].filter(Boolean).join(' · ')}
+          </Text>
+          {insurance.phoneNumber ? (
+            <Text style={styles.phone} onPress={() => callNumber(insurance.phoneNumber)}>
+              📞 {insurance.phoneNumber}
+            </Text>
+          ) : null}
+        </View>
+      ) : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: '#D70015',
+    overflow: 'hidden',
+    marginBottom: 10,
+  },
+  header: {
+    backgroundColor: '#D70015',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+  },
+  headerText: {
+    color: '#fff',
+    fontSize: 20,
+    fontWeight: 'bold',
+    letterSpacing: 1,
+  },
+  name: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  bloodType: {
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ddd',
+  },
+  bloodTypeValue: {
+    fontSize: 40,
+    fontWeight: 'bold',
+    color: '#000',
+  },
+  row: {
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ddd',
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#D70015',
+    marginBottom: 4,
+  },
+  value: {
+    fontSize: 20,
+    color: '#000',
+  },
+  phone: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#0040DD',
+    marginTop: 4,
+  },
+  empty: {
+    fontSize: 16,
+    color: '#333',
+    padding: 16,
+  },
+});
+
+export default MedicalIDCard;
@@ -0,0 +1,411 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { mapTileStore } from '../../services/offline/mapTileStore';
+import { regionAround } from '../../utils/mapTiles';
+import { MAP_DOWNLOAD_STATUS, MAP_TILE_CONFIG } from '../../utils/constants';
+
+const MB = 1024 * 1024;
+
+const formatMB = (bytes) => {
+  const mb = bytes / MB;
+  return mb < 10 ? `${mb.toFixed(1)} MB` : `${Math.round(mb)} MB`;
+};
+
+const PAUSE_REASONS = {
+  user: 'Paused',
+  budget: 'Paused: the offline map storage limit is full',
+  network: 'Paused: no connection to the map server',
+  interrupted: 'Paused when the app was closed',
+  error: 'Paused after an error'
+};
+
+// Download the map around a point so it can be viewed without a connection
+const OfflineMapCard = ({ location, placeName = null }) => {
+  const [radiusKm, setRadiusKm] = useState(MAP_TILE_CONFIG.AREA_RADIUS_OPTIONS_KM[0]);
+  const [estimate, setEstimate] = useState(null);
+  const [download, setDownload] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [budgetMB, setBudgetMB] = useState(MAP_TILE_CONFIG.DEFAULT_BUDGET_MB);
+
+  // Only a noticeable move changes the area on offer
+  const latitude = location ? Number(location.latitude.toFixed(3)) : null;
+  const longitude = location ? Number(location.longitude.toFixed(3)) : null;
+  const region = latitude === null ? null : regionAround({ latitude, longitude }, radiusKm);
+
+  const refreshStats = useCallback(async () => {
+    const result = await mapTileStore.getStats();
+    if (result.success) {
+      setStats(result.stats);
+    }
+  }, []);
+
+  useEffect(() => {
+    mapTileStore.getDownload().then(result => setDownload(result.download));
+    mapTileStore.getSettings().then(result => setBudgetMB(result.settings.budgetMB));
+    refreshStats();
+
+    return mapTileStore.subscribe(next => {
+      setDownload(next);
+      if (next?.status !== MAP_DOWNLOAD_STATUS.DOWNLOADING) {
+        refreshStats();
+      }
+    });
+  }, [refreshStats]);
+
+  useEffect(() => {
+    if (!region) return;
+
+    mapTileStore.estimateArea(region).then(result => {
+      setEstimate(result.success ? result : null);
+    });
+  }, [latitude, longitude, radiusKm, budgetMB, stats?.totalBytes]);
+
+  const startDownload = async () => {
+    const result = await mapTileStore.startDownload({
+      region,
+      name: `${radiusKm} km around ${placeName || `${latitude.toFixed(3)}, ${longitude.toFixed(3)}`}`
+    });
+    if (!result.success) {
+      Alert.alert('Offline Map', result.error);
+    }
+  };
+
+  const confirmDownload = () => {
+    const evicting = estimate.evictBytes > 0
+      ? `\n\nAbout ${formatMB(estimate.evictBytes)} of maps you haven't viewed recently will be removed to make room.`
+      : '';
+    Alert.alert(
+      'Download Map Area',
+      `${estimate.newTiles} map tiles, about ${formatMB(estimate.estimatedBytes)}. ` +
+        `Use Wi-Fi if you can.${evicting}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Download', onPress: startDownload }
+      ]
+    );
+  };
+
+  const confirmDeleteArea = (area) => {
+    Alert.alert(
+      'Delete Offline Area',
+      `Remove ${area.name || 'this area'} from your phone?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await mapTileStore.deleteArea(area.id);
+            refreshStats();
+          }
+        }
+      ]
+    );
+  };
+
+  const changeBudget = async (mb) => {
+    const result = await mapTileStore.updateSettings({ budgetMB: mb });
+    if (result.success) {
+      setBudgetMB(mb);
+      refreshStats();
+    } else {
+      Alert.alert('Offline Map', result.error);
+    }
+  };
+
+  const isActive = download?.status === MAP_DOWNLOAD_STATUS.DOWNLOADING
+    || download?.status === MAP_DOWNLOAD_STATUS.PAUSED;
+
+  const renderDownload = () => {
+    const isPaused = download.status === MAP_DOWNLOAD_STATUS.PAUSED;
+    const progress = download.totalTiles > 0 ? download.completedTiles / download.totalTiles : 0;
+
+    return (
+      <View style={styles.download}>
+        <Text style={styles.label}>{download.name || 'Offline area'}</Text>
+        <View style={styles.progressTrack}>
+          <View style={[styles.progressFill, { width: `${Math.round(progress * 100)}%` }]} />
+        </View>
+        <Text style={styles.detail}>
+          {download.completedTiles} of {download.totalTiles} tiles · {formatMB(download.downloadedBytes)}
+        </Text>
+        {isPaused && (
+          <Text style={styles.warning}>{PAUSE_REASONS[download.pauseReason] || PAUSE_REASONS.user}</Text>
+        )}
+        <View style={styles.row}>
+          <TouchableOpacity
+            style={[styles.secondaryButton, styles.rowButton]}
+            onPress={() => (isPaused ? mapTileStore.resumeDownload() : mapTileStore.pauseDownload())}
+            accessibilityRole="button"
+          >
+            <Text style={styles.secondaryButtonText}>{isPaused ? 'Resume' : 'Pause'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.secondaryButton, styles.rowButton]}
+            onPress={() => mapTileStore.cancelDownload()}
+            accessibilityRole="button"
+          >
+            <Text style={styles.secondaryButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  const renderEstimate = () => {
+    if (!estimate) return null;
+
+    if (estimate.tooLarge) {
+      return <Text style={styles.warning}>This area is too large to download. Choose a smaller area.</Text>;
+    }
+
+    return (
+      <>
+        <Text style={styles.detail}>
+          {estimate.newTiles === 0
+            ? 'This area is already on your phone.'
+            : `${estimate.newTiles} tiles to download · about ${formatMB(estimate.estimatedBytes)}`}
+        </Text>
+        {!estimate.fitsBudget && (
+          <Text style={styles.warning}>
+            This area doesn&apos;t fit in {formatMB(estimate.budgetBytes)}. Raise the storage limit below.
+          </Text>
+        )}
+        {estimate.fitsBudget && estimate.evictBytes > 0 && (
+          <Text style={styles.detail}>
+            {formatMB(estimate.evictBytes)} of maps you haven&apos;t viewed recently will make room.
+          </Text>
+        )}
+        <TouchableOpacity
+          style={[styles.primaryButton, (!estimate.fitsBudget || estimate.newTiles === 0) && styles.disabledButton]}
+          onPress={confirmDownload}
+          disabled={!estimate.fitsBudget || estimate.newTiles === 0}
+          accessibilityRole="button"
+        >
+          <Text style={styles.primaryButtonText}>Download this area</Text>
+        </TouchableOpacity>
+      </>
+    );
+  };
+
+  return (
+    <View style={styles.container} testID="offline-map-card">
+      <Text style={styles.title}>Offline Map</Text>
+      <Text style={styles.description}>
+        Save the map around you to find your way without mobile data.
+      </Text>
+
+      {isActive && renderDownload()}
+
+      {!isActive && !mapTileStore.isAvailable() && (
+        <Text style={styles.detail}>Offline map downloads are not available in this version of the app.</Text>
+      )}
+
+      {!isActive && mapTileStore.isAvailable() && region && (
+        <>
+          <View style={styles.chips}>
+            {MAP_TILE_CONFIG.AREA_RADIUS_OPTIONS_KM.map(km => (
+              <TouchableOpacity
+                key={km}
+                style={[styles.chip, radiusKm === km && styles.chipSelected]}
+                onPress={() => setRadiusKm(km)}
+                accessibilityRole="button"
+                accessibilityState={{ selected: radiusKm === km }}
+              >
+                <Text style={[styles.chipText, radiusKm === km && styles.chipTextSelected]}>{km} km</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {renderEstimate()}
+        </>
+      )}
+
+      {!isActive && mapTileStore.isAvailable() && !region && (
+        <Text style={styles.detail}>Waiting for your location...</Text>
+      )}
+
+      {stats?.areas.length > 0 && (
+        <View style={styles.areas}>
+          <Text style={styles.label}>Saved areas</Text>
+          {stats.areas.map(area => (
+            <View key={area.id} style={styles.area}>
+              <View style={styles.areaInfo}>
+                <Text style={styles.areaName}>{area.name || 'Offline area'}</Text>
+                <Text style={styles.detail}>
+                  {area.tileCount} tiles · {new Date(area.downloadedAt).toLocaleDateString()}
+                </Text>
+              </View>
+              <TouchableOpacity
+                onPress={() => confirmDeleteArea(area)}
+                accessibilityLabel={`Delete ${area.name || 'offline area'}`}
+              >
+                <Text style={styles.deleteText}>Delete</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      )}
+
+      <Text style={[styles.label, styles.storageLabel]}>
+        Storage: {formatMB(stats?.totalBytes || 0)} of {budgetMB} MB
+      </Text>
+      <View style={styles.chips}>
+        {MAP_TILE_CONFIG.BUDGET_OPTIONS_MB.map(mb => (
+          <TouchableOpacity
+            key={mb}
+            style={[styles.chip, budgetMB === mb && styles.chipSelected]}
+            onPress={() => changeBudget(mb)}
+            accessibilityRole="button"
+            accessibilityState={{ selected: budgetMB === mb }}
+          >
+            <Text style={[styles.chipText, budgetMB === mb && styles.chipTextSelected]}>{mb} MB</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {mapTileStore.getAttribution() && (
+        <Text style={styles.attribution}>{mapTileStore.getAttribution()}</Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    padding: 20,
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 5,
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 6,
+  },
+  storageLabel: {
+    marginTop: 12,
+  },
+  detail: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 8,
+  },
+  warning: {
+    fontSize: 13,
+    color: '#E65100',
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    color: '#007AFF',
+    fontSize: 14,
+  },
+  chipTextSelected: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  download: {
+    marginBottom: 4,
+  },
+  progressTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#eee',
+    overflow: 'hidden',
+    marginBottom: 6,
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: '#007AFF',
+  },
+  primaryButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  row: {
+    flexDirection: 'row',
+    marginTop: 4,
+  },
+  rowButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: '#999',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+  },
+  secondaryButtonText: {
+    color: '#333',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  areas: {
+    marginTop: 12,
+  },
+  area: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  areaInfo: {
+    flex: 1,
+  },
+  areaName: {
+    fontSize: 14,
+    color: '#333',
+  },
+  deleteText: {
+    color: '#FF3B30',
+    fontWeight: '600',
+    marginLeft: 10,
+  },
+  attribution: {
+    fontSize: 11,
+    color: '#999',
+    marginTop: 8,
+  },
+});
+
+export default OfflineMapCard;
@@ -13,13 +13,13 @@ import {
 import { useSafety } from '../../context/SafetyContext';
 import { useLocation } from '../../context/LocationContext';
 import { useAuth } from '../../context/AuthContext';
-import { EMERGENCY_NUMBERS } from '../../utils/constants';
+import { emergencyNumberService } from '../../services/emergency/emergencyNumberService';
 
 const { width } = Dimensions.get('window');
 
 const PanicButton = ({ size = 'large', style = {} }) => {
   const { activatePanicMode, deactivatePanicMode, panicMode, isEmergencyActive } = useSafety();
-  const { currentLocation } = useLocation();
+  const { currentLocation, emergencyNumbers } = useLocation();
   const { profile } = useAuth();
   const [isPressed, setIsPressed] = useState(false);
   const [countdown, setCountdown] = useState(0);
@@ -167,18 +167,15 @@ const PanicButton = ({ size = 'large', style = {} }) => {
     Alert.alert(
       '🚨 EMERGENCY ACTIVATED',
       'Emergency contacts have been notified with your location.\n\nLocal Emergency Numbers:\n' +
-      `Police: ${EMERGENCY_NUMBERS.POLICE}\n` +
-      `Medical: ${EMERGENCY_NUMBERS.MEDICAL}\n` +
-      `Fire: ${EMERGENCY_NUMBERS.FIRE}\n` +
-      `Tourist Helpline: ${EMERGENCY_NUMBERS.TOURIST_HELPLINE}`,
+      emergencyNumberService.formatNumbers(emergencyNumbers, ['police', 'ambulance', 'fire', 'touristPolice']),
       [
         {
           text: 'Call Police',
-          onPress: () => callEmergencyNumber(EMERGENCY_NUMBERS.POLICE),
+          onPress: () => callEmergencyNumber(emergencyNumbers.numbers.police),
         },
         {
           text: 'Call Medical',
-          onPress: () => callEmergencyNumber(EMERGENCY_NUMBERS.MEDICAL),
+          onPress: () => callEmergencyNumber(emergencyNumbers.numbers.ambulance),
         },
         {
           text: 'Deactivate',
@@ -235,7 +232,7 @@ const PanicButton = ({ size = 'large', style = {} }) => {
         [
           {
             text: 'Call Police',
-            onPress: () => callEmergencyNumber(EMERGENCY_NUMBERS.POLICE),
+            onPress: () => callEmergencyNumber(emergencyNumbers.numbers.police),
           },
           {
             text: 'Deactivate',
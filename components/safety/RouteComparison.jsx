@@ -0,0 +1,128 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+
+const formatDistance = (meters) => (
+  meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${meters} m`
+);
+
+const getScoreColor = (score) => {
+  if (score === null) return '#8E8E93';
+  if (score >= 80) return '#34C759';
+  if (score >= 50) return '#FF9500';
+  return '#FF3B30';
+};
+
+const RouteOption = ({ title, route, selected, onSelect }) => {
+  const warnings = [
+    route.exposure.restricted > 0 && `⛔ ${formatDistance(route.exposure.restricted)} restricted`,
+    route.exposure.caution > 0 && `⚠️ ${formatDistance(route.exposure.caution)} caution`,
+    route.exposure.unlitAtNight > 0 && `🌙 ${formatDistance(route.exposure.unlitAtNight)} poorly lit`
+  ].filter(Boolean);
+
+  return (
+    <TouchableOpacity
+      style={[styles.option, selected && styles.optionSelected]}
+      onPress={onSelect}
+      accessibilityLabel={`${title} route, ${formatDistance(route.distance)}`}
+    >
+      <Text style={styles.optionTitle}>{title}</Text>
+      <Text style={styles.duration}>{Math.max(1, Math.round(route.duration / 60))} min</Text>
+      <Text style={styles.detail}>{formatDistance(route.distance)}</Text>
+      <Text style={[styles.score, { color: getScoreColor(route.safetyScore) }]}>
+        Safety {route.safetyScore ?? '–'}/100
+      </Text>
+      {warnings.length > 0
+        ? warnings.map(warning => <Text key={warning} style={styles.warning}>{warning}</Text>)
+        : <Text style={styles.detail}>✅ No risky areas</Text>}
+    </TouchableOpacity>
+  );
+};
+
+// Fastest and safest walking routes side by side
+const RouteComparison = ({ plan, selected = 'safest', onSelect = () => {} }) => {
+  if (!plan) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container} testID="route-comparison">
+      <View style={styles.options}>
+        <RouteOption
+          title="Fastest"
+          route={plan.fastest}
+          selected={selected === 'fastest'}
+          onSelect={() => onSelect('fastest')}
+        />
+        <RouteOption
+          title="Safest"
+          route={plan.safest}
+          selected={selected === 'safest'}
+          onSelect={() => onSelect('safest')}
+        />
+      </View>
+      {plan.sameRoute && (
+        <Text style={styles.note}>The fastest route is also the safest one.</Text>
+      )}
+      {plan.isNight && (
+        <Text style={styles.note}>Night time: poorly lit areas are avoided where possible.</Text>
+      )}
+      {plan.isOffline && (
+        <Text style={styles.note}>Planned offline from saved road data.</Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 12,
+  },
+  options: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  option: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#eee',
+    backgroundColor: '#fff',
+  },
+  optionSelected: {
+    borderColor: '#007AFF',
+  },
+  optionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+  },
+  duration: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+    marginVertical: 2,
+  },
+  detail: {
+    fontSize: 13,
+    color: '#444',
+    marginBottom: 3,
+  },
+  score: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  warning: {
+    fontSize: 12,
+    color: '#444',
+    marginBottom: 2,
+  },
+  note: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 8,
+  },
+});
+
+export default RouteComparison;
@@ -1,4 +1,5 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
+import { USER_ROLES, VERIFIER_ROLES } from '../utils/constants';
 
 const AuthContext = createContext({});
 
@@ -26,8 +27,17 @@ export const AuthProvider = ({ children, initialUser = null }) => {
         const { onAuthStateChanged } = await import('firebase/auth');
         
         // Listen for authentication state changes
-        const unsubscribe = onAuthStateChanged(auth, (firebaseUser) => {
+        const unsubscribe = onAuthStateChanged(auth, async (firebaseUser) => {
           if (firebaseUser) {
+            // Role comes from custom claims so it cannot be self-assigned
+            let role = USER_ROLES.TOURIST;
+            try {
+              const tokenResult = await firebaseUser.getIdTokenResult();
+              role = tokenResult.claims.role || USER_ROLES.TOURIST;
+            } catch (error) {
+              console.error('Failed to read user role claims:', error);
+            }
+
             // User is signed in
             const userData = {
               userId: firebaseUser.uid,
@@ -37,6 +47,7 @@ export const AuthProvider = ({ children, initialUser = null }) => {
               photoURL: firebaseUser.photoURL,
               phoneNumber: firebaseUser.phoneNumber,
               verificationStatus: firebaseUser.emailVerified ? 'verified' : 'pending',
+              role,
               emergencyContacts: []
             };
             
@@ -101,6 +112,11 @@ export const AuthProvider = ({ children, initialUser = null }) => {
     return profile?.verificationStatus === 'verified';
   };
 
+  // Police, hotel staff and tour operators may scan tourist QR codes
+  const hasVerifierAccess = () => {
+    return VERIFIER_ROLES.includes(user?.role);
+  };
+
   const hasCompleteTouristProfile = () => {
     if (!profile) return false;
     
@@ -284,6 +300,7 @@ export const AuthProvider = ({ children, initialUser = null }) => {
     refreshProfile,
     updateProfile,
     isVerifiedTourist,
+    hasVerifierAccess,
     hasCompleteTouristProfile,
     signIn,
     signUp,
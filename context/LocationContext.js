@@ -3,6 +3,12 @@ import { locationPermissionHandler } from '../services/location/permissionHandle
 import { realTimeLocationService } from '../services/location/realTimeLocationService';
 import { geoFencingService } from '../services/location/geoFencing';
 import { safetyZonesService } from '../services/location/safetyZones';
+import { geoLocationService } from '../services/location/geoLocation';
+import { routePlanningService } from '../services/location/routePlanning';
+import { geofenceEventService } from '../services/location/geofenceEventService';
+import { registerGeofenceSubscribers } from '../services/location/geofenceSubscribers';
+import { emergencyNumberService } from '../services/emergency/emergencyNumberService';
+import { EMERGENCY_NUMBER_CONFIG } from '../utils/constants';
 
 const LocationContext = createContext({});
 
@@ -27,8 +33,12 @@ export const LocationProvider = ({ children }) => {
   const [locationAccuracy, setLocationAccuracy] = useState(null);
   const [trackingStats, setTrackingStats] = useState(null);
   const [locationError, setLocationError] = useState(null);
+  const [emergencyNumbers, setEmergencyNumbers] = useState(emergencyNumberService.getActiveNumbers());
 
   const initialized = useRef(false);
+  const lastNumbersLookup = useRef(null);
+  // handleLocationUpdate is registered once, so it reads the zones through a ref
+  const safetyZonesRef = useRef([]);
 
   useEffect(() => {
     if (!initialized.current) {
@@ -43,6 +53,33 @@ export const LocationProvider = ({ children }) => {
     };
   }, []);
 
+  useEffect(() => {
+    const unsubscribe = emergencyNumberService.subscribe(setEmergencyNumbers);
+    emergencyNumberService.loadCachedNumbers();
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    if (currentLocation) {
+      refreshEmergencyNumbers(currentLocation);
+    }
+  }, [currentLocation]);
+
+  /**
+   * Resolve local emergency numbers for the country the user is in
+   */
+  const refreshEmergencyNumbers = async (location) => {
+    const last = lastNumbersLookup.current;
+    if (last && geoLocationService.calculateDistance(
+      last.latitude, last.longitude, location.latitude, location.longitude
+    ) < EMERGENCY_NUMBER_CONFIG.REFRESH_DISTANCE_KM) {
+      return;
+    }
+
+    lastNumbersLookup.current = location;
+    await emergencyNumberService.resolveForLocation(location);
+  };
+
   /**
    * Initialize location services with proper permission handling
    * Requirement 4.1: Clear permission dialog and user messaging
@@ -52,6 +89,8 @@ export const LocationProvider = ({ children }) => {
       setLoading(true);
       setLocationError(null);
 
+      registerGeofenceSubscribers();
+
       // Initialize permission handler
       locationPermissionHandler.initialize({
         onPermissionGranted: (permissions) => {
@@ -117,11 +156,15 @@ export const LocationProvider = ({ children }) => {
       setTrackingStats(updateData.trackingStats);
 
       // Update safety status based on new location
-      if (safetyZones.length > 0) {
-        const safetyCheck = await geoFencingService.checkSafetyZone(location, safetyZones);
+      const zones = safetyZonesRef.current;
+      if (zones.length > 0) {
+        const safetyCheck = await geoFencingService.checkSafetyZone(location, zones);
         if (safetyCheck.success) {
           setCurrentSafetyStatus(safetyCheck);
         }
+
+        // Enter / exit / dwell events for notifications, check-ins and analytics
+        await geofenceEventService.processLocation(location, zones);
       }
     } catch (error) {
       console.error('Error handling location update:', error);
@@ -143,7 +186,10 @@ export const LocationProvider = ({ children }) => {
     try {
       const zonesResult = await safetyZonesService.getAllSafetyZones();
       if (zonesResult.success) {
+        safetyZonesRef.current = zonesResult.zones;
         setSafetyZones(zonesResult.zones);
+        // The background task checks fixes against the same zones
+        await safetyZonesService.cacheSafetyZones(zonesResult.zones);
       }
     } catch (error) {
       console.error('Error loading safety zones:', error);
@@ -328,6 +374,26 @@ export const LocationProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Plan the fastest and the safest walking route from the current location
+   */
+  const planRoutes = async (destination) => {
+    if (!currentLocation) {
+      return { success: false, error: 'Current location is not available' };
+    }
+    return await routePlanningService.planRoutes(currentLocation, destination, safetyZones);
+  };
+
+  /**
+   * Save road data around the current location for offline route planning
+   */
+  const saveAreaForOfflineRoutes = async () => {
+    if (!currentLocation) {
+      return { success: false, error: 'Current location is not available' };
+    }
+    return await routePlanningService.saveAreaForOffline(currentLocation);
+  };
+
   /**
    * Get permission status with descriptions
    */
@@ -360,6 +426,7 @@ export const LocationProvider = ({ children }) => {
     locationAccuracy,
     trackingStats,
     locationError,
+    emergencyNumbers,
 
     // Location functions
     getCurrentLocation,
@@ -378,6 +445,8 @@ export const LocationProvider = ({ children }) => {
     // Utility functions
     getLocationAccuracy,
     calculateRouteSafety,
+    planRoutes,
+    saveAreaForOfflineRoutes,
     
     // Safety functions
     loadSafetyZones
@@ -1,4 +1,14 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
+import { AppState } from 'react-native';
+import { escalationService } from '../services/emergency/escalationService';
+import { checkInService } from '../services/emergency/checkInService';
+import { walkHomeService } from '../services/location/walkHomeService';
+import { rideSafetyService } from '../services/location/rideSafetyService';
+import { fallDetectionService } from '../services/emergency/fallDetectionService';
+import { silentAlertService } from '../services/emergency/silentAlertService';
+import { evidenceService } from '../services/emergency/evidenceService';
+import { emergencyAlertService } from '../services/emergency/alertService';
+import { emergencyOutboxService } from '../services/emergency/emergencyOutbox';
 
 const SafetyContext = createContext({});
 
@@ -15,6 +25,14 @@ export const SafetyProvider = ({ children }) => {
   const [panicMode, setPanicMode] = useState(false);
   const [isEmergencyActive, setIsEmergencyActive] = useState(false);
   const [emergencyContacts, setEmergencyContacts] = useState([]);
+  const [escalation, setEscalation] = useState(null);
+  const [deliveryStatus, setDeliveryStatus] = useState({});
+  const [checkIn, setCheckIn] = useState(null);
+  const [walk, setWalk] = useState(null);
+  const [ride, setRide] = useState(null);
+  const [fallDetectionSettings, setFallDetectionSettings] = useState(null);
+  const [discreetTriggerSettings, setDiscreetTriggerSettings] = useState(null);
+  const [evidenceStatus, setEvidenceStatus] = useState(null);
 
   useEffect(() => {
     // Initialize with mock data
@@ -46,25 +64,156 @@ export const SafetyProvider = ({ children }) => {
     initializeSafety();
   }, []);
 
+  useEffect(() => {
+    const unsubscribe = escalationService.subscribe(setEscalation);
+
+    // Pick up an escalation that was running when the app was closed
+    const resumeEscalation = async () => {
+      const result = await escalationService.resumeEscalation();
+      if (result.success && escalationService.isActive(result.escalation)) {
+        setPanicMode(true);
+        setIsEmergencyActive(true);
+      }
+    };
+
+    resumeEscalation();
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = emergencyOutboxService.subscribe((alertId, contacts) => {
+      setDeliveryStatus(prev => ({ ...prev, [alertId]: { ...prev[alertId], contacts } }));
+    });
+
+    // Show the last known delivery state and retry anything still queued
+    const loadDeliveries = async () => {
+      const result = await emergencyOutboxService.getDeliveryStatus();
+      if (result.success) {
+        setDeliveryStatus(prev => ({ ...result.deliveries, ...prev }));
+      }
+      await emergencyAlertService.deliverOutbox();
+    };
+
+    loadDeliveries();
+    return () => {
+      unsubscribe();
+      emergencyOutboxService.cancelScheduledDrain();
+    };
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = checkInService.subscribe(setCheckIn);
+
+    // Pick up a check-in started before the app was closed (and alert if it was missed)
+    checkInService.resumeCheckIn();
+
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'background') {
+        checkInService.handleAppBackground();
+      } else if (nextAppState === 'active') {
+        checkInService.resumeCheckIn();
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      subscription?.remove();
+    };
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = walkHomeService.subscribe(setWalk);
+
+    // Keep following a walk started before the app was closed
+    walkHomeService.resumeWalk();
+
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'active') {
+        walkHomeService.resumeWalk();
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      subscription?.remove();
+    };
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = rideSafetyService.subscribe(setRide);
+
+    // Keep following a ride started before the app was closed
+    rideSafetyService.resumeRide();
+
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'active') {
+        rideSafetyService.resumeRide();
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      subscription?.remove();
+    };
+  }, []);
+
+  useEffect(() => {
+    return evidenceService.subscribe((emergencyId, summary) => {
+      setEvidenceStatus({ emergencyId, ...summary });
+    });
+  }, []);
+
+  // Record audio and photos for as long as the emergency is active
+  useEffect(() => {
+    if (isEmergencyActive && escalation?.emergencyId) {
+      evidenceService.startCapture({
+        emergencyId: escalation.emergencyId,
+        userId: escalation.userProfile?.id
+      });
+    } else if (!isEmergencyActive) {
+      evidenceService.stopCapture();
+    }
+  }, [isEmergencyActive, escalation?.emergencyId]);
+
+  useEffect(() => {
+    const loadFallDetectionSettings = async () => {
+      const result = await fallDetectionService.getSettings();
+      setFallDetectionSettings(result.settings);
+    };
+
+    loadFallDetectionSettings();
+  }, []);
+
+  useEffect(() => {
+    const loadDiscreetTriggerSettings = async () => {
+      const result = await silentAlertService.getSettings();
+      setDiscreetTriggerSettings(result.settings);
+    };
+
+    loadDiscreetTriggerSettings();
+  }, []);
+
   const activatePanicMode = async (location, profile, contacts) => {
     try {
-      console.log('Activating panic mode...');
-      
       setPanicMode(true);
       setIsEmergencyActive(true);
-      
-      // Mock emergency alert sending
-      const alertData = {
-        userId: profile?.userId,
-        location: location,
-        timestamp: new Date(),
-        contacts: contacts || emergencyContacts,
-        message: 'Emergency alert activated'
+
+      // Alert the primary contact first, then widen and prompt a call if nobody acknowledges
+      const result = await escalationService.startEscalation({
+        location,
+        userProfile: profile,
+        contacts: contacts || emergencyContacts
+      });
+
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        success: true,
+        alertId: result.escalation.emergencyId || result.escalation.id,
+        escalation: result.escalation
       };
-      
-      console.log('Emergency alert sent:', alertData);
-      
-      return { success: true, alertId: 'alert-' + Date.now() };
     } catch (error) {
       console.error('Error activating panic mode:', error);
       return { success: false, error: error.message };
@@ -73,8 +222,8 @@ export const SafetyProvider = ({ children }) => {
 
   const deactivatePanicMode = async () => {
     try {
-      console.log('Deactivating panic mode...');
-      
+      await escalationService.cancelEscalation();
+
       setPanicMode(false);
       setIsEmergencyActive(false);
       
@@ -85,6 +234,106 @@ export const SafetyProvider = ({ children }) => {
     }
   };
 
+  const acknowledgeEscalation = async (contactId = null) => {
+    return await escalationService.acknowledge({ contactId, source: 'manual' });
+  };
+
+  const acknowledgeReplyCode = async (code) => {
+    return await escalationService.acknowledgeWithReplyCode(code);
+  };
+
+  const startCheckIn = async (durationMinutes, profile, options = {}) => {
+    return await checkInService.startCheckIn({
+      durationMinutes,
+      graceMinutes: options.graceMinutes,
+      label: options.label,
+      userProfile: profile,
+      contacts: options.contacts || emergencyContacts
+    });
+  };
+
+  const confirmCheckIn = async () => {
+    return await checkInService.confirmCheckIn();
+  };
+
+  const extendCheckIn = async (minutes) => {
+    return await checkInService.extendCheckIn(minutes);
+  };
+
+  const cancelCheckIn = async () => {
+    return await checkInService.cancelCheckIn();
+  };
+
+  const startWalkHome = async (route, destination, profile, options = {}) => {
+    return await walkHomeService.startWalk({
+      route,
+      destination,
+      userProfile: profile,
+      contacts: options.contacts || emergencyContacts
+    });
+  };
+
+  const respondToWalkPrompt = async (ok) => {
+    return await walkHomeService.respond(ok);
+  };
+
+  const endWalkHome = async () => {
+    return await walkHomeService.endWalk();
+  };
+
+  const startRide = async (details, profile, options = {}) => {
+    return await rideSafetyService.startRide({
+      ...details,
+      userProfile: profile,
+      contacts: options.contacts || emergencyContacts
+    });
+  };
+
+  const dismissRideAlert = async () => {
+    return await rideSafetyService.dismissAlert();
+  };
+
+  const getRideHelp = async () => {
+    return await rideSafetyService.getHelp();
+  };
+
+  const endRide = async () => {
+    return await rideSafetyService.endRide();
+  };
+
+  const updateFallDetectionSettings = async (updates) => {
+    const result = await fallDetectionService.updateSettings(updates);
+    if (result.success) {
+      setFallDetectionSettings(result.settings);
+    }
+    return result;
+  };
+
+  const updateDiscreetTriggerSettings = async (updates) => {
+    const result = await silentAlertService.updateSettings(updates);
+    if (result.success) {
+      setDiscreetTriggerSettings(result.settings);
+    }
+    return result;
+  };
+
+  const setDiscreetPin = async (pin) => {
+    const result = await silentAlertService.setPin(pin);
+    if (result.success) {
+      setDiscreetTriggerSettings(prev => ({ ...prev, hasPin: true }));
+    }
+    return result;
+  };
+
+  // Alert contacts without panic mode or any on-screen sign of it
+  const triggerSilentAlert = async (source, location, profile) => {
+    return await silentAlertService.triggerSilentAlert(source, {
+      location,
+      userProfile: profile,
+      contacts: profile?.emergencyContacts || emergencyContacts
+    });
+  };
+
   const updateSafetyScore = (safetyStatus) => {
     try {
       if (safetyStatus && typeof safetyStatus.safetyScore === 'number') {
@@ -151,8 +400,33 @@ export const SafetyProvider = ({ children }) => {
     panicMode,
     isEmergencyActive,
     emergencyContacts,
+    escalation,
+    deliveryStatus,
+    evidenceStatus,
     activatePanicMode,
     deactivatePanicMode,
+    acknowledgeEscalation,
+    acknowledgeReplyCode,
+    checkIn,
+    startCheckIn,
+    confirmCheckIn,
+    extendCheckIn,
+    cancelCheckIn,
+    walk,
+    startWalkHome,
+    respondToWalkPrompt,
+    endWalkHome,
+    ride,
+    startRide,
+    dismissRideAlert,
+    getRideHelp,
+    endRide,
+    fallDetectionSettings,
+    updateFallDetectionSettings,
+    discreetTriggerSettings,
+    updateDiscreetTriggerSettings,
+    setDiscreetPin,
+    triggerSilentAlert,
     updateSafetyScore,
     sendSafetyZoneAlert,
     addEmergencyContact,
@@ -0,0 +1,29 @@
+// https://docs.expo.dev/guides/using-eslint/
+const { defineConfig } = require('eslint/config');
+const expoConfig = require('eslint-config-expo/flat');
+const globals = require('globals');
+
+module.exports = defineConfig([
+  expoConfig,
+  {
+    ignores: ['dist/*', 'functions/node_modules/*']
+  },
+  {
+    rules: {
+      // @env is a react-native-dotenv alias; @expo/vector-icons is resolved through expo
+      'import/no-unresolved': ['error', { ignore: ['^@env$', '^@expo/vector-icons$'] }]
+    }
+  },
+  {
+    files: ['__tests__/**', '**/__tests__/**', '**/*.test.{js,jsx}', '__mocks__/**', 'jest.setup.js'],
+    languageOptions: {
+      globals: globals.jest
+    }
+  },
+  {
+    files: ['functions/**', 'scripts/**'],
+    languageOptions: {
+      globals: globals.node
+    }
+  }
+]);
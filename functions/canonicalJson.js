@@ -0,0 +1,20 @@
+// Same encoding as canonicalJsonStringify in utils/helpers.js, so hashes and signatures
+// match in the app
+const canonicalJsonStringify = (value) => {
+  if (value && typeof value.toJSON === 'function') {
+    return canonicalJsonStringify(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJsonStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJsonStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+module.exports = { canonicalJsonStringify };
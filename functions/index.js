@@ -0,0 +1,176 @@
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { defineSecret, defineString } = require('firebase-functions/params');
+const { signTouristQR, validateRequest } = require('./qrSigning');
+const { isEmergencyContact, sendSMS, validateSMSRequest } = require('./smsSender');
+const { appendEntry, auditLedger, buildProofBundle, nodeId, proofNodeIds, validateLedgerRequest } = require('./ledger');
+
+initializeApp();
+
+// Ed25519 issuer private key (hex) from scripts/generateIssuerKey.js; never leaves the server.
+// Signs QR codes and verification ledger tree heads
+const qrIssuerSigningKey = defineSecret('QR_ISSUER_SIGNING_KEY');
+// Must name the matching entry in services/security/issuerKeys.js
+const qrIssuerKeyId = defineString('QR_ISSUER_KEY_ID');
+// Twilio account that sends emergency SMS the app cannot send itself
+const twilioAccountSid = defineString('TWILIO_ACCOUNT_SID');
+const twilioAuthToken = defineSecret('TWILIO_AUTH_TOKEN');
+const twilioFromNumber = defineString('TWILIO_FROM_NUMBER');
+
+// Sign a tourist QR code with the issuer key. Only users an admin has verified get a QR
+exports.signTouristQR = onCall({ secrets: [qrIssuerSigningKey] }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to generate a QR code');
+  }
+
+  const requestError = validateRequest(request.data);
+  if (requestError) {
+    throw new HttpsError('invalid-argument', requestError);
+  }
+
+  const snapshot = await getFirestore().doc(`users/${request.auth.uid}`).get();
+  if (!snapshot.exists || snapshot.get('verificationStatus') !== 'verified') {
+    throw new HttpsError('failed-precondition', 'User must be verified to generate QR code');
+  }
+
+  return signTouristQR({
+    userId: request.auth.uid,
+    record: snapshot.data(),
+    data: request.data,
+    keyId: qrIssuerKeyId.value(),
+    privateKey: qrIssuerSigningKey.value()
+  });
+});
+
+// Send an emergency SMS to one of the user's emergency contacts. Used for retries from
+// the outbox and for silent alerts, neither of which can open the SMS composer
+exports.sendEmergencySMS = onCall({ secrets: [twilioAuthToken] }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to send emergency SMS');
+  }
+
+  const requestError = validateSMSRequest(request.data);
+  if (requestError) {
+    throw new HttpsError('invalid-argument', requestError);
+  }
+
+  const snapshot = await getFirestore().doc(`users/${request.auth.uid}`).get();
+  if (!isEmergencyContact(snapshot.data(), request.data.to)) {
+    throw new HttpsError('permission-denied', 'SMS can only be sent to your emergency contacts');
+  }
+
+  try {
+    return await sendSMS({
+      accountSid: twilioAccountSid.value(),
+      authToken: twilioAuthToken.value(),
+      from: twilioFromNumber.value(),
+      to: request.data.to,
+      body: request.data.message
+    });
+  } catch (error) {
+    throw new HttpsError('unavailable', error.message);
+  }
+});
+
+// Verification ledger: entries in `ledgerEntries/{txId}`, perfect subtree roots in
+// `ledgerNodes/{level-start}`, every signed tree head in `ledgerHeads/{size}`, the latest
+// one in `ledger/head` and the subtree roots the next append builds on in `ledger/frontier`
+const ledgerHeadRef = () => getFirestore().doc('ledger/head');
+const ledgerFrontierRef = () => getFirestore().doc('ledger/frontier');
+
+// Record a QR issuance in the verification ledger and publish a new signed tree head
+exports.appendLedgerEntry = onCall({ secrets: [qrIssuerSigningKey] }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to record a QR code');
+  }
+
+  const requestError = validateLedgerRequest(request.data);
+  if (requestError) {
+    throw new HttpsError('invalid-argument', requestError);
+  }
+
+  const db = getFirestore();
+  return db.runTransaction(async (transaction) => {
+    const [headSnapshot, frontierSnapshot] = await transaction.getAll(ledgerHeadRef(), ledgerFrontierRef());
+    const prevHead = headSnapshot.exists ? headSnapshot.data() : null;
+
+    const { record, treeHead, nodes, frontier } = appendEntry({
+      frontier: frontierSnapshot.exists ? frontierSnapshot.get('nodes') : [],
+      prevHead,
+      userId: request.auth.uid,
+      qrHash: request.data.qrHash,
+      keyId: qrIssuerKeyId.value(),
+      privateKey: qrIssuerSigningKey.value()
+    });
+
+    transaction.set(db.doc(`ledgerEntries/${record.entry.txId}`), record);
+    nodes.forEach(node => transaction.set(db.doc(`ledgerNodes/${nodeId(node.level, node.start)}`), node));
+    transaction.set(ledgerFrontierRef(), { size: treeHead.size, nodes: frontier });
+    transaction.set(db.doc(`ledgerHeads/${treeHead.size}`), treeHead);
+    transaction.set(ledgerHeadRef(), treeHead);
+
+    return { ...record, treeHead };
+  });
+});
+
+// Inclusion proof for a ledger entry against the latest signed tree head, or null if unknown
+exports.getLedgerProof = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to check the verification ledger');
+  }
+  if (typeof request.data?.txId !== 'string') {
+    throw new HttpsError('invalid-argument', 'Transaction ID is required');
+  }
+
+  // Read the entry first: the head written with it, or a later one, then includes it
+  const db = getFirestore();
+  const entrySnapshot = await db.doc(`ledgerEntries/${request.data.txId}`).get();
+  if (!entrySnapshot.exists) {
+    return null;
+  }
+  const headSnapshot = await ledgerHeadRef().get();
+
+  // Nodes never change once written, and every node under the head was written with it
+  const treeHead = headSnapshot.data();
+  const record = entrySnapshot.data();
+  const ids = proofNodeIds(record.index, treeHead.size);
+  const nodeSnapshots = ids.length > 0 ? await db.getAll(...ids.map(id => db.doc(`ledgerNodes/${id}`))) : [];
+  const nodeHashes = Object.fromEntries(nodeSnapshots.map(snapshot => [snapshot.id, snapshot.get('hash')]));
+  return buildProofBundle({ record, treeHead, nodeHashes });
+});
+
+// Latest signed tree head of the verification ledger
+exports.getLedgerTreeHead = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to check the verification ledger');
+  }
+
+  const snapshot = await ledgerHeadRef().get();
+  return snapshot.exists ? snapshot.data() : null;
+});
+
+// Audit the whole verification ledger from one consistent snapshot. Reads every entry,
+// so only admins may run it
+exports.auditLedger = onCall(async (request) => {
+  if (request.auth?.token.role !== 'admin') {
+    throw new HttpsError('permission-denied', 'Only admins can audit the verification ledger');
+  }
+
+  const db = getFirestore();
+  return db.runTransaction(async (transaction) => {
+    const [entries, heads, nodes, latest] = await Promise.all([
+      transaction.get(db.collection('ledgerEntries').orderBy('index')),
+      transaction.get(db.collection('ledgerHeads').orderBy('size')),
+      transaction.get(db.collection('ledgerNodes')),
+      transaction.get(ledgerHeadRef())
+    ]);
+
+    return auditLedger({
+      records: entries.docs.map(doc => doc.data()),
+      heads: heads.docs.map(doc => doc.data()),
+      nodeHashes: Object.fromEntries(nodes.docs.map(doc => [doc.id, doc.get('hash')])),
+      latestHead: latest.exists ? latest.data() : null
+    });
+  }, { readOnly: true });
+});
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const { ed25519 } = require('@noble/curves/ed25519');
+const { sha256 } = require('@noble/hashes/sha256');
+const { bytesToHex, hexToBytes, utf8ToBytes, concatBytes } = require('@noble/hashes/utils');
+const { canonicalJsonStringify } = require('./canonicalJson');
+
+// Merkle hashing as in services/security/merkle.js (RFC 6962), so proofs verify in the app
+const LEAF_PREFIX = new Uint8Array([0x00]);
+const NODE_PREFIX = new Uint8Array([0x01]);
+
+const hashLeaf = (data) => bytesToHex(sha256(concatBytes(LEAF_PREFIX, utf8ToBytes(data))));
+
+const hashNode = (left, right) => (
+  bytesToHex(sha256(concatBytes(NODE_PREFIX, hexToBytes(left), hexToBytes(right))))
+);
+
+const splitPoint = (n) => {
+  let k = 1;
+  while (k * 2 < n) {
+    k *= 2;
+  }
+  return k;
+};
+
+// The ledger is stored as the roots of its perfect subtrees: the node at `level` covers
+// leaves [start, start + 2^level). Appends and proofs read O(log n) of them, never every leaf
+const nodeId = (level, start) => `${level}-${start}`;
+
+// Perfect subtrees making up leaves [start, end), left to right, as RFC 6962 splits them
+const perfectSubtrees = (start, end) => {
+  const subtrees = [];
+  while (start < end) {
+    let level = 0;
+    while (2 ** (level + 1) <= end - start) {
+      level++;
+    }
+    subtrees.push({ level, start });
+    start += 2 ** level;
+  }
+  return subtrees;
+};
+
+// Root of leaves [start, end) from the stored node hashes, keyed by nodeId
+const rangeRootHash = (start, end, nodeHashes) => (
+  perfectSubtrees(start, end)
+    .map(({ level, start: from }) => nodeHashes[nodeId(level, from)])
+    .reduceRight((right, left) => hashNode(left, right))
+);
+
+// Leaf ranges whose roots make up the inclusion proof of `index`, deepest first
+const inclusionProofRanges = (index, size) => {
+  const ranges = [];
+  let start = 0;
+  let end = size;
+  while (end - start > 1) {
+    const k = splitPoint(end - start);
+    if (index < start + k) {
+      ranges.unshift([start + k, end]);
+      end = start + k;
+    } else {
+      ranges.unshift([start, start + k]);
+      start += k;
+    }
+  }
+  return ranges;
+};
+
+// IDs of the nodes buildProofBundle needs for `index` in a tree of `size` leaves
+const proofNodeIds = (index, size) => [...new Set(
+  inclusionProofRanges(index, size).flatMap(([start, end]) => (
+    perfectSubtrees(start, end).map(({ level, start: from }) => nodeId(level, from))
+  ))
+)];
+
+// Same as computeHeadHash and hashEntry in services/security/ledger.js
+const computeHeadHash = ({ size, rootHash, timestamp, prevHeadHash }) => (
+  bytesToHex(sha256(utf8ToBytes(canonicalJsonStringify({ size, rootHash, timestamp, prevHeadHash }))))
+);
+
+const hashEntry = (entry) => hashLeaf(canonicalJsonStringify(entry));
+
+// Check the shape of a ledger request from the app; returns an error message or null
+const validateLedgerRequest = (data) => {
+  if (typeof data?.qrHash !== 'string' || !/^[0-9a-f]{64}$/.test(data.qrHash)) {
+    return 'QR hash must be a SHA-256 hex digest';
+  }
+  return null;
+};
+
+// Sign a tree head with the issuer key. Verifiers only accept heads signed by a key
+// bundled with the app, so a proof cannot be checked against a head the server never published
+const signTreeHead = (head, { keyId, privateKey }) => {
+  const signed = { ...head, keyId };
+  const message = utf8ToBytes(canonicalJsonStringify(signed));
+  return { ...signed, signature: bytesToHex(ed25519.sign(message, hexToBytes(privateKey))) };
+};
+
+// Add the leaf at `index` to `frontier`. Like a binary counter, it merges with the
+// equal-sized subtrees to its left; returns the new frontier and the nodes it completed
+const addLeaf = (frontier, leafHash, index) => {
+  const nextFrontier = [...frontier];
+  let node = { level: 0, start: index, hash: leafHash };
+  const nodes = [node];
+  while (nextFrontier.length > 0 && nextFrontier[nextFrontier.length - 1].level === node.level) {
+    const left = nextFrontier.pop();
+    node = { level: node.level + 1, start: left.start, hash: hashNode(left.hash, node.hash) };
+    nodes.push(node);
+  }
+  nextFrontier.push(node);
+  return { frontier: nextFrontier, nodes };
+};
+
+const frontierRootHash = (frontier) => (
+  frontier.map(subtree => subtree.hash).reduceRight((right, left) => hashNode(left, right))
+);
+
+// Append an entry for `userId` to a ledger whose perfect subtree roots are `frontier`
+// ({ level, start, hash }, left to right) under `prevHead`. Returns the stored record, the
+// new signed tree head, the nodes completed by this leaf and the new frontier
+const appendEntry = ({ frontier, prevHead, userId, qrHash, keyId, privateKey, now = Date.now() }) => {
+  const size = prevHead ? prevHead.size : 0;
+  const entry = { txId: crypto.randomUUID(), userId, qrHash, timestamp: now };
+  const record = { index: size, entry, leafHash: hashEntry(entry) };
+
+  const { frontier: nextFrontier, nodes } = addLeaf(frontier, record.leafHash, size);
+
+  const head = {
+    size: size + 1,
+    rootHash: frontierRootHash(nextFrontier),
+    timestamp: now,
+    prevHeadHash: prevHead ? prevHead.headHash : null
+  };
+  head.headHash = computeHeadHash(head);
+
+  return { record, treeHead: signTreeHead(head, { keyId, privateKey }), nodes, frontier: nextFrontier };
+};
+
+// Proof bundle for `record` against `treeHead`, in the shape blockchainService.verifyProofBundle
+// checks. `nodeHashes` holds the nodes named by proofNodeIds, keyed by nodeId
+const buildProofBundle = ({ record, treeHead, nodeHashes }) => ({
+  ...record,
+  treeHead,
+  proof: inclusionProofRanges(record.index, treeHead.size)
+    .map(([start, end]) => rangeRootHash(start, end, nodeHashes))
+});
+
+// Audit the whole ledger: entries in order and matching their leaf hashes, one tree head
+// per size chained to the previous one with the root of its entries, and the stored
+// subtree roots proofs are built from. Signatures are left to the app, which checks the
+// latest head; every earlier head is committed to through the head chain
+const auditLedger = ({ records, heads, nodeHashes, latestHead }) => {
+  const errors = [];
+  let frontier = [];
+
+  records.forEach((record, position) => {
+    if (record.index !== position) {
+      errors.push(`Entry ${position} is out of order`);
+    }
+    if (hashEntry(record.entry) !== record.leafHash) {
+      errors.push(`Entry ${position} does not match its leaf hash`);
+    }
+
+    const added = addLeaf(frontier, record.leafHash, position);
+    frontier = added.frontier;
+    added.nodes
+      .filter(node => nodeHashes[nodeId(node.level, node.start)] !== node.hash)
+      .forEach(node => errors.push(`Subtree ${nodeId(node.level, node.start)} does not match its entries`));
+
+    const head = heads[position];
+    if (!head || head.size !== position + 1) {
+      errors.push(`Tree head ${position + 1} is missing`);
+      return;
+    }
+    if (computeHeadHash(head) !== head.headHash) {
+      errors.push(`Tree head ${head.size} hash mismatch`);
+    }
+    if (head.prevHeadHash !== (position > 0 ? heads[position - 1].headHash : null)) {
+      errors.push(`Tree head ${head.size} does not extend the previous head`);
+    }
+    if (head.rootHash !== frontierRootHash(frontier)) {
+      errors.push(`Tree head ${head.size} root hash mismatch`);
+    }
+  });
+
+  if (heads.length > records.length) {
+    errors.push('Tree heads cover missing entries');
+  }
+  const lastHead = heads[heads.length - 1] || null;
+  if ((latestHead?.headHash || null) !== (lastHead?.headHash || null)) {
+    errors.push('Latest tree head is not the last one published');
+  }
+
+  return {
+    errors,
+    checkedEntries: records.length,
+    checkedTreeHeads: heads.length,
+    treeHead: latestHead
+  };
+};
+
+module.exports = {
+  appendEntry,
+  auditLedger,
+  buildProofBundle,
+  nodeId,
+  proofNodeIds,
+  validateLedgerRequest
+};
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { ed25519 } = require('@noble/curves/ed25519');
+const { sha256 } = require('@noble/hashes/sha256');
+const { bytesToHex, hexToBytes, utf8ToBytes } = require('@noble/hashes/utils');
+const { canonicalJsonStringify } = require('./canonicalJson');
+
+// Must match QR_CONFIG.VERSION in the app
+const QR_VERSION = '2.1';
+
+// Claims the verified user record vouches for; the rest (medical, contacts) are self-reported
+const IDENTITY_CLAIMS = ['name', 'nationality', 'passportNumber', 'passportLast4', 'profilePhotoUrl'];
+
+// Same commitment as selectiveDisclosureService.hashClaim
+const hashClaim = (salt, claim, value) => (
+  bytesToHex(sha256(utf8ToBytes(canonicalJsonStringify([salt, claim, value]))))
+);
+
+const extractIdentityClaims = (record) => {
+  const passportNumber = record.passportNumber || null;
+
+  return {
+    name: record.name || null,
+    nationality: record.nationality || null,
+    passportNumber,
+    passportLast4: passportNumber ? passportNumber.slice(-4) : null,
+    profilePhotoUrl: record.profileImageUrl || null
+  };
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Check the shape of a signing request from the app; returns an error message or null
+const validateRequest = (data) => {
+  const payload = data?.payload;
+  if (!isPlainObject(payload)) {
+    return 'QR payload is required';
+  }
+  if (typeof payload.disclosureProfile !== 'string') {
+    return 'Disclosure profile is required';
+  }
+  if (typeof payload.tokenKey !== 'string' || !/^[0-9a-f]{64}$/.test(payload.tokenKey)) {
+    return 'Rotating token key must be an Ed25519 public key';
+  }
+  if (!isPlainObject(payload.claims) || !isPlainObject(payload.commitments)) {
+    return 'Claims and commitments are required';
+  }
+  return null;
+};
+
+// Build and sign the QR envelope for `userId`. The user, verification status and identity
+// claims come from the server's record; only the disclosure choice, the rotating token key
+// and the self-reported claims are taken from the app. Returns the salts of identity claims
+// the server withheld so the app can reveal them later
+const signTouristQR = ({ userId, record, data, keyId, privateKey, now = Date.now() }) => {
+  const identity = extractIdentityClaims(record);
+  const claims = { ...data.payload.claims };
+  const commitments = { ...data.payload.commitments };
+  const secrets = {};
+
+  for (const claim of IDENTITY_CLAIMS) {
+    if (claim in claims) {
+      claims[claim] = identity[claim];
+    } else if (claim in commitments) {
+      const salt = crypto.randomBytes(16).toString('hex');
+      commitments[claim] = hashClaim(salt, claim, identity[claim]);
+      secrets[claim] = { salt, value: identity[claim] };
+    }
+  }
+
+  const envelope = {
+    payload: {
+      userId,
+      verificationStatus: record.verificationStatus,
+      disclosureProfile: data.payload.disclosureProfile,
+      tokenKey: data.payload.tokenKey,
+      claims,
+      commitments,
+      generatedAt: now,
+      securityLevel: data.securityLevel || 'high'
+    },
+    userId,
+    timestamp: now,
+    nonce: crypto.randomUUID(),
+    version: QR_VERSION,
+    securityLevel: data.securityLevel || 'high',
+    keyId
+  };
+
+  const message = utf8ToBytes(canonicalJsonStringify(envelope));
+  const signature = bytesToHex(ed25519.sign(message, hexToBytes(privateKey)));
+
+  return { envelope, signature, secrets };
+};
+
+module.exports = {
+  signTouristQR,
+  validateRequest
+};
@@ -0,0 +1,49 @@
+// Longest body sent; carriers split it into up to ten segments
+const MAX_MESSAGE_LENGTH = 1600;
+
+// Compare numbers as digits only, ignoring spaces, dashes and brackets
+const normalizePhoneNumber = (phoneNumber) => String(phoneNumber || '').replace(/[^\d+]/g, '');
+
+// Check the shape of a send request from the app; returns an error message or null
+const validateSMSRequest = (data) => {
+  if (typeof data?.to !== 'string' || normalizePhoneNumber(data.to).replace('+', '').length < 5) {
+    return 'A phone number is required';
+  }
+  if (typeof data.message !== 'string' || data.message.length === 0) {
+    return 'A message is required';
+  }
+  if (data.message.length > MAX_MESSAGE_LENGTH) {
+    return 'Message is too long';
+  }
+  return null;
+};
+
+// Messages only ever go to a contact on the user's own record, so the sender
+// cannot be used to text arbitrary numbers
+const isEmergencyContact = (record, phoneNumber) => (record?.emergencyContacts || [])
+  .some(contact => normalizePhoneNumber(contact.phoneNumber) === normalizePhoneNumber(phoneNumber));
+
+// Send through the Twilio REST API. Resolves with the message sid and status,
+// rejects with Twilio's error message
+const sendSMS = async ({ accountSid, authToken, from, to, body }) => {
+  const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ To: normalizePhoneNumber(to), From: from, Body: body }).toString()
+  });
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.message || `SMS provider responded with ${response.status}`);
+  }
+  return { sid: result.sid, status: result.status };
+};
+
+module.exports = {
+  isEmergencyContact,
+  sendSMS,
+  validateSMSRequest
+};
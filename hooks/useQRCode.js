@@ -116,30 +116,6 @@ export const useQRCode = (user, options = {}) => {
     }
   }, [user, qrData]);
 
-  const generateOfflineQR = useCallback(async () => {
-    if (!user || !isUserVerified(user)) {
-      throw new Error('User must be verified to generate offline QR code');
-    }
-
-    setLoading(true);
-    setError(null);
-
-    try {
-      const result = await qrGeneratorService.generateOfflineQR(user);
-      
-      if (result.success) {
-        return result;
-      } else {
-        throw new Error(result.error);
-      }
-    } catch (err) {
-      handleError(err);
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  }, [user]);
-
   const verifyQRCode = useCallback(async (qrString) => {
     setLoading(true);
     setError(null);
@@ -202,7 +178,6 @@ export const useQRCode = (user, options = {}) => {
     // Actions
     generateNewQRCode,
     refreshQRCode,
-    generateOfflineQR,
     verifyQRCode,
     clearQRData,
     initializeQRCode,
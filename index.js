@@ -2,6 +2,9 @@ import { registerRootComponent } from 'expo';
 
 import App from './App';
 
+// Background tasks must be defined at startup so they also run when the app was killed
+import './services/location/backgroundLocationTask';
+
 // registerRootComponent calls AppRegistry.registerComponent('main', () => App);
 // It also ensures that whether you load the app in Expo Go or in a native build,
 // the environment is set up appropriately
@@ -47,6 +47,30 @@ jest.mock('expo-location', () => ({
   }
 }));
 
+// App config (app.json "extra"); tests that need values mock it themselves
+jest.mock('expo-constants', () => ({
+  expoConfig: { extra: {} }
+}));
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskRegisteredAsync: jest.fn(() => Promise.resolve(false))
+}));
+
+jest.mock('expo-background-task', () => ({
+  getStatusAsync: jest.fn(() => Promise.resolve(2)),
+  registerTaskAsync: jest.fn(() => Promise.resolve()),
+  unregisterTaskAsync: jest.fn(() => Promise.resolve()),
+  BackgroundTaskStatus: {
+    Restricted: 1,
+    Available: 2
+  },
+  BackgroundTaskResult: {
+    Success: 1,
+    Failed: 2
+  }
+}));
+
 // Mock expo-file-system only if needed
 jest.mock('expo-file-system', () => ({
   documentDirectory: 'file://test/',
@@ -0,0 +1,40 @@
+package expo.modules.screenstate
+
+import android.content.BroadcastReceiver
+import android.content.Context
+import android.content.Intent
+import android.content.IntentFilter
+import expo.modules.kotlin.modules.Module
+import expo.modules.kotlin.modules.ModuleDefinition
+
+// Reports the screen turning on and off, which on Android is what a power button
+// press does. Unlike the app going to the background, switching apps never sends these
+class ScreenStateModule : Module() {
+  private var receiver: BroadcastReceiver? = null
+
+  override fun definition() = ModuleDefinition {
+    Name("ScreenState")
+
+    Events("onScreenStateChange")
+
+    OnStartObserving {
+      val context = appContext.reactContext ?: return@OnStartObserving
+      val screenReceiver = object : BroadcastReceiver() {
+        override fun onReceive(context: Context, intent: Intent) {
+          sendEvent("onScreenStateChange", mapOf("screenOn" to (intent.action == Intent.ACTION_SCREEN_ON)))
+        }
+      }
+      // Screen broadcasts are only delivered to receivers registered at runtime
+      context.registerReceiver(screenReceiver, IntentFilter().apply {
+        addAction(Intent.ACTION_SCREEN_ON)
+        addAction(Intent.ACTION_SCREEN_OFF)
+      })
+      receiver = screenReceiver
+    }
+
+    OnStopObserving {
+      receiver?.let { appContext.reactContext?.unregisterReceiver(it) }
+      receiver = null
+    }
+  }
+}
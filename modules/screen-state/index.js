@@ -0,0 +1,10 @@
+import { requireOptionalNativeModule } from 'expo';
+
+// Android only; null where the native module is not built in (iOS, Expo Go, tests)
+const ScreenState = requireOptionalNativeModule('ScreenState');
+
+export const isScreenStateAvailable = () => !!ScreenState;
+
+// Listen for the screen turning on or off: ({ screenOn }) => void.
+// Returns a subscription with remove()
+export const addScreenStateListener = (listener) => ScreenState.addListener('onScreenStateChange', listener);
@@ -4,6 +4,7 @@ import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import { useSafety } from '../context/SafetyContext';
 
 // Import screens with error handling
 import DashboardScreen from '../screens/DashboardScreen';
@@ -13,6 +14,13 @@ import LoginScreen from '../screens/LoginScreen';
 import RegisterScreen from '../screens/RegisterScreen';
 import ForgotPasswordScreen from '../screens/ForgotPasswordScreen';
 import LocationTrackingScreen from '../screens/LocationTrackingScreen';
+import QRVerifierScreen from '../screens/QRVerifierScreen';
+import DecoyCalculatorScreen from '../screens/DecoyCalculatorScreen';
+import FakeCallScreen from '../screens/FakeCallScreen';
+import MedicalIDScreen from '../screens/MedicalIDScreen';
+import WalkHomeScreen from '../screens/WalkHomeScreen';
+import TripTimelineScreen from '../screens/TripTimelineScreen';
+import RideModeScreen from '../screens/RideModeScreen';
 
 // Import TabNavigator
 import TabNavigator from './TabNavigator';
@@ -60,15 +68,24 @@ const AuthStack = () => {
           title: 'Reset Password',
         }}
       />
+      <Stack.Screen 
+        name="MedicalID" 
+        component={MedicalIDScreen}
+        options={{ 
+          headerShown: true,
+          title: 'Medical ID',
+        }}
+      />
     </Stack.Navigator>
   );
 };
 
-const AppStack = () => {
+const AppStack = ({ initialRouteName }) => {
   const { colors } = useTheme();
   
   return (
     <Stack.Navigator
+      initialRouteName={initialRouteName}
       screenOptions={{
         headerStyle: {
           backgroundColor: colors.primary,
@@ -106,15 +123,76 @@ const AppStack = () => {
           presentation: 'card',
         }}
       />
+      <Stack.Screen 
+        name="QRVerifier" 
+        component={QRVerifierScreen}
+        options={{ 
+          title: 'Verify Tourist QR',
+          presentation: 'card',
+        }}
+      />
+      <Stack.Screen 
+        name="MedicalID" 
+        component={MedicalIDScreen}
+        options={{ 
+          title: 'Medical ID',
+          presentation: 'card',
+        }}
+      />
+      <Stack.Screen 
+        name="WalkHome" 
+        component={WalkHomeScreen}
+        options={{ 
+          title: 'Walk Me Home',
+          presentation: 'card',
+        }}
+      />
+      <Stack.Screen 
+        name="TripTimeline" 
+        component={TripTimelineScreen}
+        options={{ 
+          title: 'Trip Timeline',
+          presentation: 'card',
+        }}
+      />
+      <Stack.Screen 
+        name="RideMode" 
+        component={RideModeScreen}
+        options={{ 
+          title: 'Ride Mode',
+          presentation: 'card',
+        }}
+      />
+      <Stack.Screen 
+        name="DecoyCalculator" 
+        component={DecoyCalculatorScreen}
+        options={{ 
+          headerShown: false,
+          title: 'Calculator',
+          gestureEnabled: false,
+        }}
+      />
+      <Stack.Screen 
+        name="FakeCall" 
+        component={FakeCallScreen}
+        options={{ 
+          headerShown: false,
+          title: 'Incoming Call',
+          presentation: 'fullScreenModal',
+          gestureEnabled: false,
+        }}
+      />
     </Stack.Navigator>
   );
 };
 
 const Navigation = () => {
   const { user, loading } = useAuth();
+  const { discreetTriggerSettings } = useSafety();
 
-  // Show loading state while checking authentication
-  if (loading) {
+  // Show loading state while checking authentication. The discreet trigger settings
+  // decide whether the app opens as the decoy calculator, so wait for them too
+  if (loading || (user && !discreetTriggerSettings)) {
     return (
       <View style={{ 
         flex: 1, 
@@ -137,7 +215,11 @@ const Navigation = () => {
 
   return (
     <NavigationContainer>
-      {user ? <AppStack /> : <AuthStack />}
+      {user ? (
+        <AppStack initialRouteName={discreetTriggerSettings.launchAsCalculator ? 'DecoyCalculator' : 'MainTabs'} />
+      ) : (
+        <AuthStack />
+      )}
     </NavigationContainer>
   );
 };
@@ -12,6 +12,11 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { useLocation } from '../context/LocationContext';
+import { chatBotService } from '../services/ai/chatBot';
+import { embassyService } from '../services/emergency/embassyService';
+import { emergencyNumberService } from '../services/emergency/emergencyNumberService';
 
 const ChatScreen = ({ navigation }) => {
   const [message, setMessage] = useState('');
@@ -25,6 +30,8 @@ const ChatScreen = ({ navigation }) => {
   ]);
 
   const { colors } = useTheme();
+  const { profile } = useAuth();
+  const { currentLocation, emergencyNumbers } = useLocation();
 
   const sendMessage = () => {
     if (!message.trim()) return;
@@ -54,8 +61,11 @@ const ChatScreen = ({ navigation }) => {
   const getBotResponse = (userMessage) => {
     const lowerMessage = userMessage.toLowerCase();
     
-    if (lowerMessage.includes('emergency') || lowerMessage.includes('help')) {
-      return 'In case of emergency, use the panic button on the Emergency tab or call local emergency numbers: Police (100), Medical (108), Fire (101).';
+    if (chatBotService.containsEmbassyKeywords(lowerMessage)) {
+      return embassyService.describeNearest(profile?.nationality, currentLocation);
+    } else if (lowerMessage.includes('emergency') || lowerMessage.includes('help')) {
+      const numbers = emergencyNumberService.formatNumbers(emergencyNumbers, ['police', 'ambulance', 'fire']).replace(/\n/g, ', ');
+      return `In case of emergency, use the panic button on the Emergency tab or call local emergency numbers: ${numbers}.`;
     } else if (lowerMessage.includes('location') || lowerMessage.includes('safe')) {
       return 'I can help you check if your current location is safe. Make sure location services are enabled for real-time safety updates.';
     } else if (lowerMessage.includes('qr') || lowerMessage.includes('id')) {
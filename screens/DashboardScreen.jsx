@@ -346,6 +346,16 @@ const DashboardScreen = ({ navigation }) => {
               </Text>
             </TouchableOpacity>
 
+            <TouchableOpacity
+              style={[styles.actionButton, { backgroundColor: colors.surface }]}
+              onPress={() => navigation.navigate('RideMode')}
+            >
+              <Ionicons name="car" size={32} color={colors.warning} />
+              <Text style={[styles.actionText, { color: colors.text }]}>
+                Ride Mode
+              </Text>
+            </TouchableOpacity>
+
             <TouchableOpacity
               style={[styles.actionButton, { backgroundColor: colors.surface }]}
               onPress={() => navigation.navigate('Profile')}
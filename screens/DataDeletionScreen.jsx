@@ -13,6 +13,7 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { useTheme } from '../context/ThemeContext';
 import { useAuth } from '../context/AuthContext';
 import { privacyService } from '../services/privacy/privacyService';
+import { tripHistoryService } from '../services/location/tripHistoryService';
 
 const DataDeletionScreen = ({ navigation }) => {
   const { colors } = useTheme();
@@ -118,6 +119,11 @@ const DataDeletionScreen = ({ navigation }) => {
 
       await privacyService.submitDataDeletionRequest(deletionRequest);
 
+      // The on-device trip history can go right away
+      if (selectedDataTypes.locationHistory) {
+        await tripHistoryService.clearHistory();
+      }
+
       Alert.alert(
         'Request Submitted',
         'Your data deletion request has been submitted successfully. You will receive a confirmation email within 24 hours. The deletion process will be completed within 30 days as per our privacy policy.',
@@ -290,7 +296,7 @@ const DataDeletionScreen = ({ navigation }) => {
         <View style={styles.warningSection}>
           <Text style={styles.warningText}>
             ⚠️ Data deletion is permanent and cannot be undone. Some data may be retained for legal compliance. 
-            Deleting certain data types may affect the app's safety features.
+            Deleting certain data types may affect the app&apos;s safety features.
           </Text>
         </View>
 
@@ -377,7 +383,7 @@ const DataDeletionScreen = ({ navigation }) => {
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Confirmation</Text>
           <Text style={styles.inputLabel}>
-            Type "DELETE MY DATA" to confirm your request:
+            Type &quot;DELETE MY DATA&quot; to confirm your request:
           </Text>
           <TextInput
             style={[styles.textInput, styles.confirmationInput]}
@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useSafety } from '../context/SafetyContext';
+import { useLocation } from '../context/LocationContext';
+import { useAuth } from '../context/AuthContext';
+import { silentAlertService } from '../services/emergency/silentAlertService';
+import { DISCREET_TRIGGERS } from '../utils/constants';
+
+const KEYS = [
+  ['C', '±', '%', '÷'],
+  ['7', '8', '9', '×'],
+  ['4', '5', '6', '−'],
+  ['1', '2', '3', '+'],
+  ['0', '.', '=']
+];
+
+const OPERATORS = ['÷', '×', '−', '+'];
+
+const calculate = (left, right, operator) => {
+  switch (operator) {
+    case '+': return left + right;
+    case '−': return left - right;
+    case '×': return left * right;
+    case '÷': return right === 0 ? NaN : left / right;
+    default: return right;
+  }
+};
+
+const formatResult = (value) => {
+  if (!Number.isFinite(value)) {
+    return 'Error';
+  }
+  return String(parseFloat(value.toPrecision(12)));
+};
+
+// A working calculator. Typing the PIN and pressing "=" sends a silent alert
+// with nothing changing on screen; a long press on the display leaves it
+const DecoyCalculatorScreen = ({ navigation }) => {
+  const { discreetTriggerSettings, triggerSilentAlert } = useSafety();
+  const { currentLocation } = useLocation();
+  const { profile } = useAuth();
+  const [display, setDisplay] = useState('0');
+  const [stored, setStored] = useState(null);
+  const [operator, setOperator] = useState(null);
+  const [replaceDisplay, setReplaceDisplay] = useState(true);
+  // Digits typed since the last operator or clear, checked against the PIN on "="
+  const [entry, setEntry] = useState('');
+
+  const checkPin = async (candidate) => {
+    if (!discreetTriggerSettings?.calculator || !candidate) return;
+
+    if (await silentAlertService.verifyPin(candidate)) {
+      triggerSilentAlert(DISCREET_TRIGGERS.CALCULATOR, currentLocation, profile);
+    }
+  };
+
+  const handleDigit = (digit) => {
+    if (replaceDisplay || display === '0') {
+      setDisplay(digit === '.' ? '0.' : digit);
+      setReplaceDisplay(false);
+    } else if (!(digit === '.' && display.includes('.'))) {
+      setDisplay(display + digit);
+    }
+    setEntry(digit === '.' ? '' : `${entry}${digit}`);
+  };
+
+  const handleOperator = (nextOperator) => {
+    const value = parseFloat(display);
+    if (stored !== null && operator && !replaceDisplay) {
+      const result = calculate(stored, value, operator);
+      setDisplay(formatResult(result));
+      setStored(result);
+    } else {
+      setStored(value);
+    }
+    setOperator(nextOperator);
+    setReplaceDisplay(true);
+    setEntry('');
+  };
+
+  const handleEquals = () => {
+    // With no operator pending "=" looks like a no-op, which hides the PIN check
+    if (!operator) {
+      checkPin(entry);
+    } else {
+      setDisplay(formatResult(calculate(stored, parseFloat(display), operator)));
+    }
+    setStored(null);
+    setOperator(null);
+    setReplaceDisplay(true);
+    setEntry('');
+  };
+
+  const handleKey = (key) => {
+    if (OPERATORS.includes(key)) {
+      handleOperator(key);
+      return;
+    }
+
+    switch (key) {
+      case 'C':
+        setDisplay('0');
+        setStored(null);
+        setOperator(null);
+        setReplaceDisplay(true);
+        setEntry('');
+        break;
+      case '±':
+        setDisplay(formatResult(-parseFloat(display)));
+        setEntry('');
+        break;
+      case '%':
+        setDisplay(formatResult(parseFloat(display) / 100));
+        setEntry('');
+        break;
+      case '=':
+        handleEquals();
+        break;
+      default:
+        handleDigit(key);
+    }
+  };
+
+  const handleExit = () => {
+    if (navigation.canGoBack()) {
+      navigation.goBack();
+    } else {
+      navigation.replace('MainTabs');
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar style="light" />
+      <TouchableOpacity
+        style={styles.displayContainer}
+        onLongPress={handleExit}
+        delayLongPress={1500}
+        activeOpacity={1}
+        accessibilityLabel={`Display, ${display}`}
+      >
+        <Text style={styles.display} numberOfLines={1} adjustsFontSizeToFit>
+          {display}
+        </Text>
+      </TouchableOpacity>
+
+      <View style={styles.keypad}>
+        {KEYS.map((row, rowIndex) => (
+          <View key={rowIndex} style={styles.row}>
+            {row.map(key => (
+              <TouchableOpacity
+                key={key}
+                style={[
+                  styles.key,
+                  key === '0' && styles.keyWide,
+                  OPERATORS.includes(key) || key === '=' ? styles.keyOperator : null,
+                  ['C', '±', '%'].includes(key) && styles.keyFunction,
+                  key === operator && replaceDisplay && styles.keyOperatorActive
+                ]}
+                onPress={() => handleKey(key)}
+                accessibilityRole="button"
+                accessibilityLabel={key}
+              >
+                <Text style={[
+                  styles.keyText,
+                  ['C', '±', '%'].includes(key) && styles.keyFunctionText,
+                  key === operator && replaceDisplay && styles.keyOperatorActiveText
+                ]}>
+                  {key}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        ))}
+      </View>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+    justifyContent: 'flex-end',
+  },
+  displayContainer: {
+    paddingHorizontal: 24,
+    paddingBottom: 16,
+    alignItems: 'flex-end',
+  },
+  display: {
+    color: '#fff',
+    fontSize: 72,
+    fontWeight: '300',
+  },
+  keypad: {
+    paddingHorizontal: 12,
+    paddingBottom: 24,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  key: {
+    width: 76,
+    height: 76,
+    borderRadius: 38,
+    backgroundColor: '#333',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  keyWide: {
+    width: 164,
+    alignItems: 'flex-start',
+    paddingLeft: 30,
+  },
+  keyOperator: {
+    backgroundColor: '#FF9500',
+  },
+  keyOperatorActive: {
+    backgroundColor: '#fff',
+  },
+  keyFunction: {
+    backgroundColor: '#A5A5A5',
+  },
+  keyText: {
+    color: '#fff',
+    fontSize: 32,
+  },
+  keyFunctionText: {
+    color: '#000',
+  },
+  keyOperatorActiveText: {
+    color: '#FF9500',
+  },
+});
+
+export default DecoyCalculatorScreen;
@@ -33,12 +33,6 @@ const EditProfileScreen = ({ navigation }) => {
         passportNumber: profile.passportNumber || '',
         phoneNumber: profile.phoneNumber || '',
         emergencyContacts: profile.emergencyContacts || [],
-        medicalInfo: profile.medicalInfo || {
-          allergies: '',
-          medications: '',
-          conditions: '',
-          bloodType: ''
-        },
         preferences: profile.preferences || {
           language: 'en',
           accessibility: {
@@ -229,47 +223,20 @@ const EditProfileScreen = ({ navigation }) => {
     </View>
   );
 
+  // Medical details live in the encrypted Medical ID, not the synced profile
   const renderMedicalInfo = () => (
     <View style={styles.section}>
       <Text style={styles.sectionTitle}>Medical Information</Text>
       <Text style={styles.sectionSubtitle}>
-        This information will be available to emergency responders
+        Kept encrypted on this device and shared with responders only if you allow it
       </Text>
       
-      <TextInput
-        style={styles.input}
-        placeholder="Blood Type (e.g., A+, O-, AB+)"
-        value={formData.medicalInfo?.bloodType}
-        onChangeText={(value) => updateNestedFormData('medicalInfo', 'bloodType', value.toUpperCase())}
-        autoCapitalize="characters"
-      />
-      
-      <TextInput
-        style={[styles.input, styles.textArea]}
-        placeholder="Allergies"
-        value={formData.medicalInfo?.allergies}
-        onChangeText={(value) => updateNestedFormData('medicalInfo', 'allergies', value)}
-        multiline
-        numberOfLines={3}
-      />
-      
-      <TextInput
-        style={[styles.input, styles.textArea]}
-        placeholder="Current Medications"
-        value={formData.medicalInfo?.medications}
-        onChangeText={(value) => updateNestedFormData('medicalInfo', 'medications', value)}
-        multiline
-        numberOfLines={3}
-      />
-      
-      <TextInput
-        style={[styles.input, styles.textArea]}
-        placeholder="Medical Conditions"
-        value={formData.medicalInfo?.conditions}
-        onChangeText={(value) => updateNestedFormData('medicalInfo', 'conditions', value)}
-        multiline
-        numberOfLines={3}
-      />
+      <TouchableOpacity
+        style={styles.addContactButton}
+        onPress={() => navigation.navigate('MedicalID')}
+      >
+        <Text style={styles.addContactText}>✚ Manage Medical ID</Text>
+      </TouchableOpacity>
     </View>
   );
 
@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  Vibration
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafety } from '../context/SafetyContext';
+import { useLocation } from '../context/LocationContext';
+import { useAuth } from '../context/AuthContext';
+import { DISCREET_TRIGGERS, DISCREET_TRIGGER_CONFIG } from '../utils/constants';
+
+const CALL_PHASES = {
+  WAITING: 'waiting',
+  RINGING: 'ringing',
+  CONNECTED: 'connected'
+};
+
+const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// An incoming call that gives a way out of an uncomfortable situation. The
+// screen stays dark until the call "rings"; answering it sends a silent alert
+const FakeCallScreen = ({ navigation, route }) => {
+  const { discreetTriggerSettings, triggerSilentAlert } = useSafety();
+  const { currentLocation } = useLocation();
+  const { profile } = useAuth();
+  const delaySeconds = route?.params?.delaySeconds ??
+    discreetTriggerSettings?.fakeCallDelaySeconds ??
+    DISCREET_TRIGGER_CONFIG.FAKE_CALL_DELAY_SECONDS;
+  const callerName = discreetTriggerSettings?.fakeCallerName || DISCREET_TRIGGER_CONFIG.DEFAULT_FAKE_CALLER;
+  const [phase, setPhase] = useState(delaySeconds > 0 ? CALL_PHASES.WAITING : CALL_PHASES.RINGING);
+  const [callSeconds, setCallSeconds] = useState(0);
+  const timer = useRef(null);
+
+  useEffect(() => {
+    if (phase === CALL_PHASES.WAITING) {
+      timer.current = setTimeout(() => setPhase(CALL_PHASES.RINGING), delaySeconds * 1000);
+    } else if (phase === CALL_PHASES.RINGING) {
+      Vibration.vibrate([0, 1000, 1000], true);
+    } else {
+      timer.current = setInterval(() => setCallSeconds(prev => prev + 1), 1000);
+    }
+
+    return () => {
+      clearTimeout(timer.current);
+      clearInterval(timer.current);
+      Vibration.cancel();
+    };
+  }, [phase]);
+
+  const handleAnswer = () => {
+    setPhase(CALL_PHASES.CONNECTED);
+    if (discreetTriggerSettings?.fakeCall) {
+      triggerSilentAlert(DISCREET_TRIGGERS.FAKE_CALL, currentLocation, profile);
+    }
+  };
+
+  const handleHangUp = () => {
+    navigation.goBack();
+  };
+
+  if (phase === CALL_PHASES.WAITING) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <StatusBar style="light" />
+        <TouchableOpacity style={styles.waiting} onLongPress={handleHangUp} activeOpacity={1} />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar style="light" />
+      <View style={styles.caller}>
+        <View style={styles.avatar}>
+          <Text style={styles.avatarText}>{callerName.charAt(0).toUpperCase()}</Text>
+        </View>
+        <Text style={styles.callerName}>{callerName}</Text>
+        <Text style={styles.callStatus}>
+          {phase === CALL_PHASES.RINGING ? 'mobile' : formatDuration(callSeconds)}
+        </Text>
+      </View>
+
+      {phase === CALL_PHASES.RINGING ? (
+        <View style={styles.actions}>
+          <View style={styles.action}>
+            <TouchableOpacity
+              style={[styles.callButton, styles.declineButton]}
+              onPress={handleHangUp}
+              accessibilityRole="button"
+              accessibilityLabel="Decline"
+            >
+              <Ionicons name="call" size={32} color="#fff" style={styles.declineIcon} />
+            </TouchableOpacity>
+            <Text style={styles.actionLabel}>Decline</Text>
+          </View>
+          <View style={styles.action}>
+            <TouchableOpacity
+              style={[styles.callButton, styles.answerButton]}
+              onPress={handleAnswer}
+              accessibilityRole="button"
+              accessibilityLabel="Accept"
+            >
+              <Ionicons name="call" size={32} color="#fff" />
+            </TouchableOpacity>
+            <Text style={styles.actionLabel}>Accept</Text>
+          </View>
+        </View>
+      ) : (
+        <View style={styles.actions}>
+          <View style={styles.action}>
+            <TouchableOpacity
+              style={[styles.callButton, styles.declineButton]}
+              onPress={handleHangUp}
+              accessibilityRole="button"
+              accessibilityLabel="End call"
+            >
+              <Ionicons name="call" size={32} color="#fff" style={styles.declineIcon} />
+            </TouchableOpacity>
+            <Text style={styles.actionLabel}>End</Text>
+          </View>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1C1C1E',
+  },
+  waiting: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  caller: {
+    alignItems: 'center',
+    marginTop: 80,
+  },
+  avatar: {
+    width: 96,
+    height: 96,
+    borderRadius: 48,
+    backgroundColor: '#636366',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  avatarText: {
+    color: '#fff',
+    fontSize: 40,
+    fontWeight: '500',
+  },
+  callerName: {
+    color: '#fff',
+    fontSize: 34,
+    fontWeight: '400',
+    marginBottom: 6,
+  },
+  callStatus: {
+    color: '#AEAEB2',
+    fontSize: 18,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 80,
+  },
+  action: {
+    alignItems: 'center',
+  },
+  callButton: {
+    width: 76,
+    height: 76,
+    borderRadius: 38,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  declineButton: {
+    backgroundColor: '#FF3B30',
+  },
+  declineIcon: {
+    transform: [{ rotate: '135deg' }],
+  },
+  answerButton: {
+    backgroundColor: '#34C759',
+  },
+  actionLabel: {
+    color: '#fff',
+    fontSize: 14,
+  },
+});
+
+export default FakeCallScreen;
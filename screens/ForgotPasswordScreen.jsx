@@ -27,9 +27,9 @@ try {
   console.log('Using simple components as fallback');
   GlowingInput = require('../components/common/SimpleInput').default;
   GlowingButton = require('../components/common/SimpleButton').default;
-  AnimatedCard = ({ children, style }) => <View style={[{ backgroundColor: '#FFFFFF', borderRadius: 20, padding: 20 }, style]}>{children}</View>;
-  GentleErrorDisplay = ({ error }) => error ? <Text style={{ color: '#FF3B30', fontSize: 14, marginVertical: 8 }}>{error}</Text> : null;
-  AnimatedLoadingIndicator = ({ size = 40, color = '#007AFF' }) => <ActivityIndicator size={size} color={color} />;
+  AnimatedCard = function AnimatedCard({ children, style }) { return <View style={[{ backgroundColor: '#FFFFFF', borderRadius: 20, padding: 20 }, style]}>{children}</View>; };
+  GentleErrorDisplay = function GentleErrorDisplay({ error }) { return error ? <Text style={{ color: '#FF3B30', fontSize: 14, marginVertical: 8 }}>{error}</Text> : null; };
+  AnimatedLoadingIndicator = function AnimatedLoadingIndicator({ size = 40, color = '#007AFF' }) { return <ActivityIndicator size={size} color={color} />; };
 }
 
 const { width, height } = Dimensions.get('window');
@@ -224,7 +224,7 @@ const ForgotPasswordScreen = ({ navigation }) => {
               >
                 <Text style={styles.formTitle}>Forgot Password?</Text>
                 <Text style={styles.formSubtitle}>
-                  Enter your email address and we'll send you instructions to reset your password.
+                  Enter your email address and we&apos;ll send you instructions to reset your password.
                 </Text>
 
                 {/* Email Input */}
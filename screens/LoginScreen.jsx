@@ -14,6 +14,7 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import { medicalProfileService } from '../services/emergency/medicalProfileService';
 // Try to import glowing components, fallback to simple ones
 let GlowingInput, GlowingButton, AnimatedCard, GentleErrorDisplay, AnimatedLoadingIndicator;
 
@@ -27,9 +28,9 @@ try {
   console.log('Using simple components as fallback');
   GlowingInput = require('../components/common/SimpleInput').default;
   GlowingButton = require('../components/common/SimpleButton').default;
-  AnimatedCard = ({ children, style }) => <View style={[{ backgroundColor: '#FFFFFF', borderRadius: 20, padding: 20 }, style]}>{children}</View>;
-  GentleErrorDisplay = ({ error }) => error ? <Text style={{ color: '#FF3B30', fontSize: 14, marginVertical: 8 }}>{error}</Text> : null;
-  AnimatedLoadingIndicator = ({ size = 40, color = '#007AFF' }) => <ActivityIndicator size={size} color={color} />;
+  AnimatedCard = function AnimatedCard({ children, style }) { return <View style={[{ backgroundColor: '#FFFFFF', borderRadius: 20, padding: 20 }, style]}>{children}</View>; };
+  GentleErrorDisplay = function GentleErrorDisplay({ error }) { return error ? <Text style={{ color: '#FF3B30', fontSize: 14, marginVertical: 8 }}>{error}</Text> : null; };
+  AnimatedLoadingIndicator = function AnimatedLoadingIndicator({ size = 40, color = '#007AFF' }) { return <ActivityIndicator size={size} color={color} />; };
 }
 
 const { width, height } = Dimensions.get('window');
@@ -41,6 +42,7 @@ const LoginScreen = ({ navigation }) => {
   const [error, setError] = useState('');
   const [emailError, setEmailError] = useState('');
   const [passwordError, setPasswordError] = useState('');
+  const [hasMedicalID, setHasMedicalID] = useState(false);
 
   const { signIn } = useAuth();
   const { colors } = useTheme();
@@ -164,6 +166,13 @@ const LoginScreen = ({ navigation }) => {
     navigation.navigate('Register');
   };
 
+  // Medical ID the user chose to show before sign-in, for first responders
+  useEffect(() => {
+    medicalProfileService.getLockScreenProfile().then(result => {
+      setHasMedicalID(!!(result.success && result.profile));
+    });
+  }, []);
+
   const backgroundOpacity = backgroundAnim.interpolate({
     inputRange: [0, 1],
     outputRange: [0, 1],
@@ -332,11 +341,20 @@ const LoginScreen = ({ navigation }) => {
               ]}
             >
               <Text style={styles.footerText}>
-                Don't have an account?{' '}
+                Don&apos;t have an account?{' '}
                 <Text style={styles.footerLink} onPress={handleRegister}>
                   Sign Up
                 </Text>
               </Text>
+              {hasMedicalID && (
+                <Text
+                  style={styles.medicalIdLink}
+                  onPress={() => navigation.navigate('MedicalID')}
+                  accessibilityRole="button"
+                >
+                  ✚ Emergency Medical ID
+                </Text>
+              )}
             </Animated.View>
           </View>
         </KeyboardAvoidingView>
@@ -464,6 +482,12 @@ const styles = StyleSheet.create({
     color: '#007AFF',
     fontWeight: '600',
   },
+  medicalIdLink: {
+    marginTop: 12,
+    fontSize: 16,
+    color: '#D70015',
+    fontWeight: '700',
+  },
   loadingOverlay: {
     position: 'absolute',
     top: 0,
@@ -0,0 +1,387 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Switch,
+  Alert,
+  Linking,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import { medicalProfileService } from '../services/emergency/medicalProfileService';
+import { emergencyNumberService } from '../services/emergency/emergencyNumberService';
+import { MedicalProfile } from '../utils/dataModels';
+import MedicalIDCard from '../components/safety/MedicalIDCard';
+import LoadingIndicator from '../components/LoadingIndicator';
+import ErrorText from '../components/ErrorText';
+
+// Medical ID: editable when signed in, read-only from the login screen when
+// the user chose to show it there
+const MedicalIDScreen = ({ navigation }) => {
+  const { user, profile } = useAuth();
+  const userId = user?.uid;
+  const [medicalProfile, setMedicalProfile] = useState(null);
+  const [formData, setFormData] = useState(new MedicalProfile().toJSON());
+  const [sharingAllowed, setSharingAllowed] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadMedicalProfile();
+  }, [userId]);
+
+  const loadMedicalProfile = async () => {
+    setLoading(true);
+    if (userId) {
+      const [result, consent] = await Promise.all([
+        medicalProfileService.getProfile(userId),
+        medicalProfileService.hasSharingConsent(userId)
+      ]);
+      if (result.success && result.profile) {
+        setMedicalProfile(result.profile);
+        setFormData(result.profile.toJSON());
+      }
+      setEditing(result.success && !result.profile);
+      setSharingAllowed(consent);
+    } else {
+      const result = await medicalProfileService.getLockScreenProfile();
+      setMedicalProfile(result.success ? result.profile : null);
+    }
+    setLoading(false);
+  };
+
+  const updateField = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateNestedField = (parent, field, value) => {
+    setFormData(prev => ({ ...prev, [parent]: { ...prev[parent], [field]: value } }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    const result = await medicalProfileService.saveProfile(userId, formData);
+    setSaving(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setMedicalProfile(result.profile);
+    setEditing(false);
+  };
+
+  const handleSharingChange = async (allowed) => {
+    setSharingAllowed(allowed);
+    const result = await medicalProfileService.setSharingConsent(userId, allowed);
+    if (!result.success) {
+      setSharingAllowed(!allowed);
+      Alert.alert('Error', 'Failed to update sharing consent');
+    }
+  };
+
+  const handleCallAmbulance = () => {
+    const { ambulance } = emergencyNumberService.getActiveNumbers().numbers;
+    Linking.openURL(`tel:${ambulance}`).catch(() => Alert.alert('Error', 'Failed to make call'));
+  };
+
+  if (loading) {
+    return <LoadingIndicator />;
+  }
+
+  if (!userId) {
+    return (
+      <ScrollView style={styles.lockScreen} contentContainerStyle={styles.content}>
+        {medicalProfile ? (
+          <MedicalIDCard profile={medicalProfile} />
+        ) : (
+          <Text style={styles.lockScreenText}>No medical ID is shown on this device.</Text>
+        )}
+        <TouchableOpacity style={styles.callButton} onPress={handleCallAmbulance}>
+          <Text style={styles.callButtonText}>📞 Call Ambulance</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.secondaryButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.secondaryButtonText}>Back</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <ScrollView contentContainerStyle={styles.content} showsVerticalScrollIndicator={false}>
+        {!editing && (
+          <>
+            <MedicalIDCard profile={medicalProfile} name={profile?.name} />
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => setEditing(true)}>
+              <Text style={styles.secondaryButtonText}>✏️ Edit Medical ID</Text>
+            </TouchableOpacity>
+          </>
+        )}
+
+        {editing && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Medical Information</Text>
+            <Text style={styles.sectionSubtitle}>
+              Stored encrypted on this device only
+            </Text>
+
+            <TextInput
+              style={styles.input}
+              placeholder="Blood Type (e.g., A+, O-, AB+)"
+              value={formData.bloodType}
+              onChangeText={(value) => updateField('bloodType', value.toUpperCase())}
+              autoCapitalize="characters"
+            />
+            <TextInput
+              style={[styles.input, styles.textArea]}
+              placeholder="Allergies"
+              value={formData.allergies}
+              onChangeText={(value) => updateField('allergies', value)}
+              multiline
+            />
+            <TextInput
+              style={[styles.input, styles.textArea]}
+              placeholder="Current Medications"
+              value={formData.medications}
+              onChangeText={(value) => updateField('medications', value)}
+              multiline
+            />
+            <TextInput
+              style={[styles.input, styles.textArea]}
+              placeholder="Medical Conditions"
+              value={formData.conditions}
+              onChangeText={(value) => updateField('conditions', value)}
+              multiline
+            />
+
+            <Text style={styles.fieldLabel}>Travel Insurance</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="Insurance Provider"
+              value={formData.insurance.provider}
+              onChangeText={(value) => updateNestedField('insurance', 'provider', value)}
+            />
+            <TextInput
+              style={styles.input}
+              placeholder="Policy Number"
+              value={formData.insurance.policyNumber}
+              onChangeText={(value) => updateNestedField('insurance', 'policyNumber', value)}
+              autoCapitalize="characters"
+            />
+            <TextInput
+              style={styles.input}
+              placeholder="Insurance Assistance Phone"
+              value={formData.insurance.phoneNumber}
+              onChangeText={(value) => updateNestedField('insurance', 'phoneNumber', value)}
+              keyboardType="phone-pad"
+            />
+
+            <Text style={styles.fieldLabel}>Doctor</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="Doctor's Name"
+              value={formData.doctor.name}
+              onChangeText={(value) => updateNestedField('doctor', 'name', value)}
+              autoCapitalize="words"
+            />
+            <TextInput
+              style={styles.input}
+              placeholder="Doctor's Phone"
+              value={formData.doctor.phoneNumber}
+              onChangeText={(value) => updateNestedField('doctor', 'phoneNumber', value)}
+              keyboardType="phone-pad"
+            />
+
+            <View style={styles.switchRow}>
+              <View style={styles.switchText}>
+                <Text style={styles.switchTitle}>Show on Login Screen</Text>
+                <Text style={styles.switchDescription}>
+                  Responders can open your medical ID without signing in.
+                </Text>
+              </View>
+              <Switch
+                value={formData.showOnLockScreen}
+                onValueChange={(value) => updateField('showOnLockScreen', value)}
+              />
+            </View>
+
+            <ErrorText error={error} />
+
+            <View style={styles.buttonRow}>
+              {medicalProfile && (
+                <TouchableOpacity
+                  style={[styles.button, styles.cancelButton]}
+                  onPress={() => {
+                    setFormData(medicalProfile.toJSON());
+                    setEditing(false);
+                  }}
+                >
+                  <Text style={styles.cancelButtonText}>Cancel</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                style={[styles.button, styles.saveButton]}
+                onPress={handleSave}
+                disabled={saving}
+              >
+                <Text style={styles.saveButtonText}>{saving ? 'Saving...' : 'Save'}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        <View style={styles.switchRow}>
+          <View style={styles.switchText}>
+            <Text style={styles.switchTitle}>Share in Emergencies</Text>
+            <Text style={styles.switchDescription}>
+              Add your medical ID to emergency alerts and allow medical QR codes.
+            </Text>
+          </View>
+          <Switch value={sharingAllowed} onValueChange={handleSharingChange} />
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  lockScreen: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  content: {
+    padding: 20,
+  },
+  lockScreenText: {
+    fontSize: 18,
+    color: '#fff',
+    textAlign: 'center',
+    marginVertical: 40,
+  },
+  section: {
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#333',
+  },
+  sectionSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 15,
+  },
+  fieldLabel: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginTop: 10,
+    marginBottom: 5,
+    color: '#333',
+  },
+  input: {
+    height: 50,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 15,
+    marginBottom: 10,
+    fontSize: 16,
+  },
+  textArea: {
+    height: 80,
+    textAlignVertical: 'top',
+    paddingTop: 15,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 15,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  switchText: {
+    flex: 1,
+    marginRight: 10,
+  },
+  switchTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  switchDescription: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    marginTop: 10,
+  },
+  button: {
+    flex: 1,
+    height: 50,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginHorizontal: 5,
+  },
+  cancelButton: {
+    backgroundColor: '#f0f0f0',
+  },
+  cancelButtonText: {
+    color: '#333',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  saveButton: {
+    backgroundColor: '#D70015',
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  callButton: {
+    backgroundColor: '#D70015',
+    paddingVertical: 18,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  callButtonText: {
+    color: '#fff',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 10,
+    backgroundColor: '#f0f0f0',
+  },
+  secondaryButtonText: {
+    color: '#333',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default MedicalIDScreen;
@@ -13,7 +13,9 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { useTheme } from '../context/ThemeContext';
 import { useAuth } from '../context/AuthContext';
 import { privacyService } from '../services/privacy/privacyService';
+import { tripHistoryService } from '../services/location/tripHistoryService';
 import { handleSafePermissionChange, getPermissionInfo } from '../utils/privacyHelpers';
+import { TRIP_HISTORY_CONFIG } from '../utils/constants';
 
 const PrivacyScreen = ({ navigation }) => {
   const { colors, isDarkMode } = useTheme();
@@ -27,6 +29,7 @@ const PrivacyScreen = ({ navigation }) => {
     analyticsData: false,
     crashReports: false,
     marketingCommunications: false,
+    medicalDataSharing: false,
   });
   const [dataUsage, setDataUsage] = useState({
     locationDataPoints: 0,
@@ -34,12 +37,19 @@ const PrivacyScreen = ({ navigation }) => {
     qrGenerations: 0,
     lastSyncDate: null,
   });
+  const [retentionDays, setRetentionDays] = useState(TRIP_HISTORY_CONFIG.DEFAULT_RETENTION_DAYS);
 
   useEffect(() => {
     loadPrivacySettings();
     loadDataUsageStats();
+    loadTripHistorySettings();
   }, []);
 
+  const loadTripHistorySettings = async () => {
+    const result = await tripHistoryService.getSettings();
+    setRetentionDays(result.settings.retentionDays);
+  };
+
   const loadPrivacySettings = async () => {
     try {
       if (user) {
@@ -81,6 +91,23 @@ const PrivacyScreen = ({ navigation }) => {
     }
   };
 
+  const handleRetentionChange = async (days) => {
+    setSaving(true);
+    try {
+      const result = await tripHistoryService.updateSettings({ retentionDays: days });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      setRetentionDays(days);
+      await privacyService.updateUserPreference(user.uid, 'locationHistoryRetentionDays', days);
+    } catch (error) {
+      console.error('Error updating trip history retention:', error);
+      Alert.alert('Error', 'Failed to update trip history retention');
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const handleDataDeletion = () => {
     navigation.navigate('DataDeletion');
   };
@@ -190,6 +217,29 @@ const PrivacyScreen = ({ navigation }) => {
       lineHeight: 20,
       marginBottom: 16,
     },
+    retentionOptions: {
+      flexDirection: 'row',
+      gap: 8,
+    },
+    retentionOption: {
+      flex: 1,
+      borderWidth: 1,
+      borderColor: colors.primary,
+      borderRadius: 8,
+      paddingVertical: 10,
+      alignItems: 'center',
+    },
+    retentionOptionSelected: {
+      backgroundColor: colors.primary,
+    },
+    retentionOptionText: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.primary,
+    },
+    retentionOptionTextSelected: {
+      color: colors.surface,
+    },
   });
 
   if (loading) {
@@ -300,6 +350,22 @@ const PrivacyScreen = ({ navigation }) => {
             />
           </View>
 
+          <View style={styles.permissionItem}>
+            <View style={styles.permissionContent}>
+              <Text style={styles.permissionTitle}>Medical ID Sharing</Text>
+              <Text style={styles.permissionDescription}>
+                Include your medical ID in emergency alerts and allow medical QR codes.
+              </Text>
+            </View>
+            <Switch
+              value={permissions.medicalDataSharing}
+              onValueChange={(value) => handlePermissionChange('medicalDataSharing', value)}
+              trackColor={{ false: colors.border, true: colors.primary }}
+              thumbColor={colors.surface}
+              disabled={saving}
+            />
+          </View>
+
           <View style={[styles.permissionItem, { borderBottomWidth: 0 }]}>
             <View style={styles.permissionContent}>
               <Text style={styles.permissionTitle}>Marketing Communications</Text>
@@ -350,6 +416,45 @@ const PrivacyScreen = ({ navigation }) => {
           </View>
         </View>
 
+        {/* Trip History */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Trip History</Text>
+          <Text style={styles.explanatoryText}>
+            {permissions.locationTracking
+              ? 'Your trips and stays are kept on this device so you can review or export them. Choose how long to keep them.'
+              : 'Trip history is off while location tracking is disabled.'}
+          </Text>
+
+          <View style={styles.retentionOptions}>
+            {TRIP_HISTORY_CONFIG.RETENTION_OPTIONS_DAYS.map(days => (
+              <TouchableOpacity
+                key={days}
+                style={[styles.retentionOption, retentionDays === days && styles.retentionOptionSelected]}
+                onPress={() => handleRetentionChange(days)}
+                disabled={saving || retentionDays === days}
+                accessibilityRole="button"
+                accessibilityState={{ selected: retentionDays === days }}
+                accessibilityLabel={`Keep trip history for ${days} ${days === 1 ? 'day' : 'days'}`}
+              >
+                <Text style={[styles.retentionOptionText, retentionDays === days && styles.retentionOptionTextSelected]}>
+                  {days === 1 ? '1 day' : `${days} days`}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity
+            style={[styles.actionButton, styles.actionButtonSecondary]}
+            onPress={() => navigation.navigate('TripTimeline')}
+            accessibilityLabel="View trip timeline"
+            accessibilityHint="Shows your recorded trips and stays and lets you export them"
+          >
+            <Text style={[styles.actionButtonText, styles.actionButtonTextSecondary]}>
+              View Trip Timeline
+            </Text>
+          </TouchableOpacity>
+        </View>
+
         {/* Data Management Actions */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Data Management</Text>
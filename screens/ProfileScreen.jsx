@@ -11,9 +11,11 @@ import { useAuth } from '../context/AuthContext';
 import { signOutUser } from '../utils/firebaseHelpers';
 import TouristProfile from '../components/identity/TouristProfile';
 import EmergencyContacts from '../components/safety/EmergencyContacts';
+import FallDetectionSettings from '../components/safety/FallDetectionSettings';
+import DiscreetTriggerSettings from '../components/safety/DiscreetTriggerSettings';
 
 const ProfileScreen = ({ navigation }) => {
-  const { user, profile, isVerifiedTourist, hasCompleteTouristProfile } = useAuth();
+  const { user, profile, isVerifiedTourist, hasVerifierAccess, hasCompleteTouristProfile } = useAuth();
 
   const handleSignOut = async () => {
     Alert.alert(
@@ -96,6 +98,29 @@ const ProfileScreen = ({ navigation }) => {
         <Text style={styles.actionButtonText}>📱 My QR Code</Text>
       </TouchableOpacity>
       
+      <TouchableOpacity 
+        style={styles.actionButton}
+        onPress={() => navigation.navigate('MedicalID')}
+      >
+        <Text style={styles.actionButtonText}>✚ Medical ID</Text>
+      </TouchableOpacity>
+      
+      <TouchableOpacity 
+        style={styles.actionButton}
+        onPress={() => navigation.navigate('TripTimeline')}
+      >
+        <Text style={styles.actionButtonText}>🗺️ Trip Timeline</Text>
+      </TouchableOpacity>
+      
+      {hasVerifierAccess() && (
+        <TouchableOpacity 
+          style={styles.actionButton}
+          onPress={() => navigation.navigate('QRVerifier')}
+        >
+          <Text style={styles.actionButtonText}>🛂 Verify Tourist QR</Text>
+        </TouchableOpacity>
+      )}
+      
       <TouchableOpacity 
         style={styles.actionButton}
         onPress={() => navigation.navigate('Privacy')}
@@ -169,6 +194,12 @@ const ProfileScreen = ({ navigation }) => {
         </View>
       )}
 
+      <View style={styles.safetySection}>
+        <Text style={styles.sectionTitle}>Safety Settings</Text>
+        <FallDetectionSettings />
+        <DiscreetTriggerSettings navigation={navigation} />
+      </View>
+
       <View style={styles.buttonSection}>
         <TouchableOpacity style={styles.signOutButton} onPress={handleSignOut}>
           <Text style={styles.signOutText}>Sign Out</Text>
@@ -311,6 +342,12 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     padding: 15,
   },
+  safetySection: {
+    margin: 20,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 15,
+  },
   buttonSection: {
     padding: 20,
   },
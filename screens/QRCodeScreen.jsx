@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useMemo } from 'react';
 import {
   View,
   Text,
@@ -17,7 +17,16 @@ import { LinearGradient } from 'expo-linear-gradient';
 import QRCodeDisplay from '../components/identity/QRCodeDisplay';
 import { AuthContext } from '../context/AuthContext';
 import { qrGeneratorService } from '../services/security/qrGenerator';
-import { VERIFICATION_STATUS, ERROR_MESSAGES } from '../utils/constants';
+import { revocationService } from '../services/security/revocation';
+import { medicalProfileService } from '../services/emergency/medicalProfileService';
+import {
+  VERIFICATION_STATUS,
+  ERROR_MESSAGES,
+  QR_CONFIG,
+  DISCLOSURE_PROFILES,
+  DISCLOSURE_PROFILE_CONFIG,
+  DISCLOSURE_CLAIM_LABELS
+} from '../utils/constants';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
@@ -26,6 +35,8 @@ const QRCodeScreen = ({ navigation, route }) => {
   const [refreshing, setRefreshing] = useState(false);
   const [qrData, setQrData] = useState(null);
   const [fullScreen, setFullScreen] = useState(false);
+  const [disclosureProfile, setDisclosureProfile] = useState(QR_CONFIG.DEFAULT_DISCLOSURE_PROFILE);
+  const [medicalInfo, setMedicalInfo] = useState(null);
   const [securityInfo, setSecurityInfo] = useState({
     encryptionLevel: 'High',
     blockchainVerified: false,
@@ -53,6 +64,54 @@ const QRCodeScreen = ({ navigation, route }) => {
     loadCachedQRData();
   }, [user]);
 
+  useEffect(() => {
+    loadMedicalInfo();
+  }, [user]);
+
+  // The encrypted medical ID only goes into the QR when the user consented to sharing it
+  const loadMedicalInfo = async () => {
+    setMedicalInfo(await medicalProfileService.getShareableProfile(user?.userId));
+  };
+
+  const touristData = useMemo(
+    () => (user && medicalInfo ? { ...user, medicalInfo } : user),
+    [user, medicalInfo]
+  );
+
+  const handleDisclosureProfileSelect = async (profile) => {
+    setDisclosureProfile(profile);
+    if (profile !== DISCLOSURE_PROFILES.MEDICAL || medicalInfo || !user?.userId) {
+      return;
+    }
+
+    if (!(await medicalProfileService.hasSharingConsent(user.userId))) {
+      Alert.alert(
+        'Share Medical ID?',
+        'The medical QR code shows your blood group, allergies, medications, conditions, insurance and doctor to whoever scans it.',
+        [
+          { text: 'Not Now', style: 'cancel' },
+          {
+            text: 'Allow',
+            onPress: async () => {
+              await medicalProfileService.setSharingConsent(user.userId, true);
+              loadMedicalInfo();
+            }
+          }
+        ]
+      );
+      return;
+    }
+
+    Alert.alert(
+      'No Medical ID',
+      'Add your medical details to include them in the medical QR code.',
+      [
+        { text: 'Add Medical ID', onPress: () => navigation.navigate('MedicalID') },
+        { text: 'Cancel', style: 'cancel' }
+      ]
+    );
+  };
+
   const loadCachedQRData = async () => {
     if (!user?.userId) return;
 
@@ -115,7 +174,8 @@ const QRCodeScreen = ({ navigation, route }) => {
       `Encryption Level: ${securityInfo.encryptionLevel}\n` +
       `Blockchain Verified: ${securityInfo.blockchainVerified ? 'Yes' : 'No'}\n` +
       `Last Updated: ${securityInfo.lastUpdated.toLocaleString()}\n\n` +
-      'Your QR code is encrypted with military-grade security and verified on blockchain for maximum authenticity.',
+      'Your QR code is signed by the issuing authority and recorded in the verification ledger. ' +
+      'It only shows the details of the selected profile; everything else is sealed and can be revealed later if needed.',
       [{ text: 'OK' }]
     );
   };
@@ -126,13 +186,43 @@ const QRCodeScreen = ({ navigation, route }) => {
       'In case of emergency, authorities can scan your QR code to access:\n\n' +
       '• Your identity verification\n' +
       '• Emergency contact information\n' +
-      '• Medical information (if provided)\n' +
+      '• Medical information (with the Medical profile)\n' +
       '• Current location data\n\n' +
-      'No sensitive personal data is stored in the QR code.',
+      'Choose the profile that matches who is scanning; other details stay sealed in the QR code.',
       [{ text: 'Understood' }]
     );
   };
 
+  const handleRevokeCodes = () => {
+    Alert.alert(
+      'Revoke QR Codes',
+      'Use this if your phone was lost or stolen. Every QR code issued to you so far ' +
+      'will be rejected by verifiers once they sync. You can generate a new code afterwards.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Revoke',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await revocationService.revokeQRCode({
+              userId: user.userId,
+              reason: 'user_reported_lost'
+            });
+
+            if (!result.success) {
+              handleQRError(result.error);
+              return;
+            }
+
+            await qrGeneratorService.invalidateQRData(user.userId);
+            setQrData(null);
+            Alert.alert('QR Codes Revoked', 'Pull down to generate a new QR code.');
+          }
+        }
+      ]
+    );
+  };
+
   if (!user) {
     return (
       <SafeAreaView style={styles.container}>
@@ -193,7 +283,8 @@ const QRCodeScreen = ({ navigation, route }) => {
             {/* Full Screen QR Display */}
             <View style={styles.fullScreenContent}>
               <QRCodeDisplay
-                touristData={user}
+                touristData={touristData}
+                disclosureProfile={disclosureProfile}
                 onRefresh={handleQRRefresh}
                 onError={handleQRError}
                 fullScreen={true}
@@ -266,9 +357,38 @@ const QRCodeScreen = ({ navigation, route }) => {
           </View>
         </View>
 
+        {/* Disclosure Profile Selector */}
+        <View style={styles.profileCard}>
+          <Text style={styles.profileTitle}>Who is scanning?</Text>
+          <View style={styles.profileOptions} accessibilityRole="radiogroup">
+            {Object.entries(DISCLOSURE_PROFILE_CONFIG).map(([profile, config]) => {
+              const selected = profile === disclosureProfile;
+              return (
+                <TouchableOpacity
+                  key={profile}
+                  style={[styles.profileOption, selected && styles.profileOptionSelected]}
+                  onPress={() => handleDisclosureProfileSelect(profile)}
+                  accessibilityRole="radio"
+                  accessibilityState={{ selected }}
+                  accessibilityLabel={`${config.label} profile`}
+                >
+                  <Ionicons name={config.icon} size={20} color={selected ? '#FFFFFF' : '#007AFF'} />
+                  <Text style={[styles.profileOptionText, selected && styles.profileOptionTextSelected]}>
+                    {config.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={styles.profileHint}>
+            Shares: {DISCLOSURE_PROFILE_CONFIG[disclosureProfile].claims.map(claim => DISCLOSURE_CLAIM_LABELS[claim]).join(', ')}
+          </Text>
+        </View>
+
         {/* QR Code Display */}
         <QRCodeDisplay
-          touristData={user}
+          touristData={touristData}
+          disclosureProfile={disclosureProfile}
           onRefresh={handleQRRefresh}
           onError={handleQRError}
           fullScreen={false}
@@ -287,6 +407,11 @@ const QRCodeScreen = ({ navigation, route }) => {
             <Ionicons name="medical-outline" size={20} color="#007AFF" />
             <Text style={styles.actionButtonText}>Emergency Info</Text>
           </TouchableOpacity>
+
+          <TouchableOpacity style={styles.actionButton} onPress={handleRevokeCodes}>
+            <Ionicons name="ban-outline" size={20} color="#FF3B30" />
+            <Text style={[styles.actionButtonText, { color: '#FF3B30' }]}>Revoke</Text>
+          </TouchableOpacity>
         </View>
 
         {/* Usage Instructions */}
@@ -302,7 +427,7 @@ const QRCodeScreen = ({ navigation, route }) => {
             <View style={styles.instructionItem}>
               <Ionicons name="checkmark-circle" size={16} color="#00C851" />
               <Text style={styles.instructionText}>
-                QR code refreshes automatically every 24 hours
+                Code changes every 30 seconds, so screenshots cannot be reused
               </Text>
             </View>
             <View style={styles.instructionItem}>
@@ -429,6 +554,53 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#1C1C1E',
   },
+  profileCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  profileTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1C1C1E',
+    marginBottom: 12,
+  },
+  profileOptions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  profileOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    minHeight: 44,
+    gap: 4,
+  },
+  profileOptionSelected: {
+    backgroundColor: '#007AFF',
+  },
+  profileOptionText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  profileOptionTextSelected: {
+    color: '#FFFFFF',
+  },
+  profileHint: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 12,
+  },
   qrDisplay: {
     marginBottom: 20,
   },
@@ -0,0 +1,226 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import QRVerificationCard from '../components/identity/QRVerificationCard';
+import { useAuth } from '../context/AuthContext';
+import { qrGeneratorService } from '../services/security/qrGenerator';
+import { revocationService } from '../services/security/revocation';
+import { QRVerificationResult } from '../utils/dataModels';
+import { ERROR_MESSAGES } from '../utils/constants';
+
+const QRVerifierScreen = ({ navigation }) => {
+  const { hasVerifierAccess } = useAuth();
+  const [permission, requestPermission] = useCameraPermissions();
+  const [verifying, setVerifying] = useState(false);
+  const [verification, setVerification] = useState(null);
+  const [revocationListDate, setRevocationListDate] = useState(null);
+  const scanLock = useRef(false);
+
+  useEffect(() => {
+    if (hasVerifierAccess()) {
+      loadRevocationList();
+    }
+  }, []);
+
+  // Refresh the revocation list when online; fall back to the cached copy
+  const loadRevocationList = async () => {
+    await revocationService.syncRevocationList();
+    const list = await revocationService.getRevocationList();
+    setRevocationListDate(list.updatedAt);
+  };
+
+  const handleBarcodeScanned = async ({ data }) => {
+    // Camera fires repeatedly while the code stays in frame
+    if (scanLock.current) return;
+    scanLock.current = true;
+
+    setVerifying(true);
+    try {
+      const result = await qrGeneratorService.verifyQRData(data);
+      setVerification(result.result || new QRVerificationResult({
+        isValid: false,
+        errorMessage: result.error
+      }));
+    } catch (error) {
+      console.error('QR scan verification error:', error);
+      setVerification(null);
+      scanLock.current = false;
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const handleScanAgain = () => {
+    setVerification(null);
+    scanLock.current = false;
+  };
+
+  if (!hasVerifierAccess()) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.centered}>
+          <Ionicons name="lock-closed" size={64} color="#FF3B30" />
+          <Text style={styles.title}>Access Restricted</Text>
+          <Text style={styles.message}>{ERROR_MESSAGES.VERIFIER_ACCESS_DENIED}</Text>
+          <TouchableOpacity style={styles.primaryButton} onPress={() => navigation.goBack()}>
+            <Text style={styles.primaryButtonText}>Go Back</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (!permission) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color="#007AFF" />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (!permission.granted) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.centered}>
+          <Ionicons name="camera-outline" size={64} color="#007AFF" />
+          <Text style={styles.title}>Camera Access Needed</Text>
+          <Text style={styles.message}>{ERROR_MESSAGES.CAMERA_PERMISSION_DENIED}</Text>
+          <TouchableOpacity style={styles.primaryButton} onPress={requestPermission}>
+            <Text style={styles.primaryButtonText}>Grant Permission</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (verification) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <ScrollView contentContainerStyle={styles.resultContainer}>
+          <QRVerificationCard result={verification} />
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={handleScanAgain}
+            accessibilityRole="button"
+            accessibilityLabel="Scan another QR code"
+          >
+            <Ionicons name="scan" size={20} color="#FFFFFF" />
+            <Text style={styles.primaryButtonText}>Scan Another</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.cameraContainer}>
+        <CameraView
+          style={StyleSheet.absoluteFillObject}
+          facing="back"
+          barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+          onBarcodeScanned={verifying ? undefined : handleBarcodeScanned}
+        />
+        <View style={styles.overlay} pointerEvents="none">
+          <View style={styles.scanFrame} />
+          <Text style={styles.overlayText}>
+            {verifying ? 'Verifying…' : 'Align the tourist QR code within the frame'}
+          </Text>
+          <Text style={styles.overlaySubtext}>
+            {revocationListDate
+              ? `Revocation list updated ${new Date(revocationListDate).toLocaleString()}`
+              : 'Revocation list not yet downloaded'}
+          </Text>
+        </View>
+      </View>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  message: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#007AFF',
+    paddingVertical: 14,
+    paddingHorizontal: 24,
+    borderRadius: 12,
+    marginTop: 20,
+    minHeight: 44,
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  resultContainer: {
+    padding: 20,
+  },
+  cameraContainer: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scanFrame: {
+    width: 250,
+    height: 250,
+    borderWidth: 3,
+    borderColor: '#FFFFFF',
+    borderRadius: 16,
+  },
+  overlayText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    marginTop: 24,
+    textAlign: 'center',
+    paddingHorizontal: 32,
+  },
+  overlaySubtext: {
+    color: '#DDDDDD',
+    fontSize: 12,
+    marginTop: 8,
+    textAlign: 'center',
+  },
+});
+
+export default QRVerifierScreen;
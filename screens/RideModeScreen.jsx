@@ -0,0 +1,533 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Switch,
+  Image,
+  Alert,
+} from 'react-native';
+import * as Location from 'expo-location';
+import * as ImagePicker from 'expo-image-picker';
+import { useAuth } from '../context/AuthContext';
+import { useLocation } from '../context/LocationContext';
+import { useSafety } from '../context/SafetyContext';
+import { calculateDistance, formatDistance } from '../utils/helpers';
+import { RIDE_ALERTS, RIDE_STATUS } from '../utils/constants';
+
+const ALERT_TITLES = {
+  [RIDE_ALERTS.ROUTE_DEVIATION]: 'Your ride has left the expected route',
+  [RIDE_ALERTS.MOVING_AWAY]: 'Your ride is moving away from your destination',
+  [RIDE_ALERTS.RESTRICTED_STOP]: 'Your ride has stopped in a restricted area'
+};
+
+// Taxi/ride mode. Opened from the dashboard, or from the map with the chosen
+// destination, or from anywhere while a ride is in progress
+const RideModeScreen = ({ navigation, route: screenRoute }) => {
+  const { profile } = useAuth();
+  const { currentLocation } = useLocation();
+  const { ride, startRide, dismissRideAlert, getRideHelp, endRide, emergencyContacts } = useSafety();
+  const contacts = profile?.emergencyContacts?.length ? profile.emergencyContacts : emergencyContacts;
+  const [plateNumber, setPlateNumber] = useState('');
+  const [driverName, setDriverName] = useState('');
+  const [photoUri, setPhotoUri] = useState(null);
+  const [destinationQuery, setDestinationQuery] = useState(screenRoute.params?.destination?.name || '');
+  const [destination, setDestination] = useState(screenRoute.params?.destination || null);
+  const [selectedContactIds, setSelectedContactIds] = useState(() => contacts.map(contact => contact.id));
+  const [starting, setStarting] = useState(false);
+
+  const toggleContact = (contactId) => {
+    setSelectedContactIds(ids => (
+      ids.includes(contactId) ? ids.filter(id => id !== contactId) : [...ids, contactId]
+    ));
+  };
+
+  const takePlatePhoto = async () => {
+    try {
+      const cameraPermission = await ImagePicker.requestCameraPermissionsAsync();
+      if (cameraPermission.granted === false) {
+        Alert.alert('Permission Required', 'Permission to access the camera is required to photograph the plate.');
+        return;
+      }
+
+      const result = await ImagePicker.launchCameraAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        quality: 0.6,
+      });
+      if (!result.canceled && result.assets[0]) {
+        setPhotoUri(result.assets[0].uri);
+      }
+    } catch (error) {
+      console.error('Error opening camera:', error);
+      Alert.alert('Error', 'Failed to open camera');
+    }
+  };
+
+  const findDestination = async () => {
+    const query = destinationQuery.trim();
+    if (!query) {
+      return;
+    }
+
+    try {
+      const [match] = await Location.geocodeAsync(query);
+      if (!match) {
+        Alert.alert('Ride Mode', 'No place found with that name.');
+        return;
+      }
+      setDestination({ name: query, latitude: match.latitude, longitude: match.longitude });
+    } catch (error) {
+      Alert.alert('Ride Mode', 'Place search is unavailable. Pick your destination on the map instead.');
+    }
+  };
+
+  const start = async () => {
+    setStarting(true);
+    const result = await startRide({
+      vehicle: { plateNumber, driverName, photoUri },
+      destination,
+      origin: currentLocation,
+      route: screenRoute.params?.route
+    }, profile, {
+      contacts: contacts.filter(contact => selectedContactIds.includes(contact.id))
+    });
+    setStarting(false);
+
+    if (!result.success) {
+      Alert.alert('Ride Mode', result.error);
+    } else if (result.sharingError) {
+      Alert.alert('Ride Mode', 'Ride mode has started, but your contacts could not be sent your ride details.');
+    }
+  };
+
+  const confirmGetHelp = () => {
+    Alert.alert('Alert your contacts?', 'They will receive your live location as an emergency.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Alert contacts', style: 'destructive', onPress: getRideHelp }
+    ]);
+  };
+
+  const confirmEndRide = () => {
+    Alert.alert('End ride?', 'Your contacts will stop receiving your ride.', [
+      { text: 'Keep going', style: 'cancel' },
+      {
+        text: 'End ride',
+        style: 'destructive',
+        onPress: async () => {
+          await endRide();
+          navigation.goBack();
+        }
+      }
+    ]);
+  };
+
+  const finish = async () => {
+    await endRide();
+    navigation.goBack();
+  };
+
+  if (!ride) {
+    const canStart = !starting && !!destination && selectedContactIds.length > 0 &&
+      (plateNumber.trim().length > 0 || !!photoUri);
+
+    return (
+      <ScrollView style={styles.container} contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Text style={styles.title}>Ride Mode</Text>
+        <Text style={styles.description}>
+          Before you set off, record the vehicle. Your contacts get the plate, driver and destination
+          with your live location, and we&apos;ll alert you if the ride leaves the expected route or stops
+          in a restricted area.
+        </Text>
+
+        <Text style={styles.sectionTitle}>Vehicle</Text>
+        <TextInput
+          style={styles.input}
+          value={plateNumber}
+          onChangeText={setPlateNumber}
+          placeholder="Plate number"
+          autoCapitalize="characters"
+          autoCorrect={false}
+          accessibilityLabel="Plate number"
+        />
+        <TextInput
+          style={styles.input}
+          value={driverName}
+          onChangeText={setDriverName}
+          placeholder="Driver name (optional)"
+          accessibilityLabel="Driver name"
+        />
+        <TouchableOpacity style={styles.secondaryButton} onPress={takePlatePhoto} accessibilityRole="button">
+          <Text style={styles.secondaryButtonText}>{photoUri ? 'Retake plate photo' : '📷 Photograph the plate'}</Text>
+        </TouchableOpacity>
+        {photoUri && <Image source={{ uri: photoUri }} style={styles.photo} accessibilityLabel="Plate photo" />}
+
+        <Text style={styles.sectionTitle}>Destination</Text>
+        <View style={styles.searchRow}>
+          <TextInput
+            style={[styles.input, styles.searchInput]}
+            value={destinationQuery}
+            onChangeText={(text) => {
+              setDestinationQuery(text);
+              setDestination(null);
+            }}
+            onSubmitEditing={findDestination}
+            placeholder="Where are you going?"
+            returnKeyType="search"
+            accessibilityLabel="Destination"
+          />
+          <TouchableOpacity style={styles.searchButton} onPress={findDestination} accessibilityRole="button">
+            <Text style={styles.primaryButtonText}>Find</Text>
+          </TouchableOpacity>
+        </View>
+        {destination && (
+          <Text style={styles.destinationFound}>
+            ✓ {destination.name || 'Destination set'}
+            {currentLocation
+              ? ` · ${formatDistance(calculateDistance(
+                currentLocation.latitude,
+                currentLocation.longitude,
+                destination.latitude,
+                destination.longitude
+              ))} away`
+              : ''}
+          </Text>
+        )}
+
+        <Text style={styles.sectionTitle}>Who can follow your ride</Text>
+        {contacts.length === 0 && (
+          <Text style={styles.description}>Add an emergency contact in your profile first.</Text>
+        )}
+        {contacts.map(contact => (
+          <View key={contact.id} style={styles.contactRow}>
+            <Text style={styles.contactName}>{contact.name}</Text>
+            <Switch
+              value={selectedContactIds.includes(contact.id)}
+              onValueChange={() => toggleContact(contact.id)}
+              accessibilityLabel={`Share ride with ${contact.name}`}
+            />
+          </View>
+        ))}
+
+        <TouchableOpacity
+          style={[styles.primaryButton, !canStart && styles.disabledButton]}
+          onPress={start}
+          disabled={!canStart}
+          accessibilityRole="button"
+        >
+          <Text style={styles.primaryButtonText}>{starting ? 'Starting...' : 'Start ride'}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    );
+  }
+
+  if (ride.status === RIDE_STATUS.ARRIVED) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.arrivedTitle}>🚕 You&apos;ve arrived</Text>
+        <Text style={styles.description}>
+          Ride mode has ended and your contacts have been told you got there.
+        </Text>
+        <TouchableOpacity style={styles.primaryButton} onPress={finish} accessibilityRole="button">
+          <Text style={styles.primaryButtonText}>Done</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {ride.alert && (
+        <View style={styles.alertCard} testID="ride-alert">
+          <Text style={styles.alertTitle}>{ALERT_TITLES[ride.alert.type]}</Text>
+          {ride.alert.zoneName && <Text style={styles.description}>{ride.alert.zoneName}</Text>}
+          <View style={styles.alertButtons}>
+            <TouchableOpacity
+              style={[styles.alertButton, styles.okButton]}
+              onPress={dismissRideAlert}
+              accessibilityRole="button"
+            >
+              <Text style={styles.primaryButtonText}>I&apos;m OK</Text>
+            </TouchableOpacity>
+            {ride.status === RIDE_STATUS.ACTIVE && (
+              <TouchableOpacity
+                style={[styles.alertButton, styles.helpButton]}
+                onPress={getRideHelp}
+                accessibilityRole="button"
+              >
+                <Text style={styles.primaryButtonText}>Alert contacts</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+      )}
+
+      {ride.status === RIDE_STATUS.ESCALATED && (
+        <View style={styles.escalatedCard}>
+          <Text style={styles.alertTitle}>🚨 Your contacts have been alerted</Text>
+          <Text style={styles.description}>
+            {ride.emergencySessionId
+              ? 'They are receiving your live location.'
+              : 'Emergency location sharing could not start. Call for help if you can.'}
+          </Text>
+        </View>
+      )}
+
+      <View style={styles.vehicleCard}>
+        <Text style={styles.plate}>{ride.vehicle.plateNumber || 'Plate photographed'}</Text>
+        {ride.vehicle.driverName && <Text style={styles.vehicleText}>Driver: {ride.vehicle.driverName}</Text>}
+        <Text style={styles.vehicleText}>To {ride.destination.name || 'your destination'}</Text>
+        {ride.vehicle.photoUri && <Image source={{ uri: ride.vehicle.photoUri }} style={styles.photo} />}
+      </View>
+
+      {ride.distanceRemaining !== null && (
+        <View style={styles.statsRow}>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>{formatDistance(ride.distanceRemaining / 1000)}</Text>
+            <Text style={styles.statLabel}>to destination</Text>
+          </View>
+        </View>
+      )}
+
+      {ride.offRoute && !ride.alert && (
+        <Text style={styles.offRoute}>The ride is off the expected route</Text>
+      )}
+
+      <Text style={styles.sharingText}>
+        {ride.sharingSessionId
+          ? `Shared with ${ride.contacts.map(contact => contact.name).join(', ')}`
+          : 'Your ride is not being shared'}
+      </Text>
+
+      {ride.status === RIDE_STATUS.ACTIVE && !ride.alert && (
+        <TouchableOpacity style={[styles.primaryButton, styles.helpButton]} onPress={confirmGetHelp} accessibilityRole="button">
+          <Text style={styles.primaryButtonText}>I feel unsafe</Text>
+        </TouchableOpacity>
+      )}
+
+      <TouchableOpacity style={styles.endButton} onPress={confirmEndRide} accessibilityRole="button">
+        <Text style={styles.endButtonText}>End ride</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  content: {
+    padding: 16,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+    backgroundColor: '#F8F9FA',
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    marginBottom: 8,
+  },
+  searchRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  searchInput: {
+    flex: 1,
+  },
+  searchButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    justifyContent: 'center',
+    marginBottom: 8,
+  },
+  destinationFound: {
+    fontSize: 14,
+    color: '#34C759',
+    marginBottom: 8,
+  },
+  photo: {
+    width: '100%',
+    height: 160,
+    borderRadius: 8,
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  contactRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  contactName: {
+    fontSize: 15,
+    color: '#333',
+  },
+  primaryButton: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 14,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  secondaryButtonText: {
+    color: '#007AFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  arrivedTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#34C759',
+    marginBottom: 8,
+  },
+  alertCard: {
+    backgroundColor: '#FFF4E5',
+    borderColor: '#FF9500',
+    borderWidth: 2,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  escalatedCard: {
+    backgroundColor: '#FFEBEE',
+    borderColor: '#FF3B30',
+    borderWidth: 2,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  alertTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  alertButtons: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 12,
+  },
+  alertButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  okButton: {
+    backgroundColor: '#34C759',
+  },
+  helpButton: {
+    backgroundColor: '#FF3B30',
+  },
+  vehicleCard: {
+    backgroundColor: '#007AFF',
+    borderRadius: 12,
+    padding: 20,
+  },
+  plate: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#fff',
+    letterSpacing: 2,
+  },
+  vehicleText: {
+    fontSize: 16,
+    color: '#E3F2FD',
+    marginTop: 4,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 12,
+  },
+  stat: {
+    flex: 1,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  statLabel: {
+    fontSize: 13,
+    color: '#666',
+  },
+  offRoute: {
+    fontSize: 14,
+    color: '#FF9500',
+    fontWeight: '600',
+    marginTop: 12,
+  },
+  sharingText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 16,
+  },
+  endButton: {
+    marginTop: 24,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  endButtonText: {
+    color: '#FF3B30',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default RideModeScreen;
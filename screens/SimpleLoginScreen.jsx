@@ -157,7 +157,7 @@ const SimpleLoginScreen = ({ navigation }) => {
               {/* Footer */}
               <View style={styles.footer}>
                 <Text style={styles.footerText}>
-                  Don't have an account?{' '}
+                  Don&apos;t have an account?{' '}
                   <Text 
                     style={styles.footerLink} 
                     onPress={() => navigation.navigate('Register')}
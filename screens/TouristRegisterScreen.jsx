@@ -12,6 +12,7 @@ import {
 } from 'react-native';
 import { Picker } from '@react-native-picker/picker';
 import { registerTouristUser } from '../utils/firebaseHelpers';
+import { medicalProfileService } from '../services/emergency/medicalProfileService';
 import { validateTouristRegistration, getDefaultTouristData } from '../utils/touristValidation';
 import { SUPPORTED_LANGUAGES } from '../utils/constants';
 import LoadingIndicator from '../components/LoadingIndicator';
@@ -142,7 +143,9 @@ const TouristRegisterScreen = ({ navigation }) => {
 
     setLoading(true);
     try {
-      await registerTouristUser(formData);
+      const { user } = await registerTouristUser(formData);
+      // Medical details are kept encrypted on the device rather than in the profile document
+      await medicalProfileService.saveProfile(user.uid, formData.medicalInfo);
       Alert.alert(
         'Registration Successful',
         'Your account has been created successfully. You can now use the app.',
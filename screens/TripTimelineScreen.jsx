@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  SectionList,
+  Share,
+  Platform,
+  Alert,
+} from 'react-native';
+import { tripHistoryService } from '../services/location/tripHistoryService';
+import { formatDate, formatDistance } from '../utils/helpers';
+import { TRIP_SEGMENT_TYPES } from '../utils/constants';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const RANGES = [
+  { key: 'today', label: 'Today', days: 1 },
+  { key: 'week', label: '7 days', days: 7 },
+  { key: 'all', label: 'All', days: null }
+];
+
+const formatDuration = (milliseconds) => {
+  const minutes = Math.max(1, Math.round(milliseconds / 60000));
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+// Newest-first segments to one section per day
+const groupByDay = (segments) => segments.reduce((sections, segment) => {
+  const title = formatDate(segment.startTime, 'long');
+  const last = sections[sections.length - 1];
+  if (last && last.title === title) {
+    last.data.push(segment);
+  } else {
+    sections.push({ title, data: [segment] });
+  }
+  return sections;
+}, []);
+
+// Recorded trips and stays, with export to GPX or GeoJSON for police or insurers
+const TripTimelineScreen = () => {
+  const [range, setRange] = useState(RANGES[1]);
+  const [segments, setSegments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+
+  const getRange = useCallback(() => {
+    if (!range.days) return {};
+    const startOfToday = new Date().setHours(0, 0, 0, 0);
+    return { from: startOfToday - (range.days - 1) * DAY };
+  }, [range]);
+
+  const loadTimeline = useCallback(async () => {
+    const result = await tripHistoryService.getTimeline(getRange());
+    setSegments(result.segments);
+    setLoading(false);
+  }, [getRange]);
+
+  useEffect(() => {
+    loadTimeline();
+    return tripHistoryService.subscribe(loadTimeline);
+  }, [loadTimeline]);
+
+  const exportTimeline = async (format) => {
+    setExporting(true);
+    const result = await tripHistoryService.exportTimeline(format, getRange());
+    setExporting(false);
+
+    if (!result.success) {
+      Alert.alert('Export', result.error);
+      return;
+    }
+
+    try {
+      // Android shares text only; iOS can attach the file itself
+      await Share.share(
+        Platform.OS === 'ios'
+          ? { url: result.uri }
+          : { title: 'Trip history', message: result.content }
+      );
+    } catch (error) {
+      console.error('Error sharing trip history:', error);
+    }
+  };
+
+  const renderSegment = ({ item }) => {
+    const isTrip = item.type === TRIP_SEGMENT_TYPES.TRIP;
+    return (
+      <View style={styles.segment}>
+        <Text style={styles.segmentIcon}>{isTrip ? '🚶' : '📍'}</Text>
+        <View style={styles.segmentContent}>
+          <Text style={styles.segmentTitle}>
+            {isTrip ? `Trip · ${formatDistance(item.distance / 1000)}` : 'Stay'}
+            {item.inProgress ? ' · now' : ''}
+          </Text>
+          <Text style={styles.segmentTime}>
+            {formatDate(item.startTime, 'time')} – {formatDate(item.endTime, 'time')}
+            {' · '}
+            {formatDuration(item.endTime - item.startTime)}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.ranges}>
+        {RANGES.map(option => (
+          <TouchableOpacity
+            key={option.key}
+            style={[styles.range, range.key === option.key && styles.rangeSelected]}
+            onPress={() => setRange(option)}
+            accessibilityRole="button"
+            accessibilityState={{ selected: range.key === option.key }}
+          >
+            <Text style={[styles.rangeText, range.key === option.key && styles.rangeTextSelected]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <SectionList
+        sections={groupByDay(segments)}
+        keyExtractor={item => item.id}
+        renderItem={renderSegment}
+        renderSectionHeader={({ section }) => <Text style={styles.day}>{section.title}</Text>}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={
+          <Text style={styles.empty}>
+            {loading ? 'Loading...' : 'No trips recorded in this period.'}
+          </Text>
+        }
+      />
+
+      <View style={styles.exportRow}>
+        {[['gpx', 'Export GPX'], ['geojson', 'Export GeoJSON']].map(([format, label]) => (
+          <TouchableOpacity
+            key={format}
+            style={[styles.exportButton, (exporting || segments.length === 0) && styles.disabledButton]}
+            onPress={() => exportTimeline(format)}
+            disabled={exporting || segments.length === 0}
+            accessibilityRole="button"
+          >
+            <Text style={styles.exportButtonText}>{label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  ranges: {
+    flexDirection: 'row',
+    gap: 8,
+    padding: 16,
+    paddingBottom: 8,
+  },
+  range: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  rangeSelected: {
+    backgroundColor: '#007AFF',
+  },
+  rangeText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  rangeTextSelected: {
+    color: '#fff',
+  },
+  list: {
+    paddingHorizontal: 16,
+    paddingBottom: 16,
+  },
+  day: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  segment: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  segmentIcon: {
+    fontSize: 22,
+    marginRight: 12,
+  },
+  segmentContent: {
+    flex: 1,
+  },
+  segmentTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  segmentTime: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  empty: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 32,
+  },
+  exportRow: {
+    flexDirection: 'row',
+    gap: 12,
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    backgroundColor: '#fff',
+  },
+  exportButton: {
+    flex: 1,
+    backgroundColor: '#007AFF',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  exportButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
+
+export default TripTimelineScreen;
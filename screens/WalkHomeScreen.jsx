@@ -0,0 +1,397 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Switch,
+  Alert,
+} from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import { useSafety } from '../context/SafetyContext';
+import { walkHomeService } from '../services/location/walkHomeService';
+import { formatDistance } from '../utils/helpers';
+import { WALK_HOME_ALERTS, WALK_HOME_STATUS } from '../utils/constants';
+
+const ALERT_TITLES = {
+  [WALK_HOME_ALERTS.DEVIATION]: "You've left your route",
+  [WALK_HOME_ALERTS.STOPPED]: "You haven't moved for a while",
+  [WALK_HOME_ALERTS.RESTRICTED_ZONE]: "You've entered a restricted area"
+};
+
+const formatMinutes = (seconds) => `${Math.max(1, Math.round(seconds / 60))} min`;
+
+// Guided walk along a planned route. Opened from the map with the chosen route,
+// or from anywhere while a walk is in progress
+const WalkHomeScreen = ({ navigation, route: screenRoute }) => {
+  const { profile } = useAuth();
+  const { walk, startWalkHome, respondToWalkPrompt, endWalkHome, emergencyContacts } = useSafety();
+  const { route, destination } = screenRoute.params || {};
+  const contacts = profile?.emergencyContacts?.length ? profile.emergencyContacts : emergencyContacts;
+  const [selectedContactIds, setSelectedContactIds] = useState(() => contacts.map(contact => contact.id));
+  const [starting, setStarting] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (walk?.status !== WALK_HOME_STATUS.AWAITING_RESPONSE) return undefined;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [walk?.status, walk?.alert?.raisedAt]);
+
+  const toggleContact = (contactId) => {
+    setSelectedContactIds(ids => (
+      ids.includes(contactId) ? ids.filter(id => id !== contactId) : [...ids, contactId]
+    ));
+  };
+
+  const startWalk = async () => {
+    setStarting(true);
+    const result = await startWalkHome(route, destination, profile, {
+      contacts: contacts.filter(contact => selectedContactIds.includes(contact.id))
+    });
+    setStarting(false);
+
+    if (!result.success) {
+      Alert.alert('Walk Me Home', result.error);
+    } else if (result.sharingError) {
+      Alert.alert('Walk Me Home', 'Guidance has started, but your contacts could not be sent your progress.');
+    }
+  };
+
+  const confirmEndWalk = () => {
+    Alert.alert('End walk?', 'Your contacts will stop receiving your progress.', [
+      { text: 'Keep going', style: 'cancel' },
+      {
+        text: 'End walk',
+        style: 'destructive',
+        onPress: async () => {
+          await endWalkHome();
+          navigation.goBack();
+        }
+      }
+    ]);
+  };
+
+  const finish = async () => {
+    await endWalkHome();
+    navigation.goBack();
+  };
+
+  if (!walk) {
+    if (!route) {
+      return (
+        <View style={styles.centered}>
+          <Text style={styles.description}>Plan a route on the map to start a guided walk.</Text>
+        </View>
+      );
+    }
+
+    return (
+      <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+        <Text style={styles.title}>Walk Me Home</Text>
+        <Text style={styles.description}>
+          {destination?.name ? `To ${destination.name}: ` : ''}
+          {formatDistance(route.distance / 1000)}, about {formatMinutes(route.duration)}.
+          We&apos;ll guide you turn by turn and ask if you&apos;re OK if you leave the route, stop for a while
+          or enter a restricted area. If you don&apos;t answer, your contacts get your live location.
+        </Text>
+
+        <Text style={styles.sectionTitle}>Who can follow your walk</Text>
+        {contacts.length === 0 && (
+          <Text style={styles.description}>Add an emergency contact in your profile first.</Text>
+        )}
+        {contacts.map(contact => (
+          <View key={contact.id} style={styles.contactRow}>
+            <Text style={styles.contactName}>{contact.name}</Text>
+            <Switch
+              value={selectedContactIds.includes(contact.id)}
+              onValueChange={() => toggleContact(contact.id)}
+              accessibilityLabel={`Share walk with ${contact.name}`}
+            />
+          </View>
+        ))}
+
+        <TouchableOpacity
+          style={[styles.primaryButton, (starting || selectedContactIds.length === 0) && styles.disabledButton]}
+          onPress={startWalk}
+          disabled={starting || selectedContactIds.length === 0}
+          accessibilityRole="button"
+        >
+          <Text style={styles.primaryButtonText}>{starting ? 'Starting...' : 'Start walk'}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    );
+  }
+
+  if (walk.status === WALK_HOME_STATUS.ARRIVED) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.arrivedTitle}>🏠 You&apos;ve arrived</Text>
+        <Text style={styles.description}>Your contacts have been told you got there safely.</Text>
+        <TouchableOpacity style={styles.primaryButton} onPress={finish} accessibilityRole="button">
+          <Text style={styles.primaryButtonText}>Done</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const progress = walk.progress;
+  const secondsToRespond = walkHomeService.getSecondsToRespond(walk, now);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {walk.status === WALK_HOME_STATUS.AWAITING_RESPONSE && (
+        <View style={styles.promptCard} testID="walk-home-prompt">
+          <Text style={styles.promptTitle}>{ALERT_TITLES[walk.alert.type]}</Text>
+          <Text style={styles.promptText}>Are you OK?</Text>
+          <Text style={styles.promptCountdown}>
+            Your contacts will be alerted in {secondsToRespond}s
+          </Text>
+          <View style={styles.promptButtons}>
+            <TouchableOpacity
+              style={[styles.promptButton, styles.okButton]}
+              onPress={() => respondToWalkPrompt(true)}
+              accessibilityRole="button"
+            >
+              <Text style={styles.primaryButtonText}>I&apos;m OK</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.promptButton, styles.helpButton]}
+              onPress={() => respondToWalkPrompt(false)}
+              accessibilityRole="button"
+            >
+              <Text style={styles.primaryButtonText}>I need help</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      {walk.status === WALK_HOME_STATUS.ESCALATED && (
+        <View style={styles.escalatedCard}>
+          <Text style={styles.promptTitle}>🚨 Your contacts have been alerted</Text>
+          <Text style={styles.description}>
+            {walk.emergencySessionId
+              ? 'They are receiving your live location.'
+              : 'Emergency location sharing could not start. Call for help if you can.'}
+          </Text>
+        </View>
+      )}
+
+      <View style={styles.instructionCard}>
+        <Text style={styles.instruction}>
+          {progress ? progress.instruction : 'Waiting for your location...'}
+        </Text>
+        {progress && progress.distanceToNextStep > 0 && (
+          <Text style={styles.instructionDistance}>in {formatDistance(progress.distanceToNextStep / 1000)}</Text>
+        )}
+      </View>
+
+      {progress && (
+        <View style={styles.statsRow}>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>{formatDistance(progress.distanceRemaining / 1000)}</Text>
+            <Text style={styles.statLabel}>left</Text>
+          </View>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>{formatMinutes(progress.etaSeconds)}</Text>
+            <Text style={styles.statLabel}>to go</Text>
+          </View>
+        </View>
+      )}
+
+      {walk.offRoute && (
+        <Text style={styles.offRoute}>You are {formatDistance(progress.distanceFromRoute / 1000)} off your route</Text>
+      )}
+
+      <Text style={styles.sharingText}>
+        {walk.sharingSessionId
+          ? `Shared with ${walk.contacts.map(contact => contact.name).join(', ')}`
+          : 'Your progress is not being shared'}
+      </Text>
+
+      <TouchableOpacity style={styles.endButton} onPress={confirmEndWalk} accessibilityRole="button">
+        <Text style={styles.endButtonText}>End walk</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  content: {
+    padding: 16,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+    backgroundColor: '#F8F9FA',
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  contactRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  contactName: {
+    fontSize: 15,
+    color: '#333',
+  },
+  primaryButton: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 14,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  arrivedTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#34C759',
+    marginBottom: 8,
+  },
+  promptCard: {
+    backgroundColor: '#FFF4E5',
+    borderColor: '#FF9500',
+    borderWidth: 2,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  escalatedCard: {
+    backgroundColor: '#FFEBEE',
+    borderColor: '#FF3B30',
+    borderWidth: 2,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  promptTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  promptText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  promptCountdown: {
+    fontSize: 14,
+    color: '#FF3B30',
+    marginTop: 4,
+  },
+  promptButtons: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 12,
+  },
+  promptButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  okButton: {
+    backgroundColor: '#34C759',
+  },
+  helpButton: {
+    backgroundColor: '#FF3B30',
+  },
+  instructionCard: {
+    backgroundColor: '#007AFF',
+    borderRadius: 12,
+    padding: 20,
+  },
+  instruction: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  instructionDistance: {
+    fontSize: 16,
+    color: '#E3F2FD',
+    marginTop: 4,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 12,
+  },
+  stat: {
+    flex: 1,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  statLabel: {
+    fontSize: 13,
+    color: '#666',
+  },
+  offRoute: {
+    fontSize: 14,
+    color: '#FF9500',
+    fontWeight: '600',
+    marginTop: 12,
+  },
+  sharingText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 16,
+  },
+  endButton: {
+    marginTop: 24,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  endButtonText: {
+    color: '#FF3B30',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default WalkHomeScreen;
@@ -15,64 +15,97 @@ import { useLocation } from '../../context/LocationContext';
 import { useAuth } from '../../context/AuthContext';
 import PanicButton from '../../components/safety/PanicButton';
 import EmergencyContacts from '../../components/safety/EmergencyContacts';
+import EscalationStatus from '../../components/safety/EscalationStatus';
+import CheckInCard from '../../components/safety/CheckInCard';
+import EmbassyCard from '../../components/safety/EmbassyCard';
 import { emergencyAlertService } from '../../services/emergency/alertService';
-import { EMERGENCY_NUMBERS } from '../../utils/constants';
+import { emergencyNumberService } from '../../services/emergency/emergencyNumberService';
+import { CHECK_IN_STATUS, ESCALATION_STAGES } from '../../utils/constants';
+
+const SERVICE_DETAILS = {
+  police: {
+    icon: '🚔',
+    color: '#007AFF',
+    description: 'For crimes, accidents, and immediate danger'
+  },
+  ambulance: {
+    icon: '🚑',
+    color: '#FF3B30',
+    description: 'For medical emergencies and ambulance'
+  },
+  fire: {
+    icon: '🚒',
+    color: '#FF9500',
+    description: 'For fires and rescue operations'
+  },
+  touristPolice: {
+    icon: '🏛️',
+    color: '#34C759',
+    description: 'For tourist-related assistance and information'
+  },
+  womenHelpline: {
+    icon: '👩',
+    color: '#AF52DE',
+    description: 'For women in distress and safety issues'
+  },
+  childHelpline: {
+    icon: '👶',
+    color: '#FF2D92',
+    description: 'For child safety and protection'
+  }
+};
+
+const describeResolution = (entry) => {
+  const place = entry.regionName ? `${entry.regionName}, ${entry.countryName}` : entry.countryName;
+  if (!entry.inDirectory) {
+    return `Numbers for ${entry.countryCode} are not bundled yet; 112 reaches local services on most mobile networks`;
+  }
+  if (!entry.resolvedBy) {
+    return `Showing ${place} numbers until your location is known`;
+  }
+  return entry.resolvedBy === 'boundary'
+    ? `Local numbers for ${place} (estimated offline from your position)`
+    : `Local numbers for ${place}`;
+};
 
 const EmergencyScreen = ({ navigation }) => {
   const { profile } = useAuth();
-  const { panicMode, isEmergencyActive, deactivatePanicMode } = useSafety();
-  const { currentLocation } = useLocation();
+  const {
+    panicMode,
+    isEmergencyActive,
+    escalation,
+    deliveryStatus,
+    evidenceStatus,
+    deactivatePanicMode,
+    acknowledgeEscalation,
+    acknowledgeReplyCode,
+    checkIn,
+    startCheckIn,
+    confirmCheckIn,
+    extendCheckIn,
+    cancelCheckIn
+  } = useSafety();
+  const { currentLocation, emergencyNumbers } = useLocation();
+  const consularHotline = emergencyNumberService.getConsularHotline(profile?.nationality);
   const [selectedTemplate, setSelectedTemplate] = useState('custom');
 
   const emergencyServices = [
-    {
-      id: 'police',
-      name: 'Police',
-      number: EMERGENCY_NUMBERS.POLICE,
-      icon: '🚔',
-      color: '#007AFF',
-      description: 'For crimes, accidents, and immediate danger'
-    },
-    {
-      id: 'medical',
-      name: 'Medical Emergency',
-      number: EMERGENCY_NUMBERS.MEDICAL,
-      icon: '🚑',
-      color: '#FF3B30',
-      description: 'For medical emergencies and ambulance'
-    },
-    {
-      id: 'fire',
-      name: 'Fire Department',
-      number: EMERGENCY_NUMBERS.FIRE,
-      icon: '🚒',
-      color: '#FF9500',
-      description: 'For fires and rescue operations'
-    },
-    {
-      id: 'tourist',
-      name: 'Tourist Helpline',
-      number: EMERGENCY_NUMBERS.TOURIST_HELPLINE,
-      icon: '🏛️',
-      color: '#34C759',
-      description: 'For tourist-related assistance and information'
-    },
-    {
-      id: 'women',
-      name: 'Women Helpline',
-      number: EMERGENCY_NUMBERS.WOMEN_HELPLINE,
-      icon: '👩',
-      color: '#AF52DE',
-      description: 'For women in distress and safety issues'
-    },
-    {
-      id: 'child',
-      name: 'Child Helpline',
-      number: EMERGENCY_NUMBERS.CHILD_HELPLINE,
-      icon: '👶',
-      color: '#FF2D92',
-      description: 'For child safety and protection'
-    }
+    ...Object.keys(SERVICE_DETAILS)
+      .filter(key => emergencyNumbers.numbers[key])
+      .map(key => ({
+        id: key,
+        name: emergencyNumberService.getLabel(key),
+        number: emergencyNumbers.numbers[key],
+        ...SERVICE_DETAILS[key]
+      })),
+    ...(consularHotline ? [{
+      id: 'consular',
+      name: 'Consular Emergency Line',
+      number: consularHotline.number,
+      icon: '🛂',
+      color: '#5856D6',
+      description: `${consularHotline.service}, reachable 24/7 from abroad`
+    }] : [])
   ];
 
   const messageTemplates = emergencyAlertService.getMessageTemplates();
@@ -191,6 +224,72 @@ const EmergencyScreen = ({ navigation }) => {
     );
   };
 
+  const handleAcknowledgeEscalation = () => {
+    Alert.alert(
+      'Contact Responded',
+      'Stop escalating this alert? Your contacts will not be alerted again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Stop Escalation', onPress: () => acknowledgeEscalation() }
+      ]
+    );
+  };
+
+  const handleReplyCode = async (code) => {
+    const result = await acknowledgeReplyCode(code);
+    if (!result.success) {
+      Alert.alert('Reply Code', result.error || 'Reply code does not match any contact');
+    }
+    return result;
+  };
+
+  const handleStartCheckIn = async (durationMinutes, label) => {
+    const result = await startCheckIn(durationMinutes, profile, { label });
+    if (!result.success) {
+      Alert.alert('Safety Check-in', result.error || 'Failed to start check-in');
+    }
+  };
+
+  const handleConfirmCheckIn = async () => {
+    const result = await confirmCheckIn();
+    if (result.success) {
+      Alert.alert('Checked In', 'Glad you are safe. Your check-in has been stopped.');
+    }
+  };
+
+  const handleCancelCheckIn = () => {
+    if (checkIn?.status === CHECK_IN_STATUS.ALERTED) {
+      cancelCheckIn();
+      return;
+    }
+
+    Alert.alert(
+      'Cancel Check-in',
+      'Your contacts will not be alerted if you stop the check-in. Cancel it?',
+      [
+        { text: 'Keep', style: 'cancel' },
+        { text: 'Cancel Check-in', style: 'destructive', onPress: () => cancelCheckIn() }
+      ]
+    );
+  };
+
+  const getEscalationSubtitle = () => {
+    switch (escalation?.stage) {
+      case ESCALATION_STAGES.PRIMARY_ALERTED:
+        return 'Your primary contact has been notified';
+      case ESCALATION_STAGES.ALL_CONTACTS_ALERTED:
+        return 'All your emergency contacts have been notified';
+      case ESCALATION_STAGES.CALL_PROMPTED:
+        return 'No response yet - call for help now';
+      case ESCALATION_STAGES.ACKNOWLEDGED:
+        return escalation.acknowledgedBy?.name
+          ? `${escalation.acknowledgedBy.name} has seen your alert`
+          : 'A contact has acknowledged your alert';
+      default:
+        return 'Your emergency contacts have been notified';
+    }
+  };
+
   const renderEmergencyService = (service) => (
     <TouchableOpacity
       key={service.id}
@@ -250,8 +349,13 @@ const EmergencyScreen = ({ navigation }) => {
           <View style={styles.emergencyHeader}>
             <Text style={styles.emergencyTitle}>🚨 EMERGENCY ACTIVE</Text>
             <Text style={styles.emergencySubtitle}>
-              Your emergency contacts have been notified
+              {getEscalationSubtitle()}
             </Text>
+            {evidenceStatus?.capturing && (
+              <Text style={styles.evidenceText}>
+                ● Recording evidence · {evidenceStatus.uploaded}/{evidenceStatus.count} saved securely
+              </Text>
+            )}
             <TouchableOpacity
               style={styles.deactivateButton}
               onPress={handleDeactivateEmergency}
@@ -261,6 +365,17 @@ const EmergencyScreen = ({ navigation }) => {
           </View>
         )}
 
+        {/* Escalation Progress */}
+        {panicMode && (
+          <EscalationStatus
+            escalation={escalation}
+            deliveries={deliveryStatus[escalation?.emergencyId]?.contacts}
+            onAcknowledge={handleAcknowledgeEscalation}
+            onCall={(number, name) => makeEmergencyCall(number, name)}
+            onReplyCode={handleReplyCode}
+          />
+        )}
+
         {/* Panic Button Section */}
         <View style={styles.panicSection}>
           <Text style={styles.sectionTitle}>Emergency Panic Button</Text>
@@ -270,15 +385,46 @@ const EmergencyScreen = ({ navigation }) => {
           <PanicButton size="large" style={styles.panicButton} />
         </View>
 
+        {/* Safety Check-in */}
+        <CheckInCard
+          checkIn={checkIn}
+          onStart={handleStartCheckIn}
+          onConfirm={handleConfirmCheckIn}
+          onExtend={(minutes) => extendCheckIn(minutes)}
+          onCancel={handleCancelCheckIn}
+        />
+
         {/* Emergency Services Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Emergency Services</Text>
           <Text style={styles.sectionDescription}>
-            Quick access to local emergency numbers
+            {describeResolution(emergencyNumbers)}
           </Text>
           {emergencyServices.map(renderEmergencyService)}
         </View>
 
+        {/* Nearest embassy or consulate; the consular line is listed with the services above */}
+        <EmbassyCard
+          nationality={profile?.nationality}
+          location={currentLocation}
+          showHotline={false}
+          onEditProfile={() => navigation.navigate('Profile')}
+        />
+
+        {/* Medical ID for responders */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Medical ID</Text>
+          <Text style={styles.sectionDescription}>
+            Show responders your blood group, allergies, medications and conditions
+          </Text>
+          <TouchableOpacity
+            style={styles.medicalIdButton}
+            onPress={() => navigation.navigate('MedicalID')}
+          >
+            <Text style={styles.sendAlertButtonText}>✚ Show Medical ID</Text>
+          </TouchableOpacity>
+        </View>
+
         {/* Custom Alert Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Send Custom Alert</Text>
@@ -370,6 +516,11 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 15,
   },
+  evidenceText: {
+    fontSize: 13,
+    color: '#fff',
+    marginBottom: 15,
+  },
   deactivateButton: {
     backgroundColor: 'rgba(255, 255, 255, 0.2)',
     paddingHorizontal: 20,
@@ -493,6 +644,12 @@ const styles = StyleSheet.create({
     padding: 15,
     alignItems: 'center',
   },
+  medicalIdButton: {
+    backgroundColor: '#D70015',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+  },
   sendAlertButtonText: {
     color: '#fff',
     fontSize: 16,
@@ -8,14 +8,24 @@ import {
   Modal,
   ScrollView,
   ActivityIndicator,
-  Dimensions
+  Dimensions,
+  TextInput
 } from 'react-native';
+import * as Location from 'expo-location';
 // Removed maps import to prevent TurboModule errors in Expo Go
 import { Ionicons } from '@expo/vector-icons';
 import { useLocation } from '../../context/LocationContext';
+import { useAuth } from '../../context/AuthContext';
 import { useTheme } from '../../context/ThemeContext';
 import { safetyZonesService } from '../../services/location/safetyZones';
 import { geoFencingService } from '../../services/location/geoFencing';
+import EmbassyCard from '../../components/safety/EmbassyCard';
+import RouteComparison from '../../components/safety/RouteComparison';
+import OfflineMapCard from '../../components/safety/OfflineMapCard';
+import { mapTileStore } from '../../services/offline/mapTileStore';
+import { getZoneCenter } from '../../utils/geofence';
+import { regionAround, zoomRange } from '../../utils/mapTiles';
+import { MAP_TILE_CONFIG } from '../../utils/constants';
 
 const { width, height } = Dimensions.get('window');
 
@@ -26,9 +36,12 @@ const MapScreen = ({ navigation }) => {
     safetyZones,
     getCurrentLocation,
     calculateRouteSafety,
+    planRoutes,
+    saveAreaForOfflineRoutes,
     loading 
   } = useLocation();
   
+  const { profile } = useAuth();
   const { theme, colors } = useTheme();
   const mapRef = useRef(null);
   
@@ -39,6 +52,12 @@ const MapScreen = ({ navigation }) => {
   const [routeSafety, setRouteSafety] = useState(null);
   const [isRoutePlanning, setIsRoutePlanning] = useState(false);
   const [mapType, setMapType] = useState('standard');
+  const [destinationQuery, setDestinationQuery] = useState('');
+  const [routePlan, setRoutePlan] = useState(null);
+  const [selectedRoute, setSelectedRoute] = useState('safest');
+  const [routeDestination, setRouteDestination] = useState(null);
+  const [planningRoute, setPlanningRoute] = useState(false);
+  const [savingArea, setSavingArea] = useState(false);
 
   // Safety zone colors based on safety level
   const getSafetyZoneColor = (safetyLevel) => {
@@ -86,6 +105,18 @@ const MapScreen = ({ navigation }) => {
     }
   }, [currentLocation, mapReady]);
 
+  // Offline tiles around the user are in use, so they are the last to be evicted
+  const touchLatitude = currentLocation?.latitude.toFixed(3);
+  const touchLongitude = currentLocation?.longitude.toFixed(3);
+  useEffect(() => {
+    if (!currentLocation) return;
+
+    mapTileStore.touchRegion(
+      regionAround(currentLocation, MAP_TILE_CONFIG.AREA_RADIUS_OPTIONS_KM[0]),
+      zoomRange(MAP_TILE_CONFIG.MIN_ZOOM, MAP_TILE_CONFIG.MAX_ZOOM)
+    );
+  }, [touchLatitude, touchLongitude]);
+
   const handleZonePress = async (zone) => {
     setSelectedZone(zone);
     
@@ -131,9 +162,65 @@ const MapScreen = ({ navigation }) => {
     }
   };
 
+  // Fastest and safest walking routes from the current location
+  const planRouteTo = async (destination, name = null) => {
+    setPlanningRoute(true);
+    const result = await planRoutes(destination);
+    setPlanningRoute(false);
+
+    if (!result.success) {
+      Alert.alert('Route Planning', result.error);
+      return;
+    }
+    setRoutePlan(result);
+    setSelectedRoute('safest');
+    setRouteDestination({ ...destination, name });
+  };
+
+  const searchDestination = async () => {
+    const query = destinationQuery.trim();
+    if (!query) {
+      return;
+    }
+
+    try {
+      const [match] = await Location.geocodeAsync(query);
+      if (!match) {
+        Alert.alert('Route Planning', 'No place found with that name.');
+        return;
+      }
+      await planRouteTo({ latitude: match.latitude, longitude: match.longitude }, query);
+    } catch (error) {
+      // Place search needs a connection; safety zones still work as destinations offline
+      Alert.alert('Route Planning', 'Place search is unavailable. Pick a safety zone as your destination instead.');
+    }
+  };
+
+  const handleRouteToZone = (zone) => {
+    setShowZoneDetails(false);
+    setIsRoutePlanning(true);
+    planRouteTo(getZoneCenter(zone), zone.name);
+  };
+
+  const saveAreaOffline = async () => {
+    setSavingArea(true);
+    const result = await saveAreaForOfflineRoutes();
+    setSavingArea(false);
+
+    Alert.alert(
+      'Offline Routes',
+      result.success
+        ? 'Roads around you are saved. Routes here can be planned without a connection.'
+        : result.error
+    );
+  };
+
   const clearRoute = () => {
     setRoutePoints([]);
     setRouteSafety(null);
+    setRoutePlan(null);
+    setRouteDestination(null);
+    setDestinationQuery('');
   };
 
   const toggleRoutePlanning = () => {
@@ -212,6 +299,18 @@ const MapScreen = ({ navigation }) => {
     return null;
   };
 
+  // Downloaded areas drawn from the device, under the zones and route
+  const renderOfflineTiles = () => {
+    // return (
+    //   <LocalTile
+    //     pathTemplate={mapTileStore.getPathTemplate()}
+    //     tileSize={MAP_TILE_CONFIG.TILE_SIZE}
+    //     zIndex={-1}
+    //   />
+    // );
+    return null;
+  };
+
   const renderZoneDetailsModal = () => (
     <Modal
       visible={showZoneDetails}
@@ -298,6 +397,16 @@ const MapScreen = ({ navigation }) => {
                 </View>
               )}
 
+              {getZoneCenter(selectedZone) && (
+                <TouchableOpacity
+                  style={[styles.routeHereButton, { backgroundColor: colors.primary }]}
+                  onPress={() => handleRouteToZone(selectedZone)}
+                >
+                  <Ionicons name="navigate" size={18} color="white" />
+                  <Text style={styles.routeHereText}>Plan Safe Route Here</Text>
+                </TouchableOpacity>
+              )}
+
               {selectedZone.emergencyServices && (
                 <View style={styles.section}>
                   <Text style={[styles.sectionTitle, { color: colors.text }]}>
@@ -448,6 +557,23 @@ const MapScreen = ({ navigation }) => {
               ))}
             </View>
           )}
+
+          {/* Nearest embassy or consulate */}
+          <View style={styles.embassyContainer}>
+            <EmbassyCard
+              nationality={profile?.nationality}
+              location={currentLocation}
+              onEditProfile={() => navigation.navigate('Profile')}
+            />
+          </View>
+
+          {/* Map areas saved for offline use */}
+          <View style={styles.embassyContainer}>
+            <OfflineMapCard
+              location={routeDestination || currentLocation}
+              placeName={routeDestination?.name}
+            />
+          </View>
         </View>
       </View>
 
@@ -507,8 +633,66 @@ const MapScreen = ({ navigation }) => {
       {isRoutePlanning && (
         <View style={[styles.routeControls, { backgroundColor: colors.surface }]}>
           <Text style={[styles.routeTitle, { color: colors.text }]}>
-            Route Planning ({routePoints.length} points)
+            Route Planning
           </Text>
+          <View style={styles.destinationRow}>
+            <TextInput
+              style={[styles.destinationInput, { borderColor: colors.border, color: colors.text }]}
+              placeholder="Where to?"
+              placeholderTextColor={colors.textSecondary}
+              value={destinationQuery}
+              onChangeText={setDestinationQuery}
+              onSubmitEditing={searchDestination}
+              returnKeyType="go"
+            />
+            <TouchableOpacity
+              style={[styles.routeButton, styles.goButton, { backgroundColor: colors.primary }]}
+              onPress={searchDestination}
+              disabled={planningRoute}
+            >
+              {planningRoute
+                ? <ActivityIndicator size="small" color={colors.surface} />
+                : <Text style={[styles.routeButtonText, { color: colors.surface }]}>Go</Text>}
+            </TouchableOpacity>
+          </View>
+          <RouteComparison plan={routePlan} selected={selectedRoute} onSelect={setSelectedRoute} />
+          {routePlan && (
+            <TouchableOpacity
+              style={[styles.routeButton, styles.walkHomeButton, { backgroundColor: colors.primary }]}
+              onPress={() => navigation.navigate('WalkHome', {
+                route: routePlan[selectedRoute],
+                destination: routeDestination
+              })}
+            >
+              <Text style={[styles.routeButtonText, { color: colors.surface }]}>
+                🚶 Walk Me Home
+              </Text>
+            </TouchableOpacity>
+          )}
+          {routePlan && (
+            <TouchableOpacity
+              style={[styles.routeButton, styles.walkHomeButton, { borderColor: colors.primary, borderWidth: 1 }]}
+              onPress={() => navigation.navigate('RideMode', { destination: routeDestination })}
+            >
+              <Text style={[styles.routeButtonText, { color: colors.primary }]}>
+                🚕 Taking a taxi? Ride Mode
+              </Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={styles.saveAreaButton}
+            onPress={saveAreaOffline}
+            disabled={savingArea}
+          >
+            <Text style={[styles.saveAreaText, { color: colors.primary }]}>
+              {savingArea ? 'Saving roads nearby...' : 'Save roads nearby for offline routes'}
+            </Text>
+          </TouchableOpacity>
+          {routePoints.length > 0 && (
+            <Text style={[styles.routePointsText, { color: colors.textSecondary }]}>
+              {routePoints.length} points tapped on the map
+            </Text>
+          )}
           <View style={styles.routeButtons}>
             <TouchableOpacity
               style={[styles.routeButton, { backgroundColor: colors.primary }]}
@@ -623,6 +807,53 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  destinationRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  destinationInput: {
+    flex: 1,
+    height: 44,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 15,
+  },
+  goButton: {
+    flex: 0,
+    paddingHorizontal: 20,
+    justifyContent: 'center',
+  },
+  walkHomeButton: {
+    flex: 0,
+    marginTop: 12,
+  },
+  saveAreaButton: {
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  saveAreaText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  routePointsText: {
+    fontSize: 12,
+    marginBottom: 8,
+  },
+  routeHereButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+    marginBottom: 20,
+    gap: 8,
+  },
+  routeHereText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
   safetyStatusBar: {
     position: 'absolute',
     bottom: 0,
@@ -811,6 +1042,12 @@ const styles = StyleSheet.create({
     borderRadius: 12,
     marginTop: 16,
   },
+  embassyContainer: {
+    width: '100%',
+    borderRadius: 12,
+    marginTop: 16,
+    overflow: 'hidden',
+  },
   zonesTitle: {
     fontSize: 16,
     fontWeight: '600',
@@ -0,0 +1,122 @@
+/**
+ * Country Boundary Generator
+ * Writes utils/countryBoundaries.js, the offline country lookup used by
+ * emergencyNumberService when reverse geocoding is unavailable
+ *
+ * Usage: node scripts/generateCountryBoundaries.js
+ * - Source: Natural Earth 1:10m admin-0 countries (public domain) via world-atlas
+ * - Land borders are kept close to the source; coastlines are simplified much harder,
+ *   since points just off the coast fall back to the nearest country anyway
+ * - Re-run after adding a country to utils/emergencyDirectory.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const topojson = require('topojson-client');
+const { presimplify, simplify } = require('topojson-simplify');
+const world = require('world-atlas/countries-10m.json');
+
+const BORDER_WEIGHT = 0.0002; // Minimum triangle area (square degrees) kept on land borders
+const COAST_WEIGHT = 0.1; // ... and on coastlines
+const SMALL_COUNTRY_DEGREES = 2; // Countries smaller than this are kept at border detail
+const PRECISION = 3; // Decimal places, about 100 m
+
+// ISO 3166-1 alpha-2 to the numeric codes world-atlas uses as feature ids
+const ISO_NUMERIC = {
+  AE: '784', AT: '040', AU: '036', BD: '050', BR: '076', CA: '124', CH: '756', CN: '156',
+  DE: '276', EG: '818', ES: '724', FR: '250', GB: '826', GR: '300', HK: '344', ID: '360',
+  IN: '356', IT: '380', JP: '392', KR: '410', LK: '144', MV: '462', MX: '484', MY: '458',
+  NL: '528', NP: '524', NZ: '554', PT: '620', SG: '702', TH: '764', TR: '792', US: '840',
+  VN: '704', ZA: '710'
+};
+
+const root = path.join(__dirname, '..');
+
+// Country codes of the bundled emergency directory
+const directoryCodes = () => {
+  const source = fs.readFileSync(path.join(root, 'utils/emergencyDirectory.js'), 'utf8');
+  const block = source.slice(source.indexOf('export const EMERGENCY_DIRECTORY = {'));
+  return [...block.slice(0, block.indexOf('\n};')).matchAll(/^ {2}([A-Z]{2}): \{$/gm)].map(match => match[1]);
+};
+
+const arcIndexes = (arcs, indexes = []) => {
+  if (Array.isArray(arcs)) {
+    arcs.forEach(arc => arcIndexes(arc, indexes));
+  } else {
+    indexes.push(arcs < 0 ? ~arcs : arcs);
+  }
+  return indexes;
+};
+
+const geometryPolygons = (geometry) => (
+  geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates
+);
+
+const isSmallCountry = (geometry) => {
+  const points = geometryPolygons(topojson.feature(world, geometry).geometry).flat(2);
+  const span = (axis) => Math.max(...points.map(point => point[axis])) - Math.min(...points.map(point => point[axis]));
+  return span(0) < SMALL_COUNTRY_DEGREES && span(1) < SMALL_COUNTRY_DEGREES;
+};
+
+const codes = directoryCodes();
+const unmapped = codes.filter(code => !ISO_NUMERIC[code]);
+if (unmapped.length > 0) {
+  console.error(`❌ Add the ISO numeric code for: ${unmapped.join(', ')}`);
+  process.exit(1);
+}
+
+const codeById = Object.fromEntries(codes.map(code => [ISO_NUMERIC[code], code]));
+const geometries = world.objects.countries.geometries;
+const selected = geometries.filter(geometry => codeById[geometry.id] && geometry.arcs);
+
+// Arcs used by two countries are land borders (or coasts of small countries): keep them detailed
+const arcUses = new Map();
+geometries.forEach(geometry => arcIndexes(geometry.arcs || []).forEach(arc => {
+  arcUses.set(arc, (arcUses.get(arc) || 0) + 1);
+}));
+const detailed = new Set([...arcUses].filter(([, uses]) => uses > 1).map(([arc]) => arc));
+selected.filter(isSmallCountry).forEach(geometry => arcIndexes(geometry.arcs).forEach(arc => detailed.add(arc)));
+
+// Simplify the shared topology so neighbouring countries keep identical borders
+const weighted = presimplify(world);
+weighted.arcs.forEach((arc, index) => {
+  if (detailed.has(index)) {
+    arc.forEach(point => { point[2] *= COAST_WEIGHT / BORDER_WEIGHT; });
+  }
+});
+const simplified = simplify(weighted, COAST_WEIGHT);
+
+// Polygons as [outer, ...holes], each ring a flat [lat, lon, lat, lon, ...] list
+const boundaries = {};
+let pointCount = 0;
+selected.forEach(geometry => {
+  const code = codeById[geometry.id];
+  const polygons = geometryPolygons(topojson.feature(simplified, geometry).geometry)
+    .map(rings => rings
+      .filter(ring => ring.length >= 4)
+      .map(ring => ring.flatMap(([longitude, latitude]) => [
+        Number(latitude.toFixed(PRECISION)),
+        Number(longitude.toFixed(PRECISION))
+      ])))
+    .filter(rings => rings.length > 0);
+
+  polygons.forEach(rings => rings.forEach(ring => { pointCount += ring.length / 2; }));
+  boundaries[code] = [...(boundaries[code] || []), ...polygons];
+});
+
+const lines = codes.map(code => [
+  `  ${code}: [`,
+  ...boundaries[code].map(rings => `    ${JSON.stringify(rings)},`),
+  '  ],'
+].join('\n'));
+
+const output = `// Generated by scripts/generateCountryBoundaries.js - do not edit.
+// Country outlines from Natural Earth 1:10m admin-0 countries (public domain), simplified.
+// Per country: polygons as [outer, ...holes], each ring a flat [lat, lon, lat, lon, ...] list.
+export const COUNTRY_BOUNDARIES = {
+${lines.join('\n')}
+};
+`;
+
+fs.writeFileSync(path.join(root, 'utils/countryBoundaries.js'), output);
+console.log(`🗺️  Wrote ${codes.length} countries, ${pointCount} points (${Math.round(output.length / 1024)} KB)`);
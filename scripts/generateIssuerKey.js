@@ -0,0 +1,32 @@
+/**
+ * QR Issuer Key Generator
+ * Creates an Ed25519 keypair for signing tourist QR codes
+ *
+ * Usage: node scripts/generateIssuerKey.js <keyId>
+ * - Add the printed public key entry to services/security/issuerKeys.js
+ * - Store the private key as the QR issuer's Cloud Functions secret (never commit it); it also
+ *   signs the verification ledger tree heads:
+ *   firebase functions:secrets:set QR_ISSUER_SIGNING_KEY
+ *   and set QR_ISSUER_KEY_ID to the keyId in functions/.env
+ */
+
+const { ed25519 } = require('@noble/curves/ed25519');
+const { bytesToHex } = require('@noble/hashes/utils');
+
+const keyId = process.argv[2] || `tsa-issuer-${new Date().toISOString().slice(0, 7)}`;
+const privateKey = ed25519.utils.randomPrivateKey();
+const publicKey = ed25519.getPublicKey(privateKey);
+
+console.log('🔑 Generated QR issuer keypair\n');
+console.log('Add to TRUSTED_ISSUER_KEYS:');
+console.log(JSON.stringify({
+  [keyId]: {
+    issuer: 'Tourist Safety Authority',
+    algorithm: 'Ed25519',
+    publicKey: bytesToHex(publicKey),
+    validFrom: new Date().toISOString(),
+    validUntil: null
+  }
+}, null, 2));
+console.log('\nPrivate key (keep secret):');
+console.log(bytesToHex(privateKey));
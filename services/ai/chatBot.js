@@ -1,3 +1,13 @@
+import { emergencyNumberService } from '../emergency/emergencyNumberService';
+import { embassyService } from '../emergency/embassyService';
+
+// Numbers for the country the user is in, as a bulleted list
+const formatLocalNumbers = () => emergencyNumberService
+  .formatNumbers(emergencyNumberService.getActiveNumbers(), ['police', 'ambulance', 'fire', 'touristPolice'])
+  .split('\n')
+  .map(line => `• ${line}`)
+  .join('\n');
+
 // Mock AI chatbot service - in production would integrate with actual AI service
 export const chatBotService = {
   // Process user message and generate response
@@ -6,7 +16,7 @@ export const chatBotService = {
       // Simulate AI processing delay
       await new Promise(resolve => setTimeout(resolve, 1000));
 
-      const response = await this.generateResponse(message, context);
+      const response = await chatBotService.generateResponse(message, context);
       
       return {
         success: true,
@@ -26,10 +36,19 @@ export const chatBotService = {
   generateResponse: async (message, context) => {
     const lowerMessage = message.toLowerCase();
 
+    // Embassy and consulate (checked first: "lost passport" is not a panic-button emergency)
+    if (chatBotService.containsEmbassyKeywords(lowerMessage)) {
+      return {
+        text: embassyService.describeNearest(context.nationality, context.location),
+        type: 'embassy',
+        suggestions: ['Call Embassy', 'Directions to Embassy', 'Emergency Help']
+      };
+    }
+
     // Emergency keywords
-    if (this.containsEmergencyKeywords(lowerMessage)) {
+    if (chatBotService.containsEmergencyKeywords(lowerMessage)) {
       return {
-        text: "I detect this might be an emergency. Please use the panic button for immediate help, or call:\n• Police: 100\n• Medical: 108\n• Fire: 101\n• Tourist Helpline: 1363",
+        text: `I detect this might be an emergency. Please use the panic button for immediate help, or call:\n${formatLocalNumbers()}`,
         type: 'emergency',
         suggestions: ['Call Emergency Services', 'Use Panic Button', 'Share Location']
       };
@@ -71,12 +90,21 @@ export const chatBotService = {
       };
     }
 
+    // Ride mode
+    if (lowerMessage.includes('ride mode')) {
+      return {
+        text: "Ride Mode keeps you safe in a taxi or ride-share. Open it from the dashboard before you get in, photograph or type the plate number, add the driver's name and your destination, and choose who can follow the ride. We'll alert you if the ride leaves the expected route or stops in a restricted area, and it ends by itself when you arrive.",
+        type: 'transport',
+        suggestions: ['Transportation Safety', 'Emergency Contacts', 'Public Transport Info']
+      };
+    }
+
     // Transportation
     if (lowerMessage.includes('transport') || lowerMessage.includes('taxi') || lowerMessage.includes('bus')) {
       return {
-        text: "For safe transportation, I recommend using official taxi services or ride-sharing apps like Uber/Ola. Always verify the driver and vehicle details. For public transport, keep valuables secure and stay alert.",
+        text: "For safe transportation, I recommend using official taxi services or ride-sharing apps like Uber/Ola. Always verify the driver and vehicle details, and turn on Ride Mode to record the plate number and share the ride with your contacts. For public transport, keep valuables secure and stay alert.",
         type: 'transport',
-        suggestions: ['Book Safe Ride', 'Public Transport Info', 'Transportation Safety']
+        suggestions: ['Ride Mode', 'Public Transport Info', 'Transportation Safety']
       };
     }
 
@@ -116,6 +144,13 @@ export const chatBotService = {
     return emergencyKeywords.some(keyword => message.includes(keyword));
   },
 
+  // Check for embassy / consulate questions
+  containsEmbassyKeywords: (message) => {
+    const embassyKeywords = ['embassy', 'consulate', 'high commission', 'passport'];
+
+    return embassyKeywords.some(keyword => message.includes(keyword));
+  },
+
   // Get conversation history
   getConversationHistory: async (userId) => {
     try {
@@ -0,0 +1,111 @@
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+import { encryptionService } from '../security/encryption';
+import { emergencyAlertService } from './alertService';
+import { ACK_STATUS, ACKNOWLEDGEMENT_CONFIG } from '../../utils/constants';
+
+const ACKNOWLEDGED_STATUSES = [ACK_STATUS.SEEN, ACK_STATUS.EN_ROUTE];
+
+const hashToken = (token) => bytesToHex(sha256(utf8ToBytes(token)));
+
+// Six digit code from four random bytes
+const toReplyCode = (bytes) => {
+  const value = ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+  return String(value % 10 ** ACKNOWLEDGEMENT_CONFIG.REPLY_CODE_DIGITS)
+    .padStart(ACKNOWLEDGEMENT_CONFIG.REPLY_CODE_DIGITS, '0');
+};
+
+const normalizeReplyCode = (code) => String(code || '').replace(/\D/g, '');
+
+// Contacts acknowledge either by opening their link (the hosted page writes the
+// token into the emergency document, which Firestore rules check against the
+// stored hash) or by texting back their reply code, which the tourist enters in the app.
+export const acknowledgementService = {
+  hashToken,
+
+  // Link sent to one contact; the token is only ever stored hashed in Firestore
+  buildAckLink: (emergencyId, contactId, token) => (
+    `${ACKNOWLEDGEMENT_CONFIG.LINK_BASE_URL}/${encodeURIComponent(emergencyId)}` +
+    `?c=${encodeURIComponent(contactId)}&t=${token}`
+  ),
+
+  // Give every contact an acknowledgement link and a reply code
+  createContactAcknowledgements: async (emergencyId, contacts) => {
+    try {
+      const withAcknowledgements = [];
+      const records = {};
+      const usedCodes = new Set();
+
+      for (const contact of contacts) {
+        const tokenResult = await encryptionService.generateRandomBytes(ACKNOWLEDGEMENT_CONFIG.TOKEN_BYTES);
+        if (!tokenResult.success) {
+          return { success: false, error: 'Failed to generate acknowledgement token' };
+        }
+
+        // Codes only need to be unique within one emergency
+        let replyCode = null;
+        while (!replyCode || usedCodes.has(replyCode)) {
+          const codeResult = await encryptionService.generateRandomBytes(4);
+          if (!codeResult.success) {
+            return { success: false, error: 'Failed to generate reply code' };
+          }
+          replyCode = toReplyCode(codeResult.bytes);
+        }
+        usedCodes.add(replyCode);
+
+        const token = bytesToHex(tokenResult.bytes);
+        withAcknowledgements.push({
+          ...contact,
+          ackLink: acknowledgementService.buildAckLink(emergencyId, contact.id, token),
+          replyCode
+        });
+        records[contact.id] = {
+          name: contact.name,
+          tokenHash: hashToken(token),
+          status: ACK_STATUS.PENDING
+        };
+      }
+
+      return { success: true, contacts: withAcknowledgements, records };
+    } catch (error) {
+      console.error('Acknowledgement Setup Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Find the contact whose reply code the tourist typed in
+  matchReplyCode: (contacts, code) => {
+    const normalized = normalizeReplyCode(code);
+    if (normalized.length !== ACKNOWLEDGEMENT_CONFIG.REPLY_CODE_DIGITS) {
+      return null;
+    }
+    return contacts.find(contact => contact.replyCode === normalized) || null;
+  },
+
+  // Write an acknowledgement made in the app to the emergency document
+  recordAcknowledgement: async (emergencyId, contactId, status = ACK_STATUS.SEEN, source = 'reply_code', at = Date.now()) => {
+    if (!ACKNOWLEDGED_STATUSES.includes(status)) {
+      return { success: false, error: `Invalid acknowledgement status: ${status}` };
+    }
+
+    return await emergencyAlertService.updateEmergencyStatus(emergencyId, {
+      [`acknowledgements.${contactId}.status`]: status,
+      [`acknowledgements.${contactId}.acknowledgedAt`]: at,
+      [`acknowledgements.${contactId}.source`]: source
+    });
+  },
+
+  // Acknowledged contacts from an emergency document, oldest first
+  getAcknowledged: (acknowledgements = {}) => (
+    Object.entries(acknowledgements)
+      .filter(([, record]) => ACKNOWLEDGED_STATUSES.includes(record?.status))
+      .map(([contactId, record]) => ({
+        contactId,
+        name: record.name || null,
+        status: record.status,
+        at: record.acknowledgedAt || null,
+        source: record.source || 'link'
+      }))
+      .sort((a, b) => (a.at || 0) - (b.at || 0))
+  )
+};
@@ -2,11 +2,27 @@ import * as SMS from 'expo-sms';
 import { Linking } from 'react-native';
 import { messagingService } from '../firebase/messaging';
 import { firestoreService } from '../firebase/firestore';
-import { EMERGENCY_NUMBERS, NOTIFICATION_TYPES } from '../../utils/constants';
+import { functionsService } from '../firebase/functions';
+import { emergencyOutboxService, OUTBOX_TYPES } from './emergencyOutbox';
+import { emergencyNumberService } from './emergencyNumberService';
+import { medicalProfileService } from './medicalProfileService';
+import { DELIVERY_STATUS, NOTIFICATION_TYPES } from '../../utils/constants';
+
+// Cloud Function that sends SMS without the composer (see functions/index.js)
+const SMS_SENDER_FUNCTION = 'sendEmergencySMS';
+
+let pendingDelivery = null;
 
 export const emergencyAlertService = {
   // Send emergency alert to all contacts
-  sendEmergencyAlert: async (location, userProfile, emergencyContacts, customMessage = null) => {
+  // options.emergencyId / options.acknowledgements pre-assign the Firestore record for acknowledgement links
+  // options.type records what raised the alert (defaults to 'panic_button')
+  // options.silent suppresses the on-device notification for discreet triggers and
+  // sends the SMS through the server sender, as the composer would show on screen
+  // options.fromServer sends the SMS through the server sender but still notifies the
+  // user, for alerts raised without them at the phone (the composer needs a tap)
+  // options.includeMedical: false leaves out the medical ID even when sharing is allowed
+  sendEmergencyAlert: async (location, userProfile, emergencyContacts, customMessage = null, options = {}) => {
     try {
       const results = {
         smsResults: [],
@@ -16,21 +32,35 @@ export const emergencyAlertService = {
         errors: []
       };
 
+      // Medical ID is attached only when the user consented to sharing it
+      const medical = options.includeMedical === false
+        ? null
+        : await medicalProfileService.getEmergencyAttachment(userProfile).catch(() => null);
+
       // Prepare emergency message
-      const emergencyMessage = customMessage || createEmergencyMessage(location, userProfile);
+      const emergencyMessage = appendMedicalInfo(
+        customMessage || createEmergencyMessage(location, userProfile),
+        medical
+      );
+
+      // Keys the outbox entries and delivery status of this alert
+      const alertId = options.emergencyId || `alert_${Date.now()}`;
       
       // Send SMS to emergency contacts
       if (emergencyContacts && emergencyContacts.length > 0) {
-        const smsResults = await sendEmergencySMS(emergencyContacts, emergencyMessage, location);
+        const fromServer = !!(options.silent || options.fromServer);
+        const smsResults = await sendEmergencySMS(emergencyContacts, emergencyMessage, location, alertId, fromServer);
         results.smsResults = smsResults;
       }
 
       // Send push notifications
-      const notificationResult = await sendEmergencyNotification(emergencyMessage, location);
-      results.notificationResults.push(notificationResult);
+      if (!options.silent) {
+        const notificationResult = await sendEmergencyNotification(emergencyMessage, location);
+        results.notificationResults.push(notificationResult);
+      }
 
       // Log emergency event to Firestore
-      const firestoreResult = await logEmergencyEvent(userProfile.id, location, emergencyContacts, emergencyMessage);
+      const firestoreResult = await logEmergencyEvent(userProfile.id, location, emergencyContacts, emergencyMessage, options, alertId, medical);
       results.firestoreResults.push(firestoreResult);
 
       // Send location to emergency services (if configured)
@@ -52,7 +82,7 @@ export const emergencyAlertService = {
   },
 
   // Send quick emergency call
-  makeEmergencyCall: async (emergencyNumber = EMERGENCY_NUMBERS.POLICE) => {
+  makeEmergencyCall: async (emergencyNumber = emergencyNumberService.getActiveNumbers().numbers.police) => {
     try {
       const url = `tel:${emergencyNumber}`;
       const canOpen = await Linking.canOpenURL(url);
@@ -96,6 +126,43 @@ export const emergencyAlertService = {
     }
   },
 
+  // Build the default emergency message for a location
+  buildEmergencyMessage: (location, userProfile) => createEmergencyMessage(location, userProfile),
+
+  // Send the emergency SMS to contacts without logging a new emergency
+  alertContacts: async (emergencyContacts, message, location, alertId = `alert_${Date.now()}`) => {
+    if (!emergencyContacts || emergencyContacts.length === 0) {
+      return [];
+    }
+    return await sendEmergencySMS(emergencyContacts, message, location, alertId);
+  },
+
+  // Retry queued emergency SMS and records; forced when connectivity returns.
+  // SMS retries go through the server sender: the composer needs the user
+  deliverOutbox: async ({ force = false } = {}, now = Date.now()) => {
+    // A second drain while one is running would send the same SMS twice
+    if (pendingDelivery) {
+      return await pendingDelivery;
+    }
+    pendingDelivery = drainOutbox(force, now).finally(() => {
+      pendingDelivery = null;
+    });
+    return await pendingDelivery;
+  },
+
+  // Update the Firestore record of an active emergency
+  updateEmergencyStatus: async (emergencyId, updates) => {
+    try {
+      await firestoreService.updateDocument('emergencies', emergencyId, {
+        ...updates,
+        updatedAt: new Date()
+      });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
   // Get emergency message templates
   getMessageTemplates: () => {
     return {
@@ -122,6 +189,8 @@ export const emergencyAlertService = {
 const createEmergencyMessage = (location, userProfile) => {
   const timestamp = new Date().toLocaleString();
   const locationUrl = `https://maps.google.com/?q=${location.latitude},${location.longitude}`;
+  // Numbers for the country the user is in, not where the app was built
+  const numbers = emergencyNumberService.getActiveNumbers();
   
   return `🚨 EMERGENCY ALERT 🚨
 ${userProfile.name} needs immediate help!
@@ -132,37 +201,116 @@ Time: ${timestamp}
 
 View on map: ${locationUrl}
 
-Emergency Numbers:
-Police: ${EMERGENCY_NUMBERS.POLICE}
-Medical: ${EMERGENCY_NUMBERS.MEDICAL}
-Tourist Helpline: ${EMERGENCY_NUMBERS.TOURIST_HELPLINE}
+Emergency Numbers (${numbers.countryName || numbers.countryCode}):
+${emergencyNumberService.formatNumbers(numbers)}
 
 This is an automated emergency alert from Tourist Safety App.`;
 };
 
-// Helper function to send SMS to emergency contacts
-const sendEmergencySMS = async (emergencyContacts, message, location) => {
+// Helper function to add the medical ID summary to an alert message
+const appendMedicalInfo = (message, medical) => {
+  if (!medical || medical.summaryLines.length === 0) {
+    return message;
+  }
+  return `${message}
+
+Medical ID:
+${medical.summaryLines.join('\n')}`;
+};
+
+// Helper function to retry whatever in the outbox is due
+const drainOutbox = async (force, now) => {
+  try {
+    const dueItems = await emergencyOutboxService.getDueItems(now, force);
+    let delivered = 0;
+    let failed = 0;
+
+    for (const item of dueItems) {
+      let result;
+
+      if (item.type === OUTBOX_TYPES.SMS) {
+        result = await sendSMSFromServer(item.data.contact, item.data.message);
+      } else {
+        const { emergencyId, record } = item.data;
+        result = emergencyId
+          ? await firestoreService.setDocument('emergencies', emergencyId, { ...record, wasOffline: true })
+          : await firestoreService.addDocument('emergencies', { ...record, wasOffline: true });
+      }
+
+      if (result.success) {
+        await emergencyOutboxService.markDelivered(item, now);
+        delivered++;
+      } else {
+        await emergencyOutboxService.markFailed(item, describeSMSFailure(result), now);
+        failed++;
+      }
+    }
+
+    await emergencyOutboxService.scheduleDrain(() => emergencyAlertService.deliverOutbox());
+
+    return { success: true, delivered, failed, attempted: dueItems.length };
+  } catch (error) {
+    console.error('Emergency Outbox Error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Helper function to describe why an SMS was not sent
+const describeSMSFailure = (result) => {
+  if (result.error) return result.error;
+  if (result.result === 'unknown') return 'SMS not confirmed as sent';
+  return `SMS ${result.result || 'failed'}`;
+};
+
+// Helper function to record a sent SMS, or queue an unsent one for the server to retry
+const trackSMSResult = async (alertId, contact, message, result) => {
+  if (result.success) {
+    await emergencyOutboxService.setDeliveryStatus(alertId, contact, DELIVERY_STATUS.SENT);
+    return { contact, ...result };
+  }
+
+  // Android's composer never reports whether the user sent it ('unknown'). A server
+  // resend could reach the contact twice, so it is left for the user to check
+  if (result.result === 'unknown') {
+    await emergencyOutboxService.setDeliveryStatus(alertId, contact, DELIVERY_STATUS.UNCONFIRMED, {
+      lastError: describeSMSFailure(result)
+    });
+    return { contact, ...result, queued: false };
+  }
+
+  const error = describeSMSFailure(result);
+  const queued = await emergencyOutboxService.enqueueSMS(alertId, contact, message, error);
+  return { contact, ...result, queued: !!queued.success };
+};
+
+// Helper function to send SMS to emergency contacts, through the composer or the server sender
+const sendEmergencySMS = async (emergencyContacts, message, location, alertId, fromServer = false) => {
   const results = [];
+  const sendToContact = fromServer ? sendSMSFromServer : sendSMSToContact;
   
   try {
-    const isAvailable = await SMS.isAvailableAsync();
+    const isAvailable = fromServer || await SMS.isAvailableAsync();
     
     if (!isAvailable) {
-      return [{ success: false, error: 'SMS not available on this device' }];
+      // Keep every contact in the outbox; the server sender delivers them
+      for (const contact of emergencyContacts) {
+        await trackSMSResult(alertId, contact, message, { success: false, error: 'SMS not available on this device' });
+      }
+      return [{ success: false, error: 'SMS not available on this device', queued: true }];
     }
 
     // Send to primary contact first
     const primaryContact = emergencyContacts.find(contact => contact.isPrimary);
     if (primaryContact) {
-      const result = await sendSMSToContact(primaryContact, message);
-      results.push({ contact: primaryContact, ...result });
+      const result = await sendToContact(primaryContact, message);
+      results.push(await trackSMSResult(alertId, primaryContact, message, result));
     }
 
     // Send to other contacts
     const otherContacts = emergencyContacts.filter(contact => !contact.isPrimary);
     for (const contact of otherContacts) {
-      const result = await sendSMSToContact(contact, message);
-      results.push({ contact: contact, ...result });
+      const result = await sendToContact(contact, message);
+      results.push(await trackSMSResult(alertId, contact, message, result));
       
       // Add small delay between SMS sends
       await new Promise(resolve => setTimeout(resolve, 1000));
@@ -174,12 +322,24 @@ const sendEmergencySMS = async (emergencyContacts, message, location) => {
   }
 };
 
+// Helper function to add a contact's acknowledgement link and reply code
+const withAcknowledgement = (message, contact) => {
+  if (!contact.ackLink && !contact.replyCode) {
+    return message;
+  }
+
+  const lines = [message, '', 'Let them know you have seen this:'];
+  if (contact.ackLink) lines.push(contact.ackLink);
+  if (contact.replyCode) lines.push(`or reply with code ${contact.replyCode}`);
+  return lines.join('\n');
+};
+
 // Helper function to send SMS to individual contact
 const sendSMSToContact = async (contact, message) => {
   try {
     const result = await SMS.sendSMSAsync(
       [contact.phoneNumber],
-      message
+      withAcknowledgement(message, contact)
     );
     
     return { 
@@ -196,6 +356,19 @@ const sendSMSToContact = async (contact, message) => {
   }
 };
 
+// Helper function to send SMS to an individual contact through the server sender,
+// which needs no composer and also works while the app is in the background
+const sendSMSFromServer = async (contact, message) => {
+  const result = await functionsService.call(SMS_SENDER_FUNCTION, {
+    to: contact.phoneNumber,
+    message: withAcknowledgement(message, contact)
+  });
+
+  return result.success
+    ? { success: true, result: 'sent', phoneNumber: contact.phoneNumber }
+    : { success: false, error: result.error, phoneNumber: contact.phoneNumber };
+};
+
 // Helper function to send emergency notification
 const sendEmergencyNotification = async (message, location) => {
   try {
@@ -216,11 +389,14 @@ const sendEmergencyNotification = async (message, location) => {
 };
 
 // Helper function to log emergency event
-const logEmergencyEvent = async (userId, location, emergencyContacts, message) => {
+const logEmergencyEvent = async (userId, location, emergencyContacts, message, options = {}, alertId = null, medical = null) => {
+  let emergencyData = null;
+
   try {
-    const emergencyData = {
+    emergencyData = {
       userId,
-      type: 'panic_button',
+      type: options.type || 'panic_button',
+      silent: !!options.silent,
       location,
       message,
       emergencyContacts: emergencyContacts.map(contact => ({
@@ -230,17 +406,29 @@ const logEmergencyEvent = async (userId, location, emergencyContacts, message) =
         relationship: contact.relationship,
         isPrimary: contact.isPrimary
       })),
+      medical: medical ? medical.profile : null,
       timestamp: new Date(),
       status: 'active',
+      acknowledgements: options.acknowledgements || {},
       locationHistory: [{ location, timestamp: new Date() }],
       createdAt: new Date(),
       updatedAt: new Date()
     };
 
-    const result = await firestoreService.addDocument('emergencies', emergencyData);
-    return { success: true, emergencyId: result.id };
+    const result = options.emergencyId
+      ? await firestoreService.setDocument('emergencies', options.emergencyId, emergencyData)
+      : await firestoreService.addDocument('emergencies', emergencyData);
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to log emergency');
+    }
+    return { success: true, emergencyId: options.emergencyId || result.id };
   } catch (error) {
-    return { success: false, error: error.message };
+    // Offline: keep the record in the outbox so it reaches Firestore later
+    if (emergencyData && alertId) {
+      await emergencyOutboxService.enqueueRecord(alertId, options.emergencyId || null, emergencyData, error.message);
+    }
+    return { success: false, error: error.message, queued: !!(emergencyData && alertId) };
   }
 };
 
@@ -0,0 +1,405 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { emergencyAlertService } from './alertService';
+import { emergencyNumberService } from './emergencyNumberService';
+import { messagingService } from '../firebase/messaging';
+import { realTimeLocationService } from '../location/realTimeLocationService';
+import { safetyDeadlineTask } from '../location/safetyDeadlineTask';
+import { sessionTracking } from '../location/sessionTracking';
+import {
+  CHECK_IN_CONFIG,
+  CHECK_IN_STATUS,
+  GEOFENCE_EVENTS,
+  NOTIFICATION_TYPES,
+  STORAGE_KEYS
+} from '../../utils/constants';
+
+const MINUTE = 60 * 1000;
+const SESSION_OWNER = 'checkIn';
+
+const ZONE_EVENT_VERBS = {
+  [GEOFENCE_EVENTS.ENTER]: 'entered',
+  [GEOFENCE_EVENTS.EXIT]: 'left',
+  [GEOFENCE_EVENTS.DWELL]: 'staying in'
+};
+
+let currentCheckIn = null;
+let checkInTimer = null;
+let pendingEvaluation = null;
+const listeners = new Set();
+
+// Keep only what the alert needs when it is sent from the background task
+const toStoredContact = (contact) => ({
+  id: contact.id,
+  name: contact.name,
+  phoneNumber: contact.phoneNumber,
+  relationship: contact.relationship || null,
+  isPrimary: !!contact.isPrimary
+});
+
+const formatClockTime = (timestamp) => (
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+);
+
+const clearTimer = () => {
+  if (checkInTimer) {
+    clearTimeout(checkInTimer);
+    checkInTimer = null;
+  }
+};
+
+// In-app timer while the JS runtime is alive; the background location and
+// deadline tasks cover the time the app is suspended or killed
+const scheduleNextCheck = (checkIn) => {
+  clearTimer();
+  if (!checkInService.isActive(checkIn)) {
+    return;
+  }
+
+  const nextDeadline = checkIn.status === CHECK_IN_STATUS.ACTIVE ? checkIn.dueAt : checkIn.graceEndsAt;
+  const delay = Math.max(0, Math.min(nextDeadline - Date.now(), CHECK_IN_CONFIG.TIMER_CHECK_INTERVAL));
+  checkInTimer = setTimeout(() => {
+    checkInTimer = null;
+    checkInService.evaluate();
+  }, delay);
+};
+
+const setCheckIn = async (checkIn) => {
+  currentCheckIn = checkIn;
+
+  if (checkIn) {
+    await AsyncStorage.setItem(STORAGE_KEYS.SAFETY_CHECK_IN, JSON.stringify(checkIn));
+  } else {
+    await AsyncStorage.removeItem(STORAGE_KEYS.SAFETY_CHECK_IN);
+  }
+
+  listeners.forEach(listener => listener(checkIn));
+};
+
+// Always read from storage: the background task runs in a fresh JS context
+const loadCheckIn = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.SAFETY_CHECK_IN);
+  return stored ? JSON.parse(stored) : null;
+};
+
+// Heads-up before the due time, the due reminder and a last warning inside the grace period
+const scheduleReminders = async (checkIn, now) => {
+  const graceMinutes = checkIn.graceMinutes;
+  const reminders = [
+    {
+      at: checkIn.dueAt - CHECK_IN_CONFIG.REMINDER_LEAD_MINUTES * MINUTE,
+      title: '⏰ Safety check-in soon',
+      body: `Your check-in is due at ${formatClockTime(checkIn.dueAt)}. Open the app to confirm you're safe.`
+    },
+    {
+      at: checkIn.dueAt,
+      title: '🛡️ Time to check in',
+      body: `Confirm you're safe. Your emergency contacts will be alerted in ${graceMinutes} minutes if you don't.`
+    },
+    graceMinutes > CHECK_IN_CONFIG.FINAL_WARNING_MINUTES && {
+      at: checkIn.graceEndsAt - CHECK_IN_CONFIG.FINAL_WARNING_MINUTES * MINUTE,
+      title: '⚠️ Check in now',
+      body: `Your emergency contacts will be alerted in ${CHECK_IN_CONFIG.FINAL_WARNING_MINUTES} minutes.`
+    }
+  ].filter(reminder => reminder && reminder.at > now);
+
+  const notificationIds = [];
+  for (const reminder of reminders) {
+    const result = await messagingService.scheduleNotification(
+      reminder.title,
+      reminder.body,
+      { type: NOTIFICATION_TYPES.CHECK_IN, checkInId: checkIn.id },
+      { type: 'date', date: new Date(reminder.at) }
+    );
+    if (result.success) {
+      notificationIds.push(result.id);
+    }
+  }
+  return notificationIds;
+};
+
+const cancelReminders = async (checkIn) => {
+  for (const notificationId of checkIn.notificationIds || []) {
+    await messagingService.cancelNotification(notificationId);
+  }
+};
+
+// Location updates wake the background task while the user moves, and the periodic
+// deadline task while they don't; either fires a missed check-in while the app is
+// killed. Tracking is shared with walks and rides, and left alone if the user runs it
+const ensureBackgroundTracking = async () => {
+  await safetyDeadlineTask.hold(SESSION_OWNER);
+  const result = await sessionTracking.hold(SESSION_OWNER);
+  return !!result.backgroundTracking;
+};
+
+const releaseBackgroundTracking = async () => {
+  await safetyDeadlineTask.release(SESSION_OWNER);
+  await sessionTracking.release(SESSION_OWNER);
+};
+
+const buildMissedCheckInMessage = (checkIn, location, cachedAt, numbers) => {
+  const name = checkIn.userProfile.name || 'A Tourist Safety user';
+  const plan = checkIn.label ? ` (${checkIn.label})` : '';
+  const locationText = location
+    ? `Last known location${cachedAt ? ` at ${formatClockTime(cachedAt)}` : ''}: ${location.latitude}, ${location.longitude}
+View on map: https://maps.google.com/?q=${location.latitude},${location.longitude}`
+    : 'Last known location: not available';
+  const zoneEvent = checkIn.lastZoneEvent;
+  const zoneText = zoneEvent
+    ? `\nLast area change: ${ZONE_EVENT_VERBS[zoneEvent.type]} ${zoneEvent.zoneName || 'a monitored area'} (${zoneEvent.safetyLevel}) at ${formatClockTime(zoneEvent.timestamp)}`
+    : '';
+
+  return `🚨 MISSED SAFETY CHECK-IN 🚨
+${name} planned to check in by ${formatClockTime(checkIn.dueAt)}${plan} and has not responded.
+
+${locationText}${zoneText}
+
+Emergency Numbers (${numbers.countryName || numbers.countryCode}):
+${emergencyNumberService.formatNumbers(numbers, ['police', 'touristPolice'])}
+
+This is an automated alert from Tourist Safety App.`;
+};
+
+// Send the alert once; the ALERTED status is stored first so the in-app timer
+// and the background task cannot both send it. The SMS goes through the server
+// sender: the user has not responded, and the app may be in the background or killed
+const sendMissedCheckInAlert = async (checkIn, now) => {
+  let alerted = { ...checkIn, status: CHECK_IN_STATUS.ALERTED, alertedAt: now, notificationIds: [] };
+  await setCheckIn(alerted);
+  await cancelReminders(checkIn);
+  await safetyDeadlineTask.release(SESSION_OWNER);
+
+  const cached = await realTimeLocationService.getLastCachedLocation();
+  const location = cached.success ? cached.location : null;
+  // May run headless from the background task, so read the numbers from the cache
+  const { numbers } = await emergencyNumberService.loadCachedNumbers();
+
+  const result = await emergencyAlertService.sendEmergencyAlert(
+    location,
+    checkIn.userProfile,
+    checkIn.contacts,
+    buildMissedCheckInMessage(checkIn, location, cached.cachedAt, numbers),
+    { type: 'missed_check_in', fromServer: true }
+  );
+
+  alerted = {
+    ...alerted,
+    lastKnownLocation: location,
+    alertResult: {
+      success: !!result.success,
+      smsSent: (result.smsResults || []).filter(sms => sms.success).length,
+      error: result.error || null
+    }
+  };
+  await setCheckIn(alerted);
+  return alerted;
+};
+
+const evaluateCheckIn = async (now) => {
+  try {
+    const checkIn = await loadCheckIn();
+    currentCheckIn = checkIn;
+
+    if (!checkInService.isActive(checkIn)) {
+      clearTimer();
+      return { success: true, checkIn };
+    }
+
+    if (now >= checkIn.graceEndsAt) {
+      return { success: true, checkIn: await sendMissedCheckInAlert(checkIn, now) };
+    }
+
+    let updated = checkIn;
+    if (now >= checkIn.dueAt && checkIn.status === CHECK_IN_STATUS.ACTIVE) {
+      updated = { ...checkIn, status: CHECK_IN_STATUS.OVERDUE };
+      await setCheckIn(updated);
+    }
+
+    scheduleNextCheck(updated);
+    return { success: true, checkIn: updated };
+  } catch (error) {
+    console.error('Check-in Evaluation Error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Dead man's switch: the user promises to check in by a time, and their
+// emergency contacts are alerted with the last known location if they don't.
+export const checkInService = {
+  // ACTIVE and OVERDUE can still be confirmed; ALERTED is final
+  isActive: (checkIn) => !!checkIn && checkIn.status !== CHECK_IN_STATUS.ALERTED,
+
+  getCheckIn: () => currentCheckIn,
+
+  // Seconds until the check-in is due, or until contacts are alerted once overdue
+  getSecondsRemaining: (checkIn, now = Date.now()) => {
+    if (!checkInService.isActive(checkIn)) {
+      return null;
+    }
+    const target = now < checkIn.dueAt ? checkIn.dueAt : checkIn.graceEndsAt;
+    return Math.max(0, Math.ceil((target - now) / 1000));
+  },
+
+  // Listen for check-in changes; returns an unsubscribe function
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // "Check on me in N minutes"
+  startCheckIn: async ({ durationMinutes, graceMinutes = CHECK_IN_CONFIG.GRACE_PERIOD_MINUTES, label = '', userProfile, contacts = [] }, now = Date.now()) => {
+    try {
+      if (!durationMinutes || durationMinutes <= 0) {
+        return { success: false, error: 'Check-in duration must be greater than zero' };
+      }
+      if (!contacts || contacts.length === 0) {
+        return { success: false, error: 'Add an emergency contact before starting a check-in' };
+      }
+
+      const existing = await loadCheckIn();
+      if (existing) {
+        await cancelReminders(existing);
+      }
+
+      const dueAt = now + durationMinutes * MINUTE;
+      let checkIn = {
+        id: `check-in-${now}`,
+        label: label.trim(),
+        status: CHECK_IN_STATUS.ACTIVE,
+        startedAt: now,
+        dueAt,
+        graceMinutes,
+        graceEndsAt: dueAt + graceMinutes * MINUTE,
+        userProfile: { id: userProfile?.id || userProfile?.userId || null, name: userProfile?.name || null },
+        contacts: contacts.map(toStoredContact),
+        notificationIds: [],
+        backgroundTracking: existing?.backgroundTracking || false
+      };
+
+      checkIn.notificationIds = await scheduleReminders(checkIn, now);
+      checkIn.backgroundTracking = await ensureBackgroundTracking();
+
+      await setCheckIn(checkIn);
+      scheduleNextCheck(checkIn);
+
+      return { success: true, checkIn };
+    } catch (error) {
+      console.error('Check-in Start Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // The user is safe: stop the timer
+  confirmCheckIn: async () => {
+    try {
+      const checkIn = await loadCheckIn();
+      if (!checkInService.isActive(checkIn)) {
+        return { success: false, error: 'No active check-in' };
+      }
+
+      clearTimer();
+      await cancelReminders(checkIn);
+      await releaseBackgroundTracking();
+      await setCheckIn(null);
+
+      return { success: true, confirmedAt: Date.now() };
+    } catch (error) {
+      console.error('Check-in Confirm Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Confirm and start a new window with the same settings
+  extendCheckIn: async (minutes, now = Date.now()) => {
+    try {
+      const checkIn = await loadCheckIn();
+      if (!checkInService.isActive(checkIn)) {
+        return { success: false, error: 'No active check-in' };
+      }
+
+      await cancelReminders(checkIn);
+
+      const dueAt = now + minutes * MINUTE;
+      const extended = {
+        ...checkIn,
+        status: CHECK_IN_STATUS.ACTIVE,
+        dueAt,
+        graceEndsAt: dueAt + checkIn.graceMinutes * MINUTE,
+        notificationIds: []
+      };
+      extended.notificationIds = await scheduleReminders(extended, now);
+
+      await setCheckIn(extended);
+      scheduleNextCheck(extended);
+
+      return { success: true, checkIn: extended };
+    } catch (error) {
+      console.error('Check-in Extend Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Dismiss the check-in, including the record of an alert that was sent
+  cancelCheckIn: async () => {
+    try {
+      clearTimer();
+      const checkIn = await loadCheckIn();
+      if (checkIn) {
+        await cancelReminders(checkIn);
+        await releaseBackgroundTracking();
+      }
+      await setCheckIn(null);
+      return { success: true };
+    } catch (error) {
+      console.error('Check-in Cancel Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Send the alert once the grace period has passed (one run at a time).
+  // Called from the in-app timer and from the background tasks.
+  evaluate: (now = Date.now()) => {
+    if (!pendingEvaluation) {
+      pendingEvaluation = evaluateCheckIn(now).finally(() => {
+        pendingEvaluation = null;
+      });
+    }
+    return pendingEvaluation;
+  },
+
+  // Geofence event subscriber: remember the latest zone change so a missed check-in
+  // alert can tell contacts which area the user was last seen entering or leaving
+  recordZoneEvent: async (event) => {
+    try {
+      const checkIn = await loadCheckIn();
+      if (!checkInService.isActive(checkIn)) {
+        return { success: false, error: 'No active check-in' };
+      }
+
+      const { type, zoneId, zoneName, safetyLevel, timestamp } = event;
+      const updated = { ...checkIn, lastZoneEvent: { type, zoneId, zoneName, safetyLevel, timestamp } };
+      await setCheckIn(updated);
+      return { success: true, checkIn: updated };
+    } catch (error) {
+      console.error('Check-in Zone Event Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Reload a persisted check-in after an app restart
+  resumeCheckIn: async (now = Date.now()) => {
+    const result = await checkInService.evaluate(now);
+    if (result.success) {
+      listeners.forEach(listener => listener(result.checkIn));
+    }
+    return result;
+  },
+
+  // The app is going to the background: keep the background task running
+  handleAppBackground: async () => {
+    const checkIn = await loadCheckIn();
+    if (checkInService.isActive(checkIn)) {
+      await ensureBackgroundTracking();
+    }
+  }
+};
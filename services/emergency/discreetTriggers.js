@@ -0,0 +1,49 @@
+import { DISCREET_TRIGGER_CONFIG } from '../../utils/constants';
+import { getMagnitude } from './fallDetector';
+
+// Pure pattern detectors for the discreet panic triggers. Like fallDetector.js they
+// take the previous state and one input and return the next state, so sensor and
+// AppState traces can be replayed in tests.
+
+export const createShakeState = () => ({
+  peaks: [],
+  aboveThreshold: false
+});
+
+// One shake is one excursion above the threshold; the trigger fires on
+// SHAKE_COUNT shakes inside SHAKE_WINDOW_MS
+export const processShakeSample = (state, sample, config = DISCREET_TRIGGER_CONFIG) => {
+  const magnitude = getMagnitude(sample);
+  const { timestamp } = sample;
+  const isAbove = magnitude >= config.SHAKE_THRESHOLD_G;
+
+  if (!isAbove || state.aboveThreshold) {
+    return { state: { ...state, aboveThreshold: isAbove }, triggered: false };
+  }
+
+  const lastPeak = state.peaks[state.peaks.length - 1];
+  if (lastPeak !== undefined && timestamp - lastPeak < config.SHAKE_MIN_GAP_MS) {
+    return { state: { ...state, aboveThreshold: true }, triggered: false };
+  }
+
+  const peaks = [...state.peaks, timestamp].filter(peak => timestamp - peak <= config.SHAKE_WINDOW_MS);
+  if (peaks.length >= config.SHAKE_COUNT) {
+    return { state: { ...createShakeState(), aboveThreshold: true }, triggered: true };
+  }
+
+  return { state: { peaks, aboveThreshold: true }, triggered: false };
+};
+
+export const createPressState = () => ({
+  presses: []
+});
+
+// Count presses (screen on/off changes for the power button) inside PRESS_WINDOW_MS
+export const recordPress = (state, timestamp, config = DISCREET_TRIGGER_CONFIG) => {
+  const presses = [...state.presses, timestamp].filter(press => timestamp - press <= config.PRESS_WINDOW_MS);
+
+  if (presses.length >= config.PRESS_COUNT) {
+    return { state: createPressState(), triggered: true };
+  }
+  return { state: { presses }, triggered: false };
+};
@@ -0,0 +1,148 @@
+import { firestoreService } from '../firebase/firestore';
+import { offlineDataService } from '../offline/offlineDataService';
+import { emergencyNumberService } from './emergencyNumberService';
+import { EMBASSIES, EMBASSY_DIRECTORY_VERSION, MISSION_TYPES } from '../../utils/embassyDirectory';
+import { getNationalityCode } from '../../utils/nationalities';
+import { calculateDistance, formatDistance } from '../../utils/helpers';
+
+const EMBASSIES_COLLECTION = 'embassies';
+
+const MISSION_LABELS = {
+  [MISSION_TYPES.EMBASSY]: 'Embassy',
+  [MISSION_TYPES.HIGH_COMMISSION]: 'High Commission',
+  [MISSION_TYPES.CONSULATE]: 'Consulate'
+};
+
+const bundledDirectory = () => ({
+  version: EMBASSY_DIRECTORY_VERSION,
+  missions: EMBASSIES
+});
+
+let directory = bundledDirectory();
+
+// Embassies and consulates of the user's own country, from a bundled directory
+// that the sync service keeps up to date
+export const embassyService = {
+  // Directory in use right now (bundled until a newer cached copy is loaded)
+  getDirectory: () => directory,
+
+  // Use the cached directory if it is newer than the bundled one
+  loadCachedDirectory: async () => {
+    try {
+      const cached = await offlineDataService.getCachedEmbassyDirectory();
+      if (cached.success && cached.directory?.version > EMBASSY_DIRECTORY_VERSION) {
+        directory = cached.directory;
+      }
+      return { success: true, version: directory.version };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Pull missions changed since the directory version and store the merged directory offline
+  syncDirectory: async () => {
+    try {
+      await embassyService.loadCachedDirectory();
+
+      const result = await firestoreService.queryDocuments(
+        EMBASSIES_COLLECTION,
+        'updatedAt',
+        '>',
+        directory.version
+      );
+
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      directory = embassyService.mergeMissions(directory, result.data);
+      await offlineDataService.cacheEmbassyDirectory(directory);
+
+      return {
+        success: true,
+        version: directory.version,
+        updated: result.data.length
+      };
+    } catch (error) {
+      console.error('Embassy Sync Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Apply changed missions by id; entries marked `removed` are dropped (pure)
+  mergeMissions: (current, entries = []) => {
+    const missions = new Map(current.missions.map(mission => [mission.id, mission]));
+    let version = current.version;
+
+    entries.forEach(({ removed, ...mission }) => {
+      if (removed) {
+        missions.delete(mission.id);
+      } else {
+        missions.set(mission.id, { ...missions.get(mission.id), ...mission });
+      }
+      version = Math.max(version, mission.updatedAt || 0);
+    });
+
+    return { version, missions: [...missions.values()] };
+  },
+
+  // Nearest missions of the user's country, closest first. Without a location
+  // the missions in the country the user was last resolved to are listed
+  findNearest: (nationality, location = null, { limit = 3 } = {}) => {
+    const countryCode = getNationalityCode(nationality);
+    if (!countryCode) {
+      return { success: false, error: nationality ? 'Nationality not recognised' : 'Nationality not set' };
+    }
+
+    const hostCountry = emergencyNumberService.getActiveNumbers().countryCode;
+    // No embassy to point to when the user is in their own country
+    if (hostCountry === countryCode) {
+      return { success: true, countryCode, atHome: true, missions: [] };
+    }
+
+    const own = directory.missions.filter(mission => mission.country === countryCode);
+    const missions = location
+      ? own
+        .map(mission => ({
+          ...mission,
+          distance: calculateDistance(location.latitude, location.longitude, mission.latitude, mission.longitude)
+        }))
+        .sort((a, b) => a.distance - b.distance)
+      : own
+        .filter(mission => mission.hostCountry === hostCountry)
+        .map(mission => ({ ...mission, distance: null }));
+
+    return { success: true, countryCode, atHome: false, missions: missions.slice(0, limit) };
+  },
+
+  getMissionLabel: (type) => MISSION_LABELS[type] || 'Mission',
+
+  formatDistance: (mission) => (mission.distance == null ? null : formatDistance(mission.distance)),
+
+  // Plain-text answer for the chat assistant
+  describeNearest: (nationality, location = null) => {
+    const result = embassyService.findNearest(nationality, location, { limit: 1 });
+    if (!result.success) {
+      return 'Add your nationality to your profile and I can find your nearest embassy or consulate.';
+    }
+
+    const hotline = emergencyNumberService.getConsularHotline(nationality);
+    const hotlineText = hotline ? `\n\nAround the clock: ${hotline.service}, ${hotline.number}` : '';
+
+    if (result.atHome) {
+      return 'You are in your own country, so there is no embassy to contact. For help, call the local emergency numbers.';
+    }
+    if (result.missions.length === 0) {
+      return `I don't have an embassy or consulate for your country on file yet.${hotlineText}`;
+    }
+
+    const [mission] = result.missions;
+    const distance = embassyService.formatDistance(mission);
+    return [
+      `Your nearest ${embassyService.getMissionLabel(mission.type).toLowerCase()} is the ${mission.name}${distance ? ` (${distance} away)` : ''}.`,
+      `📍 ${mission.address}`,
+      `📞 ${mission.phone}`,
+      `🕘 ${mission.hours}`
+    ].join('\n') + hotlineText;
+  }
+};
@@ -0,0 +1,233 @@
+import { geoLocationService } from '../location/geoLocation';
+import { offlineDataService } from '../offline/offlineDataService';
+import {
+  CONSULAR_HOTLINES,
+  DEFAULT_COUNTRY_CODE,
+  EMERGENCY_DIRECTORY,
+  EMERGENCY_DIRECTORY_VERSION,
+  FALLBACK_NUMBERS
+} from '../../utils/emergencyDirectory';
+import { COUNTRY_BOUNDARIES } from '../../utils/countryBoundaries';
+import {
+  GEOMETRY_TYPES,
+  createGeofenceIndex,
+  getSignedDistance,
+  getZoneBounds,
+  queryGeofenceIndex
+} from '../../utils/geofence';
+import { getNationalityCode } from '../../utils/nationalities';
+
+const NUMBER_LABELS = {
+  general: 'Emergency',
+  police: 'Police',
+  ambulance: 'Ambulance',
+  fire: 'Fire',
+  touristPolice: 'Tourist Police',
+  womenHelpline: 'Women Helpline',
+  childHelpline: 'Child Helpline'
+};
+
+// Off the coast, or on an island the bundled outlines leave out, the nearest
+// country within this distance is used (territorial waters reach 22 km)
+const NEAREST_COUNTRY_METERS = 50000;
+
+let activeNumbers = null;
+const listeners = new Set();
+let countryLookup = null;
+
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase();
+
+const toRing = (flat) => {
+  const ring = [];
+  for (let i = 0; i < flat.length; i += 2) {
+    ring.push({ latitude: flat[i], longitude: flat[i + 1] });
+  }
+  return ring;
+};
+
+// One zone per polygon (mainland, each island) so the index boxes stay tight; built on first use
+const getCountryLookup = () => {
+  if (!countryLookup) {
+    const zones = Object.keys(COUNTRY_BOUNDARIES).flatMap(countryCode =>
+      COUNTRY_BOUNDARIES[countryCode].map(rings => ({
+        countryCode,
+        geometry: { type: GEOMETRY_TYPES.POLYGON, rings: rings.map(toRing) }
+      }))
+    );
+    countryLookup = {
+      index: createGeofenceIndex(zones),
+      zones: zones.map(zone => ({ zone, bounds: getZoneBounds(zone) }))
+    };
+  }
+  return countryLookup;
+};
+
+// Nearest country outline within NEAREST_COUNTRY_METERS of a point outside all of them
+const findNearestCountry = (location) => {
+  const latDelta = NEAREST_COUNTRY_METERS / 111320;
+  const lonDelta = latDelta / Math.max(Math.cos(location.latitude * Math.PI / 180), 0.01);
+  let nearest = null;
+  let nearestDistance = NEAREST_COUNTRY_METERS;
+
+  getCountryLookup().zones.forEach(({ zone, bounds }) => {
+    if (location.latitude < bounds.minLat - latDelta || location.latitude > bounds.maxLat + latDelta ||
+      location.longitude < bounds.minLon - lonDelta || location.longitude > bounds.maxLon + lonDelta) {
+      return;
+    }
+    const distance = getSignedDistance(location, zone);
+    if (distance <= nearestDistance) {
+      nearest = zone.countryCode;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearest;
+};
+
+const findRegion = (country, regionName) => {
+  if (!country?.regions || !regionName) {
+    return null;
+  }
+  const name = normalize(regionName);
+  return Object.keys(country.regions).find(code =>
+    normalize(code) === name || country.regions[code].names.some(candidate => normalize(candidate) === name)
+  ) || null;
+};
+
+const setActiveNumbers = (entry) => {
+  activeNumbers = entry;
+  listeners.forEach(listener => listener(entry));
+};
+
+// Local police, ambulance, fire and tourist police numbers, resolved from the
+// bundled directory for wherever the user currently is
+export const emergencyNumberService = {
+  // Directory entry for a country (ISO 3166-1 alpha-2) and optional region name
+  getNumbersForCountry: (countryCode, regionName = null) => {
+    const code = String(countryCode || '').toUpperCase();
+    const country = EMERGENCY_DIRECTORY[code];
+    const region = findRegion(country, regionName);
+
+    return {
+      countryCode: code || null,
+      countryName: country?.name || null,
+      region,
+      numbers: {
+        ...FALLBACK_NUMBERS,
+        ...(country?.numbers || {}),
+        ...(region ? country.regions[region].numbers : {})
+      },
+      inDirectory: !!country,
+      directoryVersion: EMERGENCY_DIRECTORY_VERSION
+    };
+  },
+
+  // Offline lookup against the bundled country outlines (utils/countryBoundaries.js)
+  findCountryByCoordinates: (location) => {
+    const [match] = queryGeofenceIndex(getCountryLookup().index, location);
+    return match ? match.countryCode : findNearestCountry(location);
+  },
+
+  // Numbers for the last resolved location (India until something is resolved)
+  getActiveNumbers: () => activeNumbers || emergencyNumberService.getNumbersForCountry(DEFAULT_COUNTRY_CODE),
+
+  // Listen for the active numbers changing: (entry) => void
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // Restore the last resolved numbers, re-reading them from the directory if it was updated since
+  loadCachedNumbers: async () => {
+    try {
+      const cached = await offlineDataService.getCachedEmergencyNumbers();
+      if (!cached.success || !cached.numbers?.countryCode) {
+        return { success: true, numbers: emergencyNumberService.getActiveNumbers() };
+      }
+
+      const entry = cached.numbers.directoryVersion === EMERGENCY_DIRECTORY_VERSION
+        ? cached.numbers
+        : {
+          ...emergencyNumberService.getNumbersForCountry(cached.numbers.countryCode, cached.numbers.regionName),
+          regionName: cached.numbers.regionName || null,
+          resolvedBy: cached.numbers.resolvedBy,
+          resolvedAt: cached.numbers.resolvedAt
+        };
+
+      setActiveNumbers(entry);
+      return { success: true, numbers: entry };
+    } catch (error) {
+      return { success: false, error: error.message, numbers: emergencyNumberService.getActiveNumbers() };
+    }
+  },
+
+  // Resolve the numbers for a location: reverse geocoding first, then the bundled
+  // country outlines
+  resolveForLocation: async (location, now = Date.now()) => {
+    try {
+      let countryCode = null;
+      let regionName = null;
+      let resolvedBy = 'geocode';
+
+      const geocode = await geoLocationService.getAddressFromCoordinates(location.latitude, location.longitude);
+      if (geocode.success && geocode.details?.isoCountryCode) {
+        countryCode = geocode.details.isoCountryCode;
+        regionName = geocode.details.region || null;
+      } else {
+        countryCode = emergencyNumberService.findCountryByCoordinates(location);
+        resolvedBy = 'boundary';
+        // The outlines carry no regions, so keep the region last resolved in this country
+        if (countryCode && countryCode === activeNumbers?.countryCode) {
+          return { success: true, numbers: activeNumbers, changed: false };
+        }
+      }
+
+      if (!countryCode) {
+        return { success: false, error: 'Could not determine the country', numbers: emergencyNumberService.getActiveNumbers() };
+      }
+
+      const entry = {
+        ...emergencyNumberService.getNumbersForCountry(countryCode, regionName),
+        regionName,
+        resolvedBy,
+        resolvedAt: new Date(now).toISOString()
+      };
+      const changed = entry.countryCode !== activeNumbers?.countryCode || entry.region !== activeNumbers?.region;
+
+      setActiveNumbers(entry);
+      await offlineDataService.cacheEmergencyNumbers(entry);
+
+      return { success: true, numbers: entry, changed };
+    } catch (error) {
+      console.error('Emergency Numbers Error:', error);
+      return { success: false, error: error.message, numbers: emergencyNumberService.getActiveNumbers() };
+    }
+  },
+
+  // 24/7 consular line for the traveller's (free-text) nationality, if known
+  getConsularHotline: (nationality) => {
+    const code = getNationalityCode(nationality);
+    return CONSULAR_HOTLINES[code] ? { countryCode: code, ...CONSULAR_HOTLINES[code] } : null;
+  },
+
+  getLabel: (key) => NUMBER_LABELS[key] || key,
+
+  // "Police: 100" lines for messages; keys limits and orders what is listed and
+  // services sharing a number share a line ("Police / Ambulance: 911")
+  formatNumbers: (entry = emergencyNumberService.getActiveNumbers(), keys = ['police', 'ambulance', 'touristPolice']) => {
+    const labelsByNumber = new Map();
+
+    keys.forEach(key => {
+      const number = entry.numbers[key];
+      if (number) {
+        labelsByNumber.set(number, [...(labelsByNumber.get(number) || []), NUMBER_LABELS[key]]);
+      }
+    });
+
+    return [...labelsByNumber].map(([number, labels]) => `${labels.join(' / ')}: ${number}`).join('\n');
+  }
+};
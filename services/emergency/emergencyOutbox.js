@@ -0,0 +1,245 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { offlineDataService } from '../offline/offlineDataService';
+import { DELIVERY_STATUS, EMERGENCY_OUTBOX_CONFIG, STORAGE_KEYS } from '../../utils/constants';
+
+// Sync queue item types owned by the outbox
+export const OUTBOX_TYPES = {
+  SMS: 'emergency_sms',
+  RECORD: 'emergency_record'
+};
+
+// Longest single wait; long JS timers are unreliable on Android
+const MAX_TIMER_DELAY = 60000;
+
+let drainTimer = null;
+const listeners = new Set();
+
+const smsItemId = (alertId, contactId) => `${OUTBOX_TYPES.SMS}_${alertId}_${contactId}`;
+const recordItemId = (alertId) => `${OUTBOX_TYPES.RECORD}_${alertId}`;
+
+// Only what is needed to resend the SMS after a restart
+const toQueuedContact = (contact) => ({
+  id: contact.id,
+  name: contact.name,
+  phoneNumber: contact.phoneNumber,
+  isPrimary: !!contact.isPrimary,
+  ackLink: contact.ackLink || null,
+  replyCode: contact.replyCode || null
+});
+
+const getOutboxItems = async () => {
+  const queueResult = await offlineDataService.getSyncQueue();
+  if (!queueResult.success) {
+    return [];
+  }
+  return queueResult.queue.filter(emergencyOutboxService.isOutboxItem);
+};
+
+const readDeliveries = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.EMERGENCY_DELIVERIES);
+  return stored ? JSON.parse(stored) : {};
+};
+
+// Durable outbox for emergency SMS and Firestore records that could not be sent.
+// Items live in the offline sync queue at the highest priority and are retried
+// with exponential backoff (SMS through the server sender, never the composer);
+// a separate per-contact status map feeds the UI.
+export const emergencyOutboxService = {
+  isOutboxItem: (item) => Object.values(OUTBOX_TYPES).includes(item.type),
+
+  // Wait before the next attempt: 15s, 30s, 1m, 2m ... capped at MAX_RETRY_DELAY
+  getRetryDelay: (attempts) => Math.min(
+    EMERGENCY_OUTBOX_CONFIG.BASE_RETRY_DELAY * 2 ** Math.max(0, attempts - 1),
+    EMERGENCY_OUTBOX_CONFIG.MAX_RETRY_DELAY
+  ),
+
+  // Listen for delivery status changes: (alertId, statuses) => void
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // Per-contact delivery status for every recent alert
+  getDeliveryStatus: async () => {
+    try {
+      return { success: true, deliveries: await readDeliveries() };
+    } catch (error) {
+      return { success: false, error: error.message, deliveries: {} };
+    }
+  },
+
+  // Record one contact's delivery state and drop alerts past the retention window
+  setDeliveryStatus: async (alertId, contact, status, details = {}, now = Date.now()) => {
+    try {
+      const deliveries = await readDeliveries();
+
+      Object.keys(deliveries).forEach(id => {
+        if (now - (deliveries[id].updatedAt || 0) > EMERGENCY_OUTBOX_CONFIG.STATUS_RETENTION) {
+          delete deliveries[id];
+        }
+      });
+
+      const alert = deliveries[alertId] || { contacts: {} };
+      alert.contacts[contact.id] = {
+        name: contact.name,
+        status,
+        attempts: details.attempts || 1,
+        nextAttemptAt: details.nextAttemptAt || null,
+        lastError: details.lastError || null,
+        updatedAt: now
+      };
+      alert.updatedAt = now;
+      deliveries[alertId] = alert;
+
+      await AsyncStorage.setItem(STORAGE_KEYS.EMERGENCY_DELIVERIES, JSON.stringify(deliveries));
+      listeners.forEach(listener => listener(alertId, alert.contacts));
+
+      return { success: true };
+    } catch (error) {
+      console.error('Delivery Status Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Queue an SMS whose first attempt failed
+  enqueueSMS: async (alertId, contact, message, lastError, now = Date.now()) => {
+    try {
+      const id = smsItemId(alertId, contact.id);
+      const existing = await getOutboxItems();
+      if (existing.some(item => item.id === id)) {
+        return { success: true, queued: false };
+      }
+
+      const nextAttemptAt = now + emergencyOutboxService.getRetryDelay(1);
+      const result = await offlineDataService.addToSyncQueue({
+        id,
+        type: OUTBOX_TYPES.SMS,
+        priority: EMERGENCY_OUTBOX_CONFIG.PRIORITY,
+        maxRetries: EMERGENCY_OUTBOX_CONFIG.MAX_ATTEMPTS,
+        retryCount: 1,
+        nextAttemptAt,
+        lastError,
+        data: { alertId, contact: toQueuedContact(contact), message }
+      });
+      if (!result.success) {
+        return result;
+      }
+
+      await emergencyOutboxService.setDeliveryStatus(alertId, contact, DELIVERY_STATUS.RETRYING, {
+        attempts: 1,
+        nextAttemptAt,
+        lastError
+      }, now);
+
+      return { success: true, queued: true, nextAttemptAt };
+    } catch (error) {
+      console.error('Outbox Enqueue Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Queue the Firestore emergency record when logging it failed
+  enqueueRecord: async (alertId, emergencyId, record, lastError, now = Date.now()) => {
+    try {
+      const id = recordItemId(alertId);
+      const existing = await getOutboxItems();
+      if (existing.some(item => item.id === id)) {
+        return { success: true, queued: false };
+      }
+
+      return await offlineDataService.addToSyncQueue({
+        id,
+        type: OUTBOX_TYPES.RECORD,
+        priority: EMERGENCY_OUTBOX_CONFIG.PRIORITY,
+        maxRetries: EMERGENCY_OUTBOX_CONFIG.MAX_ATTEMPTS,
+        retryCount: 1,
+        nextAttemptAt: now + emergencyOutboxService.getRetryDelay(1),
+        lastError,
+        data: { alertId, emergencyId, record }
+      });
+    } catch (error) {
+      console.error('Outbox Enqueue Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Items whose backoff has elapsed (all of them when forced), in queue priority order
+  getDueItems: async (now = Date.now(), force = false) => {
+    const items = await getOutboxItems();
+    return force ? items : items.filter(item => (item.nextAttemptAt || 0) <= now);
+  },
+
+  // Earliest pending attempt, or null when the outbox is empty
+  getNextAttemptAt: async () => {
+    const items = await getOutboxItems();
+    if (items.length === 0) {
+      return null;
+    }
+    return Math.min(...items.map(item => item.nextAttemptAt || 0));
+  },
+
+  markDelivered: async (item, now = Date.now()) => {
+    await offlineDataService.removeFromSyncQueue(item.id);
+
+    if (item.type === OUTBOX_TYPES.SMS) {
+      await emergencyOutboxService.setDeliveryStatus(item.data.alertId, item.data.contact, DELIVERY_STATUS.SENT, {
+        attempts: item.retryCount + 1
+      }, now);
+    }
+  },
+
+  // Back off after a failed retry, or give up once MAX_ATTEMPTS is reached
+  markFailed: async (item, lastError, now = Date.now()) => {
+    const attempts = item.retryCount + 1;
+
+    if (attempts >= item.maxRetries) {
+      await offlineDataService.removeFromSyncQueue(item.id);
+      if (item.type === OUTBOX_TYPES.SMS) {
+        await emergencyOutboxService.setDeliveryStatus(item.data.alertId, item.data.contact, DELIVERY_STATUS.FAILED, {
+          attempts,
+          lastError
+        }, now);
+      }
+      return { gaveUp: true, attempts };
+    }
+
+    const nextAttemptAt = now + emergencyOutboxService.getRetryDelay(attempts);
+    await offlineDataService.updateSyncQueueItem(item.id, { retryCount: attempts, nextAttemptAt, lastError });
+
+    if (item.type === OUTBOX_TYPES.SMS) {
+      await emergencyOutboxService.setDeliveryStatus(item.data.alertId, item.data.contact, DELIVERY_STATUS.RETRYING, {
+        attempts,
+        nextAttemptAt,
+        lastError
+      }, now);
+    }
+    return { gaveUp: false, attempts, nextAttemptAt };
+  },
+
+  // Run the handler when the next item is due
+  scheduleDrain: async (handler, now = Date.now()) => {
+    if (drainTimer) {
+      clearTimeout(drainTimer);
+      drainTimer = null;
+    }
+
+    const nextAttemptAt = await emergencyOutboxService.getNextAttemptAt();
+    if (nextAttemptAt === null) {
+      return null;
+    }
+
+    const delay = Math.max(0, Math.min(nextAttemptAt - now, MAX_TIMER_DELAY));
+    drainTimer = setTimeout(() => {
+      drainTimer = null;
+      handler();
+    }, delay);
+    return nextAttemptAt;
+  },
+
+  cancelScheduledDrain: () => {
+    if (drainTimer) {
+      clearTimeout(drainTimer);
+      drainTimer = null;
+    }
+  }
+};
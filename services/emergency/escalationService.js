@@ -0,0 +1,480 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { emergencyAlertService } from './alertService';
+import { acknowledgementService } from './acknowledgementService';
+import { emergencyNumberService } from './emergencyNumberService';
+import { messagingService } from '../firebase/messaging';
+import { encryptionService } from '../security/encryption';
+import {
+  ACK_STATUS,
+  ESCALATION_CONFIG,
+  ESCALATION_STAGES,
+  NOTIFICATION_TYPES,
+  STORAGE_KEYS
+} from '../../utils/constants';
+
+const MINUTE = 60 * 1000;
+
+// Stages of a running escalation; ACKNOWLEDGED and CANCELLED end it
+const ACTIVE_STAGES = [
+  ESCALATION_STAGES.PRIMARY_ALERTED,
+  ESCALATION_STAGES.ALL_CONTACTS_ALERTED,
+  ESCALATION_STAGES.CALL_PROMPTED
+];
+
+let currentEscalation = null;
+let escalationTimer = null;
+let pendingAdvance = null;
+const listeners = new Set();
+
+// Keep only what later stages need to resend alerts after a restart
+const toStoredContact = (contact) => ({
+  id: contact.id,
+  name: contact.name,
+  phoneNumber: contact.phoneNumber,
+  relationship: contact.relationship || null,
+  isPrimary: !!contact.isPrimary,
+  ackLink: contact.ackLink || null,
+  replyCode: contact.replyCode || null
+});
+
+const getPrimaryContact = (contacts) => contacts.find(contact => contact.isPrimary) || contacts[0] || null;
+
+const getOtherContacts = (escalation) => {
+  const primary = getPrimaryContact(escalation.contacts);
+  return escalation.contacts.filter(contact => contact !== primary);
+};
+
+const getUnacknowledgedContacts = (contacts, escalation) => (
+  contacts.filter(contact => !escalation.acknowledgements[contact.id])
+);
+
+const clearTimer = () => {
+  if (escalationTimer) {
+    clearTimeout(escalationTimer);
+    escalationTimer = null;
+  }
+};
+
+// Wake up at the deadline, but never sleep longer than the check interval
+// (long JS timers are unreliable on Android)
+const scheduleNextCheck = (escalation) => {
+  clearTimer();
+  if (!escalationService.isActive(escalation) || !escalation.deadline) {
+    return;
+  }
+
+  const delay = Math.max(0, Math.min(escalation.deadline - Date.now(), ESCALATION_CONFIG.TIMER_CHECK_INTERVAL));
+  escalationTimer = setTimeout(() => {
+    escalationTimer = null;
+    escalationService.advance();
+  }, delay);
+};
+
+const setEscalation = async (escalation) => {
+  currentEscalation = escalation;
+
+  if (escalation) {
+    await AsyncStorage.setItem(STORAGE_KEYS.EMERGENCY_ESCALATION, JSON.stringify(escalation));
+  } else {
+    await AsyncStorage.removeItem(STORAGE_KEYS.EMERGENCY_ESCALATION);
+  }
+
+  listeners.forEach(listener => listener(escalation));
+};
+
+// Record a stage entry (pure)
+const enterStage = (escalation, stage, at, detail = null) => {
+  const timeout = escalationService.getStageTimeout(stage, escalation.timers);
+
+  return {
+    ...escalation,
+    stage,
+    stageEnteredAt: at,
+    deadline: timeout ? at + timeout : null,
+    history: [...escalation.history, { stage, at, detail }]
+  };
+};
+
+// Append the outcome of a stage's side effects to its history entry (pure)
+const recordOutcome = (escalation, outcome) => {
+  const history = [...escalation.history];
+  const last = history[history.length - 1];
+  history[history.length - 1] = { ...last, detail: { ...last.detail, ...outcome } };
+  return { ...escalation, history };
+};
+
+const summarizeSMS = (smsResults = []) => ({
+  smsSent: smsResults.filter(result => result.success).length,
+  smsFailed: smsResults.filter(result => !result.success).length
+});
+
+// Side effects of entering a stage. Failures are recorded, never fatal:
+// the escalation must keep moving even when SMS or the network is down.
+const runStageAction = async (escalation) => {
+  try {
+    switch (escalation.stage) {
+      case ESCALATION_STAGES.PRIMARY_ALERTED: {
+        const primary = getPrimaryContact(escalation.contacts);
+        const result = await emergencyAlertService.sendEmergencyAlert(
+          escalation.location,
+          escalation.userProfile,
+          primary ? [primary] : [],
+          escalation.message,
+          { emergencyId: escalation.emergencyId, acknowledgements: escalation.ackRecords }
+        );
+
+        return recordOutcome(
+          { ...escalation, ackRecords: null },
+          {
+            contactId: primary?.id || null,
+            ...summarizeSMS(result.smsResults),
+            logged: !!result.firestoreResults?.[0]?.success,
+            error: result.error || null
+          }
+        );
+      }
+
+      case ESCALATION_STAGES.ALL_CONTACTS_ALERTED: {
+        const contacts = getUnacknowledgedContacts(getOtherContacts(escalation), escalation);
+        const message = `No response from my primary contact.\n\n${escalation.message}`;
+        const smsResults = await emergencyAlertService.alertContacts(contacts, message, escalation.location, escalation.emergencyId);
+
+        if (escalation.emergencyId) {
+          await emergencyAlertService.updateEmergencyStatus(escalation.emergencyId, {
+            escalationStage: escalation.stage
+          });
+        }
+
+        return recordOutcome(escalation, { contactIds: contacts.map(contact => contact.id), ...summarizeSMS(smsResults) });
+      }
+
+      case ESCALATION_STAGES.CALL_PROMPTED: {
+        const callNumbers = escalationService.getCallNumbers();
+        const callText = callNumbers.map(({ label, number }) => `${label} (${number})`).join(' or ');
+
+        await messagingService.scheduleNotification(
+          '📞 No response yet - call for help',
+          `None of your contacts have responded. Call ${callText}.`,
+          {
+            type: NOTIFICATION_TYPES.EMERGENCY,
+            escalationStage: escalation.stage,
+            callNumbers: callNumbers.map(({ number }) => number)
+          }
+        );
+
+        if (escalation.emergencyId) {
+          await emergencyAlertService.updateEmergencyStatus(escalation.emergencyId, {
+            escalationStage: escalation.stage
+          });
+        }
+
+        return recordOutcome(escalation, {
+          unacknowledgedContactIds: getUnacknowledgedContacts(escalation.contacts, escalation).map(contact => contact.id)
+        });
+      }
+
+      default:
+        return escalation;
+    }
+  } catch (error) {
+    console.error('Escalation Stage Error:', error);
+    return recordOutcome(escalation, { error: error.message });
+  }
+};
+
+// The escalation we are working on was acknowledged or cancelled meanwhile
+const isSuperseded = (escalation) => (
+  currentEscalation?.id !== escalation.id || !escalationService.isActive(currentEscalation)
+);
+
+// Stages are entered at their scheduled time, so after a long restart the
+// timeline catches up instead of restarting every wait
+const advanceStages = async (now) => {
+  try {
+    let escalation = currentEscalation;
+    if (!escalationService.isActive(escalation)) {
+      return { success: true, escalation };
+    }
+
+    while (escalation.deadline && now >= escalation.deadline) {
+      const nextStage = escalationService.getNextStage(escalation);
+      escalation = enterStage(escalation, nextStage, escalation.deadline);
+      escalation = await runStageAction(escalation);
+
+      if (isSuperseded(escalation)) {
+        return { success: true, escalation: currentEscalation };
+      }
+    }
+
+    if (escalation !== currentEscalation) {
+      await setEscalation(escalation);
+    }
+    scheduleNextCheck(escalation);
+
+    return { success: true, escalation };
+  } catch (error) {
+    console.error('Escalation Advance Error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Record one contact's acknowledgement; the first one stops the escalation
+const applyAcknowledgement = async ({ contactId, status, source, at }, writeRecord) => {
+  const escalation = currentEscalation;
+  const wasActive = escalationService.isActive(escalation);
+
+  // Status updates (seen -> en route) still apply after the escalation stopped
+  if (!escalation || (!wasActive && !contactId)) {
+    return { success: false, error: 'No active escalation' };
+  }
+
+  const contact = escalation.contacts.find(item => item.id === contactId);
+  let updated = escalation;
+
+  if (contactId) {
+    updated = {
+      ...updated,
+      acknowledgements: { ...updated.acknowledgements, [contactId]: { status, at, source } }
+    };
+  }
+
+  if (wasActive) {
+    clearTimer();
+    updated = {
+      ...enterStage(updated, ESCALATION_STAGES.ACKNOWLEDGED, at, { contactId, source }),
+      acknowledgedBy: { contactId, name: contact?.name || null, status, source, at }
+    };
+  }
+
+  await setEscalation(updated);
+
+  if (escalation.emergencyId) {
+    if (writeRecord && contactId) {
+      await acknowledgementService.recordAcknowledgement(escalation.emergencyId, contactId, status, source, at);
+    }
+    if (wasActive) {
+      await emergencyAlertService.updateEmergencyStatus(escalation.emergencyId, {
+        escalationStage: ESCALATION_STAGES.ACKNOWLEDGED,
+        acknowledgedBy: updated.acknowledgedBy
+      });
+    }
+  }
+
+  return { success: true, escalation: updated };
+};
+
+export const escalationService = {
+  // Whether an escalation is still running
+  isActive: (escalation) => !!escalation && ACTIVE_STAGES.includes(escalation.stage),
+
+  // How long a stage waits for an acknowledgement (null for the last stage)
+  getStageTimeout: (stage, timers) => {
+    switch (stage) {
+      case ESCALATION_STAGES.PRIMARY_ALERTED:
+        return timers.primaryAckTimeoutMs;
+      case ESCALATION_STAGES.ALL_CONTACTS_ALERTED:
+        return timers.allContactsAckTimeoutMs;
+      default:
+        return null;
+    }
+  },
+
+  // Stage that follows a timeout; widening is skipped when there is nobody to widen to
+  getNextStage: (escalation) => {
+    switch (escalation.stage) {
+      case ESCALATION_STAGES.PRIMARY_ALERTED:
+        return getOtherContacts(escalation).length > 0
+          ? ESCALATION_STAGES.ALL_CONTACTS_ALERTED
+          : ESCALATION_STAGES.CALL_PROMPTED;
+      case ESCALATION_STAGES.ALL_CONTACTS_ALERTED:
+        return ESCALATION_STAGES.CALL_PROMPTED;
+      default:
+        return null;
+    }
+  },
+
+  // Seconds until the next stage, or null when nothing is pending
+  getSecondsRemaining: (escalation, now = Date.now()) => {
+    if (!escalationService.isActive(escalation) || !escalation.deadline) {
+      return null;
+    }
+    return Math.max(0, Math.ceil((escalation.deadline - now) / 1000));
+  },
+
+  getEscalation: () => currentEscalation,
+
+  // Numbers the last stage prompts a call to, for the country the user is in:
+  // [{ key, label, number }], services sharing a number listed once
+  getCallNumbers: (entry = emergencyNumberService.getActiveNumbers()) => (
+    ESCALATION_CONFIG.CALL_NUMBER_KEYS
+      .filter((key, index, keys) => {
+        const number = entry.numbers[key];
+        return number && keys.slice(0, index).every(previous => entry.numbers[previous] !== number);
+      })
+      .map(key => ({ key, label: emergencyNumberService.getLabel(key), number: entry.numbers[key] }))
+  ),
+
+  // Listen for stage changes; returns an unsubscribe function
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // Alert the primary contact and start the acknowledgement timer
+  startEscalation: async ({ location, userProfile, contacts = [], message = null, config = {} }, now = Date.now()) => {
+    try {
+      clearTimer();
+
+      const emergencyId = encryptionService.generateUUID();
+      let storedContacts = (contacts || []).map(toStoredContact);
+      let ackRecords = {};
+
+      // Without links and codes contacts can still be acknowledged manually
+      const ackResult = await acknowledgementService.createContactAcknowledgements(emergencyId, storedContacts);
+      if (ackResult.success) {
+        storedContacts = ackResult.contacts;
+        ackRecords = ackResult.records;
+      }
+
+      let escalation = {
+        id: `escalation-${now}`,
+        stage: null,
+        startedAt: now,
+        stageEnteredAt: null,
+        deadline: null,
+        location,
+        userProfile: { id: userProfile?.id || userProfile?.userId || null, name: userProfile?.name || null },
+        contacts: storedContacts,
+        message: message || emergencyAlertService.buildEmergencyMessage(location, userProfile || {}),
+        emergencyId,
+        ackRecords,
+        timers: {
+          primaryAckTimeoutMs: (config.primaryAckTimeoutMinutes ?? ESCALATION_CONFIG.PRIMARY_ACK_TIMEOUT_MINUTES) * MINUTE,
+          allContactsAckTimeoutMs: (config.allContactsAckTimeoutMinutes ?? ESCALATION_CONFIG.ALL_CONTACTS_ACK_TIMEOUT_MINUTES) * MINUTE
+        },
+        acknowledgements: {},
+        acknowledgedBy: null,
+        history: []
+      };
+
+      escalation = enterStage(escalation, ESCALATION_STAGES.PRIMARY_ALERTED, now);
+      await setEscalation(escalation);
+      escalation = await runStageAction(escalation);
+
+      // Nobody to wait for: go straight to the call prompt
+      if (storedContacts.length === 0 && !isSuperseded(escalation)) {
+        escalation = enterStage(escalation, ESCALATION_STAGES.CALL_PROMPTED, now);
+        escalation = await runStageAction(escalation);
+      }
+
+      if (isSuperseded(escalation)) {
+        return { success: true, escalation: currentEscalation };
+      }
+
+      await setEscalation(escalation);
+      scheduleNextCheck(escalation);
+
+      return { success: true, escalation };
+    } catch (error) {
+      console.error('Escalation Start Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Move through every stage whose deadline has passed (one run at a time)
+  advance: (now = Date.now()) => {
+    if (!pendingAdvance) {
+      pendingAdvance = advanceStages(now).finally(() => {
+        pendingAdvance = null;
+      });
+    }
+    return pendingAdvance;
+  },
+
+  // Reload a persisted escalation after an app restart and catch up on missed stages
+  resumeEscalation: async (now = Date.now()) => {
+    try {
+      if (!currentEscalation) {
+        const stored = await AsyncStorage.getItem(STORAGE_KEYS.EMERGENCY_ESCALATION);
+        if (!stored) {
+          return { success: true, escalation: null };
+        }
+        await setEscalation(JSON.parse(stored));
+      }
+
+      return await escalationService.advance(now);
+    } catch (error) {
+      console.error('Escalation Resume Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // A contact (or the user on their behalf) confirmed they have seen the alert
+  acknowledge: async ({ contactId = null, status = ACK_STATUS.SEEN, source = 'manual' } = {}, now = Date.now()) => {
+    try {
+      return await applyAcknowledgement({ contactId, status, source, at: now }, true);
+    } catch (error) {
+      console.error('Escalation Acknowledge Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // The tourist typed in a reply code a contact texted back
+  acknowledgeWithReplyCode: async (code, status = ACK_STATUS.SEEN, now = Date.now()) => {
+    const contact = currentEscalation
+      ? acknowledgementService.matchReplyCode(currentEscalation.contacts, code)
+      : null;
+    if (!contact) {
+      return { success: false, error: 'Reply code does not match any contact' };
+    }
+
+    return await escalationService.acknowledge({ contactId: contact.id, status, source: 'reply_code' }, now);
+  },
+
+  // Apply acknowledgements streamed from the emergency document
+  syncAcknowledgements: async (emergencyId, acknowledgements) => {
+    try {
+      let result = { success: true, escalation: currentEscalation };
+
+      for (const ack of acknowledgementService.getAcknowledged(acknowledgements)) {
+        const escalation = currentEscalation;
+        if (!escalation || escalation.emergencyId !== emergencyId) {
+          break;
+        }
+
+        const known = escalation.acknowledgements[ack.contactId];
+        if (known && known.status === ack.status) {
+          continue;
+        }
+
+        result = await applyAcknowledgement({ ...ack, at: ack.at || Date.now() }, false);
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Acknowledgement Sync Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Stop escalating and forget the persisted state (panic mode deactivated)
+  cancelEscalation: async () => {
+    try {
+      const escalation = currentEscalation;
+      clearTimer();
+      await setEscalation(null);
+
+      if (escalation?.emergencyId && escalationService.isActive(escalation)) {
+        await emergencyAlertService.updateEmergencyStatus(escalation.emergencyId, {
+          status: 'resolved',
+          escalationStage: ESCALATION_STAGES.CANCELLED
+        });
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Escalation Cancel Error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+};
@@ -0,0 +1,69 @@
+import { encryptionService } from '../security/encryption';
+
+// Hash chain over the evidence captured for one emergency. Every chunk commits to
+// its own content hash and to the chunk before it, so a removed, reordered or
+// altered recording breaks every link after it. The first link starts from a hash
+// of the emergency id, tying the chain to one emergency record.
+
+const hashOrThrow = async (data) => {
+  const result = await encryptionService.generateHash(data);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to hash evidence');
+  }
+  return result.hash;
+};
+
+export const getGenesisHash = (emergencyId) => hashOrThrow(`evidence:${emergencyId}`);
+
+export const hashContent = (content) => hashOrThrow(content);
+
+// The fields a link covers; anything else on the chunk (upload state, URLs) may change
+export const computeChainHash = (previousHash, { index, type, capturedAt, contentHash }) =>
+  hashOrThrow([previousHash, index, type, capturedAt, contentHash].join('|'));
+
+// Build the next link from the current head
+export const createLink = async (previousHash, { index, type, capturedAt, content }) => {
+  const contentHash = await hashContent(content);
+  const chainHash = await computeChainHash(previousHash, { index, type, capturedAt, contentHash });
+  return { index, type, capturedAt, contentHash, previousHash, chainHash };
+};
+
+// Check the chain link by link. readContent(chunk) may return the chunk's content
+// (or null when it is not available) to check it against the recorded content hash
+export const verifyChain = async (emergencyId, chunks, { readContent } = {}) => {
+  try {
+    const ordered = [...chunks].sort((a, b) => a.index - b.index);
+    let expectedPrevious = await getGenesisHash(emergencyId);
+    let contentChecked = 0;
+
+    for (let position = 0; position < ordered.length; position++) {
+      const chunk = ordered[position];
+
+      if (chunk.index !== position) {
+        return { valid: false, brokenAt: position, reason: 'missing_chunk', verifiedCount: position };
+      }
+      if (chunk.previousHash !== expectedPrevious) {
+        return { valid: false, brokenAt: position, reason: 'broken_link', verifiedCount: position };
+      }
+      if (await computeChainHash(expectedPrevious, chunk) !== chunk.chainHash) {
+        return { valid: false, brokenAt: position, reason: 'chain_hash_mismatch', verifiedCount: position };
+      }
+
+      if (readContent) {
+        const content = await readContent(chunk);
+        if (content !== null && content !== undefined) {
+          if (await hashContent(content) !== chunk.contentHash) {
+            return { valid: false, brokenAt: position, reason: 'content_mismatch', verifiedCount: position };
+          }
+          contentChecked += 1;
+        }
+      }
+
+      expectedPrevious = chunk.chainHash;
+    }
+
+    return { valid: true, verifiedCount: ordered.length, contentChecked, head: expectedPrevious };
+  } catch (error) {
+    return { valid: false, reason: 'error', error: error.message, verifiedCount: 0 };
+  }
+};
@@ -0,0 +1,367 @@
+import { Audio } from 'expo-av';
+import * as FileSystem from 'expo-file-system';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { firestoreService } from '../firebase/firestore';
+import { uploadEmergencyEvidence } from '../firebase/storage';
+import { createLink, getGenesisHash, verifyChain } from './evidenceChain';
+import { EVIDENCE_CONFIG, EVIDENCE_TYPES, STORAGE_KEYS } from '../../utils/constants';
+
+const FILE_EXTENSIONS = {
+  [EVIDENCE_TYPES.AUDIO]: 'm4a',
+  [EVIDENCE_TYPES.PHOTO]: 'jpg'
+};
+
+const CONTENT_TYPES = {
+  [EVIDENCE_TYPES.AUDIO]: 'audio/mp4',
+  [EVIDENCE_TYPES.PHOTO]: 'image/jpeg'
+};
+
+let session = null;
+let recording = null;
+let audioTimer = null;
+let photoTimer = null;
+let retryTimer = null;
+let photoSource = null;
+let pendingUpload = null;
+// Appends and upload bookkeeping both rewrite the manifest; run them one at a time
+let manifestQueue = Promise.resolve();
+const listeners = new Set();
+
+const chunkId = (chunk) => `${chunk.index}_${chunk.type}`;
+
+const readManifest = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.EMERGENCY_EVIDENCE);
+  return stored ? JSON.parse(stored) : {};
+};
+
+const summarize = (evidence) => {
+  const chunks = evidence?.chunks || [];
+  const uploaded = chunks.filter(chunk => chunk.uploaded).length;
+  return {
+    capturing: !!session && session.emergencyId === evidence?.emergencyId,
+    count: chunks.length,
+    uploaded,
+    pending: chunks.length - uploaded,
+    head: evidence?.head || null
+  };
+};
+
+const notify = (evidence) => {
+  const summary = summarize(evidence);
+  listeners.forEach(listener => listener(evidence.emergencyId, summary));
+};
+
+const withManifest = (task) => {
+  const run = manifestQueue.then(async () => {
+    const manifest = await readManifest();
+    const result = await task(manifest);
+    await AsyncStorage.setItem(STORAGE_KEYS.EMERGENCY_EVIDENCE, JSON.stringify(manifest));
+    return result;
+  });
+  manifestQueue = run.catch(() => {});
+  return run;
+};
+
+const clearTimers = () => {
+  clearTimeout(audioTimer);
+  clearInterval(photoTimer);
+  clearTimeout(retryTimer);
+  audioTimer = null;
+  photoTimer = null;
+  retryTimer = null;
+};
+
+const startAudioChunk = async () => {
+  const { emergencyId, userId } = session;
+  const { recording: instance } = await Audio.Recording.createAsync(Audio.RecordingOptionsPresets.HIGH_QUALITY);
+  recording = { instance, emergencyId, userId, startedAt: Date.now() };
+  audioTimer = setTimeout(rotateAudioChunk, EVIDENCE_CONFIG.AUDIO_CHUNK_MS);
+};
+
+// Close the running recording and add it to the chain
+const finishAudioChunk = async () => {
+  if (!recording) {
+    return;
+  }
+
+  const { instance, emergencyId, userId, startedAt } = recording;
+  recording = null;
+  await instance.stopAndUnloadAsync();
+  await evidenceService.addChunk({
+    emergencyId,
+    userId,
+    type: EVIDENCE_TYPES.AUDIO,
+    uri: instance.getURI(),
+    capturedAt: startedAt
+  });
+};
+
+const rotateAudioChunk = async () => {
+  try {
+    await finishAudioChunk();
+    if (session) {
+      await startAudioChunk();
+    }
+    evidenceService.uploadPending();
+  } catch (error) {
+    console.error('Evidence Audio Error:', error);
+  }
+};
+
+const capturePhoto = async () => {
+  if (!session || !photoSource) {
+    return;
+  }
+
+  const { emergencyId, userId } = session;
+  try {
+    const photo = await photoSource();
+    if (photo?.uri) {
+      await evidenceService.addChunk({ emergencyId, userId, type: EVIDENCE_TYPES.PHOTO, uri: photo.uri });
+      evidenceService.uploadPending();
+    }
+  } catch (error) {
+    console.error('Evidence Photo Error:', error);
+  }
+};
+
+const scheduleRetry = () => {
+  if (!session || retryTimer) {
+    return;
+  }
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    evidenceService.uploadPending();
+  }, EVIDENCE_CONFIG.UPLOAD_RETRY_DELAY);
+};
+
+const uploadChunk = async (emergencyId, chunk) => {
+  const downloadURL = await uploadEmergencyEvidence(chunk.localUri, chunk.storagePath, CONTENT_TYPES[chunk.type]);
+
+  // Link the chunk and its place in the chain to the emergency record
+  const result = await firestoreService.setDocument('emergencies', emergencyId, {
+    evidence: {
+      [chunkId(chunk)]: {
+        index: chunk.index,
+        type: chunk.type,
+        capturedAt: chunk.capturedAt,
+        contentHash: chunk.contentHash,
+        previousHash: chunk.previousHash,
+        chainHash: chunk.chainHash,
+        storagePath: chunk.storagePath,
+        downloadURL
+      }
+    },
+    evidenceHead: chunk.chainHash,
+    evidenceCount: chunk.index + 1,
+    updatedAt: new Date()
+  });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return downloadURL;
+};
+
+const drainUploads = async () => {
+  let uploaded = 0;
+  let failed = 0;
+  const manifest = await readManifest();
+
+  for (const emergencyId of Object.keys(manifest)) {
+    // Upload in chain order and stop at the first failure so the record never skips a link
+    for (const chunk of manifest[emergencyId].chunks.filter(item => !item.uploaded)) {
+      try {
+        const downloadURL = await uploadChunk(emergencyId, chunk);
+        await withManifest(async (current) => {
+          const stored = current[emergencyId].chunks[chunk.index];
+          Object.assign(stored, { uploaded: true, downloadURL, lastError: null });
+          notify(current[emergencyId]);
+        });
+        // The uploaded copy is the evidence from here on
+        await FileSystem.deleteAsync(chunk.localUri, { idempotent: true });
+        uploaded += 1;
+      } catch (error) {
+        await withManifest(async (current) => {
+          current[emergencyId].chunks[chunk.index].lastError = error.message;
+        });
+        failed += 1;
+        break;
+      }
+    }
+  }
+
+  if (failed > 0) {
+    scheduleRetry();
+  }
+  return { success: failed === 0, uploaded, failed };
+};
+
+// Records audio in fixed-length chunks and takes periodic photos while an emergency
+// is active. Each chunk is hashed into a chain (see evidenceChain.js), kept on the
+// device until it is uploaded and then linked to the emergency record.
+export const evidenceService = {
+  isCapturing: () => !!session,
+
+  // Listen for evidence progress: (emergencyId, { capturing, count, uploaded, pending, head }) => void
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // The camera needs a mounted view; EvidenceCamera registers how to take a picture
+  setPhotoSource: (source) => {
+    photoSource = source;
+    if (source) {
+      capturePhoto();
+    }
+  },
+
+  startCapture: async ({ emergencyId, userId }) => {
+    try {
+      if (!emergencyId) {
+        return { success: false, error: 'An emergency id is required' };
+      }
+      if (session?.emergencyId === emergencyId) {
+        return { success: true, alreadyCapturing: true };
+      }
+      if (session) {
+        await evidenceService.stopCapture();
+      }
+
+      session = { emergencyId, userId: userId || 'anonymous' };
+
+      let audio = false;
+      const permission = await Audio.requestPermissionsAsync();
+      if (permission.granted) {
+        await Audio.setAudioModeAsync({
+          allowsRecordingIOS: true,
+          playsInSilentModeIOS: true,
+          staysActiveInBackground: true
+        });
+        await startAudioChunk();
+        audio = true;
+      }
+
+      photoTimer = setInterval(capturePhoto, EVIDENCE_CONFIG.PHOTO_INTERVAL_MS);
+      capturePhoto();
+
+      const { evidence } = await evidenceService.getEvidence(emergencyId);
+      notify(evidence);
+
+      return { success: true, audio };
+    } catch (error) {
+      console.error('Evidence Capture Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Stop capturing, keep the last partial recording and try to upload what is left
+  stopCapture: async () => {
+    try {
+      if (!session) {
+        return { success: true };
+      }
+
+      const { emergencyId } = session;
+      session = null;
+      clearTimers();
+
+      await finishAudioChunk();
+      await Audio.setAudioModeAsync({ allowsRecordingIOS: false, staysActiveInBackground: false });
+
+      const { evidence } = await evidenceService.getEvidence(emergencyId);
+      notify(evidence);
+      evidenceService.uploadPending();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Evidence Capture Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Hash one captured file into the chain and move it out of the cache directory
+  addChunk: ({ emergencyId, userId, type, uri, capturedAt = Date.now() }) => withManifest(async (manifest) => {
+    const evidence = manifest[emergencyId] || { emergencyId, userId, head: null, chunks: [] };
+    const index = evidence.chunks.length;
+    const previousHash = evidence.head || await getGenesisHash(emergencyId);
+
+    const content = await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+    const link = await createLink(previousHash, { index, type, capturedAt, content });
+
+    const fileName = `${index}_${type}.${FILE_EXTENSIONS[type]}`;
+    const directory = `${FileSystem.documentDirectory}${EVIDENCE_CONFIG.LOCAL_DIRECTORY}${emergencyId}/`;
+    await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+    await FileSystem.moveAsync({ from: uri, to: `${directory}${fileName}` });
+
+    const chunk = {
+      ...link,
+      localUri: `${directory}${fileName}`,
+      storagePath: `${EVIDENCE_CONFIG.STORAGE_PATH}/${evidence.userId}/${emergencyId}/${fileName}`,
+      uploaded: false
+    };
+    evidence.chunks.push(chunk);
+    evidence.head = chunk.chainHash;
+    manifest[emergencyId] = evidence;
+    notify(evidence);
+
+    return { success: true, chunk };
+  }),
+
+  // Upload every chunk still on the device; safe to call repeatedly
+  uploadPending: () => {
+    if (!pendingUpload) {
+      pendingUpload = drainUploads()
+        .catch(error => {
+          console.error('Evidence Upload Error:', error);
+          return { success: false, error: error.message };
+        })
+        .finally(() => {
+          pendingUpload = null;
+        });
+    }
+    return pendingUpload;
+  },
+
+  getEvidence: async (emergencyId) => {
+    try {
+      const manifest = await readManifest();
+      const evidence = manifest[emergencyId] || { emergencyId, head: null, chunks: [] };
+      return { success: true, evidence, summary: summarize(evidence) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Verify the chain kept on this device, re-hashing files not yet uploaded
+  verifyLocalEvidence: async (emergencyId) => {
+    const { evidence } = await evidenceService.getEvidence(emergencyId);
+
+    return await verifyChain(emergencyId, evidence.chunks, {
+      readContent: async (chunk) => {
+        const info = await FileSystem.getInfoAsync(chunk.localUri);
+        return info.exists
+          ? await FileSystem.readAsStringAsync(chunk.localUri, { encoding: FileSystem.EncodingType.Base64 })
+          : null;
+      }
+    });
+  },
+
+  // Verify the chain linked to the emergency record; readContent may fetch the
+  // uploaded files (base64) to check them against their content hashes
+  verifyRecordedEvidence: async (emergencyId, { readContent } = {}) => {
+    const result = await firestoreService.getDocument('emergencies', emergencyId);
+    if (!result.success) {
+      return { valid: false, reason: 'error', error: result.error, verifiedCount: 0 };
+    }
+
+    const chunks = Object.values(result.data?.evidence || {});
+    const verification = await verifyChain(emergencyId, chunks, { readContent });
+    // A dropped last chunk leaves a valid but shorter chain; the recorded head catches it
+    if (verification.valid && result.data.evidenceHead && verification.head !== result.data.evidenceHead) {
+      return { ...verification, valid: false, reason: 'head_mismatch' };
+    }
+    return verification;
+  }
+};
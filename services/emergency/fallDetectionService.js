@@ -0,0 +1,102 @@
+import { Accelerometer } from 'expo-sensors';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createDetectorState, getDetectorConfig, processSample } from './fallDetector';
+import { FALL_DETECTION_CONFIG, FALL_DETECTION_SENSITIVITY, STORAGE_KEYS } from '../../utils/constants';
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  sensitivity: FALL_DETECTION_CONFIG.DEFAULT_SENSITIVITY,
+  countdownSeconds: FALL_DETECTION_CONFIG.DEFAULT_COUNTDOWN_SECONDS
+};
+
+let subscription = null;
+let detectorState = createDetectorState();
+let detectorConfig = getDetectorConfig();
+const listeners = new Set();
+
+const handleSample = (sample) => {
+  const result = processSample(detectorState, { ...sample, timestamp: Date.now() }, detectorConfig);
+  detectorState = result.state;
+
+  if (result.event) {
+    listeners.forEach(listener => listener(result.event));
+  }
+};
+
+// Feeds the accelerometer into the pure detector in fallDetector.js
+export const fallDetectionService = {
+  getSettings: async () => {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEYS.FALL_DETECTION_SETTINGS);
+      return { success: true, settings: { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) } };
+    } catch (error) {
+      return { success: false, error: error.message, settings: DEFAULT_SETTINGS };
+    }
+  },
+
+  updateSettings: async (updates) => {
+    try {
+      if (updates.sensitivity && !FALL_DETECTION_SENSITIVITY[updates.sensitivity]) {
+        return { success: false, error: `Unknown sensitivity: ${updates.sensitivity}` };
+      }
+
+      const { settings: current } = await fallDetectionService.getSettings();
+      const settings = { ...current, ...updates };
+      await AsyncStorage.setItem(STORAGE_KEYS.FALL_DETECTION_SETTINGS, JSON.stringify(settings));
+
+      // Apply a new sensitivity without restarting the sensor
+      detectorConfig = getDetectorConfig(settings.sensitivity);
+
+      return { success: true, settings };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  isAvailable: async () => {
+    try {
+      return await Accelerometer.isAvailableAsync();
+    } catch (error) {
+      return false;
+    }
+  },
+
+  isRunning: () => !!subscription,
+
+  // Start listening to the accelerometer
+  start: async (sensitivity = DEFAULT_SETTINGS.sensitivity) => {
+    try {
+      detectorConfig = getDetectorConfig(sensitivity);
+      if (subscription) {
+        return { success: true };
+      }
+
+      if (!(await fallDetectionService.isAvailable())) {
+        return { success: false, error: 'Accelerometer not available on this device' };
+      }
+
+      detectorState = createDetectorState();
+      Accelerometer.setUpdateInterval(FALL_DETECTION_CONFIG.SAMPLE_INTERVAL_MS);
+      subscription = Accelerometer.addListener(handleSample);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Fall Detection Start Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  stop: () => {
+    if (subscription) {
+      subscription.remove();
+      subscription = null;
+    }
+    detectorState = createDetectorState();
+  },
+
+  // Listen for detections: (event) => void; returns an unsubscribe function
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
@@ -0,0 +1,139 @@
+import { FALL_DETECTION_CONFIG, FALL_DETECTION_SENSITIVITY } from '../../utils/constants';
+
+// Pure fall / crash detection over accelerometer samples ({ x, y, z } in g plus a
+// timestamp in ms). A detection is a high-g impact followed by the phone lying
+// still; a short free fall just before the impact marks it as a fall rather than
+// a crash. No sensor or timer access here, so recorded traces can be replayed in tests.
+
+export const DETECTOR_PHASES = {
+  MONITORING: 'monitoring',
+  IMPACT: 'impact'
+};
+
+export const getMagnitude = ({ x, y, z }) => Math.sqrt(x * x + y * y + z * z);
+
+// Thresholds for a sensitivity preset (LOW, MEDIUM or HIGH)
+export const getDetectorConfig = (sensitivity = FALL_DETECTION_CONFIG.DEFAULT_SENSITIVITY) => ({
+  ...FALL_DETECTION_CONFIG,
+  ...(FALL_DETECTION_SENSITIVITY[sensitivity] || FALL_DETECTION_SENSITIVITY[FALL_DETECTION_CONFIG.DEFAULT_SENSITIVITY])
+});
+
+export const createDetectorState = () => ({
+  phase: DETECTOR_PHASES.MONITORING,
+  freeFallStart: null,
+  lastFreeFall: null,
+  impact: null,
+  stillSince: null,
+  cooldownUntil: 0
+});
+
+// Free fall that ended right before (or is still running at) the impact
+const getFreeFallBeforeImpact = (state, timestamp, config) => {
+  if (state.freeFallStart !== null) {
+    return timestamp - state.freeFallStart;
+  }
+  if (state.lastFreeFall && timestamp - state.lastFreeFall.endedAt <= config.SETTLE_MS / 2) {
+    return state.lastFreeFall.duration;
+  }
+  return 0;
+};
+
+const startImpact = (state, magnitude, timestamp, config) => {
+  const freeFallMs = getFreeFallBeforeImpact(state, timestamp, config);
+  return {
+    ...state,
+    phase: DETECTOR_PHASES.IMPACT,
+    freeFallStart: null,
+    lastFreeFall: null,
+    stillSince: null,
+    impact: {
+      at: timestamp,
+      peakG: magnitude,
+      freeFallMs: freeFallMs >= config.MIN_FREE_FALL_MS ? freeFallMs : 0
+    }
+  };
+};
+
+const trackFreeFall = (state, magnitude, timestamp, config) => {
+  if (magnitude < config.FREE_FALL_THRESHOLD_G) {
+    return state.freeFallStart === null ? { ...state, freeFallStart: timestamp } : state;
+  }
+  if (state.freeFallStart !== null) {
+    return {
+      ...state,
+      freeFallStart: null,
+      lastFreeFall: { duration: timestamp - state.freeFallStart, endedAt: timestamp }
+    };
+  }
+  return state;
+};
+
+// Feed one sample; returns the next state and a detection event (or null)
+export const processSample = (state, sample, config = getDetectorConfig()) => {
+  const magnitude = getMagnitude(sample);
+  const { timestamp } = sample;
+
+  if (state.phase === DETECTOR_PHASES.MONITORING) {
+    if (magnitude >= config.IMPACT_THRESHOLD_G && timestamp >= state.cooldownUntil) {
+      return { state: startImpact(state, magnitude, timestamp, config), event: null };
+    }
+    return { state: trackFreeFall(state, magnitude, timestamp, config), event: null };
+  }
+
+  const { impact } = state;
+
+  // Let the phone bounce and settle; keep the highest reading as the impact force
+  if (timestamp - impact.at < config.SETTLE_MS) {
+    const peakG = Math.max(impact.peakG, magnitude);
+    return { state: { ...state, impact: { ...impact, peakG } }, event: null };
+  }
+
+  const isStill = Math.abs(magnitude - 1) <= config.STILLNESS_TOLERANCE_G;
+
+  if (isStill) {
+    const stillSince = state.stillSince ?? timestamp;
+    if (timestamp - stillSince < config.STILLNESS_DURATION_MS) {
+      return { state: { ...state, stillSince }, event: null };
+    }
+
+    const event = {
+      type: impact.freeFallMs > 0 ? 'fall' : 'impact',
+      impactAt: impact.at,
+      peakG: Math.round(impact.peakG * 100) / 100,
+      freeFallMs: impact.freeFallMs,
+      detectedAt: timestamp
+    };
+    return {
+      state: { ...createDetectorState(), cooldownUntil: timestamp + config.COOLDOWN_MS },
+      event
+    };
+  }
+
+  // A second hard hit (tumbling, a multi-stage crash) restarts the wait
+  if (magnitude >= config.IMPACT_THRESHOLD_G) {
+    return { state: startImpact(state, magnitude, timestamp, config), event: null };
+  }
+
+  // Moving around normally after the impact: the user is fine
+  if (timestamp - impact.at > config.STILLNESS_TIMEOUT_MS) {
+    return { state: { ...createDetectorState(), cooldownUntil: state.cooldownUntil }, event: null };
+  }
+
+  return { state: { ...state, stillSince: null }, event: null };
+};
+
+// Replay a whole trace; returns every detection
+export const detectFalls = (samples, config = getDetectorConfig()) => {
+  let state = createDetectorState();
+  const events = [];
+
+  for (const sample of samples) {
+    const result = processSample(state, sample, config);
+    state = result.state;
+    if (result.event) {
+      events.push(result.event);
+    }
+  }
+
+  return events;
+};
@@ -0,0 +1,124 @@
+import { encryptionService } from '../security/encryption';
+import { privacyService } from '../privacy/privacyService';
+import { MedicalProfile } from '../../utils/dataModels';
+import { validateMedicalInfo } from '../../utils/touristValidation';
+
+// One medical ID per device, stored with the id of the user it belongs to
+const MEDICAL_PROFILE_KEY = 'medical_profile';
+const SHARING_CONSENT = 'medicalDataSharing';
+
+const getUserId = (userProfile) => userProfile?.userId || userProfile?.id || null;
+
+const readStored = async () => {
+  const result = await encryptionService.getSecureData(MEDICAL_PROFILE_KEY);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.value ? JSON.parse(result.value) : null;
+};
+
+// Medical ID (blood group, allergies, medications, conditions, insurance and
+// doctor), encrypted in SecureStore and shared only with the user's consent
+export const medicalProfileService = {
+  getProfile: async (userId) => {
+    try {
+      const stored = await readStored();
+      if (!stored || stored.ownerId !== userId) {
+        return { success: true, profile: null };
+      }
+      return { success: true, profile: MedicalProfile.fromJSON(stored.profile) };
+    } catch (error) {
+      console.error('Get Medical Profile Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  saveProfile: async (userId, data) => {
+    try {
+      if (!userId) {
+        return { success: false, error: 'User not signed in' };
+      }
+
+      const validation = validateMedicalInfo(data);
+      if (!validation.isValid) {
+        return { success: false, error: validation.error };
+      }
+
+      const profile = new MedicalProfile({ ...data, updatedAt: new Date() });
+      const result = await encryptionService.storeSecureData(
+        MEDICAL_PROFILE_KEY,
+        JSON.stringify({ ownerId: userId, profile: profile.toJSON() })
+      );
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      return { success: true, profile };
+    } catch (error) {
+      console.error('Save Medical Profile Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  deleteProfile: async () => {
+    return await encryptionService.deleteSecureData(MEDICAL_PROFILE_KEY);
+  },
+
+  // Medical ID for the emergency card before sign-in, if the user allowed it
+  getLockScreenProfile: async () => {
+    try {
+      const stored = await readStored();
+      if (!stored?.profile?.showOnLockScreen) {
+        return { success: true, profile: null };
+      }
+
+      const profile = MedicalProfile.fromJSON(stored.profile);
+      return { success: true, profile: profile.isEmpty() ? null : profile };
+    } catch (error) {
+      console.error('Lock Screen Medical Profile Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  hasSharingConsent: async (userId) => {
+    if (!userId) {
+      return false;
+    }
+    return await privacyService.hasConsent(userId, SHARING_CONSENT);
+  },
+
+  setSharingConsent: async (userId, allowed) => {
+    try {
+      const settings = await privacyService.getPrivacySettings(userId);
+      await privacyService.updatePrivacySettings(userId, { ...settings, [SHARING_CONSENT]: allowed });
+      return { success: true };
+    } catch (error) {
+      console.error('Medical Consent Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Medical ID to share with contacts or in a medical QR; null without consent
+  getShareableProfile: async (userId) => {
+    if (!(await medicalProfileService.hasSharingConsent(userId))) {
+      return null;
+    }
+
+    const result = await medicalProfileService.getProfile(userId);
+    if (!result.success || !result.profile || result.profile.isEmpty()) {
+      return null;
+    }
+    return result.profile;
+  },
+
+  // Attachment for emergency alerts: summary lines for the SMS, the profile for the record
+  getEmergencyAttachment: async (userProfile) => {
+    const profile = await medicalProfileService.getShareableProfile(getUserId(userProfile));
+    if (!profile) {
+      return null;
+    }
+
+    const { showOnLockScreen, ...medical } = profile.toJSON();
+    return { summaryLines: profile.getSummaryLines(), profile: medical };
+  }
+};
@@ -0,0 +1,250 @@
+import { Accelerometer } from 'expo-sensors';
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+import { emergencyAlertService } from './alertService';
+import { emergencyNumberService } from './emergencyNumberService';
+import { createPressState, createShakeState, processShakeSample, recordPress } from './discreetTriggers';
+import { encryptionService } from '../security/encryption';
+import { realTimeLocationService } from '../location/realTimeLocationService';
+import { addScreenStateListener, isScreenStateAvailable } from '../../modules/screen-state';
+import {
+  DISCREET_TRIGGER_CONFIG,
+  DISCREET_TRIGGERS,
+  FALL_DETECTION_CONFIG,
+  STORAGE_KEYS
+} from '../../utils/constants';
+
+const PIN_STORE_KEY = 'discreet_calculator_pin';
+
+const DEFAULT_SETTINGS = {
+  shake: false,
+  powerButton: false,
+  calculator: false,
+  launchAsCalculator: false,
+  fakeCall: false,
+  fakeCallerName: DISCREET_TRIGGER_CONFIG.DEFAULT_FAKE_CALLER,
+  fakeCallDelaySeconds: DISCREET_TRIGGER_CONFIG.FAKE_CALL_DELAY_SECONDS
+};
+
+let shakeSubscription = null;
+let screenSubscription = null;
+let shakeState = createShakeState();
+let pressState = createPressState();
+let lastAlertAt = 0;
+let alertInProgress = false;
+const listeners = new Set();
+
+const hashPin = (salt, pin) => bytesToHex(sha256(utf8ToBytes(`${salt}:${pin}`)));
+
+const notifyTrigger = (source) => {
+  listeners.forEach(listener => listener(source));
+};
+
+const buildSilentMessage = (location, userProfile) => {
+  const name = userProfile?.name || 'A Tourist Safety user';
+  const locationText = location
+    ? `Location: ${location.latitude}, ${location.longitude}
+View on map: https://maps.google.com/?q=${location.latitude},${location.longitude}`
+    : 'Location: not available';
+
+  return `🚨 SILENT EMERGENCY ALERT 🚨
+${name} triggered a hidden alert and may not be able to talk.
+Do not call them back. Contact local emergency services:
+${emergencyNumberService.formatNumbers(emergencyNumberService.getActiveNumbers(), ['police', 'touristPolice'])}
+
+${locationText}
+Time: ${new Date().toLocaleString()}`;
+};
+
+// Hidden ways to raise an alert when the panic button can't be used openly:
+// shaking the phone, pressing the power button repeatedly (Android), a PIN on the
+// decoy calculator and answering a fake call. Alerts skip every on-device
+// notification, and their SMS go out through the server sender, never the composer.
+export const silentAlertService = {
+  getSettings: async () => {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEYS.DISCREET_TRIGGER_SETTINGS);
+      const hasPin = await silentAlertService.hasPin();
+      return { success: true, settings: { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}), hasPin } };
+    } catch (error) {
+      return { success: false, error: error.message, settings: { ...DEFAULT_SETTINGS, hasPin: false } };
+    }
+  },
+
+  updateSettings: async (updates) => {
+    try {
+      const { settings: current } = await silentAlertService.getSettings();
+      const { hasPin, ...settings } = { ...current, ...updates };
+
+      // The calculator does nothing without a PIN
+      if ((settings.calculator || settings.launchAsCalculator) && !hasPin) {
+        return { success: false, error: 'Set a calculator PIN first' };
+      }
+      if (!settings.calculator) {
+        settings.launchAsCalculator = false;
+      }
+
+      await AsyncStorage.setItem(STORAGE_KEYS.DISCREET_TRIGGER_SETTINGS, JSON.stringify(settings));
+      return { success: true, settings: { ...settings, hasPin } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // The power button is only observable on Android, through the screen on/off
+  // broadcasts of the screen-state module; volume keys need a module we don't ship
+  supportsPowerButton: () => Platform.OS === 'android' && isScreenStateAvailable(),
+
+  // Store the decoy calculator PIN salted and hashed
+  setPin: async (pin) => {
+    try {
+      const normalized = String(pin || '');
+      if (!/^\d+$/.test(normalized) || normalized.length < DISCREET_TRIGGER_CONFIG.MIN_PIN_LENGTH) {
+        return { success: false, error: `PIN must be at least ${DISCREET_TRIGGER_CONFIG.MIN_PIN_LENGTH} digits` };
+      }
+
+      const saltResult = await encryptionService.generateSalt();
+      if (!saltResult.success) {
+        return { success: false, error: 'Failed to generate salt' };
+      }
+
+      return await encryptionService.storeSecureData(PIN_STORE_KEY, JSON.stringify({
+        salt: saltResult.salt,
+        hash: hashPin(saltResult.salt, normalized)
+      }));
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  hasPin: async () => {
+    const result = await encryptionService.getSecureData(PIN_STORE_KEY);
+    return !!(result.success && result.value);
+  },
+
+  verifyPin: async (pin) => {
+    try {
+      const result = await encryptionService.getSecureData(PIN_STORE_KEY);
+      if (!result.success || !result.value) {
+        return false;
+      }
+      const { salt, hash } = JSON.parse(result.value);
+      return hashPin(salt, String(pin)) === hash;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  // Send the alert without any visible or audible feedback on this device.
+  // Falls back to the last cached fix; contacts are still alerted without one
+  // Only a sent alert starts the cooldown, so one that failed can be raised again
+  triggerSilentAlert: async (source, { location = null, userProfile, contacts = [] } = {}, now = Date.now()) => {
+    if (alertInProgress || now - lastAlertAt < DISCREET_TRIGGER_CONFIG.ALERT_COOLDOWN_MS) {
+      return { success: true, skipped: true };
+    }
+    alertInProgress = true;
+
+    try {
+      if (!location) {
+        const cached = await realTimeLocationService.getLastCachedLocation();
+        location = cached.success ? cached.location : null;
+      }
+
+      const result = await emergencyAlertService.sendEmergencyAlert(
+        location,
+        userProfile || {},
+        contacts,
+        buildSilentMessage(location, userProfile),
+        { silent: true, type: `silent_${source}` }
+      );
+
+      const sent = !!result.success && (result.smsResults || []).some(sms => sms.success);
+      if (sent) {
+        lastAlertAt = now;
+      }
+      return { success: sent, source, result };
+    } catch (error) {
+      console.error('Silent Alert Error:', error);
+      return { success: false, error: error.message };
+    } finally {
+      alertInProgress = false;
+    }
+  },
+
+  // Listen for shake / power button triggers: (source) => void
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  startShakeMonitoring: async () => {
+    try {
+      if (shakeSubscription) {
+        return { success: true };
+      }
+      if (!(await Accelerometer.isAvailableAsync())) {
+        return { success: false, error: 'Accelerometer not available on this device' };
+      }
+
+      shakeState = createShakeState();
+      // Shared with fall detection, so keep the same rate
+      Accelerometer.setUpdateInterval(FALL_DETECTION_CONFIG.SAMPLE_INTERVAL_MS);
+      shakeSubscription = Accelerometer.addListener((sample) => {
+        const result = processShakeSample(shakeState, { ...sample, timestamp: Date.now() });
+        shakeState = result.state;
+        if (result.triggered) {
+          notifyTrigger(DISCREET_TRIGGERS.SHAKE);
+        }
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Shake Monitoring Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  stopShakeMonitoring: () => {
+    if (shakeSubscription) {
+      shakeSubscription.remove();
+      shakeSubscription = null;
+    }
+  },
+
+  startPowerButtonMonitoring: () => {
+    try {
+      if (screenSubscription) {
+        return { success: true };
+      }
+      if (!silentAlertService.supportsPowerButton()) {
+        return { success: false, error: 'Power button presses cannot be detected on this device' };
+      }
+
+      pressState = createPressState();
+      screenSubscription = addScreenStateListener(() => silentAlertService.handleScreenChange());
+      return { success: true };
+    } catch (error) {
+      console.error('Power Button Monitoring Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  stopPowerButtonMonitoring: () => {
+    if (screenSubscription) {
+      screenSubscription.remove();
+      screenSubscription = null;
+    }
+  },
+
+  // Feed screen on/off changes; each one is a power button press
+  handleScreenChange: (now = Date.now()) => {
+    const result = recordPress(pressState, now);
+    pressState = result.state;
+    if (result.triggered) {
+      notifyTrigger(DISCREET_TRIGGERS.POWER_BUTTON);
+    }
+    return result.triggered;
+  }
+};
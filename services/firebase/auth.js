@@ -57,5 +57,14 @@ export const authService = {
   // Get current user
   getCurrentUser: () => {
     return auth.currentUser;
+  },
+
+  // Role claim an admin set on the current user's account, or null
+  getRole: async () => {
+    if (!auth.currentUser) {
+      return null;
+    }
+    const token = await auth.currentUser.getIdTokenResult();
+    return token.claims.role || null;
   }
 };
\ No newline at end of file
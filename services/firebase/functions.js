@@ -0,0 +1,14 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../../firebaseConfig';
+
+export const functionsService = {
+  // Call an HTTPS callable Cloud Function (see functions/index.js)
+  call: async (name, data) => {
+    try {
+      const result = await httpsCallable(functions, name)(data);
+      return { success: true, data: result.data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+};
@@ -60,6 +60,42 @@ export const uploadVerificationDocument = async (imageUri, userId, documentType)
   }
 };
 
+// Upload one evidence chunk (audio or photo) recorded during an emergency
+export const uploadEmergencyEvidence = async (fileUri, storagePath, contentType) => {
+  try {
+    const evidenceRef = ref(storage, storagePath);
+
+    const response = await fetch(fileUri);
+    const blob = await response.blob();
+
+    const snapshot = await uploadBytes(evidenceRef, blob, { contentType });
+    const downloadURL = await getDownloadURL(snapshot.ref);
+
+    return downloadURL;
+  } catch (error) {
+    console.error('Error uploading emergency evidence:', error);
+    throw new Error('Failed to upload emergency evidence');
+  }
+};
+
+// Upload the photo of a taxi's plate taken when a ride starts
+export const uploadRidePhoto = async (imageUri, userId, rideId) => {
+  try {
+    const imageRef = ref(storage, `ride-photos/${userId}/${rideId}.jpg`);
+
+    const response = await fetch(imageUri);
+    const blob = await response.blob();
+
+    const snapshot = await uploadBytes(imageRef, blob);
+    const downloadURL = await getDownloadURL(snapshot.ref);
+
+    return downloadURL;
+  } catch (error) {
+    console.error('Error uploading ride photo:', error);
+    throw new Error('Failed to upload ride photo');
+  }
+};
+
 // Delete image from storage
 export const deleteImage = async (imageUrl) => {
   try {
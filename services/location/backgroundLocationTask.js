@@ -1,11 +1,25 @@
 import * as TaskManager from 'expo-task-manager';
+import * as BackgroundTask from 'expo-background-task';
 import * as Location from 'expo-location';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { geoFencingService } from './geoFencing';
 import { safetyZonesService } from './safetyZones';
+import { realTimeLocationService } from './realTimeLocationService';
+import { checkInService } from '../emergency/checkInService';
+import { walkHomeService } from './walkHomeService';
+import { rideSafetyService } from './rideSafetyService';
+import { tripHistoryService } from './tripHistoryService';
+import { geofenceEventService } from './geofenceEventService';
+import { registerGeofenceSubscribers } from './geofenceSubscribers';
+import { SAFETY_DEADLINE_TASK } from './safetyDeadlineTask';
+import { GEOFENCE_EVENTS, STORAGE_KEYS } from '../../utils/constants';
+import { filterLocation } from '../../utils/locationFilter';
 
 const BACKGROUND_LOCATION_TASK = 'TOURIST_SAFETY_BACKGROUND_TASK';
 
+// The task may run headless, without the location provider having registered them
+registerGeofenceSubscribers();
+
 /**
  * Background Location Task Handler
  * Requirement 4.6: Background location handling for safety features
@@ -15,6 +29,8 @@ const BACKGROUND_LOCATION_TASK = 'TOURIST_SAFETY_BACKGROUND_TASK';
  * - Detect zone transitions
  * - Cache location data for offline access
  * - Generate safety alerts when needed
+ * - Fire missed safety check-ins while the app is suspended or killed
+ * - Follow a guided walk home and escalate unanswered "Are you OK?" prompts
  */
 
 /**
@@ -40,14 +56,76 @@ TaskManager.defineTask(BACKGROUND_LOCATION_TASK, async ({ data, error }) => {
       await logBackgroundError(taskError);
     }
   }
+
+  await checkSafetyCheckIn();
+  await checkWalkHome();
+  await checkRide();
 });
 
+/**
+ * Define the periodic deadline task. Location updates stop while the user stands
+ * still, so this is what fires a missed check-in, a walk home stop or an unanswered
+ * "Are you OK?" for someone who is not moving
+ */
+TaskManager.defineTask(SAFETY_DEADLINE_TASK, async () => {
+  await checkSafetyCheckIn();
+  await checkWalkHome();
+  await checkRide();
+  return BackgroundTask.BackgroundTaskResult.Success;
+});
+
+/**
+ * Send the check-in alert if the user missed their check-in and its grace period
+ */
+async function checkSafetyCheckIn() {
+  try {
+    const result = await checkInService.evaluate();
+    if (!result.success) {
+      await logBackgroundError(new Error(result.error));
+    }
+  } catch (error) {
+    console.error('Error checking safety check-in:', error);
+    await logBackgroundError(error);
+  }
+}
+
+/**
+ * Ask "Are you OK?" after a long stop on a guided walk, and alert contacts if the
+ * prompt went unanswered
+ */
+async function checkWalkHome() {
+  try {
+    const result = await walkHomeService.evaluate();
+    if (!result.success) {
+      await logBackgroundError(new Error(result.error));
+    }
+  } catch (error) {
+    console.error('Error checking walk home:', error);
+    await logBackgroundError(error);
+  }
+}
+
+/**
+ * Alert the rider if their ride has stopped in a restricted zone
+ */
+async function checkRide() {
+  try {
+    const result = await rideSafetyService.evaluate();
+    if (!result.success) {
+      await logBackgroundError(new Error(result.error));
+    }
+  } catch (error) {
+    console.error('Error checking ride:', error);
+    await logBackgroundError(error);
+  }
+}
+
 /**
  * Handle background location updates
  */
 async function handleBackgroundLocationUpdate(locationData) {
   try {
-    const processedLocation = {
+    const processedLocation = await applyLocationFilter({
       latitude: locationData.coords.latitude,
       longitude: locationData.coords.longitude,
       accuracy: locationData.coords.accuracy,
@@ -56,7 +134,11 @@ async function handleBackgroundLocationUpdate(locationData) {
       speed: locationData.coords.speed,
       timestamp: new Date(locationData.timestamp),
       isBackground: true
-    };
+    });
+
+    if (!processedLocation) {
+      return;
+    }
 
     // Cache the location update
     await cacheBackgroundLocation(processedLocation);
@@ -72,10 +154,16 @@ async function handleBackgroundLocationUpdate(locationData) {
       );
 
       if (safetyCheck.success) {
-        await handleSafetyZoneCheck(processedLocation, safetyCheck);
+        await handleSafetyZoneCheck(processedLocation, safetyCheck, safetyZonesResult.zones);
       }
     }
 
+    // Guided walk: progress, deviation and stop detection
+    await walkHomeService.handleLocation(processedLocation);
+
+    // Ride mode: route deviation, restricted-zone stops and arrival
+    await rideSafetyService.handleLocation(processedLocation);
+
     // Update background tracking statistics
     await updateBackgroundStats(processedLocation);
 
@@ -92,6 +180,24 @@ async function handleBackgroundLocationUpdate(locationData) {
   }
 }
 
+/**
+ * Run the fix through the shared Kalman filter. Each task run starts in a fresh
+ * JS context, so the filter state lives in storage. Returns null for an outlier
+ */
+async function applyLocationFilter(location) {
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.BACKGROUND_LOCATION_FILTER);
+  // Background updates can be delivered late, so their age is not checked
+  const result = filterLocation(stored ? JSON.parse(stored) : null, location, { now: null });
+
+  if (result.state) {
+    await AsyncStorage.setItem(STORAGE_KEYS.BACKGROUND_LOCATION_FILTER, JSON.stringify(result.state));
+  }
+  if (result.rejected) {
+    return null;
+  }
+  return result.location;
+}
+
 /**
  * Cache background location for offline access
  */
@@ -103,14 +209,11 @@ async function cacheBackgroundLocation(location) {
       timestamp: new Date().toISOString()
     }));
 
-    // Add to location history
-    const historyKey = 'background_location_history';
-    const existingHistory = await AsyncStorage.getItem(historyKey);
-    const history = existingHistory ? JSON.parse(existingHistory) : [];
-    
-    // Add new location and keep last 100 entries
-    const updatedHistory = [location, ...history.slice(0, 99)];
-    await AsyncStorage.setItem(historyKey, JSON.stringify(updatedHistory));
+    // Keep the shared last known location current for check-in alerts
+    await realTimeLocationService.cacheLocationUpdate(location);
+
+    // Add to the trip history shared with foreground tracking
+    await tripHistoryService.recordLocation(location);
 
   } catch (error) {
     console.error('Error caching background location:', error);
@@ -120,53 +223,25 @@ async function cacheBackgroundLocation(location) {
 /**
  * Handle safety zone checks in background
  */
-async function handleSafetyZoneCheck(location, safetyCheck) {
+async function handleSafetyZoneCheck(location, safetyCheck, safetyZones) {
   try {
-    // Get previous zone status
-    const previousZoneKey = 'last_safety_zone_status';
-    const previousZoneData = await AsyncStorage.getItem(previousZoneKey);
-    const previousZone = previousZoneData ? JSON.parse(previousZoneData) : null;
-
-    // Check for zone transitions
-    const currentZoneId = safetyCheck.zone?.id || null;
-    const previousZoneId = previousZone?.zone?.id || null;
-
-    if (currentZoneId !== previousZoneId) {
-      // Zone transition detected
-      const transition = {
-        from: previousZoneId,
-        to: currentZoneId,
-        fromLevel: previousZone?.safetyLevel || 'unknown',
-        toLevel: safetyCheck.safetyLevel,
-        location,
-        timestamp: new Date().toISOString()
-      };
-
-      await handleZoneTransition(transition);
-    }
-
     // Cache current zone status
-    await AsyncStorage.setItem(previousZoneKey, JSON.stringify({
+    await AsyncStorage.setItem('last_safety_zone_status', JSON.stringify({
       zone: safetyCheck.zone,
       safetyLevel: safetyCheck.safetyLevel,
       timestamp: new Date().toISOString()
     }));
 
-    // Generate alerts for dangerous zones
-    if (safetyCheck.safetyLevel === 'restricted') {
-      await generateBackgroundAlert('danger', {
-        title: 'Restricted Area Warning',
-        message: 'You have entered a restricted area. Please leave immediately.',
-        location,
-        safetyCheck
-      });
-    } else if (safetyCheck.safetyLevel === 'caution') {
-      await generateBackgroundAlert('warning', {
-        title: 'Caution Area',
-        message: 'Exercise extra caution in this area.',
-        location,
-        safetyCheck
-      });
+    // Zone events are debounced by the geofence event service, so alerts fire once
+    // per confirmed entry or exit rather than on every fix near a border
+    const result = await geofenceEventService.processLocation(
+      location,
+      safetyZones,
+      location.timestamp.getTime()
+    );
+
+    for (const event of result.events) {
+      await handleZoneTransition(event);
     }
 
   } catch (error) {
@@ -177,32 +252,38 @@ async function handleSafetyZoneCheck(location, safetyCheck) {
 /**
  * Handle zone transitions
  */
-async function handleZoneTransition(transition) {
+async function handleZoneTransition(event) {
   try {
     // Cache zone transition
     const transitionsKey = 'background_zone_transitions';
     const existingTransitions = await AsyncStorage.getItem(transitionsKey);
     const transitions = existingTransitions ? JSON.parse(existingTransitions) : [];
     
-    const updatedTransitions = [transition, ...transitions.slice(0, 49)];
+    const updatedTransitions = [event, ...transitions.slice(0, 49)];
     await AsyncStorage.setItem(transitionsKey, JSON.stringify(updatedTransitions));
 
     // Generate transition alerts
-    if (transition.toLevel === 'restricted') {
+    if (event.type === GEOFENCE_EVENTS.ENTER && event.safetyLevel === 'restricted') {
       await generateBackgroundAlert('danger', {
         title: 'Entered Restricted Area',
         message: 'You have entered a restricted area. Consider leaving immediately.',
-        transition
+        transition: event
+      });
+    } else if (event.type === GEOFENCE_EVENTS.ENTER && event.safetyLevel === 'caution') {
+      await generateBackgroundAlert('warning', {
+        title: 'Caution Area',
+        message: 'Exercise extra caution in this area.',
+        transition: event
       });
-    } else if (transition.fromLevel === 'restricted' && transition.toLevel === 'safe') {
+    } else if (event.type === GEOFENCE_EVENTS.EXIT && event.safetyLevel === 'restricted') {
       await generateBackgroundAlert('info', {
-        title: 'Entered Safe Area',
-        message: 'You are now in a safe area.',
-        transition
+        title: 'Left Restricted Area',
+        message: 'You have left the restricted area.',
+        transition: event
       });
     }
 
-    console.log('Zone transition detected:', transition);
+    console.log('Zone transition detected:', event);
 
   } catch (error) {
     console.error('Error handling zone transition:', error);
@@ -326,8 +407,7 @@ export const backgroundLocationTaskService = {
    */
   getBackgroundLocationHistory: async () => {
     try {
-      const history = await AsyncStorage.getItem('background_location_history');
-      return history ? JSON.parse(history) : [];
+      return await tripHistoryService.getRecentLocations();
     } catch (error) {
       console.error('Error getting background location history:', error);
       return [];
@@ -342,4 +422,8 @@ export const backgroundLocationTaskService = {
       const alerts = await AsyncStorage.getItem('background_alerts');
       return alerts ? JSON.parse(alerts) : [];
     } catch (error) {
-      console.error('Error getting background alerts:', erro
\ No newline at end of file
+      console.error('Error getting background alerts:', error);
+      return [];
+    }
+  }
+};
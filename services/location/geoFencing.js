@@ -1,52 +1,61 @@
 import { geoLocationService } from './geoLocation';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  createGeofenceIndex,
+  queryGeofenceIndex,
+  isPointInRing,
+  isPointInZone,
+  getZoneCenter
+} from '../../utils/geofence';
+
+// Spatial index per zone list, so each fix only tests the zones around it
+const zoneIndexes = new WeakMap();
 
 export const geoFencingService = {
   // Check if point is inside polygon (safety zone)
-  isPointInPolygon: (point, polygon) => {
-    const { latitude: x, longitude: y } = point;
-    let inside = false;
+  isPointInPolygon: (point, polygon) => isPointInRing(point, polygon),
 
-    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-      const xi = polygon[i].latitude;
-      const yi = polygon[i].longitude;
-      const xj = polygon[j].latitude;
-      const yj = polygon[j].longitude;
+  // Check if point is inside a zone of any shape (polygon, multipolygon with holes, circle)
+  isPointInZone: (point, zone) => isPointInZone(point, zone),
 
-      if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
-        inside = !inside;
-      }
+  // Index for a zone list, built once and reused while the same list is passed in
+  getZoneIndex: (safetyZones) => {
+    let index = zoneIndexes.get(safetyZones);
+    if (!index) {
+      index = createGeofenceIndex(safetyZones);
+      zoneIndexes.set(safetyZones, index);
     }
-
-    return inside;
+    return index;
   },
 
   // Check safety zone for current location
+  // Overlapping zones resolve by priority (restricted, then caution, then safe); all of
+  // them are listed in `zones`. The background task uses this too, so results match
   checkSafetyZone: async (location, safetyZones) => {
     try {
       const { latitude, longitude } = location;
-      
-      for (const zone of safetyZones) {
-        const isInside = geoFencingService.isPointInPolygon(
-          { latitude, longitude },
-          zone.coordinates
-        );
+      const zones = queryGeofenceIndex(
+        geoFencingService.getZoneIndex(safetyZones),
+        { latitude, longitude }
+      );
 
-        if (isInside) {
-          return {
-            success: true,
-            zone: zone,
-            safetyLevel: zone.safetyLevel,
-            isInSafeZone: zone.safetyLevel === 'safe',
-            message: geoFencingService.getSafetyMessage(zone.safetyLevel)
-          };
-        }
+      if (zones.length > 0) {
+        const [zone] = zones;
+        return {
+          success: true,
+          zone: zone,
+          zones,
+          safetyLevel: zone.safetyLevel,
+          isInSafeZone: zone.safetyLevel === 'safe',
+          message: geoFencingService.getSafetyMessage(zone.safetyLevel)
+        };
       }
 
       // If not in any defined zone, consider as unknown/caution
       return {
         success: true,
         zone: null,
+        zones: [],
         safetyLevel: 'caution',
         isInSafeZone: false,
         message: 'You are in an unmonitored area. Please exercise caution.'
@@ -110,7 +119,7 @@ export const geoFencingService = {
           restricted: restrictedPoints,
           total: routePoints.length
         },
-        recommendation: this.getRouteRecommendation(averageScore)
+        recommendation: geoFencingService.getRouteRecommendation(averageScore)
       };
     } catch (error) {
       return { success: false, error: error.message };
@@ -192,12 +201,10 @@ export const geoFencingService = {
     let minDistance = Infinity;
     
     safetyZones.forEach(zone => {
-      if (zone.emergencyServices && zone.emergencyServices.length > 0) {
-        const centerLat = zone.coordinates.reduce((sum, coord) => sum + coord.latitude, 0) / zone.coordinates.length;
-        const centerLon = zone.coordinates.reduce((sum, coord) => sum + coord.longitude, 0) / zone.coordinates.length;
-        
+      const center = getZoneCenter(zone);
+      if (center && zone.emergencyServices && zone.emergencyServices.length > 0) {
         const distance = geoLocationService.calculateDistance(
-          location.latitude, location.longitude, centerLat, centerLon
+          location.latitude, location.longitude, center.latitude, center.longitude
         );
         
         minDistance = Math.min(minDistance, distance);
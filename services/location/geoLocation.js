@@ -1,5 +1,6 @@
 import * as Location from 'expo-location';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { tripHistoryService } from './tripHistoryService';
 
 export const geoLocationService = {
   // Request location permissions
@@ -146,7 +147,7 @@ export const geoLocationService = {
       // Smart intervals based on movement and battery optimization
       const smartOptions = {
         accuracy: Location.Accuracy.Balanced, // Balance between accuracy and battery
-        timeInterval: options.isEmergency ? 5000 : 15000, // More frequent in emergency
+        timeInterval: options.timeInterval || (options.isEmergency ? 5000 : 15000), // More frequent in emergency
         distanceInterval: options.isEmergency ? 5 : 20, // Smaller distance in emergency
         mayShowUserSettingsDialog: true,
       };
@@ -180,21 +181,17 @@ export const geoLocationService = {
   // Cache location data for offline access (Requirement 7.6)
   cacheLocation: async (locationData) => {
     try {
-      const locationHistory = await geoLocationService.getLocationHistory();
-      const updatedHistory = [locationData, ...locationHistory.slice(0, 99)]; // Keep last 100 locations
-      
-      await AsyncStorage.setItem('location_history', JSON.stringify(updatedHistory));
+      await tripHistoryService.recordLocation(locationData);
       await AsyncStorage.setItem('last_known_location', JSON.stringify(locationData));
     } catch (error) {
       console.error('Error caching location:', error);
     }
   },
 
-  // Get cached location history
+  // Get recent location history, newest first, from the trip store
   getLocationHistory: async () => {
     try {
-      const history = await AsyncStorage.getItem('location_history');
-      return history ? JSON.parse(history) : [];
+      return await tripHistoryService.getRecentLocations();
     } catch (error) {
       console.error('Error getting location history:', error);
       return [];
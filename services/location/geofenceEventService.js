@@ -0,0 +1,182 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { geoFencingService } from './geoFencing';
+import { realTimeLocationService } from './realTimeLocationService';
+import { queryGeofenceIndex, getSignedDistance } from '../../utils/geofence';
+import { GEOFENCE_EVENTS, GEOFENCE_EVENT_CONFIG, STORAGE_KEYS } from '../../utils/constants';
+
+const EVENT_ORDER = [GEOFENCE_EVENTS.EXIT, GEOFENCE_EVENTS.ENTER, GEOFENCE_EVENTS.DWELL];
+
+// Per zone: { status: 'inside' | 'outside', pendingSince, enteredAt, dwellNotified }.
+// Zones the user is outside of, with nothing pending, are not kept
+let zoneStates = null;
+let processing = Promise.resolve();
+const subscribers = new Set();
+
+// Loaded once per JS context; the background task may start in a fresh one
+const loadZoneStates = async () => {
+  if (!zoneStates) {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.GEOFENCE_STATE);
+    zoneStates = stored ? JSON.parse(stored) : {};
+  }
+  return zoneStates;
+};
+
+const saveZoneStates = async () => {
+  await AsyncStorage.setItem(STORAGE_KEYS.GEOFENCE_STATE, JSON.stringify(zoneStates));
+};
+
+const matchesFilter = ({ types, zoneIds, safetyLevels }, event) => (
+  (!types || types.includes(event.type)) &&
+  (!zoneIds || zoneIds.includes(event.zoneId)) &&
+  (!safetyLevels || safetyLevels.includes(event.safetyLevel))
+);
+
+// One failing subscriber must not keep the others from seeing the event
+const notifySubscribers = async (events) => {
+  const deliveries = [];
+  events.forEach(event => subscribers.forEach(({ listener, filter }) => {
+    if (matchesFilter(filter, event)) {
+      deliveries.push(Promise.resolve().then(() => listener(event)).catch(error => {
+        console.error('Geofence Subscriber Error:', error);
+      }));
+    }
+  }));
+  await Promise.all(deliveries);
+};
+
+const createEvent = (type, zone, location, distance, now, dwellMs = null) => ({
+  type,
+  zoneId: zone.id,
+  zoneName: zone.name || null,
+  safetyLevel: zone.safetyLevel,
+  location: { latitude: location.latitude, longitude: location.longitude },
+  accuracy: location.accuracy ?? null,
+  distance: Math.round(distance),
+  timestamp: now,
+  dwellMs
+});
+
+// Advance one zone's state for a fix; returns the events it fires
+const updateZone = (zone, state, location, now) => {
+  const distance = getSignedDistance(location, zone);
+  const inside = state.status === 'inside';
+  // A fix is only trusted to have left once it is further out than its own error
+  const exitMargin = Math.max(GEOFENCE_EVENT_CONFIG.EXIT_MARGIN_METERS, location.accuracy || 0);
+  const crossed = inside
+    ? distance >= exitMargin
+    : distance <= -GEOFENCE_EVENT_CONFIG.ENTER_MARGIN_METERS;
+  const events = [];
+
+  if (!crossed) {
+    state.pendingSince = null;
+  } else {
+    state.pendingSince = state.pendingSince ?? now;
+    const confirmMs = inside ? GEOFENCE_EVENT_CONFIG.EXIT_CONFIRM_MS : GEOFENCE_EVENT_CONFIG.ENTER_CONFIRM_MS;
+
+    if (now - state.pendingSince >= confirmMs) {
+      if (inside) {
+        events.push(createEvent(GEOFENCE_EVENTS.EXIT, zone, location, distance, now, now - state.enteredAt));
+        Object.assign(state, { status: 'outside', enteredAt: null, dwellNotified: false });
+      } else {
+        events.push(createEvent(GEOFENCE_EVENTS.ENTER, zone, location, distance, now));
+        Object.assign(state, { status: 'inside', enteredAt: state.pendingSince, dwellNotified: false });
+      }
+      state.pendingSince = null;
+    }
+  }
+
+  if (state.status === 'inside' && !state.dwellNotified &&
+      now - state.enteredAt >= GEOFENCE_EVENT_CONFIG.DWELL_MS) {
+    events.push(createEvent(GEOFENCE_EVENTS.DWELL, zone, location, distance, now, now - state.enteredAt));
+    state.dwellNotified = true;
+  }
+
+  return events;
+};
+
+const processFix = async (location, safetyZones, now) => {
+  const accuracy = location.accuracy;
+  if (typeof accuracy === 'number' &&
+      GEOFENCE_EVENT_CONFIG.IGNORED_ACCURACY_LEVELS.includes(realTimeLocationService.getAccuracyQuality(accuracy).level)) {
+    return { success: true, events: [], skipped: 'accuracy' };
+  }
+
+  const states = await loadZoneStates();
+  const before = JSON.stringify(states);
+  const zonesById = new Map(safetyZones.filter(zone => zone.id != null).map(zone => [zone.id, zone]));
+
+  // Zones containing the fix, plus every zone the user is in or about to change
+  const candidates = new Map();
+  queryGeofenceIndex(geoFencingService.getZoneIndex(safetyZones), location)
+    .filter(zone => zone.id != null)
+    .forEach(zone => candidates.set(zone.id, zone));
+  Object.keys(states).forEach(zoneId => {
+    const zone = zonesById.get(zoneId) || zonesById.get(Number(zoneId));
+    if (zone) {
+      candidates.set(zone.id, zone);
+    } else {
+      // The zone is gone from the list; forget it without firing an exit
+      delete states[zoneId];
+    }
+  });
+
+  const events = [];
+  candidates.forEach((zone, zoneId) => {
+    const state = states[zoneId] || { status: 'outside', pendingSince: null, enteredAt: null, dwellNotified: false };
+    events.push(...updateZone(zone, state, location, now));
+
+    if (state.status === 'outside' && state.pendingSince == null) {
+      delete states[zoneId];
+    } else {
+      states[zoneId] = state;
+    }
+  });
+
+  if (JSON.stringify(states) !== before) {
+    await saveZoneStates();
+  }
+
+  events.sort((a, b) => EVENT_ORDER.indexOf(a.type) - EVENT_ORDER.indexOf(b.type));
+  await notifySubscribers(events);
+  return { success: true, events };
+};
+
+// ENTER / EXIT / DWELL events for safety zones, with distance and time hysteresis so a
+// fix jittering across a border does not fire repeatedly. Fed by the foreground tracker
+// and the background task; notifications, check-ins and analytics subscribe here.
+export const geofenceEventService = {
+  // Listen for events, optionally only some types, zones or safety levels;
+  // returns an unsubscribe function
+  subscribe: (listener, { types, zoneIds, safetyLevels } = {}) => {
+    const subscriber = { listener, filter: { types, zoneIds, safetyLevels } };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+  },
+
+  // Run a fix through the zone state machine (one fix at a time) and notify subscribers
+  processLocation: (location, safetyZones = [], now = Date.now()) => {
+    const run = processing.then(() => processFix(location, safetyZones, now)).catch(error => {
+      console.error('Geofence Event Error:', error);
+      return { success: false, error: error.message, events: [] };
+    });
+    processing = run;
+    return run;
+  },
+
+  // Zones the user is inside of, or about to enter or leave
+  getZoneStates: async () => {
+    try {
+      return { ...(await loadZoneStates()) };
+    } catch (error) {
+      console.error('Geofence State Error:', error);
+      return {};
+    }
+  },
+
+  // Forget all zone state, e.g. on sign-out; the next fix starts outside every zone
+  reset: async () => {
+    await processing;
+    zoneStates = {};
+    await AsyncStorage.removeItem(STORAGE_KEYS.GEOFENCE_STATE);
+  }
+};
@@ -0,0 +1,35 @@
+import { geofenceEventService } from './geofenceEventService';
+import { geoFencingService } from './geoFencing';
+import { safetyNotificationService } from '../notifications/safetyNotificationService';
+import { checkInService } from '../emergency/checkInService';
+import { walkHomeService } from './walkHomeService';
+import { rideSafetyService } from './rideSafetyService';
+import { GEOFENCE_EVENTS } from '../../utils/constants';
+
+let registered = false;
+
+// The app's geofence event subscribers. Registered once per JS context, from the
+// location provider and from the background task (which may run headless)
+export const registerGeofenceSubscribers = () => {
+  if (registered) {
+    return;
+  }
+  registered = true;
+
+  geofenceEventService.subscribe(safetyNotificationService.handleGeofenceEvent, {
+    types: [GEOFENCE_EVENTS.ENTER]
+  });
+  geofenceEventService.subscribe(checkInService.recordZoneEvent, {
+    types: [GEOFENCE_EVENTS.ENTER, GEOFENCE_EVENTS.EXIT]
+  });
+  geofenceEventService.subscribe(walkHomeService.handleGeofenceEvent, {
+    types: [GEOFENCE_EVENTS.ENTER],
+    safetyLevels: ['restricted']
+  });
+  geofenceEventService.subscribe(rideSafetyService.handleGeofenceEvent, {
+    types: [GEOFENCE_EVENTS.ENTER, GEOFENCE_EVENTS.EXIT],
+    safetyLevels: ['restricted']
+  });
+  // Analytics: the zone transition history
+  geofenceEventService.subscribe(geoFencingService.cacheZoneTransition);
+};
@@ -0,0 +1,201 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { realTimeLocationService } from './realTimeLocationService';
+import { sessionTracking } from './sessionTracking';
+import { safetyDeadlineTask } from './safetyDeadlineTask';
+import { locationSharingService } from '../realtime/locationSharingService';
+import { messagingService } from '../firebase/messaging';
+import { calculateDistance } from '../../utils/helpers';
+
+export const metersBetween = (a, b) => calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude) * 1000;
+
+export const toTimestamp = (location, fallback) => {
+  const time = location.timestamp ? new Date(location.timestamp).getTime() : NaN;
+  return Number.isNaN(time) ? fallback : time;
+};
+
+// Only what contacts need to be alerted is stored with a session
+export const toStoredContact = (contact) => ({
+  id: contact.id,
+  name: contact.name,
+  phoneNumber: contact.phoneNumber
+});
+
+// Plumbing shared by guided safety sessions (walk home, ride mode): the persisted
+// session, its listeners, one update at a time, following foreground fixes, a
+// deadline timer, progress shared with contacts and the location tracking it holds.
+//   owner             - holds session tracking and the safety deadline task under this name
+//   storageKey        - where the session is persisted
+//   checkInterval     - how often onCheck runs while the session is active
+//   isActive(session) - whether the session is still followed
+//   onLocation(fix)   - a foreground fix arrived
+//   onCheck()         - deadlines are due for a check without a new fix
+//   describeProgress(session) - session-specific fields shared with contacts
+export const createGuidedSession = ({
+  owner,
+  storageKey,
+  checkInterval,
+  isActive,
+  onLocation,
+  onCheck,
+  describeProgress
+}) => {
+  let current = null;
+  let timer = null;
+  let stopFollowing = null;
+  let pendingUpdate = Promise.resolve();
+  const listeners = new Set();
+
+  const notify = (session) => {
+    listeners.forEach(listener => listener(session));
+  };
+
+  const clearTimer = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  const unfollow = () => {
+    if (stopFollowing) {
+      stopFollowing();
+      stopFollowing = null;
+    }
+  };
+
+  const cancelAlertNotification = async (session) => {
+    if (session.alert?.notificationId) {
+      await messagingService.cancelNotification(session.alert.notificationId);
+    }
+  };
+
+  return {
+    getCurrent: () => current,
+
+    // Listen for session changes; returns an unsubscribe function
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    notify,
+
+    set: async (session) => {
+      current = session;
+
+      if (session) {
+        await AsyncStorage.setItem(storageKey, JSON.stringify(session));
+      } else {
+        await AsyncStorage.removeItem(storageKey);
+      }
+
+      notify(session);
+    },
+
+    // Always read from storage: the background task runs in a fresh JS context
+    load: async () => {
+      const stored = await AsyncStorage.getItem(storageKey);
+      current = stored ? JSON.parse(stored) : null;
+      return current;
+    },
+
+    // One update at a time, so a fix, a zone event and a timer tick cannot interleave
+    serialize: (update) => {
+      const run = pendingUpdate.then(update);
+      pendingUpdate = run.catch(() => {});
+      return run;
+    },
+
+    clearTimer,
+
+    // Deadlines need a clock even when no fix arrives
+    scheduleCheck: (session) => {
+      clearTimer();
+      if (!isActive(session)) {
+        return;
+      }
+
+      timer = setTimeout(() => {
+        timer = null;
+        onCheck();
+      }, checkInterval);
+    },
+
+    // Follow foreground fixes from realTimeLocationService; the background location
+    // task feeds the session while the app is suspended
+    follow: () => {
+      if (!stopFollowing) {
+        stopFollowing = realTimeLocationService.addLocationListener(onLocation);
+      }
+    },
+
+    unfollow,
+
+    cancelAlertNotification,
+
+    // What contacts following the session see next to the live location
+    shareProgress: async (session, location, now) => {
+      if (!session.sharingSessionId) {
+        return session;
+      }
+
+      await locationSharingService.updateSessionProgress(session.sharingSessionId, location, {
+        status: session.status,
+        ...describeProgress(session),
+        offRoute: !!session.offRoute,
+        alert: session.alert ? session.alert.type : null,
+        updatedAt: now
+      });
+      return { ...session, lastProgressSharedAt: now };
+    },
+
+    // Share the live location with contacts and hold location tracking for the session.
+    // Sharing failing is reported but does not stop the session; tracking failing does.
+    // The in-app timer stops with the app, and no fix arrives while the user stands
+    // still, so the periodic deadline task checks deadlines while the app is suspended
+    begin: async (sharingOptions) => {
+      const sharing = await locationSharingService.startLocationSharing({ ...sharingOptions, trackLocation: false });
+
+      const tracking = await sessionTracking.hold(owner, { foreground: true });
+      if (!tracking.success) {
+        if (sharing.success) {
+          await locationSharingService.stopLocationSharing(sharing.sessionId);
+        }
+        return { success: false, error: tracking.error };
+      }
+      await safetyDeadlineTask.hold(owner);
+
+      return {
+        success: true,
+        sharingSessionId: sharing.success ? sharing.sessionId : null,
+        sharingError: sharing.success ? null : sharing.error,
+        backgroundTracking: tracking.backgroundTracking
+      };
+    },
+
+    // Alert contacts with emergency location sharing
+    startEmergencySharing: async (session) => {
+      const result = await locationSharingService.createEmergencyLocationSharing(
+        session.userProfile.id,
+        session.contacts
+      );
+      return {
+        emergencySessionId: result.success ? result.sessionId : null,
+        escalationError: result.success ? null : result.error
+      };
+    },
+
+    // Stop following the session and sharing its progress, and let go of tracking.
+    // Emergency sharing that was already started keeps running on its own schedule
+    close: async (session) => {
+      clearTimer();
+      unfollow();
+      await cancelAlertNotification(session);
+      if (session.sharingSessionId) {
+        await locationSharingService.stopLocationSharing(session.sharingSessionId);
+      }
+      await sessionTracking.release(owner);
+      await safetyDeadlineTask.release(owner);
+    }
+  };
+};
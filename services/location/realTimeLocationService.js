@@ -2,6 +2,8 @@ import * as Location from 'expo-location';
 import { AppState, Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { locationPermissionHandler } from './permissionHandler';
+import { tripHistoryService } from './tripHistoryService';
+import { checkLocation, filterLocation } from '../../utils/locationFilter';
 
 /**
  * Real-Time Location Service
@@ -14,7 +16,9 @@ export class RealTimeLocationService {
     this.currentLocation = null;
     this.trackingOptions = null;
     this.callbacks = {};
-    this.locationHistory = [];
+    this.locationListeners = new Set();
+    this.filterState = null;
+    this.locationHistoryCount = 0;
     this.trackingStats = {
       startTime: null,
       totalUpdates: 0,
@@ -66,6 +70,7 @@ export class RealTimeLocationService {
       }
 
       this.trackingOptions = this.configureTrackingOptions(options);
+      this.filterState = null;
       
       const trackingResult = await this.startLocationUpdates();
       if (!trackingResult.success) {
@@ -190,16 +195,12 @@ export class RealTimeLocationService {
   async handleLocationUpdate(locationData) {
     try {
       const processedLocation = this.processLocationData(locationData);
-      
-      if (!this.isValidLocation(processedLocation)) {
-        console.warn('Invalid location data received');
+      const smoothedLocation = this.applyLocationFilter(processedLocation);
+
+      if (!smoothedLocation) {
         return;
       }
 
-      const smoothedLocation = this.trackingOptions.enableSmoothing 
-        ? this.applySmoothingFilter(processedLocation)
-        : processedLocation;
-
       this.currentLocation = smoothedLocation;
       this.addToLocationHistory(smoothedLocation);
       this.updateTrackingStats(smoothedLocation);
@@ -216,6 +217,14 @@ export class RealTimeLocationService {
         });
       }
 
+      this.locationListeners.forEach(listener => {
+        try {
+          listener(smoothedLocation);
+        } catch (listenerError) {
+          console.error('Location Listener Error:', listenerError);
+        }
+      });
+
     } catch (error) {
       console.error('Error handling location update:', error);
       
@@ -228,6 +237,15 @@ export class RealTimeLocationService {
     }
   }
 
+  /**
+   * Follow location updates alongside the screen callbacks (e.g. guided walks).
+   * Returns a function that removes the listener
+   */
+  addLocationListener(listener) {
+    this.locationListeners.add(listener);
+    return () => this.locationListeners.delete(listener);
+  }
+
   /**
    * Process raw location data
    */
@@ -249,46 +267,23 @@ export class RealTimeLocationService {
    * Validate location data quality
    */
   isValidLocation(location) {
-    if (!location.latitude || !location.longitude) return false;
-    if (Math.abs(location.latitude) > 90) return false;
-    if (Math.abs(location.longitude) > 180) return false;
-    if (location.accuracy && location.accuracy > 1000) return false;
-    
-    const now = Date.now();
-    const locationTime = location.timestamp.getTime();
-    if (now - locationTime > 30000) return false;
-    
-    return true;
+    return checkLocation(location) === null;
   }
 
   /**
-   * Apply smoothing for smooth animations
+   * Run a fix through the shared Kalman filter, dropping outliers
    * Requirement 4.4: Smooth map animations
    */
-  applySmoothingFilter(newLocation) {
-    if (!this.currentLocation || this.locationHistory.length < 2) {
-      return newLocation;
-    }
-
-    const previousLocation = this.currentLocation;
-    const distance = this.calculateDistance(
-      previousLocation.latitude, previousLocation.longitude,
-      newLocation.latitude, newLocation.longitude
-    );
+  applyLocationFilter(newLocation) {
+    const result = filterLocation(this.filterState, newLocation);
+    this.filterState = result.state;
 
-    // Apply smoothing for small movements
-    if (distance < 0.005) {
-      const smoothingFactor = 0.3;
-      
-      return {
-        ...newLocation,
-        latitude: previousLocation.latitude + (newLocation.latitude - previousLocation.latitude) * smoothingFactor,
-        longitude: previousLocation.longitude + (newLocation.longitude - previousLocation.longitude) * smoothingFactor,
-        isSmoothed: true
-      };
+    if (result.rejected) {
+      console.warn(`Location rejected: ${result.rejected}`);
+      return null;
     }
 
-    return { ...newLocation, isSmoothed: false };
+    return this.trackingOptions.enableSmoothing ? result.location : newLocation;
   }
 
   /**
@@ -307,13 +302,11 @@ export class RealTimeLocationService {
   }
 
   /**
-   * Add location to history
+   * Add location to the persistent trip history
    */
   addToLocationHistory(location) {
-    this.locationHistory.unshift(location);
-    if (this.locationHistory.length > 50) {
-      this.locationHistory = this.locationHistory.slice(0, 50);
-    }
+    this.locationHistoryCount++;
+    tripHistoryService.recordLocation(location);
   }
 
   /**
@@ -578,7 +571,7 @@ export class RealTimeLocationService {
       ...this.trackingStats,
       isTracking: this.isTracking,
       currentLocation: this.currentLocation,
-      locationHistoryCount: this.locationHistory.length,
+      locationHistoryCount: this.locationHistoryCount,
       trackingDuration: this.trackingStats.startTime 
         ? Date.now() - this.trackingStats.startTime.getTime()
         : 0
@@ -0,0 +1,423 @@
+import { createGuidedSession, metersBetween, toStoredContact, toTimestamp } from './guidedSession';
+import { messagingService } from '../firebase/messaging';
+import { uploadRidePhoto } from '../firebase/storage';
+import { locateOnRoute, measureRoute } from '../../utils/routing';
+import {
+  GEOFENCE_EVENTS,
+  NOTIFICATION_TYPES,
+  RIDE_ALERTS,
+  RIDE_CONFIG,
+  RIDE_STATUS,
+  STORAGE_KEYS
+} from '../../utils/constants';
+
+const ACTIVE_STATUSES = [RIDE_STATUS.ACTIVE, RIDE_STATUS.ESCALATED];
+
+const ALERT_MESSAGES = {
+  [RIDE_ALERTS.ROUTE_DEVIATION]: 'Your ride has left the expected route.',
+  [RIDE_ALERTS.MOVING_AWAY]: 'Your ride is moving away from your destination.',
+  [RIDE_ALERTS.RESTRICTED_STOP]: 'Your ride has stopped in a restricted area.'
+};
+
+const session = createGuidedSession({
+  owner: 'ride',
+  storageKey: STORAGE_KEYS.RIDE_SAFETY,
+  checkInterval: RIDE_CONFIG.TIMER_CHECK_INTERVAL,
+  isActive: ride => rideSafetyService.isActive(ride),
+  onLocation: location => rideSafetyService.handleLocation(location),
+  onCheck: () => rideSafetyService.evaluate(),
+  describeProgress: ride => ({
+    plateNumber: ride.vehicle.plateNumber,
+    destinationName: ride.destination.name,
+    distanceRemaining: ride.distanceRemaining,
+    restrictedZone: ride.restrictedZone ? ride.restrictedZone.zoneName : null
+  })
+});
+
+// The line the ride is expected to follow: the planned route when there is one,
+// otherwise the straight line from the pickup, with a corridor that grows with
+// the trip because streets rarely run straight
+const buildExpectedRoute = (points, planned) => {
+  const cumulative = measureRoute(points);
+  const length = cumulative[cumulative.length - 1];
+  return {
+    points,
+    cumulative,
+    planned,
+    corridor: planned
+      ? RIDE_CONFIG.ROUTE_CORRIDOR_METERS
+      : Math.max(RIDE_CONFIG.DIRECT_CORRIDOR_METERS, RIDE_CONFIG.DIRECT_CORRIDOR_RATIO * length)
+  };
+};
+
+const toPoint = (location) => ({ latitude: location.latitude, longitude: location.longitude });
+
+// Warn the rider and show the alert to contacts straight away
+const raiseAlert = async (ride, type, now, details = {}) => {
+  await session.cancelAlertNotification(ride);
+  const notification = await messagingService.scheduleNotification(
+    '🚕 Ride alert',
+    `${ALERT_MESSAGES[type]} Open Ride Mode to alert your contacts if you feel unsafe.`,
+    { type: NOTIFICATION_TYPES.RIDE, rideId: ride.id, alert: type },
+    null
+  );
+
+  const alert = {
+    type,
+    message: ALERT_MESSAGES[type],
+    raisedAt: now,
+    notificationId: notification.success ? notification.id : null,
+    ...details
+  };
+  let alerted = {
+    ...ride,
+    alert,
+    alerts: [...ride.alerts, { type, raisedAt: now, ...details }]
+  };
+  if (ride.lastLocation) {
+    alerted = await session.shareProgress(alerted, ride.lastLocation, now);
+  }
+  await session.set(alerted);
+  return alerted;
+};
+
+const finishRide = async (ride, location, now) => {
+  let arrived = {
+    ...ride,
+    status: RIDE_STATUS.ARRIVED,
+    arrivedAt: now,
+    alert: null,
+    offRoute: null,
+    distanceRemaining: 0
+  };
+  arrived = await session.shareProgress(arrived, location, now);
+  await session.close(ride);
+
+  await session.set(arrived);
+  return arrived;
+};
+
+// Stopped inside a restricted zone for long enough, counted from whichever came
+// last: the stop or entering the zone
+const checkDeadlines = async (ride, now) => {
+  const { stop, restrictedZone } = ride;
+  if (!stop || stop.alerted || !restrictedZone) {
+    return ride;
+  }
+
+  if (now - Math.max(stop.since, restrictedZone.enteredAt) >= RIDE_CONFIG.RESTRICTED_STOP_MS) {
+    return raiseAlert({ ...ride, stop: { ...stop, alerted: true } }, RIDE_ALERTS.RESTRICTED_STOP, now, {
+      zoneId: restrictedZone.zoneId,
+      zoneName: restrictedZone.zoneName
+    });
+  }
+  return ride;
+};
+
+const updateWithLocation = async (location, now) => {
+  let ride = await session.load();
+  if (!rideSafetyService.isActive(ride)) {
+    return { success: true, ride };
+  }
+
+  const distanceToDestination = metersBetween(location, ride.destination);
+  if (distanceToDestination <= RIDE_CONFIG.ARRIVAL_METERS) {
+    return { success: true, ride: await finishRide(ride, location, now) };
+  }
+
+  // Without a planned route or a pickup point, the first fix is the pickup
+  const expected = ride.expected || buildExpectedRoute([toPoint(location), toPoint(ride.destination)], false);
+  const { distanceFromRoute } = locateOnRoute(expected.points, expected.cumulative, location);
+  const closestDistance = Math.min(ride.closestDistance ?? distanceToDestination, distanceToDestination);
+
+  let deviation = null;
+  if (distanceFromRoute > expected.corridor + (location.accuracy || 0)) {
+    deviation = RIDE_ALERTS.ROUTE_DEVIATION;
+  } else if (distanceToDestination - closestDistance > RIDE_CONFIG.MOVING_AWAY_METERS) {
+    deviation = RIDE_ALERTS.MOVING_AWAY;
+  }
+
+  ride = {
+    ...ride,
+    expected,
+    closestDistance,
+    distanceRemaining: Math.round(distanceToDestination),
+    distanceFromRoute: Math.round(distanceFromRoute),
+    lastLocation: { ...toPoint(location), accuracy: location.accuracy || null },
+    // Off route for the confirm time alerts once, until the ride is back on track
+    offRoute: deviation ? (ride.offRoute || { since: now, alerted: false }) : null
+  };
+
+  // A new stop anchor whenever the vehicle moves beyond the stop radius
+  if (!ride.stop || metersBetween(location, ride.stop) > RIDE_CONFIG.STOP_RADIUS_METERS) {
+    ride.stop = { ...toPoint(location), since: now, alerted: false };
+  }
+
+  if (ride.offRoute && !ride.offRoute.alerted && now - ride.offRoute.since >= RIDE_CONFIG.DEVIATION_CONFIRM_MS) {
+    ride.offRoute = { ...ride.offRoute, alerted: true };
+    ride = await raiseAlert(ride, deviation, now, { distanceFromRoute: ride.distanceFromRoute });
+  }
+
+  if (now - (ride.lastProgressSharedAt || 0) >= RIDE_CONFIG.PROGRESS_SHARE_INTERVAL_MS) {
+    ride = await session.shareProgress(ride, location, now);
+  }
+
+  ride = await checkDeadlines(ride, now);
+  await session.set(ride);
+  session.scheduleCheck(ride);
+  return { success: true, ride };
+};
+
+// Taxi/ride mode: the vehicle's plate, driver and destination are shared with
+// chosen contacts along with the live location, and the rider is alerted when the
+// ride leaves the expected route, heads away from the destination or stops in a
+// restricted zone. The ride closes itself on arrival
+export const rideSafetyService = {
+  // ACTIVE and ESCALATED are still followed; ARRIVED is final
+  isActive: (ride) => !!ride && ACTIVE_STATUSES.includes(ride.status),
+
+  getRide: () => session.getCurrent(),
+
+  // Listen for ride changes; returns an unsubscribe function
+  subscribe: (listener) => session.subscribe(listener),
+
+  // Start a ride. The plate can be typed or photographed; origin (the pickup) and
+  // route (points of a planned route) are optional
+  startRide: async ({ vehicle = {}, destination, origin, route, userProfile, contacts = [] }, now = Date.now()) => {
+    try {
+      const plateNumber = vehicle.plateNumber?.trim().toUpperCase() || null;
+      if (!plateNumber && !vehicle.photoUri) {
+        return { success: false, error: 'Enter the plate number or take a photo of it' };
+      }
+      if (!Number.isFinite(destination?.latitude) || !Number.isFinite(destination?.longitude)) {
+        return { success: false, error: 'Choose a destination for the ride' };
+      }
+      if (!contacts || contacts.length === 0) {
+        return { success: false, error: 'Choose at least one contact to follow your ride' };
+      }
+
+      const existing = await session.load();
+      if (rideSafetyService.isActive(existing)) {
+        return { success: false, error: 'A ride is already in progress' };
+      }
+
+      const id = `ride-${now}`;
+      const userId = userProfile?.id || userProfile?.userId || null;
+      const storedContacts = contacts.map(toStoredContact);
+
+      // Contacts see the photo too; the ride goes ahead without it if the upload fails
+      let photoUrl = null;
+      if (vehicle.photoUri && userId) {
+        try {
+          photoUrl = await uploadRidePhoto(vehicle.photoUri, userId, id);
+        } catch (error) {
+          console.error('Ride Photo Upload Error:', error);
+        }
+      }
+
+      const storedVehicle = {
+        plateNumber,
+        driverName: vehicle.driverName?.trim() || null,
+        photoUri: vehicle.photoUri || null,
+        photoUrl
+      };
+      const storedDestination = {
+        name: destination.name || null,
+        latitude: destination.latitude,
+        longitude: destination.longitude
+      };
+
+      const started = await session.begin({
+        userId,
+        contacts: storedContacts,
+        duration: RIDE_CONFIG.MAX_DURATION_MINUTES,
+        reason: 'ride',
+        details: {
+          plateNumber,
+          driverName: storedVehicle.driverName,
+          photoUrl,
+          destinationName: storedDestination.name,
+          destination: toPoint(storedDestination)
+        }
+      });
+      if (!started.success) {
+        return { success: false, error: started.error };
+      }
+
+      let expected = null;
+      if (route?.points?.length >= 2) {
+        expected = buildExpectedRoute(route.points.map(toPoint), true);
+      } else if (Number.isFinite(origin?.latitude) && Number.isFinite(origin?.longitude)) {
+        expected = buildExpectedRoute([toPoint(origin), toPoint(storedDestination)], false);
+      }
+
+      const ride = {
+        id,
+        status: RIDE_STATUS.ACTIVE,
+        startedAt: now,
+        vehicle: storedVehicle,
+        destination: storedDestination,
+        expected,
+        closestDistance: null,
+        distanceRemaining: null,
+        distanceFromRoute: null,
+        userProfile: { id: userId, name: userProfile?.name || null },
+        contacts: storedContacts,
+        sharingSessionId: started.sharingSessionId,
+        emergencySessionId: null,
+        backgroundTracking: started.backgroundTracking,
+        alert: null,
+        alerts: [],
+        offRoute: null,
+        stop: null,
+        restrictedZone: null,
+        lastLocation: null,
+        lastProgressSharedAt: 0
+      };
+
+      await session.set(ride);
+      session.follow();
+      session.scheduleCheck(ride);
+
+      return { success: true, ride, sharingError: started.sharingError };
+    } catch (error) {
+      console.error('Ride Start Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // A new fix from realTimeLocationService or the background location task
+  handleLocation: (location, now = toTimestamp(location, Date.now())) => session.serialize(async () => {
+    try {
+      return await updateWithLocation(location, now);
+    } catch (error) {
+      console.error('Ride Location Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // Deadlines without a new fix: a stop in a restricted zone
+  evaluate: (now = Date.now()) => session.serialize(async () => {
+    try {
+      const ride = await session.load();
+      if (!rideSafetyService.isActive(ride)) {
+        session.clearTimer();
+        return { success: true, ride };
+      }
+
+      const updated = await checkDeadlines(ride, now);
+      if (updated !== ride) {
+        await session.set(updated);
+      }
+      session.scheduleCheck(updated);
+      return { success: true, ride: updated };
+    } catch (error) {
+      console.error('Ride Evaluation Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // Geofence event subscriber for restricted zones: remember which one the ride is in
+  handleGeofenceEvent: (event) => session.serialize(async () => {
+    try {
+      const ride = await session.load();
+      if (!rideSafetyService.isActive(ride) || event.safetyLevel !== 'restricted') {
+        return { success: true, ride };
+      }
+
+      let restrictedZone = ride.restrictedZone;
+      if (event.type === GEOFENCE_EVENTS.ENTER) {
+        restrictedZone = { zoneId: event.zoneId, zoneName: event.zoneName, enteredAt: event.timestamp };
+      } else if (event.type === GEOFENCE_EVENTS.EXIT && ride.restrictedZone?.zoneId === event.zoneId) {
+        restrictedZone = null;
+      }
+      if (restrictedZone === ride.restrictedZone) {
+        return { success: true, ride };
+      }
+
+      const updated = await checkDeadlines({ ...ride, restrictedZone }, event.timestamp);
+      await session.set(updated);
+      session.scheduleCheck(updated);
+      return { success: true, ride: updated };
+    } catch (error) {
+      console.error('Ride Zone Event Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // "I'm OK": clear the alert. A deviation is not raised again until the ride is
+  // back on route
+  dismissAlert: () => session.serialize(async () => {
+    try {
+      const ride = await session.load();
+      if (!ride?.alert) {
+        return { success: false, error: 'No alert to dismiss' };
+      }
+
+      await session.cancelAlertNotification(ride);
+      const dismissed = { ...ride, alert: null };
+      await session.set(dismissed);
+      return { success: true, ride: dismissed };
+    } catch (error) {
+      console.error('Ride Dismiss Alert Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // Alert contacts with emergency location sharing. Starts once per ride
+  getHelp: (now = Date.now()) => session.serialize(async () => {
+    try {
+      const ride = await session.load();
+      if (!rideSafetyService.isActive(ride)) {
+        return { success: false, error: 'No ride in progress' };
+      }
+      if (ride.status === RIDE_STATUS.ESCALATED) {
+        return { success: true, ride };
+      }
+
+      let escalated = { ...ride, status: RIDE_STATUS.ESCALATED, escalatedAt: now };
+      await session.set(escalated);
+      await session.cancelAlertNotification(ride);
+
+      escalated = { ...escalated, alert: null, ...(await session.startEmergencySharing(ride)) };
+      if (ride.lastLocation) {
+        escalated = await session.shareProgress(escalated, ride.lastLocation, now);
+      }
+      await session.set(escalated);
+      return { success: true, ride: escalated };
+    } catch (error) {
+      console.error('Ride Get Help Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // Stop following the ride and sharing it. Emergency sharing that was already
+  // started keeps running on its own schedule
+  endRide: () => session.serialize(async () => {
+    try {
+      session.clearTimer();
+      session.unfollow();
+      const ride = await session.load();
+      if (rideSafetyService.isActive(ride)) {
+        await session.close(ride);
+      }
+      await session.set(null);
+      return { success: true };
+    } catch (error) {
+      console.error('Ride End Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // Reload a persisted ride after an app restart
+  resumeRide: async (now = Date.now()) => {
+    const result = await rideSafetyService.evaluate(now);
+    if (result.success && rideSafetyService.isActive(result.ride)) {
+      session.follow();
+    }
+    if (result.success) {
+      session.notify(result.ride);
+    }
+    return result;
+  }
+};
@@ -0,0 +1,145 @@
+import { geoFencingService } from './geoFencing';
+import { offlineMapService } from '../offline/offlineMapService';
+import { calculateDistance } from '../../utils/helpers';
+import { ROUTING_CONFIG } from '../../utils/constants';
+import {
+  buildRoadQuery,
+  parseRoadElements,
+  buildRoadGraph,
+  findNearestNode,
+  findRoute,
+  createSafetyCost,
+  summarizeRoute,
+  isNightTime
+} from '../../utils/routing';
+
+const METERS_PER_DEGREE = 111320;
+
+// Box around the points, padded so routes can go around a restricted area
+const getPaddedBounds = (points, paddingMeters = ROUTING_CONFIG.GRAPH_PADDING_METERS) => {
+  const latitudes = points.map(point => point.latitude);
+  const longitudes = points.map(point => point.longitude);
+  const latPadding = paddingMeters / METERS_PER_DEGREE;
+  const maxLatitude = Math.max(...latitudes.map(Math.abs));
+  const lonPadding = latPadding / Math.max(Math.cos(maxLatitude * Math.PI / 180), 0.01);
+
+  return {
+    minLat: Math.min(...latitudes) - latPadding,
+    maxLat: Math.max(...latitudes) + latPadding,
+    minLon: Math.min(...longitudes) - lonPadding,
+    maxLon: Math.max(...longitudes) + lonPadding
+  };
+};
+
+const fetchRoadGraph = async (bounds) => {
+  const response = await fetch(ROUTING_CONFIG.OVERPASS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: `data=${encodeURIComponent(buildRoadQuery(bounds))}`
+  });
+  if (!response.ok) {
+    throw new Error(`Road data request failed (${response.status})`);
+  }
+
+  const { elements } = await response.json();
+  return parseRoadElements(elements);
+};
+
+// Cached road data when the area was saved before, otherwise fetched and cached
+const getRoadGraphData = async (from, to) => {
+  const cached = await offlineMapService.getCachedRoadGraph([from, to]);
+  if (cached.success) {
+    return { graphData: cached.graph, isOffline: true };
+  }
+
+  const bounds = getPaddedBounds([from, to]);
+  let graphData;
+  try {
+    graphData = await fetchRoadGraph(bounds);
+  } catch (error) {
+    console.error('Road Data Error:', error);
+    throw new Error('Road data is not available offline for this area. Save the area while online to plan routes offline.');
+  }
+
+  await offlineMapService.cacheRoadGraph(bounds, graphData);
+  return { graphData, isOffline: false };
+};
+
+const describeRoute = async (graph, path, safetyZones, zoneIndex, isNight) => {
+  const summary = summarizeRoute(graph, path.nodeIds, zoneIndex, isNight);
+  const safety = await geoFencingService.calculateRouteSafetyScore(summary.points, safetyZones);
+
+  return {
+    ...summary,
+    duration: Math.round(summary.distance / ROUTING_CONFIG.WALKING_SPEED_MPS),
+    safetyScore: safety.success ? safety.score : null,
+    recommendation: safety.success ? safety.recommendation : null
+  };
+};
+
+// A to B walking routes: the fastest, and the safest by a cost that penalises
+// restricted and caution zones, poorly lit zones at night and empty streets
+export const routePlanningService = {
+  // Fastest and safest routes side by side; the same route twice when no safer one exists
+  planRoutes: async (from, to, safetyZones = [], { now = new Date() } = {}) => {
+    try {
+      const straightDistance = calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+      if (straightDistance > ROUTING_CONFIG.MAX_ROUTE_DISTANCE_KM) {
+        return { success: false, error: `Destination is more than ${ROUTING_CONFIG.MAX_ROUTE_DISTANCE_KM} km away` };
+      }
+
+      const { graphData, isOffline } = await getRoadGraphData(from, to);
+      const graph = buildRoadGraph(graphData);
+
+      const start = findNearestNode(graph, from);
+      const end = findNearestNode(graph, to);
+      if (!start || start.distance > ROUTING_CONFIG.MAX_SNAP_DISTANCE_METERS) {
+        return { success: false, error: 'No road found near the start point' };
+      }
+      if (!end || end.distance > ROUTING_CONFIG.MAX_SNAP_DISTANCE_METERS) {
+        return { success: false, error: 'No road found near the destination' };
+      }
+
+      const fastestPath = findRoute(graph, start.id, end.id);
+      if (!fastestPath) {
+        return { success: false, error: 'No walking route found between these points' };
+      }
+
+      const isNight = isNightTime(now);
+      const zoneIndex = geoFencingService.getZoneIndex(safetyZones);
+      const safestPath = findRoute(graph, start.id, end.id, createSafetyCost(zoneIndex, isNight));
+
+      const fastest = await describeRoute(graph, fastestPath, safetyZones, zoneIndex, isNight);
+      const safest = await describeRoute(graph, safestPath, safetyZones, zoneIndex, isNight);
+
+      return {
+        success: true,
+        fastest,
+        safest,
+        sameRoute: fastestPath.nodeIds.join() === safestPath.nodeIds.join(),
+        isNight,
+        isOffline
+      };
+    } catch (error) {
+      console.error('Route Planning Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Download road data around a location so routes can be planned there offline
+  saveAreaForOffline: async (center, radiusKm = 2) => {
+    try {
+      const bounds = getPaddedBounds([center], radiusKm * 1000);
+      const graphData = await fetchRoadGraph(bounds);
+      const result = await offlineMapService.cacheRoadGraph(bounds, graphData);
+      if (!result.success) {
+        return result;
+      }
+
+      return { success: true, roads: graphData.ways.length, bounds };
+    } catch (error) {
+      console.error('Save Offline Area Error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+};
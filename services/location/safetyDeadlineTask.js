@@ -0,0 +1,73 @@
+import * as BackgroundTask from 'expo-background-task';
+import * as TaskManager from 'expo-task-manager';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SAFETY_DEADLINE_TASK_CONFIG, STORAGE_KEYS } from '../../utils/constants';
+
+// Defined with the background location task, which index.js loads at startup
+export const SAFETY_DEADLINE_TASK = 'TOURIST_SAFETY_DEADLINE_TASK';
+
+let pendingUpdate = Promise.resolve();
+
+// Owners are persisted: the task may be released from a fresh JS context
+const serialize = (update) => {
+  const run = pendingUpdate.then(update);
+  pendingUpdate = run.catch(() => {});
+  return run;
+};
+
+const loadOwners = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.SAFETY_DEADLINE_OWNERS);
+  return stored ? JSON.parse(stored) : [];
+};
+
+const saveOwners = async (owners) => {
+  if (owners.length > 0) {
+    await AsyncStorage.setItem(STORAGE_KEYS.SAFETY_DEADLINE_OWNERS, JSON.stringify(owners));
+  } else {
+    await AsyncStorage.removeItem(STORAGE_KEYS.SAFETY_DEADLINE_OWNERS);
+  }
+};
+
+// Periodic background task that checks safety deadlines (missed check-ins and the
+// like) when no location update arrives to wake the app, e.g. for a user who has
+// stopped moving. Each feature holds the task while it has a deadline pending
+export const safetyDeadlineTask = {
+  hold: (owner) => serialize(async () => {
+    try {
+      const owners = await loadOwners();
+      if (!owners.includes(owner)) {
+        await saveOwners([...owners, owner]);
+      }
+
+      const status = await BackgroundTask.getStatusAsync();
+      if (status !== BackgroundTask.BackgroundTaskStatus.Available) {
+        return { success: false, error: 'Background tasks are restricted on this device' };
+      }
+      if (!(await TaskManager.isTaskRegisteredAsync(SAFETY_DEADLINE_TASK))) {
+        await BackgroundTask.registerTaskAsync(SAFETY_DEADLINE_TASK, {
+          minimumInterval: SAFETY_DEADLINE_TASK_CONFIG.MINIMUM_INTERVAL_MINUTES
+        });
+      }
+      return { success: true };
+    } catch (error) {
+      console.error('Hold Safety Deadline Task Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // The task is unregistered once no feature holds it
+  release: (owner) => serialize(async () => {
+    try {
+      const owners = (await loadOwners()).filter(existing => existing !== owner);
+      await saveOwners(owners);
+
+      if (owners.length === 0 && await TaskManager.isTaskRegisteredAsync(SAFETY_DEADLINE_TASK)) {
+        await BackgroundTask.unregisterTaskAsync(SAFETY_DEADLINE_TASK);
+      }
+      return { success: true };
+    } catch (error) {
+      console.error('Release Safety Deadline Task Error:', error);
+      return { success: false, error: error.message };
+    }
+  })
+};
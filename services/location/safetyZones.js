@@ -1,6 +1,7 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { offlineDataService } from '../offline/offlineDataService';
 import { offlineMapService } from '../offline/offlineMapService';
+import { getZoneCenter } from '../../utils/geofence';
 
 // Enhanced mock safety zones data with more comprehensive information
 export const mockSafetyZones = [
@@ -125,6 +126,8 @@ export const mockSafetyZones = [
   }
 ];
 
+let parsedZoneCache = { raw: null, data: null };
+
 export const safetyZonesService = {
   // Get all safety zones
   getAllSafetyZones: async () => {
@@ -144,11 +147,11 @@ export const safetyZonesService = {
     try {
       // Filter zones within radius (simplified calculation)
       const nearbyZones = mockSafetyZones.filter(zone => {
-        const centerLat = zone.coordinates.reduce((sum, coord) => sum + coord.latitude, 0) / zone.coordinates.length;
-        const centerLon = zone.coordinates.reduce((sum, coord) => sum + coord.longitude, 0) / zone.coordinates.length;
+        const center = getZoneCenter(zone);
+        if (!center) return false;
         
         const distance = Math.sqrt(
-          Math.pow(latitude - centerLat, 2) + Math.pow(longitude - centerLon, 2)
+          Math.pow(latitude - center.latitude, 2) + Math.pow(longitude - center.longitude, 2)
         ) * 111; // Rough conversion to km
         
         return distance <= radius;
@@ -249,7 +252,11 @@ export const safetyZonesService = {
         return { success: false, error: 'No cached zones found' };
       }
 
-      const { zones, cachedAt } = JSON.parse(cached);
+      // Reuse the parsed zones while the cache is unchanged so their spatial index is reused too
+      if (cached !== parsedZoneCache.raw) {
+        parsedZoneCache = { raw: cached, data: JSON.parse(cached) };
+      }
+      const { zones, cachedAt } = parsedZoneCache.data;
       const cacheAge = Date.now() - new Date(cachedAt).getTime();
       const maxCacheAge = 24 * 60 * 60 * 1000; // 24 hours
 
@@ -296,11 +303,11 @@ export const safetyZonesService = {
       if (basicCachedData.success) {
         // Filter cached zones by location
         const nearbyZones = basicCachedData.zones.filter(zone => {
-          const centerLat = zone.coordinates.reduce((sum, coord) => sum + coord.latitude, 0) / zone.coordinates.length;
-          const centerLon = zone.coordinates.reduce((sum, coord) => sum + coord.longitude, 0) / zone.coordinates.length;
+          const center = getZoneCenter(zone);
+          if (!center) return false;
           
           const distance = Math.sqrt(
-            Math.pow(latitude - centerLat, 2) + Math.pow(longitude - centerLon, 2)
+            Math.pow(latitude - center.latitude, 2) + Math.pow(longitude - center.longitude, 2)
           ) * 111; // Rough conversion to km
           
           return distance <= radius;
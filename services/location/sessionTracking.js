@@ -0,0 +1,86 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { realTimeLocationService } from './realTimeLocationService';
+import { STORAGE_KEYS } from '../../utils/constants';
+
+let pendingUpdate = Promise.resolve();
+
+// Holders are persisted: a session may end from the background task's fresh JS context
+const serialize = (update) => {
+  const run = pendingUpdate.then(update);
+  pendingUpdate = run.catch(() => {});
+  return run;
+};
+
+const loadState = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.SESSION_TRACKING);
+  return stored ? JSON.parse(stored) : { owners: [], startedTracking: false };
+};
+
+const saveState = async (state) => {
+  if (state.owners.length > 0) {
+    await AsyncStorage.setItem(STORAGE_KEYS.SESSION_TRACKING, JSON.stringify(state));
+  } else {
+    await AsyncStorage.removeItem(STORAGE_KEYS.SESSION_TRACKING);
+  }
+};
+
+// Location tracking shared by safety sessions (guided walks, rides, check-ins).
+// Each session holds tracking while it runs; what the sessions started is stopped
+// once the last of them releases it, and background tracking the user turned on is
+// left alone
+export const sessionTracking = {
+  // `foreground` also starts real-time tracking when nothing runs it yet
+  hold: (owner, { foreground = false } = {}) => serialize(async () => {
+    try {
+      const state = await loadState();
+
+      let startedTracking = state.startedTracking;
+      if (foreground && !realTimeLocationService.isTracking) {
+        const tracking = await realTimeLocationService.startRealTimeTracking({ enableBackground: true });
+        if (!tracking.success) {
+          return { success: false, error: tracking.error };
+        }
+        startedTracking = true;
+      }
+      const background = await realTimeLocationService.startBackgroundTracking();
+
+      await saveState({
+        owners: state.owners.includes(owner) ? state.owners : [...state.owners, owner],
+        startedTracking
+      });
+      return { success: true, backgroundTracking: !!background.success };
+    } catch (error) {
+      console.error('Hold Session Tracking Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  release: (owner) => serialize(async () => {
+    try {
+      const state = await loadState();
+      if (!state.owners.includes(owner)) {
+        return { success: true };
+      }
+
+      const owners = state.owners.filter(existing => existing !== owner);
+      await saveState({ ...state, owners });
+      if (owners.length > 0) {
+        return { success: true };
+      }
+
+      if (state.startedTracking && realTimeLocationService.isTracking) {
+        await realTimeLocationService.stopRealTimeTracking();
+      } else {
+        const trackingOptions = realTimeLocationService.trackingOptions;
+        const userTracking = realTimeLocationService.isTracking && trackingOptions?.enableBackground;
+        if (!userTracking) {
+          await realTimeLocationService.stopBackgroundTracking();
+        }
+      }
+      return { success: true };
+    } catch (error) {
+      console.error('Release Session Tracking Error:', error);
+      return { success: false, error: error.message };
+    }
+  })
+};
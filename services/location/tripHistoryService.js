@@ -0,0 +1,248 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import {
+  addSegments,
+  appendToTimeline,
+  finishSegment,
+  segmentHistory,
+  toGeoJSON,
+  toGPX
+} from '../../utils/tripTimeline';
+import { STORAGE_KEYS, TRIP_HISTORY_CONFIG, TRIP_SEGMENT_TYPES } from '../../utils/constants';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Blobs each location source used to keep on its own before the trip store
+const LEGACY_HISTORY_KEYS = ['location_history', 'background_location_history'];
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  retentionDays: TRIP_HISTORY_CONFIG.DEFAULT_RETENTION_DAYS
+};
+
+let pendingUpdate = Promise.resolve();
+let legacyChecked = false;
+const listeners = new Set();
+
+// Foreground tracking, the location watcher and the background task all record
+// here, so updates are applied one at a time
+const serialize = (update) => {
+  const run = pendingUpdate.then(update);
+  pendingUpdate = run.catch(() => {});
+  return run;
+};
+
+const loadJSON = async (key, fallback) => {
+  const stored = await AsyncStorage.getItem(key);
+  return stored ? JSON.parse(stored) : fallback;
+};
+
+const notify = () => listeners.forEach(listener => listener());
+
+const loadSettings = async () => ({
+  ...DEFAULT_SETTINGS,
+  ...(await loadJSON(STORAGE_KEYS.TRIP_HISTORY_SETTINGS, {}))
+});
+
+const applyRetention = (segments, retentionDays, now) => (
+  segments.filter(segment => segment.endTime >= now - retentionDays * DAY)
+);
+
+const saveSegments = (segments) => AsyncStorage.setItem(STORAGE_KEYS.TRIP_HISTORY, JSON.stringify(segments));
+
+const saveOpen = (open) => (
+  open
+    ? AsyncStorage.setItem(STORAGE_KEYS.TRIP_HISTORY_OPEN, JSON.stringify(open))
+    : AsyncStorage.removeItem(STORAGE_KEYS.TRIP_HISTORY_OPEN)
+);
+
+// One-off move of the old per-source history into the store, ahead of new fixes
+const importLegacyHistory = async () => {
+  if (legacyChecked) {
+    return;
+  }
+
+  const stored = await AsyncStorage.multiGet(LEGACY_HISTORY_KEYS);
+  const locations = stored.flatMap(([, value]) => (value ? JSON.parse(value) : []));
+  if (locations.length > 0) {
+    const segments = await loadJSON(STORAGE_KEYS.TRIP_HISTORY, []);
+    await saveSegments(addSegments(segments, segmentHistory(locations)));
+  }
+  await AsyncStorage.multiRemove(LEGACY_HISTORY_KEYS);
+  legacyChecked = true;
+};
+
+// Stored segments inside the retention period, plus the open one finished on the fly
+const loadTimeline = async (now) => {
+  await importLegacyHistory();
+  const settings = await loadSettings();
+  const segments = await loadJSON(STORAGE_KEYS.TRIP_HISTORY, []);
+  const kept = applyRetention(segments, settings.retentionDays, now);
+  if (kept.length !== segments.length) {
+    await saveSegments(kept);
+  }
+
+  const open = await loadJSON(STORAGE_KEYS.TRIP_HISTORY_OPEN, null);
+  const current = finishSegment(open);
+  return {
+    open,
+    segments: current ? addSegments(kept, [{ ...current, inProgress: true }]) : kept
+  };
+};
+
+const overlaps = (segment, from, to) => (
+  (from === undefined || segment.endTime >= from) && (to === undefined || segment.startTime <= to)
+);
+
+const EXPORT_FORMATS = {
+  gpx: { extension: 'gpx', build: (segments) => toGPX(segments) },
+  geojson: { extension: 'geojson', build: (segments) => JSON.stringify(toGeoJSON(segments), null, 2) }
+};
+
+export const tripHistoryService = {
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  getSettings: async () => {
+    try {
+      return { success: true, settings: await loadSettings() };
+    } catch (error) {
+      console.error('Get Trip History Settings Error:', error);
+      return { success: false, error: error.message, settings: DEFAULT_SETTINGS };
+    }
+  },
+
+  // Turning recording off also deletes what was recorded; a shorter retention
+  // period applies straight away
+  updateSettings: (changes, now = Date.now()) => serialize(async () => {
+    try {
+      const settings = { ...(await loadSettings()), ...changes };
+      if (!TRIP_HISTORY_CONFIG.RETENTION_OPTIONS_DAYS.includes(settings.retentionDays)) {
+        return { success: false, error: 'Unsupported retention period' };
+      }
+
+      await AsyncStorage.setItem(STORAGE_KEYS.TRIP_HISTORY_SETTINGS, JSON.stringify(settings));
+      if (!settings.enabled) {
+        await AsyncStorage.multiRemove([STORAGE_KEYS.TRIP_HISTORY, STORAGE_KEYS.TRIP_HISTORY_OPEN]);
+      } else {
+        const segments = await loadJSON(STORAGE_KEYS.TRIP_HISTORY, []);
+        await saveSegments(applyRetention(segments, settings.retentionDays, now));
+      }
+
+      notify();
+      return { success: true, settings };
+    } catch (error) {
+      console.error('Update Trip History Settings Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // Add a fix to the timeline. Duplicates (the same fix from several sources) are ignored
+  recordLocation: (location, now = Date.now()) => serialize(async () => {
+    try {
+      const settings = await loadSettings();
+      if (!settings.enabled) {
+        return { success: true, recorded: false };
+      }
+
+      await importLegacyHistory();
+      const open = await loadJSON(STORAGE_KEYS.TRIP_HISTORY_OPEN, null);
+      const result = appendToTimeline(open, location);
+      if (result.open === open) {
+        return { success: true, recorded: false };
+      }
+
+      if (result.closed.length > 0) {
+        const segments = await loadJSON(STORAGE_KEYS.TRIP_HISTORY, []);
+        await saveSegments(applyRetention(addSegments(segments, result.closed), settings.retentionDays, now));
+      }
+      await saveOpen(result.open);
+
+      notify();
+      return { success: true, recorded: true, closed: result.closed };
+    } catch (error) {
+      console.error('Record Trip Location Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // Segments overlapping [from, to] (milliseconds), newest first
+  getTimeline: ({ from, to } = {}, now = Date.now()) => serialize(async () => {
+    try {
+      const { segments } = await loadTimeline(now);
+      return {
+        success: true,
+        segments: segments.filter(segment => overlaps(segment, from, to)).reverse()
+      };
+    } catch (error) {
+      console.error('Get Timeline Error:', error);
+      return { success: false, error: error.message, segments: [] };
+    }
+  }),
+
+  // Newest-first locations for callers that want a flat history (e.g. sync)
+  getRecentLocations: (limit = TRIP_HISTORY_CONFIG.RECENT_LOCATIONS_LIMIT, now = Date.now()) => serialize(async () => {
+    try {
+      const { open, segments } = await loadTimeline(now);
+      const recent = open?.type === TRIP_SEGMENT_TYPES.TRIP ? [...open.points].reverse() : [];
+      for (let i = segments.length - 1; i >= 0 && recent.length < limit; i--) {
+        const segment = segments[i];
+        if (segment.type === TRIP_SEGMENT_TYPES.STAY) {
+          recent.push({ ...segment.center, timestamp: segment.endTime });
+        } else if (!segment.inProgress) {
+          recent.push(...[...segment.points].reverse());
+        }
+      }
+      return recent.slice(0, limit).map(point => ({ ...point, timestamp: new Date(point.timestamp) }));
+    } catch (error) {
+      console.error('Get Recent Locations Error:', error);
+      return [];
+    }
+  }),
+
+  // Write the timeline to a GPX or GeoJSON file the user can share
+  exportTimeline: async (format, range = {}, now = Date.now()) => {
+    try {
+      const exporter = EXPORT_FORMATS[format];
+      if (!exporter) {
+        return { success: false, error: `Unsupported export format: ${format}` };
+      }
+
+      const timeline = await tripHistoryService.getTimeline(range, now);
+      if (!timeline.success) {
+        return timeline;
+      }
+      if (timeline.segments.length === 0) {
+        return { success: false, error: 'No trip history in this period' };
+      }
+
+      const content = exporter.build([...timeline.segments].reverse());
+      const directory = `${FileSystem.documentDirectory}${TRIP_HISTORY_CONFIG.EXPORT_DIRECTORY}`;
+      const uri = `${directory}trip-history-${new Date(now).toISOString().slice(0, 10)}.${exporter.extension}`;
+      await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+      await FileSystem.writeAsStringAsync(uri, content);
+
+      return { success: true, uri, content, segmentCount: timeline.segments.length };
+    } catch (error) {
+      console.error('Export Timeline Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  clearHistory: () => serialize(async () => {
+    try {
+      await AsyncStorage.multiRemove([
+        STORAGE_KEYS.TRIP_HISTORY,
+        STORAGE_KEYS.TRIP_HISTORY_OPEN,
+        ...LEGACY_HISTORY_KEYS
+      ]);
+      notify();
+      return { success: true };
+    } catch (error) {
+      console.error('Clear Trip History Error:', error);
+      return { success: false, error: error.message };
+    }
+  })
+};
@@ -0,0 +1,385 @@
+import * as Speech from 'expo-speech';
+import { createGuidedSession, metersBetween, toStoredContact, toTimestamp } from './guidedSession';
+import { messagingService } from '../firebase/messaging';
+import { buildTurnInstructions, locateOnRoute, measureRoute } from '../../utils/routing';
+import {
+  GEOFENCE_EVENTS,
+  NOTIFICATION_TYPES,
+  ROUTING_CONFIG,
+  STORAGE_KEYS,
+  WALK_HOME_ALERTS,
+  WALK_HOME_CONFIG,
+  WALK_HOME_STATUS
+} from '../../utils/constants';
+
+const ACTIVE_STATUSES = [
+  WALK_HOME_STATUS.GUIDING,
+  WALK_HOME_STATUS.AWAITING_RESPONSE,
+  WALK_HOME_STATUS.ESCALATED
+];
+
+const ALERT_PROMPTS = {
+  [WALK_HOME_ALERTS.DEVIATION]: "You've left your route.",
+  [WALK_HOME_ALERTS.STOPPED]: "You haven't moved for a while.",
+  [WALK_HOME_ALERTS.RESTRICTED_ZONE]: "You've entered a restricted area."
+};
+
+const session = createGuidedSession({
+  owner: 'walkHome',
+  storageKey: STORAGE_KEYS.WALK_HOME,
+  checkInterval: WALK_HOME_CONFIG.TIMER_CHECK_INTERVAL,
+  isActive: walk => walkHomeService.isActive(walk),
+  onLocation: location => walkHomeService.handleLocation(location),
+  onCheck: () => walkHomeService.evaluate(),
+  describeProgress: walk => ({
+    destinationName: walk.destination.name || null,
+    distanceRemaining: walk.progress?.distanceRemaining ?? walk.route.distance,
+    etaSeconds: walk.progress?.etaSeconds ?? walk.route.duration
+  })
+});
+
+const speak = (text) => {
+  try {
+    Speech.speak(text, { rate: 0.9 });
+  } catch (error) {
+    console.error('Walk Home Speech Error:', error);
+  }
+};
+
+const getNextStep = (walk, distanceAlong) => (
+  walk.steps.find(step => step.distanceAlong > distanceAlong) || walk.steps[walk.steps.length - 1]
+);
+
+// "Are you OK?": contacts are alerted if nobody answers before respondBy
+const raiseAlert = async (walk, type, now, details = {}) => {
+  const prompt = `${ALERT_PROMPTS[type]} Are you OK?`;
+  const notification = await messagingService.scheduleNotification(
+    '🛡️ Are you OK?',
+    `${ALERT_PROMPTS[type]} Your contacts will be alerted in ${Math.round(WALK_HOME_CONFIG.RESPONSE_TIMEOUT_MS / 1000)} seconds unless you answer.`,
+    { type: NOTIFICATION_TYPES.WALK_HOME, walkId: walk.id, alert: type },
+    null
+  );
+  speak(prompt);
+
+  let alerted = {
+    ...walk,
+    status: WALK_HOME_STATUS.AWAITING_RESPONSE,
+    alert: {
+      type,
+      prompt,
+      raisedAt: now,
+      respondBy: now + WALK_HOME_CONFIG.RESPONSE_TIMEOUT_MS,
+      notificationId: notification.success ? notification.id : null,
+      ...details
+    }
+  };
+  if (walk.lastLocation) {
+    alerted = await session.shareProgress(alerted, walk.lastLocation, now);
+  }
+  await session.set(alerted);
+  return alerted;
+};
+
+// Emergency sharing starts once; ESCALATED is stored first so the in-app timer and
+// the background task cannot both start it
+const escalate = async (walk, now, reason) => {
+  let escalated = { ...walk, status: WALK_HOME_STATUS.ESCALATED, escalatedAt: now, escalationReason: reason };
+  await session.set(escalated);
+  await session.cancelAlertNotification(walk);
+
+  escalated = { ...escalated, ...(await session.startEmergencySharing(walk)) };
+  if (walk.lastLocation) {
+    escalated = await session.shareProgress(escalated, walk.lastLocation, now);
+  }
+  await session.set(escalated);
+  return escalated;
+};
+
+const finishWalk = async (walk, location, now) => {
+  let arrived = {
+    ...walk,
+    status: WALK_HOME_STATUS.ARRIVED,
+    arrivedAt: now,
+    alert: null,
+    offRoute: null,
+    progress: { ...walk.progress, distanceRemaining: 0, etaSeconds: 0, instruction: 'You have arrived' }
+  };
+  arrived = await session.shareProgress(arrived, location, now);
+  await session.close(walk);
+  speak('You have arrived');
+
+  await session.set(arrived);
+  return arrived;
+};
+
+// Stops and unanswered prompts only need the clock
+const checkDeadlines = async (walk, now) => {
+  if (walk.status === WALK_HOME_STATUS.AWAITING_RESPONSE && now >= walk.alert.respondBy) {
+    return escalate(walk, now, walk.alert.type);
+  }
+
+  const stop = walk.stop;
+  if (walk.status === WALK_HOME_STATUS.GUIDING && stop && !stop.alerted &&
+      now - stop.since >= WALK_HOME_CONFIG.STOP_DURATION_MS) {
+    return raiseAlert({ ...walk, stop: { ...stop, alerted: true } }, WALK_HOME_ALERTS.STOPPED, now);
+  }
+
+  return walk;
+};
+
+const updateWithLocation = async (location, now) => {
+  let walk = await session.load();
+  if (!walkHomeService.isActive(walk)) {
+    return { success: true, walk };
+  }
+
+  const destination = walk.route.points[walk.route.points.length - 1];
+  if (metersBetween(location, destination) <= WALK_HOME_CONFIG.ARRIVAL_METERS) {
+    return { success: true, walk: await finishWalk(walk, location, now) };
+  }
+
+  const { distanceFromRoute, distanceAlong } = locateOnRoute(walk.route.points, walk.cumulative, location);
+  const distanceRemaining = Math.max(0, Math.round(walk.route.distance - distanceAlong));
+  const nextStep = getNextStep(walk, distanceAlong);
+  const distanceToNextStep = Math.max(0, Math.round(nextStep.distanceAlong - distanceAlong));
+  const corridor = WALK_HOME_CONFIG.CORRIDOR_METERS + (location.accuracy || 0);
+  const isOffRoute = distanceFromRoute > corridor;
+
+  walk = {
+    ...walk,
+    lastLocation: { latitude: location.latitude, longitude: location.longitude, accuracy: location.accuracy || null },
+    progress: {
+      distanceRemaining,
+      etaSeconds: Math.round(distanceRemaining / ROUTING_CONFIG.WALKING_SPEED_MPS),
+      distanceFromRoute: Math.round(distanceFromRoute),
+      instruction: nextStep.text,
+      distanceToNextStep
+    }
+  };
+
+  // Announce each turn once, when it is close and the user is on the route
+  if (!isOffRoute && nextStep.index > walk.announcedStepIndex &&
+      distanceToNextStep <= WALK_HOME_CONFIG.ANNOUNCE_DISTANCE_METERS) {
+    speak(nextStep.text);
+    walk.announcedStepIndex = nextStep.index;
+  }
+
+  // Off the corridor for the confirm time asks once, until the user is back on route
+  if (isOffRoute) {
+    walk.offRoute = walk.offRoute || { since: now, alerted: false };
+  } else {
+    walk.offRoute = null;
+  }
+
+  // A new stop anchor whenever the user moves beyond the stop radius
+  if (!walk.stop || metersBetween(location, walk.stop) > WALK_HOME_CONFIG.STOP_RADIUS_METERS) {
+    walk.stop = { latitude: location.latitude, longitude: location.longitude, since: now, alerted: false };
+  }
+
+  if (walk.status === WALK_HOME_STATUS.GUIDING && walk.offRoute && !walk.offRoute.alerted &&
+      now - walk.offRoute.since >= WALK_HOME_CONFIG.DEVIATION_CONFIRM_MS) {
+    walk.offRoute = { ...walk.offRoute, alerted: true };
+    walk = await raiseAlert(walk, WALK_HOME_ALERTS.DEVIATION, now, {
+      distanceFromRoute: Math.round(distanceFromRoute)
+    });
+  }
+
+  if (now - (walk.lastProgressSharedAt || 0) >= WALK_HOME_CONFIG.PROGRESS_SHARE_INTERVAL_MS) {
+    walk = await session.shareProgress(walk, location, now);
+  }
+
+  walk = await checkDeadlines(walk, now);
+  await session.set(walk);
+  session.scheduleCheck(walk);
+  return { success: true, walk };
+};
+
+// Guided "walk me home": turn-by-turn directions along a planned route, live progress
+// for chosen contacts, and an "Are you OK?" prompt on leaving the route, stopping for
+// too long or entering a restricted zone, escalating to emergency location sharing
+// when the prompt goes unanswered
+export const walkHomeService = {
+  // GUIDING, AWAITING_RESPONSE and ESCALATED are still followed; ARRIVED is final
+  isActive: (walk) => !!walk && ACTIVE_STATUSES.includes(walk.status),
+
+  getWalk: () => session.getCurrent(),
+
+  // Seconds left to answer "Are you OK?"
+  getSecondsToRespond: (walk, now = Date.now()) => {
+    if (walk?.status !== WALK_HOME_STATUS.AWAITING_RESPONSE) {
+      return null;
+    }
+    return Math.max(0, Math.ceil((walk.alert.respondBy - now) / 1000));
+  },
+
+  // Listen for walk changes; returns an unsubscribe function
+  subscribe: (listener) => session.subscribe(listener),
+
+  // Start guidance along a route from routePlanningService.planRoutes
+  startWalk: async ({ route, destination = {}, userProfile, contacts = [] }, now = Date.now()) => {
+    try {
+      if (!route?.points || route.points.length < 2) {
+        return { success: false, error: 'Plan a route before starting a walk' };
+      }
+      if (!contacts || contacts.length === 0) {
+        return { success: false, error: 'Choose at least one contact to follow your walk' };
+      }
+
+      const existing = await session.load();
+      if (walkHomeService.isActive(existing)) {
+        return { success: false, error: 'A walk is already in progress' };
+      }
+
+      const userId = userProfile?.id || userProfile?.userId || null;
+      const storedContacts = contacts.map(toStoredContact);
+
+      const started = await session.begin({
+        userId,
+        contacts: storedContacts,
+        duration: Math.max(60, Math.ceil(route.duration / 60) * 2),
+        reason: 'walk_home',
+        details: { destinationName: destination.name || null, destination: route.points[route.points.length - 1] }
+      });
+      if (!started.success) {
+        return { success: false, error: started.error };
+      }
+
+      const walk = {
+        id: `walk-${now}`,
+        status: WALK_HOME_STATUS.GUIDING,
+        startedAt: now,
+        destination: { name: destination.name || null, ...route.points[route.points.length - 1] },
+        route: { points: route.points, distance: route.distance, duration: route.duration },
+        cumulative: measureRoute(route.points),
+        steps: buildTurnInstructions(route.points, route.names, WALK_HOME_CONFIG.MIN_TURN_DEGREES),
+        announcedStepIndex: 0,
+        userProfile: { id: userId, name: userProfile?.name || null },
+        contacts: storedContacts,
+        sharingSessionId: started.sharingSessionId,
+        emergencySessionId: null,
+        backgroundTracking: started.backgroundTracking,
+        progress: null,
+        alert: null,
+        offRoute: null,
+        stop: null,
+        lastLocation: null,
+        lastProgressSharedAt: 0
+      };
+
+      await session.set(walk);
+      session.follow();
+      session.scheduleCheck(walk);
+      speak(walk.steps.length > 1 ? `Starting your walk. ${walk.steps[0].text} ahead` : 'Starting your walk');
+
+      return { success: true, walk, sharingError: started.sharingError };
+    } catch (error) {
+      console.error('Walk Home Start Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // A new fix from realTimeLocationService or the background location task
+  handleLocation: (location, now = toTimestamp(location, Date.now())) => session.serialize(async () => {
+    try {
+      return await updateWithLocation(location, now);
+    } catch (error) {
+      console.error('Walk Home Location Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // Deadlines without a new fix: long stops and unanswered prompts
+  evaluate: (now = Date.now()) => session.serialize(async () => {
+    try {
+      const walk = await session.load();
+      if (!walkHomeService.isActive(walk)) {
+        session.clearTimer();
+        return { success: true, walk };
+      }
+
+      const updated = await checkDeadlines(walk, now);
+      if (updated !== walk) {
+        await session.set(updated);
+      }
+      session.scheduleCheck(updated);
+      return { success: true, walk: updated };
+    } catch (error) {
+      console.error('Walk Home Evaluation Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // Geofence event subscriber: entering a restricted zone mid-walk asks "Are you OK?"
+  handleGeofenceEvent: (event) => session.serialize(async () => {
+    try {
+      const walk = await session.load();
+      if (walk?.status !== WALK_HOME_STATUS.GUIDING || event.type !== GEOFENCE_EVENTS.ENTER ||
+          event.safetyLevel !== 'restricted') {
+        return { success: true, walk };
+      }
+
+      const alerted = await raiseAlert(walk, WALK_HOME_ALERTS.RESTRICTED_ZONE, event.timestamp, {
+        zoneId: event.zoneId,
+        zoneName: event.zoneName
+      });
+      session.scheduleCheck(alerted);
+      return { success: true, walk: alerted };
+    } catch (error) {
+      console.error('Walk Home Zone Event Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // Answer to "Are you OK?": OK resumes guidance, anything else alerts contacts now
+  respond: (ok, now = Date.now()) => session.serialize(async () => {
+    try {
+      const walk = await session.load();
+      if (walk?.status !== WALK_HOME_STATUS.AWAITING_RESPONSE) {
+        return { success: false, error: 'Nothing to respond to' };
+      }
+
+      if (!ok) {
+        return { success: true, walk: await escalate(walk, now, 'user_requested_help') };
+      }
+
+      await session.cancelAlertNotification(walk);
+      const resumed = { ...walk, status: WALK_HOME_STATUS.GUIDING, alert: null };
+      await session.set(resumed);
+      session.scheduleCheck(resumed);
+      return { success: true, walk: resumed };
+    } catch (error) {
+      console.error('Walk Home Respond Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // Stop guidance and sharing progress. Emergency sharing that was already started
+  // keeps running on its own schedule
+  endWalk: () => session.serialize(async () => {
+    try {
+      session.clearTimer();
+      session.unfollow();
+      const walk = await session.load();
+      if (walkHomeService.isActive(walk)) {
+        await session.close(walk);
+      }
+      await session.set(null);
+      return { success: true };
+    } catch (error) {
+      console.error('Walk Home End Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // Reload a persisted walk after an app restart
+  resumeWalk: async (now = Date.now()) => {
+    const result = await walkHomeService.evaluate(now);
+    if (result.success && walkHomeService.isActive(result.walk)) {
+      session.follow();
+    }
+    if (result.success) {
+      session.notify(result.walk);
+    }
+    return result;
+  }
+};
@@ -1,6 +1,7 @@
 import { messagingService } from '../firebase/messaging';
 import { geoFencingService } from '../location/geoFencing';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { GEOFENCE_EVENTS } from '../../utils/constants';
 
 export const safetyNotificationService = {
   // Initialize safety notification system (Requirement 3.2, 7.3)
@@ -139,6 +140,21 @@ export const safetyNotificationService = {
     }
   },
 
+  // Geofence event subscriber: alert once per confirmed entry into a caution or
+  // restricted zone, instead of on every fix inside it
+  handleGeofenceEvent: async (event) => {
+    if (event.type !== GEOFENCE_EVENTS.ENTER || event.safetyLevel === 'safe') {
+      return { success: false, reason: 'No alert for this event' };
+    }
+
+    const zone = { id: event.zoneId, name: event.zoneName, safetyLevel: event.safetyLevel };
+    return await safetyNotificationService.sendGeoFenceAlert(event.location, {
+      zone,
+      safetyLevel: event.safetyLevel,
+      message: geoFencingService.getSafetyMessage(event.safetyLevel)
+    });
+  },
+
   // Send emergency notification (Requirement 2.3)
   sendEmergencyAlert: async (emergencyData) => {
     try {
@@ -1,8 +1,14 @@
 import NetInfo from '@react-native-community/netinfo';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { offlineDataService } from './offlineDataService';
 import { firestoreService } from '../firebase/firestore';
 import { emergencyAlertService } from '../emergency/alertService';
+import { emergencyOutboxService } from '../emergency/emergencyOutbox';
+import { evidenceService } from '../emergency/evidenceService';
+import { emergencyNumberService } from '../emergency/emergencyNumberService';
+import { embassyService } from '../emergency/embassyService';
 import { geoLocationService } from '../location/geoLocation';
+import { revocationService } from '../security/revocation';
 
 export const backgroundSyncService = {
   isOnline: false,
@@ -80,16 +86,20 @@ export const backgroundSyncService = {
       const results = {
         locationUpdates: { success: false },
         emergencyAlerts: { success: false },
+        emergencyEvidence: { success: false },
         queuedOperations: { success: false },
         cacheRefresh: { success: false }
       };
 
+      // Sync emergency alerts first so queued SMS go out before anything else
+      results.emergencyAlerts = await backgroundSyncService.syncEmergencyAlerts();
+
+      // Upload evidence recorded while offline
+      results.emergencyEvidence = await backgroundSyncService.syncEmergencyEvidence();
+
       // Sync location updates
       results.locationUpdates = await backgroundSyncService.syncLocationUpdates();
       
-      // Sync emergency alerts
-      results.emergencyAlerts = await backgroundSyncService.syncEmergencyAlerts();
-      
       // Process queued operations
       results.queuedOperations = await backgroundSyncService.processQueuedOperations();
       
@@ -170,13 +180,25 @@ export const backgroundSyncService = {
     }
   },
 
+  // Upload evidence chunks still waiting on the device
+  syncEmergencyEvidence: async () => {
+    try {
+      return await evidenceService.uploadPending();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
   // Sync emergency alerts that were sent offline
   syncEmergencyAlerts: async () => {
     try {
+      // Drain the emergency outbox first, ignoring backoff now that we are online
+      const outbox = await emergencyAlertService.deliverOutbox({ force: true });
+
       const queueResult = await offlineDataService.getSyncQueue();
       
       if (!queueResult.success) {
-        return { success: true, message: 'No sync queue found' };
+        return { success: true, message: 'No sync queue found', outbox };
       }
 
       const emergencyAlerts = queueResult.queue.filter(item => 
@@ -184,7 +206,7 @@ export const backgroundSyncService = {
       );
 
       if (emergencyAlerts.length === 0) {
-        return { success: true, message: 'No emergency alerts to sync' };
+        return { success: true, message: 'No emergency alerts to sync', outbox };
       }
 
       let syncedCount = 0;
@@ -218,7 +240,8 @@ export const backgroundSyncService = {
         success: true, 
         syncedCount, 
         totalAlerts: emergencyAlerts.length,
-        failedAlerts 
+        failedAlerts,
+        outbox
       };
     } catch (error) {
       return { success: false, error: error.message };
@@ -234,8 +257,9 @@ export const backgroundSyncService = {
         return { success: true, message: 'No sync queue found' };
       }
 
+      // Emergency outbox items have their own backoff and are drained in syncEmergencyAlerts
       const operations = queueResult.queue.filter(item => 
-        item.retryCount < item.maxRetries
+        item.retryCount < item.maxRetries && !emergencyOutboxService.isOutboxItem(item)
       );
 
       if (operations.length === 0) {
@@ -313,6 +337,8 @@ export const backgroundSyncService = {
       const results = {
         safetyZones: { success: false },
         emergencyNumbers: { success: false },
+        revocationList: { success: false },
+        embassyDirectory: { success: false },
         userProfile: { success: false }
       };
 
@@ -328,21 +354,30 @@ export const backgroundSyncService = {
         results.safetyZones = { success: false, error: error.message };
       }
 
-      // Refresh emergency numbers
+      // Refresh emergency numbers for the country of the last known location
       try {
-        const emergencyNumbers = {
-          police: '100',
-          medical: '108',
-          fire: '101',
-          touristHelpline: '1363'
-        };
-        
-        await offlineDataService.cacheEmergencyNumbers(emergencyNumbers);
-        results.emergencyNumbers = { success: true };
+        const locationResult = await geoLocationService.getLastKnownLocation();
+        results.emergencyNumbers = locationResult.success
+          ? await emergencyNumberService.resolveForLocation(locationResult.location)
+          : { success: false, error: locationResult.error };
       } catch (error) {
         results.emergencyNumbers = { success: false, error: error.message };
       }
 
+      // Refresh QR revocation list so verifiers can check codes offline
+      try {
+        results.revocationList = await revocationService.syncRevocationList();
+      } catch (error) {
+        results.revocationList = { success: false, error: error.message };
+      }
+
+      // Refresh the embassy directory so the nearest consulate can be found offline
+      try {
+        results.embassyDirectory = await embassyService.syncDirectory();
+      } catch (error) {
+        results.embassyDirectory = { success: false, error: error.message };
+      }
+
       // Refresh user profile would typically fetch from Firestore
       results.userProfile = { success: true, message: 'User profile refresh queued' };
 
@@ -0,0 +1,568 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import Constants from 'expo-constants';
+import {
+  countRegionTiles,
+  createTileIndex,
+  describeAreas,
+  estimateRegion,
+  getAverageTileBytes,
+  listRegionTiles,
+  selectEvictions,
+  tileKey,
+  zoomRange
+} from '../../utils/mapTiles';
+import { MAP_DOWNLOAD_STATUS, MAP_TILE_CONFIG, STORAGE_KEYS } from '../../utils/constants';
+
+const MB = 1024 * 1024;
+
+const DEFAULT_SETTINGS = {
+  budgetMB: MAP_TILE_CONFIG.DEFAULT_BUDGET_MB
+};
+
+const DEFAULT_ZOOM_LEVELS = zoomRange(MAP_TILE_CONFIG.MIN_ZOOM, MAP_TILE_CONFIG.MAX_ZOOM);
+
+// The index is read from its file once and kept in memory; tiles are only ever
+// added or evicted through this module
+let tileIndex = null;
+let download = null;
+let running = false;
+let pendingUpdate = Promise.resolve();
+const createdDirectories = new Set();
+const listeners = new Set();
+
+const getDirectory = () => `${FileSystem.documentDirectory}${MAP_TILE_CONFIG.DIRECTORY}`;
+
+const getIndexUri = () => `${getDirectory()}index.json`;
+
+const getTileUri = ({ z, x, y }) => `${getDirectory()}${z}/${x}/${y}.png`;
+
+// Tile source from app.json (expo.extra.mapTiles). There is no default: it must be a
+// source whose terms allow storing tiles for offline use, such as your own tile server.
+// tile.openstreetmap.org is not one, its usage policy forbids bulk downloads
+const getProvider = () => {
+  const mapTiles = Constants.expoConfig?.extra?.mapTiles || {};
+  return {
+    urlTemplate: mapTiles.urlTemplate || null,
+    attribution: mapTiles.attribution || null
+  };
+};
+
+const getTileUrl = ({ z, x, y }) => getProvider().urlTemplate
+  .replace('{z}', z)
+  .replace('{x}', x)
+  .replace('{y}', y);
+
+const parseKey = (key) => {
+  const [z, x, y] = key.split('/').map(Number);
+  return { z, x, y };
+};
+
+// Index and download changes are applied one at a time; the download loop takes
+// its turns between the others
+const serialize = (update) => {
+  const run = pendingUpdate.then(update);
+  pendingUpdate = run.catch(() => {});
+  return run;
+};
+
+const notify = () => listeners.forEach(listener => listener(download));
+
+const loadSettings = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.MAP_TILE_SETTINGS);
+  return { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+};
+
+const ensureDirectory = async (directory) => {
+  if (!createdDirectories.has(directory)) {
+    await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+    createdDirectories.add(directory);
+  }
+};
+
+const loadIndex = async () => {
+  if (!tileIndex) {
+    const info = await FileSystem.getInfoAsync(getIndexUri());
+    tileIndex = info.exists
+      ? JSON.parse(await FileSystem.readAsStringAsync(getIndexUri()))
+      : createTileIndex();
+  }
+  return tileIndex;
+};
+
+const saveIndex = async () => {
+  await ensureDirectory(getDirectory());
+  await FileSystem.writeAsStringAsync(getIndexUri(), JSON.stringify(tileIndex));
+};
+
+const setDownload = async (next) => {
+  download = next;
+  if (next) {
+    await AsyncStorage.setItem(STORAGE_KEYS.MAP_TILE_DOWNLOAD, JSON.stringify(next));
+  } else {
+    await AsyncStorage.removeItem(STORAGE_KEYS.MAP_TILE_DOWNLOAD);
+  }
+  notify();
+};
+
+// A download the app was closed in the middle of carries on only when resumed
+const loadDownload = async () => {
+  if (!download) {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.MAP_TILE_DOWNLOAD);
+    download = stored ? JSON.parse(stored) : null;
+  }
+  if (download?.status === MAP_DOWNLOAD_STATUS.DOWNLOADING && !running) {
+    download = { ...download, status: MAP_DOWNLOAD_STATUS.PAUSED, pauseReason: 'interrupted' };
+  }
+  return download;
+};
+
+const removeTiles = async (keys) => {
+  for (const key of keys) {
+    const tile = tileIndex.tiles[key];
+    if (tile) {
+      await FileSystem.deleteAsync(getTileUri(parseKey(key)), { idempotent: true });
+      tileIndex.totalBytes -= tile.size;
+      delete tileIndex.tiles[key];
+    }
+  }
+};
+
+// Evict the least recently used tiles outside protectedKeys until `bytes` more fit
+// the budget. Nothing is evicted when even that would not be enough
+const makeRoom = async (bytes, budgetBytes, protectedKeys) => {
+  const excess = tileIndex.totalBytes + bytes - budgetBytes;
+  if (excess <= 0) {
+    return true;
+  }
+
+  const { keys, freed } = selectEvictions(tileIndex, excess, protectedKeys);
+  if (freed < excess) {
+    return false;
+  }
+  await removeTiles(keys);
+  return true;
+};
+
+const fetchTile = async (tile) => {
+  const uri = getTileUri(tile);
+  await ensureDirectory(`${getDirectory()}${tile.z}/${tile.x}/`);
+
+  const result = await FileSystem.downloadAsync(getTileUrl(tile), uri, {
+    headers: { 'User-Agent': MAP_TILE_CONFIG.USER_AGENT }
+  });
+  if (result.status !== 200) {
+    await FileSystem.deleteAsync(uri, { idempotent: true });
+    throw new Error(`Tile server responded with ${result.status}`);
+  }
+
+  const info = await FileSystem.getInfoAsync(uri, { size: true });
+  return info.size || 0;
+};
+
+const averageTileBytes = () => getAverageTileBytes(tileIndex, MAP_TILE_CONFIG.ESTIMATED_TILE_BYTES);
+
+// The download's tiles that are stored, for the area record
+const measureArea = (tiles) => tiles.reduce((totals, tile) => {
+  const stored = tileIndex.tiles[tileKey(tile)];
+  return stored
+    ? { tileCount: totals.tileCount + 1, bytes: totals.bytes + stored.size }
+    : totals;
+}, { tileCount: 0, bytes: 0 });
+
+const completeDownload = async (tiles) => {
+  const now = Date.now();
+  const area = {
+    id: download.id,
+    name: download.name,
+    region: download.region,
+    zoomLevels: download.zoomLevels,
+    ...measureArea(tiles),
+    downloadedAt: now
+  };
+  tileIndex.areas = [...tileIndex.areas.filter(existing => existing.id !== area.id), area];
+  tileIndex.metadata = describeAreas(tileIndex.metadata, tileIndex.areas, getProvider().attribution);
+  await saveIndex();
+  await setDownload({ ...download, status: MAP_DOWNLOAD_STATUS.COMPLETED, completedAt: now });
+};
+
+// Record a step of the download; progress is saved every few tiles so a restart loses little
+const advanceDownload = async (changes, progress) => {
+  download = { ...download, ...changes };
+  progress.unsaved += 1;
+  if (download.status !== MAP_DOWNLOAD_STATUS.DOWNLOADING || progress.unsaved >= MAP_TILE_CONFIG.SAVE_EVERY_TILES) {
+    await saveIndex();
+    await setDownload(download);
+    progress.unsaved = 0;
+  } else {
+    notify();
+  }
+};
+
+// Skip past stored tiles and make room for the next one to fetch. Returns that tile,
+// or null once the download is done, paused or cancelled
+const claimNextTile = async (tiles, protectedKeys, progress, isCurrent) => {
+  await loadIndex();
+
+  while (isCurrent() && download.nextIndex < tiles.length) {
+    const tile = tiles[download.nextIndex];
+    const stored = tileIndex.tiles[tileKey(tile)];
+    if (!stored) {
+      const budgetBytes = (await loadSettings()).budgetMB * MB;
+      if (await makeRoom(averageTileBytes(), budgetBytes, protectedKeys)) {
+        return tile;
+      }
+      await advanceDownload({ status: MAP_DOWNLOAD_STATUS.PAUSED, pauseReason: 'budget' }, progress);
+      return null;
+    }
+
+    stored.usedAt = Date.now();
+    await advanceDownload({ nextIndex: download.nextIndex + 1, completedTiles: download.completedTiles + 1 }, progress);
+  }
+
+  if (isCurrent()) {
+    await completeDownload(tiles);
+  } else if (progress.unsaved > 0) {
+    await saveIndex();
+    progress.unsaved = 0;
+  }
+  return null;
+};
+
+// Index a fetched tile and move the download on. Returns whether to carry on
+const recordTile = async (tile, result, progress, isCurrent) => {
+  if (!result.error) {
+    tileIndex.tiles[tileKey(tile)] = { size: result.size, usedAt: Date.now() };
+    tileIndex.totalBytes += result.size;
+  }
+
+  // Pausing or cancelling while the tile was in flight wins over this update
+  if (!isCurrent()) {
+    await saveIndex();
+    progress.unsaved = 0;
+    return false;
+  }
+
+  let changes = { nextIndex: download.nextIndex + 1 };
+  if (!result.error) {
+    progress.failureStreak = 0;
+    changes.completedTiles = download.completedTiles + 1;
+    changes.downloadedBytes = download.downloadedBytes + result.size;
+  } else {
+    progress.failureStreak += 1;
+    changes.failedTiles = download.failedTiles + 1;
+    // Several failures in a row usually means no connection: go back to the
+    // first of them so resuming retries the lot
+    if (progress.failureStreak >= MAP_TILE_CONFIG.MAX_CONSECUTIVE_FAILURES) {
+      changes = {
+        nextIndex: download.nextIndex - progress.failureStreak + 1,
+        failedTiles: download.failedTiles - progress.failureStreak + 1,
+        status: MAP_DOWNLOAD_STATUS.PAUSED,
+        pauseReason: 'network',
+        error: result.error.message
+      };
+    }
+  }
+
+  await advanceDownload(changes, progress);
+  return download.status === MAP_DOWNLOAD_STATUS.DOWNLOADING;
+};
+
+// Fetch the download's tiles one at a time from nextIndex until it is done, paused
+// or cancelled. Only the fetch itself runs outside serialize, so budget changes and
+// area deletions never land in the middle of an index update
+const runDownload = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  const { id, region, zoomLevels } = download;
+  const isCurrent = () => download?.id === id && download.status === MAP_DOWNLOAD_STATUS.DOWNLOADING;
+
+  try {
+    const tiles = listRegionTiles(region, zoomLevels);
+    const protectedKeys = new Set(tiles.map(tileKey));
+    const progress = { failureStreak: 0, unsaved: 0 };
+    let carryOn = true;
+
+    while (carryOn) {
+      const tile = await serialize(() => claimNextTile(tiles, protectedKeys, progress, isCurrent));
+      if (!tile) {
+        break;
+      }
+
+      let result;
+      try {
+        result = { size: await fetchTile(tile) };
+      } catch (error) {
+        result = { error };
+      }
+      carryOn = await serialize(() => recordTile(tile, result, progress, isCurrent));
+    }
+  } catch (error) {
+    console.error('Map Tile Download Error:', error);
+    await serialize(async () => {
+      if (isCurrent()) {
+        await setDownload({ ...download, status: MAP_DOWNLOAD_STATUS.PAUSED, pauseReason: 'error', error: error.message });
+      }
+    });
+  } finally {
+    running = false;
+  }
+
+  // Resumed, or another area started, while the loop was stopping
+  if (download?.status === MAP_DOWNLOAD_STATUS.DOWNLOADING) {
+    runDownload();
+  }
+};
+
+// Offline map tiles on the filesystem: areas downloaded for offline use within a
+// byte budget, least recently viewed tiles evicted first
+export const mapTileStore = {
+  // Listen for download progress; returns an unsubscribe function
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // Whether a tile source that allows offline downloads is configured
+  isAvailable: () => !!getProvider().urlTemplate,
+
+  // Credit for the configured tile source, shown with the map
+  getAttribution: () => getProvider().attribution,
+
+  // Path template for the map's LocalTile overlay
+  getPathTemplate: () => `${getDirectory().replace(/^file:\/\//, '')}{z}/{x}/{y}.png`,
+
+  getSettings: async () => {
+    try {
+      return { success: true, settings: await loadSettings() };
+    } catch (error) {
+      console.error('Get Map Tile Settings Error:', error);
+      return { success: false, error: error.message, settings: DEFAULT_SETTINGS };
+    }
+  },
+
+  // A smaller budget applies straight away, evicting the least recently used tiles
+  updateSettings: (changes) => serialize(async () => {
+    try {
+      const settings = { ...(await loadSettings()), ...changes };
+      if (!MAP_TILE_CONFIG.BUDGET_OPTIONS_MB.includes(settings.budgetMB)) {
+        return { success: false, error: 'Unsupported storage budget' };
+      }
+
+      await AsyncStorage.setItem(STORAGE_KEYS.MAP_TILE_SETTINGS, JSON.stringify(settings));
+      await loadIndex();
+      if (tileIndex.totalBytes > settings.budgetMB * MB) {
+        const { keys } = selectEvictions(tileIndex, tileIndex.totalBytes - settings.budgetMB * MB);
+        await removeTiles(keys);
+        await saveIndex();
+      }
+      return { success: true, settings };
+    } catch (error) {
+      console.error('Update Map Tile Settings Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // Tiles, size and budget headroom for downloading a region
+  estimateArea: async (region, zoomLevels = DEFAULT_ZOOM_LEVELS) => {
+    try {
+      await loadIndex();
+      const budgetBytes = (await loadSettings()).budgetMB * MB;
+      const tileCount = countRegionTiles(region, zoomLevels);
+      if (tileCount > MAP_TILE_CONFIG.MAX_TILES_PER_AREA) {
+        return { success: true, tileCount, tooLarge: true, fitsBudget: false, budgetBytes };
+      }
+
+      const estimate = estimateRegion(tileIndex, region, zoomLevels, MAP_TILE_CONFIG.ESTIMATED_TILE_BYTES);
+      return {
+        success: true,
+        ...estimate,
+        tooLarge: false,
+        budgetBytes,
+        usedBytes: tileIndex.totalBytes,
+        fitsBudget: estimate.storedBytes + estimate.estimatedBytes <= budgetBytes,
+        // Older tiles that make way for this area
+        evictBytes: Math.max(0, tileIndex.totalBytes + estimate.estimatedBytes - budgetBytes)
+      };
+    } catch (error) {
+      console.error('Estimate Map Area Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Start downloading a region's tiles in the background of the JS context
+  startDownload: ({ region, name = null, zoomLevels = DEFAULT_ZOOM_LEVELS }, now = Date.now()) => serialize(async () => {
+    try {
+      if (!mapTileStore.isAvailable()) {
+        return { success: false, error: 'Offline maps are not set up: no map tile source is configured' };
+      }
+
+      const current = await loadDownload();
+      if (current?.status === MAP_DOWNLOAD_STATUS.DOWNLOADING || current?.status === MAP_DOWNLOAD_STATUS.PAUSED) {
+        return { success: false, error: 'Another area is still downloading' };
+      }
+
+      const estimate = await mapTileStore.estimateArea(region, zoomLevels);
+      if (!estimate.success) {
+        return estimate;
+      }
+      if (estimate.tooLarge) {
+        return { success: false, error: 'This area is too large to download. Choose a smaller area.' };
+      }
+      if (!estimate.fitsBudget) {
+        return {
+          success: false,
+          error: `This area needs about ${Math.ceil((estimate.storedBytes + estimate.estimatedBytes) / MB)} MB, ` +
+            `more than the ${Math.round(estimate.budgetBytes / MB)} MB set aside for offline maps`
+        };
+      }
+
+      await setDownload({
+        id: `area-${now}`,
+        name,
+        region,
+        zoomLevels,
+        status: MAP_DOWNLOAD_STATUS.DOWNLOADING,
+        pauseReason: null,
+        error: null,
+        startedAt: now,
+        totalTiles: estimate.tileCount,
+        estimatedBytes: estimate.estimatedBytes,
+        nextIndex: 0,
+        completedTiles: 0,
+        failedTiles: 0,
+        downloadedBytes: 0
+      });
+      runDownload();
+      return { success: true, download };
+    } catch (error) {
+      console.error('Start Map Download Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  getDownload: async () => {
+    try {
+      return { success: true, download: await loadDownload() };
+    } catch (error) {
+      console.error('Get Map Download Error:', error);
+      return { success: false, error: error.message, download: null };
+    }
+  },
+
+  // The tile in flight finishes; the download stops after it
+  pauseDownload: () => serialize(async () => {
+    const current = await loadDownload();
+    if (current?.status !== MAP_DOWNLOAD_STATUS.DOWNLOADING) {
+      return { success: false, error: 'No download in progress' };
+    }
+    await setDownload({ ...current, status: MAP_DOWNLOAD_STATUS.PAUSED, pauseReason: 'user' });
+    return { success: true, download };
+  }),
+
+  resumeDownload: () => serialize(async () => {
+    const current = await loadDownload();
+    if (current?.status !== MAP_DOWNLOAD_STATUS.PAUSED) {
+      return { success: false, error: 'No paused download' };
+    }
+    // A loop still finishing its last tile simply carries on
+    await setDownload({ ...current, status: MAP_DOWNLOAD_STATUS.DOWNLOADING, pauseReason: null, error: null });
+    runDownload();
+    return { success: true, download };
+  }),
+
+  // Tiles already downloaded stay in the store and are evicted as usual
+  cancelDownload: () => serialize(async () => {
+    const current = await loadDownload();
+    if (!current) {
+      return { success: true };
+    }
+    await setDownload(null);
+    return { success: true };
+  }),
+
+  // The map shows these tiles: they are the last to be evicted
+  touchRegion: (region, zoomLevels) => serialize(async () => {
+    try {
+      await loadIndex();
+      const now = Date.now();
+      const touched = listRegionTiles(region, zoomLevels)
+        .map(tile => tileIndex.tiles[tileKey(tile)])
+        .filter(Boolean);
+      touched.forEach(tile => { tile.usedAt = now; });
+      if (touched.length > 0 && !running) {
+        await saveIndex();
+      }
+      return { success: true, touched: touched.length };
+    } catch (error) {
+      console.error('Touch Map Tiles Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  hasTile: async (tile) => !!(await loadIndex()).tiles[tileKey(tile)],
+
+  getStats: async () => {
+    try {
+      const index = await loadIndex();
+      const settings = await loadSettings();
+      return {
+        success: true,
+        stats: {
+          tileCount: Object.keys(index.tiles).length,
+          totalBytes: index.totalBytes,
+          budgetBytes: settings.budgetMB * MB,
+          areas: index.areas,
+          metadata: index.metadata
+        }
+      };
+    } catch (error) {
+      console.error('Get Map Tile Stats Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Delete an area's tiles, keeping those other areas (or a running download) need
+  deleteArea: (areaId) => serialize(async () => {
+    try {
+      await loadIndex();
+      const area = tileIndex.areas.find(existing => existing.id === areaId);
+      if (!area) {
+        return { success: false, error: 'Area not found' };
+      }
+
+      const others = [
+        ...tileIndex.areas.filter(existing => existing.id !== areaId),
+        ...(download && download.status !== MAP_DOWNLOAD_STATUS.COMPLETED ? [download] : [])
+      ];
+      const kept = new Set(others.flatMap(other => listRegionTiles(other.region, other.zoomLevels).map(tileKey)));
+      await removeTiles(listRegionTiles(area.region, area.zoomLevels).map(tileKey).filter(key => !kept.has(key)));
+
+      tileIndex.areas = tileIndex.areas.filter(existing => existing.id !== areaId);
+      tileIndex.metadata = describeAreas(tileIndex.metadata, tileIndex.areas, getProvider().attribution);
+      await saveIndex();
+      notify();
+      return { success: true };
+    } catch (error) {
+      console.error('Delete Map Area Error:', error);
+      return { success: false, error: error.message };
+    }
+  }),
+
+  // Remove every stored tile and any download
+  clear: () => serialize(async () => {
+    try {
+      await setDownload(null);
+      await FileSystem.deleteAsync(getDirectory(), { idempotent: true });
+      createdDirectories.clear();
+      tileIndex = createTileIndex();
+      return { success: true };
+    } catch (error) {
+      console.error('Clear Map Tiles Error:', error);
+      return { success: false, error: error.message };
+    }
+  })
+};
@@ -9,12 +9,25 @@ const STORAGE_KEYS = {
   USER_PROFILE: 'offline_user_profile',
   LOCATION_HISTORY: 'offline_location_history',
   EMERGENCY_NUMBERS: 'offline_emergency_numbers',
+  REVOCATION_LIST: 'offline_revocation_list',
+  EMBASSY_DIRECTORY: 'offline_embassy_directory',
   CACHED_MAPS: 'offline_cached_maps',
   SYNC_QUEUE: 'offline_sync_queue',
   LAST_SYNC: 'offline_last_sync',
   APP_SETTINGS: 'offline_app_settings'
 };
 
+// Sync queue order; emergency outbox items use 'critical'
+const SYNC_PRIORITY_RANK = {
+  critical: 0,
+  high: 1,
+  normal: 2,
+  medium: 2,
+  low: 3
+};
+
+const getPriorityRank = (item) => SYNC_PRIORITY_RANK[item.priority] ?? SYNC_PRIORITY_RANK.normal;
+
 export const offlineDataService = {
   // Cache emergency contacts for offline access (Requirement 7.2)
   cacheEmergencyContacts: async (contacts) => {
@@ -64,7 +77,8 @@ export const offlineDataService = {
       const secureData = {
         qrString: qrCodeData.qrString,
         verificationHash: qrCodeData.verificationHash,
-        encryptedData: qrCodeData.encryptedData
+        signature: qrCodeData.signature,
+        keyId: qrCodeData.keyId
       };
       
       await SecureStore.setItemAsync(
@@ -275,6 +289,90 @@ export const offlineDataService = {
     }
   },
 
+  // Cache QR revocation list for offline verification
+  cacheRevocationList: async (list) => {
+    try {
+      const revocationData = {
+        list,
+        cachedAt: new Date().toISOString(),
+        version: list.version
+      };
+      
+      await AsyncStorage.setItem(
+        STORAGE_KEYS.REVOCATION_LIST, 
+        JSON.stringify(revocationData)
+      );
+      
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Get cached QR revocation list
+  getCachedRevocationList: async () => {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.REVOCATION_LIST);
+      
+      if (data) {
+        const revocationData = JSON.parse(data);
+        return { 
+          success: true, 
+          list: revocationData.list,
+          version: revocationData.version,
+          cachedAt: revocationData.cachedAt,
+          isOffline: true
+        };
+      }
+      
+      return { success: false, error: 'No cached revocation list found' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Cache the embassy / consulate directory merged with server updates
+  cacheEmbassyDirectory: async (directory) => {
+    try {
+      const directoryData = {
+        directory,
+        cachedAt: new Date().toISOString(),
+        version: directory.version
+      };
+      
+      await AsyncStorage.setItem(
+        STORAGE_KEYS.EMBASSY_DIRECTORY, 
+        JSON.stringify(directoryData)
+      );
+      
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Get cached embassy directory
+  getCachedEmbassyDirectory: async () => {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.EMBASSY_DIRECTORY);
+      
+      if (data) {
+        const directoryData = JSON.parse(data);
+        return { 
+          success: true, 
+          directory: directoryData.directory,
+          version: directoryData.version,
+          cachedAt: directoryData.cachedAt,
+          isOffline: true
+        };
+      }
+      
+      return { success: false, error: 'No cached embassy directory found' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
   // Add item to sync queue for background sync (Requirement 7.3)
   addToSyncQueue: async (item) => {
     try {
@@ -283,13 +381,20 @@ export const offlineDataService = {
       
       const queueItem = {
         id: Date.now().toString(),
-        ...item,
         timestamp: new Date().toISOString(),
         retryCount: 0,
-        maxRetries: 3
+        maxRetries: 3,
+        ...item
       };
       
-      queue.push(queueItem);
+      // Keep the queue ordered by priority, first-in-first-out within a priority
+      const rank = getPriorityRank(queueItem);
+      const insertAt = queue.findIndex(existing => getPriorityRank(existing) > rank);
+      if (insertAt === -1) {
+        queue.push(queueItem);
+      } else {
+        queue.splice(insertAt, 0, queueItem);
+      }
       
       await AsyncStorage.setItem(
         STORAGE_KEYS.SYNC_QUEUE, 
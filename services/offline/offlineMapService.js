@@ -1,107 +1,52 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { offlineDataService } from './offlineDataService';
+import { mapTileStore } from './mapTileStore';
+import { getZoneBounds as getGeometryBounds } from '../../utils/geofence';
+import { ROUTING_CONFIG } from '../../utils/constants';
+
+const ROAD_GRAPH_INDEX_KEY = 'road_graph_index';
 
 // Map tile and safety zone caching service
 export const offlineMapService = {
-  // Cache map tiles for offline use (Requirement 7.2)
-  cacheMapTiles: async (region, zoomLevels = [10, 12, 14, 16]) => {
-    try {
-      const { latitude, longitude, latitudeDelta, longitudeDelta } = region;
-      
-      // Calculate tile bounds for the region
-      const tileBounds = calculateTileBounds(
-        latitude - latitudeDelta/2,
-        longitude - longitudeDelta/2,
-        latitude + latitudeDelta/2,
-        longitude + longitudeDelta/2,
-        zoomLevels
-      );
-
-      const cachedTiles = [];
-      const failedTiles = [];
-
-      for (const zoom of zoomLevels) {
-        const bounds = tileBounds[zoom];
-        
-        for (let x = bounds.minX; x <= bounds.maxX; x++) {
-          for (let y = bounds.minY; y <= bounds.maxY; y++) {
-            try {
-              const tileUrl = `https://tile.openstreetmap.org/${zoom}/${x}/${y}.png`;
-              const tileKey = `map_tile_${zoom}_${x}_${y}`;
-              
-              // In a real implementation, you would fetch and cache the tile image
-              // For now, we'll just store the tile metadata
-              const tileData = {
-                url: tileUrl,
-                zoom,
-                x,
-                y,
-                cachedAt: new Date().toISOString(),
-                region: {
-                  latitude: tile2lat(y, zoom),
-                  longitude: tile2lon(x, zoom)
-                }
-              };
-              
-              await AsyncStorage.setItem(tileKey, JSON.stringify(tileData));
-              cachedTiles.push(tileKey);
-            } catch (error) {
-              failedTiles.push({ zoom, x, y, error: error.message });
-            }
-          }
-        }
-      }
-
-      // Store tile index for quick lookup
-      const tileIndex = {
-        region,
-        zoomLevels,
-        cachedTiles,
-        cachedAt: new Date().toISOString(),
-        totalTiles: cachedTiles.length
-      };
-
-      await AsyncStorage.setItem('map_tile_index', JSON.stringify(tileIndex));
-
-      return { 
-        success: true, 
-        cachedCount: cachedTiles.length,
-        failedCount: failedTiles.length,
-        failedTiles
-      };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+  // Download map tiles for offline use (Requirement 7.2). The download runs in the
+  // tile store; follow it with mapTileStore.subscribe
+  cacheMapTiles: async (region, zoomLevels, name = null) => {
+    return mapTileStore.startDownload({ region, zoomLevels, name });
   },
 
-  // Get cached map tiles for a region
+  // Get the stored offline area covering a region
   getCachedMapTiles: async (region) => {
     try {
-      const indexData = await AsyncStorage.getItem('map_tile_index');
-      
-      if (!indexData) {
+      const result = await mapTileStore.getStats();
+      if (!result.success) {
+        return result;
+      }
+
+      const { areas } = result.stats;
+      if (areas.length === 0) {
         return { success: false, error: 'No cached map tiles found' };
       }
 
-      const index = JSON.parse(indexData);
-      
-      // Check if requested region overlaps with cached region
-      const overlap = calculateRegionOverlap(region, index.region);
-      
-      if (overlap < 0.5) { // Less than 50% overlap
-        return { 
-          success: false, 
+      // Best covered by a single downloaded area
+      const best = areas
+        .map(area => ({ area, overlap: calculateRegionOverlap(region, area.region) }))
+        .sort((a, b) => b.overlap - a.overlap)[0];
+
+      if (best.overlap < 0.5) { // Less than 50% overlap
+        return {
+          success: false,
           error: 'Requested region not sufficiently cached',
-          cachedRegion: index.region,
-          overlap
+          cachedRegion: best.area.region,
+          overlap: best.overlap
         };
       }
 
       return {
         success: true,
-        tiles: index.cachedTiles,
-        cachedAt: index.cachedAt,
-        totalTiles: index.totalTiles,
+        area: best.area,
+        pathTemplate: mapTileStore.getPathTemplate(),
+        cachedAt: new Date(best.area.downloadedAt).toISOString(),
+        totalTiles: best.area.tileCount,
         isOffline: true
       };
     } catch (error) {
@@ -311,23 +256,80 @@ export const offlineMapService = {
     }
   },
 
+  // Cache road data for offline route planning; the oldest area is dropped past the limit
+  cacheRoadGraph: async (bounds, graph) => {
+    try {
+      const entry = {
+        key: `road_graph_${Date.now()}`,
+        bounds,
+        cachedAt: new Date().toISOString(),
+        nodeCount: Object.keys(graph.nodes).length
+      };
+      const entries = [entry, ...(await getRoadGraphIndex())];
+      const dropped = entries.slice(ROUTING_CONFIG.MAX_CACHED_GRAPHS);
+
+      await AsyncStorage.setItem(entry.key, JSON.stringify(graph));
+      await AsyncStorage.setItem(
+        ROAD_GRAPH_INDEX_KEY,
+        JSON.stringify(entries.slice(0, ROUTING_CONFIG.MAX_CACHED_GRAPHS))
+      );
+      if (dropped.length > 0) {
+        await AsyncStorage.multiRemove(dropped.map(({ key }) => key));
+      }
+
+      return { success: true, key: entry.key };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Get cached road data covering all the given points (newest area first)
+  getCachedRoadGraph: async (points) => {
+    try {
+      const entry = (await getRoadGraphIndex()).find(({ bounds }) => (
+        points.every(point => isInBounds(point, bounds))
+      ));
+
+      if (!entry) {
+        return { success: false, error: 'No cached road data for this area' };
+      }
+
+      const graphData = await AsyncStorage.getItem(entry.key);
+      if (!graphData) {
+        return { success: false, error: 'Cached road data is missing' };
+      }
+
+      return {
+        success: true,
+        graph: JSON.parse(graphData),
+        bounds: entry.bounds,
+        cachedAt: entry.cachedAt,
+        isOffline: true
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
   // Clear cached map data
   clearMapCache: async () => {
     try {
-      // Get tile index to find all cached tiles
-      const indexData = await AsyncStorage.getItem('map_tile_index');
-      
-      if (indexData) {
-        const index = JSON.parse(indexData);
-        
-        // Remove all cached tiles
-        if (index.cachedTiles) {
-          await AsyncStorage.multiRemove(index.cachedTiles);
-        }
-        
-        // Remove tile index
-        await AsyncStorage.removeItem('map_tile_index');
+      // Remove downloaded map tiles
+      await mapTileStore.clear();
+
+      // Tile metadata left by older versions of the app
+      const legacyTileKeys = (await AsyncStorage.getAllKeys())
+        .filter(key => key === 'map_tile_index' || key.startsWith('map_tile_'));
+      if (legacyTileKeys.length > 0) {
+        await AsyncStorage.multiRemove(legacyTileKeys);
+      }
+
+      // Remove cached road data
+      const roadGraphs = await getRoadGraphIndex();
+      if (roadGraphs.length > 0) {
+        await AsyncStorage.multiRemove(roadGraphs.map(({ key }) => key));
       }
+      await AsyncStorage.removeItem(ROAD_GRAPH_INDEX_KEY);
 
       // Remove safety zones index
       await AsyncStorage.removeItem('safety_zones_indexed');
@@ -351,17 +353,23 @@ export const offlineMapService = {
     try {
       const stats = {
         mapTiles: 0,
+        mapAreas: 0,
         safetyZones: 0,
+        roadAreas: 0,
         totalSize: 0,
         lastCached: null
       };
 
       // Check map tiles
-      const indexData = await AsyncStorage.getItem('map_tile_index');
-      if (indexData) {
-        const index = JSON.parse(indexData);
-        stats.mapTiles = index.totalTiles || 0;
-        stats.lastCached = index.cachedAt;
+      const tileStats = await mapTileStore.getStats();
+      if (tileStats.success) {
+        const { tileCount, totalBytes, areas } = tileStats.stats;
+        stats.mapTiles = tileCount;
+        stats.mapAreas = areas.length;
+        stats.totalSize += totalBytes;
+        if (areas.length > 0) {
+          stats.lastCached = new Date(Math.max(...areas.map(area => area.downloadedAt))).toISOString();
+        }
       }
 
       // Check safety zones
@@ -374,6 +382,9 @@ export const offlineMapService = {
         }
       }
 
+      // Check road data for offline routes
+      stats.roadAreas = (await getRoadGraphIndex()).length;
+
       return { success: true, stats };
     } catch (error) {
       return { success: false, error: error.message };
@@ -381,38 +392,16 @@ export const offlineMapService = {
   }
 };
 
-// Helper functions for map tile calculations
-const calculateTileBounds = (minLat, minLon, maxLat, maxLon, zoomLevels) => {
-  const bounds = {};
-  
-  for (const zoom of zoomLevels) {
-    bounds[zoom] = {
-      minX: lon2tile(minLon, zoom),
-      maxX: lon2tile(maxLon, zoom),
-      minY: lat2tile(maxLat, zoom),
-      maxY: lat2tile(minLat, zoom)
-    };
-  }
-  
-  return bounds;
-};
-
-const lon2tile = (lon, zoom) => {
-  return Math.floor((lon + 180) / 360 * Math.pow(2, zoom));
+// Cached road data areas, newest first
+const getRoadGraphIndex = async () => {
+  const indexData = await AsyncStorage.getItem(ROAD_GRAPH_INDEX_KEY);
+  return indexData ? JSON.parse(indexData) : [];
 };
 
-const lat2tile = (lat, zoom) => {
-  return Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, zoom));
-};
-
-const tile2lon = (x, zoom) => {
-  return x / Math.pow(2, zoom) * 360 - 180;
-};
-
-const tile2lat = (y, zoom) => {
-  const n = Math.PI - 2 * Math.PI * y / Math.pow(2, zoom);
-  return 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
-};
+const isInBounds = (point, bounds) => (
+  point.latitude >= bounds.minLat && point.latitude <= bounds.maxLat &&
+  point.longitude >= bounds.minLon && point.longitude <= bounds.maxLon
+);
 
 // Helper function to calculate region overlap
 const calculateRegionOverlap = (region1, region2) => {
@@ -464,18 +453,11 @@ const createGeoIndex = (zones, centerLocation, radius) => {
   return index;
 };
 
-// Helper function to get zone bounds
+// Helper function to get zone bounds (polygons, multipolygons and circles)
 const getZoneBounds = (zone) => {
-  if (zone.coordinates && zone.coordinates.length > 0) {
-    const lats = zone.coordinates.map(coord => coord.latitude);
-    const lons = zone.coordinates.map(coord => coord.longitude);
-    
-    return {
-      minLat: Math.min(...lats),
-      maxLat: Math.max(...lats),
-      minLon: Math.min(...lons),
-      maxLon: Math.max(...lons)
-    };
+  const bounds = getGeometryBounds(zone);
+  if (bounds) {
+    return bounds;
   }
   
   // Fallback for point-based zones
@@ -10,7 +10,11 @@ export const performanceOptimizer = {
     active: 15000,        // 15 seconds when app is active
     background: 60000,    // 1 minute in background
     lowBattery: 120000,   // 2 minutes when battery is low
-    stationary: 300000    // 5 minutes when user is stationary
+    stationary: 300000,   // 5 minutes when user is stationary
+    walking: 10000,       // 10 seconds on foot
+    cycling: 7000,        // 7 seconds on a bike
+    inVehicle: 5000,      // 5 seconds in a car or taxi, for the route check
+    onTrain: 30000        // 30 seconds on a train, which keeps to its line
   },
 
   // Memory management thresholds (Requirement 7.4)
@@ -1,19 +1,39 @@
 import { DeviceEventEmitter } from 'react-native';
 import { geoLocationService } from '../location/geoLocation';
+import { messagingService } from '../firebase/messaging';
 import { performanceOptimizer } from './performanceOptimizer';
+import { filterLocation } from '../../utils/locationFilter';
+import { assessVehicleRoute, updateActivity } from '../../utils/activityRecognition';
+import { ACTIVITY_TYPES, NOTIFICATION_TYPES, VEHICLE_ROUTE_CONFIG } from '../../utils/constants';
+
+// performanceOptimizer.locationTrackingIntervals entry for each activity
+const ACTIVITY_INTERVALS = {
+  [ACTIVITY_TYPES.STATIONARY]: 'stationary',
+  [ACTIVITY_TYPES.WALKING]: 'walking',
+  [ACTIVITY_TYPES.CYCLING]: 'cycling',
+  [ACTIVITY_TYPES.IN_VEHICLE]: 'inVehicle',
+  [ACTIVITY_TYPES.ON_TRAIN]: 'onTrain'
+};
+
+const createTrackingState = () => ({
+  isTracking: false,
+  currentInterval: 15000,
+  subscription: null,
+  lastLocation: null,
+  movementDetected: false,
+  stationaryTime: 0,
+  emergencyMode: false,
+  filterState: null,
+  activity: ACTIVITY_TYPES.UNKNOWN,
+  activityState: null,
+  vehicleTrack: [],
+  vehicleRouteAlerted: false
+});
 
 // Smart location tracking with battery optimization
 export const smartLocationTracker = {
   // Tracking state
-  trackingState: {
-    isTracking: false,
-    currentInterval: 15000,
-    subscription: null,
-    lastLocation: null,
-    movementDetected: false,
-    stationaryTime: 0,
-    emergencyMode: false
-  },
+  trackingState: createTrackingState(),
 
   // Movement detection thresholds
   movementThresholds: {
@@ -55,9 +75,11 @@ export const smartLocationTracker = {
       smartLocationTracker.trackingState.currentInterval = 
         smartLocationTracker.getOptimalInterval();
 
-      // Start location tracking with smart callback
+      // Start location tracking with smart callback, kept for interval restarts
+      smartLocationTracker.trackingState.lastCallback =
+        (location) => smartLocationTracker.handleLocationUpdate(location, callback);
       const result = await geoLocationService.startSmartLocationTracking(
-        (location) => smartLocationTracker.handleLocationUpdate(location, callback),
+        smartLocationTracker.trackingState.lastCallback,
         {
           timeInterval: smartLocationTracker.trackingState.currentInterval,
           isEmergency: smartLocationTracker.trackingState.emergencyMode
@@ -80,8 +102,16 @@ export const smartLocationTracker = {
     }
   },
 
-  // Handle location updates with smart optimization
-  handleLocationUpdate: (location, callback) => {
+  // Handle location updates with smart optimization. Fixes go through the shared
+  // Kalman filter first, so outliers never count as movement
+  handleLocationUpdate: (rawLocation, callback) => {
+    const result = filterLocation(smartLocationTracker.trackingState.filterState, rawLocation);
+    smartLocationTracker.trackingState.filterState = result.state;
+    if (result.rejected) {
+      return;
+    }
+
+    const location = result.location;
     const previousLocation = smartLocationTracker.trackingState.lastLocation;
     smartLocationTracker.trackingState.lastLocation = location;
 
@@ -92,11 +122,16 @@ export const smartLocationTracker = {
         previousLocation.longitude,
         location.latitude,
         location.longitude
-      );
+      ) * 1000; // thresholds are in metres
 
       smartLocationTracker.updateMovementState(distance);
     }
 
+    smartLocationTracker.updateActivityState(location);
+    if (smartLocationTracker.trackingState.activity === ACTIVITY_TYPES.IN_VEHICLE) {
+      smartLocationTracker.checkVehicleRoute(location);
+    }
+
     // Adjust tracking interval based on movement
     smartLocationTracker.adjustTrackingInterval();
 
@@ -124,6 +159,60 @@ export const smartLocationTracker = {
     }
   },
 
+  // Classify the activity from recent fixes and announce changes
+  updateActivityState: (location) => {
+    const state = smartLocationTracker.trackingState;
+    const result = updateActivity(state.activityState, location);
+    state.activityState = result.state;
+
+    if (result.changed) {
+      const previous = state.activity;
+      state.activity = result.activity;
+
+      // A new ride gets a fresh route check
+      if (result.activity === ACTIVITY_TYPES.IN_VEHICLE) {
+        state.vehicleTrack = [];
+        state.vehicleRouteAlerted = false;
+      }
+
+      DeviceEventEmitter.emit('location:activityChanged', {
+        activity: result.activity,
+        previous,
+        features: result.features
+      });
+    }
+  },
+
+  // Vehicle mode: warn once per ride when the path is far longer than the
+  // distance actually covered, e.g. a taxi driving in circles
+  checkVehicleRoute: async (location) => {
+    const state = smartLocationTracker.trackingState;
+    const timestamp = new Date(location.timestamp).getTime();
+    state.vehicleTrack = [
+      ...state.vehicleTrack.filter(point => timestamp - point.timestamp <= VEHICLE_ROUTE_CONFIG.WINDOW_MS),
+      { latitude: location.latitude, longitude: location.longitude, timestamp }
+    ];
+
+    const assessment = assessVehicleRoute(state.vehicleTrack);
+    if (!assessment.isUnexpected || state.vehicleRouteAlerted) {
+      return assessment;
+    }
+
+    state.vehicleRouteAlerted = true;
+    DeviceEventEmitter.emit('location:unexpectedVehicleRoute', { location, ...assessment });
+    try {
+      await messagingService.scheduleNotification(
+        '🚕 Is this the right way?',
+        'Your ride has covered much more ground than the distance it has made. Check the route with your driver or share your trip with a contact.',
+        { type: NOTIFICATION_TYPES.VEHICLE_ROUTE, detourRatio: assessment.detourRatio },
+        null
+      );
+    } catch (error) {
+      console.error('Vehicle Route Alert Error:', error);
+    }
+    return assessment;
+  },
+
   // Adjust tracking interval based on current state
   adjustTrackingInterval: () => {
     const newInterval = smartLocationTracker.getOptimalInterval();
@@ -139,20 +228,29 @@ export const smartLocationTracker = {
   // Get optimal tracking interval based on current state
   getOptimalInterval: () => {
     const intervals = performanceOptimizer.locationTrackingIntervals;
+    const { activity, emergencyMode, stationaryTime } = smartLocationTracker.trackingState;
     
     // Emergency mode takes priority
-    if (smartLocationTracker.trackingState.emergencyMode) {
+    if (emergencyMode) {
       return intervals.emergency;
     }
 
     // Check if stationary for extended period
-    if (smartLocationTracker.trackingState.stationaryTime >= 
-        smartLocationTracker.movementThresholds.stationaryTimeout) {
+    if (activity === ACTIVITY_TYPES.STATIONARY ||
+        stationaryTime >= smartLocationTracker.movementThresholds.stationaryTimeout) {
       return intervals.stationary;
     }
 
-    // Use performance optimizer's current interval
-    return performanceOptimizer.getCurrentLocationInterval();
+    // The activity sets the interval in the foreground; background and low
+    // battery modes may only make it longer
+    const modeInterval = performanceOptimizer.getCurrentLocationInterval();
+    const activityInterval = intervals[ACTIVITY_INTERVALS[activity]];
+    if (!activityInterval) {
+      return modeInterval;
+    }
+    return performanceOptimizer.performanceState.locationTrackingMode === 'active'
+      ? activityInterval
+      : Math.max(activityInterval, modeInterval);
   },
 
   // Restart tracking with new interval
@@ -200,14 +298,16 @@ export const smartLocationTracker = {
     const state = smartLocationTracker.trackingState;
     
     // If stationary for long time, reduce tracking frequency
-    if (state.stationaryTime > smartLocationTracker.movementThresholds.stationaryTimeout) {
+    if (state.activity === ACTIVITY_TYPES.STATIONARY ||
+        state.stationaryTime > smartLocationTracker.movementThresholds.stationaryTimeout) {
       console.log('User appears stationary, optimizing battery usage');
-    }
-    
-    // If moving frequently, ensure adequate tracking
-    if (state.movementDetected) {
+    } else if (state.movementDetected) {
+      // If moving frequently, ensure adequate tracking
       console.log('User is moving, maintaining tracking accuracy');
     }
+
+    smartLocationTracker.adjustTrackingInterval();
+    return { activity: state.activity, interval: state.currentInterval };
   },
 
   // Stop smart location tracking
@@ -226,15 +326,7 @@ export const smartLocationTracker = {
       }
 
       // Reset state
-      smartLocationTracker.trackingState = {
-        isTracking: false,
-        currentInterval: 15000,
-        subscription: null,
-        lastLocation: null,
-        movementDetected: false,
-        stationaryTime: 0,
-        emergencyMode: false
-      };
+      smartLocationTracker.trackingState = createTrackingState();
 
       return { success: true };
     } catch (error) {
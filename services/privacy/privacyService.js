@@ -21,6 +21,7 @@ class PrivacyService {
       analyticsData: false,
       crashReports: true,
       marketingCommunications: false,
+      medicalDataSharing: false, // Medical ID in alerts and medical QR codes
     };
   }
 
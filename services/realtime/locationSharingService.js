@@ -17,7 +17,9 @@ export const locationSharingService = {
         isEmergency = false,
         shareFrequency = isEmergency ? 3000 : 30000, // 3s for emergency, 30s for normal
         userId,
-        reason = 'safety_check'
+        reason = 'safety_check',
+        details = null, // shown to contacts, e.g. the destination of a guided walk
+        trackLocation = true // false when the caller pushes locations itself
       } = options;
       
       // Create sharing session document
@@ -26,6 +28,7 @@ export const locationSharingService = {
         contacts,
         isEmergency,
         reason,
+        details,
         shareFrequency,
         startTime: new Date(),
         endTime: new Date(Date.now() + duration * 60 * 1000),
@@ -44,7 +47,9 @@ export const locationSharingService = {
       const sessionId = sessionResult.id;
       
       // Start location tracking for this session
-      const trackingResult = await locationSharingService.startSessionTracking(sessionId, options);
+      const trackingResult = trackLocation
+        ? await locationSharingService.startSessionTracking(sessionId, options)
+        : { success: true, trackingId: null };
       
       if (!trackingResult.success) {
         // Clean up session if tracking failed
@@ -145,6 +150,35 @@ export const locationSharingService = {
     }
   },
 
+  // Push location and progress (e.g. distance left on a guided walk) to a session
+  // whose locations come from the caller rather than its own tracking
+  updateSessionProgress: async (sessionId, location, progress) => {
+    try {
+      const updateData = {
+        currentLocation: location,
+        lastLocationUpdate: new Date(),
+        progress,
+        updatedAt: new Date()
+      };
+      
+      if (realtimeSyncService.syncStatus.isOnline) {
+        await firestoreService.updateDocument('location_sharing', sessionId, updateData);
+      } else {
+        await realtimeSyncService.queueOperation({
+          type: 'update',
+          collectionName: 'location_sharing',
+          docId: sessionId,
+          data: updateData,
+          priority: 'medium'
+        });
+      }
+      
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
   // Stop location sharing session
   stopLocationSharing: async (sessionId) => {
     try {
@@ -265,6 +299,9 @@ export const locationSharingService = {
             location: session.currentLocation,
             lastUpdate: session.lastLocationUpdate,
             isEmergency: session.isEmergency,
+            reason: session.reason,
+            details: session.details || null,
+            progress: session.progress || null,
             locationHistory: session.locationHistory || []
           });
         } else {
@@ -298,7 +335,7 @@ export const locationSharingService = {
   // Get location sharing history
   getLocationSharingHistory: async (userId, limit = 10) => {
     try {
-      const { orderBy, limitToLast } = await import('firebase/firestore');
+      const { where, orderBy, limitToLast } = await import('firebase/firestore');
       
       const result = await firestoreService.listenToQuery(
         'location_sharing',
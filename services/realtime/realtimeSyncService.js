@@ -2,6 +2,7 @@ import { firestoreService } from '../firebase/firestore';
 import { where, orderBy, limit } from 'firebase/firestore';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { safetyNotificationService } from '../notifications/safetyNotificationService';
+import { escalationService } from '../emergency/escalationService';
 
 export const realtimeSyncService = {
   // Active listeners for cleanup
@@ -105,6 +106,9 @@ export const realtimeSyncService = {
     try {
       // Cache emergency data locally
       await AsyncStorage.setItem('active_emergency', JSON.stringify(emergency));
+
+      // Contact acknowledgements stop the escalation and show on EmergencyScreen
+      await escalationService.syncAcknowledgements(emergency.id, emergency.acknowledgements);
       
       // Check for location updates
       const locationChanges = changes.filter(change => 
@@ -1,6 +1,9 @@
 import { qrGeneratorService } from '../qrGenerator';
 import { encryptionService } from '../encryption';
 import { blockchainService } from '../blockchain';
+import { revocationService } from '../revocation';
+import { selectiveDisclosureService } from '../selectiveDisclosure';
+import { rotatingTokenService } from '../rotatingToken';
 import { QRCodeData, QRVerificationResult } from '../../../utils/dataModels';
 import { VERIFICATION_STATUS } from '../../../utils/constants';
 
@@ -14,6 +17,29 @@ jest.mock('@react-native-async-storage/async-storage', () => ({
 // Mock the services
 jest.mock('../encryption');
 jest.mock('../blockchain');
+jest.mock('../revocation', () => ({
+  revocationService: {
+    checkRevocation: jest.fn()
+  }
+}));
+jest.mock('../selectiveDisclosure', () => ({
+  selectiveDisclosureService: {
+    createDisclosure: jest.fn(),
+    storeSecrets: jest.fn()
+  }
+}));
+jest.mock('../../firebase/functions', () => ({
+  functionsService: {
+    call: jest.fn()
+  }
+}));
+jest.mock('../rotatingToken', () => ({
+  rotatingTokenService: {
+    getTokenKey: jest.fn(),
+    generateToken: jest.fn(),
+    verifyToken: jest.fn()
+  }
+}));
 
 describe('QR Generator Service', () => {
   const mockTouristData = {
@@ -29,14 +55,29 @@ describe('QR Generator Service', () => {
     jest.clearAllMocks();
     
     // Setup default mock implementations
-    encryptionService.encryptForQR.mockResolvedValue({
+    rotatingTokenService.getTokenKey.mockResolvedValue({
+      success: true,
+      privateKey: 'token-private-key',
+      publicKey: 'token-public-key'
+    });
+    rotatingTokenService.verifyToken.mockReturnValue({ success: true, valid: true, drift: 0 });
+    selectiveDisclosureService.createDisclosure.mockResolvedValue({
       success: true,
-      encryptedData: 'encrypted-data-hash',
+      profile: 'hotel_check_in',
+      claims: { name: 'John Doe', nationality: 'USA', passportLast4: '4567' },
+      commitments: { passportNumber: 'passport-commitment' },
+      secrets: { passportNumber: { salt: 'salt', value: 'AB1234567' } }
+    });
+
+    jest.spyOn(qrGeneratorService, 'requestSignature').mockResolvedValue({
+      success: true,
+      envelope: { userId: 'test-user-123', version: '2.1', keyId: 'test-key' },
+      signature: 'signature',
+      keyId: 'test-key',
+      algorithm: 'Ed25519',
       verificationHash: 'verification-hash',
-      verificationSignature: 'signature',
       timestamp: Date.now(),
       nonce: 'test-nonce',
-      salt: 'test-salt',
       securityLevel: 'high'
     });
 
@@ -80,16 +121,16 @@ describe('QR Generator Service', () => {
       expect(result.error).toBe('Invalid tourist data provided');
     });
 
-    it('should handle encryption failure', async () => {
-      encryptionService.encryptForQR.mockResolvedValue({
+    it('should handle signing failure', async () => {
+      qrGeneratorService.requestSignature.mockResolvedValue({
         success: false,
-        error: 'Encryption failed'
+        error: 'User must be verified to generate QR code'
       });
 
       const result = await qrGeneratorService.generateQRData(mockTouristData);
 
       expect(result.success).toBe(false);
-      expect(result.error).toBe('Failed to encrypt QR data');
+      expect(result.error).toBe('Failed to sign QR data');
     });
 
     it('should generate QR code even if blockchain fails', async () => {
@@ -107,31 +148,50 @@ describe('QR Generator Service', () => {
   });
 
   describe('verifyQRData', () => {
-    const mockQRString = JSON.stringify({
-      data: 'encrypted-data',
-      hash: 'verification-hash',
-      signature: 'signature',
+    const mockEnvelope = {
+      payload: {
+        userId: 'test-user-123',
+        disclosureProfile: 'hotel_check_in',
+        tokenKey: 'token-public-key',
+        claims: { name: 'John Doe' },
+        commitments: { passportNumber: 'passport-commitment' }
+      },
+      userId: 'test-user-123',
       timestamp: Date.now(),
       nonce: 'nonce',
-      salt: 'salt',
-      version: '1.0',
+      version: '2.1',
       securityLevel: 'high',
+      keyId: 'test-key'
+    };
+    const mockQRString = JSON.stringify({
+      version: '2.1',
+      alg: 'Ed25519',
+      envelope: mockEnvelope,
+      signature: 'signature',
       blockchainTxId: 'tx-123'
     });
 
     beforeEach(() => {
-      encryptionService.decryptQRData.mockResolvedValue({
+      encryptionService.verifyQRSignature.mockResolvedValue({
         success: true,
         verified: true,
+        payload: mockEnvelope.payload,
         timestamp: new Date(),
         userId: 'test-user-123',
-        nonce: 'nonce'
+        nonce: 'nonce',
+        issuer: 'Test Authority',
+        keyId: 'test-key',
+        verificationHash: 'verification-hash'
       });
 
       blockchainService.verifyTransaction.mockResolvedValue({
         success: true,
         verified: true
       });
+      revocationService.checkRevocation.mockResolvedValue({
+        success: true,
+        revoked: false
+      });
     });
 
     it('should verify valid QR code successfully', async () => {
@@ -141,9 +201,22 @@ describe('QR Generator Service', () => {
       expect(result.verified).toBe(true);
       expect(result.result).toBeInstanceOf(QRVerificationResult);
       expect(result.result.isValid).toBe(true);
+      expect(result.result.userData.name).toBe('John Doe');
+      expect(result.result.userData.issuer).toBe('Test Authority');
       expect(result.blockchainVerified).toBe(true);
     });
 
+    it('should expose disclosed claims and list withheld ones', async () => {
+      const result = await qrGeneratorService.verifyQRData(mockQRString);
+      const { userData } = result.result;
+
+      expect(userData.disclosureProfile).toBe('hotel_check_in');
+      expect(userData).not.toHaveProperty('passportNumber');
+      expect(userData).not.toHaveProperty('tokenKey');
+      expect(userData.withheldClaims).toEqual(['passportNumber']);
+      expect(userData.commitments).toEqual({ passportNumber: 'passport-commitment' });
+    });
+
     it('should fail for empty QR string', async () => {
       const result = await qrGeneratorService.verifyQRData('');
 
@@ -154,7 +227,7 @@ describe('QR Generator Service', () => {
     it('should fail for unsupported version', async () => {
       const invalidVersionQR = JSON.stringify({
         ...JSON.parse(mockQRString),
-        version: '2.0'
+        version: '1.0'
       });
 
       const result = await qrGeneratorService.verifyQRData(invalidVersionQR);
@@ -163,10 +236,35 @@ describe('QR Generator Service', () => {
       expect(result.error).toContain('Unsupported QR code version');
     });
 
+    it('should fail when signed envelope version does not match', async () => {
+      const downgradedQR = JSON.stringify({
+        ...JSON.parse(mockQRString),
+        envelope: { ...mockEnvelope, version: '1.0' }
+      });
+
+      const result = await qrGeneratorService.verifyQRData(downgradedQR);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Unsupported QR code version');
+    });
+
+    it('should fail for unsupported signature algorithm', async () => {
+      const result = await qrGeneratorService.verifyQRData(JSON.stringify({
+        ...JSON.parse(mockQRString),
+        alg: 'none'
+      }));
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Unsupported QR signature algorithm: none');
+    });
+
     it('should fail for expired QR code', async () => {
       const expiredQR = JSON.stringify({
         ...JSON.parse(mockQRString),
-        timestamp: Date.now() - (25 * 60 * 60 * 1000) // 25 hours ago
+        envelope: {
+          ...mockEnvelope,
+          timestamp: Date.now() - (25 * 60 * 60 * 1000) // 25 hours ago
+        }
       });
 
       const result = await qrGeneratorService.verifyQRData(expiredQR);
@@ -183,10 +281,56 @@ describe('QR Generator Service', () => {
       expect(result.error).toBe('Invalid QR code format or corrupted data');
     });
 
-    it('should handle decryption failure', async () => {
-      encryptionService.decryptQRData.mockResolvedValue({
+    it('should report revoked codes separately from expired ones', async () => {
+      revocationService.checkRevocation.mockResolvedValue({
+        success: true,
+        revoked: true,
+        revokedAt: new Date()
+      });
+
+      const result = await qrGeneratorService.verifyQRData(mockQRString);
+
+      expect(result.success).toBe(false);
+      expect(result.revoked).toBe(true);
+      expect(result.error).toBe('QR code has been revoked');
+      expect(result.result.isRevoked).toBe(true);
+      expect(result.result.isExpired).toBe(false);
+      expect(result.result.userData.name).toBe('John Doe');
+      expect(revocationService.checkRevocation).toHaveBeenCalledWith({
+        userId: 'test-user-123',
+        verificationHash: 'verification-hash',
+        issuedAt: mockEnvelope.timestamp
+      });
+    });
+
+    it('should reject a replayed screenshot outside the rotating token window', async () => {
+      rotatingTokenService.verifyToken.mockReturnValue({
+        success: false,
+        error: 'Rotating token has expired',
+        drift: -4
+      });
+
+      const result = await qrGeneratorService.verifyQRData(JSON.stringify({
+        ...JSON.parse(mockQRString),
+        rotatingToken: { step: 100, token: 'old-token' }
+      }));
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Rotating token has expired');
+      expect(result.result.isValid).toBe(false);
+      expect(rotatingTokenService.verifyToken).toHaveBeenCalledWith({
+        publicKey: 'token-public-key',
+        verificationHash: 'verification-hash',
+        step: 100,
+        token: 'old-token'
+      });
+      expect(revocationService.checkRevocation).not.toHaveBeenCalled();
+    });
+
+    it('should handle signature verification failure', async () => {
+      encryptionService.verifyQRSignature.mockResolvedValue({
         success: false,
-        error: 'Decryption failed'
+        error: 'Signature verification failed'
       });
 
       const result = await qrGeneratorService.verifyQRData(mockQRString);
@@ -196,6 +340,38 @@ describe('QR Generator Service', () => {
     });
   });
 
+  describe('getRotatingQRString', () => {
+    it('should add the current rotating token to the signed QR', async () => {
+      rotatingTokenService.generateToken.mockResolvedValue({
+        success: true,
+        step: 58000000,
+        token: 'current-token',
+        secondsRemaining: 12
+      });
+      const qrCodeData = new QRCodeData({
+        qrString: JSON.stringify({ version: '2.1', signature: 'signature' }),
+        userId: 'test-user-123',
+        verificationHash: 'verification-hash',
+        expiresAt: new Date(Date.now() + 60000)
+      });
+
+      const result = await qrGeneratorService.getRotatingQRString(qrCodeData, 1740000000000);
+
+      expect(result.success).toBe(true);
+      expect(result.secondsRemaining).toBe(12);
+      expect(JSON.parse(result.qrString)).toEqual({
+        version: '2.1',
+        signature: 'signature',
+        rotatingToken: { step: 58000000, token: 'current-token' }
+      });
+      expect(rotatingTokenService.generateToken).toHaveBeenCalledWith(
+        'test-user-123',
+        'verification-hash',
+        1740000000000
+      );
+    });
+  });
+
   describe('refreshQRCode', () => {
     beforeEach(() => {
       qrGeneratorService.getUserDataForQR = jest.fn().mockResolvedValue(mockTouristData);
@@ -206,7 +382,7 @@ describe('QR Generator Service', () => {
           userId: 'test-user-123',
           verificationHash: 'new-hash',
           expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
-          encryptedData: 'new-encrypted-data',
+          signature: 'new-signature',
           generatedAt: new Date()
         })
       });
@@ -262,7 +438,7 @@ describe('QR Generator Service', () => {
         userId: 'test',
         verificationHash: 'hash',
         expiresAt: new Date(Date.now() + 60 * 60 * 1000), // 1 hour from now
-        encryptedData: 'data',
+        signature: 'signature',
         generatedAt: new Date()
       });
 
@@ -274,37 +450,4 @@ describe('QR Generator Service', () => {
       expect(mockQRData.needsRefresh).toHaveBeenCalled();
     });
   });
-
-  describe('generateOfflineQR', () => {
-    beforeEach(() => {
-      qrGeneratorService.generateQRData = jest.fn().mockResolvedValue({
-        success: true,
-        qrData: {
-          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
-        }
-      });
-    });
-
-    it('should generate offline QR successfully', async () => {
-      const result = await qrGeneratorService.generateOfflineQR(mockTouristData);
-
-      expect(result.success).toBe(true);
-      expect(result.downloadReady).toBe(true);
-      expect(result.offlineMetadata).toBeDefined();
-      expect(result.offlineMetadata.generatedFor).toBe('offline_use');
-      expect(result.offlineMetadata.emergencyContact).toBe('1363');
-    });
-
-    it('should fail if QR generation fails', async () => {
-      qrGeneratorService.generateQRData.mockResolvedValue({
-        success: false,
-        error: 'Generation failed'
-      });
-
-      const result = await qrGeneratorService.generateOfflineQR(mockTouristData);
-
-      expect(result.success).toBe(false);
-      expect(result.error).toBe('Generation failed');
-    });
-  });
-});
\ No newline at end of file
+});
@@ -1,58 +1,117 @@
 import { encryptionService } from './encryption';
 import { BlockchainTransaction } from '../../utils/dataModels';
+import { createServerLedgerProvider, computeHeadHash, hashEntry, verifyTreeHeadSignature } from './ledger';
+import { computeRootHash, verifyInclusionProof } from './merkle';
+import { functionsService } from '../firebase/functions';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
-// Simplified blockchain verification service for demo purposes
-// In production, this would integrate with actual blockchain networks
+// Verification ledger: an append-only Merkle log behind a pluggable provider.
+// Defaults to the server ledger, whose tree heads are signed with the issuer key, so a
+// verifier's device can prove a tourist's entry; setProvider() swaps in another one.
+let ledgerProvider = createServerLedgerProvider({ call: functionsService.call });
+
+// Audit a ledger whose whole log the provider hands over: leaf hashes, head chain,
+// head signatures and every head's Merkle root
+const auditEntries = async (provider) => {
+  const records = await provider.getEntries();
+  const heads = await provider.getTreeHeads();
+  const errors = [];
+
+  records.forEach((record, position) => {
+    if (record.index !== position) {
+      errors.push(`Entry ${position} is out of order`);
+    }
+    if (hashEntry(record.entry) !== record.leafHash) {
+      errors.push(`Entry ${position} does not match its leaf hash`);
+    }
+  });
+
+  const leafHashes = records.map(record => record.leafHash);
+  heads.forEach((head, position) => {
+    if (computeHeadHash(head) !== head.headHash) {
+      errors.push(`Tree head ${position} hash mismatch`);
+    }
+    if (head.size > 0 && !verifyTreeHeadSignature(head)) {
+      errors.push(`Tree head ${position} is not signed by a trusted issuer`);
+    }
+    if (position > 0) {
+      const prev = heads[position - 1];
+      if (head.prevHeadHash !== prev.headHash) {
+        errors.push(`Tree head ${position} does not extend the previous head`);
+      }
+      if (head.size < prev.size) {
+        errors.push(`Tree head ${position} shrinks the ledger`);
+      }
+    }
+    if (head.size > leafHashes.length) {
+      errors.push(`Tree head ${position} covers missing entries`);
+    } else if (computeRootHash(leafHashes.slice(0, head.size)) !== head.rootHash) {
+      errors.push(`Tree head ${position} root hash mismatch`);
+    }
+  });
+
+  const latestHead = heads[heads.length - 1] || null;
+  if (latestHead && latestHead.size !== records.length) {
+    errors.push('Latest tree head does not cover every entry');
+  }
+
+  return { errors, checkedEntries: records.length, checkedTreeHeads: heads.length, treeHead: latestHead };
+};
+
+// The server ledger is audited where it is stored (see auditLedger in functions/ledger.js).
+// Its latest head is checked here as well: it commits to every earlier head through the chain
+const auditServerLedger = async (provider) => {
+  const audit = await provider.audit();
+  const errors = [...audit.errors];
+
+  const { treeHead } = audit;
+  if (treeHead && (computeHeadHash(treeHead) !== treeHead.headHash || !verifyTreeHeadSignature(treeHead))) {
+    errors.push('Latest tree head is not signed by a trusted issuer');
+  }
+
+  return { ...audit, errors };
+};
+
 export const blockchainService = {
-  // Simulate blockchain transaction creation with enhanced security
+  // Swap the ledger provider (local, remote node, or in-memory for tests)
+  setProvider: (provider) => {
+    ledgerProvider = provider;
+  },
+
+  getProvider: () => ledgerProvider,
+
+  // Record a QR issuance in the ledger
   createVerificationTransaction: async (userData, qrHash) => {
     try {
-      // Generate a cryptographically secure transaction ID
-      const txId = encryptionService.generateUUID();
-      
-      // Create transaction payload with additional security data
-      const transactionPayload = {
+      if (!userData?.userId || !qrHash) {
+        return { success: false, error: 'User ID and QR hash are required' };
+      }
+
+      // Only the user ID and QR hash are recorded; no personal details enter the ledger
+      const entry = {
+        txId: encryptionService.generateUUID(),
         userId: userData.userId,
-        userName: userData.name,
         qrHash,
-        timestamp: Date.now(),
-        nonce: encryptionService.generateUUID()
+        timestamp: Date.now()
       };
 
-      // Generate transaction hash for integrity
-      const payloadString = JSON.stringify(transactionPayload);
-      const transactionHashResult = await encryptionService.generateHash(payloadString);
-      
-      if (!transactionHashResult.success) {
-        return { success: false, error: 'Failed to generate transaction hash' };
-      }
+      // The provider may assign its own transaction ID and timestamp
+      const { index, entry: recorded = entry, leafHash, treeHead } = await ledgerProvider.append(entry);
 
-      // Create blockchain transaction object
       const transaction = new BlockchainTransaction({
-        txId,
-        userId: userData.userId,
-        qrHash,
-        timestamp: Date.now(),
-        blockNumber: Math.floor(Math.random() * 1000000) + 500000, // Mock block number
-        status: 'pending',
-        confirmations: 0
+        ...recorded,
+        blockNumber: index,
+        status: 'confirmed',
+        confirmations: treeHead.size - index,
+        leafHash,
+        treeSize: treeHead.size,
+        rootHash: treeHead.rootHash
       });
 
-      // Simulate blockchain confirmation delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      // Update transaction status to confirmed
-      transaction.status = 'confirmed';
-      transaction.confirmations = Math.floor(Math.random() * 10) + 6; // At least 6 confirmations
-
-      // Cache transaction for verification
-      await blockchainService.cacheTransaction(transaction);
-
       return {
         success: true,
         transaction: transaction.toJSON(),
-        transactionHash: transactionHashResult.hash
+        transactionHash: leafHash
       };
     } catch (error) {
       console.error('Blockchain Transaction Error:', error);
@@ -60,42 +119,73 @@ export const blockchainService = {
     }
   },
 
-  // Verify transaction on blockchain with enhanced checks
+  // Fetch an entry with an inclusion proof against the current tree head
+  getProofBundle: (txId) => ledgerProvider.getProofBundle(txId),
+
+  // Recompute the leaf hash, tree head hash and Merkle path of a proof bundle, and
+  // check the tree head was signed by a trusted issuer key
+  verifyProofBundle: ({ entry, index, leafHash, treeHead, proof }) => {
+    if (hashEntry(entry) !== leafHash) {
+      return false;
+    }
+    if (computeHeadHash(treeHead) !== treeHead.headHash || !verifyTreeHeadSignature(treeHead)) {
+      return false;
+    }
+    return verifyInclusionProof({
+      leafHash,
+      index,
+      treeSize: treeHead.size,
+      proof,
+      rootHash: treeHead.rootHash
+    });
+  },
+
+  // Verify a transaction by recomputing its inclusion proof
   verifyTransaction: async (txId) => {
     try {
       if (!txId) {
         return { success: false, error: 'Transaction ID is required' };
       }
 
-      // First check cached transactions
-      const cachedTransaction = await blockchainService.getCachedTransaction(txId);
-      if (cachedTransaction.success) {
-        return {
-          success: true,
-          verified: cachedTransaction.transaction.isConfirmed(),
-          transaction: cachedTransaction.transaction.toJSON()
-        };
+      let bundle = null;
+      let offline = false;
+      try {
+        bundle = await blockchainService.getProofBundle(txId);
+      } catch (error) {
+        // Ledger unreachable: re-check the last proof we cached for this transaction
+        const cached = await blockchainService.getCachedTransaction(txId);
+        if (!cached.success) {
+          throw error;
+        }
+        bundle = cached.bundle;
+        offline = true;
       }
 
-      // Simulate blockchain lookup
-      await new Promise(resolve => setTimeout(resolve, 500));
+      if (!bundle) {
+        return { success: false, error: 'Transaction not found in ledger' };
+      }
 
-      // Mock verification result with realistic data
-      const verificationResult = {
-        txId,
-        confirmed: true,
-        confirmations: Math.floor(Math.random() * 100) + 6, // At least 6 confirmations
-        blockNumber: Math.floor(Math.random() * 1000000) + 500000,
-        timestamp: Date.now() - Math.floor(Math.random() * 86400000), // Random time in last 24h
-        status: 'confirmed',
-        gasUsed: Math.floor(Math.random() * 50000) + 21000, // Realistic gas usage
-        blockHash: await encryptionService.generateHash(`block_${Math.random()}`)
-      };
+      const verified = blockchainService.verifyProofBundle(bundle);
+      const transaction = new BlockchainTransaction({
+        ...bundle.entry,
+        blockNumber: bundle.index,
+        status: verified ? 'confirmed' : 'invalid',
+        confirmations: verified ? bundle.treeHead.size - bundle.index : 0,
+        leafHash: bundle.leafHash,
+        treeSize: bundle.treeHead.size,
+        rootHash: bundle.treeHead.rootHash
+      });
+
+      if (verified && !offline) {
+        await blockchainService.cacheTransaction(bundle);
+      }
 
       return {
         success: true,
-        verified: true,
-        transaction: verificationResult
+        verified,
+        offline,
+        transaction: transaction.toJSON(),
+        proof: bundle.proof
       };
     } catch (error) {
       console.error('Blockchain Verification Error:', error);
@@ -103,74 +193,50 @@ export const blockchainService = {
     }
   },
 
-  // Get transaction status with detailed information
+  // Get transaction status from a freshly checked proof
   getTransactionStatus: async (txId) => {
-    try {
-      if (!txId) {
-        return { success: false, error: 'Transaction ID is required' };
-      }
-
-      // Check cached transaction first
-      const cachedTransaction = await blockchainService.getCachedTransaction(txId);
-      if (cachedTransaction.success) {
-        return {
-          success: true,
-          status: cachedTransaction.transaction.status,
-          confirmations: cachedTransaction.transaction.confirmations,
-          blockNumber: cachedTransaction.transaction.blockNumber,
-          timestamp: cachedTransaction.transaction.timestamp
-        };
-      }
-
-      // Simulate status check
-      await new Promise(resolve => setTimeout(resolve, 300));
-
-      return {
-        success: true,
-        status: 'confirmed',
-        confirmations: Math.floor(Math.random() * 100) + 6,
-        blockNumber: Math.floor(Math.random() * 1000000) + 500000,
-        timestamp: new Date(Date.now() - Math.floor(Math.random() * 86400000))
-      };
-    } catch (error) {
-      console.error('Transaction Status Error:', error);
-      return { success: false, error: error.message };
+    const result = await blockchainService.verifyTransaction(txId);
+    if (!result.success) {
+      return result;
     }
+
+    return {
+      success: true,
+      status: result.transaction.status,
+      confirmations: result.transaction.confirmations,
+      blockNumber: result.transaction.blockNumber,
+      timestamp: new Date(result.transaction.timestamp)
+    };
   },
 
-  // Generate blockchain verification badge data with enhanced styling
+  // Generate verification badge data from a checked transaction
   generateVerificationBadge: async (transactionData) => {
     try {
-      const confirmations = transactionData.confirmations || 6;
-      let badgeColor = '#00C851'; // Green for verified
-      let badgeText = 'Blockchain Verified';
-      let securityLevel = 'high';
-
-      // Adjust badge based on confirmation count
-      if (confirmations >= 12) {
-        badgeColor = '#007E33'; // Dark green for highly secure
-        badgeText = 'Highly Secure';
-        securityLevel = 'maximum';
-      } else if (confirmations >= 6) {
-        badgeColor = '#00C851'; // Green for secure
-        badgeText = 'Blockchain Verified';
+      let badgeColor = '#FF9500'; // Orange for pending
+      let badgeText = 'Verification Pending';
+      let securityLevel = 'medium';
+
+      if (transactionData.status === 'confirmed' && transactionData.rootHash) {
+        badgeColor = '#00C851';
+        badgeText = 'Ledger Verified';
         securityLevel = 'high';
-      } else {
-        badgeColor = '#FF9500'; // Orange for pending
-        badgeText = 'Verification Pending';
-        securityLevel = 'medium';
+      } else if (transactionData.status === 'invalid') {
+        badgeColor = '#FF3B30';
+        badgeText = 'Verification Failed';
+        securityLevel = 'low';
       }
 
       const badgeData = {
-        verified: confirmations >= 6,
+        verified: transactionData.status === 'confirmed' && !!transactionData.rootHash,
         txId: transactionData.txId,
         blockNumber: transactionData.blockNumber,
-        confirmations,
+        confirmations: transactionData.confirmations || 0,
+        treeSize: transactionData.treeSize,
+        rootHash: transactionData.rootHash,
         verifiedAt: new Date(transactionData.timestamp),
         badgeColor,
         badgeText,
-        securityLevel,
-        trustScore: Math.min(100, (confirmations / 12) * 100) // Trust score out of 100
+        securityLevel
       };
 
       return { success: true, badge: badgeData };
@@ -180,11 +246,11 @@ export const blockchainService = {
     }
   },
 
-  // Cache transaction locally for offline verification
-  cacheTransaction: async (transaction) => {
+  // Cache a verified proof bundle for offline re-verification
+  cacheTransaction: async (bundle) => {
     try {
-      const cacheKey = `blockchain_tx_${transaction.txId}`;
-      await AsyncStorage.setItem(cacheKey, JSON.stringify(transaction.toJSON()));
+      const cacheKey = `blockchain_tx_${bundle.entry.txId}`;
+      await AsyncStorage.setItem(cacheKey, JSON.stringify(bundle));
       return { success: true };
     } catch (error) {
       console.error('Transaction Cache Error:', error);
@@ -192,40 +258,57 @@ export const blockchainService = {
     }
   },
 
-  // Get cached transaction
+  // Get cached proof bundle
   getCachedTransaction: async (txId) => {
     try {
       const cacheKey = `blockchain_tx_${txId}`;
       const cachedData = await AsyncStorage.getItem(cacheKey);
-      
+
       if (!cachedData) {
         return { success: false, error: 'Transaction not found in cache' };
       }
 
-      const transaction = BlockchainTransaction.fromJSON(JSON.parse(cachedData));
-      return { success: true, transaction };
+      const bundle = JSON.parse(cachedData);
+      const transaction = new BlockchainTransaction({
+        ...bundle.entry,
+        blockNumber: bundle.index,
+        leafHash: bundle.leafHash,
+        treeSize: bundle.treeHead.size,
+        rootHash: bundle.treeHead.rootHash
+      });
+
+      return { success: true, transaction, bundle };
     } catch (error) {
       console.error('Transaction Cache Retrieval Error:', error);
       return { success: false, error: error.message };
     }
   },
 
-  // Validate blockchain integrity (mock implementation)
-  validateBlockchainIntegrity: async (txId) => {
+  // Audit the whole ledger, and prove `txId` against it when given
+  validateBlockchainIntegrity: async (txId = null) => {
     try {
-      // Simulate blockchain integrity check
-      await new Promise(resolve => setTimeout(resolve, 800));
+      const { errors, checkedEntries, checkedTreeHeads, treeHead } = ledgerProvider.audit
+        ? await auditServerLedger(ledgerProvider)
+        : await auditEntries(ledgerProvider);
 
-      // Mock integrity validation
-      const integrityScore = Math.random() * 0.1 + 0.9; // 90-100% integrity
-      const isValid = integrityScore > 0.95;
+      let transactionVerified = null;
+      if (txId) {
+        const verification = await blockchainService.verifyTransaction(txId);
+        transactionVerified = verification.success && verification.verified;
+        if (!transactionVerified) {
+          errors.push(`Transaction ${txId} could not be proven`);
+        }
+      }
 
       return {
         success: true,
-        valid: isValid,
-        integrityScore: Math.round(integrityScore * 100),
-        lastValidated: new Date(),
-        networkConsensus: isValid ? 'confirmed' : 'disputed'
+        valid: errors.length === 0,
+        errors,
+        checkedEntries,
+        checkedTreeHeads,
+        transactionVerified,
+        treeHead,
+        lastValidated: new Date()
       };
     } catch (error) {
       console.error('Blockchain Integrity Error:', error);
@@ -233,20 +316,19 @@ export const blockchainService = {
     }
   },
 
-  // Get network statistics (mock implementation)
+  // Get ledger statistics from the current tree head
   getNetworkStats: async () => {
     try {
-      // Simulate network stats retrieval
-      await new Promise(resolve => setTimeout(resolve, 400));
+      const treeHead = await ledgerProvider.getTreeHead();
 
       return {
         success: true,
         stats: {
-          currentBlockHeight: Math.floor(Math.random() * 1000000) + 500000,
-          networkHashRate: `${Math.floor(Math.random() * 100) + 50} TH/s`,
-          averageBlockTime: '15 seconds',
-          pendingTransactions: Math.floor(Math.random() * 10000) + 1000,
-          networkDifficulty: Math.floor(Math.random() * 1000000000000),
+          provider: ledgerProvider.name,
+          treeSize: treeHead.size,
+          rootHash: treeHead.rootHash,
+          headHash: treeHead.headHash,
+          lastAppendedAt: treeHead.timestamp ? new Date(treeHead.timestamp) : null,
           lastUpdated: new Date()
         }
       };
@@ -255,4 +337,4 @@ export const blockchainService = {
       return { success: false, error: error.message };
     }
   }
-};
\ No newline at end of file
+};
@@ -1,6 +1,11 @@
 import * as Crypto from 'expo-crypto';
 import * as SecureStore from 'expo-secure-store';
+import { ed25519 } from '@noble/curves/ed25519';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
 import { QR_CONFIG } from '../../utils/constants';
+import { canonicalJsonStringify } from '../../utils/helpers';
+import { getTrustedIssuerKey } from './issuerKeys';
 
 export const encryptionService = {
   // Generate secure hash with multiple algorithms
@@ -75,94 +80,46 @@ export const encryptionService = {
     }
   },
 
-  // Enhanced encryption for QR code with salt and multiple layers
-  encryptForQR: async (data, userId, securityLevel = 'high') => {
+  // Verify QR signature against the bundled trusted issuer keys (works offline)
+  verifyQRSignature: async (envelope, signature) => {
     try {
-      const timestamp = Date.now();
-      const nonce = Crypto.randomUUID();
-      
-      // Generate salt for additional security
-      const saltResult = await encryptionService.generateSalt();
-      if (!saltResult.success) {
-        return { success: false, error: 'Failed to generate salt' };
+      if (!envelope || !signature) {
+        return { success: false, error: 'Missing QR signature' };
       }
 
-      // Create layered data structure
-      const layeredData = {
-        payload: data,
-        userId,
-        timestamp,
-        nonce,
-        salt: saltResult.salt,
-        version: QR_CONFIG.VERSION,
-        securityLevel
-      };
-
-      const dataString = JSON.stringify(layeredData);
-      
-      // Multiple hash layers for enhanced security
-      const primaryHash = await Crypto.digestStringAsync(
-        Crypto.CryptoDigestAlgorithm.SHA256,
-        dataString,
-        { encoding: Crypto.CryptoEncoding.BASE64 }
-      );
-
-      const secondaryHash = await Crypto.digestStringAsync(
-        Crypto.CryptoDigestAlgorithm.SHA512,
-        `${primaryHash}-${saltResult.salt}-${timestamp}`,
-        { encoding: Crypto.CryptoEncoding.HEX }
-      );
-
-      // Create verification signature
-      const verificationSignature = await Crypto.digestStringAsync(
-        Crypto.CryptoDigestAlgorithm.SHA256,
-        `${userId}-${timestamp}-${nonce}-${secondaryHash}`,
-        { encoding: Crypto.CryptoEncoding.BASE64 }
-      );
-      
-      return { 
-        success: true, 
-        encryptedData: primaryHash,
-        verificationHash: secondaryHash,
-        verificationSignature,
-        timestamp,
-        nonce,
-        salt: saltResult.salt,
-        securityLevel
-      };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  },
+      const trustedKey = getTrustedIssuerKey(envelope.keyId, envelope.timestamp);
+      if (!trustedKey) {
+        return { success: false, error: 'QR code was not issued by a trusted authority' };
+      }
 
-  // Decrypt and verify QR code data
-  decryptQRData: async (encryptedData, verificationHash, timestamp, nonce, salt, userId) => {
-    try {
-      // Recreate the verification hash to validate integrity
-      const expectedSecondaryHash = await Crypto.digestStringAsync(
-        Crypto.CryptoDigestAlgorithm.SHA512,
-        `${encryptedData}-${salt}-${timestamp}`,
-        { encoding: Crypto.CryptoEncoding.HEX }
+      const message = utf8ToBytes(canonicalJsonStringify(envelope));
+      const valid = ed25519.verify(
+        hexToBytes(signature),
+        message,
+        hexToBytes(trustedKey.publicKey)
       );
 
-      // Verify hash integrity
-      if (expectedSecondaryHash !== verificationHash) {
-        return { success: false, error: 'Data integrity check failed' };
+      if (!valid) {
+        return { success: false, error: 'Signature verification failed' };
       }
 
       // Check timestamp validity (not expired)
       const now = Date.now();
       const maxAge = QR_CONFIG.EXPIRY_HOURS * 60 * 60 * 1000;
-      if (now - timestamp > maxAge) {
+      if (now - envelope.timestamp > maxAge) {
         return { success: false, error: 'QR code has expired' };
       }
 
-      return { 
-        success: true, 
+      return {
+        success: true,
         verified: true,
-        timestamp: new Date(timestamp),
-        userId,
-        nonce
+        payload: envelope.payload,
+        userId: envelope.userId,
+        timestamp: new Date(envelope.timestamp),
+        nonce: envelope.nonce,
+        issuer: trustedKey.issuer,
+        keyId: trustedKey.keyId,
+        verificationHash: bytesToHex(sha256(message))
       };
     } catch (error) {
       return { success: false, error: error.message };
@@ -0,0 +1,31 @@
+// Trusted QR issuer public keys
+// Bundled with the app so verifier devices can check QR signatures fully offline.
+// Keys are Ed25519 public keys (hex). Rotate by adding a new entry and setting
+// `validUntil` on the old one; never remove a key while its QR codes may be in circulation.
+export const TRUSTED_ISSUER_KEYS = {
+  'tsa-issuer-2025-01': {
+    issuer: 'Tourist Safety Authority',
+    algorithm: 'Ed25519',
+    publicKey: 'c2792f99fbb658e5997791adcdfb765e293676ee0bc7739ad77ffa0132bf7a18',
+    validFrom: '2025-01-01T00:00:00.000Z',
+    validUntil: null
+  }
+};
+
+// Look up a trusted issuer key, honouring its validity window
+export const getTrustedIssuerKey = (keyId, at = Date.now()) => {
+  const entry = TRUSTED_ISSUER_KEYS[keyId];
+  if (!entry) {
+    return null;
+  }
+
+  const time = new Date(at).getTime();
+  if (entry.validFrom && time < new Date(entry.validFrom).getTime()) {
+    return null;
+  }
+  if (entry.validUntil && time > new Date(entry.validUntil).getTime()) {
+    return null;
+  }
+
+  return { keyId, ...entry };
+};
@@ -0,0 +1,261 @@
+import { ed25519 } from '@noble/curves/ed25519';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+import { canonicalJsonStringify } from '../../utils/helpers';
+import { getTrustedIssuerKey } from './issuerKeys';
+import { hashLeaf, computeRootHash, buildInclusionProof } from './merkle';
+
+// Append-only verification ledger.
+// Every provider exposes the same async interface:
+//   append(entry)                       -> { index, entry, leafHash, treeHead }
+//   getEntry(txId)                      -> { index, entry, leafHash } | null
+//   getEntries()                        -> [{ index, entry, leafHash }]
+//   getInclusionProof(index, treeSize)  -> [siblingHash, ...]
+//   getTreeHead()                       -> { size, rootHash, timestamp, prevHeadHash, headHash }
+//   getTreeHeads()                      -> every tree head, oldest first
+//   getProofBundle(txId)                -> { index, entry, leafHash, treeHead, proof } | null
+// The server ledger hands out proof bundles only, and replaces getEntries() and
+// getTreeHeads() with audit() -> { errors, checkedEntries, checkedTreeHeads, treeHead }.
+// Each append publishes a new tree head that commits to the previous one, so
+// history cannot be rewritten without breaking the head chain. Tree heads are signed
+// with the issuer key ({ ...head, keyId, signature }); proofs only count against a
+// head signed by a key bundled with the app.
+
+// Hash of a tree head, excluding its own headHash
+export const computeHeadHash = ({ size, rootHash, timestamp, prevHeadHash }) => (
+  bytesToHex(sha256(utf8ToBytes(canonicalJsonStringify({ size, rootHash, timestamp, prevHeadHash }))))
+);
+
+// Leaf hash of a ledger entry
+export const hashEntry = (entry) => hashLeaf(canonicalJsonStringify(entry));
+
+// Check a tree head's signature against the bundled trusted issuer keys (works offline)
+export const verifyTreeHeadSignature = ({ signature, ...head }) => {
+  const trustedKey = head.keyId ? getTrustedIssuerKey(head.keyId, head.timestamp) : null;
+  if (!trustedKey || !signature) {
+    return false;
+  }
+
+  try {
+    return ed25519.verify(
+      hexToBytes(signature),
+      utf8ToBytes(canonicalJsonStringify(head)),
+      hexToBytes(trustedKey.publicKey)
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+// Build a proof bundle from a provider's entry, tree head and inclusion proof calls
+const assembleProofBundle = async (provider, txId) => {
+  const record = await provider.getEntry(txId);
+  if (!record) {
+    return null;
+  }
+
+  const treeHead = await provider.getTreeHead();
+  const proof = await provider.getInclusionProof(record.index, treeHead.size);
+
+  return { ...record, treeHead, proof };
+};
+
+const GENESIS_HEAD = {
+  size: 0,
+  rootHash: computeRootHash([]),
+  timestamp: 0,
+  prevHeadHash: null
+};
+
+// Ledger kept on the device. Pass `storage` (AsyncStorage) to persist it,
+// or leave it null for a purely in-memory ledger (tests, previews). Only other devices
+// holding the same ledger can check it; `signTreeHead(head)` returns the head with its
+// keyId and signature.
+export const createLocalLedgerProvider = ({
+  storage = null,
+  storageKey = 'verification_ledger',
+  signTreeHead = head => head
+} = {}) => {
+  let statePromise = null;
+
+  const load = () => {
+    if (!statePromise) {
+      statePromise = (async () => {
+        const stored = storage ? await storage.getItem(storageKey) : null;
+        if (stored) {
+          return JSON.parse(stored);
+        }
+        return {
+          records: [],
+          heads: [{ ...GENESIS_HEAD, headHash: computeHeadHash(GENESIS_HEAD) }]
+        };
+      })();
+    }
+    return statePromise;
+  };
+
+  const persist = async (state) => {
+    if (storage) {
+      await storage.setItem(storageKey, JSON.stringify(state));
+    }
+  };
+
+  const leafHashes = (state, treeSize = state.records.length) => (
+    state.records.slice(0, treeSize).map(record => record.leafHash)
+  );
+
+  return {
+    name: 'local',
+
+    append: async (entry) => {
+      const state = await load();
+      if (entry.txId && state.records.some(record => record.entry.txId === entry.txId)) {
+        throw new Error('Transaction already recorded');
+      }
+
+      const record = {
+        index: state.records.length,
+        entry,
+        leafHash: hashEntry(entry)
+      };
+      state.records.push(record);
+
+      const prevHead = state.heads[state.heads.length - 1];
+      const head = {
+        size: state.records.length,
+        rootHash: computeRootHash(leafHashes(state)),
+        timestamp: Date.now(),
+        prevHeadHash: prevHead.headHash
+      };
+      head.headHash = computeHeadHash(head);
+      const signedHead = signTreeHead(head);
+      state.heads.push(signedHead);
+
+      await persist(state);
+
+      return { index: record.index, entry, leafHash: record.leafHash, treeHead: signedHead };
+    },
+
+    getEntry: async (txId) => {
+      const state = await load();
+      const record = state.records.find(item => item.entry.txId === txId);
+      return record ? { ...record } : null;
+    },
+
+    getEntries: async () => {
+      const state = await load();
+      return state.records.map(record => ({ ...record }));
+    },
+
+    getInclusionProof: async (index, treeSize) => {
+      const state = await load();
+      if (treeSize > state.records.length) {
+        throw new Error('Tree size exceeds ledger size');
+      }
+      return buildInclusionProof(index, leafHashes(state, treeSize));
+    },
+
+    getTreeHead: async () => {
+      const state = await load();
+      return state.heads[state.heads.length - 1];
+    },
+
+    getTreeHeads: async () => {
+      const state = await load();
+      return [...state.heads];
+    },
+
+    getProofBundle(txId) {
+      return assembleProofBundle(this, txId);
+    }
+  };
+};
+
+// Ledger hosted by a remote node exposing the same interface over HTTP.
+// Responses are not trusted: callers recompute leaf hashes, proofs and the head chain.
+export const createRemoteLedgerProvider = ({ baseUrl, headers = {}, fetchImpl = fetch }) => {
+  if (!baseUrl) {
+    throw new Error('Ledger node URL is required');
+  }
+
+  const request = async (path, options = {}) => {
+    const response = await fetchImpl(`${baseUrl.replace(/\/$/, '')}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...headers, ...options.headers }
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Ledger node error: ${response.status}`);
+    }
+    return response.json();
+  };
+
+  return {
+    name: 'remote',
+
+    append: (entry) => request('/entries', {
+      method: 'POST',
+      body: JSON.stringify(entry)
+    }),
+
+    getEntry: (txId) => request(`/entries/${encodeURIComponent(txId)}`),
+
+    getEntries: async () => (await request('/entries')) || [],
+
+    getInclusionProof: async (index, treeSize) => {
+      const result = await request(`/proofs/inclusion?index=${index}&treeSize=${treeSize}`);
+      if (!result) {
+        throw new Error('Inclusion proof not available');
+      }
+      return result.proof;
+    },
+
+    getTreeHead: () => request('/tree-head'),
+
+    getTreeHeads: async () => (await request('/tree-heads')) || [],
+
+    getProofBundle(txId) {
+      return assembleProofBundle(this, txId);
+    }
+  };
+};
+
+// Ledger kept by the appendLedgerEntry / getLedgerProof Cloud Functions, so verifier
+// devices can check a tourist's entry. `call` is functionsService.call. The server sets
+// the transaction ID, user and timestamp; audits of the whole ledger run on the server.
+export const createServerLedgerProvider = ({ call }) => {
+  const request = async (name, data) => {
+    const result = await call(name, data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.data;
+  };
+
+  const proofBundlesOnly = async () => {
+    throw new Error('The server ledger only hands out proof bundles');
+  };
+
+  return {
+    name: 'server',
+
+    append: (entry) => request('appendLedgerEntry', { qrHash: entry.qrHash }),
+
+    getProofBundle: (txId) => request('getLedgerProof', { txId }),
+
+    getTreeHead: () => request('getLedgerTreeHead', {}),
+
+    getEntry: async (txId) => {
+      const bundle = await request('getLedgerProof', { txId });
+      return bundle ? { index: bundle.index, entry: bundle.entry, leafHash: bundle.leafHash } : null;
+    },
+
+    getInclusionProof: proofBundlesOnly,
+
+    // Admins only; the server reads every entry
+    audit: () => request('auditLedger', {})
+  };
+};
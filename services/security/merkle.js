@@ -0,0 +1,99 @@
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes, concatBytes } from '@noble/hashes/utils';
+
+// Merkle tree hashing as defined for Certificate Transparency logs (RFC 6962 / RFC 9162).
+// Leaf and interior nodes use different prefixes so a leaf can never be passed off as a node.
+const LEAF_PREFIX = new Uint8Array([0x00]);
+const NODE_PREFIX = new Uint8Array([0x01]);
+
+// Root of an empty tree
+export const EMPTY_ROOT_HASH = bytesToHex(sha256(new Uint8Array(0)));
+
+// Hash a serialized ledger entry into a leaf
+export const hashLeaf = (data) => bytesToHex(sha256(concatBytes(LEAF_PREFIX, utf8ToBytes(data))));
+
+// Hash two child hashes into their parent
+export const hashNode = (left, right) => (
+  bytesToHex(sha256(concatBytes(NODE_PREFIX, hexToBytes(left), hexToBytes(right))))
+);
+
+// Largest power of two strictly less than n (n > 1)
+const splitPoint = (n) => {
+  let k = 1;
+  while (k * 2 < n) {
+    k *= 2;
+  }
+  return k;
+};
+
+// Merkle tree hash over an ordered list of leaf hashes
+export const computeRootHash = (leafHashes) => {
+  if (leafHashes.length === 0) {
+    return EMPTY_ROOT_HASH;
+  }
+  if (leafHashes.length === 1) {
+    return leafHashes[0];
+  }
+
+  const k = splitPoint(leafHashes.length);
+  return hashNode(
+    computeRootHash(leafHashes.slice(0, k)),
+    computeRootHash(leafHashes.slice(k))
+  );
+};
+
+// Audit path proving leaf `index` is included in the tree made of `leafHashes`
+export const buildInclusionProof = (index, leafHashes) => {
+  if (index < 0 || index >= leafHashes.length) {
+    throw new Error('Leaf index out of range');
+  }
+  if (leafHashes.length === 1) {
+    return [];
+  }
+
+  const k = splitPoint(leafHashes.length);
+  if (index < k) {
+    return [
+      ...buildInclusionProof(index, leafHashes.slice(0, k)),
+      computeRootHash(leafHashes.slice(k))
+    ];
+  }
+  return [
+    ...buildInclusionProof(index - k, leafHashes.slice(k)),
+    computeRootHash(leafHashes.slice(0, k))
+  ];
+};
+
+// Recompute the root from a leaf and its audit path (RFC 9162 section 2.1.3.2)
+export const verifyInclusionProof = ({ leafHash, index, treeSize, proof, rootHash }) => {
+  if (!Array.isArray(proof) || index < 0 || index >= treeSize) {
+    return false;
+  }
+
+  let fn = index;
+  let sn = treeSize - 1;
+  let hash = leafHash;
+
+  for (const sibling of proof) {
+    if (sn === 0) {
+      return false;
+    }
+
+    if (fn % 2 === 1 || fn === sn) {
+      hash = hashNode(sibling, hash);
+      if (fn % 2 === 0) {
+        while (fn % 2 === 0 && fn !== 0) {
+          fn = Math.floor(fn / 2);
+          sn = Math.floor(sn / 2);
+        }
+      }
+    } else {
+      hash = hashNode(hash, sibling);
+    }
+
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  return sn === 0 && hash === rootHash;
+};
@@ -1,48 +1,71 @@
 import { encryptionService } from './encryption';
 import { blockchainService } from './blockchain';
+import { revocationService } from './revocation';
+import { selectiveDisclosureService } from './selectiveDisclosure';
+import { rotatingTokenService } from './rotatingToken';
+import { functionsService } from '../firebase/functions';
 import { QRCodeData, QRVerificationResult } from '../../utils/dataModels';
 import { QR_CONFIG, VERIFICATION_STATUS } from '../../utils/constants';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
+const QR_SIGNING_FUNCTION = 'signTouristQR';
+
 export const qrGeneratorService = {
-  // Generate secure QR code data for tourist with blockchain verification
-  generateQRData: async (touristData, securityLevel = 'high') => {
+  // Generate signed QR code data for tourist with blockchain verification
+  // Only the claims in the disclosure profile are readable; the rest are salted-hash commitments
+  generateQRData: async (touristData, securityLevel = 'high', disclosureProfile = QR_CONFIG.DEFAULT_DISCLOSURE_PROFILE) => {
     try {
       // Validate input data
       if (!touristData || !touristData.userId) {
         return { success: false, error: 'Invalid tourist data provided' };
       }
 
-      const { userId, name, nationality, passportNumber, verificationStatus, profilePhotoUrl } = touristData;
+      const { userId, verificationStatus } = touristData;
       
-      // Only verified users can generate QR codes
+      // Only verified users can generate QR codes (the issuer checks its own record again)
       if (verificationStatus !== VERIFICATION_STATUS.VERIFIED) {
         return { success: false, error: 'User must be verified to generate QR code' };
       }
 
-      // Create sanitized QR payload (no sensitive data)
+      const disclosure = await selectiveDisclosureService.createDisclosure(touristData, disclosureProfile);
+      if (!disclosure.success) {
+        return { success: false, error: disclosure.error };
+      }
+
+      // Device key for the rotating token; its public half is covered by the issuer signature
+      const tokenKeyResult = await rotatingTokenService.getTokenKey(userId);
+      if (!tokenKeyResult.success) {
+        return { success: false, error: 'Failed to prepare rotating token key' };
+      }
+
+      // The issuer adds the user and verification status and fills in the identity claims
       const qrPayload = {
-        userId,
-        name,
-        nationality,
-        passportNumber: passportNumber.slice(-4), // Only last 4 digits for security
-        verificationStatus,
-        profilePhotoUrl,
+        disclosureProfile,
+        tokenKey: tokenKeyResult.publicKey,
+        claims: disclosure.claims,
+        commitments: disclosure.commitments,
         generatedAt: Date.now(),
         securityLevel
       };
 
-      // Encrypt the data with enhanced security
-      const encryptionResult = await encryptionService.encryptForQR(qrPayload, userId, securityLevel);
+      // Sign the payload with the issuer key so verifiers can prove authenticity offline
+      const signingResult = await qrGeneratorService.requestSignature(qrPayload, securityLevel);
       
-      if (!encryptionResult.success) {
-        return { success: false, error: 'Failed to encrypt QR data' };
+      if (!signingResult.success) {
+        return { success: false, error: 'Failed to sign QR data' };
       }
 
+      // Identity claims withheld by the issuer were committed with its own salts
+      await selectiveDisclosureService.storeSecrets(
+        userId,
+        signingResult.verificationHash,
+        { ...disclosure.secrets, ...signingResult.secrets }
+      );
+
       // Create blockchain verification transaction
       const blockchainResult = await blockchainService.createVerificationTransaction(
-        { userId, name }, 
-        encryptionResult.verificationHash
+        { userId }, 
+        signingResult.verificationHash
       );
 
       let blockchainTxId = null;
@@ -50,33 +73,32 @@ export const qrGeneratorService = {
         blockchainTxId = blockchainResult.transaction.txId;
       }
 
-      // Create comprehensive QR string with all security features
+      // Signed envelope travels in the clear; the signature covers every field but blockchainTxId.
+      // This is the static part; getRotatingQRString adds the current rotating token for display.
       const qrString = JSON.stringify({
-        data: encryptionResult.encryptedData,
-        hash: encryptionResult.verificationHash,
-        signature: encryptionResult.verificationSignature,
-        timestamp: encryptionResult.timestamp,
-        nonce: encryptionResult.nonce,
-        salt: encryptionResult.salt,
         version: QR_CONFIG.VERSION,
-        securityLevel: encryptionResult.securityLevel,
+        alg: signingResult.algorithm,
+        envelope: signingResult.envelope,
+        signature: signingResult.signature,
         blockchainTxId
       });
 
       // Set expiration based on configuration
-      const expiresAt = new Date(Date.now() + QR_CONFIG.EXPIRY_HOURS * 60 * 60 * 1000);
+      const expiresAt = new Date(signingResult.timestamp + QR_CONFIG.EXPIRY_HOURS * 60 * 60 * 1000);
 
       // Create QR code data object
       const qrCodeData = new QRCodeData({
         qrString,
         userId,
-        verificationHash: encryptionResult.verificationHash,
+        verificationHash: signingResult.verificationHash,
         expiresAt,
         blockchainTxId,
-        encryptedData: encryptionResult.encryptedData,
-        generatedAt: new Date(encryptionResult.timestamp),
+        signature: signingResult.signature,
+        keyId: signingResult.keyId,
+        generatedAt: new Date(signingResult.timestamp),
         version: QR_CONFIG.VERSION,
-        securityLevel: encryptionResult.securityLevel
+        securityLevel: signingResult.securityLevel,
+        disclosureProfile
       });
 
       // Cache QR code data locally for offline access
@@ -93,6 +115,40 @@ export const qrGeneratorService = {
     }
   },
 
+  // Have the issuer sign a QR payload. The issuer key never leaves the server, which sets
+  // the user, verification status and identity claims from its own records
+  requestSignature: async (payload, securityLevel = 'high') => {
+    try {
+      const result = await functionsService.call(QR_SIGNING_FUNCTION, { payload, securityLevel });
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      // Check the response against the bundled keys before handing the QR out
+      const { envelope, signature, secrets = {} } = result.data;
+      const verified = await encryptionService.verifyQRSignature(envelope, signature);
+      if (!verified.success) {
+        return { success: false, error: verified.error };
+      }
+
+      return {
+        success: true,
+        envelope,
+        signature,
+        keyId: verified.keyId,
+        algorithm: QR_CONFIG.SIGNATURE_ALGORITHM,
+        verificationHash: verified.verificationHash,
+        timestamp: envelope.timestamp,
+        nonce: envelope.nonce,
+        securityLevel: envelope.securityLevel,
+        secrets
+      };
+    } catch (error) {
+      console.error('QR Signing Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
   // Verify QR code data with comprehensive security checks
   verifyQRData: async (qrString) => {
     try {
@@ -101,26 +157,22 @@ export const qrGeneratorService = {
       }
 
       const qrData = JSON.parse(qrString);
-      const { 
-        data, 
-        hash, 
-        signature, 
-        timestamp, 
-        nonce, 
-        salt, 
-        version, 
-        securityLevel, 
-        blockchainTxId 
-      } = qrData;
-
-      // Check version compatibility
-      if (version !== QR_CONFIG.VERSION) {
+      const { version, alg, envelope, signature, blockchainTxId, rotatingToken } = qrData;
+
+      // Check version compatibility (the signed envelope must agree, preventing downgrades)
+      if (version !== QR_CONFIG.VERSION || envelope?.version !== version) {
         return { 
           success: false, 
           error: `Unsupported QR code version: ${version}. Expected: ${QR_CONFIG.VERSION}` 
         };
       }
 
+      if (alg !== QR_CONFIG.SIGNATURE_ALGORITHM) {
+        return { success: false, error: `Unsupported QR signature algorithm: ${alg}` };
+      }
+
+      const { timestamp, securityLevel, nonce } = envelope;
+
       // Check if QR code has expired
       const now = Date.now();
       const qrAge = now - timestamp;
@@ -139,19 +191,74 @@ export const qrGeneratorService = {
         };
       }
 
-      // Verify data integrity using encryption service
-      const decryptionResult = await encryptionService.decryptQRData(
-        data, hash, timestamp, nonce, salt, null
-      );
+      // Verify issuer signature against bundled trusted keys
+      const signatureResult = await encryptionService.verifyQRSignature(envelope, signature);
 
-      if (!decryptionResult.success) {
+      if (!signatureResult.success) {
         return { 
           success: false, 
-          error: 'QR code verification failed: ' + decryptionResult.error,
+          error: 'QR code verification failed: ' + signatureResult.error,
           result: new QRVerificationResult({
             isValid: false,
             timestamp: new Date(timestamp),
-            errorMessage: decryptionResult.error
+            errorMessage: signatureResult.error
+          })
+        };
+      }
+
+      // Reject screenshots: the rotating token must be current within the skew window
+      const tokenResult = rotatingTokenService.verifyToken({
+        publicKey: signatureResult.payload.tokenKey,
+        verificationHash: signatureResult.verificationHash,
+        ...rotatingToken
+      });
+
+      if (!tokenResult.success) {
+        return {
+          success: false,
+          error: tokenResult.error,
+          result: new QRVerificationResult({
+            isValid: false,
+            timestamp: new Date(timestamp),
+            errorMessage: tokenResult.error
+          })
+        };
+      }
+
+      // Withheld claims stay as commitments; the tourist can reveal them later
+      const { claims = {}, commitments = {}, tokenKey, ...payloadFields } = signatureResult.payload;
+      const userData = {
+        ...payloadFields,
+        ...claims,
+        commitments,
+        withheldClaims: Object.keys(commitments),
+        timestamp: new Date(timestamp),
+        expiresAt: new Date(timestamp + maxAge),
+        securityLevel,
+        nonce,
+        issuer: signatureResult.issuer,
+        keyId: signatureResult.keyId
+      };
+
+      // Check the offline revocation list (stolen phones, withdrawn verification)
+      const revocationResult = await revocationService.checkRevocation({
+        userId: envelope.userId,
+        verificationHash: signatureResult.verificationHash,
+        issuedAt: timestamp
+      });
+
+      if (revocationResult.success && revocationResult.revoked) {
+        return {
+          success: false,
+          error: 'QR code has been revoked',
+          revoked: true,
+          result: new QRVerificationResult({
+            isValid: false,
+            isRevoked: true,
+            userData,
+            verificationHash: signatureResult.verificationHash,
+            timestamp: new Date(),
+            errorMessage: 'QR code has been revoked'
           })
         };
       }
@@ -167,12 +274,9 @@ export const qrGeneratorService = {
       const verificationResult = new QRVerificationResult({
         isValid: true,
         isExpired: false,
-        userData: {
-          timestamp: new Date(timestamp),
-          securityLevel,
-          nonce
-        },
-        verificationHash: hash,
+        isRevoked: false,
+        userData,
+        verificationHash: signatureResult.verificationHash,
         blockchainVerified,
         timestamp: new Date()
       });
@@ -197,6 +301,36 @@ export const qrGeneratorService = {
     }
   },
 
+  // QR string to display right now: the signed QR plus the current rotating token
+  getRotatingQRString: async (qrCodeData, at = Date.now()) => {
+    try {
+      const tokenResult = await rotatingTokenService.generateToken(
+        qrCodeData.userId,
+        qrCodeData.verificationHash,
+        at
+      );
+
+      if (!tokenResult.success) {
+        return { success: false, error: tokenResult.error };
+      }
+
+      const qrString = JSON.stringify({
+        ...JSON.parse(qrCodeData.qrString),
+        rotatingToken: { step: tokenResult.step, token: tokenResult.token }
+      });
+
+      return {
+        success: true,
+        qrString,
+        step: tokenResult.step,
+        secondsRemaining: tokenResult.secondsRemaining
+      };
+    } catch (error) {
+      console.error('Rotating QR Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
   // Refresh QR code if needed
   refreshQRCode: async (userId, currentQRData) => {
     try {
@@ -206,8 +340,12 @@ export const qrGeneratorService = {
         return { success: false, error: 'User data not found' };
       }
 
-      // Generate new QR code
-      const newQRResult = await qrGeneratorService.generateQRData(userData);
+      // Generate new QR code with the same disclosure profile
+      const newQRResult = await qrGeneratorService.generateQRData(
+        userData,
+        currentQRData?.securityLevel,
+        currentQRData?.disclosureProfile || undefined
+      );
       
       if (!newQRResult.success) {
         return { success: false, error: 'Failed to generate new QR code' };
@@ -304,34 +442,5 @@ export const qrGeneratorService = {
       console.error('User Data Retrieval Error:', error);
       return null;
     }
-  },
-
-  // Generate QR code for offline use (downloadable)
-  generateOfflineQR: async (touristData) => {
-    try {
-      const qrResult = await qrGeneratorService.generateQRData(touristData, 'offline');
-      
-      if (!qrResult.success) {
-        return qrResult;
-      }
-
-      // Create offline-specific metadata
-      const offlineMetadata = {
-        generatedFor: 'offline_use',
-        validUntil: qrResult.qrData.expiresAt,
-        instructions: 'This QR code is valid for 24 hours from generation time',
-        emergencyContact: '1363' // Tourist helpline
-      };
-
-      return {
-        success: true,
-        qrData: qrResult.qrData,
-        offlineMetadata,
-        downloadReady: true
-      };
-    } catch (error) {
-      console.error('Offline QR Generation Error:', error);
-      return { success: false, error: error.message };
-    }
   }
-};
\ No newline at end of file
+};
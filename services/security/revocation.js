@@ -0,0 +1,161 @@
+import { serverTimestamp } from 'firebase/firestore';
+import { firestoreService } from '../firebase/firestore';
+import { authService } from '../firebase/auth';
+import { offlineDataService } from '../offline/offlineDataService';
+import { VERIFIER_ROLES } from '../../utils/constants';
+
+const REVOCATIONS_COLLECTION = 'qr_revocations';
+
+// Compact revocation list cached on verifier devices:
+// { version, updatedAt, users: { [userId]: revokedAtMs }, hashes: { [verificationHash]: revokedAtMs } }
+// `version` is the newest revokedAt seen, so syncs only fetch newer entries. revokedAt is
+// the server's write time (enforced by firestore.rules), so a device clock cannot move it.
+const emptyRevocationList = () => ({
+  version: 0,
+  updatedAt: null,
+  users: {},
+  hashes: {}
+});
+
+export const revocationService = {
+  // Revoke every QR issued to a user before now, or a single code by verificationHash
+  revokeQRCode: async ({ userId, verificationHash = null, reason = 'unspecified', revokedBy = null }) => {
+    try {
+      if (!userId) {
+        return { success: false, error: 'User ID is required' };
+      }
+
+      const entry = {
+        userId,
+        verificationHash,
+        reason,
+        revokedBy: revokedBy || userId
+      };
+
+      const result = await firestoreService.addDocument(REVOCATIONS_COLLECTION, {
+        ...entry,
+        revokedAt: serverTimestamp()
+      });
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      // Apply locally straight away so this device does not wait for the next sync. The
+      // local clock only stands in until then; it must not move the sync cursor
+      const cached = await revocationService.getRevocationList();
+      const localEntry = { ...entry, revokedAt: Date.now() };
+      const updatedList = {
+        ...revocationService.mergeRevocations(cached, [localEntry]),
+        version: cached.version
+      };
+      await offlineDataService.cacheRevocationList(updatedList);
+
+      return { success: true, revocationId: result.id, revocation: localEntry };
+    } catch (error) {
+      console.error('QR Revocation Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Pull revocations newer than the cached version and store the merged list offline.
+  // Only verifier accounts may read the list, so other devices skip the sync
+  syncRevocationList: async () => {
+    try {
+      const role = await authService.getRole();
+      if (!VERIFIER_ROLES.includes(role)) {
+        return { success: true, skipped: true };
+      }
+
+      const cached = await revocationService.getRevocationList();
+
+      // revokedAt is a Firestore timestamp, so the cursor is compared as a date
+      const result = await firestoreService.queryDocuments(
+        REVOCATIONS_COLLECTION,
+        'revokedAt',
+        '>',
+        new Date(cached.version)
+      );
+
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      // The cursor is in whole milliseconds, so entries from its last millisecond come back
+      // on the next sync too; merging them again changes nothing
+      const entries = result.data.map(entry => ({ ...entry, revokedAt: entry.revokedAt.toMillis() }));
+
+      // A sync that finds nothing new still proves the list is current
+      const updatedList = {
+        ...revocationService.mergeRevocations(cached, entries),
+        updatedAt: new Date().toISOString()
+      };
+      await offlineDataService.cacheRevocationList(updatedList);
+
+      return {
+        success: true,
+        version: updatedList.version,
+        added: entries.length
+      };
+    } catch (error) {
+      console.error('Revocation Sync Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Merge revocation entries into a compact list (pure)
+  mergeRevocations: (list, entries = []) => {
+    const merged = {
+      ...emptyRevocationList(),
+      ...list,
+      users: { ...(list?.users || {}) },
+      hashes: { ...(list?.hashes || {}) }
+    };
+
+    entries.forEach(({ userId, verificationHash, revokedAt }) => {
+      if (verificationHash) {
+        merged.hashes[verificationHash] = revokedAt;
+      } else if (userId) {
+        merged.users[userId] = Math.max(merged.users[userId] || 0, revokedAt);
+      }
+      merged.version = Math.max(merged.version, revokedAt);
+    });
+
+    if (entries.length > 0) {
+      merged.updatedAt = new Date().toISOString();
+    }
+
+    return merged;
+  },
+
+  // Get cached revocation list (empty list if never synced)
+  getRevocationList: async () => {
+    const cached = await offlineDataService.getCachedRevocationList();
+    return cached.success ? cached.list : emptyRevocationList();
+  },
+
+  // Check a scanned QR against the cached list (works offline)
+  checkRevocation: async ({ userId, verificationHash, issuedAt }) => {
+    try {
+      const list = await revocationService.getRevocationList();
+      const issuedAtMs = new Date(issuedAt).getTime();
+
+      const hashRevokedAt = verificationHash ? list.hashes[verificationHash] : undefined;
+      const userRevokedAt = userId ? list.users[userId] : undefined;
+
+      // A user-level revocation only covers codes issued before it
+      const revokedAt = hashRevokedAt
+        || (userRevokedAt && issuedAtMs <= userRevokedAt ? userRevokedAt : undefined);
+
+      return {
+        success: true,
+        revoked: !!revokedAt,
+        revokedAt: revokedAt ? new Date(revokedAt) : null,
+        listVersion: list.version,
+        listUpdatedAt: list.updatedAt
+      };
+    } catch (error) {
+      console.error('Revocation Check Error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+};
@@ -0,0 +1,105 @@
+import { ed25519 } from '@noble/curves/ed25519';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+import { encryptionService } from './encryption';
+import { QR_CONFIG } from '../../utils/constants';
+
+const tokenKeyStoreKey = (userId) => `qr_token_key_${userId}`;
+
+// Message signed for one time step; binding the QR's verificationHash stops a
+// token from one QR being pasted into another
+const tokenMessage = (verificationHash, step) => utf8ToBytes(`${verificationHash}:${step}`);
+
+// TOTP-style rotating token. Instead of an HMAC over a shared secret, the device
+// signs the current time step with a per-user Ed25519 key held in secure storage.
+// The public half is inside the issuer-signed envelope, so verifiers can check
+// tokens offline without ever holding the secret.
+export const rotatingTokenService = {
+  // Current time step (TOTP counter)
+  getTimeStep: (at = Date.now()) => Math.floor(at / 1000 / QR_CONFIG.TOKEN_STEP_SECONDS),
+
+  // Seconds until the token rotates
+  getSecondsRemaining: (at = Date.now()) => (
+    QR_CONFIG.TOKEN_STEP_SECONDS - (Math.floor(at / 1000) % QR_CONFIG.TOKEN_STEP_SECONDS)
+  ),
+
+  // Load the device token key, creating it on first use
+  getTokenKey: async (userId) => {
+    try {
+      const stored = await encryptionService.getSecureData(tokenKeyStoreKey(userId));
+      if (stored.success && stored.value) {
+        const privateKey = stored.value;
+        return { success: true, privateKey, publicKey: bytesToHex(ed25519.getPublicKey(privateKey)) };
+      }
+
+      const randomResult = await encryptionService.generateRandomBytes(32);
+      if (!randomResult.success) {
+        return { success: false, error: 'Failed to generate token key' };
+      }
+
+      const privateKey = bytesToHex(randomResult.bytes);
+      const storeResult = await encryptionService.storeSecureData(tokenKeyStoreKey(userId), privateKey);
+      if (!storeResult.success) {
+        return { success: false, error: storeResult.error };
+      }
+
+      return { success: true, privateKey, publicKey: bytesToHex(ed25519.getPublicKey(privateKey)) };
+    } catch (error) {
+      console.error('Token Key Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Sign the current time step for a QR (works offline)
+  generateToken: async (userId, verificationHash, at = Date.now()) => {
+    try {
+      const keyResult = await rotatingTokenService.getTokenKey(userId);
+      if (!keyResult.success) {
+        return keyResult;
+      }
+
+      const step = rotatingTokenService.getTimeStep(at);
+      const token = bytesToHex(ed25519.sign(tokenMessage(verificationHash, step), hexToBytes(keyResult.privateKey)));
+
+      return {
+        success: true,
+        step,
+        token,
+        secondsRemaining: rotatingTokenService.getSecondsRemaining(at)
+      };
+    } catch (error) {
+      console.error('Token Generation Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Check a scanned token against the verifier's clock and the key from the signed envelope
+  verifyToken: ({ publicKey, verificationHash, step, token }, at = Date.now()) => {
+    try {
+      if (!publicKey || !token || !Number.isInteger(step)) {
+        return { success: false, error: 'Rotating token missing' };
+      }
+
+      const drift = step - rotatingTokenService.getTimeStep(at);
+      if (Math.abs(drift) > QR_CONFIG.TOKEN_SKEW_STEPS) {
+        return {
+          success: false,
+          error: drift < 0 ? 'Rotating token has expired' : 'Rotating token is not yet valid',
+          drift
+        };
+      }
+
+      const valid = ed25519.verify(
+        hexToBytes(token),
+        tokenMessage(verificationHash, step),
+        hexToBytes(publicKey)
+      );
+      if (!valid) {
+        return { success: false, error: 'Rotating token signature invalid' };
+      }
+
+      return { success: true, valid: true, drift };
+    } catch (error) {
+      return { success: false, error: 'Rotating token signature invalid' };
+    }
+  }
+};
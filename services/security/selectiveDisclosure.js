@@ -0,0 +1,151 @@
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+import { encryptionService } from './encryption';
+import { canonicalJsonStringify } from '../../utils/helpers';
+import { DISCLOSURE_CLAIMS, DISCLOSURE_PROFILE_CONFIG } from '../../utils/constants';
+
+const disclosureStoreKey = (userId) => `qr_disclosures_${userId}`;
+
+// Pick the primary emergency contact (or the first one) for the medical profile
+const getPrimaryContact = (contacts = []) => {
+  const contact = contacts.find(item => item.isPrimary) || contacts[0];
+  if (!contact) return null;
+
+  return {
+    name: contact.name,
+    phoneNumber: contact.phoneNumber,
+    relationship: contact.relationship || null
+  };
+};
+
+// Insurance and doctor are only disclosed when there is a number to call
+const getInsurance = (insurance) => (
+  insurance?.policyNumber || insurance?.phoneNumber
+    ? {
+      provider: insurance.provider || null,
+      policyNumber: insurance.policyNumber || null,
+      phoneNumber: insurance.phoneNumber || null
+    }
+    : null
+);
+
+const getDoctorContact = (doctor) => (
+  doctor?.phoneNumber
+    ? { name: doctor.name || null, phoneNumber: doctor.phoneNumber }
+    : null
+);
+
+export const selectiveDisclosureService = {
+  // Collect every disclosable claim from the tourist profile
+  extractClaims: (touristData) => {
+    const passportNumber = touristData.passportNumber || null;
+    const medicalInfo = touristData.medicalInfo || {};
+
+    return {
+      name: touristData.name || null,
+      nationality: touristData.nationality || null,
+      passportNumber,
+      passportLast4: passportNumber ? passportNumber.slice(-4) : null,
+      profilePhotoUrl: touristData.profilePhotoUrl || null,
+      bloodType: medicalInfo.bloodType || null,
+      allergies: medicalInfo.allergies || null,
+      medications: medicalInfo.medications || null,
+      conditions: medicalInfo.conditions || null,
+      insurance: getInsurance(medicalInfo.insurance),
+      doctorContact: getDoctorContact(medicalInfo.doctor),
+      emergencyContact: getPrimaryContact(touristData.emergencyContacts)
+    };
+  },
+
+  // Salted-hash commitment to a single claim: SHA-256 over [salt, claim, value]
+  hashClaim: (salt, claim, value) => (
+    bytesToHex(sha256(utf8ToBytes(canonicalJsonStringify([salt, claim, value]))))
+  ),
+
+  // Split the profile into disclosed claims and commitments for everything else
+  createDisclosure: async (touristData, profile) => {
+    try {
+      const profileConfig = DISCLOSURE_PROFILE_CONFIG[profile];
+      if (!profileConfig) {
+        return { success: false, error: `Unknown disclosure profile: ${profile}` };
+      }
+
+      const allClaims = selectiveDisclosureService.extractClaims(touristData);
+      const claims = {};
+      const commitments = {};
+      const secrets = {};
+
+      for (const claim of DISCLOSURE_CLAIMS) {
+        if (profileConfig.claims.includes(claim)) {
+          claims[claim] = allClaims[claim];
+          continue;
+        }
+
+        const saltResult = await encryptionService.generateSalt();
+        if (!saltResult.success) {
+          return { success: false, error: 'Failed to generate disclosure salt' };
+        }
+
+        commitments[claim] = selectiveDisclosureService.hashClaim(saltResult.salt, claim, allClaims[claim]);
+        secrets[claim] = { salt: saltResult.salt, value: allClaims[claim] };
+      }
+
+      return { success: true, profile, claims, commitments, secrets };
+    } catch (error) {
+      console.error('Selective Disclosure Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Keep the salts of the latest QR on the device so withheld claims can be revealed later
+  storeSecrets: async (userId, verificationHash, secrets) => {
+    return await encryptionService.storeSecureData(
+      disclosureStoreKey(userId),
+      JSON.stringify({ verificationHash, secrets })
+    );
+  },
+
+  // Build a disclosure for withheld claims of the current QR: [salt, claim, value] triples
+  revealClaims: async (userId, claimNames) => {
+    try {
+      const stored = await encryptionService.getSecureData(disclosureStoreKey(userId));
+      if (!stored.success || !stored.value) {
+        return { success: false, error: 'No disclosure secrets stored for this QR code' };
+      }
+
+      const { verificationHash, secrets } = JSON.parse(stored.value);
+      const missing = claimNames.filter(claim => !secrets[claim]);
+      if (missing.length > 0) {
+        return { success: false, error: `Claim not available for disclosure: ${missing.join(', ')}` };
+      }
+
+      return {
+        success: true,
+        disclosure: {
+          verificationHash,
+          claims: claimNames.map(claim => [secrets[claim].salt, claim, secrets[claim].value])
+        }
+      };
+    } catch (error) {
+      console.error('Claim Reveal Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Check revealed claims against the commitments of a verified QR (pure)
+  verifyRevealedClaims: (commitments, disclosure) => {
+    const revealed = {};
+
+    for (const [salt, claim, value] of disclosure?.claims || []) {
+      if (!commitments?.[claim]) {
+        return { success: false, error: `Claim was not committed in this QR code: ${claim}` };
+      }
+      if (selectiveDisclosureService.hashClaim(salt, claim, value) !== commitments[claim]) {
+        return { success: false, error: `Disclosed claim does not match its commitment: ${claim}` };
+      }
+      revealed[claim] = value;
+    }
+
+    return { success: true, claims: revealed };
+  }
+};
@@ -0,0 +1,152 @@
+import { ACTIVITY_CONFIG, ACTIVITY_TYPES, VEHICLE_ROUTE_CONFIG } from './constants';
+import { calculateDistance } from './helpers';
+
+// Guess how the user is travelling from the speed, acceleration and heading of
+// recent fixes. The state is plain JSON:
+//   { samples: [{ latitude, longitude, timestamp, speed, heading }], activity, candidate, candidateCount }
+
+const metersBetween = (a, b) => calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude) * 1000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const bearingBetween = (a, b) => {
+  const y = Math.sin(toRadians(b.longitude - a.longitude)) * Math.cos(toRadians(b.latitude));
+  const x = Math.cos(toRadians(a.latitude)) * Math.sin(toRadians(b.latitude)) -
+    Math.sin(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.cos(toRadians(b.longitude - a.longitude));
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+const percentile = (sorted, fraction) => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+
+// Reported speed and heading when the fix has them (expo reports -1 when it
+// does not know), otherwise derived from the previous sample. The first fix
+// without a reported speed has none (null)
+const toSample = (location, previous, config) => {
+  const timestamp = new Date(location?.timestamp ?? NaN).getTime();
+  if (!Number.isFinite(location?.latitude) || !Number.isFinite(location?.longitude) || Number.isNaN(timestamp)) {
+    return null;
+  }
+
+  const dt = previous ? (timestamp - previous.timestamp) / 1000 : 0;
+  const derivedSpeed = dt > 0 ? metersBetween(previous, location) / dt : null;
+  const speed = Number.isFinite(location.speed) && location.speed >= 0 ? location.speed : derivedSpeed;
+
+  let heading = null;
+  if (speed !== null && speed >= config.STATIONARY_MAX_SPEED) {
+    heading = Number.isFinite(location.heading) && location.heading >= 0
+      ? location.heading
+      : previous ? bearingBetween(previous, location) : null;
+  }
+
+  return { latitude: location.latitude, longitude: location.longitude, timestamp, speed, heading };
+};
+
+export const extractMovementFeatures = (allSamples, config = ACTIVITY_CONFIG) => {
+  const samples = allSamples.filter(sample => sample.speed !== null);
+  const speeds = samples.map(sample => sample.speed).sort((a, b) => a - b);
+
+  const accelerations = samples.slice(1)
+    .map((sample, i) => (sample.speed - samples[i].speed) / ((sample.timestamp - samples[i].timestamp) / 1000))
+    .filter(Number.isFinite);
+  const meanAcceleration = accelerations.reduce((sum, a) => sum + a, 0) / (accelerations.length || 1);
+  const accelerationStd = Math.sqrt(
+    accelerations.reduce((sum, a) => sum + (a - meanAcceleration) ** 2, 0) / (accelerations.length || 1)
+  );
+
+  // Circular variance of the headings of moving samples
+  const headings = samples.filter(sample => sample.heading !== null && sample.speed >= config.STOP_SPEED);
+  const meanSin = headings.reduce((sum, sample) => sum + Math.sin(toRadians(sample.heading)), 0) / (headings.length || 1);
+  const meanCos = headings.reduce((sum, sample) => sum + Math.cos(toRadians(sample.heading)), 0) / (headings.length || 1);
+
+  return {
+    sampleCount: samples.length,
+    medianSpeed: speeds.length ? percentile(speeds, 0.5) : 0,
+    p90Speed: speeds.length ? percentile(speeds, 0.9) : 0,
+    maxSpeed: speeds.length ? speeds[speeds.length - 1] : 0,
+    accelerationStd,
+    headingVariance: headings.length >= 2 ? 1 - Math.hypot(meanSin, meanCos) : 1,
+    stopFraction: speeds.filter(speed => speed < config.STOP_SPEED).length / (speeds.length || 1)
+  };
+};
+
+export const classifyActivity = (features, config = ACTIVITY_CONFIG) => {
+  if (features.sampleCount < config.MIN_SAMPLES) {
+    return ACTIVITY_TYPES.UNKNOWN;
+  }
+  if (features.medianSpeed <= config.STATIONARY_MAX_SPEED) {
+    return ACTIVITY_TYPES.STATIONARY;
+  }
+  if (features.p90Speed <= config.WALKING_MAX_SPEED) {
+    return ACTIVITY_TYPES.WALKING;
+  }
+  // Trains run fast, straight and smoothly; only rail is faster than any road
+  if (features.maxSpeed >= config.HIGH_SPEED_RAIL_SPEED ||
+      (features.medianSpeed >= config.TRAIN_MIN_SPEED &&
+       features.headingVariance <= config.TRAIN_MAX_HEADING_VARIANCE &&
+       features.accelerationStd <= config.TRAIN_MAX_ACCELERATION_STD)) {
+    return ACTIVITY_TYPES.ON_TRAIN;
+  }
+  if (features.p90Speed <= config.CYCLING_MAX_SPEED &&
+      features.accelerationStd <= config.CYCLING_MAX_ACCELERATION_STD &&
+      features.stopFraction <= config.CYCLING_MAX_STOP_FRACTION) {
+    return ACTIVITY_TYPES.CYCLING;
+  }
+  return ACTIVITY_TYPES.IN_VEHICLE;
+};
+
+// Add one fix and reclassify. A new activity must win CONFIRM_COUNT times in a
+// row before it replaces the current one, so a single red light is not a stop
+export const updateActivity = (state, location, config = ACTIVITY_CONFIG) => {
+  const current = state || { samples: [], activity: ACTIVITY_TYPES.UNKNOWN, candidate: null, candidateCount: 0 };
+  const previous = current.samples[current.samples.length - 1];
+  const sample = toSample(location, previous, config);
+  if (!sample || (previous && sample.timestamp <= previous.timestamp)) {
+    return { state: current, activity: current.activity, changed: false };
+  }
+
+  const all = [...current.samples, sample];
+  const samples = all
+    .filter((entry, i) => i >= all.length - config.MIN_SAMPLES || sample.timestamp - entry.timestamp <= config.WINDOW_MS)
+    .slice(-config.MAX_SAMPLES);
+  const features = extractMovementFeatures(samples, config);
+  const classified = classifyActivity(features, config);
+
+  if (classified === ACTIVITY_TYPES.UNKNOWN || classified === current.activity) {
+    return {
+      state: { ...current, samples, candidate: null, candidateCount: 0 },
+      activity: current.activity,
+      changed: false,
+      features
+    };
+  }
+
+  const candidateCount = current.candidate === classified ? current.candidateCount + 1 : 1;
+  if (current.activity !== ACTIVITY_TYPES.UNKNOWN && candidateCount < config.CONFIRM_COUNT) {
+    return {
+      state: { ...current, samples, candidate: classified, candidateCount },
+      activity: current.activity,
+      changed: false,
+      features
+    };
+  }
+
+  return {
+    state: { samples, activity: classified, candidate: null, candidateCount: 0 },
+    activity: classified,
+    changed: true,
+    features
+  };
+};
+
+// Path length against straight-line progress for a ride's recent points
+export const assessVehicleRoute = (points, config = VEHICLE_ROUTE_CONFIG) => {
+  const distance = points.slice(1).reduce((sum, point, i) => sum + metersBetween(points[i], point), 0);
+  const displacement = points.length > 1 ? metersBetween(points[0], points[points.length - 1]) : 0;
+  const detourRatio = distance / Math.max(displacement, 1);
+  return {
+    distance,
+    displacement,
+    detourRatio,
+    isUnexpected: distance >= config.MIN_DISTANCE_METERS && detourRatio >= config.MAX_DETOUR_RATIO
+  };
+};
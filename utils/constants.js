@@ -6,7 +6,8 @@ export const APP_CONFIG = {
   emergencyHelpline: '1363'
 };
 
-// Emergency Numbers
+// Emergency Numbers (India). Numbers for the user's current country come from
+// emergencyNumberService and the bundled directory in utils/emergencyDirectory.js
 export const EMERGENCY_NUMBERS = {
   POLICE: '100',
   MEDICAL: '108',
@@ -16,6 +17,156 @@ export const EMERGENCY_NUMBERS = {
   CHILD_HELPLINE: '1098'
 };
 
+// Country-aware emergency number lookup
+export const EMERGENCY_NUMBER_CONFIG = {
+  REFRESH_DISTANCE_KM: 25 // re-resolve the country after moving this far
+};
+
+// Emergency Escalation Stages
+export const ESCALATION_STAGES = {
+  PRIMARY_ALERTED: 'primary_alerted',
+  ALL_CONTACTS_ALERTED: 'all_contacts_alerted',
+  CALL_PROMPTED: 'call_prompted',
+  ACKNOWLEDGED: 'acknowledged',
+  CANCELLED: 'cancelled'
+};
+
+// Emergency Escalation Configuration
+export const ESCALATION_CONFIG = {
+  PRIMARY_ACK_TIMEOUT_MINUTES: 3, // wait for the primary contact before widening
+  ALL_CONTACTS_ACK_TIMEOUT_MINUTES: 5, // wait for any contact before prompting a call
+  CALL_NUMBER_KEYS: ['touristPolice', 'police'], // numbers of the local directory entry to prompt
+  TIMER_CHECK_INTERVAL: 30000 // re-check deadlines at least every 30 seconds
+};
+
+// Safety Check-in Status (dead man's switch)
+export const CHECK_IN_STATUS = {
+  ACTIVE: 'active',
+  OVERDUE: 'overdue', // past due, inside the grace period
+  ALERTED: 'alerted'
+};
+
+// Safety Check-in Configuration
+export const CHECK_IN_CONFIG = {
+  DURATION_OPTIONS_MINUTES: [30, 60, 120, 240],
+  GRACE_PERIOD_MINUTES: 15, // time to confirm after the check-in is due
+  REMINDER_LEAD_MINUTES: 10, // heads-up before the check-in is due
+  FINAL_WARNING_MINUTES: 5, // last warning before contacts are alerted
+  TIMER_CHECK_INTERVAL: 30000
+};
+
+// Location updates stop while the user stands still, so a periodic background task
+// also checks safety deadlines. The OS treats the interval as a minimum and may
+// run the task later
+export const SAFETY_DEADLINE_TASK_CONFIG = {
+  MINIMUM_INTERVAL_MINUTES: 15
+};
+
+// Geofence events: a fix has to be past a zone border by the margin, and stay past
+// it for the confirm time, before ENTER or EXIT fires. Exits use the larger of the
+// margin and the fix accuracy, so a jittering fix on the border stays inside
+export const GEOFENCE_EVENTS = {
+  ENTER: 'enter',
+  EXIT: 'exit',
+  DWELL: 'dwell'
+};
+
+export const GEOFENCE_EVENT_CONFIG = {
+  ENTER_MARGIN_METERS: 5,
+  EXIT_MARGIN_METERS: 20,
+  ENTER_CONFIRM_MS: 10 * 1000,
+  EXIT_CONFIRM_MS: 30 * 1000,
+  DWELL_MS: 5 * 60 * 1000, // time inside before DWELL fires (once per visit)
+  IGNORED_ACCURACY_LEVELS: ['poor'] // realTimeLocationService.getAccuracyQuality levels
+};
+
+// Fall / crash detection sensitivity presets (accelerometer magnitudes in g)
+export const FALL_DETECTION_SENSITIVITY = {
+  LOW: { IMPACT_THRESHOLD_G: 3.5, STILLNESS_TOLERANCE_G: 0.1, STILLNESS_DURATION_MS: 4000 },
+  MEDIUM: { IMPACT_THRESHOLD_G: 2.7, STILLNESS_TOLERANCE_G: 0.15, STILLNESS_DURATION_MS: 3000 },
+  HIGH: { IMPACT_THRESHOLD_G: 2.2, STILLNESS_TOLERANCE_G: 0.2, STILLNESS_DURATION_MS: 2000 }
+};
+
+// Fall / crash detection configuration
+export const FALL_DETECTION_CONFIG = {
+  DEFAULT_SENSITIVITY: 'MEDIUM',
+  DEFAULT_COUNTDOWN_SECONDS: 30, // time to cancel before the panic flow starts
+  SAMPLE_INTERVAL_MS: 50, // 20 Hz accelerometer updates
+  FREE_FALL_THRESHOLD_G: 0.4, // near-weightless just before a fall
+  MIN_FREE_FALL_MS: 100,
+  SETTLE_MS: 1000, // ignore the bounce right after the impact
+  STILLNESS_TIMEOUT_MS: 10000, // stillness must begin within this time of the impact
+  COOLDOWN_MS: 30000 // no new detection right after one
+};
+
+// Discreet panic triggers
+export const DISCREET_TRIGGERS = {
+  SHAKE: 'shake',
+  POWER_BUTTON: 'power_button',
+  CALCULATOR: 'calculator',
+  FAKE_CALL: 'fake_call'
+};
+
+// Discreet panic trigger configuration
+export const DISCREET_TRIGGER_CONFIG = {
+  SHAKE_THRESHOLD_G: 2.2, // a deliberate shake, well above walking
+  SHAKE_COUNT: 6, // shakes needed within the window
+  SHAKE_WINDOW_MS: 3000,
+  SHAKE_MIN_GAP_MS: 150, // one shake is one peak, not every sample above the threshold
+  PRESS_COUNT: 5, // power button presses (screen on/off) within the window
+  PRESS_WINDOW_MS: 4000,
+  ALERT_COOLDOWN_MS: 60000, // one silent alert per minute
+  MIN_PIN_LENGTH: 4,
+  DEFAULT_FAKE_CALLER: 'Mom',
+  FAKE_CALL_DELAY_SECONDS: 10 // time to put the phone down before it "rings"
+};
+
+// Evidence captured while an emergency is active
+export const EVIDENCE_TYPES = {
+  AUDIO: 'audio',
+  PHOTO: 'photo'
+};
+
+export const EVIDENCE_CONFIG = {
+  AUDIO_CHUNK_MS: 30000, // each recording is closed, hashed and uploaded every 30 seconds
+  PHOTO_INTERVAL_MS: 60000,
+  PHOTO_QUALITY: 0.5,
+  UPLOAD_RETRY_DELAY: 30000, // retry pending uploads while capture is running
+  STORAGE_PATH: 'emergency-evidence',
+  LOCAL_DIRECTORY: 'evidence/'
+};
+
+// Emergency Outbox Configuration (SMS and records that could not be sent)
+export const EMERGENCY_OUTBOX_CONFIG = {
+  PRIORITY: 'critical', // ahead of every other sync queue item
+  MAX_ATTEMPTS: 8,
+  BASE_RETRY_DELAY: 15000, // 15 seconds, doubled after every failed attempt
+  MAX_RETRY_DELAY: 600000, // 10 minutes
+  STATUS_RETENTION: 7 * 24 * 60 * 60 * 1000 // keep delivery status for 7 days
+};
+
+// Per-contact emergency SMS delivery status
+export const DELIVERY_STATUS = {
+  SENT: 'sent',
+  UNCONFIRMED: 'unconfirmed', // the composer could not tell whether it was sent
+  RETRYING: 'retrying',
+  FAILED: 'failed'
+};
+
+// Emergency Contact Acknowledgement Status
+export const ACK_STATUS = {
+  PENDING: 'pending',
+  SEEN: 'seen',
+  EN_ROUTE: 'en_route'
+};
+
+// Emergency Contact Acknowledgement Configuration
+export const ACKNOWLEDGEMENT_CONFIG = {
+  LINK_BASE_URL: 'https://touristsafety.app/ack',
+  TOKEN_BYTES: 16,
+  REPLY_CODE_DIGITS: 6
+};
+
 // Safety Zone Levels
 export const SAFETY_LEVELS = {
   SAFE: 'safe',
@@ -35,7 +186,67 @@ export const QR_CONFIG = {
   SIZE: 200,
   EXPIRY_HOURS: 24,
   REFRESH_THRESHOLD_HOURS: 2,
-  VERSION: '1.0'
+  VERSION: '2.1',
+  SIGNATURE_ALGORITHM: 'Ed25519',
+  TOKEN_STEP_SECONDS: 30, // Rotating token lifetime
+  TOKEN_SKEW_STEPS: 1, // Steps of clock drift tolerated either side
+  DEFAULT_DISCLOSURE_PROFILE: 'hotel_check_in'
+};
+
+// Selective disclosure: each QR reveals only the claims its profile lists and
+// carries salted-hash commitments for the rest, so they can be revealed later
+export const DISCLOSURE_CLAIMS = [
+  'name',
+  'nationality',
+  'passportNumber',
+  'passportLast4',
+  'profilePhotoUrl',
+  'bloodType',
+  'allergies',
+  'medications',
+  'conditions',
+  'insurance',
+  'doctorContact',
+  'emergencyContact'
+];
+
+export const DISCLOSURE_CLAIM_LABELS = {
+  name: 'Name',
+  nationality: 'Nationality',
+  passportNumber: 'Passport number',
+  passportLast4: 'Passport last 4',
+  profilePhotoUrl: 'Photo',
+  bloodType: 'Blood group',
+  allergies: 'Allergies',
+  medications: 'Medications',
+  conditions: 'Conditions',
+  insurance: 'Insurance',
+  doctorContact: 'Doctor',
+  emergencyContact: 'Emergency contact'
+};
+
+export const DISCLOSURE_PROFILES = {
+  HOTEL_CHECK_IN: 'hotel_check_in',
+  MEDICAL: 'medical',
+  POLICE: 'police'
+};
+
+export const DISCLOSURE_PROFILE_CONFIG = {
+  [DISCLOSURE_PROFILES.HOTEL_CHECK_IN]: {
+    label: 'Hotel Check-in',
+    icon: 'bed-outline',
+    claims: ['name', 'nationality', 'passportLast4']
+  },
+  [DISCLOSURE_PROFILES.MEDICAL]: {
+    label: 'Medical',
+    icon: 'medkit-outline',
+    claims: ['bloodType', 'allergies', 'medications', 'conditions', 'insurance', 'doctorContact', 'emergencyContact']
+  },
+  [DISCLOSURE_PROFILES.POLICE]: {
+    label: 'Police',
+    icon: 'shield-outline',
+    claims: ['name', 'nationality', 'passportNumber', 'passportLast4', 'profilePhotoUrl']
+  }
 };
 
 // Location Configuration
@@ -47,6 +258,176 @@ export const LOCATION_CONFIG = {
   MAX_AGE: 60000 // 1 minute
 };
 
+// Kalman filter that cleans every location track (foreground, smart and background
+// tracking). Fixes are rejected when their accuracy is too poor, when reaching them
+// would need an implausible speed, or when they fall outside the filter's gate
+export const LOCATION_FILTER_CONFIG = {
+  ACCELERATION_NOISE: 1, // m/s², how quickly the velocity may change between fixes
+  INITIAL_SPEED_STD: 10, // m/s, velocity uncertainty of a new track
+  DEFAULT_ACCURACY_METERS: 30, // fixes without a reported accuracy
+  MIN_ACCURACY_METERS: 3,
+  MAX_ACCURACY_METERS: 1000,
+  MAX_SPEED_MPS: 70, // about 250 km/h, faster than any train the user is likely on
+  MAX_FIX_AGE_MS: 30000,
+  INNOVATION_GATE: 13.8, // chi-square, 2 degrees of freedom, 99.9%
+  MAX_CONSECUTIVE_REJECTIONS: 3, // then the track restarts at the new fix
+  RESET_AFTER_MS: 5 * 60 * 1000 // gap after which the old track says nothing useful
+};
+
+// Activity recognition over a sliding window of recent fixes. Speeds are m/s;
+// heading variance is circular (0 = one direction, 1 = no common direction)
+export const ACTIVITY_TYPES = {
+  STATIONARY: 'stationary',
+  WALKING: 'walking',
+  CYCLING: 'cycling',
+  IN_VEHICLE: 'in_vehicle',
+  ON_TRAIN: 'on_train',
+  UNKNOWN: 'unknown'
+};
+
+export const ACTIVITY_CONFIG = {
+  WINDOW_MS: 3 * 60 * 1000,
+  MIN_SAMPLES: 4, // kept even when older than the window, for sparse fixes
+  MAX_SAMPLES: 30,
+  STATIONARY_MAX_SPEED: 0.5, // median
+  WALKING_MAX_SPEED: 2.5, // 90th percentile, a brisk walk or a jog
+  CYCLING_MAX_SPEED: 9, // 90th percentile, about 32 km/h
+  CYCLING_MAX_ACCELERATION_STD: 1, // m/s², cars pull away harder
+  CYCLING_MAX_STOP_FRACTION: 0.25, // cars in traffic stop and go more
+  STOP_SPEED: 1,
+  TRAIN_MIN_SPEED: 20, // median, about 72 km/h
+  TRAIN_MAX_HEADING_VARIANCE: 0.02,
+  TRAIN_MAX_ACCELERATION_STD: 0.3,
+  HIGH_SPEED_RAIL_SPEED: 45, // about 160 km/h, faster than anything on the road
+  CONFIRM_COUNT: 2 // classifications in a row before the activity changes
+};
+
+// A ride is flagged when its path over the window is much longer than the
+// straight line it covered, the usual sign of a taxi taking the long way round
+export const VEHICLE_ROUTE_CONFIG = {
+  WINDOW_MS: 10 * 60 * 1000,
+  MIN_DISTANCE_METERS: 3000,
+  MAX_DETOUR_RATIO: 2
+};
+
+// Trip history. Fixes are split into trips (moving) and stays (within
+// STAY_RADIUS_METERS for at least STAY_MIN_DURATION_MS); finished trips are
+// compressed with Douglas-Peucker before they are stored
+export const TRIP_SEGMENT_TYPES = {
+  TRIP: 'trip',
+  STAY: 'stay'
+};
+
+export const TRIP_HISTORY_CONFIG = {
+  STAY_RADIUS_METERS: 75,
+  STAY_MIN_DURATION_MS: 10 * 60 * 1000,
+  MAX_GAP_MS: 30 * 60 * 1000, // a longer silence ends the current segment
+  MIN_TRIP_METERS: 200, // shorter trips between stays are GPS wander or moving about one place
+  SIMPLIFY_TOLERANCE_METERS: 10,
+  MAX_OPEN_POINTS: 500, // compress the trip in progress beyond this
+  RETENTION_OPTIONS_DAYS: [1, 7, 30, 90],
+  DEFAULT_RETENTION_DAYS: 30,
+  RECENT_LOCATIONS_LIMIT: 100,
+  EXPORT_DIRECTORY: 'exports/'
+};
+
+// Offline map tiles stored on the device, downloaded an area at a time
+export const MAP_DOWNLOAD_STATUS = {
+  DOWNLOADING: 'downloading',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+// The tile source is set in app.json (expo.extra.mapTiles), see mapTileStore
+export const MAP_TILE_CONFIG = {
+  USER_AGENT: 'TouristSafetyApp/1.0 (offline area download)',
+  DIRECTORY: 'map-tiles/',
+  TILE_SIZE: 256,
+  MIN_ZOOM: 10,
+  MAX_ZOOM: 16,
+  AREA_RADIUS_OPTIONS_KM: [2, 5, 10],
+  MAX_TILES_PER_AREA: 3000, // keeps one download within what a tile server expects from a device
+  ESTIMATED_TILE_BYTES: 20 * 1024, // until the store has measured its own tiles
+  BUDGET_OPTIONS_MB: [50, 100, 250, 500],
+  DEFAULT_BUDGET_MB: 100,
+  MAX_CONSECUTIVE_FAILURES: 5, // pause rather than burn through the area while offline
+  SAVE_EVERY_TILES: 25
+};
+
+// Walking route planning on an OpenStreetMap road graph. The safest route multiplies
+// each road segment's length by the penalties below; the fastest uses length alone
+export const ROUTING_CONFIG = {
+  OVERPASS_URL: 'https://overpass-api.de/api/interpreter',
+  WALKING_SPEED_MPS: 1.4,
+  GRAPH_PADDING_METERS: 500, // road data fetched around the start and destination
+  MAX_ROUTE_DISTANCE_KM: 15,
+  MAX_SNAP_DISTANCE_METERS: 300, // start or destination this far from any road is refused
+  MAX_CACHED_GRAPHS: 5,
+  NIGHT_START_HOUR: 22,
+  NIGHT_END_HOUR: 5,
+  ZONE_PENALTY: { restricted: 20, caution: 2.5, safe: 1 },
+  NIGHT_LIGHTING_PENALTY: { poor: 2.5, fair: 1.5 }, // zone lightingQuality after dark
+  CROWD_PENALTY: { low: 1.6, medium: 1.1 }, // zone crowdLevel
+  UNLIT_ROAD_NIGHT_PENALTY: 1.5 // roads tagged lit=no after dark
+};
+
+// Guided "walk me home": alerts ask "Are you OK?" and escalate to emergency
+// location sharing when nobody answers in time
+export const WALK_HOME_STATUS = {
+  GUIDING: 'guiding',
+  AWAITING_RESPONSE: 'awaiting_response',
+  ESCALATED: 'escalated',
+  ARRIVED: 'arrived'
+};
+
+export const WALK_HOME_ALERTS = {
+  DEVIATION: 'deviation',
+  STOPPED: 'stopped',
+  RESTRICTED_ZONE: 'restricted_zone'
+};
+
+export const WALK_HOME_CONFIG = {
+  CORRIDOR_METERS: 50, // off-route distance allowed on top of the fix accuracy
+  DEVIATION_CONFIRM_MS: 30 * 1000, // off the corridor this long before asking
+  STOP_RADIUS_METERS: 25,
+  STOP_DURATION_MS: 3 * 60 * 1000, // unexpected stop before asking
+  ARRIVAL_METERS: 30,
+  RESPONSE_TIMEOUT_MS: 60 * 1000, // unanswered "Are you OK?" escalates after this
+  PROGRESS_SHARE_INTERVAL_MS: 15 * 1000,
+  ANNOUNCE_DISTANCE_METERS: 30, // speak the next turn this far ahead
+  MIN_TURN_DEGREES: 35,
+  TIMER_CHECK_INTERVAL: 10000
+};
+
+// Taxi/ride mode: vehicle details shared with contacts, and alerts when the ride
+// leaves the expected route or stops in a restricted zone
+export const RIDE_STATUS = {
+  ACTIVE: 'active',
+  ESCALATED: 'escalated',
+  ARRIVED: 'arrived'
+};
+
+export const RIDE_ALERTS = {
+  ROUTE_DEVIATION: 'route_deviation',
+  MOVING_AWAY: 'moving_away',
+  RESTRICTED_STOP: 'restricted_stop'
+};
+
+export const RIDE_CONFIG = {
+  ROUTE_CORRIDOR_METERS: 300, // off-route distance allowed when a route was planned
+  DIRECT_CORRIDOR_METERS: 1000, // minimum allowance around the straight line otherwise
+  DIRECT_CORRIDOR_RATIO: 0.35, // of the trip length, for longer rides
+  MOVING_AWAY_METERS: 1000, // further from the destination than the closest point so far
+  DEVIATION_CONFIRM_MS: 60 * 1000, // off route this long before alerting
+  STOP_RADIUS_METERS: 30,
+  RESTRICTED_STOP_MS: 60 * 1000, // stopped inside a restricted zone this long
+  ARRIVAL_METERS: 150,
+  PROGRESS_SHARE_INTERVAL_MS: 30 * 1000,
+  MAX_DURATION_MINUTES: 240,
+  TIMER_CHECK_INTERVAL: 15000
+};
+
 // Notification Types
 export const NOTIFICATION_TYPES = {
   EMERGENCY: 'emergency',
@@ -56,6 +437,10 @@ export const NOTIFICATION_TYPES = {
   LOCATION_UPDATE: 'location_update',
   QR_REFRESH: 'qr_refresh',
   REMINDER: 'reminder',
+  CHECK_IN: 'check_in',
+  WALK_HOME: 'walk_home',
+  RIDE: 'ride',
+  VEHICLE_ROUTE: 'vehicle_route',
   SYSTEM: 'system'
 };
 
@@ -66,6 +451,23 @@ export const VERIFICATION_STATUS = {
   REJECTED: 'rejected'
 };
 
+// User Roles (set as Firebase Auth custom claims)
+export const USER_ROLES = {
+  TOURIST: 'tourist',
+  POLICE: 'police',
+  HOTEL_STAFF: 'hotel_staff',
+  TOUR_OPERATOR: 'tour_operator',
+  ADMIN: 'admin'
+};
+
+// Roles allowed to scan and verify tourist QR codes
+export const VERIFIER_ROLES = [
+  USER_ROLES.POLICE,
+  USER_ROLES.HOTEL_STAFF,
+  USER_ROLES.TOUR_OPERATOR,
+  USER_ROLES.ADMIN
+];
+
 // Error Messages
 export const ERROR_MESSAGES = {
   GENERIC_ERROR: 'Something went wrong. Please try again.',
@@ -77,6 +479,7 @@ export const ERROR_MESSAGES = {
   CAMERA_PERMISSION_DENIED: 'Camera permission is required to scan QR codes.',
   NOTIFICATION_PERMISSION_DENIED: 'Notification permission is required for safety alerts.',
   INVALID_QR_CODE: 'Invalid or expired QR code.',
+  VERIFIER_ACCESS_DENIED: 'Only authorized officials can verify tourist QR codes.',
   EMERGENCY_SEND_FAILED: 'Failed to send emergency alert. Please try again.',
   AUTH_FAILED: 'Authentication failed. Please check your credentials.'
 };
@@ -121,7 +524,24 @@ export const STORAGE_KEYS = {
   QR_CODE_DATA: 'qrCodeData',
   LOCATION_CACHE: 'locationCache',
   SAFETY_ZONES_CACHE: 'safetyZonesCache',
-  CHAT_HISTORY: 'chatHistory'
+  CHAT_HISTORY: 'chatHistory',
+  EMERGENCY_ESCALATION: 'emergencyEscalation',
+  EMERGENCY_DELIVERIES: 'emergencyDeliveries',
+  SAFETY_CHECK_IN: 'safetyCheckIn',
+  SAFETY_DEADLINE_OWNERS: 'safetyDeadlineOwners',
+  SESSION_TRACKING: 'sessionTracking',
+  FALL_DETECTION_SETTINGS: 'fallDetectionSettings',
+  DISCREET_TRIGGER_SETTINGS: 'discreetTriggerSettings',
+  EMERGENCY_EVIDENCE: 'emergencyEvidence',
+  GEOFENCE_STATE: 'geofenceState',
+  WALK_HOME: 'walkHome',
+  RIDE_SAFETY: 'rideSafety',
+  BACKGROUND_LOCATION_FILTER: 'backgroundLocationFilter',
+  TRIP_HISTORY: 'tripHistory',
+  TRIP_HISTORY_OPEN: 'tripHistoryOpen',
+  TRIP_HISTORY_SETTINGS: 'tripHistorySettings',
+  MAP_TILE_DOWNLOAD: 'mapTileDownload',
+  MAP_TILE_SETTINGS: 'mapTileSettings'
 };
 
 // API Endpoints (for future backend integration)
@@ -0,0 +1,2129 @@
+// Generated by scripts/generateCountryBoundaries.js - do not edit.
+// Country outlines from Natural Earth 1:10m admin-0 countries (public domain), simplified.
+// Per country: polygons as [outer, ...holes], each ring a flat [lat, lon, lat, lon, ...] list.
+export const COUNTRY_BOUNDARIES = {
+  IN: [
+    [[35.496,77.799,35.452,77.835,35.43,77.881,35.44,77.914,35.483,77.957,35.494,77.986,35.491,78.043,35.452,78.054,35.398,78.04,35.348,78.011,35.268,78,35.194,78.036,35.055,78.13,35.018,78.141,34.944,78.148,34.909,78.162,34.848,78.213,34.659,78.274,34.625,78.295,34.594,78.335,34.579,78.378,34.547,78.609,34.527,78.666,34.471,78.749,34.415,78.803,34.397,78.839,34.372,78.922,34.35,78.951,34.287,78.987,34.24,78.987,34.218,78.976,34.159,78.904,34.123,78.807,34.079,78.731,33.995,78.72,33.872,78.771,33.809,78.789,33.743,78.796,33.553,78.781,33.493,78.799,33.461,78.825,33.385,78.918,33.309,78.972,33.293,79.026,33.264,79.073,33.215,79.087,33.228,79.123,33.227,79.152,33.183,79.264,33.179,79.347,33.164,79.379,33.127,79.383,33.066,79.343,32.994,79.332,32.957,79.336,32.931,79.354,32.887,79.411,32.855,79.433,32.796,79.447,32.747,79.501,32.713,79.505,32.646,79.476,32.602,79.433,32.536,79.336,32.494,79.293,32.49,79.275,32.507,79.217,32.497,79.163,32.472,79.113,32.45,79.102,32.391,79.091,32.371,79.077,32.377,79.03,32.347,78.943,32.355,78.911,32.401,78.857,32.462,78.771,32.561,78.735,32.612,78.753,32.637,78.713,32.599,78.666,32.578,78.63,32.57,78.591,32.566,78.447,32.548,78.385,32.528,78.382,32.477,78.411,32.416,78.454,32.396,78.436,32.281,78.461,32.23,78.457,32.207,78.511,32.181,78.537,32.151,78.551,32.036,78.648,31.994,78.724,31.964,78.745,31.883,78.713,31.822,78.699,31.771,78.67,31.747,78.695,31.729,78.691,31.673,78.724,31.666,78.76,31.607,78.817,31.579,78.796,31.509,78.699,31.487,78.695,31.445,78.763,31.411,78.76,31.335,78.738,31.302,78.753,31.288,78.785,31.292,78.861,31.298,78.879,31.354,78.918,31.32,78.976,31.344,78.99,31.386,78.997,31.425,79.015,31.433,79.062,31.388,79.138,31.344,79.159,31.335,79.195,31.287,79.199,31.27,79.221,31.244,79.217,31.224,79.235,31.212,79.267,31.138,79.282,31.124,79.296,31.094,79.372,31.069,79.39,31.023,79.401,31.015,79.476,30.966,79.512,30.947,79.545,30.94,79.588,30.962,79.631,30.967,79.689,30.979,79.739,30.962,79.833,30.954,79.851,30.913,79.879,30.873,79.933,30.847,80.005,30.785,80.063,30.775,80.092,30.793,80.142,30.785,80.171,30.748,80.196,30.724,80.232,30.685,80.207,30.675,80.167,30.662,80.167,30.626,80.2,30.606,80.203,30.559,80.178,30.565,80.254,30.547,80.326,30.498,80.427,30.459,80.524,30.466,80.574,30.412,80.693,30.378,80.736,30.346,80.754,30.321,80.783,30.289,80.866,30.27,80.945,30.255,80.977,30.213,81.003,30.197,80.995,30.177,80.92,30.18,80.902,30.211,80.884,30.17,80.837,30.143,80.851,30.116,80.83,30.077,80.769,30.023,80.725,29.963,80.643,29.947,80.571,29.893,80.549,29.806,80.477,29.79,80.455,29.777,80.394,29.758,80.369,29.704,80.355,29.627,80.387,29.584,80.373,29.549,80.326,29.53,80.329,29.471,80.265,29.449,80.257,29.434,80.218,29.417,80.214,29.367,80.243,29.316,80.254,29.311,80.279,29.269,80.279,29.203,80.257,29.211,80.218,29.196,80.214,29.156,80.232,29.127,80.221,29.123,80.164,29.11,80.131,29.073,80.113,28.995,80.106,28.977,80.099,28.95,80.052,28.916,80.034,28.877,80.031,28.836,80.038,28.803,80.113,28.764,80.146,28.747,80.182,28.742,80.218,28.71,80.25,28.689,80.29,28.627,80.329,28.62,80.351,28.627,80.409,28.571,80.47,28.576,80.495,28.639,80.484,28.671,80.499,28.679,80.556,28.647,80.563,28.62,80.65,28.575,80.679,28.549,80.743,28.505,80.797,28.497,80.873,28.453,80.887,28.433,80.941,28.431,80.988,28.397,80.999,28.372,81.147,28.338,81.19,28.25,81.226,28.191,81.283,28.168,81.294,28.146,81.283,28.124,81.309,28.132,81.337,28.166,81.359,28.161,81.395,28.112,81.449,28.087,81.453,28.066,81.474,28.014,81.582,27.982,81.615,27.963,81.69,27.909,81.751,27.85,81.856,27.849,81.885,27.906,81.946,27.916,81.975,27.906,82.05,27.872,82.09,27.849,82.151,27.761,82.27,27.725,82.349,27.676,82.403,27.666,82.439,27.675,82.525,27.703,82.651,27.695,82.68,27.67,82.698,27.518,82.731,27.496,82.752,27.487,82.875,27.457,82.947,27.443,83.011,27.445,83.134,27.431,83.17,27.394,83.22,27.349,83.249,27.33,83.281,27.332,83.307,27.357,83.343,27.41,83.371,27.44,83.353,27.462,83.361,27.47,83.386,27.47,83.479,27.457,83.591,27.431,83.663,27.366,83.803,27.345,83.854,27.362,83.879,27.389,83.872,27.435,83.836,27.45,83.922,27.44,83.976,27.453,84.03,27.509,84.081,27.513,84.117,27.496,84.12,27.472,84.167,27.438,84.185,27.431,84.239,27.389,84.268,27.376,84.289,27.328,84.577,27.31,84.606,27.241,84.649,27.165,84.66,27.104,84.646,27.058,84.621,27.028,84.639,26.999,84.761,27.014,84.801,27.011,84.819,26.982,84.851,26.967,84.901,26.937,84.937,26.898,84.952,26.874,85.017,26.846,85.02,26.844,85.045,26.866,85.121,26.851,85.161,26.786,85.164,26.759,85.197,26.737,85.287,26.748,85.337,26.788,85.387,26.783,85.42,26.827,85.521,26.854,85.6,26.812,85.686,26.763,85.708,26.689,85.701,26.653,85.711,26.599,85.78,26.602,85.809,26.567,85.83,26.58,85.866,26.633,85.935,26.655,86.01,26.645,86.043,26.601,86.122,26.601,86.154,26.584,86.187,26.613,86.284,26.602,86.309,26.58,86.316,26.582,86.352,26.572,86.385,26.531,86.475,26.528,86.496,26.484,86.557,26.455,86.626,26.418,86.694,26.415,86.712,26.444,86.737,26.432,86.795,26.452,86.845,26.494,86.874,26.511,86.907,26.531,86.971,26.58,87.029,26.466,87.065,26.405,87.105,26.395,87.133,26.408,87.22,26.371,87.245,26.346,87.299,26.352,87.328,26.403,87.357,26.427,87.418,26.423,87.479,26.386,87.551,26.378,87.587,26.418,87.659,26.423,87.681,26.405,87.709,26.41,87.742,26.447,87.756,26.452,87.771,26.437,87.821,26.461,87.853,26.444,87.897,26.396,87.929,26.366,87.976,26.369,88.008,26.405,88.044,26.454,88.073,26.494,88.084,26.518,88.08,26.582,88.102,26.662,88.145,26.744,88.17,26.862,88.152,26.908,88.12,26.959,88.098,27.03,88.044,27.045,88.008,27.111,87.969,27.148,87.987,27.219,87.99,27.298,88.03,27.334,88.033,27.364,88.015,27.389,88.015,27.442,88.041,27.45,88.03,27.496,88.023,27.545,88.048,27.639,88.109,27.724,88.134,27.774,88.159,27.815,88.156,27.833,88.167,27.852,88.156,27.86,88.12,27.879,88.105,27.928,88.098,27.95,88.127,27.947,88.163,27.958,88.199,27.982,88.379,28.031,88.455,28.029,88.501,28.078,88.552,28.107,88.595,28.105,88.609,28.07,88.653,28.055,88.735,28.011,88.804,27.995,88.818,27.928,88.811,27.892,88.843,27.844,88.854,27.654,88.804,27.546,88.743,27.511,88.757,27.464,88.753,27.408,88.775,27.367,88.829,27.342,88.851,27.315,88.894,27.286,88.883,27.271,88.861,27.256,88.8,27.212,88.753,27.151,88.728,27.097,88.829,27.05,88.847,26.945,88.851,26.979,88.887,26.981,88.908,26.93,88.926,26.913,88.944,26.923,88.998,26.898,89.045,26.835,89.081,26.813,89.128,26.81,89.185,26.827,89.254,26.844,89.272,26.854,89.34,26.797,89.441,26.803,89.506,26.785,89.585,26.749,89.614,26.721,89.596,26.712,89.628,26.724,89.686,26.7,89.754,26.7,89.823,26.731,89.833,26.716,89.88,26.732,89.974,26.743,90.089,26.751,90.129,26.771,90.154,26.832,90.179,26.852,90.212,26.852,90.266,26.868,90.302,26.891,90.33,26.891,90.384,26.832,90.474,26.78,90.59,26.768,90.716,26.781,91.007,26.805,91.061,26.802,91.198,26.795,91.234,26.775,91.277,26.785,91.331,26.807,91.36,26.859,91.389,26.869,91.407,26.869,91.461,26.852,91.486,26.808,91.508,26.798,91.54,26.81,91.576,26.798,91.637,26.803,91.702,26.854,91.796,26.849,91.842,26.819,91.853,26.803,91.878,26.844,91.875,26.854,91.896,26.881,91.893,26.879,91.925,26.847,91.976,26.856,92.037,26.888,92.073,26.937,92.084,27.026,92.051,27.072,92.001,27.104,91.986,27.141,91.99,27.177,92.004,27.192,92.022,27.237,92.037,27.274,92.084,27.305,92.084,27.448,91.997,27.472,91.976,27.445,91.922,27.443,91.857,27.42,91.781,27.416,91.749,27.46,91.727,27.479,91.659,27.546,91.594,27.619,91.572,27.658,91.58,27.717,91.626,27.759,91.634,27.764,91.774,27.754,91.814,27.73,91.864,27.727,91.976,27.741,92.012,27.795,92.069,27.811,92.105,27.806,92.21,27.822,92.235,27.865,92.238,27.849,92.26,27.811,92.274,27.786,92.303,27.833,92.328,27.803,92.35,27.805,92.368,27.842,92.382,27.854,92.404,27.828,92.418,27.823,92.44,27.847,92.476,27.86,92.523,27.896,92.566,27.904,92.602,27.94,92.663,27.968,92.688,28.038,92.703,28.058,92.638,28.105,92.656,28.156,92.706,28.196,92.778,28.18,92.789,28.183,92.836,28.205,92.865,28.25,92.904,28.271,92.962,28.31,93.002,28.367,93.092,28.391,93.117,28.462,93.149,28.495,93.156,28.541,93.221,28.563,93.264,28.603,93.318,28.673,93.448,28.679,93.552,28.673,93.624,28.703,93.675,28.696,93.722,28.75,93.79,28.776,93.866,28.792,93.876,28.798,93.909,28.833,93.92,28.835,93.974,28.884,94.078,28.897,94.136,28.931,94.175,28.933,94.251,28.977,94.29,29.024,94.348,29.098,94.272,29.149,94.287,29.145,94.323,29.159,94.348,29.186,94.362,29.208,94.395,29.215,94.499,29.232,94.528,29.302,94.582,29.319,94.629,29.284,94.704,29.215,94.769,29.174,94.762,29.166,94.798,29.171,94.856,29.125,94.989,29.169,94.956,29.154,94.989,29.14,95.046,29.113,95.1,29.095,95.201,29.064,95.216,29.053,95.28,29.113,95.273,29.137,95.306,29.139,95.37,29.13,95.41,29.177,95.424,29.186,95.446,29.149,95.45,29.123,95.468,29.137,95.475,29.132,95.511,29.161,95.522,29.21,95.514,29.213,95.55,29.238,95.554,29.25,95.594,29.228,95.648,29.218,95.716,29.274,95.748,29.341,95.745,29.353,95.795,29.324,95.864,29.36,95.954,29.37,96.076,29.368,96.141,29.302,96.166,29.257,96.206,29.242,96.234,29.242,96.267,29.28,96.339,29.245,96.368,29.172,96.317,29.145,96.209,29.108,96.173,29.027,96.195,29.078,96.281,29.098,96.353,29.037,96.368,28.995,96.458,28.97,96.45,28.948,96.494,28.865,96.522,28.808,96.576,28.759,96.594,28.71,96.598,28.644,96.501,28.612,96.436,28.565,96.468,28.519,96.425,28.489,96.461,28.421,96.494,28.429,96.512,28.534,96.526,28.585,96.558,28.608,96.612,28.59,96.699,28.519,96.771,28.478,96.839,28.428,96.886,28.355,96.897,28.33,96.965,28.337,96.998,28.375,97.077,28.367,97.116,28.315,97.181,28.308,97.21,28.274,97.228,28.235,97.286,28.217,97.325,28.19,97.329,28.129,97.3,28.095,97.293,28.07,97.307,28.022,97.354,27.995,97.361,27.952,97.34,27.901,97.34,27.877,97.293,27.898,97.289,27.913,97.26,27.899,97.224,27.857,97.181,27.791,97.098,27.774,97.066,27.751,97.059,27.727,96.99,27.688,96.958,27.636,96.882,27.599,96.861,27.507,96.89,27.464,96.879,27.408,96.904,27.217,97.07,27.183,97.102,27.156,97.106,27.138,97.131,27.087,97.12,27.097,97.077,27.092,97.026,27.114,97.005,27.171,96.864,27.188,96.843,27.241,96.861,27.273,96.821,27.318,96.789,27.342,96.76,27.362,96.688,27.335,96.638,27.354,96.587,27.298,96.533,27.291,96.49,27.298,96.407,27.258,96.144,27.231,96.076,27.19,96.015,27.143,95.975,27.08,95.939,27.026,95.889,27.014,95.86,26.996,95.777,26.947,95.734,26.908,95.709,26.891,95.687,26.886,95.64,26.868,95.612,26.844,95.604,26.817,95.576,26.82,95.532,26.81,95.489,26.736,95.439,26.692,95.392,26.648,95.262,26.65,95.241,26.67,95.223,26.662,95.194,26.641,95.183,26.624,95.14,26.604,95.118,26.552,95.111,26.476,95.039,26.427,95.061,26.393,95.064,26.327,95.043,26.248,95.046,26.217,95.057,26.195,95.093,26.172,95.079,26.104,95.09,26.071,95.151,26.03,95.14,25.995,95.108,25.944,95.05,25.922,95,25.881,94.992,25.778,95.014,25.738,95.01,25.718,94.96,25.598,94.87,25.586,94.852,25.571,94.863,25.559,94.823,25.505,94.784,25.491,94.766,25.483,94.712,25.456,94.661,25.427,94.629,25.395,94.607,25.245,94.55,25.204,94.553,25.174,94.578,25.154,94.654,25.138,94.69,25.11,94.708,25.067,94.715,25.025,94.708,24.975,94.672,24.888,94.654,24.814,94.6,24.747,94.589,24.716,94.571,24.704,94.517,24.689,94.506,24.62,94.488,24.598,94.474,24.571,94.431,24.546,94.409,24.495,94.398,24.466,94.362,24.426,94.362,24.394,94.33,24.363,94.33,24.333,94.294,24.267,94.283,24.161,94.233,24.07,94.215,24.048,94.2,23.995,94.19,23.94,94.146,23.899,94.132,23.857,94.132,23.843,94.1,23.887,94.056,23.918,93.999,23.945,93.884,23.936,93.804,23.946,93.783,23.995,93.743,24.005,93.711,24.009,93.614,23.967,93.563,23.982,93.545,23.96,93.495,23.96,93.455,23.995,93.441,24.026,93.405,24.078,93.369,24.088,93.347,24.064,93.311,24.017,93.3,23.977,93.308,23.907,93.354,23.855,93.358,23.739,93.376,23.691,93.426,23.647,93.434,23.453,93.401,23.347,93.408,23.313,93.383,23.279,93.376,23.237,93.38,23.17,93.372,23.129,93.376,23.053,93.333,23.018,93.3,23.004,93.246,23.053,93.196,23.05,93.153,23.031,93.138,22.977,93.142,22.901,93.178,22.861,93.16,22.8,93.113,22.773,93.081,22.693,93.07,22.653,93.081,22.616,93.106,22.575,93.11,22.513,93.099,22.464,93.117,22.428,93.153,22.386,93.167,22.27,93.174,22.248,93.171,22.232,93.131,22.219,93.124,22.187,93.142,22.182,93.12,22.197,93.092,22.207,93.045,22.202,93.023,22.112,93.027,22.104,92.994,22.064,92.966,21.996,92.98,21.989,92.955,22.013,92.937,22.018,92.908,21.967,92.89,21.967,92.868,22.025,92.854,22.104,92.771,22.148,92.706,22.155,92.685,22.134,92.67,22.096,92.674,22.075,92.656,22.033,92.66,22.013,92.642,22.009,92.616,21.977,92.577,22.062,92.559,22.129,92.537,22.143,92.577,22.168,92.577,22.496,92.519,22.56,92.501,22.695,92.498,22.725,92.48,22.763,92.444,22.871,92.426,22.901,92.379,22.926,92.361,22.96,92.354,23.029,92.354,23.171,92.328,23.227,92.332,23.289,92.357,23.315,92.346,23.354,92.35,23.382,92.325,23.396,92.328,23.446,92.296,23.495,92.292,23.609,92.253,23.642,92.249,23.706,92.26,23.708,92.22,23.661,92.21,23.647,92.195,23.732,92.152,23.718,92.109,23.646,92.044,23.647,92.004,23.723,91.936,23.723,91.922,23.651,91.914,23.534,91.943,23.495,91.94,23.46,91.918,23.436,91.889,23.414,91.835,23.369,91.792,23.321,91.763,23.273,91.745,23.232,91.749,23.2,91.763,23.132,91.778,23.09,91.796,23.065,91.778,23.065,91.76,23.024,91.738,22.989,91.695,22.977,91.648,22.979,91.616,22.945,91.587,22.969,91.576,22.982,91.536,23.006,91.518,23.034,91.518,23.045,91.504,23.185,91.464,23.198,91.446,23.249,91.414,23.262,91.371,23.247,91.36,23.18,91.356,23.095,91.374,23.063,91.371,23.072,91.338,23.1,91.313,23.143,91.299,23.303,91.277,23.33,91.266,23.362,91.284,23.374,91.259,23.479,91.22,23.495,91.194,23.561,91.169,23.612,91.14,23.654,91.14,23.654,91.166,23.685,91.169,23.698,91.137,23.74,91.14,23.755,91.194,23.826,91.227,23.88,91.212,23.909,91.216,23.965,91.252,23.995,91.292,23.995,91.338,24.036,91.349,24.075,91.349,24.1,91.364,24.103,91.403,24.088,91.479,24.09,91.558,24.105,91.598,24.14,91.616,24.203,91.623,24.211,91.641,24.156,91.666,24.142,91.702,24.164,91.734,24.222,91.724,24.235,91.734,24.215,91.81,24.183,91.814,24.156,91.846,24.157,91.878,24.26,91.907,24.319,91.896,24.345,91.922,24.316,91.972,24.375,91.95,24.368,92.033,24.382,92.087,24.406,92.109,24.434,92.112,24.495,92.105,24.525,92.123,24.544,92.152,24.574,92.17,24.647,92.184,24.777,92.235,24.809,92.238,24.875,92.217,24.892,92.224,24.904,92.253,24.892,92.289,24.836,92.382,24.863,92.476,24.895,92.494,24.929,92.483,24.953,92.458,24.995,92.386,25.024,92.382,25.047,92.328,25.074,92.303,25.084,92.235,25.127,92.181,25.145,92.109,25.165,92.094,25.182,92.033,25.17,91.958,25.177,91.9,25.165,91.792,25.167,91.731,25.145,91.709,25.152,91.677,25.127,91.662,25.128,91.598,25.16,91.565,25.133,91.472,25.138,91.432,25.179,91.284,25.203,91.234,25.189,91.191,25.191,91.137,25.167,90.975,25.157,90.935,25.142,90.824,25.145,90.795,25.167,90.755,25.154,90.708,25.172,90.622,25.162,90.582,25.169,90.503,25.149,90.399,25.15,90.366,25.181,90.287,25.211,90.129,25.297,89.909,25.285,89.819,25.339,89.797,25.404,89.797,25.49,89.823,25.635,89.833,25.724,89.801,25.814,89.783,25.839,89.787,25.908,89.83,25.932,89.833,25.949,89.79,25.966,89.826,25.996,89.812,25.986,89.794,26.032,89.754,26.084,89.751,26.155,89.707,26.16,89.657,26.222,89.653,26.211,89.607,26.163,89.614,26.17,89.592,26.143,89.563,26.121,89.603,26.099,89.567,26.082,89.578,26.084,89.603,26.055,89.603,26.022,89.56,25.959,89.542,25.962,89.517,26,89.481,25.993,89.412,26.015,89.391,25.996,89.351,26.006,89.315,26.043,89.272,26.059,89.236,26.099,89.214,26.133,89.131,26.165,89.113,26.226,89.103,26.287,89.07,26.314,89.07,26.314,89.103,26.334,89.095,26.347,89.056,26.381,89.045,26.39,89.009,26.413,88.987,26.439,88.941,26.422,88.912,26.386,88.89,26.349,88.912,26.329,88.966,26.292,88.98,26.297,89.009,26.277,89.005,26.266,89.034,26.248,89.041,26.224,88.977,26.233,88.948,26.273,88.901,26.278,88.876,26.265,88.854,26.233,88.84,26.233,88.807,26.28,88.782,26.292,88.746,26.265,88.663,26.277,88.645,26.31,88.703,26.341,88.71,26.368,88.667,26.398,88.649,26.415,88.656,26.43,88.613,26.461,88.591,26.467,88.548,26.488,88.505,26.528,88.462,26.545,88.411,26.559,88.397,26.599,88.397,26.624,88.386,26.579,88.354,26.466,88.314,26.449,88.336,26.477,88.343,26.466,88.433,26.454,88.462,26.432,88.476,26.352,88.498,26.352,88.458,26.363,88.433,26.341,88.415,26.3,88.35,26.268,88.332,26.231,88.336,26.206,88.307,26.18,88.221,26.14,88.163,26.076,88.141,26.05,88.159,25.979,88.105,25.915,88.084,25.908,88.073,25.831,88.087,25.775,88.127,25.804,88.228,25.789,88.26,25.726,88.321,25.68,88.393,25.653,88.419,25.593,88.422,25.562,88.476,25.542,88.487,25.5,88.53,25.495,88.595,25.468,88.645,25.466,88.678,25.491,88.707,25.495,88.743,25.513,88.743,25.495,88.782,25.459,88.815,25.402,88.8,25.36,88.818,25.324,88.858,25.324,88.879,25.304,88.901,25.302,88.977,25.275,88.984,25.24,88.937,25.192,88.926,25.189,88.908,25.167,88.923,25.169,88.897,25.196,88.807,25.16,88.786,25.167,88.725,25.187,88.663,25.191,88.591,25.17,88.559,25.196,88.476,25.189,88.44,25.174,88.433,25.116,88.433,25.051,88.426,25.022,88.415,24.995,88.39,24.946,88.375,24.868,88.314,24.88,88.242,24.919,88.231,24.946,88.203,24.941,88.163,24.917,88.116,24.845,88.141,24.801,88.109,24.796,88.087,24.762,88.077,24.755,88.051,24.711,88.048,24.676,88.026,24.645,88.023,24.634,88.059,24.595,88.084,24.542,88.084,24.502,88.109,24.495,88.138,24.37,88.401,24.316,88.476,24.308,88.563,24.292,88.613,24.294,88.635,24.338,88.66,24.316,88.714,24.287,88.739,24.223,88.75,24.189,88.732,24.176,88.692,24.154,88.678,24.071,88.678,24.044,88.699,24.039,88.725,23.995,88.703,23.943,88.717,23.924,88.714,23.879,88.667,23.867,88.635,23.867,88.595,23.855,88.577,23.806,88.573,23.776,88.552,23.74,88.563,23.639,88.541,23.629,88.566,23.602,88.563,23.588,88.609,23.519,88.663,23.495,88.703,23.468,88.721,23.499,88.757,23.467,88.768,23.349,88.717,23.293,88.685,23.271,88.685,23.24,88.71,23.222,88.775,23.239,88.822,23.207,88.926,23.207,88.955,23.183,88.955,23.1,88.865,23.075,88.851,22.996,88.84,22.965,88.843,22.926,88.872,22.879,88.894,22.859,88.933,22.835,88.948,22.783,88.937,22.741,88.908,22.658,88.93,22.612,88.951,22.562,88.951,22.548,88.926,22.528,88.969,22.452,88.998,22.42,89.002,22.388,88.991,22.322,89.005,22.295,89.023,22.286,89.009,22.212,89.063,22.151,89.077,22.129,89.059,21.604,89.002,21.685,88.181,22.118,88.174,21.175,86.838,20.67,86.997,19.965,86.374,19.902,85.463,18.271,84.077,17.03,82.299,16.579,82.306,16.321,81.247,15.784,80.995,15.701,80.279,15.093,80.052,13.349,80.347,12.022,79.861,10.379,79.865,10.325,79.397,9.315,79.041,8.965,78.241,8.364,78.054,8.075,77.511,8.891,76.56,9.909,76.29,11.694,75.531,12.862,74.818,14.544,74.379,15.08,73.914,16.069,73.446,17.285,73.248,18.948,72.769,19.841,72.651,20.897,72.867,21.714,72.532,22.283,72.553,21.994,72.15,21.206,72.103,20.709,70.973,21.15,70.059,22.204,68.993,22.548,70.145,22.945,70.401,22.754,69.727,23.207,68.608,23.842,68.183,23.877,68.208,23.904,68.251,23.929,68.255,23.938,68.273,23.911,68.302,23.941,68.334,23.967,68.33,23.94,68.352,23.96,68.384,23.967,68.431,23.965,68.723,24.103,68.726,24.289,68.726,24.331,68.748,24.33,68.798,24.308,68.813,24.25,68.82,24.243,68.849,24.297,68.881,24.321,68.903,24.303,68.928,24.257,68.964,24.264,69.007,24.289,69.068,24.257,69.148,24.259,69.205,24.284,69.281,24.277,69.562,24.265,69.594,24.189,69.67,24.169,69.713,24.162,69.77,24.166,69.972,24.174,70.015,24.201,70.051,24.282,70.087,24.304,70.109,24.308,70.145,24.326,70.203,24.331,70.242,24.363,70.3,24.372,70.372,24.402,70.415,24.424,70.519,24.424,70.563,24.4,70.577,24.362,70.545,24.287,70.559,24.259,70.584,24.242,70.62,24.232,70.757,24.272,70.858,24.306,70.84,24.325,70.858,24.362,70.919,24.367,70.955,24.357,70.977,24.363,71.009,24.387,71.023,24.412,71.085,24.436,71.074,24.453,71.002,24.471,70.973,24.541,70.977,24.556,70.959,24.585,70.955,24.64,70.977,24.669,71.045,24.682,71.063,24.721,71.038,24.807,71.002,24.894,70.944,24.946,70.915,25.002,70.894,25.14,70.861,25.184,70.833,25.233,70.768,25.267,70.735,25.336,70.71,25.375,70.671,25.431,70.645,25.633,70.656,25.674,70.653,25.701,70.631,25.709,70.591,25.684,70.516,25.677,70.476,25.674,70.361,25.697,70.264,25.731,70.235,25.787,70.213,25.881,70.116,25.93,70.084,25.981,70.066,26.099,70.077,26.18,70.131,26.217,70.149,26.255,70.152,26.314,70.141,26.371,70.159,26.412,70.156,26.493,70.163,26.53,70.159,26.562,70.131,26.58,70.095,26.589,70.055,26.58,69.817,26.596,69.77,26.653,69.698,26.678,69.659,26.736,69.504,26.766,69.472,26.808,69.464,27.05,69.508,27.126,69.533,27.188,69.576,27.269,69.666,27.31,69.731,27.41,69.85,27.497,69.907,27.572,69.994,27.6,70.015,27.793,70.091,27.811,70.102,27.892,70.188,27.945,70.267,28.001,70.325,28.016,70.361,28.036,70.437,28.029,70.509,27.999,70.559,27.931,70.635,27.911,70.642,27.855,70.642,27.791,70.671,27.741,70.71,27.71,70.761,27.702,70.833,27.719,70.915,27.823,71.149,27.845,71.225,27.862,71.311,27.869,71.398,27.862,71.477,27.869,71.56,27.95,71.862,27.975,71.88,28.097,71.891,28.136,71.909,28.229,71.988,28.318,72.111,28.353,72.15,28.397,72.179,28.445,72.197,28.646,72.258,28.688,72.28,28.767,72.355,28.784,72.381,29.022,72.903,29.047,72.931,29.117,72.964,29.154,72.989,29.228,73.05,29.537,73.234,29.684,73.284,29.927,73.371,29.942,73.385,30.013,73.558,30.049,73.741,30.067,73.777,30.189,73.943,30.218,73.95,30.262,73.936,30.329,73.893,30.353,73.842,30.388,73.867,30.395,73.907,30.422,73.9,30.425,73.939,30.51,74.004,30.518,74.044,30.532,74.058,30.591,74.058,30.636,74.094,30.665,74.163,30.717,74.191,30.765,74.235,30.788,74.267,30.815,74.256,30.837,74.299,30.875,74.303,30.9,74.328,30.893,74.4,30.932,74.425,30.954,74.458,30.962,74.519,31.005,74.566,31.043,74.58,31.084,74.659,31.116,74.616,31.109,74.551,31.129,74.523,31.156,74.508,31.195,74.508,31.236,74.526,31.28,74.526,31.39,74.573,31.44,74.613,31.477,74.616,31.518,74.584,31.612,74.555,31.7,74.501,31.71,74.49,31.776,74.537,31.812,74.541,31.84,74.566,31.891,74.641,31.905,74.67,31.95,74.699,31.938,74.764,31.943,74.785,31.969,74.803,32.004,74.811,32.026,74.829,32.011,74.872,32.029,74.89,32.038,74.969,32.067,74.994,32.067,75.03,32.095,75.023,32.099,75.041,32.078,75.102,32.094,75.138,32.087,75.174,32.111,75.174,32.129,75.196,32.151,75.264,32.149,75.293,32.193,75.307,32.263,75.358,32.284,75.354,32.313,75.325,32.381,75.232,32.398,75.196,32.411,75.127,32.455,75.055,32.467,75.023,32.448,74.947,32.445,74.908,32.475,74.839,32.46,74.724,32.472,74.688,32.499,74.663,32.588,74.631,32.641,74.656,32.702,74.649,32.745,74.656,32.788,74.681,32.832,74.685,32.837,74.652,32.821,74.634,32.786,74.623,32.757,74.595,32.745,74.523,32.754,74.483,32.786,74.44,32.764,74.368,32.776,74.328,32.81,74.307,32.848,74.335,32.972,74.321,33.009,74.285,33.022,74.191,33.041,74.155,33.105,74.098,33.178,74.001,33.208,73.99,33.271,74.001,33.303,74.073,33.328,74.098,33.418,74.137,33.493,74.159,33.549,74.141,33.585,74.087,33.615,74.026,33.649,73.975,33.693,73.961,33.735,73.965,33.811,74.011,33.828,74.033,33.845,74.141,33.878,74.213,33.929,74.263,33.963,74.271,33.995,74.26,34.014,74.227,34.002,74.119,34.019,74.065,34.005,73.975,34.01,73.947,34.054,73.893,34.084,73.885,34.115,73.893,34.135,73.918,34.176,73.997,34.198,73.997,34.287,73.954,34.304,73.939,34.307,73.853,34.328,73.803,34.346,73.781,34.372,73.774,34.419,73.795,34.436,73.831,34.456,73.846,34.495,73.846,34.517,73.864,34.545,73.911,34.566,73.925,34.642,73.918,34.669,73.961,34.691,74.119,34.703,74.148,34.748,74.22,34.768,74.285,34.773,74.35,34.765,74.411,34.689,74.667,34.63,75.019,34.633,75.109,34.645,75.178,34.645,75.214,34.598,75.268,34.557,75.347,34.498,75.613,34.497,75.657,34.508,75.714,34.503,75.775,34.508,75.797,34.571,75.873,34.611,75.941,34.623,75.973,34.665,76.006,34.684,76.06,34.66,76.121,34.662,76.153,34.684,76.261,34.751,76.398,34.763,76.438,34.758,76.477,34.731,76.521,34.726,76.553,34.746,76.654,34.819,76.744,34.838,76.755,34.892,76.751,34.915,76.758,34.941,76.816,34.944,76.852,34.92,76.92,34.986,77.014,35.035,77.035,35.086,77.025,35.111,77.05,35.496,77.799]],
+    [[15.796,80.967,15.796,80.967,15.796,80.967,15.796,80.967]],
+    [[10.085,73.648,10.085,73.648,10.085,73.648,10.085,73.648]],
+    [[10.144,73.662,10.144,73.662,10.144,73.662,10.144,73.662]],
+    [[10.568,72.651,10.568,72.651,10.568,72.651,10.568,72.651]],
+    [[10.779,72.55,10.779,72.55,10.779,72.55,10.779,72.55]],
+    [[10.829,73.673,10.829,73.673,10.829,73.673,10.829,73.673]],
+    [[11.12,72.751,11.12,72.751,11.12,72.751,11.12,72.751]],
+    [[11.501,73.014,11.501,73.014,11.501,73.014,11.501,73.014]],
+    [[11.694,72.715,11.694,72.715,11.694,72.715,11.694,72.715]],
+    [[12.268,93.873,12.268,93.873,12.268,93.873,12.268,93.873]],
+    [[13.443,94.28,13.443,94.28,13.443,94.28,13.443,94.28]],
+    [[7.025,93.92,7.025,93.92,7.025,93.92,7.025,93.92]],
+    [[7.37,93.732,7.37,93.732,7.37,93.732,7.37,93.732]],
+    [[7.955,93.43,7.955,93.43,7.955,93.43,7.955,93.43]],
+    [[7.999,93.567,7.999,93.567,7.999,93.567,7.999,93.567]],
+    [[8.035,93.531,8.035,93.531,8.035,93.531,8.035,93.531]],
+    [[8.315,73.079,8.315,73.079,8.315,73.079,8.315,73.079]],
+    [[8.241,93.135,8.241,93.135,8.241,93.135,8.241,93.135]],
+    [[8.548,93.606,8.548,93.606,8.548,93.606,8.548,93.606]],
+    [[9.232,92.811,9.232,92.811,9.232,92.811,9.232,92.811]],
+    [[10.772,92.584,10.772,92.584,10.772,92.584,10.772,92.584]],
+    [[11.412,92.678,11.412,92.678,11.412,92.678,11.412,92.678]],
+    [[11.589,92.267,11.589,92.267,11.589,92.267,11.589,92.267]],
+    [[11.961,93.041,11.961,93.041,11.961,93.041,11.961,93.041]],
+    [[12.19,93.102,12.19,93.102,12.19,93.102,12.19,93.102]],
+    [[12.972,92.732,12.972,92.732,12.972,92.732,12.972,92.732]],
+    [[13.285,93.052,12.52,92.991,11.875,92.62,13.536,92.944,13.285,93.052]],
+    [[13.668,93.038,13.668,93.038,13.668,93.038,13.668,93.038]],
+    [[21.596,88.872,21.596,88.872,21.596,88.872,21.596,88.872]],
+    [[21.706,88.051,21.706,88.051,21.706,88.051,21.706,88.051]],
+    [[21.922,88.635,21.922,88.635,21.922,88.635,21.922,88.635]],
+    [[21.849,88.08,21.849,88.08,21.849,88.08,21.849,88.08]],
+    [[10.809,72.172,10.809,72.172,10.809,72.172,10.809,72.172]],
+    [[11.262,72.787,11.262,72.787,11.262,72.787,11.262,72.787]],
+  ],
+  NP: [
+    [[27.86,88.12,27.852,88.156,27.833,88.167,27.815,88.156,27.774,88.159,27.724,88.134,27.639,88.109,27.545,88.048,27.496,88.023,27.45,88.03,27.442,88.041,27.389,88.015,27.364,88.015,27.334,88.033,27.298,88.03,27.219,87.99,27.148,87.987,27.111,87.969,27.045,88.008,27.03,88.044,26.959,88.098,26.908,88.12,26.862,88.152,26.744,88.17,26.662,88.145,26.582,88.102,26.518,88.08,26.494,88.084,26.454,88.073,26.405,88.044,26.369,88.008,26.366,87.976,26.396,87.929,26.444,87.897,26.461,87.853,26.437,87.821,26.452,87.771,26.447,87.756,26.41,87.742,26.405,87.709,26.423,87.681,26.418,87.659,26.378,87.587,26.386,87.551,26.423,87.479,26.427,87.418,26.403,87.357,26.352,87.328,26.346,87.299,26.371,87.245,26.408,87.22,26.395,87.133,26.405,87.105,26.466,87.065,26.58,87.029,26.531,86.971,26.511,86.907,26.494,86.874,26.452,86.845,26.432,86.795,26.444,86.737,26.415,86.712,26.418,86.694,26.455,86.626,26.484,86.557,26.528,86.496,26.531,86.475,26.572,86.385,26.582,86.352,26.58,86.316,26.602,86.309,26.613,86.284,26.584,86.187,26.601,86.154,26.601,86.122,26.645,86.043,26.655,86.01,26.633,85.935,26.58,85.866,26.567,85.83,26.602,85.809,26.599,85.78,26.653,85.711,26.689,85.701,26.763,85.708,26.812,85.686,26.854,85.6,26.827,85.521,26.783,85.42,26.788,85.387,26.748,85.337,26.737,85.287,26.759,85.197,26.786,85.164,26.851,85.161,26.866,85.121,26.844,85.045,26.846,85.02,26.874,85.017,26.898,84.952,26.937,84.937,26.967,84.901,26.982,84.851,27.011,84.819,27.014,84.801,26.999,84.761,27.028,84.639,27.058,84.621,27.104,84.646,27.165,84.66,27.241,84.649,27.31,84.606,27.328,84.577,27.376,84.289,27.389,84.268,27.431,84.239,27.438,84.185,27.472,84.167,27.496,84.12,27.513,84.117,27.509,84.081,27.453,84.03,27.44,83.976,27.45,83.922,27.435,83.836,27.389,83.872,27.362,83.879,27.345,83.854,27.366,83.803,27.431,83.663,27.457,83.591,27.47,83.479,27.47,83.386,27.462,83.361,27.44,83.353,27.41,83.371,27.357,83.343,27.332,83.307,27.33,83.281,27.349,83.249,27.394,83.22,27.431,83.17,27.445,83.134,27.443,83.011,27.457,82.947,27.487,82.875,27.496,82.752,27.518,82.731,27.67,82.698,27.695,82.68,27.703,82.651,27.675,82.525,27.666,82.439,27.676,82.403,27.725,82.349,27.761,82.27,27.849,82.151,27.872,82.09,27.906,82.05,27.916,81.975,27.906,81.946,27.849,81.885,27.85,81.856,27.909,81.751,27.963,81.69,27.982,81.615,28.014,81.582,28.066,81.474,28.087,81.453,28.112,81.449,28.161,81.395,28.166,81.359,28.132,81.337,28.124,81.309,28.146,81.283,28.168,81.294,28.191,81.283,28.25,81.226,28.338,81.19,28.372,81.147,28.397,80.999,28.431,80.988,28.433,80.941,28.453,80.887,28.497,80.873,28.505,80.797,28.549,80.743,28.575,80.679,28.62,80.65,28.647,80.563,28.679,80.556,28.671,80.499,28.639,80.484,28.576,80.495,28.571,80.47,28.627,80.409,28.62,80.351,28.627,80.329,28.689,80.29,28.71,80.25,28.742,80.218,28.747,80.182,28.764,80.146,28.803,80.113,28.836,80.038,28.877,80.031,28.916,80.034,28.95,80.052,28.977,80.099,28.995,80.106,29.073,80.113,29.11,80.131,29.123,80.164,29.127,80.221,29.156,80.232,29.196,80.214,29.211,80.218,29.203,80.257,29.269,80.279,29.311,80.279,29.316,80.254,29.367,80.243,29.417,80.214,29.434,80.218,29.449,80.257,29.471,80.265,29.53,80.329,29.549,80.326,29.584,80.373,29.627,80.387,29.704,80.355,29.758,80.369,29.777,80.394,29.79,80.455,29.806,80.477,29.893,80.549,29.947,80.571,29.963,80.643,30.023,80.725,30.077,80.769,30.116,80.83,30.143,80.851,30.17,80.837,30.211,80.884,30.18,80.902,30.177,80.92,30.197,80.995,30.172,81.021,30.12,81.042,30.072,81.075,30.017,81.096,30.023,81.147,30.005,81.193,30.008,81.219,30.05,81.226,30.064,81.258,30.103,81.276,30.125,81.265,30.133,81.323,30.157,81.352,30.241,81.377,30.256,81.37,30.317,81.37,30.344,81.388,30.375,81.388,30.373,81.427,30.332,81.481,30.332,81.521,30.378,81.535,30.385,81.564,30.414,81.593,30.417,81.615,30.363,81.759,30.358,81.78,30.371,81.845,30.354,81.888,30.354,81.942,30.329,81.967,30.338,82.007,30.338,82.072,30.314,82.093,30.256,82.083,30.214,82.097,30.182,82.155,30.125,82.126,30.069,82.144,30.056,82.173,30.064,82.212,30.04,82.255,30.032,82.32,30.01,82.338,30.003,82.396,29.966,82.439,29.946,82.475,29.924,82.543,29.839,82.619,29.829,82.637,29.828,82.687,29.797,82.68,29.78,82.691,29.74,82.752,29.704,82.781,29.691,82.817,29.66,82.835,29.689,82.9,29.664,82.932,29.664,82.975,29.62,83.033,29.586,83.055,29.579,83.08,29.615,83.094,29.625,83.163,29.593,83.195,29.556,83.253,29.527,83.263,29.495,83.245,29.473,83.263,29.485,83.328,29.461,83.353,29.416,83.357,29.394,83.386,29.356,83.393,29.333,83.429,29.306,83.436,29.275,83.494,29.26,83.505,29.191,83.515,29.162,83.584,29.156,83.623,29.161,83.656,29.21,83.674,29.226,83.695,29.235,83.793,29.264,83.868,29.282,83.883,29.292,83.933,29.284,83.969,29.264,83.976,29.27,84.012,29.248,84.034,29.257,84.091,29.21,84.113,29.206,84.156,29.193,84.163,29.144,84.131,29.098,84.167,29.058,84.174,29.039,84.221,29.026,84.232,28.941,84.207,28.901,84.235,28.874,84.286,28.862,84.354,28.848,84.376,28.799,84.423,28.733,84.451,28.728,84.498,28.706,84.552,28.693,84.617,28.669,84.631,28.651,84.682,28.605,84.678,28.595,84.736,28.546,84.801,28.544,84.88,28.536,84.919,28.575,84.955,28.595,85.002,28.629,85.024,28.639,85.056,28.608,85.11,28.595,85.161,28.583,85.168,28.532,85.157,28.497,85.117,28.46,85.11,28.436,85.078,28.38,85.085,28.318,85.081,28.293,85.11,28.304,85.175,28.277,85.207,28.267,85.243,28.283,85.312,28.261,85.344,28.266,85.377,28.289,85.402,28.298,85.431,28.279,85.477,28.276,85.564,28.25,85.611,28.294,85.647,28.306,85.675,28.335,85.693,28.269,85.701,28.222,85.733,28.188,85.783,28.159,85.848,28.144,85.863,28.082,85.891,28.036,85.899,27.995,85.945,27.977,85.956,27.916,85.953,27.891,85.963,27.887,86.053,27.894,86.075,27.926,86.115,27.958,86.097,27.985,86.097,28.001,86.079,28.044,86.086,28.077,86.068,28.156,86.154,28.153,86.176,28.109,86.187,28.071,86.172,28.002,86.205,27.984,86.277,27.94,86.327,27.947,86.363,27.918,86.406,27.911,86.439,27.938,86.496,27.972,86.518,28.012,86.518,28.048,86.539,28.093,86.543,28.107,86.568,28.08,86.611,28.107,86.662,28.088,86.719,28.065,86.737,28.021,86.741,28.012,86.77,28.014,86.842,27.995,86.867,27.97,86.878,27.945,86.914,27.952,87.007,27.908,87.061,27.845,87.115,27.827,87.155,27.83,87.234,27.816,87.292,27.847,87.335,27.849,87.385,27.82,87.367,27.805,87.385,27.837,87.533,27.805,87.573,27.82,87.619,27.82,87.659,27.806,87.699,27.808,87.727,27.84,87.781,27.906,87.825,27.899,87.857,27.896,87.936,27.882,87.965,27.894,88.03,27.86,88.12]],
+  ],
+  LK: [
+    [[7.093,81.877,6.225,81.363,5.924,80.592,6.041,80.185,6.807,79.861,8.099,79.696,9.473,80.196,9.36,80.743,8.496,81.359,7.093,81.877]],
+    [[7.66,81.737,7.66,81.737,7.66,81.737,7.66,81.737]],
+    [[9.075,79.714,9.075,79.714,9.075,79.714,9.075,79.714]],
+    [[9.5,79.732,9.5,79.732,9.5,79.732,9.5,79.732]],
+    [[9.617,79.897,9.617,79.897,9.617,79.897,9.617,79.897]],
+  ],
+  BD: [
+    [[21.977,92.577,21.886,92.595,21.734,92.577,21.496,92.591,21.42,92.602,21.309,92.642,21.282,92.634,21.25,92.591,21.248,92.57,21.28,92.552,21.321,92.544,21.361,92.523,21.359,92.465,21.376,92.39,21.435,92.368,21.452,92.354,21.462,92.321,21.418,92.285,21.417,92.235,21.354,92.213,21.317,92.184,21.28,92.177,21.221,92.184,21.175,92.174,21.145,92.188,21.123,92.213,21.093,92.224,21.06,92.264,22.411,91.745,22.773,91.457,22.575,90.957,23.077,90.626,22.315,90.615,21.805,90.204,21.699,89.272,22.129,89.059,22.151,89.077,22.212,89.063,22.286,89.009,22.295,89.023,22.322,89.005,22.388,88.991,22.42,89.002,22.452,88.998,22.528,88.969,22.548,88.926,22.562,88.951,22.612,88.951,22.658,88.93,22.741,88.908,22.783,88.937,22.835,88.948,22.859,88.933,22.879,88.894,22.926,88.872,22.965,88.843,22.996,88.84,23.075,88.851,23.1,88.865,23.183,88.955,23.207,88.955,23.207,88.926,23.239,88.822,23.222,88.775,23.24,88.71,23.271,88.685,23.293,88.685,23.349,88.717,23.467,88.768,23.499,88.757,23.468,88.721,23.495,88.703,23.519,88.663,23.588,88.609,23.602,88.563,23.629,88.566,23.639,88.541,23.74,88.563,23.776,88.552,23.806,88.573,23.855,88.577,23.867,88.595,23.867,88.635,23.879,88.667,23.924,88.714,23.943,88.717,23.995,88.703,24.039,88.725,24.044,88.699,24.071,88.678,24.154,88.678,24.176,88.692,24.189,88.732,24.223,88.75,24.287,88.739,24.316,88.714,24.338,88.66,24.294,88.635,24.292,88.613,24.308,88.563,24.316,88.476,24.37,88.401,24.495,88.138,24.502,88.109,24.542,88.084,24.595,88.084,24.634,88.059,24.645,88.023,24.676,88.026,24.711,88.048,24.755,88.051,24.762,88.077,24.796,88.087,24.801,88.109,24.845,88.141,24.917,88.116,24.941,88.163,24.946,88.203,24.919,88.231,24.88,88.242,24.868,88.314,24.946,88.375,24.995,88.39,25.022,88.415,25.051,88.426,25.116,88.433,25.174,88.433,25.189,88.44,25.196,88.476,25.17,88.559,25.191,88.591,25.187,88.663,25.167,88.725,25.16,88.786,25.196,88.807,25.169,88.897,25.167,88.923,25.189,88.908,25.192,88.926,25.24,88.937,25.275,88.984,25.302,88.977,25.304,88.901,25.324,88.879,25.324,88.858,25.36,88.818,25.402,88.8,25.459,88.815,25.495,88.782,25.513,88.743,25.495,88.743,25.491,88.707,25.466,88.678,25.468,88.645,25.495,88.595,25.5,88.53,25.542,88.487,25.562,88.476,25.593,88.422,25.653,88.419,25.68,88.393,25.726,88.321,25.789,88.26,25.804,88.228,25.775,88.127,25.831,88.087,25.908,88.073,25.915,88.084,25.979,88.105,26.05,88.159,26.076,88.141,26.14,88.163,26.18,88.221,26.206,88.307,26.231,88.336,26.268,88.332,26.3,88.35,26.341,88.415,26.363,88.433,26.352,88.458,26.352,88.498,26.432,88.476,26.454,88.462,26.466,88.433,26.477,88.343,26.449,88.336,26.466,88.314,26.579,88.354,26.624,88.386,26.599,88.397,26.559,88.397,26.545,88.411,26.528,88.462,26.488,88.505,26.467,88.548,26.461,88.591,26.43,88.613,26.415,88.656,26.398,88.649,26.368,88.667,26.341,88.71,26.31,88.703,26.277,88.645,26.265,88.663,26.292,88.746,26.28,88.782,26.233,88.807,26.233,88.84,26.265,88.854,26.278,88.876,26.273,88.901,26.233,88.948,26.224,88.977,26.248,89.041,26.266,89.034,26.277,89.005,26.297,89.009,26.292,88.98,26.329,88.966,26.349,88.912,26.386,88.89,26.422,88.912,26.439,88.941,26.413,88.987,26.39,89.009,26.381,89.045,26.347,89.056,26.334,89.095,26.314,89.103,26.314,89.07,26.287,89.07,26.226,89.103,26.165,89.113,26.133,89.131,26.099,89.214,26.059,89.236,26.043,89.272,26.006,89.315,25.996,89.351,26.015,89.391,25.993,89.412,26,89.481,25.962,89.517,25.959,89.542,26.022,89.56,26.055,89.603,26.084,89.603,26.082,89.578,26.099,89.567,26.121,89.603,26.143,89.563,26.17,89.592,26.163,89.614,26.211,89.607,26.222,89.653,26.16,89.657,26.155,89.707,26.084,89.751,26.032,89.754,25.986,89.794,25.996,89.812,25.966,89.826,25.949,89.79,25.932,89.833,25.908,89.83,25.839,89.787,25.814,89.783,25.724,89.801,25.635,89.833,25.49,89.823,25.404,89.797,25.339,89.797,25.285,89.819,25.297,89.909,25.211,90.129,25.181,90.287,25.15,90.366,25.149,90.399,25.169,90.503,25.162,90.582,25.172,90.622,25.154,90.708,25.167,90.755,25.145,90.795,25.142,90.824,25.157,90.935,25.167,90.975,25.191,91.137,25.189,91.191,25.203,91.234,25.179,91.284,25.138,91.432,25.133,91.472,25.16,91.565,25.128,91.598,25.127,91.662,25.152,91.677,25.145,91.709,25.167,91.731,25.165,91.792,25.177,91.9,25.17,91.958,25.182,92.033,25.165,92.094,25.145,92.109,25.127,92.181,25.084,92.235,25.074,92.303,25.047,92.328,25.024,92.382,24.995,92.386,24.953,92.458,24.929,92.483,24.895,92.494,24.863,92.476,24.836,92.382,24.892,92.289,24.904,92.253,24.892,92.224,24.875,92.217,24.809,92.238,24.777,92.235,24.647,92.184,24.574,92.17,24.544,92.152,24.525,92.123,24.495,92.105,24.434,92.112,24.406,92.109,24.382,92.087,24.368,92.033,24.375,91.95,24.316,91.972,24.345,91.922,24.319,91.896,24.26,91.907,24.157,91.878,24.156,91.846,24.183,91.814,24.215,91.81,24.235,91.734,24.222,91.724,24.164,91.734,24.142,91.702,24.156,91.666,24.211,91.641,24.203,91.623,24.14,91.616,24.105,91.598,24.09,91.558,24.088,91.479,24.103,91.403,24.1,91.364,24.075,91.349,24.036,91.349,23.995,91.338,23.995,91.292,23.965,91.252,23.909,91.216,23.88,91.212,23.826,91.227,23.755,91.194,23.74,91.14,23.698,91.137,23.685,91.169,23.654,91.166,23.654,91.14,23.612,91.14,23.561,91.169,23.495,91.194,23.479,91.22,23.374,91.259,23.362,91.284,23.33,91.266,23.303,91.277,23.143,91.299,23.1,91.313,23.072,91.338,23.063,91.371,23.095,91.374,23.18,91.356,23.247,91.36,23.262,91.371,23.249,91.414,23.198,91.446,23.185,91.464,23.045,91.504,23.034,91.518,23.006,91.518,22.982,91.536,22.969,91.576,22.945,91.587,22.979,91.616,22.977,91.648,22.989,91.695,23.024,91.738,23.065,91.76,23.065,91.778,23.09,91.796,23.132,91.778,23.2,91.763,23.232,91.749,23.273,91.745,23.321,91.763,23.369,91.792,23.414,91.835,23.436,91.889,23.46,91.918,23.495,91.94,23.534,91.943,23.651,91.914,23.723,91.922,23.723,91.936,23.647,92.004,23.646,92.044,23.718,92.109,23.732,92.152,23.647,92.195,23.661,92.21,23.708,92.22,23.706,92.26,23.642,92.249,23.609,92.253,23.495,92.292,23.446,92.296,23.396,92.328,23.382,92.325,23.354,92.35,23.315,92.346,23.289,92.357,23.227,92.332,23.171,92.328,23.029,92.354,22.96,92.354,22.926,92.361,22.901,92.379,22.871,92.426,22.763,92.444,22.725,92.48,22.695,92.498,22.56,92.501,22.496,92.519,22.168,92.577,22.143,92.577,22.129,92.537,22.062,92.559,21.977,92.577]],
+    [[21.76,91.936,21.76,91.936,21.76,91.936,21.76,91.936]],
+    [[21.782,89.117,21.782,89.117,21.782,89.117,21.782,89.117]],
+    [[21.866,91.889,21.866,91.889,21.866,91.889,21.866,91.889]],
+    [[21.986,90.593,21.986,90.593,21.986,90.593,21.986,90.593]],
+    [[21.939,90.334,21.939,90.334,21.939,90.334,21.939,90.334]],
+    [[22.048,90.388,22.048,90.388,22.048,90.388,22.048,90.388]],
+    [[22.042,90.435,22.042,90.435,22.042,90.435,22.042,90.435]],
+    [[22.062,90.543,22.062,90.543,22.062,90.543,22.062,90.543]],
+    [[22.205,90.942,22.205,90.942,22.205,90.942,22.205,90.942]],
+    [[22.185,90.975,22.185,90.975,22.185,90.975,22.185,90.975]],
+    [[22.227,90.953,22.227,90.953,22.227,90.953,22.227,90.953]],
+    [[22.357,91.148,22.357,91.148,22.357,91.148,22.357,91.148]],
+    [[22.425,90.618,22.425,90.618,22.425,90.618,22.425,90.618]],
+    [[22.425,90.647,22.425,90.647,22.425,90.647,22.425,90.647]],
+    [[22.504,91.158,22.504,91.158,22.504,91.158,22.504,91.158]],
+    [[22.587,91.468,22.587,91.468,22.587,91.468,22.587,91.468]],
+    [[22.496,90.791,22.496,90.791,22.496,90.791,22.496,90.791]],
+    [[22.849,90.644,22.849,90.644,22.849,90.644,22.849,90.644]],
+    [[22.953,90.669,22.953,90.669,22.953,90.669,22.953,90.669]],
+    [[23.068,90.51,23.068,90.51,23.068,90.51,23.068,90.51]],
+    [[23.321,90.525,23.321,90.525,23.321,90.525,23.321,90.525]],
+  ],
+  MV: [
+    [[-0.682,73.162,-0.682,73.162,-0.682,73.162,-0.682,73.162]],
+    [[-0.671,73.205,-0.671,73.205,-0.671,73.205,-0.671,73.205]],
+    [[-0.656,73.126,-0.656,73.126,-0.656,73.126,-0.656,73.126]],
+    [[-0.626,73.241,-0.626,73.241,-0.626,73.241,-0.626,73.241]],
+    [[-0.589,73.248,-0.589,73.248,-0.589,73.248,-0.589,73.248]],
+    [[-0.283,73.435,-0.283,73.435,-0.283,73.435,-0.283,73.435]],
+    [[0.229,73.097,0.229,73.097,0.229,73.097,0.229,73.097]],
+    [[0.24,73.209,0.24,73.209,0.24,73.209,0.24,73.209]],
+    [[0.271,73.036,0.271,73.036,0.271,73.036,0.271,73.036]],
+    [[0.286,73.378,0.286,73.378,0.286,73.378,0.286,73.378]],
+    [[0.305,72.985,0.305,72.985,0.305,72.985,0.305,72.985]],
+    [[0.387,73.515,0.387,73.515,0.387,73.515,0.387,73.515]],
+    [[0.404,72.96,0.404,72.96,0.404,72.96,0.404,72.96]],
+    [[0.497,72.942,0.497,72.942,0.497,72.942,0.497,72.942]],
+    [[0.509,73.493,0.509,73.493,0.509,73.493,0.509,73.493]],
+    [[0.642,73.389,0.642,73.389,0.642,73.389,0.642,73.389]],
+    [[0.764,73.374,0.764,73.374,0.764,73.374,0.764,73.374]],
+    [[0.848,73.353,0.848,73.353,0.848,73.353,0.848,73.353]],
+    [[3.511,72.831,3.511,72.831,3.511,72.831,3.511,72.831]],
+    [[3.516,72.795,3.516,72.795,3.516,72.795,3.516,72.795]],
+    [[3.552,72.928,3.552,72.928,3.552,72.928,3.552,72.928]],
+    [[3.619,72.942,3.619,72.942,3.619,72.942,3.619,72.942]],
+    [[3.727,72.694,3.727,72.694,3.727,72.694,3.727,72.694]],
+    [[3.942,73.479,3.942,73.479,3.942,73.479,3.942,73.479]],
+    [[4.002,72.705,4.002,72.705,4.002,72.705,4.002,72.705]],
+    [[4.104,73.507,4.104,73.507,4.104,73.507,4.104,73.507]],
+    [[4.266,72.971,4.266,72.971,4.266,72.971,4.266,72.971]],
+    [[4.435,73.702,4.435,73.702,4.435,73.702,4.435,73.702]],
+    [[4.453,73.702,4.453,73.702,4.453,73.702,4.453,73.702]],
+    [[4.474,73.378,4.474,73.378,4.474,73.378,4.474,73.378]],
+    [[4.636,73.407,4.636,73.407,4.636,73.407,4.636,73.407]],
+    [[4.724,73.489,4.724,73.489,4.724,73.489,4.724,73.489]],
+    [[4.896,72.978,4.896,72.978,4.896,72.978,4.896,72.978]],
+    [[4.899,72.917,4.899,72.917,4.899,72.917,4.899,72.917]],
+    [[4.972,73.446,4.972,73.446,4.972,73.446,4.972,73.446]],
+    [[5.034,72.913,5.034,72.913,5.034,72.913,5.034,72.913]],
+    [[5.036,72.928,5.036,72.928,5.036,72.928,5.036,72.928]],
+    [[5.122,73.047,5.122,73.047,5.122,73.047,5.122,73.047]],
+    [[5.134,73.05,5.134,73.05,5.134,73.05,5.134,73.05]],
+    [[5.161,73.09,5.161,73.09,5.161,73.09,5.161,73.09]],
+    [[5.173,73.104,5.173,73.104,5.173,73.104,5.173,73.104]],
+    [[5.239,72.859,5.239,72.859,5.239,72.859,5.239,72.859]],
+    [[5.245,73.133,5.245,73.133,5.245,73.133,5.245,73.133]],
+    [[5.247,73.5,5.247,73.5,5.247,73.5,5.247,73.5]],
+    [[5.282,73.594,5.282,73.594,5.282,73.594,5.282,73.594]],
+    [[5.299,73.111,5.299,73.111,5.299,73.111,5.299,73.111]],
+    [[5.308,73.471,5.308,73.471,5.308,73.471,5.308,73.471]],
+    [[5.333,73.63,5.333,73.63,5.333,73.63,5.333,73.63]],
+    [[5.343,73.648,5.343,73.648,5.343,73.648,5.343,73.648]],
+    [[5.353,72.953,5.353,72.953,5.353,72.953,5.353,72.953]],
+    [[5.362,73.396,5.362,73.396,5.362,73.396,5.362,73.396]],
+    [[5.369,73.324,5.369,73.324,5.369,73.324,5.369,73.324]],
+    [[5.428,73.353,5.428,73.353,5.428,73.353,5.428,73.353]],
+    [[5.451,73.536,5.451,73.536,5.451,73.536,5.451,73.536]],
+    [[5.463,73.363,5.463,73.363,5.463,73.363,5.463,73.363]],
+    [[5.468,72.942,5.468,72.942,5.468,72.942,5.468,72.942]],
+    [[5.493,73.014,5.493,73.014,5.493,73.014,5.493,73.014]],
+    [[5.544,73.464,5.544,73.464,5.544,73.464,5.544,73.464]],
+    [[5.713,73.007,5.713,73.007,5.713,73.007,5.713,73.007]],
+    [[6.35,72.949,6.35,72.949,6.35,72.949,6.35,72.949]],
+    [[6.453,72.892,6.453,72.892,6.453,72.892,6.453,72.892]],
+    [[-0.599,73.097,-0.599,73.097,-0.599,73.097,-0.599,73.097]],
+    [[1.79,73.363,1.79,73.363,1.79,73.363,1.79,73.363]],
+    [[1.806,73.399,1.806,73.399,1.806,73.399,1.806,73.399]],
+    [[1.828,73.453,1.828,73.453,1.828,73.453,1.828,73.453]],
+    [[1.843,73.518,1.843,73.518,1.843,73.518,1.843,73.518]],
+    [[1.87,73.536,1.87,73.536,1.87,73.536,1.87,73.536]],
+    [[1.892,73.252,1.892,73.252,1.892,73.252,1.892,73.252]],
+    [[1.932,73.554,1.932,73.554,1.932,73.554,1.932,73.554]],
+    [[1.976,73.551,1.976,73.551,1.976,73.551,1.976,73.551]],
+    [[1.991,73.317,1.991,73.317,1.991,73.317,1.991,73.317]],
+    [[2.027,73.543,2.027,73.543,2.027,73.543,2.027,73.543]],
+    [[2.034,73.389,2.034,73.389,2.034,73.389,2.034,73.389]],
+    [[2.083,73.554,2.083,73.554,2.083,73.554,2.083,73.554]],
+    [[2.11,73.569,2.11,73.569,2.11,73.569,2.11,73.569]],
+    [[2.167,73.043,2.167,73.043,2.167,73.043,2.167,73.043]],
+    [[2.187,73.104,2.187,73.104,2.187,73.104,2.187,73.104]],
+    [[2.199,73.115,2.199,73.115,2.199,73.115,2.199,73.115]],
+    [[2.275,72.949,2.275,72.949,2.275,72.949,2.275,72.949]],
+    [[2.327,72.928,2.327,72.928,2.327,72.928,2.327,72.928]],
+    [[2.348,73.345,2.348,73.345,2.348,73.345,2.348,73.345]],
+    [[2.437,73.353,2.437,73.353,2.437,73.353,2.437,73.353]],
+    [[2.506,73.317,2.506,73.317,2.506,73.317,2.506,73.317]],
+    [[2.554,73.144,2.554,73.144,2.554,73.144,2.554,73.144]],
+    [[2.682,72.899,2.682,72.899,2.682,72.899,2.682,72.899]],
+    [[2.694,72.874,2.694,72.874,2.694,72.874,2.694,72.874]],
+    [[2.741,73.021,2.741,73.021,2.741,73.021,2.741,73.021]],
+    [[2.778,73.353,2.778,73.353,2.778,73.353,2.778,73.353]],
+    [[2.785,73.399,2.785,73.399,2.785,73.399,2.785,73.399]],
+    [[2.893,73.547,2.893,73.547,2.893,73.547,2.893,73.547]],
+    [[2.903,73.36,2.903,73.36,2.903,73.36,2.903,73.36]],
+    [[2.954,73.007,2.954,73.007,2.954,73.007,2.954,73.007]],
+    [[2.956,73.565,2.956,73.565,2.956,73.565,2.956,73.565]],
+    [[2.962,73.587,2.962,73.587,2.962,73.587,2.962,73.587]],
+    [[2.969,72.87,2.969,72.87,2.969,72.87,2.969,72.87]],
+    [[3.084,72.903,3.084,72.903,3.084,72.903,3.084,72.903]],
+    [[3.108,73.612,3.108,73.612,3.108,73.612,3.108,73.612]],
+    [[3.111,72.978,3.111,72.978,3.111,72.978,3.111,72.978]],
+    [[3.205,73.043,3.205,73.043,3.205,73.043,3.205,73.043]],
+    [[3.253,73.032,3.253,73.032,3.253,73.032,3.253,73.032]],
+    [[3.312,72.834,3.312,72.834,3.312,72.834,3.312,72.834]],
+    [[3.361,73.518,3.361,73.518,3.361,73.518,3.361,73.518]],
+    [[3.45,73.749,3.45,73.749,3.45,73.749,3.45,73.749]],
+    [[3.501,73.507,3.501,73.507,3.501,73.507,3.501,73.507]],
+    [[3.734,72.953,3.734,72.953,3.734,72.953,3.734,72.953]],
+    [[3.773,72.946,3.773,72.946,3.773,72.946,3.773,72.946]],
+    [[3.837,72.946,3.837,72.946,3.837,72.946,3.837,72.946]],
+    [[3.847,73.439,3.847,73.439,3.847,73.439,3.847,73.439]],
+    [[3.92,73.443,3.92,73.443,3.92,73.443,3.92,73.443]],
+    [[3.945,73.345,3.945,73.345,3.945,73.345,3.945,73.345]],
+    [[4.119,73.421,4.119,73.421,4.119,73.421,4.119,73.421]],
+    [[4.242,73.547,4.242,73.547,4.242,73.547,4.242,73.547]],
+    [[4.266,72.946,4.266,72.946,4.266,72.946,4.266,72.946]],
+    [[4.342,73.597,4.342,73.597,4.342,73.597,4.342,73.597]],
+    [[4.364,73.612,4.364,73.612,4.364,73.612,4.364,73.612]],
+    [[4.371,73.637,4.371,73.637,4.371,73.637,4.371,73.637]],
+    [[4.394,73.669,4.394,73.669,4.394,73.669,4.394,73.669]],
+    [[4.438,72.957,4.438,72.957,4.438,72.957,4.438,72.957]],
+    [[4.621,73.554,4.621,73.554,4.621,73.554,4.621,73.554]],
+    [[5.419,73.63,5.419,73.63,5.419,73.63,5.419,73.63]],
+    [[5.463,73.007,5.463,73.007,5.463,73.007,5.463,73.007]],
+    [[5.493,72.885,5.493,72.885,5.493,72.885,5.493,72.885]],
+    [[5.618,73.018,5.618,73.018,5.618,73.018,5.618,73.018]],
+    [[5.678,73.014,5.678,73.014,5.678,73.014,5.678,73.014]],
+    [[5.738,73.392,5.738,73.392,5.738,73.392,5.738,73.392]],
+    [[5.77,72.985,5.77,72.985,5.77,72.985,5.77,72.985]],
+    [[5.796,73.381,5.796,73.381,5.796,73.381,5.796,73.381]],
+    [[5.814,72.978,5.814,72.978,5.814,72.978,5.814,72.978]],
+    [[5.841,73.45,5.841,73.45,5.841,73.45,5.841,73.45]],
+    [[5.865,72.964,5.865,72.964,5.865,72.964,5.865,72.964]],
+    [[5.911,73.428,5.911,73.428,5.911,73.428,5.911,73.428]],
+    [[5.97,72.931,5.97,72.931,5.97,72.931,5.97,72.931]],
+    [[5.97,73.389,5.97,73.389,5.97,73.389,5.97,73.389]],
+    [[5.981,72.917,5.981,72.917,5.981,72.917,5.981,72.917]],
+    [[6.083,73.252,6.083,73.252,6.083,73.252,6.083,73.252]],
+    [[6.112,73.252,6.112,73.252,6.112,73.252,6.112,73.252]],
+    [[6.132,73.219,6.132,73.219,6.132,73.219,6.132,73.219]],
+    [[6.157,73.27,6.157,73.27,6.157,73.27,6.157,73.27]],
+    [[6.172,73.219,6.172,73.219,6.172,73.219,6.172,73.219]],
+    [[6.189,73.27,6.189,73.27,6.189,73.27,6.189,73.27]],
+    [[6.223,73.036,6.223,73.036,6.223,73.036,6.223,73.036]],
+    [[6.24,73.241,6.24,73.241,6.24,73.241,6.24,73.241]],
+    [[6.287,73.129,6.287,73.129,6.287,73.129,6.287,73.129]],
+    [[6.296,73.216,6.296,73.216,6.296,73.216,6.296,73.216]],
+    [[6.309,73.083,6.309,73.083,6.309,73.083,6.309,73.083]],
+    [[6.328,73.198,6.328,73.198,6.328,73.198,6.328,73.198]],
+    [[6.333,73.126,6.333,73.126,6.333,73.126,6.333,73.126]],
+    [[6.351,73.187,6.351,73.187,6.351,73.187,6.351,73.187]],
+    [[6.368,73.021,6.368,73.021,6.368,73.021,6.368,73.021]],
+    [[6.412,72.69,6.412,72.69,6.412,72.69,6.412,72.69]],
+    [[6.441,72.903,6.441,72.903,6.441,72.903,6.441,72.903]],
+    [[6.441,73.05,6.441,73.05,6.441,73.05,6.441,73.05]],
+    [[6.559,72.964,6.559,72.964,6.559,72.964,6.559,72.964]],
+    [[6.566,72.924,6.566,72.924,6.566,72.924,6.566,72.924]],
+    [[6.583,73.029,6.583,73.029,6.583,73.029,6.583,73.029]],
+    [[6.621,73.047,6.621,73.047,6.621,73.047,6.621,73.047]],
+    [[6.669,73.068,6.669,73.068,6.669,73.068,6.669,73.068]],
+    [[6.709,73.108,6.709,73.108,6.709,73.108,6.709,73.108]],
+    [[6.76,73.036,6.76,73.036,6.76,73.036,6.76,73.036]],
+    [[6.763,72.917,6.763,72.917,6.763,72.917,6.763,72.917]],
+    [[6.787,73.158,6.787,73.158,6.787,73.158,6.787,73.158]],
+    [[6.831,73.183,6.831,73.183,6.831,73.183,6.831,73.183]],
+    [[6.841,72.996,6.841,72.996,6.841,72.996,6.841,72.996]],
+    [[6.843,73.144,6.843,73.144,6.843,73.144,6.843,73.144]],
+    [[6.853,72.975,6.853,72.975,6.853,72.975,6.853,72.975]],
+    [[6.853,73.097,6.853,73.097,6.853,73.097,6.853,73.097]],
+    [[6.861,72.964,6.861,72.964,6.861,72.964,6.861,72.964]],
+    [[6.897,73.108,6.897,73.108,6.897,73.108,6.897,73.108]],
+    [[6.919,73.216,6.919,73.216,6.919,73.216,6.919,73.216]],
+    [[6.957,72.928,6.957,72.928,6.957,72.928,6.957,72.928]],
+    [[6.971,73.198,6.971,73.198,6.971,73.198,6.971,73.198]],
+    [[6.991,72.892,6.991,72.892,6.991,72.892,6.991,72.892]],
+    [[7.028,72.978,7.028,72.978,7.028,72.978,7.028,72.978]],
+    [[7.057,72.949,7.057,72.949,7.057,72.949,7.057,72.949]],
+    [[7.093,72.913,7.093,72.913,7.093,72.913,7.093,72.913]],
+    [[7.108,72.885,7.108,72.885,7.108,72.885,7.108,72.885]],
+  ],
+  TH: [
+    [[11.647,102.912,12.152,102.632,12.705,101.768,12.707,100.839,13.472,100.965,13.413,100.054,12.192,100.022,10.357,99.15,9.232,99.255,9.323,99.802,8.317,100.27,7.478,100.439,6.856,100.997,6.833,101.566,6.257,102.074,6.204,102.066,6.127,102.07,6.095,102.059,6.068,102.034,6.012,101.958,5.981,101.933,5.941,101.919,5.86,101.912,5.824,101.868,5.797,101.854,5.781,101.825,5.74,101.8,5.75,101.764,5.787,101.728,5.762,101.688,5.782,101.649,5.828,101.631,5.855,101.634,5.873,101.598,5.906,101.58,5.906,101.534,5.851,101.393,5.809,101.318,5.803,101.278,5.787,101.249,5.72,101.235,5.681,101.213,5.639,101.148,5.637,101.105,5.688,101.08,5.725,101.037,5.737,100.99,5.792,100.965,5.899,101.015,5.919,101.073,5.99,101.087,6.047,101.087,6.086,101.094,6.105,101.087,6.135,101.051,6.174,101.066,6.189,101.091,6.233,101.087,6.252,101.069,6.242,101.022,6.272,100.976,6.269,100.954,6.24,100.929,6.248,100.857,6.236,100.832,6.26,100.821,6.324,100.828,6.345,100.814,6.415,100.806,6.448,100.774,6.451,100.742,6.493,100.731,6.493,100.713,6.448,100.648,6.444,100.63,6.481,100.518,6.513,100.468,6.513,100.425,6.54,100.349,6.576,100.317,6.689,100.281,6.701,100.263,6.689,100.212,6.704,100.173,6.62,100.155,6.581,100.166,6.539,100.144,6.505,100.148,6.442,100.126,8.379,98.657,8.535,98.2,10.35,98.747,10.52,98.79,10.595,98.772,10.623,98.747,10.689,98.765,10.764,98.83,10.767,98.862,10.809,98.891,10.807,98.934,10.824,98.974,10.875,98.988,10.929,98.981,10.959,99.006,10.946,99.046,10.958,99.064,10.988,99.071,11.013,99.093,11.047,99.15,11.088,99.176,11.108,99.212,11.219,99.255,11.28,99.302,11.321,99.316,11.377,99.363,11.436,99.377,11.48,99.417,11.517,99.438,11.574,99.438,11.615,99.449,11.625,99.467,11.631,99.532,11.726,99.608,11.826,99.629,11.843,99.593,11.873,99.561,11.895,99.554,11.976,99.575,12.006,99.554,12.027,99.518,12.101,99.539,12.141,99.543,12.145,99.521,12.126,99.467,12.157,99.453,12.187,99.474,12.228,99.456,12.278,99.449,12.297,99.431,12.383,99.42,12.445,99.392,12.476,99.388,12.508,99.406,12.567,99.406,12.591,99.395,12.616,99.345,12.653,99.309,12.665,99.276,12.694,99.273,12.717,99.226,12.734,99.215,12.771,99.215,12.803,99.204,12.822,99.183,12.905,99.154,12.955,99.168,12.976,99.165,13.011,99.132,13.038,99.093,13.08,99.093,13.104,99.104,13.171,99.104,13.188,99.114,13.2,99.172,13.212,99.186,13.251,99.186,13.301,99.172,13.328,99.186,13.408,99.19,13.582,99.15,13.715,99.154,13.762,99.107,13.827,99.089,13.864,99.093,13.887,99.06,13.909,99.053,13.95,99.006,13.99,98.985,14.028,98.952,14.07,98.945,14.097,98.916,14.112,98.873,14.2,98.754,14.223,98.733,14.271,98.708,14.267,98.672,14.299,98.636,14.321,98.592,14.377,98.549,14.517,98.477,14.527,98.452,14.566,98.441,14.607,98.42,14.722,98.297,14.804,98.243,14.845,98.24,14.865,98.222,14.921,98.222,14.978,98.196,15.051,98.2,15.083,98.168,15.125,98.164,15.179,98.189,15.221,98.178,15.226,98.232,15.291,98.283,15.289,98.319,15.257,98.384,15.28,98.394,15.296,98.376,15.331,98.402,15.356,98.398,15.383,98.474,15.363,98.517,15.326,98.535,15.355,98.56,15.402,98.571,15.453,98.567,15.601,98.542,15.676,98.546,15.735,98.542,15.855,98.578,15.92,98.567,15.976,98.585,16.034,98.549,16.056,98.556,16.045,98.589,16.05,98.618,16.079,98.643,16.116,98.657,16.126,98.679,16.12,98.758,16.103,98.783,16.111,98.808,16.145,98.837,16.189,98.837,16.228,98.855,16.258,98.884,16.381,98.902,16.407,98.884,16.439,98.844,16.473,98.841,16.456,98.819,16.375,98.79,16.329,98.729,16.273,98.682,16.302,98.657,16.373,98.643,16.403,98.628,16.434,98.639,16.462,98.632,16.552,98.564,16.591,98.567,16.62,98.546,16.662,98.499,16.701,98.488,16.723,98.456,16.777,98.474,16.79,98.506,16.814,98.52,16.831,98.495,16.863,98.499,16.851,98.524,16.893,98.51,16.907,98.484,16.937,98.481,16.996,98.448,17.03,98.42,17.045,98.38,17.052,98.312,17.087,98.286,17.108,98.294,17.108,98.268,17.136,98.279,17.151,98.258,17.2,98.222,17.224,98.186,17.312,98.092,17.373,98.088,17.391,98.049,17.418,98.027,17.447,98.02,17.506,97.984,17.531,97.934,17.68,97.768,17.739,97.75,17.769,97.718,17.795,97.707,17.83,97.674,17.834,97.7,17.881,97.685,17.943,97.721,17.981,97.754,18.053,97.721,18.06,97.696,18.085,97.7,18.153,97.682,18.22,97.628,18.242,97.617,18.257,97.635,18.291,97.646,18.306,97.638,18.333,97.574,18.328,97.559,18.279,97.541,18.266,97.527,18.311,97.466,18.333,97.451,18.403,97.444,18.487,97.394,18.521,97.379,18.551,97.35,18.543,97.39,18.489,97.426,18.49,97.509,18.509,97.548,18.553,97.617,18.558,97.689,18.572,97.746,18.622,97.761,18.818,97.721,18.852,97.725,18.926,97.656,18.95,97.689,18.98,97.71,19.038,97.728,19.083,97.79,19.112,97.811,19.191,97.815,19.227,97.804,19.257,97.768,19.277,97.768,19.281,97.797,19.301,97.808,19.336,97.782,19.397,97.768,19.441,97.8,19.48,97.844,19.556,97.84,19.568,97.847,19.573,97.887,19.603,97.948,19.634,97.98,19.639,98.009,19.669,98.013,19.723,98.006,19.789,98.016,19.808,98.045,19.777,98.074,19.777,98.11,19.732,98.171,19.718,98.214,19.678,98.218,19.664,98.236,19.689,98.308,19.688,98.441,19.706,98.477,19.676,98.531,19.693,98.549,19.705,98.592,19.73,98.614,19.745,98.643,19.764,98.751,19.806,98.808,19.774,98.866,19.745,98.884,19.799,98.988,19.846,99.01,19.907,98.999,19.934,99.014,19.973,99.006,20.041,99.017,20.074,99.035,20.101,99.075,20.118,99.118,20.122,99.179,20.103,99.237,20.063,99.294,20.066,99.32,20.101,99.442,20.142,99.489,20.152,99.51,20.196,99.525,20.245,99.485,20.323,99.467,20.375,99.42,20.377,99.453,20.345,99.503,20.321,99.579,20.323,99.618,20.307,99.651,20.329,99.73,20.328,99.77,20.35,99.806,20.417,99.838,20.436,99.878,20.446,99.939,20.427,99.96,20.387,99.986,20.373,100.036,20.345,100.054,20.318,100.101,20.284,100.097,20.248,100.115,20.24,100.151,20.253,100.169,20.292,100.166,20.312,100.209,20.35,100.22,20.392,100.27,20.4,100.306,20.39,100.346,20.368,100.364,20.25,100.421,20.196,100.457,20.155,100.511,20.167,100.547,20.106,100.551,20.066,100.544,19.931,100.493,19.865,100.475,19.838,100.432,19.811,100.421,19.745,100.378,19.699,100.407,19.634,100.418,19.585,100.457,19.537,100.461,19.502,100.522,19.495,100.565,19.541,100.608,19.542,100.634,19.505,100.731,19.482,100.752,19.536,100.81,19.603,100.86,19.612,100.886,19.613,100.976,19.603,101.026,19.568,101.094,19.564,101.123,19.575,101.177,19.59,101.21,19.561,101.253,19.495,101.253,19.472,101.238,19.453,101.192,19.418,101.177,19.347,101.177,19.338,101.202,19.225,101.231,19.144,101.228,19.129,101.235,19.08,101.292,19.049,101.318,19.021,101.325,18.982,101.285,18.935,101.267,18.875,101.224,18.796,101.228,18.73,101.206,18.69,101.235,18.658,101.235,18.617,101.195,18.6,101.159,18.556,101.156,18.511,101.076,18.477,101.066,18.428,101.03,18.393,101.051,18.364,101.084,18.337,101.145,18.323,101.156,18.281,101.127,18.246,101.127,18.195,101.163,18.143,101.145,18.105,101.145,18.053,101.166,18.04,101.159,18.011,101.112,17.933,101.066,17.894,101.008,17.864,100.997,17.83,101.001,17.798,100.965,17.776,100.976,17.764,100.958,17.707,100.958,17.655,100.932,17.596,100.886,17.562,100.904,17.548,100.983,17.493,101.066,17.46,101.13,17.472,101.148,17.511,101.166,17.523,101.202,17.592,101.246,17.678,101.357,17.685,101.382,17.715,101.404,17.734,101.4,17.734,101.433,17.751,101.454,17.72,101.469,17.766,101.501,17.791,101.555,17.81,101.534,17.82,101.562,17.867,101.577,17.854,101.602,17.894,101.634,17.913,101.728,17.997,101.757,18.04,101.764,18.073,101.789,18.031,101.883,18.038,101.904,18.214,102.077,18.21,102.153,18.2,102.171,18.153,102.192,18.124,102.232,18.094,102.257,18.051,102.308,18.036,102.336,18.04,102.365,17.994,102.412,17.97,102.48,17.97,102.567,17.955,102.599,17.915,102.614,17.851,102.596,17.813,102.66,17.81,102.682,17.866,102.671,17.883,102.722,17.923,102.776,17.954,102.833,17.972,102.851,18.009,102.938,18.008,102.974,17.984,103.02,17.991,103.038,18.036,103.074,18.094,103.064,18.126,103.071,18.151,103.128,18.188,103.146,18.222,103.15,18.257,103.186,18.281,103.287,18.296,103.298,18.337,103.24,18.355,103.233,18.401,103.262,18.426,103.308,18.442,103.398,18.421,103.47,18.416,103.55,18.401,103.607,18.382,103.629,18.35,103.708,18.339,103.802,18.32,103.83,18.286,103.859,18.286,103.884,18.328,103.928,18.333,103.953,18.318,104,18.3,104.018,18.215,104.068,18.114,104.111,18.08,104.136,18.009,104.212,17.864,104.277,17.82,104.352,17.741,104.406,17.7,104.421,17.641,104.482,17.562,104.637,17.557,104.655,17.514,104.716,17.45,104.756,17.423,104.792,17.373,104.817,17.349,104.82,17.241,104.817,17.172,104.81,17.025,104.745,17.003,104.741,16.91,104.748,16.868,104.766,16.799,104.756,16.716,104.777,16.694,104.777,16.614,104.752,16.549,104.748,16.511,104.766,16.454,104.856,16.403,104.889,16.353,104.907,16.284,105.008,16.258,105.026,16.165,105.033,16.121,105.058,16.106,105.08,16.05,105.238,16.047,105.288,16.018,105.404,15.995,105.418,15.981,105.386,15.954,105.364,15.919,105.36,15.882,105.371,15.784,105.422,15.765,105.447,15.767,105.504,15.75,105.569,15.721,105.612,15.682,105.641,15.635,105.652,15.583,105.641,15.522,105.616,15.439,105.605,15.402,105.551,15.375,105.486,15.335,105.483,15.324,105.497,15.324,105.558,15.272,105.566,15.232,105.504,15.176,105.454,15.112,105.443,15.051,105.522,14.995,105.566,14.99,105.594,14.953,105.544,14.934,105.533,14.902,105.551,14.88,105.544,14.879,105.522,14.836,105.526,14.828,105.501,14.764,105.49,14.737,105.504,14.659,105.497,14.593,105.512,14.565,105.508,14.495,105.465,14.468,105.432,14.435,105.422,14.414,105.368,14.386,105.335,14.394,105.288,14.364,105.267,14.345,105.184,14.33,105.155,14.281,105.134,14.23,105.101,14.213,105.047,14.244,105.008,14.301,104.975,14.38,104.975,14.396,104.9,14.414,104.867,14.411,104.838,14.438,104.788,14.44,104.77,14.409,104.727,14.431,104.684,14.409,104.669,14.419,104.626,14.409,104.594,14.38,104.576,14.36,104.543,14.372,104.482,14.357,104.46,14.377,104.324,14.401,104.248,14.379,104.201,14.396,104.172,14.365,104.14,14.38,104.111,14.352,104.036,14.345,104,14.367,103.974,14.365,103.92,14.342,103.902,14.343,103.87,14.364,103.838,14.367,103.776,14.396,103.672,14.429,103.672,14.445,103.647,14.404,103.596,14.423,103.55,14.401,103.496,14.374,103.456,14.386,103.424,14.353,103.362,14.352,103.272,14.328,103.197,14.32,103.139,14.296,103.085,14.218,102.988,14.201,102.934,14.169,102.912,14.132,102.912,14.071,102.876,14.021,102.869,14.004,102.855,13.936,102.772,13.904,102.754,13.832,102.729,13.81,102.711,13.762,102.7,13.742,102.675,13.693,102.574,13.67,102.542,13.649,102.542,13.605,102.599,13.567,102.513,13.562,102.452,13.568,102.372,13.565,102.333,13.541,102.315,13.504,102.329,13.406,102.333,13.345,102.326,13.273,102.329,13.136,102.383,13.102,102.401,13.052,102.448,13.019,102.462,12.996,102.491,12.969,102.466,12.954,102.48,12.938,102.466,12.844,102.484,12.8,102.506,12.746,102.495,12.719,102.477,12.677,102.48,12.65,102.502,12.631,102.56,12.609,102.588,12.535,102.664,12.52,102.689,12.481,102.704,12.449,102.75,12.417,102.765,12.38,102.732,12.342,102.714,12.179,102.693,12.138,102.7,12.06,102.75,12.037,102.772,11.952,102.797,11.866,102.844,11.765,102.912,11.726,102.927,11.669,102.93,11.647,102.912]],
+    [[9.379,97.872,9.379,97.872,9.379,97.872,9.379,97.872]],
+    [[9.543,99.698,9.543,99.698,9.543,99.698,9.543,99.698]],
+    [[9.62,99.683,9.62,99.683,9.62,99.683,9.62,99.683]],
+    [[6.574,99.248,6.574,99.248,6.574,99.248,6.574,99.248]],
+    [[6.517,99.672,6.517,99.672,6.517,99.672,6.517,99.672]],
+    [[7.267,99.406,7.267,99.406,7.267,99.406,7.267,99.406]],
+    [[7.645,99.035,7.645,99.035,7.645,99.035,7.645,99.035]],
+    [[7.657,99.125,7.657,99.125,7.657,99.125,7.657,99.125]],
+    [[8.106,98.542,8.106,98.542,8.106,98.542,8.106,98.542]],
+    [[7.903,98.42,7.903,98.42,7.903,98.42,7.903,98.42]],
+    [[8.172,98.639,8.172,98.639,8.172,98.639,8.172,98.639]],
+    [[9.146,98.297,9.146,98.297,9.146,98.297,9.146,98.297]],
+    [[9.587,100.068,9.587,100.068,9.587,100.068,9.587,100.068]],
+    [[9.769,98.412,9.769,98.412,9.769,98.412,9.769,98.412]],
+    [[9.796,100.036,9.796,100.036,9.796,100.036,9.796,100.036]],
+    [[11.707,102.563,11.707,102.563,11.707,102.563,11.707,102.563]],
+    [[12.043,102.401,12.043,102.401,12.043,102.401,12.043,102.401]],
+    [[9.425,97.869,9.425,97.869,9.425,97.869,9.425,97.869]],
+    [[9.004,98.29,9.004,98.29,9.004,98.29,9.004,98.29]],
+  ],
+  SG: [
+    [[1.39,103.96,1.373,104.003,1.318,103.953,1.309,103.906,1.264,103.827,1.274,103.784,1.297,103.755,1.309,103.647,1.338,103.643,1.38,103.676,1.411,103.683,1.429,103.708,1.431,103.762,1.449,103.805,1.439,103.856,1.39,103.96]],
+  ],
+  MY: [
+    [[4.163,117.705,4.156,117.907,4.158,117.737,4.163,117.705]],
+    [[6.257,102.074,5.382,103.121,4.806,103.449,2.962,103.434,2.655,103.751,1.367,104.277,1.507,103.395,2.849,101.285,3.275,101.296,3.899,100.702,6.012,100.349,6.442,100.126,6.505,100.148,6.539,100.144,6.581,100.166,6.62,100.155,6.704,100.173,6.689,100.212,6.701,100.263,6.689,100.281,6.576,100.317,6.54,100.349,6.513,100.425,6.513,100.468,6.481,100.518,6.444,100.63,6.448,100.648,6.493,100.713,6.493,100.731,6.451,100.742,6.448,100.774,6.415,100.806,6.345,100.814,6.324,100.828,6.26,100.821,6.236,100.832,6.248,100.857,6.24,100.929,6.269,100.954,6.272,100.976,6.242,101.022,6.252,101.069,6.233,101.087,6.189,101.091,6.174,101.066,6.135,101.051,6.105,101.087,6.086,101.094,6.047,101.087,5.99,101.087,5.919,101.073,5.899,101.015,5.792,100.965,5.737,100.99,5.725,101.037,5.688,101.08,5.637,101.105,5.639,101.148,5.681,101.213,5.72,101.235,5.787,101.249,5.803,101.278,5.809,101.318,5.851,101.393,5.906,101.534,5.906,101.58,5.873,101.598,5.855,101.634,5.828,101.631,5.782,101.649,5.762,101.688,5.787,101.728,5.75,101.764,5.74,101.8,5.781,101.825,5.797,101.854,5.824,101.868,5.86,101.912,5.941,101.919,5.981,101.933,6.012,101.958,6.068,102.034,6.095,102.059,6.127,102.07,6.204,102.066,6.257,102.074]],
+    [[4.909,115.145,5.212,115.606,7.025,116.765,6.581,116.823,6.637,117.295,5.201,119.267,4.882,118.137,4.443,118.645,4.16,117.568,4.173,117.543,4.171,117.514,4.185,117.435,4.2,117.413,4.259,117.356,4.327,117.237,4.354,117.215,4.354,117.19,4.333,117.165,4.33,116.981,4.345,116.924,4.345,116.884,4.33,116.805,4.339,116.765,4.367,116.711,4.34,116.679,4.333,116.643,4.344,116.614,4.332,116.578,4.396,116.535,4.364,116.495,4.325,116.495,4.311,116.47,4.317,116.445,4.291,116.423,4.295,116.391,4.355,116.359,4.357,116.337,4.384,116.312,4.355,116.229,4.379,116.125,4.345,116.11,4.325,116.081,4.278,116.035,4.276,116.006,4.322,115.984,4.344,115.941,4.352,115.88,4.382,115.865,4.376,115.829,4.281,115.819,4.222,115.757,4.239,115.732,4.185,115.675,4.17,115.646,4.129,115.635,3.997,115.61,3.947,115.581,3.921,115.538,3.898,115.538,3.857,115.588,3.825,115.588,3.709,115.552,3.668,115.545,3.606,115.549,3.545,115.574,3.504,115.574,3.43,115.603,3.417,115.585,3.425,115.556,3.403,115.534,3.357,115.516,3.207,115.484,3.189,115.484,3.157,115.516,3.111,115.484,3.032,115.466,3.02,115.408,2.991,115.34,2.986,115.311,2.999,115.282,3.038,115.257,3.042,115.243,2.967,115.196,2.929,115.138,2.891,115.109,2.847,115.091,2.829,115.066,2.761,115.106,2.738,115.095,2.711,115.055,2.672,115.073,2.609,115.055,2.594,115.07,2.608,115.117,2.598,115.153,2.574,115.178,2.51,115.207,2.483,115.171,2.479,115.127,2.424,115.066,2.407,115.034,2.358,114.973,2.361,114.933,2.332,114.915,2.284,114.915,2.265,114.811,2.246,114.778,2.208,114.764,2.135,114.753,2.099,114.771,2.059,114.771,2.035,114.782,2.045,114.832,2.025,114.847,1.959,114.829,1.902,114.832,1.868,114.764,1.861,114.71,1.85,114.688,1.821,114.67,1.763,114.681,1.694,114.67,1.642,114.649,1.581,114.609,1.537,114.562,1.47,114.569,1.449,114.562,1.429,114.523,1.436,114.501,1.492,114.422,1.503,114.397,1.502,114.357,1.439,114.206,1.424,114.159,1.454,114.13,1.466,114.094,1.465,114.055,1.443,113.911,1.416,113.867,1.34,113.81,1.233,113.648,1.228,113.626,1.242,113.597,1.301,113.547,1.314,113.525,1.309,113.482,1.292,113.443,1.294,113.399,1.351,113.324,1.368,113.277,1.389,113.158,1.431,113.09,1.434,113.05,1.416,112.957,1.434,112.96,1.458,112.993,1.492,113.018,1.537,113.025,1.551,113.014,1.573,112.957,1.571,112.906,1.583,112.856,1.544,112.795,1.552,112.769,1.568,112.471,1.562,112.445,1.524,112.399,1.503,112.294,1.449,112.179,1.434,112.161,1.4,112.157,1.392,112.19,1.306,112.154,1.156,112.1,1.134,112.053,1.134,111.974,1.113,111.909,1.009,111.823,0.993,111.761,1.031,111.657,1.031,111.621,0.999,111.538,0.958,111.502,1.014,111.484,1.022,111.455,1.01,111.416,1.014,111.351,1.073,111.218,1.074,111.196,1.017,110.973,1.01,110.879,0.997,110.854,0.95,110.797,0.907,110.786,0.914,110.757,0.897,110.725,0.901,110.703,0.877,110.674,0.874,110.649,0.894,110.613,0.872,110.595,0.852,110.555,0.857,110.505,0.909,110.422,0.982,110.365,0.999,110.3,0.995,110.264,1.039,110.257,1.112,110.206,1.174,110.17,1.184,110.152,1.191,110.095,1.215,110.051,1.253,110.03,1.287,109.976,1.319,109.95,1.378,109.932,1.404,109.904,1.404,109.842,1.417,109.824,1.466,109.799,1.458,109.774,1.497,109.767,1.573,109.677,1.637,109.641,1.762,109.648,1.78,109.641,1.789,109.58,1.802,109.554,1.846,109.533,1.89,109.529,1.917,109.536,1.949,109.576,2.03,109.626,2.083,109.644,1.689,109.943,1.556,111.005,2.68,111.441,3.162,113.007,4.274,113.947,4.602,114.001,4.57,114.065,4.561,114.119,4.507,114.209,4.487,114.217,4.482,114.245,4.409,114.278,4.317,114.296,4.295,114.278,4.264,114.281,4.254,114.361,4.261,114.418,4.247,114.433,4.165,114.461,4.144,114.476,4.065,114.569,4.021,114.587,4.016,114.627,4.045,114.674,4.133,114.767,4.207,114.785,4.241,114.811,4.278,114.814,4.264,114.782,4.284,114.782,4.323,114.818,4.357,114.836,4.423,114.847,4.433,114.807,4.462,114.789,4.497,114.782,4.615,114.778,4.658,114.767,4.713,114.742,4.73,114.742,4.764,114.807,4.796,114.839,4.813,114.879,4.81,114.933,4.835,114.955,4.867,114.958,4.889,114.983,4.821,115.03,4.742,115.023,4.659,115.027,4.621,115.034,4.543,115.07,4.504,115.081,4.406,115.091,4.382,115.113,4.36,115.171,4.36,115.221,4.339,115.253,4.34,115.275,4.315,115.325,4.33,115.361,4.372,115.343,4.404,115.307,4.435,115.286,4.475,115.271,4.556,115.268,4.614,115.279,4.825,115.207,4.862,115.181,4.886,115.145,4.909,115.145]],
+    [[5.855,118.22,5.855,118.22,5.855,118.22,5.855,118.22]],
+    [[2.392,111.412,2.392,111.412,2.392,111.412,2.392,111.412]],
+    [[2.785,104.223,2.785,104.223,2.785,104.223,2.785,104.223]],
+    [[4.492,118.727,4.492,118.727,4.492,118.727,4.492,118.727]],
+    [[4.649,118.511,4.649,118.511,4.649,118.511,4.649,118.511]],
+    [[5.365,115.25,5.365,115.25,5.365,115.25,5.365,115.25]],
+    [[5.451,100.31,5.451,100.31,5.451,100.31,5.451,100.31]],
+    [[6.242,99.788,6.242,99.788,6.242,99.788,6.242,99.788]],
+    [[6.365,99.899,6.365,99.899,6.365,99.899,6.365,99.899]],
+    [[6.767,117.467,6.767,117.467,6.767,117.467,6.767,117.467]],
+    [[7.356,117.003,7.356,117.003,7.356,117.003,7.356,117.003]],
+    [[7.342,117.172,7.342,117.172,7.342,117.172,7.342,117.172]],
+    [[3.047,101.271,3.047,101.271,3.047,101.271,3.047,101.271]],
+    [[3.052,101.339,3.052,101.339,3.052,101.339,3.052,101.339]],
+  ],
+  ID: [
+    [[4.163,117.705,4.158,117.737,4.156,117.907,4.163,117.705]],
+    [[-9.18,124.451,-8.962,124.919,-8.986,124.923,-9.02,124.909,-9.054,124.912,-9.079,124.948,-9.072,124.981,-9.023,125.067,-8.986,125.085,-9.04,125.153,-9.082,125.161,-9.145,125.146,-9.175,125.153,-9.189,125.143,-9.189,125.107,-9.211,125.074,-9.187,125.027,-9.192,124.973,-9.212,124.959,-9.276,124.959,-9.305,124.973,-9.346,125.024,-9.374,125.024,-9.425,125.053,-9.486,125.06,-10.163,124.419,-10.355,123.469,-9.342,124.03,-9.398,124.063,-9.422,124.091,-9.42,124.135,-9.391,124.153,-9.373,124.196,-9.391,124.225,-9.422,124.246,-9.462,124.257,-9.499,124.257,-9.489,124.311,-9.467,124.333,-9.434,124.329,-9.405,124.347,-9.374,124.347,-9.332,124.401,-9.29,124.433,-9.18,124.451]],
+    [[4.16,117.568,3.722,117.831,3.616,117.201,2.278,118.101,1.897,117.856,0.963,119.005,0.792,117.788,-0.525,117.442,-1.23,116.985,-1.482,116.539,-2.193,116.607,-3.61,115.966,-4.17,114.623,-3.488,114.487,-3.456,113.633,-2.922,113.036,-3.437,112.525,-3.545,111.823,-2.813,111.736,-3.003,110.264,-1.286,110.03,-0.854,109.274,0.833,108.856,1.561,109.097,2.083,109.644,2.03,109.626,1.949,109.576,1.917,109.536,1.89,109.529,1.846,109.533,1.802,109.554,1.789,109.58,1.78,109.641,1.762,109.648,1.637,109.641,1.573,109.677,1.497,109.767,1.458,109.774,1.466,109.799,1.417,109.824,1.404,109.842,1.404,109.904,1.378,109.932,1.319,109.95,1.287,109.976,1.253,110.03,1.215,110.051,1.191,110.095,1.184,110.152,1.174,110.17,1.112,110.206,1.039,110.257,0.995,110.264,0.999,110.3,0.982,110.365,0.909,110.422,0.857,110.505,0.852,110.555,0.872,110.595,0.894,110.613,0.874,110.649,0.877,110.674,0.901,110.703,0.897,110.725,0.914,110.757,0.907,110.786,0.95,110.797,0.997,110.854,1.01,110.879,1.017,110.973,1.074,111.196,1.073,111.218,1.014,111.351,1.01,111.416,1.022,111.455,1.014,111.484,0.958,111.502,0.999,111.538,1.031,111.621,1.031,111.657,0.993,111.761,1.009,111.823,1.113,111.909,1.134,111.974,1.134,112.053,1.156,112.1,1.306,112.154,1.392,112.19,1.4,112.157,1.434,112.161,1.449,112.179,1.503,112.294,1.524,112.399,1.562,112.445,1.568,112.471,1.552,112.769,1.544,112.795,1.583,112.856,1.571,112.906,1.573,112.957,1.551,113.014,1.537,113.025,1.492,113.018,1.458,112.993,1.434,112.96,1.416,112.957,1.434,113.05,1.431,113.09,1.389,113.158,1.368,113.277,1.351,113.324,1.294,113.399,1.292,113.443,1.309,113.482,1.314,113.525,1.301,113.547,1.242,113.597,1.228,113.626,1.233,113.648,1.34,113.81,1.416,113.867,1.443,113.911,1.465,114.055,1.466,114.094,1.454,114.13,1.424,114.159,1.439,114.206,1.502,114.357,1.503,114.397,1.492,114.422,1.436,114.501,1.429,114.523,1.449,114.562,1.47,114.569,1.537,114.562,1.581,114.609,1.642,114.649,1.694,114.67,1.763,114.681,1.821,114.67,1.85,114.688,1.861,114.71,1.868,114.764,1.902,114.832,1.959,114.829,2.025,114.847,2.045,114.832,2.035,114.782,2.059,114.771,2.099,114.771,2.135,114.753,2.208,114.764,2.246,114.778,2.265,114.811,2.284,114.915,2.332,114.915,2.361,114.933,2.358,114.973,2.407,115.034,2.424,115.066,2.479,115.127,2.483,115.171,2.51,115.207,2.574,115.178,2.598,115.153,2.608,115.117,2.594,115.07,2.609,115.055,2.672,115.073,2.711,115.055,2.738,115.095,2.761,115.106,2.829,115.066,2.847,115.091,2.891,115.109,2.929,115.138,2.967,115.196,3.042,115.243,3.038,115.257,2.999,115.282,2.986,115.311,2.991,115.34,3.02,115.408,3.032,115.466,3.111,115.484,3.157,115.516,3.189,115.484,3.207,115.484,3.357,115.516,3.403,115.534,3.425,115.556,3.417,115.585,3.43,115.603,3.504,115.574,3.545,115.574,3.606,115.549,3.668,115.545,3.709,115.552,3.825,115.588,3.857,115.588,3.898,115.538,3.921,115.538,3.947,115.581,3.997,115.61,4.129,115.635,4.17,115.646,4.185,115.675,4.239,115.732,4.222,115.757,4.281,115.819,4.376,115.829,4.382,115.865,4.352,115.88,4.344,115.941,4.322,115.984,4.276,116.006,4.278,116.035,4.325,116.081,4.345,116.11,4.379,116.125,4.355,116.229,4.384,116.312,4.357,116.337,4.355,116.359,4.295,116.391,4.291,116.423,4.317,116.445,4.311,116.47,4.325,116.495,4.364,116.495,4.396,116.535,4.332,116.578,4.344,116.614,4.333,116.643,4.34,116.679,4.367,116.711,4.339,116.765,4.33,116.805,4.345,116.884,4.345,116.924,4.33,116.981,4.333,117.165,4.354,117.19,4.354,117.215,4.327,117.237,4.259,117.356,4.2,117.413,4.185,117.435,4.171,117.514,4.173,117.543,4.16,117.568]],
+    [[-2.6,140.976,-2.808,140.976,-3.002,140.972,-3.8,140.972,-4.003,140.976,-6.335,140.976,-6.379,140.954,-6.394,140.968,-6.431,140.954,-6.44,140.922,-6.467,140.932,-6.48,140.954,-6.507,140.943,-6.527,140.918,-6.553,140.918,-6.565,140.893,-6.59,140.904,-6.609,140.86,-6.624,140.85,-6.649,140.864,-6.703,140.85,-6.754,140.886,-6.779,140.871,-6.813,140.9,-6.864,140.914,-6.857,140.94,-6.889,140.943,-6.897,140.976,-8.436,140.976,-8.611,140.979,-8.799,140.979,-8.991,140.976,-9.106,140.976,-8.108,139.932,-8.138,138.837,-7.596,139.089,-6.919,138.56,-6.845,138.942,-6.403,138.466,-5.486,138.027,-4.94,137.282,-4.52,135.972,-4.449,135.187,-3.461,133.642,-4.052,133.268,-2.676,132.202,-2.637,133.466,-2.237,133.646,-2.271,132.346,-1.602,131.896,-1.447,130.96,-0.82,131.245,-0.361,132.71,-0.724,133.39,-0.724,133.977,-1.35,134.283,-2.114,134.121,-2.855,134.463,-2.465,134.557,-3.329,134.985,-3.363,135.471,-2.211,136.429,-2.075,137.228,-1.788,137.142,-1.484,137.793,-2.372,139.863,-2.6,140.976]],
+    [[-8.447,113.396,-8.447,113.396,-8.447,113.396,-8.447,113.396]],
+    [[-8.425,123.145,-8.425,123.145,-8.425,123.145,-8.425,123.145]],
+    [[-8.252,128.231,-8.252,128.231,-8.252,128.231,-8.252,128.231]],
+    [[-8.208,129.031,-8.208,129.031,-8.208,129.031,-8.208,129.031]],
+    [[-8.159,127.742,-8.159,127.742,-8.159,127.742,-8.159,127.742]],
+    [[-8.149,117.665,-8.149,117.665,-8.149,117.665,-8.149,117.665]],
+    [[-8.027,127.216,-8.027,127.216,-8.027,127.216,-8.027,127.216]],
+    [[-7.628,131.104,-7.628,131.104,-7.628,131.104,-7.628,131.104]],
+    [[-7.534,130.968,-7.534,130.968,-7.534,130.968,-7.534,130.968]],
+    [[-7.404,131.176,-7.404,131.176,-7.404,131.176,-7.404,131.176]],
+    [[-7.33,131.284,-7.33,131.284,-7.33,131.284,-7.33,131.284]],
+    [[-7.282,120.959,-7.282,120.959,-7.282,120.959,-7.282,120.959]],
+    [[-7.076,120.758,-7.076,120.758,-7.076,120.758,-7.076,120.758]],
+    [[-6.779,138.754,-6.779,138.754,-6.779,138.754,-6.779,138.754]],
+    [[-6.679,131.598,-6.679,131.598,-6.679,131.598,-6.679,131.598]],
+    [[-6.588,134.708,-6.588,134.708,-6.588,134.708,-6.588,134.708]],
+    [[-6.421,134.607,-6.421,134.607,-6.421,134.607,-6.421,134.607]],
+    [[-6.288,134.841,-6.288,134.841,-6.288,134.841,-6.288,134.841]],
+    [[-6.254,134.377,-6.254,134.377,-6.254,134.377,-6.254,134.377]],
+    [[-7.838,109.907,-7.61,108.874,-7.818,108.327,-7.495,107.412,-7.411,106.523,-7.054,106.541,-6.809,105.454,-5.893,106.019,-5.915,107.045,-6.327,108.093,-6.762,108.604,-6.946,110.473,-6.5,110.671,-6.926,112.604,-7.53,112.762,-7.785,113.324,-7.618,114.015,-7.831,114.469,-8.775,114.598,-8.309,113.324,-8.447,112.672,-8.111,110.476,-7.838,109.907]],
+    [[-5.962,124.066,-5.962,124.066,-5.962,124.066,-5.962,124.066]],
+    [[-5.609,132.796,-5.609,132.796,-5.609,132.796,-5.609,132.796]],
+    [[-5.514,132.318,-5.514,132.318,-5.514,132.318,-5.514,132.318]],
+    [[-5.514,123.778,-5.514,123.778,-5.514,123.778,-5.514,123.778]],
+    [[-5.246,123.541,-5.246,123.541,-5.246,123.541,-5.246,123.541]],
+    [[-4.53,129.927,-4.53,129.927,-4.53,129.927,-4.53,129.927]],
+    [[-3.821,127.234,-3.821,127.234,-3.821,127.234,-3.821,127.234]],
+    [[-3.512,122.32,-3.512,122.32,-3.512,122.32,-3.512,122.32]],
+    [[-3.453,132.703,-3.453,132.703,-3.453,132.703,-3.453,132.703]],
+    [[-3.419,122.439,-3.419,122.439,-3.419,122.439,-3.419,122.439]],
+    [[-3.307,127.616,-3.307,127.616,-3.307,127.616,-3.307,127.616]],
+    [[-3.162,127.771,-3.162,127.771,-3.162,127.771,-3.162,127.771]],
+    [[-2.917,127.954,-2.917,127.954,-2.917,127.954,-2.917,127.954]],
+    [[-2.019,123.875,-2.019,123.875,-2.019,123.875,-2.019,123.875]],
+    [[-1.96,124.351,-1.96,124.351,-1.96,124.351,-1.96,124.351]],
+    [[-1.909,123.656,-1.909,123.656,-1.909,123.656,-1.909,123.656]],
+    [[-1.908,123.739,-1.908,123.739,-1.908,123.739,-1.908,123.739]],
+    [[-1.713,108.676,-1.713,108.676,-1.713,108.676,-1.713,108.676]],
+    [[-1.367,127.371,-1.367,127.371,-1.367,127.371,-1.367,127.371]],
+    [[-1.257,109.169,-1.257,109.169,-1.257,109.169,-1.257,109.169]],
+    [[-1.17,109.256,-1.17,109.256,-1.17,109.256,-1.17,109.256]],
+    [[-0.271,104.478,-0.271,104.478,-0.271,104.478,-0.271,104.478]],
+    [[0.291,102.84,0.291,102.84,0.291,102.84,0.291,102.84]],
+    [[0.624,103.078,0.624,103.078,0.624,103.078,0.624,103.078]],
+    [[0.701,103.506,0.701,103.506,0.701,103.506,0.701,103.506]],
+    [[0.792,103.114,0.792,103.114,0.792,103.114,0.792,103.114]],
+    [[0.798,104.565,0.798,104.565,0.798,104.565,0.798,104.565]],
+    [[0.84,103.668,0.84,103.668,0.84,103.668,0.84,103.668]],
+    [[0.919,103.463,0.919,103.463,0.919,103.463,0.919,103.463]],
+    [[1.073,120.65,1.073,120.65,1.073,120.65,1.073,120.65]],
+    [[1.08,120.376,1.08,120.376,1.08,120.376,1.08,120.376]],
+    [[-0.874,119.847,0.196,119.793,0.735,120.045,0.781,120.556,1.326,120.833,1.063,121.633,0.831,123.929,1.679,125.175,0.448,124.466,0.266,123.634,0.516,123.073,0.478,120.376,-0.209,119.995,-1.394,120.675,-1.406,121.107,-0.859,121.499,-0.758,123.454,-0.925,122.813,-1.492,122.371,-1.923,121.539,-2.927,122.313,-3.557,122.201,-4.369,122.907,-4.657,121.485,-4.087,121.629,-3.539,120.895,-2.759,121.082,-2.958,120.203,-3.26,120.409,-5.509,120.322,-5.656,119.57,-5.356,119.354,-4.564,119.591,-3.495,119.498,-3.566,118.925,-2.63,118.807,-1.97,119.336,-1.215,119.329,-0.874,119.847]],
+    [[2.265,127.785,2.265,127.785,2.265,127.785,2.265,127.785]],
+    [[2.368,128.192,2.368,128.192,2.368,128.192,2.368,128.192]],
+    [[1.826,100.947,2.299,100.886,1.387,102.117,0.774,102.462,0.531,103.391,-0.013,103.791,-0.695,103.344,-1.073,103.83,-1.031,104.378,-1.854,104.536,-2.284,104.882,-2.416,105.634,-3.047,106.055,-5.828,105.782,-5.465,105.31,-5.921,104.716,-4.952,103.694,-3.991,102.311,-2.141,100.832,-0.817,100.302,-0.03,99.748,0.262,99.14,1.936,98.535,2.392,97.664,2.875,97.592,3.749,96.76,3.825,96.429,4.696,95.525,5.293,95.198,5.649,95.414,5.225,96.36,5.252,97.498,3.726,98.798,3.18,99.752,2.545,100.108,1.826,100.947]],
+    [[-9.96,120.794,-10.31,120.448,-9.57,118.94,-9.288,119.944,-9.96,120.794]],
+    [[-8.667,115.549,-8.667,115.549,-8.667,115.549,-8.667,115.549]],
+    [[-8.621,119.725,-8.621,119.725,-8.621,119.725,-8.621,119.725]],
+    [[-8.518,119.559,-8.518,119.559,-8.518,119.559,-8.518,119.559]],
+    [[-8.268,123.35,-8.268,123.35,-8.268,123.35,-8.268,123.35]],
+    [[-8.275,116.632,-8.91,116.434,-8.446,116.027,-8.275,116.632]],
+    [[-8.132,119.087,-8.132,119.087,-8.132,119.087,-8.132,119.087]],
+    [[-8.611,119.203,-9.108,117.01,-8.508,116.837,-8.405,117.557,-8.711,117.788,-8.341,118.252,-8.321,118.997,-8.611,119.203]],
+    [[-8.289,123.026,-8.584,122.849,-8.885,121.795,-8.763,119.811,-8.292,120.214,-8.603,121.51,-8.633,122.288,-8.289,123.026]],
+    [[-8.289,115.621,-8.821,115.235,-8.094,114.454,-8.289,115.621]],
+    [[-7.758,109.018,-7.758,109.018,-7.758,109.018,-7.758,109.018]],
+    [[-6.904,115.57,-6.904,115.57,-6.904,115.57,-6.904,115.57]],
+    [[-5.725,112.701,-5.725,112.701,-5.725,112.701,-5.725,112.701]],
+    [[-5.405,102.405,-5.405,102.405,-5.405,102.405,-5.405,102.405]],
+    [[-4.765,115.847,-4.765,115.847,-4.765,115.847,-4.765,115.847]],
+    [[-3.393,116.398,-3.393,116.398,-3.393,116.398,-3.393,116.398]],
+    [[-3.718,116.305,-3.718,116.305,-3.718,116.305,-3.718,116.305]],
+    [[-3.122,100.508,-3.122,100.508,-3.122,100.508,-3.122,100.508]],
+    [[-3.184,100.4,-3.184,100.4,-3.184,100.4,-3.184,100.4]],
+    [[-2.693,100.205,-2.693,100.205,-2.693,100.205,-2.693,100.205]],
+    [[-2.293,99.824,-2.293,99.824,-2.293,99.824,-2.293,99.824]],
+    [[-1.573,108.964,-1.573,108.964,-1.573,108.964,-1.573,108.964]],
+    [[-1.104,109.76,-1.104,109.76,-1.104,109.76,-1.104,109.76]],
+    [[-1.636,99.273,-1.198,98.592,-0.913,98.884,-1.636,99.273]],
+    [[-0.46,98.502,-0.46,98.502,-0.46,98.502,-0.46,98.502]],
+    [[-0.158,98.481,-0.158,98.481,-0.158,98.481,-0.158,98.481]],
+    [[0.625,103.294,0.625,103.294,0.625,103.294,0.625,103.294]],
+    [[0.818,103.517,0.818,103.517,0.818,103.517,0.818,103.517]],
+    [[0.887,103.82,0.887,103.82,0.887,103.82,0.887,103.82]],
+    [[0.777,103.488,0.777,103.488,0.777,103.488,0.777,103.488]],
+    [[0.853,103.802,0.853,103.802,0.853,103.802,0.853,103.802]],
+    [[0.997,103.942,0.997,103.942,0.997,103.942,0.997,103.942]],
+    [[1.032,104.799,1.032,104.799,1.032,104.799,1.032,104.799]],
+    [[1.037,107.564,1.037,107.564,1.037,107.564,1.037,107.564]],
+    [[1.012,103.442,1.012,103.442,1.012,103.442,1.012,103.442]],
+    [[0.798,103.049,0.798,103.049,0.798,103.049,0.798,103.049]],
+    [[0.928,103.125,0.928,103.125,0.928,103.125,0.928,103.125]],
+    [[1.161,104.147,1.161,104.147,1.161,104.147,1.161,104.147]],
+    [[1.096,104.655,1.096,104.655,1.096,104.655,1.096,104.655]],
+    [[1.242,102.473,1.242,102.473,1.242,102.473,1.242,102.473]],
+    [[1.363,102.495,1.363,102.495,1.363,102.495,1.363,102.495]],
+    [[1.682,98.556,1.682,98.556,1.682,98.556,1.682,98.556]],
+    [[2.059,97.152,2.059,97.152,2.059,97.152,2.059,97.152]],
+    [[2.059,101.721,2.059,101.721,2.059,101.721,2.059,101.721]],
+    [[2.126,96.645,2.126,96.645,2.126,96.645,2.126,96.645]],
+    [[2.147,97.329,2.147,97.329,2.147,97.329,2.147,97.329]],
+    [[2.245,118.601,2.245,118.601,2.245,118.601,2.245,118.601]],
+    [[2.532,109.108,2.532,109.108,2.532,109.108,2.532,109.108]],
+    [[2.76,106.242,2.76,106.242,2.76,106.242,2.76,106.242]],
+    [[2.415,96.479,2.415,96.479,2.415,96.479,2.415,96.479]],
+    [[2.974,108.842,2.974,108.842,2.974,108.842,2.974,108.842]],
+    [[3.015,107.808,3.015,107.808,3.015,107.808,3.015,107.808]],
+    [[2.998,105.803,2.998,105.803,2.998,105.803,2.998,105.803]],
+    [[3.178,106.286,3.178,106.286,3.178,106.286,3.178,106.286]],
+    [[3.334,117.503,3.334,117.503,3.334,117.503,3.334,117.503]],
+    [[3.361,106.271,3.361,106.271,3.361,106.271,3.361,106.271]],
+    [[3.439,117.626,3.439,117.626,3.439,117.626,3.439,117.626]],
+    [[3.498,117.892,3.498,117.892,3.498,117.892,3.498,117.892]],
+    [[3.477,117.518,3.477,117.518,3.477,117.518,3.477,117.518]],
+    [[3.8,117.845,3.8,117.845,3.8,117.845,3.8,117.845]],
+    [[4.111,117.698,4.111,117.698,4.111,117.698,4.111,117.698]],
+    [[3.874,108.395,3.874,108.395,3.874,108.395,3.874,108.395]],
+    [[4.772,108.006,4.772,108.006,4.772,108.006,4.772,108.006]],
+    [[5.629,95.176,5.629,95.176,5.629,95.176,5.629,95.176]],
+    [[5.711,95.115,5.711,95.115,5.711,95.115,5.711,95.115]],
+    [[5.897,95.342,5.897,95.342,5.897,95.342,5.897,95.342]],
+    [[-10.592,123.389,-10.592,123.389,-10.592,123.389,-10.592,123.389]],
+    [[-10.43,121.939,-10.43,121.939,-10.43,121.939,-10.43,121.939]],
+    [[-10.149,123.465,-10.149,123.465,-10.149,123.465,-10.149,123.465]],
+    [[-8.228,123.929,-8.228,123.929,-8.228,123.929,-8.228,123.929]],
+    [[-8.221,124.307,-8.221,124.307,-8.221,124.307,-8.221,124.307]],
+    [[-8.338,138.898,-8.338,138.898,-8.338,138.898,-8.338,138.898]],
+    [[-8.218,125.135,-8.461,124.369,-8.138,124.462,-8.218,125.135]],
+    [[-8.132,128.091,-8.132,128.091,-8.132,128.091,-8.132,128.091]],
+    [[-8.132,131.108,-8.132,131.108,-8.132,131.108,-8.132,131.108]],
+    [[-7.878,129.841,-7.878,129.841,-7.878,129.841,-7.878,129.841]],
+    [[-7.726,126.838,-8.008,125.773,-7.667,125.956,-7.726,126.838]],
+    [[-7.527,127.472,-7.527,127.472,-7.527,127.472,-7.527,127.472]],
+    [[-7.542,138.938,-8.076,138.906,-8.38,138.445,-8.425,137.638,-7.61,138.027,-7.542,138.938]],
+    [[-7.227,131.698,-8.018,131.317,-7.85,131.09,-7.227,131.698]],
+    [[-7.189,131.983,-7.189,131.983,-7.189,131.983,-7.189,131.983]],
+    [[-7.137,128.671,-7.137,128.671,-7.137,128.671,-7.137,128.671]],
+    [[-6.914,114.047,-7.233,113.551,-7.159,112.726,-6.897,112.874,-6.914,114.047]],
+    [[-6.527,105.263,-6.527,105.263,-6.527,105.263,-6.527,105.263]],
+    [[-6.576,134.485,-6.919,134.186,-6.191,134.096,-6.576,134.485]],
+    [[-5.938,120.545,-5.938,120.545,-5.938,120.545,-5.938,120.545]],
+    [[-5.759,104.831,-5.759,104.831,-5.759,104.831,-5.759,104.831]],
+    [[-5.788,132.804,-5.788,132.804,-5.788,132.804,-5.788,132.804]],
+    [[-6.158,134.758,-6.083,134.276,-5.442,134.492,-6.158,134.758]],
+    [[-5.31,133.185,-5.31,133.185,-5.31,133.185,-5.31,133.185]],
+    [[-5.215,122.068,-5.215,122.068,-5.215,122.068,-5.215,122.068]],
+    [[-4.694,131.734,-4.694,131.734,-4.694,131.734,-4.694,131.734]],
+    [[-4.917,122.781,-5.428,122.543,-4.836,122.327,-4.917,122.781]],
+    [[-4.43,131.605,-4.43,131.605,-4.43,131.605,-4.43,131.605]],
+    [[-5.226,123.148,-5.508,122.569,-4.39,123.019,-5.226,123.148]],
+    [[-4.233,133.56,-4.233,133.56,-4.233,133.56,-4.233,133.56]],
+    [[-4.123,131.367,-4.123,131.367,-4.123,131.367,-4.123,131.367]],
+    [[-3.988,131.234,-3.988,131.234,-3.988,131.234,-3.988,131.234]],
+    [[-3.993,123.206,-3.993,123.206,-3.993,123.206,-3.993,123.206]],
+    [[-4.037,131.446,-4.037,131.446,-4.037,131.446,-4.037,131.446]],
+    [[-3.643,128.797,-3.643,128.797,-3.643,128.797,-3.643,128.797]],
+    [[-3.574,123.177,-3.574,123.177,-3.574,123.177,-3.574,123.177]],
+    [[-3.534,128.53,-3.534,128.53,-3.534,128.53,-3.534,128.53]],
+    [[-3.512,128.332,-3.512,128.332,-3.512,128.332,-3.512,128.332]],
+    [[-3.525,128.721,-3.525,128.721,-3.525,128.721,-3.525,128.721]],
+    [[-3.471,127.241,-3.865,126.698,-3.171,126.017,-3.074,126.838,-3.471,127.241]],
+    [[-2.929,106.908,-2.929,106.908,-2.929,106.908,-2.929,106.908]],
+    [[-2.86,107.099,-2.86,107.099,-2.86,107.099,-2.86,107.099]],
+    [[-2.868,107.394,-2.868,107.394,-2.868,107.394,-2.868,107.394]],
+    [[-3.574,130.874,-3.87,130.816,-3.297,129.545,-3.203,128.876,-3.463,128.483,-2.857,128.174,-2.958,129.121,-2.781,129.542,-3.13,130.59,-3.574,130.874]],
+    [[-2.635,131.601,-2.635,131.601,-2.635,131.601,-2.635,131.601]],
+    [[-2.848,108.294,-3.23,107.603,-2.585,107.654,-2.848,108.294]],
+    [[-2.416,134.582,-2.416,134.582,-2.416,134.582,-2.416,134.582]],
+    [[-2.004,134.384,-2.004,134.384,-2.004,134.384,-2.004,134.384]],
+    [[-2.384,126.068,-2.384,126.068,-2.384,126.068,-2.384,126.068]],
+    [[-1.95,123.857,-1.95,123.857,-1.95,123.857,-1.95,123.857]],
+    [[-1.82,126.331,-1.82,126.331,-1.82,126.331,-1.82,126.331]],
+    [[-1.766,123.134,-1.766,123.134,-1.766,123.134,-1.766,123.134]],
+    [[-1.739,134.236,-1.739,134.236,-1.739,134.236,-1.739,134.236]],
+    [[-1.889,130.388,-1.889,130.388,-1.889,130.388,-1.889,130.388]],
+    [[-1.779,125.315,-2.012,124.43,-1.668,124.387,-1.779,125.315]],
+    [[-1.766,136.85,-1.909,136.267,-1.61,135.421,-1.766,136.85]],
+    [[-2.561,106.768,-3.095,106.707,-2.821,105.987,-2.173,105.796,-1.936,105.155,-1.526,105.594,-1.583,106.041,-2.463,106.354,-2.561,106.768]],
+    [[-1.477,135.284,-1.477,135.284,-1.477,135.284,-1.477,135.284]],
+    [[-1.593,128.145,-1.632,127.378,-1.33,127.623,-1.593,128.145]],
+    [[-1.214,127.691,-1.214,127.691,-1.214,127.691,-1.214,127.691]],
+    [[-1.264,123.505,-1.585,122.875,-1.176,122.914,-1.264,123.505]],
+    [[-1.163,129.956,-1.163,129.956,-1.163,129.956,-1.163,129.956]],
+    [[-1.019,135,-1.019,135,-1.019,135,-1.019,135]],
+    [[-1.001,131.058,-1.001,131.058,-1.001,131.058,-1.001,131.058]],
+    [[-0.778,130.917,-0.778,130.917,-0.778,130.917,-0.778,130.917]],
+    [[-1.094,136.375,-1.148,135.846,-0.636,135.37,-1.094,136.375]],
+    [[-0.744,127.295,-0.744,127.295,-0.744,127.295,-0.744,127.295]],
+    [[-0.435,130.676,-0.435,130.676,-0.435,130.676,-0.435,130.676]],
+    [[-0.401,121.852,-0.401,121.852,-0.401,121.852,-0.401,121.852]],
+    [[-0.398,104.547,-0.398,104.547,-0.398,104.547,-0.398,104.547]],
+    [[-0.332,122.029,-0.332,122.029,-0.332,122.029,-0.332,122.029]],
+    [[-0.764,127.889,-0.764,127.889,-0.764,127.889,-0.764,127.889]],
+    [[-0.491,127.234,-0.491,127.234,-0.491,127.234,-0.491,127.234]],
+    [[-0.27,103.712,-0.27,103.712,-0.27,103.712,-0.27,103.712]],
+    [[-0.248,122.216,-0.248,122.216,-0.248,122.216,-0.248,122.216]],
+    [[-0.265,122.371,-0.265,122.371,-0.265,122.371,-0.265,122.371]],
+    [[-0.182,121.575,-0.182,121.575,-0.182,121.575,-0.182,121.575]],
+    [[-0.238,131.299,-0.432,130.543,-0.005,130.824,-0.238,131.299]],
+    [[-0.238,104.928,-0.238,104.928,-0.238,104.928,-0.238,104.928]],
+    [[-0.135,129.538,-0.135,129.538,-0.135,129.538,-0.135,129.538]],
+    [[-0.005,127.461,-0.005,127.461,-0.005,127.461,-0.005,127.461]],
+    [[0.071,104.496,0.071,104.496,0.071,104.496,0.071,104.496]],
+    [[0.071,104.687,0.071,104.687,0.071,104.687,0.071,104.687]],
+    [[0.338,104.406,0.338,104.406,0.338,104.406,0.338,104.406]],
+    [[0.379,127.4,0.379,127.4,0.379,127.4,0.379,127.4]],
+    [[0.708,104.216,0.708,104.216,0.708,104.216,0.708,104.216]],
+    [[0.624,127.378,0.624,127.378,0.624,127.378,0.624,127.378]],
+    [[0.708,104.284,0.708,104.284,0.708,104.284,0.708,104.284]],
+    [[0.784,127.371,0.784,127.371,0.784,127.371,0.784,127.371]],
+    [[0.88,104.226,0.88,104.226,0.88,104.226,0.88,104.226]],
+    [[0.997,97.93,0.573,97.703,1.382,97.127,1.546,97.35,0.997,97.93]],
+    [[1.552,125.294,1.552,125.294,1.552,125.294,1.552,125.294]],
+    [[-0.209,127.666,0.313,127.717,1.042,127.403,1.693,127.555,1.537,128.037,0.814,127.749,1.546,128.458,1.074,128.703,0.902,128.314,0.244,128.861,0.473,127.979,-0.05,127.904,-0.867,128.386,-0.209,127.666]],
+    [[2.388,125.431,2.388,125.431,2.388,125.431,2.388,125.431]],
+    [[2.484,128.685,2.484,128.685,2.484,128.685,2.484,128.685]],
+    [[2.793,125.445,2.793,125.445,2.793,125.445,2.793,125.445]],
+    [[3.469,125.654,3.469,125.654,3.469,125.654,3.469,125.654]],
+    [[3.854,126.745,3.854,126.745,3.854,126.745,3.854,126.745]],
+    [[3.982,126.658,3.982,126.658,3.982,126.658,3.982,126.658]],
+    [[4.332,126.871,4.332,126.871,4.332,126.871,4.332,126.871]],
+    [[-8.432,122.36,-8.432,122.36,-8.432,122.36,-8.432,122.36]],
+    [[-8.289,121.712,-8.289,121.712,-8.289,121.712,-8.289,121.712]],
+    [[-7.343,121.78,-7.343,121.78,-7.343,121.78,-7.343,121.78]],
+    [[-7.13,114.595,-7.13,114.595,-7.13,114.595,-7.13,114.595]],
+    [[-7.09,114.368,-7.09,114.368,-7.09,114.368,-7.09,114.368]],
+    [[-1.673,123.364,-1.673,123.364,-1.673,123.364,-1.673,123.364]],
+    [[-0.384,122.14,-0.384,122.14,-0.384,122.14,-0.384,122.14]],
+    [[-7.762,130.068,-7.762,130.068,-7.762,130.068,-7.762,130.068]],
+    [[-7.725,130.006,-7.725,130.006,-7.725,130.006,-7.725,130.006]],
+    [[-7.571,129.675,-7.571,129.675,-7.571,129.675,-7.571,129.675]],
+    [[-6.994,129.124,-6.994,129.124,-6.994,129.124,-6.994,129.124]],
+    [[-6.755,129.484,-6.755,129.484,-6.755,129.484,-6.755,129.484]],
+    [[-6.328,130.014,-6.328,130.014,-6.328,130.014,-6.328,130.014]],
+    [[-5.513,127.551,-5.513,127.551,-5.513,127.551,-5.513,127.551]],
+    [[-5.491,127.555,-5.491,127.555,-5.491,127.555,-5.491,127.555]],
+    [[-5.41,127.789,-5.41,127.789,-5.41,127.789,-5.41,127.789]],
+    [[-5.349,127.778,-5.349,127.778,-5.349,127.778,-5.349,127.778]],
+    [[-5.318,131.986,-5.318,131.986,-5.318,131.986,-5.318,131.986]],
+    [[-4.523,129.758,-4.523,129.758,-4.523,129.758,-4.523,129.758]],
+    [[0.757,134.312,0.757,134.312,0.757,134.312,0.757,134.312]],
+    [[1.019,131.238,1.019,131.238,1.019,131.238,1.019,131.238]],
+    [[1.069,131.256,1.069,131.256,1.069,131.256,1.069,131.256]],
+    [[1.34,126.395,1.34,126.395,1.34,126.395,1.34,126.395]],
+    [[2.118,125.395,2.118,125.395,2.118,125.395,2.118,125.395]],
+    [[5.558,126.59,5.558,126.59,5.558,126.59,5.558,126.59]],
+    [[-10.602,121.615,-10.602,121.615,-10.602,121.615,-10.602,121.615]],
+    [[-7.107,115.891,-7.107,115.891,-7.107,115.891,-7.107,115.891]],
+    [[-6.504,134.73,-6.504,134.73,-6.504,134.73,-6.504,134.73]],
+    [[-5.837,110.433,-5.837,110.433,-5.837,110.433,-5.837,110.433]],
+    [[-5.759,134.211,-5.759,134.211,-5.759,134.211,-5.759,134.211]],
+    [[-2.461,133.592,-2.461,133.592,-2.461,133.592,-2.461,133.592]],
+    [[-1.604,123.602,-1.604,123.602,-1.604,123.602,-1.604,123.602]],
+    [[-0.989,128.368,-0.989,128.368,-0.989,128.368,-0.989,128.368]],
+    [[-0.408,129.902,-0.408,129.902,-0.408,129.902,-0.408,129.902]],
+    [[0.159,98.549,0.159,98.549,0.159,98.549,0.159,98.549]],
+    [[0.75,104.723,0.75,104.723,0.75,104.723,0.75,104.723]],
+    [[0.847,104.658,0.847,104.658,0.847,104.658,0.847,104.658]],
+    [[1.799,125.171,1.799,125.171,1.799,125.171,1.799,125.171]],
+    [[4.774,127.13,4.774,127.13,4.774,127.13,4.774,127.13]],
+  ],
+  VN: [
+    [[14.705,107.52,14.745,107.499,14.759,107.51,14.804,107.492,14.877,107.556,14.895,107.549,14.956,107.463,14.982,107.448,15.026,107.445,15.051,107.535,15.047,107.578,15.058,107.589,15.105,107.585,15.12,107.607,15.205,107.636,15.206,107.657,15.269,107.664,15.297,107.643,15.343,107.585,15.404,107.578,15.416,107.556,15.409,107.513,15.438,107.488,15.481,107.488,15.485,107.459,15.508,107.448,15.508,107.405,15.488,107.38,15.497,107.369,15.59,107.315,15.618,107.265,15.645,107.24,15.716,107.225,15.758,107.16,15.794,107.15,15.848,107.175,15.861,107.2,15.853,107.229,15.899,107.304,15.912,107.362,15.936,107.391,15.983,107.42,16.01,107.445,16.039,107.43,16.069,107.434,16.072,107.412,16.056,107.326,16.064,107.297,16.13,107.24,16.147,107.214,16.165,107.153,16.189,107.132,16.268,107.11,16.295,107.052,16.3,106.966,16.351,106.941,16.378,106.898,16.419,106.876,16.412,106.858,16.505,106.865,16.53,106.847,16.532,106.822,16.479,106.797,16.444,106.754,16.417,106.732,16.432,106.721,16.429,106.692,16.444,106.671,16.522,106.638,16.576,106.646,16.587,106.638,16.613,106.574,16.638,106.548,16.684,106.534,16.972,106.534,16.989,106.523,16.964,106.498,16.989,106.419,17.047,106.386,17.069,106.394,17.128,106.336,17.202,106.3,17.227,106.311,17.248,106.293,17.285,106.286,17.29,106.26,17.266,106.25,17.244,106.221,17.258,106.185,17.395,106.019,17.496,105.933,17.516,105.911,17.597,105.846,17.643,105.789,17.665,105.735,17.69,105.713,17.727,105.702,17.82,105.645,17.854,105.605,17.888,105.594,17.964,105.605,17.996,105.591,18.008,105.566,18.058,105.548,18.084,105.512,18.117,105.497,18.129,105.476,18.181,105.468,18.2,105.432,18.195,105.393,18.149,105.368,18.17,105.321,18.195,105.296,18.252,105.292,18.249,105.234,18.278,105.216,18.32,105.155,18.366,105.162,18.426,105.09,18.455,105.08,18.496,105.087,18.582,105.112,18.599,105.126,18.599,105.162,18.631,105.17,18.653,105.141,18.698,105.112,18.696,105.065,18.734,104.99,18.732,104.936,18.745,104.91,18.771,104.9,18.778,104.874,18.774,104.817,18.796,104.709,18.825,104.687,18.842,104.63,18.869,104.604,18.908,104.543,18.957,104.511,18.978,104.482,18.98,104.432,18.992,104.399,19.048,104.356,19.068,104.302,19.103,104.259,19.1,104.212,19.147,104.198,19.183,104.147,19.23,104.036,19.233,103.996,19.225,103.974,19.264,103.91,19.294,103.892,19.299,103.848,19.318,103.856,19.342,103.906,19.382,103.942,19.416,104.021,19.414,104.039,19.472,104.061,19.483,104.09,19.559,104.072,19.586,104.028,19.652,103.996,19.681,104,19.681,104.021,19.652,104.09,19.661,104.118,19.688,104.136,19.688,104.158,19.706,104.23,19.684,104.277,19.656,104.295,19.683,104.342,19.686,104.381,19.651,104.414,19.603,104.507,19.602,104.547,19.617,104.586,19.607,104.615,19.711,104.662,19.735,104.691,19.745,104.738,19.767,104.759,19.791,104.806,19.848,104.817,19.862,104.759,19.909,104.781,19.954,104.856,19.983,104.874,19.981,104.921,20.009,104.954,20.068,104.943,20.091,104.957,20.115,104.918,20.135,104.903,20.176,104.907,20.221,104.82,20.22,104.777,20.196,104.691,20.226,104.651,20.28,104.658,20.287,104.684,20.311,104.691,20.341,104.68,20.377,104.612,20.414,104.576,20.41,104.432,20.421,104.392,20.439,104.36,20.458,104.367,20.495,104.424,20.535,104.446,20.512,104.496,20.535,104.543,20.62,104.608,20.647,104.615,20.66,104.601,20.679,104.543,20.718,104.475,20.763,104.453,20.772,104.388,20.809,104.36,20.834,104.324,20.88,104.295,20.897,104.27,20.892,104.226,20.93,104.194,20.944,104.122,20.961,104.093,20.959,104.057,20.909,104.01,20.903,103.964,20.87,103.859,20.848,103.827,20.846,103.784,20.78,103.751,20.743,103.755,20.709,103.701,20.672,103.715,20.659,103.665,20.723,103.596,20.733,103.578,20.748,103.496,20.77,103.47,20.804,103.452,20.821,103.427,20.806,103.413,20.787,103.362,20.797,103.319,20.831,103.247,20.827,103.197,20.854,103.128,20.902,103.085,20.995,103.038,21.057,102.999,21.069,102.952,21.158,102.916,21.167,102.891,21.185,102.884,21.216,102.894,21.246,102.866,21.255,102.801,21.285,102.83,21.305,102.876,21.388,102.884,21.439,102.916,21.452,102.905,21.425,102.851,21.494,102.894,21.576,102.974,21.633,102.959,21.702,102.963,21.738,102.948,21.706,102.866,21.716,102.837,21.822,102.826,21.836,102.808,21.82,102.79,21.739,102.786,21.707,102.776,21.662,102.722,21.658,102.65,21.684,102.635,21.729,102.628,21.788,102.635,21.829,102.624,21.901,102.592,21.925,102.56,21.957,102.477,21.996,102.466,22.021,102.484,22.062,102.423,22.118,102.39,22.134,102.358,22.2,102.286,22.229,102.225,22.266,102.2,22.305,102.153,22.398,102.12,22.425,102.164,22.411,102.218,22.427,102.232,22.496,102.254,22.616,102.376,22.639,102.38,22.651,102.362,22.678,102.362,22.68,102.394,22.693,102.408,22.746,102.426,22.769,102.466,22.746,102.516,22.695,102.534,22.695,102.56,22.715,102.588,22.685,102.632,22.67,102.693,22.626,102.75,22.6,102.833,22.477,102.902,22.46,102.956,22.438,102.988,22.43,103.028,22.44,103.046,22.486,103.046,22.506,103.092,22.538,103.143,22.557,103.146,22.579,103.128,22.607,103.143,22.656,103.229,22.678,103.251,22.724,103.269,22.788,103.308,22.776,103.359,22.737,103.402,22.675,103.409,22.619,103.449,22.584,103.485,22.587,103.514,22.641,103.55,22.7,103.546,22.741,103.578,22.768,103.589,22.8,103.647,22.717,103.726,22.66,103.794,22.609,103.83,22.575,103.866,22.568,103.895,22.533,103.917,22.508,103.96,22.528,103.985,22.585,103.989,22.631,104.007,22.692,104.014,22.719,104.025,22.783,104.072,22.796,104.129,22.825,104.212,22.825,104.241,22.763,104.23,22.729,104.248,22.687,104.342,22.693,104.363,22.746,104.45,22.837,104.554,22.808,104.579,22.823,104.608,22.812,104.684,22.827,104.716,22.896,104.774,22.925,104.824,22.955,104.828,23.085,104.799,23.119,104.86,23.163,104.871,23.17,104.896,23.156,104.921,23.159,104.946,23.19,104.982,23.227,105.047,23.254,105.141,23.267,105.155,23.252,105.191,23.266,105.216,23.32,105.234,23.367,105.292,23.365,105.314,23.318,105.332,23.281,105.375,23.279,105.414,23.267,105.432,23.195,105.472,23.156,105.53,23.075,105.54,23.055,105.566,23.045,105.692,23.019,105.72,23.006,105.756,22.975,105.778,22.904,105.854,22.928,105.875,22.928,105.944,22.94,105.972,22.975,105.998,22.98,106.077,22.965,106.17,22.947,106.203,22.913,106.224,22.864,106.235,22.85,106.275,22.854,106.314,22.889,106.458,22.925,106.487,22.896,106.581,22.852,106.61,22.85,106.631,22.871,106.656,22.827,106.714,22.8,106.732,22.796,106.79,22.773,106.793,22.754,106.757,22.727,106.739,22.695,106.736,22.631,106.696,22.58,106.682,22.568,106.646,22.611,106.606,22.607,106.588,22.575,106.57,22.472,106.545,22.428,106.527,22.346,106.541,22.325,106.577,22.324,106.617,22.31,106.635,22.224,106.664,22.19,106.638,22.143,106.66,22.106,106.66,22.067,106.674,21.996,106.649,21.962,106.66,21.972,106.689,22.008,106.721,21.972,106.8,21.967,106.865,21.928,106.898,21.917,106.919,21.935,106.97,21.935,106.991,21.913,107.02,21.876,107.013,21.844,106.988,21.81,107.002,21.795,107.067,21.778,107.096,21.716,107.171,21.706,107.211,21.719,107.272,21.689,107.304,21.616,107.33,21.599,107.348,21.619,107.384,21.645,107.409,21.646,107.445,21.596,107.459,21.582,107.51,21.609,107.531,21.606,107.614,21.624,107.69,21.658,107.744,21.657,107.78,21.64,107.834,21.601,107.855,21.535,107.931,21.532,107.945,21.486,107.992,20.93,107.15,21.025,106.66,20.231,106.57,19.774,105.868,18.985,105.612,18.129,106.422,17.335,106.764,16.339,108.042,15.058,108.921,12.913,109.464,11.368,109.022,10.379,107.272,10.686,106.772,10.149,106.8,9.369,106.192,8.599,104.727,9.852,104.892,10.419,104.45,10.428,104.493,10.519,104.554,10.532,104.583,10.534,104.626,10.515,104.774,10.517,104.82,10.531,104.853,10.556,104.878,10.642,104.943,10.691,105.044,10.715,105.065,10.747,105.065,10.811,105.029,10.883,105.011,10.914,105.029,10.948,105.08,10.914,105.098,10.883,105.252,10.845,105.303,10.848,105.328,10.909,105.357,10.963,105.411,10.941,105.472,10.975,105.63,11.01,105.699,11.015,105.753,10.997,105.771,10.919,105.821,10.855,105.846,10.828,105.879,10.828,105.9,10.858,105.922,10.897,105.933,10.819,106.019,10.797,106.073,10.786,106.156,10.767,106.178,10.863,106.152,10.909,106.127,10.97,106.131,10.97,106.181,11.054,106.16,11.084,106.131,11.088,106.113,11.056,106.088,11.078,106.077,11.123,106.026,11.177,105.99,11.191,105.972,11.203,105.922,11.218,105.9,11.268,105.886,11.29,105.843,11.304,105.843,11.429,105.875,11.496,105.857,11.535,105.857,11.555,105.843,11.566,105.803,11.588,105.789,11.625,105.803,11.658,105.839,11.662,105.857,11.645,105.904,11.643,105.933,11.679,105.954,11.719,105.99,11.746,105.99,11.77,106.016,11.763,106.062,11.746,106.113,11.746,106.156,11.714,106.242,11.684,106.264,11.675,106.286,11.691,106.354,11.662,106.412,11.679,106.433,11.746,106.397,11.804,106.419,11.831,106.419,11.865,106.44,11.969,106.394,11.978,106.43,11.952,106.473,11.973,106.505,11.973,106.552,11.961,106.638,11.976,106.631,11.966,106.682,11.971,106.703,12.028,106.732,12.065,106.772,12.069,106.804,12.062,106.88,12.067,106.916,12.098,106.977,12.202,107.078,12.233,107.117,12.277,107.153,12.305,107.211,12.325,107.276,12.329,107.319,12.315,107.344,12.27,107.373,12.253,107.394,12.255,107.416,12.298,107.448,12.325,107.499,12.344,107.513,12.472,107.556,12.51,107.549,12.543,107.564,12.606,107.564,12.717,107.538,12.773,107.538,12.827,107.524,12.871,107.488,12.964,107.466,12.982,107.481,13.021,107.459,13.263,107.56,13.369,107.607,13.401,107.61,13.499,107.603,13.535,107.596,13.693,107.513,13.783,107.445,13.81,107.438,13.84,107.445,13.871,107.434,13.909,107.448,13.957,107.43,13.984,107.43,14.001,107.409,13.995,107.373,14.021,107.344,14.082,107.344,14.12,107.319,14.239,107.358,14.293,107.362,14.342,107.351,14.429,107.394,14.424,107.445,14.45,107.466,14.509,107.484,14.541,107.506,14.602,107.502,14.652,107.528,14.705,107.52]],
+    [[9.62,106.21,9.62,106.21,9.62,106.21,9.62,106.21]],
+    [[10.269,106.725,10.269,106.725,10.269,106.725,10.269,106.725]],
+    [[10.465,107.171,10.465,107.171,10.465,107.171,10.465,107.171]],
+    [[10.439,106.937,10.439,106.937,10.439,106.937,10.439,106.937]],
+    [[10.532,106.908,10.532,106.908,10.532,106.908,10.532,106.908]],
+    [[12.221,109.328,12.221,109.328,12.221,109.328,12.221,109.328]],
+    [[8.741,106.664,8.741,106.664,8.741,106.664,8.741,106.664]],
+    [[9.891,106.498,9.891,106.498,9.891,106.498,9.891,106.498]],
+    [[10.372,104.082,10.372,104.082,10.372,104.082,10.372,104.082]],
+    [[10.46,106.876,10.46,106.876,10.46,106.876,10.46,106.876]],
+    [[20.8,107.081,20.8,107.081,20.8,107.081,20.8,107.081]],
+    [[20.88,106.84,20.88,106.84,20.88,106.84,20.88,106.84]],
+    [[20.91,107.524,20.91,107.524,20.91,107.524,20.91,107.524]],
+    [[21.02,107.744,21.02,107.744,21.02,107.744,21.02,107.744]],
+    [[21.02,107.531,21.02,107.531,21.02,107.531,21.02,107.531]],
+    [[21.116,107.621,21.116,107.621,21.116,107.621,21.116,107.621]],
+    [[21.212,107.582,21.212,107.582,21.212,107.582,21.212,107.582]],
+    [[21.361,107.812,21.361,107.812,21.361,107.812,21.361,107.812]],
+    [[21.39,107.87,21.39,107.87,21.39,107.87,21.39,107.87]],
+    [[10.552,108.942,10.552,108.942,10.552,108.942,10.552,108.942]],
+    [[12.602,109.392,12.602,109.392,12.602,109.392,12.602,109.392]],
+    [[20.826,107.369,20.826,107.369,20.826,107.369,20.826,107.369]],
+    [[20.888,107.384,20.888,107.384,20.888,107.384,20.888,107.384]],
+    [[21.025,107.826,21.025,107.826,21.025,107.826,21.025,107.826]],
+  ],
+  CN: [
+    [[35.496,77.799,35.494,77.748,35.462,77.691,35.457,77.662,35.479,77.511,35.469,77.413,35.486,77.352,35.518,77.305,35.53,77.251,35.525,77.14,35.538,77.104,35.57,77.071,35.586,77.039,35.579,76.935,35.589,76.895,35.641,76.845,35.646,76.776,35.655,76.744,35.694,76.708,35.714,76.675,35.751,76.571,35.783,76.549,35.866,76.564,35.898,76.557,35.903,76.539,35.871,76.499,35.861,76.431,35.83,76.402,35.83,76.348,35.81,76.312,35.819,76.261,35.805,76.189,35.827,76.139,35.942,76.114,35.977,76.089,35.991,76.06,35.996,75.984,36.008,75.952,36.031,75.923,36.064,75.901,36.114,75.901,36.163,75.977,36.202,75.97,36.231,76.013,36.248,76.013,36.302,75.97,36.342,75.97,36.421,75.988,36.462,75.977,36.619,75.876,36.644,75.851,36.688,75.79,36.724,75.729,36.754,75.649,36.766,75.57,36.747,75.509,36.72,75.491,36.724,75.433,36.747,75.412,36.864,75.394,36.894,75.379,36.916,75.351,36.928,75.315,36.948,75.196,36.964,75.16,36.985,75.135,36.994,75.099,36.977,74.944,36.95,74.901,36.921,74.893,36.908,74.872,36.947,74.861,36.994,74.825,37.016,74.793,37.016,74.721,37.055,74.663,37.021,74.544,37.031,74.519,37.083,74.476,37.107,74.415,37.127,74.382,37.168,74.368,37.168,74.422,37.178,74.458,37.225,74.487,37.244,74.591,37.23,74.623,37.259,74.652,37.264,74.677,37.298,74.721,37.288,74.746,37.22,74.782,37.215,74.814,37.23,74.893,37.239,74.911,37.273,74.933,37.311,75.07,37.379,75.091,37.401,75.163,37.418,75.131,37.507,75.037,37.548,74.944,37.598,74.893,37.654,74.886,37.695,74.922,37.767,74.965,37.796,74.951,37.818,74.897,37.843,74.883,37.88,74.915,37.897,74.89,37.994,74.893,38.022,74.879,38.053,74.811,38.081,74.789,38.196,74.771,38.291,74.771,38.326,74.785,38.38,74.839,38.417,74.843,38.463,74.832,38.51,74.775,38.524,74.742,38.524,74.695,38.561,74.645,38.612,74.476,38.667,74.335,38.669,74.314,38.65,74.245,38.652,74.202,38.669,74.141,38.662,74.109,38.613,74.083,38.598,74.037,38.579,74.037,38.547,74.058,38.527,74.029,38.529,73.932,38.559,73.885,38.586,73.817,38.618,73.788,38.674,73.774,38.721,73.738,38.801,73.734,38.84,73.695,38.873,73.68,38.919,73.716,38.927,73.788,38.944,73.824,38.976,73.828,39.03,73.77,39.066,73.709,39.143,73.673,39.176,73.63,39.236,73.601,39.336,73.641,39.371,73.644,39.449,73.633,39.468,73.821,39.49,73.849,39.561,73.882,39.593,73.929,39.647,73.903,39.711,73.893,39.738,73.86,39.746,73.828,39.787,73.817,39.824,73.831,39.856,73.875,39.919,73.893,39.971,73.943,40.022,73.957,40.06,74.004,40.067,74.069,40.096,74.134,40.109,74.202,40.094,74.271,40.094,74.335,40.106,74.371,40.172,74.476,40.246,74.566,40.292,74.656,40.331,74.706,40.337,74.746,40.32,74.832,40.325,74.861,40.373,74.843,40.405,74.796,40.42,74.789,40.494,74.821,40.511,74.836,40.504,74.879,40.459,74.965,40.44,75.037,40.464,75.138,40.442,75.192,40.445,75.214,40.471,75.228,40.481,75.264,40.614,75.48,40.633,75.523,40.633,75.559,40.613,75.588,40.569,75.606,40.513,75.61,40.481,75.628,40.45,75.667,40.432,75.671,40.405,75.646,40.368,75.639,40.305,75.664,40.292,75.682,40.309,75.75,40.309,75.793,40.297,75.858,40.298,75.901,40.309,75.923,40.358,75.963,40.39,76.053,40.388,76.096,40.368,76.15,40.385,76.186,40.442,76.243,40.434,76.272,40.356,76.301,40.347,76.33,40.371,76.362,40.415,76.449,40.464,76.499,40.535,76.531,40.565,76.557,40.597,76.611,40.628,76.625,40.729,76.632,40.765,76.647,40.795,76.675,40.834,76.747,40.868,76.773,40.927,76.758,40.945,76.765,40.977,76.819,41.013,76.863,41.026,76.899,41.045,77.007,41.04,77.035,41.011,77.118,41.006,77.244,41.021,77.334,41.011,77.388,40.982,77.475,40.981,77.503,40.998,77.579,41.001,77.665,41.055,77.799,41.063,77.867,41.05,77.997,41.036,78.036,41.04,78.076,41.106,78.177,41.134,78.205,41.2,78.249,41.229,78.274,41.271,78.349,41.288,78.36,41.344,78.339,41.377,78.36,41.401,78.418,41.455,78.511,41.465,78.583,41.487,78.63,41.524,78.645,41.538,78.673,41.578,78.807,41.626,78.897,41.643,78.976,41.703,79.087,41.722,79.174,41.74,79.217,41.774,79.264,41.788,79.303,41.773,79.368,41.779,79.411,41.82,79.491,41.838,79.555,41.867,79.609,41.876,79.656,41.879,79.746,41.904,79.782,41.96,79.804,42.002,79.843,42.022,79.93,42.021,80.182,42.034,80.232,42.065,80.257,42.085,80.257,42.125,80.225,42.19,80.211,42.205,80.25,42.239,80.268,42.31,80.25,42.338,80.225,42.435,80.196,42.49,80.211,42.553,80.164,42.624,80.139,42.646,80.142,42.701,80.189,42.732,80.207,42.791,80.229,42.816,80.247,42.823,80.283,42.816,80.315,42.831,80.383,42.843,80.401,42.863,80.477,42.868,80.527,42.899,80.556,42.917,80.542,42.931,80.477,42.955,80.409,42.975,80.373,43,80.355,43.029,80.369,43.049,80.409,43.076,80.499,43.12,80.574,43.134,80.617,43.134,80.661,43.105,80.711,43.113,80.772,43.149,80.794,43.199,80.765,43.257,80.754,43.289,80.736,43.311,80.657,43.326,80.643,43.426,80.711,43.459,80.711,43.684,80.596,43.91,80.477,43.949,80.441,43.993,80.412,44.049,80.405,44.103,80.344,44.159,80.347,44.231,80.373,44.27,80.373,44.417,80.333,44.452,80.329,44.495,80.337,44.603,80.383,44.633,80.358,44.653,80.355,44.672,80.376,44.694,80.477,44.716,80.499,44.736,80.477,44.78,80.315,44.809,80.265,44.819,80.218,44.79,80.038,44.793,79.991,44.849,79.869,44.873,79.843,44.903,79.858,44.932,79.926,45.02,80.063,45.035,80.146,45.026,80.218,45.047,80.29,45.045,80.391,45.092,80.427,45.106,80.466,45.101,80.538,45.143,80.697,45.145,80.747,45.126,80.826,45.126,80.855,45.162,80.977,45.162,81.021,45.172,81.064,45.205,81.143,45.293,81.543,45.334,81.622,45.347,81.665,45.339,81.741,45.308,81.766,45.266,81.78,45.209,81.787,45.189,81.809,45.182,81.874,45.158,81.91,45.145,81.949,45.153,82,45.222,82.191,45.232,82.245,45.227,82.295,45.205,82.342,45.138,82.428,45.116,82.475,45.124,82.54,45.177,82.587,45.249,82.615,45.339,82.633,45.417,82.633,45.435,82.615,45.466,82.515,45.481,82.363,45.493,82.327,45.533,82.291,45.582,82.306,45.634,82.335,45.734,82.371,45.825,82.446,45.901,82.489,45.992,82.515,46.131,82.543,46.197,82.569,46.256,82.608,46.332,82.673,46.362,82.691,46.435,82.709,46.494,82.749,46.732,82.839,46.943,82.986,46.958,82.993,47.012,82.986,47.08,83.008,47.11,82.997,47.154,83.015,47.195,83.015,47.215,83.047,47.22,83.098,47.211,83.152,47.173,83.22,47.157,83.314,47.146,83.353,47.066,83.526,46.973,83.904,46.975,83.998,46.967,84.095,46.994,84.156,47,84.264,46.994,84.423,46.975,84.477,46.97,84.52,46.987,84.617,46.984,84.664,46.948,84.732,46.918,84.75,46.882,84.75,46.835,84.714,46.815,84.739,46.838,84.84,46.85,84.916,46.86,84.937,46.891,84.959,46.908,84.991,46.914,85.035,46.994,85.168,47.034,85.204,47.044,85.247,47.039,85.305,47.053,85.431,47.051,85.499,47.1,85.517,47.114,85.531,47.179,85.557,47.195,85.6,47.206,85.661,47.276,85.679,47.326,85.668,47.363,85.679,47.384,85.672,47.463,85.6,47.524,85.578,47.591,85.596,47.624,85.596,47.921,85.517,47.944,85.517,48.03,85.56,48.142,85.585,48.358,85.719,48.39,85.747,48.407,85.783,48.429,86.007,48.419,86.19,48.437,86.248,48.483,86.309,48.49,86.334,48.486,86.431,48.517,86.547,48.54,86.575,48.589,86.604,48.635,86.669,48.704,86.745,48.73,86.752,48.784,86.737,48.807,86.766,48.839,86.788,48.878,86.741,48.912,86.719,48.954,86.709,48.99,86.727,49.02,86.759,49.042,86.799,49.094,86.838,49.106,86.889,49.093,86.975,49.13,87.115,49.109,87.202,49.086,87.324,49.071,87.4,49.074,87.439,49.091,87.483,49.12,87.501,49.12,87.526,49.158,87.717,49.165,87.817,49.101,87.835,49.072,87.821,49.028,87.821,49.005,87.871,48.968,87.871,48.946,87.835,48.92,87.756,48.887,87.735,48.87,87.738,48.846,87.789,48.8,87.807,48.789,87.821,48.758,87.907,48.757,87.976,48.73,88.033,48.708,88.059,48.674,88.055,48.654,88.012,48.625,87.99,48.599,87.943,48.576,87.951,48.54,88.015,48.544,88.051,48.493,88.167,48.493,88.235,48.454,88.332,48.409,88.383,48.393,88.415,48.4,88.48,48.392,88.501,48.343,88.566,48.326,88.573,48.289,88.559,48.23,88.573,48.198,88.595,48.176,88.635,48.166,88.71,48.12,88.775,48.106,88.804,48.112,88.89,48.096,88.933,47.993,89.045,47.985,89.074,47.98,89.243,48.032,89.333,48.039,89.369,48.024,89.409,48.024,89.477,48.03,89.542,48.02,89.571,47.961,89.581,47.944,89.628,47.912,89.643,47.894,89.671,47.889,89.707,47.865,89.733,47.824,89.751,47.818,89.783,47.824,89.887,47.845,89.934,47.884,89.945,47.88,90.046,47.851,90.064,47.811,90.053,47.757,90.082,47.73,90.122,47.696,90.212,47.679,90.302,47.659,90.345,47.624,90.327,47.539,90.381,47.493,90.442,47.431,90.442,47.404,90.449,47.379,90.489,47.345,90.485,47.309,90.467,47.014,90.712,46.992,90.741,46.987,90.806,46.973,90.849,46.945,90.885,46.892,90.91,46.857,90.935,46.813,90.924,46.774,90.975,46.74,91.004,46.703,91.014,46.595,90.996,46.58,91.032,46.551,91.047,46.475,91,46.435,90.986,46.344,90.935,46.301,90.896,46.281,90.899,46.168,90.95,46.114,90.996,46.068,91.007,46.021,91.004,45.992,90.986,45.95,90.921,45.753,90.712,45.731,90.698,45.493,90.651,45.442,90.737,45.337,90.791,45.293,90.798,45.271,90.856,45.253,90.867,45.216,90.856,45.187,90.874,45.185,90.906,45.216,90.975,45.217,91.058,45.199,91.137,45.153,91.184,45.129,91.248,45.114,91.367,45.146,91.418,45.138,91.457,45.07,91.533,45.077,91.565,45.06,91.662,45.072,91.749,45.065,91.918,45.074,91.976,45.075,92.044,45.059,92.109,45.015,92.195,45.01,92.22,45.02,92.285,45.008,92.332,45.013,92.397,44.998,92.476,45.013,92.573,45.016,92.638,45.038,92.753,45.033,92.814,45.038,92.861,45.006,92.944,45.01,93.012,45.003,93.052,45.008,93.167,44.981,93.243,44.986,93.318,44.979,93.362,44.956,93.419,44.95,93.524,44.891,93.689,44.874,93.714,44.714,93.873,44.674,93.927,44.66,93.974,44.652,94.103,44.667,94.15,44.655,94.197,44.589,94.276,44.511,94.337,44.505,94.366,44.505,94.431,44.435,94.589,44.388,94.658,44.344,94.697,44.336,94.722,44.294,94.906,44.26,94.992,44.255,95.036,44.287,95.381,44.28,95.399,44.214,95.349,44.148,95.32,44.098,95.327,44.017,95.32,44.007,95.327,43.988,95.424,43.98,95.511,43.958,95.536,43.87,95.59,43.63,95.691,43.409,95.831,43.326,95.846,43.247,95.874,43.215,95.907,42.933,96.296,42.89,96.332,42.867,96.339,42.74,96.35,42.72,96.378,42.732,96.476,42.76,96.832,42.787,97.192,42.723,97.851,42.683,98.258,42.644,98.661,42.603,99.068,42.565,99.474,42.597,99.622,42.676,99.971,42.676,100.018,42.529,101.22,42.544,101.411,42.538,101.526,42.516,101.638,42.462,101.735,42.277,101.886,42.208,101.973,42.185,102.034,42.124,102.38,42.065,102.729,42.004,103.074,41.994,103.103,41.759,103.69,41.756,103.722,41.871,104.5,41.666,104.496,41.656,104.504,41.646,104.601,41.644,104.892,41.637,104.914,41.587,104.975,41.597,105.015,41.744,105.202,41.756,105.274,41.781,105.346,41.811,105.404,41.84,105.472,41.994,105.868,42.141,106.318,42.286,106.768,42.338,107.196,42.455,108.176,42.45,108.233,42.433,108.32,42.435,108.536,42.399,108.798,42.409,108.863,42.448,108.96,42.45,108.993,42.426,109.252,42.441,109.328,42.45,109.486,42.549,109.666,42.629,109.914,42.637,109.986,42.635,110.044,42.644,110.077,42.683,110.141,42.769,110.408,42.786,110.426,42.838,110.451,42.911,110.566,42.944,110.609,42.988,110.642,43.058,110.681,43.149,110.797,43.287,110.933,43.316,110.973,43.367,111.095,43.438,111.34,43.476,111.401,43.483,111.43,43.492,111.535,43.524,111.596,43.664,111.754,43.667,111.844,43.696,111.934,43.725,111.945,43.787,111.945,43.821,111.931,43.939,111.841,43.986,111.779,44.042,111.668,44.066,111.635,44.157,111.545,44.226,111.502,44.265,111.499,44.299,111.473,44.326,111.412,44.346,111.398,44.417,111.405,44.476,111.448,44.506,111.484,44.571,111.531,44.601,111.545,44.668,111.542,44.694,111.553,44.966,111.74,45.008,111.787,45.047,111.862,45.06,111.927,45.084,111.959,45.087,112.01,45.067,112.107,45.07,112.381,45.052,112.442,44.993,112.525,44.944,112.564,44.908,112.615,44.866,112.748,44.82,112.975,44.82,113.018,44.795,113.104,44.771,113.475,44.744,113.533,44.739,113.605,44.768,113.673,44.815,113.734,44.868,113.839,44.908,113.889,44.915,113.914,44.927,114.019,44.962,114.091,45.03,114.148,45.062,114.213,45.202,114.418,45.259,114.472,45.325,114.512,45.371,114.519,45.386,114.533,45.423,114.67,45.425,114.739,45.378,114.904,45.374,114.94,45.395,115.127,45.395,115.336,45.413,115.473,45.444,115.639,45.469,115.693,45.53,115.768,45.678,116.013,45.677,116.096,45.709,116.171,45.769,116.229,45.803,116.251,45.827,116.243,45.881,116.207,45.908,116.215,46.105,116.359,46.227,116.524,46.291,116.567,46.31,116.603,46.328,116.722,46.387,116.816,46.367,116.956,46.35,117.302,46.357,117.338,46.379,117.352,46.448,117.356,46.475,117.37,46.524,117.413,46.572,117.395,46.585,117.475,46.578,117.511,46.602,117.557,46.592,117.583,46.551,117.608,46.516,117.673,46.512,117.698,46.521,117.799,46.528,117.817,46.597,117.878,46.615,117.925,46.627,118.004,46.668,118.083,46.678,118.169,46.702,118.205,46.723,118.27,46.725,118.303,46.713,118.371,46.691,118.436,46.686,118.472,46.686,118.551,46.707,118.609,46.676,118.72,46.691,118.753,46.759,118.817,46.759,118.868,46.713,118.889,46.715,118.922,46.74,118.969,46.683,119.015,46.661,119.062,46.612,119.318,46.614,119.365,46.627,119.455,46.627,119.501,46.617,119.624,46.592,119.681,46.602,119.721,46.624,119.753,46.656,119.782,46.651,119.836,46.673,119.872,46.708,119.905,46.727,119.905,46.752,119.883,46.842,119.905,46.855,119.883,46.906,119.894,46.911,119.851,46.941,119.833,46.978,119.786,47.016,119.761,47.075,119.761,47.095,119.753,47.159,119.699,47.217,119.631,47.239,119.588,47.25,119.527,47.309,119.476,47.407,119.321,47.414,119.282,47.453,119.314,47.477,119.311,47.517,119.156,47.527,119.134,47.556,119.116,47.629,119.105,47.662,119.084,47.674,119.059,47.694,118.972,47.757,118.767,47.794,118.713,47.914,118.605,47.966,118.544,47.99,118.472,47.998,118.281,48.029,118.184,48.02,118.065,47.998,117.971,48.005,117.817,47.993,117.766,47.978,117.741,47.787,117.529,47.73,117.435,47.686,117.399,47.651,117.359,47.654,117.316,47.811,117.071,47.872,116.852,47.877,116.823,47.873,116.751,47.836,116.499,47.835,116.431,47.863,116.243,47.85,116.182,47.808,116.085,47.71,115.973,47.684,115.916,47.706,115.851,47.887,115.599,47.933,115.563,47.993,115.545,48.132,115.513,48.149,115.538,48.225,115.772,48.242,115.801,48.274,115.808,48.473,115.786,48.53,115.801,48.767,116.027,48.8,116.049,48.853,116.035,48.87,116.038,49.182,116.247,49.493,116.459,49.516,116.474,49.824,116.683,49.802,116.722,49.673,117.057,49.623,117.251,49.614,117.475,49.513,117.759,49.52,117.795,49.51,117.824,49.513,117.874,49.547,117.892,49.567,117.932,49.596,118.018,49.624,118.072,49.651,118.108,49.672,118.169,49.695,118.209,49.729,118.241,49.766,118.306,49.787,118.375,49.82,118.393,49.829,118.457,49.842,118.483,49.869,118.49,49.92,118.569,49.962,118.67,49.949,118.713,49.966,118.792,49.979,118.893,49.991,118.925,49.979,118.99,49.986,119.091,50.015,119.21,50.048,119.249,50.092,119.318,50.124,119.339,50.195,119.347,50.217,119.332,50.276,119.332,50.305,119.361,50.345,119.354,50.352,119.314,50.342,119.249,50.356,119.224,50.356,119.174,50.369,119.181,50.381,119.134,50.405,119.145,50.415,119.167,50.415,119.206,50.445,119.242,50.492,119.264,50.519,119.264,50.599,119.293,50.604,119.314,50.634,119.35,50.643,119.375,50.666,119.383,50.685,119.444,50.737,119.498,50.791,119.516,50.835,119.498,50.849,119.516,50.888,119.53,50.904,119.519,50.979,119.606,51.016,119.685,51.038,119.71,51.063,119.71,51.072,119.743,51.142,119.764,51.158,119.757,51.171,119.786,51.198,119.757,51.218,119.771,51.215,119.815,51.269,119.815,51.289,119.861,51.318,119.883,51.33,119.915,51.384,119.894,51.391,119.944,51.441,119.984,51.465,119.973,51.504,119.991,51.553,120.052,51.597,120.056,51.644,120.085,51.668,120.121,51.664,120.153,51.776,120.319,51.803,120.376,51.826,120.409,51.84,120.466,51.875,120.491,51.877,120.527,51.907,120.578,51.906,120.625,51.924,120.661,51.96,120.682,51.98,120.707,52.002,120.711,52.049,120.697,52.086,120.754,52.117,120.779,52.157,120.783,52.194,120.754,52.237,120.758,52.257,120.74,52.299,120.653,52.346,120.625,52.372,120.653,52.399,120.661,52.439,120.689,52.47,120.689,52.519,120.707,52.542,120.725,52.568,120.653,52.574,120.61,52.617,120.491,52.639,120.455,52.637,120.43,52.617,120.369,52.612,120.261,52.585,120.175,52.59,120.081,52.613,120.041,52.639,120.031,52.693,120.052,52.76,120.034,52.784,120.067,52.818,120.178,52.845,120.221,52.858,120.268,52.892,120.301,52.899,120.326,52.939,120.362,52.956,120.391,53.008,120.452,53.056,120.527,53.098,120.614,53.123,120.653,53.186,120.715,53.208,120.751,53.235,120.823,53.262,120.826,53.28,120.873,53.29,121.057,53.275,121.15,53.277,121.204,53.302,121.301,53.321,121.327,53.317,121.406,53.329,121.514,53.385,121.64,53.431,121.888,53.429,122.083,53.469,122.169,53.474,122.227,53.496,122.317,53.479,122.36,53.451,122.403,53.464,122.471,53.474,122.86,53.507,123.004,53.513,123.152,53.567,123.253,53.562,123.339,53.545,123.368,53.535,123.433,53.518,123.483,53.561,123.494,53.562,123.515,53.54,123.548,53.52,123.519,53.523,123.562,53.557,123.591,53.564,123.613,53.52,123.677,53.503,123.731,53.495,123.85,53.456,123.969,53.407,124.016,53.39,124.07,53.353,124.12,53.37,124.156,53.382,124.232,53.351,124.293,53.272,124.343,53.236,124.408,53.211,124.527,53.211,124.639,53.194,124.689,53.162,124.7,53.149,124.721,53.155,124.801,53.147,124.822,53.113,124.847,53.118,124.898,53.172,124.88,53.194,124.919,53.211,125.02,53.213,125.074,53.206,125.128,53.094,125.427,53.083,125.477,53.051,125.499,53.042,125.521,53.062,125.621,53.024,125.65,52.981,125.733,52.953,125.726,52.932,125.679,52.9,125.647,52.878,125.668,52.895,125.737,52.907,125.837,52.888,125.863,52.85,125.866,52.765,125.978,52.782,126.017,52.784,126.068,52.755,126.104,52.745,126.064,52.726,126.035,52.679,126.068,52.666,126.003,52.654,125.981,52.612,125.978,52.568,126.01,52.576,126.061,52.593,126.082,52.547,126.169,52.534,126.212,52.466,126.201,52.463,126.277,52.436,126.295,52.392,126.345,52.377,126.352,52.316,126.316,52.303,126.345,52.287,126.421,52.276,126.439,52.264,126.392,52.228,126.313,52.2,126.316,52.166,126.453,52.152,126.532,52.13,126.557,52.043,126.514,52.032,126.467,52.019,126.446,51.982,126.446,51.742,126.647,51.723,126.712,51.708,126.727,51.686,126.709,51.636,126.723,51.588,126.676,51.563,126.701,51.546,126.777,51.534,126.806,51.509,126.831,51.477,126.802,51.436,126.788,51.419,126.799,51.408,126.889,51.391,126.91,51.362,126.896,51.35,126.842,51.308,126.806,51.266,126.824,51.252,126.871,51.271,126.892,51.303,126.885,51.321,126.907,51.33,126.953,51.31,126.982,51.296,126.979,51.222,126.91,51.193,126.903,51.146,126.91,51.063,126.932,51.028,126.982,50.972,127.033,50.931,127.112,50.903,127.144,50.788,127.22,50.751,127.288,50.722,127.295,50.695,127.281,50.666,127.295,50.606,127.36,50.555,127.364,50.514,127.324,50.465,127.288,50.415,127.36,50.381,127.36,50.34,127.331,50.298,127.353,50.276,127.403,50.221,127.58,50.209,127.591,50.166,127.587,50.131,127.569,50.063,127.508,50.026,127.486,49.974,127.493,49.942,127.522,49.908,127.533,49.869,127.511,49.822,127.508,49.79,127.54,49.766,127.645,49.739,127.681,49.682,127.691,49.648,127.72,49.635,127.771,49.586,127.853,49.581,127.922,49.601,127.947,49.599,127.99,49.547,128.066,49.542,128.091,49.538,128.199,49.559,128.267,49.545,128.321,49.548,128.343,49.579,128.383,49.589,128.552,49.575,128.627,49.609,128.667,49.584,128.735,49.572,128.797,49.532,128.8,49.521,128.768,49.484,128.75,49.466,128.786,49.481,128.854,49.472,128.901,49.449,128.948,49.442,128.998,49.43,129.016,49.361,129.067,49.349,129.117,49.39,129.193,49.386,129.247,49.344,129.315,49.349,129.362,49.369,129.373,49.425,129.38,49.43,129.405,49.422,129.481,49.397,129.52,49.369,129.531,49.304,129.538,49.28,129.571,49.275,129.617,49.28,129.668,49.275,129.711,49.239,129.736,49.206,129.736,49.184,129.754,49.174,129.826,49.153,129.844,49.109,129.841,49.082,129.92,49.04,129.913,49.025,129.927,49.015,129.974,48.973,130.039,48.883,130.201,48.865,130.251,48.87,130.294,48.897,130.388,48.892,130.467,48.863,130.485,48.853,130.539,48.875,130.626,48.871,130.676,48.858,130.676,48.795,130.629,48.635,130.532,48.598,130.539,48.578,130.608,48.561,130.622,48.508,130.615,48.478,130.64,48.5,130.716,48.486,130.759,48.468,130.759,48.431,130.737,48.365,130.773,48.334,130.824,48.282,130.82,48.245,130.773,48.189,130.752,48.164,130.708,48.135,130.676,48.101,130.665,48.051,130.683,47.927,130.856,47.884,130.906,47.821,130.942,47.718,130.942,47.705,130.964,47.678,131.043,47.676,131.104,47.71,131.209,47.743,131.418,47.735,131.475,47.703,131.536,47.664,131.583,47.664,131.623,47.694,131.684,47.696,131.702,47.679,131.781,47.684,131.853,47.667,131.904,47.688,131.958,47.698,132.026,47.689,132.163,47.725,132.249,47.737,132.332,47.73,132.4,47.706,132.476,47.716,132.548,47.757,132.584,47.801,132.58,47.87,132.66,47.894,132.674,47.922,132.66,47.951,132.674,47.961,132.706,47.954,132.739,47.934,132.775,47.936,132.807,47.985,132.865,48.027,132.94,48.061,133.041,48.091,133.063,48.106,133.092,48.125,133.185,48.12,133.264,48.1,133.322,48.106,133.398,48.09,133.462,48.095,133.524,48.113,133.56,48.155,133.585,48.172,133.606,48.189,133.671,48.245,133.722,48.252,133.74,48.25,133.797,48.275,133.876,48.274,133.938,48.285,133.981,48.316,134.024,48.328,134.056,48.334,134.118,48.36,134.208,48.377,134.366,48.382,134.388,48.345,134.452,48.343,134.51,48.358,134.542,48.316,134.571,48.285,134.611,48.267,134.661,48.263,134.719,48.22,134.686,48.135,134.683,48.108,134.661,48.061,134.586,48.041,134.568,48.01,134.56,47.985,134.568,47.944,134.6,47.911,134.6,47.897,134.647,47.865,134.668,47.824,134.676,47.796,134.697,47.742,134.769,47.711,134.773,47.664,134.726,47.649,134.694,47.588,134.683,47.549,134.625,47.482,134.56,47.431,134.485,47.429,134.438,47.439,134.416,47.421,134.312,47.397,134.28,47.355,134.244,47.328,134.182,47.287,134.172,47.257,134.154,47.239,134.161,47.205,134.197,47.173,134.19,47.117,134.226,47.095,134.218,47.085,134.197,47.081,134.146,47.056,134.114,46.999,134.089,46.968,134.067,46.908,134.064,46.833,134.02,46.806,134.02,46.772,134.046,46.646,134.006,46.61,133.966,46.59,133.92,46.573,133.902,46.538,133.898,46.48,133.848,46.445,133.855,46.436,133.884,46.409,133.923,46.371,133.927,46.354,133.88,46.338,133.862,46.32,133.873,46.323,133.909,46.301,133.894,46.259,133.902,46.237,133.855,46.224,133.862,46.2,133.837,46.217,133.808,46.187,133.776,46.149,133.722,46.143,133.689,46.063,133.722,46.023,133.696,45.935,133.657,45.937,133.617,45.876,133.585,45.888,133.531,45.862,133.502,45.837,133.498,45.82,133.477,45.796,133.484,45.778,133.513,45.768,133.484,45.729,133.47,45.71,133.444,45.687,133.488,45.663,133.484,45.65,133.455,45.628,133.477,45.616,133.426,45.58,133.426,45.574,133.376,45.528,133.272,45.504,133.189,45.435,133.142,45.287,133.102,45.244,133.099,45.155,133.128,45.123,133.117,45.059,133.023,45.025,132.955,45.028,132.922,45.059,132.84,45.234,131.968,45.273,131.9,45.327,131.871,45.337,131.853,45.332,131.817,45.305,131.785,45.216,131.724,45.209,131.713,45.207,131.644,45.199,131.626,45.165,131.605,45.124,131.623,45.089,131.608,44.984,131.454,44.961,131.436,44.967,131.349,44.964,131.313,44.922,131.245,44.902,131.158,44.92,131.112,44.908,131.05,44.863,131.025,44.842,130.935,44.826,130.932,44.775,130.971,44.746,131.022,44.682,131.065,44.368,131.166,44.054,131.263,44.007,131.212,43.974,131.205,43.926,131.22,43.78,131.169,43.684,131.176,43.667,131.187,43.623,131.18,43.574,131.187,43.549,131.166,43.52,131.166,43.465,131.263,43.439,131.277,43.38,131.281,43.345,131.248,43.265,131.238,43.232,131.194,43.201,131.169,43.181,131.166,43.139,131.191,43.12,131.184,43.09,131.133,43.059,131.119,43.032,131.079,42.993,131.076,42.936,131.101,42.911,131.104,42.897,131.076,42.887,131.007,42.848,130.993,42.85,130.856,42.868,130.795,42.865,130.77,42.826,130.73,42.83,130.651,42.818,130.586,42.781,130.492,42.735,130.406,42.696,130.381,42.678,130.402,42.678,130.503,42.666,130.528,42.598,130.586,42.57,130.586,42.531,130.532,42.6,130.518,42.61,130.485,42.585,130.456,42.57,130.471,42.549,130.453,42.561,130.431,42.605,130.42,42.607,130.392,42.651,130.323,42.668,130.316,42.708,130.262,42.744,130.244,42.782,130.244,42.867,130.255,42.902,130.24,42.909,130.194,42.907,130.14,42.921,130.1,42.943,130.122,42.973,130.132,42.982,130.122,42.961,130.046,42.961,129.995,42.973,129.97,43.009,129.934,42.997,129.88,42.977,129.905,42.97,129.862,42.928,129.848,42.836,129.797,42.792,129.79,42.747,129.761,42.703,129.758,42.684,129.787,42.647,129.776,42.629,129.74,42.607,129.761,42.585,129.736,42.475,129.729,42.443,129.704,42.438,129.671,42.448,129.592,42.411,129.589,42.404,129.563,42.372,129.545,42.441,129.434,42.428,129.387,42.445,129.34,42.421,129.351,42.423,129.315,42.389,129.304,42.379,129.243,42.35,129.229,42.338,129.243,42.318,129.225,42.318,129.193,42.304,129.221,42.267,129.211,42.254,129.182,42.235,129.185,42.225,129.214,42.149,129.121,42.142,129.088,42.154,129.063,42.136,129.063,42.102,129.027,42.088,128.962,42.036,128.941,42.026,128.905,42.044,128.818,42.048,128.721,42.031,128.71,42.026,128.681,42.031,128.609,42.001,128.563,42.007,128.545,41.995,128.501,42.011,128.455,42.009,128.408,42.026,128.365,42.033,128.26,41.999,128.102,41.994,128.033,41.965,128.019,41.879,128.041,41.85,128.059,41.842,128.091,41.754,128.145,41.712,128.159,41.67,128.224,41.659,128.249,41.622,128.282,41.583,128.303,41.545,128.289,41.404,128.185,41.376,128.145,41.379,128.105,41.399,128.105,41.389,128.066,41.399,128.048,41.421,128.051,41.413,128.015,41.46,128.012,41.47,128.001,41.45,127.976,41.47,127.943,41.467,127.904,41.453,127.871,41.431,127.85,41.443,127.81,41.437,127.785,41.438,127.691,41.447,127.659,41.43,127.637,41.469,127.544,41.484,127.526,41.499,127.475,41.484,127.403,41.499,127.378,41.491,127.346,41.506,127.27,41.526,127.288,41.528,127.245,41.546,127.205,41.521,127.187,41.531,127.155,41.523,127.133,41.538,127.105,41.57,127.137,41.585,127.18,41.595,127.166,41.612,127.097,41.626,127.105,41.643,127.058,41.668,127.047,41.681,127.076,41.732,127.033,41.764,126.982,41.766,126.946,41.795,126.939,41.796,126.91,41.774,126.878,41.747,126.863,41.73,126.809,41.697,126.788,41.737,126.727,41.735,126.68,41.702,126.727,41.671,126.68,41.666,126.619,41.614,126.568,41.575,126.583,41.534,126.557,41.489,126.543,41.435,126.5,41.377,126.521,41.352,126.521,41.344,126.489,41.366,126.5,41.367,126.471,41.349,126.442,41.291,126.381,41.249,126.356,41.209,126.309,41.143,126.262,41.092,126.147,41.075,126.125,41.057,126.14,41.003,126.082,40.945,126.046,40.928,125.992,40.913,125.981,40.91,126.014,40.895,125.996,40.878,125.935,40.9,125.902,40.898,125.884,40.869,125.823,40.886,125.762,40.868,125.747,40.847,125.683,40.81,125.643,40.77,125.683,40.761,125.611,40.785,125.571,40.778,125.56,40.726,125.546,40.719,125.477,40.668,125.445,40.667,125.42,40.631,125.413,40.645,125.373,40.641,125.337,40.65,125.308,40.643,125.276,40.614,125.258,40.584,125.153,40.548,125.074,40.535,125.024,40.508,125.017,40.484,125.038,40.461,125.042,40.454,124.959,40.461,124.919,40.484,124.894,40.432,124.851,40.383,124.779,40.371,124.739,40.31,124.714,40.295,124.642,40.253,124.57,40.221,124.549,40.214,124.527,40.098,124.369,39.878,124.203,39.618,122.849,38.944,121.859,39.528,121.222,40.503,122.302,40.922,121.175,40.194,120.437,39.892,119.534,39.189,119.015,39.111,117.716,38.27,117.838,38.152,118.839,37.296,118.961,37.121,119.44,37.833,120.74,37.424,121.593,37.409,122.687,36.823,122.32,36.987,122.029,36.584,121.024,36.145,120.697,35.589,119.656,35,119.192,34.312,120.257,33.026,120.891,31.727,121.931,31.724,121.067,30.915,121.978,30.251,120.7,30.326,121.377,29.885,122.137,29.196,121.942,29.277,121.525,28.34,121.658,28.382,121.183,27.202,120.517,26.795,119.584,25.41,119.645,25.571,119.278,24.568,118.648,23.663,116.917,22.94,116.495,22.668,115.574,22.817,114.775,22.557,114.231,22.56,114.163,22.538,114.148,22.53,114.083,23.099,113.583,22.202,113.529,21.766,112.579,21.398,110.768,20.986,110.156,20.478,110.534,20.248,109.914,21.474,109.742,21.866,108.449,21.486,107.992,21.532,107.945,21.535,107.931,21.601,107.855,21.64,107.834,21.657,107.78,21.658,107.744,21.624,107.69,21.606,107.614,21.609,107.531,21.582,107.51,21.596,107.459,21.646,107.445,21.645,107.409,21.619,107.384,21.599,107.348,21.616,107.33,21.689,107.304,21.719,107.272,21.706,107.211,21.716,107.171,21.778,107.096,21.795,107.067,21.81,107.002,21.844,106.988,21.876,107.013,21.913,107.02,21.935,106.991,21.935,106.97,21.917,106.919,21.928,106.898,21.967,106.865,21.972,106.8,22.008,106.721,21.972,106.689,21.962,106.66,21.996,106.649,22.067,106.674,22.106,106.66,22.143,106.66,22.19,106.638,22.224,106.664,22.31,106.635,22.324,106.617,22.325,106.577,22.346,106.541,22.428,106.527,22.472,106.545,22.575,106.57,22.607,106.588,22.611,106.606,22.568,106.646,22.58,106.682,22.631,106.696,22.695,106.736,22.727,106.739,22.754,106.757,22.773,106.793,22.796,106.79,22.8,106.732,22.827,106.714,22.871,106.656,22.85,106.631,22.852,106.61,22.896,106.581,22.925,106.487,22.889,106.458,22.854,106.314,22.85,106.275,22.864,106.235,22.913,106.224,22.947,106.203,22.965,106.17,22.98,106.077,22.975,105.998,22.94,105.972,22.928,105.944,22.928,105.875,22.904,105.854,22.975,105.778,23.006,105.756,23.019,105.72,23.045,105.692,23.055,105.566,23.075,105.54,23.156,105.53,23.195,105.472,23.267,105.432,23.279,105.414,23.281,105.375,23.318,105.332,23.365,105.314,23.367,105.292,23.32,105.234,23.266,105.216,23.252,105.191,23.267,105.155,23.254,105.141,23.227,105.047,23.19,104.982,23.159,104.946,23.156,104.921,23.17,104.896,23.163,104.871,23.119,104.86,23.085,104.799,22.955,104.828,22.925,104.824,22.896,104.774,22.827,104.716,22.812,104.684,22.823,104.608,22.808,104.579,22.837,104.554,22.746,104.45,22.693,104.363,22.687,104.342,22.729,104.248,22.763,104.23,22.825,104.241,22.825,104.212,22.796,104.129,22.783,104.072,22.719,104.025,22.692,104.014,22.631,104.007,22.585,103.989,22.528,103.985,22.508,103.96,22.533,103.917,22.568,103.895,22.575,103.866,22.609,103.83,22.66,103.794,22.717,103.726,22.8,103.647,22.768,103.589,22.741,103.578,22.7,103.546,22.641,103.55,22.587,103.514,22.584,103.485,22.619,103.449,22.675,103.409,22.737,103.402,22.776,103.359,22.788,103.308,22.724,103.269,22.678,103.251,22.656,103.229,22.607,103.143,22.579,103.128,22.557,103.146,22.538,103.143,22.506,103.092,22.486,103.046,22.44,103.046,22.43,103.028,22.438,102.988,22.46,102.956,22.477,102.902,22.6,102.833,22.626,102.75,22.67,102.693,22.685,102.632,22.715,102.588,22.695,102.56,22.695,102.534,22.746,102.516,22.769,102.466,22.746,102.426,22.693,102.408,22.68,102.394,22.678,102.362,22.651,102.362,22.639,102.38,22.616,102.376,22.496,102.254,22.427,102.232,22.411,102.218,22.425,102.164,22.398,102.12,22.398,102.106,22.43,102.084,22.447,102.016,22.43,101.89,22.379,101.868,22.383,101.843,22.406,101.818,22.472,101.786,22.496,101.757,22.479,101.688,22.425,101.645,22.364,101.645,22.347,101.624,22.276,101.602,22.276,101.552,22.246,101.516,22.229,101.519,22.177,101.562,22.15,101.566,22.091,101.555,22.008,101.602,21.967,101.606,21.94,101.638,21.932,101.674,21.898,101.685,21.837,101.724,21.807,101.753,21.751,101.732,21.717,101.728,21.699,101.75,21.648,101.757,21.626,101.804,21.589,101.793,21.57,101.735,21.515,101.75,21.474,101.728,21.375,101.724,21.321,101.714,21.292,101.735,21.275,101.789,21.248,101.822,21.209,101.814,21.207,101.775,21.196,101.76,21.15,101.768,21.135,101.703,21.189,101.656,21.174,101.595,21.185,101.577,21.224,101.584,21.239,101.541,21.243,101.494,21.216,101.361,21.175,101.292,21.179,101.26,21.246,101.21,21.297,101.22,21.315,101.206,21.364,101.235,21.403,101.17,21.506,101.188,21.535,101.188,21.552,101.159,21.586,101.159,21.613,101.174,21.658,101.163,21.695,101.127,21.76,101.12,21.766,101.084,21.754,101.055,21.704,100.976,21.677,100.878,21.658,100.835,21.626,100.796,21.57,100.756,21.516,100.706,21.469,100.623,21.452,100.547,21.462,100.497,21.456,100.457,21.496,100.428,21.528,100.385,21.525,100.328,21.483,100.288,21.457,100.23,21.429,100.187,21.437,100.162,21.483,100.13,21.508,100.097,21.567,100.086,21.599,100.094,21.63,100.115,21.65,100.148,21.673,100.119,21.685,100.083,21.687,99.996,21.721,99.95,21.776,99.939,21.812,99.921,21.852,99.921,21.925,99.957,21.962,99.964,22.006,99.939,22.045,99.942,22.058,99.867,22.047,99.842,22.026,99.842,22.018,99.82,22.038,99.798,22.067,99.741,22.062,99.705,22.038,99.683,22.085,99.633,22.107,99.539,22.104,99.489,22.124,99.438,22.099,99.366,22.096,99.33,22.102,99.251,22.133,99.165,22.153,99.143,22.168,99.176,22.185,99.158,22.205,99.165,22.246,99.201,22.31,99.219,22.34,99.244,22.393,99.244,22.411,99.284,22.472,99.345,22.496,99.359,22.533,99.345,22.609,99.356,22.72,99.309,22.746,99.309,22.774,99.359,22.813,99.377,22.84,99.402,22.874,99.417,22.92,99.41,22.937,99.431,22.909,99.485,22.909,99.514,22.926,99.539,22.95,99.536,23.012,99.489,23.043,99.496,23.067,99.478,23.068,99.402,23.082,99.381,23.119,99.352,23.127,99.312,23.097,99.294,23.056,99.226,23.067,99.201,23.092,99.201,23.107,99.129,23.102,99.075,23.127,99.039,23.161,99.028,23.159,98.992,23.173,98.934,23.18,98.859,23.212,98.859,23.298,98.909,23.323,98.895,23.323,98.859,23.335,98.852,23.367,98.891,23.408,98.891,23.446,98.877,23.48,98.848,23.473,98.808,23.533,98.78,23.548,98.783,23.583,98.844,23.605,98.859,23.693,98.801,23.759,98.794,23.769,98.78,23.798,98.664,23.816,98.672,23.904,98.664,23.936,98.675,23.961,98.657,23.988,98.718,24.027,98.765,24.083,98.855,24.115,98.873,24.146,98.866,24.129,98.819,24.122,98.715,24.107,98.682,24.1,98.639,24.076,98.585,24.093,98.542,24.122,98.502,24.129,98.474,24.129,98.394,24.105,98.348,24.1,98.294,24.117,98.218,24.119,98.182,24.102,98.106,24.022,97.89,23.958,97.818,23.934,97.746,23.887,97.696,23.869,97.646,23.847,97.624,23.875,97.617,23.907,97.574,23.924,97.534,23.943,97.516,24.125,97.707,24.171,97.725,24.2,97.703,24.222,97.703,24.242,97.725,24.277,97.718,24.303,97.646,24.328,97.638,24.346,97.689,24.368,97.689,24.39,97.664,24.439,97.638,24.443,97.602,24.431,97.52,24.461,97.512,24.598,97.538,24.723,97.534,24.745,97.538,24.818,97.642,24.833,97.685,24.826,97.75,24.855,97.772,24.897,97.725,24.927,97.707,25.074,97.703,25.091,97.739,25.159,97.779,25.238,97.8,25.262,97.822,25.245,97.862,25.206,97.89,25.218,97.93,25.272,97.977,25.301,98.034,25.376,98.074,25.388,98.11,25.449,98.114,25.5,98.099,25.535,98.135,25.611,98.139,25.613,98.15,25.579,98.247,25.552,98.276,25.557,98.312,25.593,98.358,25.65,98.376,25.692,98.412,25.795,98.463,25.831,98.499,25.839,98.528,25.816,98.564,25.8,98.61,25.843,98.679,25.88,98.693,25.905,98.668,25.979,98.618,25.983,98.582,26.035,98.574,26.089,98.546,26.121,98.549,26.131,98.564,26.145,98.625,26.108,98.625,26.098,98.643,26.125,98.682,26.19,98.7,26.239,98.679,26.244,98.646,26.271,98.643,26.312,98.657,26.371,98.708,26.408,98.718,26.538,98.722,26.572,98.729,26.624,98.754,26.682,98.747,26.734,98.733,26.771,98.751,26.81,98.744,26.862,98.715,26.908,98.736,26.996,98.711,27.031,98.733,27.068,98.733,27.092,98.69,27.175,98.672,27.237,98.679,27.305,98.704,27.337,98.708,27.369,98.697,27.386,98.675,27.475,98.668,27.556,98.682,27.587,98.675,27.61,98.636,27.592,98.603,27.604,98.564,27.643,98.542,27.656,98.52,27.644,98.492,27.685,98.409,27.656,98.398,27.587,98.394,27.533,98.366,27.523,98.33,27.536,98.294,27.57,98.276,27.648,98.254,27.68,98.24,27.727,98.204,27.761,98.211,27.781,98.196,27.823,98.196,27.86,98.146,27.879,98.139,27.898,98.178,27.913,98.178,27.945,98.15,27.974,98.106,28.016,98.121,28.124,98.128,28.141,98.117,28.2,98.049,28.213,97.991,28.252,97.995,28.281,97.98,28.299,97.944,28.355,97.898,28.37,97.858,28.343,97.797,28.352,97.764,28.382,97.739,28.489,97.7,28.51,97.671,28.482,97.613,28.539,97.545,28.529,97.527,28.414,97.473,28.382,97.444,28.365,97.451,28.298,97.448,28.286,97.437,28.284,97.383,28.264,97.379,28.235,97.332,28.217,97.325,28.235,97.286,28.274,97.228,28.308,97.21,28.315,97.181,28.367,97.116,28.375,97.077,28.337,96.998,28.33,96.965,28.355,96.897,28.428,96.886,28.478,96.839,28.519,96.771,28.59,96.699,28.608,96.612,28.585,96.558,28.534,96.526,28.429,96.512,28.421,96.494,28.489,96.461,28.519,96.425,28.565,96.468,28.612,96.436,28.644,96.501,28.71,96.598,28.759,96.594,28.808,96.576,28.865,96.522,28.948,96.494,28.97,96.45,28.995,96.458,29.037,96.368,29.098,96.353,29.078,96.281,29.027,96.195,29.108,96.173,29.145,96.209,29.172,96.317,29.245,96.368,29.28,96.339,29.242,96.267,29.242,96.234,29.257,96.206,29.302,96.166,29.368,96.141,29.37,96.076,29.36,95.954,29.324,95.864,29.353,95.795,29.341,95.745,29.274,95.748,29.218,95.716,29.228,95.648,29.25,95.594,29.238,95.554,29.213,95.55,29.21,95.514,29.161,95.522,29.132,95.511,29.137,95.475,29.123,95.468,29.149,95.45,29.186,95.446,29.177,95.424,29.13,95.41,29.139,95.37,29.137,95.306,29.113,95.273,29.053,95.28,29.064,95.216,29.095,95.201,29.113,95.1,29.14,95.046,29.154,94.989,29.169,94.956,29.125,94.989,29.171,94.856,29.166,94.798,29.174,94.762,29.215,94.769,29.284,94.704,29.319,94.629,29.302,94.582,29.232,94.528,29.215,94.499,29.208,94.395,29.186,94.362,29.159,94.348,29.145,94.323,29.149,94.287,29.098,94.272,29.024,94.348,28.977,94.29,28.933,94.251,28.931,94.175,28.897,94.136,28.884,94.078,28.835,93.974,28.833,93.92,28.798,93.909,28.792,93.876,28.776,93.866,28.75,93.79,28.696,93.722,28.703,93.675,28.673,93.624,28.679,93.552,28.673,93.448,28.603,93.318,28.563,93.264,28.541,93.221,28.495,93.156,28.462,93.149,28.391,93.117,28.367,93.092,28.31,93.002,28.271,92.962,28.25,92.904,28.205,92.865,28.183,92.836,28.18,92.789,28.196,92.778,28.156,92.706,28.105,92.656,28.058,92.638,28.038,92.703,27.968,92.688,27.94,92.663,27.904,92.602,27.896,92.566,27.86,92.523,27.847,92.476,27.823,92.44,27.828,92.418,27.854,92.404,27.842,92.382,27.805,92.368,27.803,92.35,27.833,92.328,27.786,92.303,27.811,92.274,27.849,92.26,27.865,92.238,27.822,92.235,27.806,92.21,27.811,92.105,27.795,92.069,27.741,92.012,27.727,91.976,27.73,91.864,27.754,91.814,27.764,91.774,27.759,91.634,27.83,91.626,27.916,91.652,27.94,91.637,27.96,91.601,27.97,91.536,27.984,91.497,27.984,91.461,27.995,91.418,28.031,91.342,28.056,91.31,28.092,91.292,28.073,91.27,28.075,91.22,28.058,91.176,27.972,91.094,27.963,91.05,27.967,91.007,27.982,90.975,28.033,90.91,28.044,90.852,28.048,90.788,28.061,90.726,28.087,90.683,28.087,90.651,28.073,90.622,28.066,90.575,28.075,90.51,28.073,90.474,28.126,90.485,28.154,90.514,28.158,90.55,28.19,90.568,28.2,90.597,28.234,90.59,28.247,90.55,28.25,90.507,28.283,90.456,28.283,90.417,28.299,90.388,28.299,90.356,28.256,90.33,28.261,90.291,28.299,90.262,28.335,90.262,28.359,90.226,28.325,90.176,28.345,90.071,28.308,89.952,28.316,89.916,28.296,89.862,28.259,89.83,28.229,89.779,28.185,89.754,28.169,89.718,28.149,89.599,28.134,89.56,28.082,89.517,28.048,89.459,27.995,89.419,27.909,89.369,27.869,89.337,27.844,89.301,27.808,89.225,27.73,89.2,27.619,89.121,27.626,89.092,27.616,89.063,27.575,89.016,27.55,89.005,27.531,88.977,27.492,88.984,27.479,88.966,27.433,88.951,27.393,88.962,27.33,88.998,27.312,88.973,27.328,88.951,27.33,88.915,27.315,88.894,27.342,88.851,27.367,88.829,27.408,88.775,27.464,88.753,27.511,88.757,27.546,88.743,27.654,88.804,27.844,88.854,27.892,88.843,27.928,88.811,27.995,88.818,28.011,88.804,28.055,88.735,28.07,88.653,28.105,88.609,28.107,88.595,28.078,88.552,28.029,88.501,28.031,88.455,27.982,88.379,27.958,88.199,27.947,88.163,27.95,88.127,27.928,88.098,27.879,88.105,27.86,88.12,27.894,88.03,27.882,87.965,27.896,87.936,27.899,87.857,27.906,87.825,27.84,87.781,27.808,87.727,27.806,87.699,27.82,87.659,27.82,87.619,27.805,87.573,27.837,87.533,27.805,87.385,27.82,87.367,27.849,87.385,27.847,87.335,27.816,87.292,27.83,87.234,27.827,87.155,27.845,87.115,27.908,87.061,27.952,87.007,27.945,86.914,27.97,86.878,27.995,86.867,28.014,86.842,28.012,86.77,28.021,86.741,28.065,86.737,28.088,86.719,28.107,86.662,28.08,86.611,28.107,86.568,28.093,86.543,28.048,86.539,28.012,86.518,27.972,86.518,27.938,86.496,27.911,86.439,27.918,86.406,27.947,86.363,27.94,86.327,27.984,86.277,28.002,86.205,28.071,86.172,28.109,86.187,28.153,86.176,28.156,86.154,28.077,86.068,28.044,86.086,28.001,86.079,27.985,86.097,27.958,86.097,27.926,86.115,27.894,86.075,27.887,86.053,27.891,85.963,27.916,85.953,27.977,85.956,27.995,85.945,28.036,85.899,28.082,85.891,28.144,85.863,28.159,85.848,28.188,85.783,28.222,85.733,28.269,85.701,28.335,85.693,28.306,85.675,28.294,85.647,28.25,85.611,28.276,85.564,28.279,85.477,28.298,85.431,28.289,85.402,28.266,85.377,28.261,85.344,28.283,85.312,28.267,85.243,28.277,85.207,28.304,85.175,28.293,85.11,28.318,85.081,28.38,85.085,28.436,85.078,28.46,85.11,28.497,85.117,28.532,85.157,28.583,85.168,28.595,85.161,28.608,85.11,28.639,85.056,28.629,85.024,28.595,85.002,28.575,84.955,28.536,84.919,28.544,84.88,28.546,84.801,28.595,84.736,28.605,84.678,28.651,84.682,28.669,84.631,28.693,84.617,28.706,84.552,28.728,84.498,28.733,84.451,28.799,84.423,28.848,84.376,28.862,84.354,28.874,84.286,28.901,84.235,28.941,84.207,29.026,84.232,29.039,84.221,29.058,84.174,29.098,84.167,29.144,84.131,29.193,84.163,29.206,84.156,29.21,84.113,29.257,84.091,29.248,84.034,29.27,84.012,29.264,83.976,29.284,83.969,29.292,83.933,29.282,83.883,29.264,83.868,29.235,83.793,29.226,83.695,29.21,83.674,29.161,83.656,29.156,83.623,29.162,83.584,29.191,83.515,29.26,83.505,29.275,83.494,29.306,83.436,29.333,83.429,29.356,83.393,29.394,83.386,29.416,83.357,29.461,83.353,29.485,83.328,29.473,83.263,29.495,83.245,29.527,83.263,29.556,83.253,29.593,83.195,29.625,83.163,29.615,83.094,29.579,83.08,29.586,83.055,29.62,83.033,29.664,82.975,29.664,82.932,29.689,82.9,29.66,82.835,29.691,82.817,29.704,82.781,29.74,82.752,29.78,82.691,29.797,82.68,29.828,82.687,29.829,82.637,29.839,82.619,29.924,82.543,29.946,82.475,29.966,82.439,30.003,82.396,30.01,82.338,30.032,82.32,30.04,82.255,30.064,82.212,30.056,82.173,30.069,82.144,30.125,82.126,30.182,82.155,30.214,82.097,30.256,82.083,30.314,82.093,30.338,82.072,30.338,82.007,30.329,81.967,30.354,81.942,30.354,81.888,30.371,81.845,30.358,81.78,30.363,81.759,30.417,81.615,30.414,81.593,30.385,81.564,30.378,81.535,30.332,81.521,30.332,81.481,30.373,81.427,30.375,81.388,30.344,81.388,30.317,81.37,30.256,81.37,30.241,81.377,30.157,81.352,30.133,81.323,30.125,81.265,30.103,81.276,30.064,81.258,30.05,81.226,30.008,81.219,30.005,81.193,30.023,81.147,30.017,81.096,30.072,81.075,30.12,81.042,30.172,81.021,30.197,80.995,30.213,81.003,30.255,80.977,30.27,80.945,30.289,80.866,30.321,80.783,30.346,80.754,30.378,80.736,30.412,80.693,30.466,80.574,30.459,80.524,30.498,80.427,30.547,80.326,30.565,80.254,30.559,80.178,30.606,80.203,30.626,80.2,30.662,80.167,30.675,80.167,30.685,80.207,30.724,80.232,30.748,80.196,30.785,80.171,30.793,80.142,30.775,80.092,30.785,80.063,30.847,80.005,30.873,79.933,30.913,79.879,30.954,79.851,30.962,79.833,30.979,79.739,30.967,79.689,30.962,79.631,30.94,79.588,30.947,79.545,30.966,79.512,31.015,79.476,31.023,79.401,31.069,79.39,31.094,79.372,31.124,79.296,31.138,79.282,31.212,79.267,31.224,79.235,31.244,79.217,31.27,79.221,31.287,79.199,31.335,79.195,31.344,79.159,31.388,79.138,31.433,79.062,31.425,79.015,31.386,78.997,31.344,78.99,31.32,78.976,31.354,78.918,31.298,78.879,31.292,78.861,31.288,78.785,31.302,78.753,31.335,78.738,31.411,78.76,31.445,78.763,31.487,78.695,31.509,78.699,31.579,78.796,31.607,78.817,31.666,78.76,31.673,78.724,31.729,78.691,31.747,78.695,31.771,78.67,31.822,78.699,31.883,78.713,31.964,78.745,31.994,78.724,32.036,78.648,32.151,78.551,32.181,78.537,32.207,78.511,32.23,78.457,32.281,78.461,32.396,78.436,32.416,78.454,32.477,78.411,32.528,78.382,32.548,78.385,32.566,78.447,32.57,78.591,32.578,78.63,32.599,78.666,32.637,78.713,32.612,78.753,32.561,78.735,32.462,78.771,32.401,78.857,32.355,78.911,32.347,78.943,32.377,79.03,32.371,79.077,32.391,79.091,32.45,79.102,32.472,79.113,32.497,79.163,32.507,79.217,32.49,79.275,32.494,79.293,32.536,79.336,32.602,79.433,32.646,79.476,32.713,79.505,32.747,79.501,32.796,79.447,32.855,79.433,32.887,79.411,32.931,79.354,32.957,79.336,32.994,79.332,33.066,79.343,33.127,79.383,33.164,79.379,33.179,79.347,33.183,79.264,33.227,79.152,33.228,79.123,33.215,79.087,33.264,79.073,33.293,79.026,33.309,78.972,33.385,78.918,33.461,78.825,33.493,78.799,33.553,78.781,33.743,78.796,33.809,78.789,33.872,78.771,33.995,78.72,34.079,78.731,34.123,78.807,34.159,78.904,34.218,78.976,34.24,78.987,34.287,78.987,34.35,78.951,34.372,78.922,34.397,78.839,34.415,78.803,34.471,78.749,34.527,78.666,34.547,78.609,34.579,78.378,34.594,78.335,34.625,78.295,34.659,78.274,34.848,78.213,34.909,78.162,34.944,78.148,35.018,78.141,35.055,78.13,35.194,78.036,35.268,78,35.348,78.011,35.398,78.04,35.452,78.054,35.491,78.043,35.494,77.986,35.483,77.957,35.44,77.914,35.43,77.881,35.452,77.835,35.496,77.799]],
+    [[19.684,111.009,18.382,110.041,18.288,109.162,18.504,108.694,19.276,108.626,19.993,109.594,19.995,110.933,19.684,111.009]],
+    [[21.658,111.963,21.658,111.963,21.658,111.963,21.658,111.963]],
+    [[21.712,112.647,21.712,112.647,21.712,112.647,21.712,112.647]],
+    [[21.775,112.845,21.775,112.845,21.775,112.845,21.775,112.845]],
+    [[22.028,113.392,22.028,113.392,22.028,113.392,22.028,113.392]],
+    [[22.158,113.363,22.158,113.363,22.158,113.363,22.158,113.363]],
+    [[22.785,113.594,22.785,113.594,22.785,113.594,22.785,113.594]],
+    [[23.473,117.071,23.473,117.071,23.473,117.071,23.473,117.071]],
+    [[23.754,117.467,23.754,117.467,23.754,117.467,23.754,117.467]],
+    [[26.037,119.307,26.037,119.307,26.037,119.307,26.037,119.307]],
+    [[28.141,121.255,28.141,121.255,28.141,121.255,28.141,121.255]],
+    [[30.314,122.237,30.314,122.237,30.314,122.237,30.314,122.237]],
+    [[30.456,122.399,30.456,122.399,30.456,122.399,30.456,122.399]],
+    [[31.374,121.838,31.374,121.838,31.374,121.838,31.374,121.838]],
+    [[32.126,119.879,32.126,119.879,32.126,119.879,32.126,119.879]],
+    [[39.165,122.32,39.165,122.32,39.165,122.32,39.165,122.32]],
+    [[39.235,122.637,39.235,122.637,39.235,122.637,39.235,122.637]],
+    [[39.262,122.684,39.262,122.684,39.262,122.684,39.262,122.684]],
+    [[39.474,121.424,39.474,121.424,39.474,121.424,39.474,121.424]],
+    [[39.515,122.965,39.515,122.965,39.515,122.965,39.515,122.965]],
+    [[20.959,110.595,20.959,110.595,20.959,110.595,20.959,110.595]],
+    [[21.037,110.548,21.037,110.548,21.037,110.548,21.037,110.548]],
+    [[21.192,110.617,21.192,110.617,21.192,110.617,21.192,110.617]],
+    [[24.556,118.094,24.556,118.094,24.556,118.094,24.556,118.094]],
+    [[25.537,119.847,25.537,119.847,25.537,119.847,25.537,119.847]],
+    [[29.12,121.957,29.12,121.957,29.12,121.957,29.12,121.957]],
+    [[29.733,122.144,29.733,122.144,29.733,122.144,29.733,122.144]],
+    [[29.883,122.396,29.883,122.396,29.883,122.396,29.883,122.396]],
+    [[30.076,121.881,30.076,121.881,30.076,121.881,30.076,121.881]],
+    [[30.025,122.327,30.025,122.327,30.025,122.327,30.025,122.327]],
+    [[31.607,121.845,31.607,121.845,31.607,121.845,31.607,121.845]],
+    [[15.775,111.196,15.775,111.196,15.775,111.196,15.775,111.196]],
+    [[16.044,111.765,16.044,111.765,16.044,111.765,16.044,111.765]],
+    [[21.022,109.101,21.022,109.101,21.022,109.101,21.022,109.101]],
+    [[37.94,120.747,37.94,120.747,37.94,120.747,37.94,120.747]],
+    [[37.98,120.607,37.98,120.607,37.98,120.607,37.98,120.607]],
+    [[37.982,120.722,37.982,120.722,37.982,120.722,37.982,120.722]],
+    [[38.171,120.761,38.171,120.761,38.171,120.761,38.171,120.761]],
+    [[38.289,120.808,38.289,120.808,38.289,120.808,38.289,120.808]],
+    [[38.384,120.913,38.384,120.913,38.384,120.913,38.384,120.913]],
+    [[39.091,123.181,39.091,123.181,39.091,123.181,39.091,123.181]],
+    [[16.527,111.599,16.527,111.599,16.527,111.599,16.527,111.599]],
+    [[16.658,112.733,16.658,112.733,16.658,112.733,16.658,112.733]],
+    [[16.826,112.334,16.826,112.334,16.826,112.334,16.826,112.334]],
+    [[16.934,112.334,16.934,112.334,16.934,112.334,16.934,112.334]],
+    [[20.647,110.473,20.647,110.473,20.647,110.473,20.647,110.473]],
+    [[21.925,113.277,21.925,113.277,21.925,113.277,21.925,113.277]],
+    [[22.001,113.77,22.001,113.77,22.001,113.77,22.001,113.77]],
+    [[22.057,114.307,22.057,114.307,22.057,114.307,22.057,114.307]],
+    [[22.099,113.475,22.099,113.475,22.099,113.475,22.099,113.475]],
+    [[22.44,113.623,22.44,113.623,22.44,113.623,22.44,113.623]],
+    [[22.742,113.547,22.742,113.547,22.742,113.547,22.742,113.547]],
+    [[22.96,113.529,22.96,113.529,22.96,113.529,22.96,113.529]],
+    [[23.563,116.996,23.563,116.996,23.563,116.996,23.563,116.996]],
+    [[25.209,119.552,25.209,119.552,25.209,119.552,25.209,119.552]],
+    [[25.567,119.347,25.567,119.347,25.567,119.347,25.567,119.347]],
+    [[26.108,119.627,26.108,119.627,26.108,119.627,26.108,119.627]],
+    [[26.94,120.326,26.94,120.326,26.94,120.326,26.94,120.326]],
+    [[27.479,121.075,27.479,121.075,27.479,121.075,27.479,121.075]],
+    [[27.865,121.183,27.865,121.183,27.865,121.183,27.865,121.183]],
+    [[27.952,121.049,27.952,121.049,27.952,121.049,27.952,121.049]],
+    [[29.13,121.863,29.13,121.863,29.13,121.863,29.13,121.863]],
+    [[29.817,122.306,29.817,122.306,29.817,122.306,29.817,122.306]],
+    [[29.944,121.971,29.944,121.971,29.944,121.971,29.944,121.971]],
+    [[30.241,122.345,30.241,122.345,30.241,122.345,30.241,122.345]],
+    [[30.721,122.529,30.721,122.529,30.721,122.529,30.721,122.529]],
+    [[31.374,121.762,31.374,121.762,31.374,121.762,31.374,121.762]],
+    [[39.074,118.634,39.074,118.634,39.074,118.634,39.074,118.634]],
+    [[16.577,111.679,16.577,111.679,16.577,111.679,16.577,111.679]],
+  ],
+  HK: [
+    [[22.557,114.231,22.524,114.209,22.552,114.256,22.511,114.278,22.501,114.299,22.506,114.335,22.482,114.307,22.452,114.245,22.47,114.231,22.449,114.166,22.42,114.213,22.4,114.217,22.435,114.238,22.43,114.267,22.41,114.274,22.427,114.289,22.443,114.278,22.481,114.325,22.423,114.346,22.462,114.361,22.44,114.371,22.437,114.4,22.413,114.4,22.401,114.375,22.366,114.389,22.349,114.371,22.346,114.343,22.376,114.335,22.389,114.317,22.379,114.267,22.356,114.281,22.356,114.256,22.32,114.274,22.297,114.31,22.286,114.289,22.258,114.296,22.271,114.278,22.317,114.267,22.281,114.238,22.318,114.195,22.288,114.173,22.315,114.166,22.342,114.123,22.366,114.112,22.366,114.08,22.351,114.022,22.373,113.975,22.362,113.947,22.376,113.914,22.408,113.896,22.42,113.932,22.45,113.954,22.459,113.979,22.489,113.997,22.472,114.011,22.496,114.029,22.504,114.058,22.53,114.083,22.538,114.148,22.56,114.163,22.557,114.231]],
+    [[22.178,114.137,22.177,114.112,22.215,114.116,22.204,114.155,22.178,114.137]],
+    [[22.286,114.217,22.259,114.253,22.242,114.245,22.204,114.256,22.212,114.235,22.234,114.231,22.215,114.213,22.192,114.22,22.241,114.184,22.249,114.13,22.278,114.112,22.286,114.13,22.28,114.181,22.286,114.217]],
+    [[22.197,113.846,22.234,113.839,22.258,113.849,22.293,113.893,22.285,113.929,22.298,113.975,22.335,114.019,22.346,114.044,22.302,114.022,22.264,114.019,22.241,113.993,22.227,114.015,22.209,113.983,22.237,113.979,22.237,113.947,22.204,113.907,22.222,113.893,22.197,113.846]],
+  ],
+  JP: [
+    [[31.8,129.783,31.8,129.783,31.8,129.783,31.8,129.783]],
+    [[32.477,131.659,31.373,131.338,31.003,130.658,31.246,130.222,32.1,130.28,32.649,130.669,33.188,130.24,32.663,129.815,33.225,129.553,33.808,130.453,33.667,131.666,33.274,131.511,32.936,132.022,32.477,131.659]],
+    [[33.828,134.69,33.237,134.175,33.537,133.74,32.815,132.955,32.933,132.472,33.465,132.307,34.142,132.944,33.933,133.128,34.385,134.154,33.828,134.69]],
+    [[36.109,133.12,36.109,133.12,36.109,133.12,36.109,133.12]],
+    [[36.118,133.092,36.118,133.092,36.118,133.092,36.118,133.092]],
+    [[36.128,133.074,36.128,133.074,36.128,133.074,36.128,133.074]],
+    [[34.446,133.423,34.238,132.224,33.841,132.163,33.933,131.187,34.407,130.939,34.424,131.414,35.601,133.092,35.466,133.329,35.672,134.539,35.527,135.81,35.972,135.957,36.663,136.641,37.359,136.749,37.531,137.296,36.871,136.987,37.23,138.326,38.169,139.431,39.505,140.047,39.858,139.759,41.266,140.342,40.896,140.673,41.546,140.914,41.161,141.39,40.67,141.436,39.753,142.009,38.372,141.44,38.049,140.925,37.002,140.976,36.283,140.565,35.721,140.878,34.907,139.928,35.314,139.78,35.285,139.233,34.596,138.834,35.121,138.805,34.713,138.214,34.681,136.519,34.238,136.472,33.482,135.766,33.978,135.075,34.709,135.342,34.777,134.697,34.446,133.423]],
+    [[44.159,143.895,44.159,143.895,44.159,143.895,44.159,143.895]],
+    [[43.387,145.767,42.934,144.784,42.977,144.183,42.603,143.575,41.933,143.226,42.617,141.724,42.304,141.001,42.565,140.457,42.259,140.292,41.791,141.192,41.827,140.659,41.401,140.209,42.664,139.878,43.015,140.526,43.372,140.486,43.14,141.17,44.598,141.793,45.165,141.588,45.521,141.944,44.586,142.981,44.113,143.73,43.88,145.105,43.277,145.321,43.387,145.767]],
+    [[24.392,123.814,24.392,123.814,24.392,123.814,24.392,123.814]],
+    [[24.475,123.004,24.475,123.004,24.475,123.004,24.475,123.004]],
+    [[24.583,124.329,24.583,124.329,24.583,124.329,24.583,124.329]],
+    [[24.789,141.357,24.789,141.357,24.789,141.357,24.789,141.357]],
+    [[24.782,125.387,24.782,125.387,24.782,125.387,24.782,125.387]],
+    [[25.875,131.256,25.875,131.256,25.875,131.256,25.875,131.256]],
+    [[26.352,126.809,26.352,126.809,26.352,126.809,26.352,126.809]],
+    [[26.646,142.192,26.646,142.192,26.646,142.192,26.646,142.192]],
+    [[26.797,128.336,26.797,128.336,26.797,128.336,26.797,128.336]],
+    [[27.092,142.192,27.092,142.192,27.092,142.192,27.092,142.192]],
+    [[27.455,128.699,27.455,128.699,27.455,128.699,27.455,128.699]],
+    [[27.811,128.987,27.811,128.987,27.811,128.987,27.811,128.987]],
+    [[28.119,129.297,28.119,129.297,28.119,129.297,28.119,129.297]],
+    [[28.374,130.032,28.374,130.032,28.374,130.032,28.374,130.032]],
+    [[28.462,129.707,28.462,129.707,28.462,129.707,28.462,129.707]],
+    [[29.655,129.715,29.655,129.715,29.655,129.715,29.655,129.715]],
+    [[29.875,129.895,29.875,129.895,29.875,129.895,29.875,129.895]],
+    [[30.375,130.676,30.375,130.676,30.375,130.676,30.375,130.676]],
+    [[30.841,131.05,30.841,131.05,30.841,131.05,30.841,131.05]],
+    [[32.203,130.154,32.203,130.154,32.203,130.154,32.203,130.154]],
+    [[32.512,130.41,32.512,130.41,32.512,130.41,32.512,130.41]],
+    [[32.546,130.161,32.546,130.161,32.546,130.161,32.546,130.161]],
+    [[32.675,128.879,32.675,128.879,32.675,128.879,32.675,128.879]],
+    [[33.136,139.791,33.136,139.791,33.136,139.791,33.136,139.791]],
+    [[32.989,129.099,32.989,129.099,32.989,129.099,32.989,129.099]],
+    [[33.411,129.556,33.411,129.556,33.411,129.556,33.411,129.556]],
+    [[33.794,132.242,33.794,132.242,33.794,132.242,33.794,132.242]],
+    [[33.774,129.776,33.774,129.776,33.774,129.776,33.774,129.776]],
+    [[33.868,132.235,33.868,132.235,33.868,132.235,33.868,132.235]],
+    [[34.061,139.489,34.061,139.489,34.061,139.489,34.061,139.489]],
+    [[34.071,132.555,34.071,132.555,34.071,132.555,34.071,132.555]],
+    [[34.208,132.998,34.208,132.998,34.208,132.998,34.208,132.998]],
+    [[34.28,129.311,34.28,129.311,34.28,129.311,34.28,129.311]],
+    [[34.395,139.269,34.395,139.269,34.395,139.269,34.395,139.269]],
+    [[34.608,135.003,34.608,135.003,34.608,135.003,34.608,135.003]],
+    [[34.62,129.452,34.62,129.452,34.62,129.452,34.62,129.452]],
+    [[34.78,139.417,34.78,139.417,34.78,139.417,34.78,139.417]],
+    [[36.015,133.012,36.015,133.012,36.015,133.012,36.015,133.012]],
+    [[36.275,133.369,36.275,133.369,36.275,133.369,36.275,133.369]],
+    [[38.07,138.459,38.07,138.459,38.07,138.459,38.07,138.459]],
+    [[42.244,139.55,42.244,139.55,42.244,139.55,42.244,139.55]],
+    [[43.593,145.31,43.593,145.31,43.593,145.31,43.593,145.31]],
+    [[43.942,144.45,43.942,144.45,43.942,144.45,43.942,144.45]],
+    [[45.172,141.328,45.172,141.328,45.172,141.328,45.172,141.328]],
+    [[45.45,141.051,45.45,141.051,45.45,141.051,45.45,141.051]],
+    [[27.219,140.871,27.219,140.871,27.219,140.871,27.219,140.871]],
+    [[26.736,127.81,26.736,127.81,26.736,127.81,26.736,127.81]],
+    [[27.092,127.994,27.092,127.994,27.092,127.994,27.092,127.994]],
+    [[30.471,130.219,30.471,130.219,30.471,130.219,30.471,130.219]],
+    [[34.554,134.366,34.554,134.366,34.554,134.366,34.554,134.366]],
+    [[24.223,141.454,24.223,141.454,24.223,141.454,24.223,141.454]],
+    [[24.289,153.972,24.289,153.972,24.289,153.972,24.289,153.972]],
+    [[25.417,141.289,25.417,141.289,25.417,141.289,25.417,141.289]],
+    [[25.951,131.292,25.951,131.292,25.951,131.292,25.951,131.292]],
+    [[26.599,127.223,26.599,127.223,26.599,127.223,26.599,127.223]],
+    [[27.048,128.455,27.048,128.455,27.048,128.455,27.048,128.455]],
+    [[27.146,142.189,27.146,142.189,27.146,142.189,27.146,142.189]],
+    [[27.599,142.196,27.599,142.196,27.599,142.196,27.599,142.196]],
+    [[27.717,142.081,27.717,142.081,27.717,142.081,27.717,142.081]],
+    [[27.867,128.235,27.867,128.235,27.867,128.235,27.867,128.235]],
+    [[29.449,129.592,29.449,129.592,29.449,129.592,29.449,129.592]],
+    [[29.902,129.527,29.902,129.527,29.902,129.527,29.902,129.527]],
+    [[29.966,129.945,29.966,129.945,29.966,129.945,29.966,129.945]],
+    [[30.491,140.306,30.491,140.306,30.491,140.306,30.491,140.306]],
+    [[30.846,129.427,30.846,129.427,30.846,129.427,30.846,129.427]],
+    [[30.844,129.945,30.844,129.945,30.844,129.945,30.844,129.945]],
+    [[31.444,140.043,31.445,140.043,31.444,140.043,31.444,140.043]],
+    [[31.445,140.043,31.444,140.043,31.445,140.043,31.445,140.043]],
+    [[32.452,139.755,32.452,139.755,32.452,139.755,32.452,139.755]],
+    [[33.651,139.298,33.651,139.298,33.651,139.298,33.651,139.298]],
+    [[33.885,139.622,33.885,139.622,33.885,139.622,33.885,139.622]],
+    [[41.523,139.374,41.523,139.374,41.523,139.374,41.523,139.374]],
+    [[24.309,153.965,24.309,153.965,24.309,153.965,24.309,153.965]],
+    [[24.846,125.204,24.846,125.204,24.846,125.204,24.846,125.204]],
+    [[26.214,127.371,26.214,127.371,26.214,127.371,26.214,127.371]],
+    [[27.727,142.106,27.727,142.106,27.727,142.106,27.727,142.106]],
+    [[31.867,129.934,31.867,129.934,31.867,129.934,31.867,129.934]],
+    [[32.301,130.244,32.301,130.244,32.301,130.244,32.301,130.244]],
+    [[32.597,130.446,32.597,130.446,32.597,130.446,32.597,130.446]],
+    [[32.742,132.562,32.742,132.562,32.742,132.562,32.742,132.562]],
+    [[32.818,128.901,32.818,128.901,32.818,128.901,32.818,128.901]],
+    [[32.874,128.951,32.874,128.951,32.874,128.951,32.874,128.951]],
+    [[32.899,129.027,32.899,129.027,32.899,129.027,32.899,129.027]],
+    [[33.299,129.135,33.299,129.135,33.299,129.135,33.299,129.135]],
+    [[33.493,129.556,33.493,129.556,33.493,129.556,33.493,129.556]],
+    [[34.014,132.642,34.014,132.642,34.014,132.642,34.014,132.642]],
+    [[34.174,133.095,34.174,133.095,34.174,133.095,34.174,133.095]],
+    [[34.198,132.739,34.198,132.739,34.198,132.739,34.198,132.739]],
+    [[34.277,132.922,34.277,132.922,34.277,132.922,34.277,132.922]],
+    [[34.304,132.339,34.304,132.339,34.304,132.339,34.304,132.339]],
+    [[34.397,133.714,34.397,133.714,34.397,133.714,34.397,133.714]],
+    [[34.431,135.205,34.431,135.205,34.431,135.205,34.431,135.205]],
+    [[34.475,134.049,34.475,134.049,34.475,134.049,34.475,134.049]],
+    [[34.497,136.893,34.497,136.893,34.497,136.893,34.497,136.893]],
+    [[34.532,136.89,34.532,136.89,34.532,136.89,34.532,136.89]],
+    [[34.876,136.8,34.876,136.8,34.876,136.8,34.876,136.8]],
+    [[37.153,137.048,37.153,137.048,37.153,137.048,37.153,137.048]],
+    [[25.74,123.605,25.74,123.605,25.74,123.605,25.74,123.605]],
+    [[25.761,123.544,25.761,123.544,25.761,123.544,25.761,123.544]],
+    [[25.929,123.674,25.929,123.674,25.929,123.674,25.929,123.674]],
+  ],
+  KR: [
+    [[38.625,128.365,37.247,129.347,36.082,129.556,35.513,129.455,35.044,128.966,35.104,128.512,34.773,127.36,34.294,126.521,35.123,126.255,35.91,126.806,36.781,126.187,37.254,126.658,37.828,126.669,37.914,126.662,37.938,126.665,37.955,126.723,37.978,126.763,38.097,126.863,38.135,126.921,38.201,126.953,38.255,127.025,38.286,127.09,38.308,127.159,38.309,127.252,38.318,127.378,38.296,127.472,38.313,127.562,38.326,127.753,38.294,127.799,38.304,127.868,38.301,127.972,38.304,128.041,38.323,128.109,38.357,128.174,38.426,128.249,38.485,128.282,38.52,128.285,38.571,128.275,38.601,128.307,38.625,128.365]],
+    [[36.459,126.406,36.459,126.406,36.459,126.406,36.459,126.406]],
+    [[37.803,126.295,37.803,126.295,37.803,126.295,37.803,126.295]],
+    [[33.478,126.946,33.478,126.946,33.478,126.946,33.478,126.946]],
+    [[34.483,127.173,34.483,127.173,34.483,127.173,34.483,127.173]],
+    [[34.498,126.381,34.498,126.381,34.498,126.381,34.498,126.381]],
+    [[34.684,127.781,34.684,127.781,34.684,127.781,34.684,127.781]],
+    [[34.713,125.989,34.713,125.989,34.713,125.989,34.713,125.989]],
+    [[34.78,126.007,34.78,126.007,34.78,126.007,34.78,126.007]],
+    [[34.914,126.057,34.914,126.057,34.914,126.057,34.914,126.057]],
+    [[34.816,128.069,34.816,128.069,34.816,128.069,34.816,128.069]],
+    [[34.87,128.75,34.87,128.75,34.87,128.75,34.87,128.75]],
+    [[35.05,126.111,35.05,126.111,35.05,126.111,35.05,126.111]],
+    [[37.514,126.565,37.514,126.565,37.514,126.565,37.514,126.565]],
+    [[37.546,130.903,37.546,130.903,37.546,130.903,37.546,130.903]],
+    [[37.695,126.356,37.695,126.356,37.695,126.356,37.695,126.356]],
+    [[37.597,126.507,37.597,126.507,37.597,126.507,37.597,126.507]],
+    [[37.98,124.732,37.98,124.732,37.98,124.732,37.98,124.732]],
+    [[34.02,127.31,34.02,127.31,34.02,127.31,34.02,127.31]],
+    [[34.451,127.533,34.451,127.533,34.451,127.533,34.451,127.533]],
+    [[34.507,127.781,34.507,127.781,34.507,127.781,34.507,127.781]],
+    [[34.596,126.1,34.596,126.1,34.596,126.1,34.596,126.1]],
+    [[34.569,126.039,34.569,126.039,34.569,126.039,34.569,126.039]],
+    [[34.689,125.445,34.689,125.445,34.689,125.445,34.689,125.445]],
+    [[34.733,126.176,34.733,126.176,34.733,126.176,34.733,126.176]],
+    [[34.792,126.169,34.792,126.169,34.792,126.169,34.792,126.169]],
+    [[34.822,126.079,34.822,126.079,34.822,126.079,34.822,126.079]],
+    [[34.844,128.073,34.844,128.073,34.844,128.073,34.844,128.073]],
+    [[34.917,126.248,34.917,126.248,34.917,126.248,34.917,126.248]],
+    [[35.049,126.179,35.049,126.179,35.049,126.179,35.049,126.179]],
+    [[35.022,128.843,35.022,128.843,35.022,128.843,35.022,128.843]],
+    [[35.57,126.259,35.57,126.259,35.57,126.259,35.57,126.259]],
+    [[37.229,126.1,37.229,126.1,37.229,126.1,37.229,126.1]],
+    [[37.279,126.485,37.279,126.485,37.279,126.485,37.279,126.485]],
+    [[37.256,126.615,37.256,126.615,37.256,126.615,37.256,126.615]],
+    [[37.679,125.69,37.679,125.69,37.679,125.69,37.679,125.69]],
+    [[37.847,124.718,37.847,124.718,37.847,124.718,37.847,124.718]],
+    [[34.049,125.128,34.049,125.128,34.049,125.128,34.049,125.128]],
+    [[34.169,126.601,34.169,126.601,34.169,126.601,34.169,126.601]],
+    [[34.154,126.673,34.154,126.673,34.154,126.673,34.154,126.673]],
+    [[34.198,126.91,34.198,126.91,34.198,126.91,34.198,126.91]],
+    [[34.218,126.611,34.218,126.611,34.218,126.611,34.218,126.611]],
+    [[34.307,126.089,34.307,126.089,34.307,126.089,34.307,126.089]],
+    [[34.309,126.853,34.309,126.853,34.309,126.853,34.309,126.853]],
+    [[34.345,127.09,34.345,127.09,34.345,127.09,34.345,127.09]],
+    [[34.309,126.763,34.309,126.763,34.309,126.763,34.309,126.763]],
+    [[34.383,126.763,34.383,126.763,34.383,126.763,34.383,126.763]],
+    [[34.64,128.296,34.64,128.296,34.64,128.296,34.64,128.296]],
+    [[34.821,128.386,34.821,128.386,34.821,128.386,34.821,128.386]],
+    [[34.836,128.239,34.836,128.239,34.836,128.239,34.836,128.239]],
+    [[34.865,126.341,34.865,126.341,34.865,126.341,34.865,126.341]],
+    [[35.047,126.233,35.047,126.233,35.047,126.233,35.047,126.233]],
+    [[37.244,131.86,37.244,131.86,37.244,131.86,37.244,131.86]],
+  ],
+  AE: [
+    [[25.628,56.278,24.978,56.382,24.973,56.328,24.895,56.31,24.834,56.224,24.824,56.17,24.787,56.155,24.735,56.119,24.731,56.062,24.753,56.033,24.823,56,24.853,55.964,24.882,55.961,24.883,55.993,24.861,56.029,24.927,56.018,24.956,56.004,24.973,55.975,24.978,55.936,24.968,55.896,24.944,55.856,24.887,55.799,24.855,55.788,24.779,55.799,24.723,55.792,24.644,55.817,24.62,55.792,24.586,55.784,24.559,55.759,24.495,55.774,24.426,55.774,24.397,55.81,24.326,55.802,24.264,55.763,24.23,55.756,24.211,55.846,24.232,55.903,24.222,55.932,24.142,55.961,24.081,55.997,24.066,55.986,24.051,55.925,24.007,55.806,24.027,55.763,24.019,55.727,24.026,55.648,24.01,55.59,23.985,55.543,23.963,55.457,23.931,55.46,23.897,55.514,23.875,55.532,23.771,55.54,23.676,55.478,23.553,55.446,23.47,55.374,23.337,55.342,23.276,55.32,23.121,55.226,23.024,55.194,22.996,55.19,22.849,55.198,22.703,55.187,22.624,55.122,22.621,55.104,22.688,54.55,22.707,54.413,22.825,53.441,22.844,53.3,22.911,52.742,22.931,52.584,22.955,52.537,23.143,52.379,23.391,52.174,23.7,51.911,23.887,51.756,23.948,51.702,24.078,51.594,24.129,51.572,24.218,51.576,24.257,51.569,24,51.81,24.146,52.67,24.152,54.136,26.06,56.076,26.074,56.162,26.015,56.184,25.966,56.173,25.876,56.17,25.837,56.144,25.805,56.144,25.765,56.173,25.733,56.141,25.67,56.144,25.652,56.18,25.618,56.206,25.616,56.238,25.628,56.278],[25.331,56.26,25.312,56.234,25.279,56.245,25.255,56.209,25.221,56.209,25.211,56.234,25.246,56.292,25.267,56.346,25.294,56.35,25.301,56.31,25.328,56.292,25.331,56.26]],
+    [[25.25,56.263,25.275,56.26,25.272,56.288,25.25,56.263]],
+    [[24.159,53.657,24.159,53.657,24.159,53.657,24.159,53.657]],
+    [[24.227,54.19,24.227,54.19,24.227,54.19,24.227,54.19]],
+    [[24.345,52.573,24.345,52.573,24.345,52.573,24.345,52.573]],
+    [[24.262,53.322,24.262,53.322,24.262,53.322,24.262,53.322]],
+    [[24.439,54.384,24.439,54.384,24.439,54.384,24.439,54.384]],
+    [[24.294,54.265,24.294,54.265,24.294,54.265,24.294,54.265]],
+    [[24.373,54.326,24.373,54.326,24.373,54.326,24.373,54.326]],
+    [[24.539,52.31,24.539,52.31,24.539,52.31,24.539,52.31]],
+  ],
+  TR: [
+    [[41.107,43.44,41.052,43.443,41.009,43.479,41.004,43.523,40.964,43.605,40.913,43.649,40.852,43.659,40.781,43.71,40.746,43.724,40.668,43.728,40.634,43.699,40.613,43.706,40.574,43.663,40.53,43.652,40.51,43.595,40.477,43.559,40.464,43.562,40.42,43.627,40.346,43.595,40.331,43.605,40.266,43.677,40.239,43.692,40.228,43.674,40.17,43.721,40.157,43.71,40.14,43.652,40.109,43.667,40.091,43.71,40.07,43.803,40.025,43.911,40.008,44.034,40.037,44.106,40.022,44.135,40.043,44.257,40.035,44.325,39.973,44.466,39.934,44.523,39.897,44.559,39.873,44.567,39.858,44.592,39.805,44.649,39.797,44.685,39.702,44.775,39.64,44.808,39.697,44.707,39.719,44.646,39.763,44.606,39.767,44.567,39.699,44.459,39.638,44.459,39.574,44.419,39.544,44.412,39.517,44.419,39.471,44.401,39.434,44.405,39.404,44.369,39.385,44.318,39.383,44.268,39.41,44.199,39.4,44.124,39.397,44.045,39.375,44.016,39.338,44.048,39.287,44.07,39.255,44.07,39.236,44.084,39.201,44.077,39.145,44.185,39.12,44.196,39.074,44.171,39.035,44.178,38.993,44.138,38.89,44.192,38.863,44.221,38.843,44.275,38.814,44.279,38.742,44.253,38.71,44.25,38.679,44.261,38.659,44.243,38.649,44.275,38.622,44.297,38.563,44.293,38.493,44.3,38.455,44.286,38.382,44.289,38.365,44.365,38.38,44.397,38.377,44.426,38.353,44.451,38.323,44.459,38.297,44.437,38.25,44.372,38.201,44.376,38.162,44.369,38.14,44.354,38.129,44.325,38.095,44.329,38.08,44.297,38.046,44.279,37.968,44.221,37.929,44.225,37.897,44.203,37.875,44.221,37.87,44.253,37.877,44.318,37.853,44.379,37.809,44.405,37.806,44.433,37.767,44.437,37.779,44.505,37.752,44.559,37.717,44.595,37.695,44.588,37.663,44.545,37.632,44.541,37.602,44.585,37.583,44.588,37.539,44.57,37.477,44.581,37.446,44.567,37.424,44.585,37.413,44.639,37.376,44.66,37.381,44.696,37.343,44.721,37.313,44.779,37.293,44.801,37.261,44.797,37.234,44.761,37.215,44.754,37.161,44.772,37.143,44.765,37.168,44.732,37.18,44.628,37.166,44.577,37.117,44.502,37.092,44.48,37.065,44.43,37.043,44.343,36.977,44.307,36.969,44.286,36.977,44.243,36.994,44.228,37.087,44.181,37.129,44.189,37.17,44.25,37.191,44.25,37.254,44.225,37.279,44.185,37.311,44.088,37.318,44.034,37.313,43.991,37.288,43.955,37.225,43.893,37.217,43.839,37.202,43.821,37.22,43.782,37.232,43.721,37.229,43.595,37.252,43.544,37.244,43.479,37.279,43.418,37.32,43.335,37.308,43.271,37.367,43.13,37.369,43.083,37.347,43.004,37.32,42.936,37.325,42.896,37.347,42.813,37.369,42.803,37.376,42.77,37.355,42.716,37.325,42.702,37.18,42.576,37.146,42.561,37.129,42.461,37.114,42.403,37.11,42.356,37.153,42.356,37.171,42.335,37.227,42.353,37.264,42.306,37.284,42.291,37.274,42.266,37.288,42.223,37.325,42.212,37.306,42.18,37.254,42.129,37.197,42.054,37.176,42.011,37.075,41.481,37.065,41.201,37.085,41.136,37.122,40.898,37.1,40.707,37.085,40.661,37.026,40.527,37.011,40.434,36.994,40.394,36.884,40.189,36.871,40.153,36.855,40.081,36.806,39.98,36.742,39.764,36.661,39.239,36.66,39.185,36.702,39.033,36.693,38.958,36.687,38.796,36.693,38.724,36.72,38.663,36.833,38.529,36.855,38.479,36.901,38.288,36.906,38.191,36.884,38.123,36.825,38.007,36.82,37.979,36.761,37.82,36.732,37.655,36.71,37.593,36.634,37.446,36.634,37.406,36.658,37.241,36.644,37.158,36.651,37.104,36.622,37.061,36.629,37.032,36.655,37.01,36.687,37.021,36.72,37.01,36.754,36.963,36.769,36.927,36.776,36.845,36.827,36.661,36.828,36.639,36.803,36.643,36.747,36.603,36.687,36.596,36.621,36.571,36.533,36.564,36.479,36.531,36.408,36.553,36.388,36.585,36.366,36.596,36.334,36.582,36.305,36.65,36.237,36.672,36.229,36.665,36.219,36.593,36.227,36.499,36.222,36.47,36.2,36.452,36.204,36.413,36.227,36.373,36.205,36.377,36.167,36.359,36.023,36.355,35.994,36.359,35.988,36.337,36.001,36.297,35.994,36.276,35.959,36.269,35.952,36.197,35.923,36.175,35.852,36.168,35.822,36.157,35.82,36.139,35.854,36.081,35.878,35.991,35.915,35.991,35.927,35.981,35.918,35.912,36.918,36.06,36.545,35.347,36.822,34.735,36.138,33.687,36.026,32.805,36.543,32.028,36.891,30.685,36.266,30.397,36.123,29.673,36.665,29.097,36.964,27.265,37.929,27.276,38.274,26.235,38.434,26.934,38.941,27.042,39.268,26.628,39.582,26.923,39.459,26.113,39.974,26.167,40.403,26.736,40.434,29.151,41.241,29.23,41.102,31.243,41.72,32.262,42.019,33.324,41.962,34.8,41.735,35.955,41.376,36.621,40.918,38.331,41.112,39.429,40.92,40.124,41.514,41.521,41.48,41.629,41.486,41.705,41.469,41.701,41.453,41.762,41.421,41.813,41.452,41.863,41.494,41.906,41.506,41.949,41.486,42.018,41.501,42.083,41.494,42.111,41.501,42.158,41.482,42.191,41.482,42.263,41.431,42.439,41.442,42.482,41.509,42.547,41.567,42.565,41.585,42.612,41.589,42.662,41.578,42.803,41.572,42.821,41.534,42.803,41.504,42.767,41.472,42.831,41.501,42.867,41.47,42.889,41.455,42.932,41.437,42.957,41.383,43.001,41.345,43.076,41.313,43.123,41.3,43.184,41.269,43.159,41.249,43.101,41.242,43.173,41.18,43.217,41.173,43.231,41.192,43.321,41.193,43.353,41.175,43.411,41.133,43.451,41.107,43.44]],
+    [[41.972,28.017,41.644,28.082,41.236,29.108,41.001,28.982,40.989,27.524,40.602,26.829,40.739,26.044,40.736,26.08,40.748,26.113,40.768,26.134,40.812,26.16,40.847,26.214,40.866,26.206,40.886,26.239,40.92,26.26,40.906,26.289,40.927,26.293,40.955,26.35,40.969,26.358,40.991,26.332,41.003,26.361,41.031,26.376,41.041,26.347,41.089,26.322,41.114,26.34,41.122,26.318,41.153,26.336,41.188,26.322,41.229,26.336,41.254,26.332,41.259,26.394,41.312,26.491,41.352,26.541,41.334,26.57,41.33,26.61,41.357,26.631,41.399,26.635,41.469,26.617,41.612,26.595,41.59,26.577,41.649,26.466,41.676,26.476,41.692,26.404,41.715,26.361,41.713,26.332,41.724,26.322,41.766,26.322,41.789,26.332,41.816,26.376,41.813,26.48,41.825,26.527,41.838,26.541,41.908,26.559,41.921,26.541,41.958,26.588,41.968,26.624,41.958,26.736,41.984,26.779,41.965,26.818,41.989,26.862,41.985,26.89,42.006,26.952,42.029,26.966,42.043,27.002,42.073,27.024,42.083,27.045,42.078,27.085,42.061,27.117,42.056,27.175,42.088,27.204,42.098,27.24,42.078,27.304,42.058,27.333,42.009,27.376,41.974,27.42,41.943,27.495,41.901,27.546,41.925,27.549,41.938,27.6,41.953,27.61,41.968,27.686,41.967,27.726,41.943,27.801,41.994,27.808,41.995,27.852,41.979,27.916,41.982,27.967,41.972,28.017]],
+    [[39.837,26.059,39.837,26.059,39.837,26.059,39.837,26.059]],
+    [[40.167,26.012,40.167,26.012,40.167,26.012,40.167,26.012]],
+    [[40.653,27.657,40.653,27.657,40.653,27.657,40.653,27.657]],
+    [[40.461,27.646,40.461,27.646,40.461,27.646,40.461,27.646]],
+  ],
+  EG: [
+    [[31.212,34.249,31.079,34.299,30.994,34.328,30.652,34.479,30.572,34.501,30.53,34.505,30.483,34.537,30.439,34.526,30.4,34.533,30.359,34.587,30.262,34.634,30.018,34.731,29.941,34.742,29.741,34.825,29.638,34.85,29.569,34.847,29.49,34.886,27.737,34.245,28.566,33.237,29.004,33.173,29.687,32.363,28.58,32.87,27.896,33.554,26.626,34.004,23.977,35.513,22.763,35.847,21.996,36.884,21.996,31.434,22.148,31.491,22.195,31.484,22.215,31.463,22.227,31.423,22.214,31.387,22.188,31.358,22.001,31.261,21.994,31.25,21.994,26.343,21.996,26.246,21.996,24.982,29.181,24.982,29.238,24.975,29.292,24.957,29.468,24.874,29.542,24.86,29.638,24.871,29.679,24.856,29.755,24.806,29.797,24.799,29.868,24.817,29.89,24.813,30.079,24.727,30.143,24.687,30.182,24.687,30.317,24.763,30.361,24.799,30.388,24.831,30.464,24.889,30.498,24.907,30.552,24.921,30.621,24.95,30.677,24.961,30.751,24.99,30.785,24.993,30.826,24.982,30.907,24.939,30.957,24.925,31.038,24.882,31.146,24.86,31.227,24.86,31.312,24.849,31.349,24.849,31.381,24.86,31.494,25.022,31.579,25.062,31.614,25.087,31.656,25.152,31.368,27.225,30.827,29.029,31.334,30.069,31.597,31.013,31.06,32.6,31.314,34.199,31.276,34.224,31.212,34.249]],
+    [[26.79,33.954,26.79,33.954,26.79,33.954,26.79,33.954]],
+    [[27.509,34.008,27.509,34.008,27.509,34.008,27.509,34.008]],
+    [[27.955,34.584,27.955,34.584,27.955,34.584,27.955,34.584]],
+    [[31.082,32.978,31.082,32.978,31.082,32.978,31.082,32.978]],
+    [[31.19,33.378,31.19,33.378,31.19,33.378,31.19,33.378]],
+    [[31.227,33.079,31.227,33.079,31.227,33.079,31.227,33.079]],
+    [[27.957,34.731,27.957,34.731,27.957,34.731,27.957,34.731]],
+  ],
+  ZA: [
+    [[-24.752,19.982,-24.769,19.986,-24.815,20.029,-24.852,20.083,-24.887,20.119,-24.894,20.158,-24.936,20.234,-25.033,20.364,-25.109,20.407,-25.168,20.446,-25.213,20.443,-25.23,20.482,-25.264,20.486,-25.277,20.511,-25.313,20.511,-25.372,20.536,-25.404,20.587,-25.467,20.616,-25.468,20.655,-25.485,20.626,-25.529,20.619,-25.565,20.662,-25.592,20.673,-25.62,20.637,-25.654,20.673,-25.696,20.67,-25.715,20.706,-25.799,20.738,-25.828,20.727,-25.818,20.749,-25.835,20.767,-25.894,20.796,-25.98,20.803,-26.071,20.803,-26.132,20.842,-26.147,20.839,-26.201,20.796,-26.275,20.752,-26.341,20.695,-26.392,20.666,-26.427,20.623,-26.493,20.605,-26.547,20.605,-26.595,20.634,-26.686,20.608,-26.753,20.616,-26.817,20.637,-26.85,20.677,-26.892,20.691,-26.875,20.716,-26.848,20.781,-26.807,20.853,-26.801,20.907,-26.816,20.95,-26.839,20.99,-26.865,21.123,-26.865,21.152,-26.843,21.242,-26.844,21.296,-26.824,21.382,-26.826,21.451,-26.846,21.498,-26.848,21.584,-26.863,21.642,-26.855,21.688,-26.804,21.764,-26.768,21.778,-26.689,21.768,-26.669,21.807,-26.664,21.84,-26.664,21.937,-26.65,21.998,-26.618,22.059,-26.573,22.11,-26.519,22.146,-26.404,22.196,-26.367,22.239,-26.341,22.257,-26.329,22.318,-26.318,22.344,-26.272,22.394,-26.21,22.452,-26.204,22.484,-26.208,22.545,-26.134,22.592,-26.11,22.624,-26.051,22.664,-26.02,22.66,-25.997,22.711,-25.944,22.729,-25.89,22.707,-25.826,22.765,-25.791,22.74,-25.755,22.747,-25.678,22.812,-25.634,22.808,-25.607,22.833,-25.575,22.812,-25.482,22.844,-25.45,22.887,-25.391,22.92,-25.372,22.956,-25.347,22.966,-25.311,23.006,-25.303,23.053,-25.326,23.071,-25.281,23.168,-25.267,23.215,-25.264,23.265,-25.293,23.38,-25.277,23.445,-25.283,23.46,-25.325,23.496,-25.357,23.56,-25.433,23.668,-25.455,23.686,-25.47,23.744,-25.507,23.769,-25.524,23.809,-25.57,23.845,-25.598,23.892,-25.629,23.924,-25.617,23.978,-25.634,24.01,-25.651,24.003,-25.652,24.028,-25.627,24.129,-25.625,24.183,-25.649,24.226,-25.723,24.298,-25.752,24.338,-25.759,24.388,-25.743,24.457,-25.784,24.576,-25.816,24.63,-25.823,24.666,-25.816,24.738,-25.83,24.799,-25.804,24.907,-25.762,24.968,-25.743,25.015,-25.738,25.051,-25.764,25.177,-25.743,25.386,-25.711,25.458,-25.62,25.587,-25.559,25.609,-25.44,25.663,-25.31,25.695,-25.132,25.782,-25.065,25.803,-25.016,25.836,-24.979,25.836,-24.886,25.875,-24.845,25.879,-24.749,25.868,-24.732,25.915,-24.734,25.965,-24.705,26.012,-24.629,26.278,-24.622,26.325,-24.632,26.404,-24.572,26.469,-24.489,26.505,-24.458,26.53,-24.399,26.624,-24.317,26.714,-24.29,26.804,-24.266,26.84,-24.247,26.851,-24.16,26.869,-24.116,26.872,-23.851,26.941,-23.803,26.937,-23.754,26.966,-23.719,26.966,-23.646,27.006,-23.643,27.024,-23.665,27.038,-23.656,27.07,-23.604,27.063,-23.602,27.078,-23.564,27.114,-23.57,27.135,-23.525,27.128,-23.537,27.157,-23.516,27.171,-23.523,27.207,-23.493,27.204,-23.464,27.279,-23.437,27.312,-23.391,27.351,-23.422,27.362,-23.4,27.384,-23.391,27.42,-23.413,27.427,-23.385,27.452,-23.379,27.506,-23.361,27.549,-23.32,27.571,-23.298,27.564,-23.244,27.6,-23.217,27.607,-23.228,27.646,-23.194,27.697,-23.222,27.726,-23.221,27.754,-23.173,27.772,-23.163,27.79,-23.125,27.772,-23.123,27.823,-23.104,27.816,-23.096,27.855,-23.057,27.931,-23.028,27.945,-22.964,27.938,-22.954,27.949,-22.935,28.01,-22.912,28.039,-22.87,28.053,-22.837,28.046,-22.817,28.104,-22.785,28.125,-22.76,28.161,-22.709,28.165,-22.665,28.204,-22.655,28.251,-22.604,28.302,-22.584,28.338,-22.576,28.377,-22.569,28.46,-22.584,28.521,-22.562,28.561,-22.562,28.622,-22.552,28.658,-22.513,28.73,-22.493,28.816,-22.451,28.845,-22.454,28.914,-22.441,28.932,-22.38,28.968,-22.311,28.96,-22.282,28.982,-22.221,29.047,-22.214,29.169,-22.182,29.223,-22.179,29.248,-22.191,29.302,-22.187,29.349,-22.192,29.378,-22.159,29.457,-22.172,29.533,-22.147,29.551,-22.145,29.605,-22.127,29.662,-22.133,29.691,-22.132,29.76,-22.172,29.839,-22.191,29.896,-22.197,29.947,-22.226,30.015,-22.253,30.037,-22.257,30.069,-22.294,30.134,-22.289,30.195,-22.295,30.242,-22.338,30.3,-22.344,30.336,-22.338,30.411,-22.316,30.469,-22.309,30.509,-22.316,30.602,-22.331,30.631,-22.302,30.696,-22.294,30.804,-22.282,30.836,-22.295,30.926,-22.319,31.038,-22.338,31.088,-22.316,31.153,-22.351,31.189,-22.365,31.221,-22.358,31.257,-22.397,31.29,-22.415,31.279,-22.544,31.322,-22.692,31.376,-22.959,31.466,-23.157,31.538,-23.187,31.542,-23.415,31.52,-23.457,31.527,-23.493,31.545,-23.587,31.643,-23.624,31.661,-23.749,31.7,-23.837,31.74,-23.857,31.754,-23.93,31.851,-24.121,31.862,-24.163,31.869,-24.347,31.963,-24.423,31.988,-24.501,31.992,-24.57,31.985,-24.997,31.985,-25.156,31.988,-25.372,31.988,-25.446,31.967,-25.51,31.97,-25.553,31.988,-25.615,31.995,-25.651,31.992,-25.684,31.956,-25.786,31.913,-25.843,31.909,-25.958,31.949,-25.99,31.862,-25.982,31.833,-25.867,31.639,-25.743,31.427,-25.737,31.373,-25.757,31.308,-25.911,31.121,-25.931,31.106,-25.983,31.092,-26.1,31.038,-26.21,30.969,-26.397,30.804,-26.473,30.782,-26.579,30.786,-26.716,30.786,-26.809,30.804,-26.797,30.854,-26.772,30.879,-26.831,30.901,-26.877,30.944,-26.912,30.962,-26.976,30.948,-27.035,30.977,-27.118,31.077,-27.182,31.128,-27.206,31.157,-27.299,31.459,-27.31,31.527,-27.316,31.88,-27.316,31.967,-27.292,31.967,-27.255,31.949,-27.101,31.941,-26.838,31.992,-26.809,31.992,-26.811,32.075,-26.839,32.114,-26.846,32.143,-26.841,32.222,-26.86,32.352,-26.858,32.471,-26.85,32.737,-26.846,32.892,-28.553,32.381,-29.56,31.185,-30.846,30.393,-32.562,28.55,-33.519,27.11,-33.795,25.677,-34.186,24.856,-33.98,23.636,-33.996,22.632,-34.391,21.703,-34.455,20.526,-34.82,20.014,-34.365,18.808,-32.824,17.844,-32.648,18.272,-31.697,18.196,-30.348,17.282,-28.574,16.486,-28.536,16.558,-28.526,16.598,-28.46,16.674,-28.46,16.692,-28.494,16.702,-28.481,16.742,-28.442,16.771,-28.383,16.778,-28.366,16.803,-28.319,16.774,-28.283,16.764,-28.258,16.785,-28.271,16.814,-28.253,16.828,-28.222,16.81,-28.207,16.857,-28.173,16.836,-28.163,16.843,-28.172,16.879,-28.162,16.886,-28.082,16.893,-28.059,16.918,-28.069,16.958,-28.052,16.987,-28.059,17.012,-28.026,17.077,-28.032,17.098,-28.084,17.138,-28.099,17.181,-28.118,17.188,-28.209,17.192,-28.232,17.214,-28.238,17.246,-28.224,17.307,-28.227,17.347,-28.307,17.372,-28.346,17.401,-28.395,17.401,-28.418,17.39,-28.444,17.34,-28.471,17.325,-28.52,17.361,-28.56,17.372,-28.572,17.408,-28.594,17.419,-28.633,17.415,-28.675,17.401,-28.704,17.404,-28.71,17.44,-28.692,17.548,-28.68,17.584,-28.69,17.599,-28.756,17.606,-28.773,17.66,-28.751,17.714,-28.749,17.746,-28.781,17.912,-28.813,17.984,-28.859,18.045,-28.876,18.081,-28.901,18.168,-28.879,18.308,-28.899,18.398,-28.876,18.481,-28.888,18.495,-28.864,18.553,-28.84,18.747,-28.867,18.956,-28.926,19.006,-28.935,19.06,-28.959,19.082,-28.957,19.122,-28.918,19.219,-28.896,19.237,-28.889,19.276,-28.871,19.287,-28.815,19.251,-28.771,19.248,-28.729,19.276,-28.719,19.305,-28.736,19.327,-28.714,19.435,-28.678,19.482,-28.599,19.51,-28.582,19.532,-28.538,19.561,-28.525,19.579,-28.516,19.687,-28.487,19.748,-28.477,19.827,-28.44,19.87,-28.427,19.906,-28.43,19.95,-28.422,19.982,-24.752,19.982],[-28.91,28.982,-28.859,28.924,-28.783,28.874,-28.764,28.845,-28.749,28.788,-28.7,28.759,-28.69,28.744,-28.688,28.701,-28.675,28.69,-28.614,28.676,-28.584,28.654,-28.572,28.618,-28.607,28.561,-28.619,28.402,-28.644,28.363,-28.685,28.338,-28.7,28.316,-28.71,28.273,-28.7,28.23,-28.702,28.154,-28.771,28.1,-28.857,28.017,-28.879,28.014,-28.881,27.978,-28.856,27.945,-28.854,27.927,-28.874,27.902,-28.905,27.888,-28.915,27.862,-28.908,27.747,-28.925,27.754,-28.947,27.718,-28.987,27.715,-28.991,27.7,-29.026,27.668,-29.035,27.639,-29.065,27.664,-29.073,27.632,-29.097,27.636,-29.134,27.614,-29.195,27.556,-29.217,27.52,-29.261,27.528,-29.291,27.452,-29.344,27.438,-29.364,27.405,-29.384,27.42,-29.408,27.409,-29.447,27.366,-29.48,27.351,-29.487,27.315,-29.524,27.297,-29.55,27.243,-29.578,27.128,-29.612,27.092,-29.604,27.056,-29.627,27.042,-29.615,27.024,-29.666,27.002,-29.696,27.052,-29.735,27.081,-29.978,27.2,-30.032,27.265,-30.053,27.279,-30.102,27.294,-30.132,27.312,-30.135,27.373,-30.213,27.344,-30.242,27.344,-30.296,27.369,-30.311,27.366,-30.316,27.459,-30.341,27.466,-30.367,27.492,-30.382,27.531,-30.404,27.535,-30.455,27.585,-30.49,27.6,-30.531,27.661,-30.583,27.715,-30.6,27.744,-30.615,27.819,-30.607,27.87,-30.627,27.895,-30.64,27.938,-30.65,28.053,-30.659,28.078,-30.607,28.075,-30.578,28.089,-30.547,28.125,-30.492,28.143,-30.458,28.125,-30.446,28.132,-30.387,28.219,-30.33,28.237,-30.301,28.197,-30.267,28.215,-30.247,28.284,-30.201,28.338,-30.159,28.363,-30.141,28.41,-30.147,28.456,-30.117,28.525,-30.115,28.557,-30.132,28.604,-30.132,28.64,-30.102,28.73,-30.09,28.795,-30.066,28.86,-30,28.975,-29.936,29.094,-29.911,29.151,-29.859,29.137,-29.825,29.104,-29.75,29.115,-29.691,29.144,-29.647,29.191,-29.626,29.266,-29.582,29.281,-29.571,29.295,-29.533,29.274,-29.485,29.284,-29.467,29.302,-29.438,29.389,-29.411,29.414,-29.381,29.414,-29.342,29.436,-29.318,29.414,-29.29,29.414,-29.235,29.374,-29.183,29.356,-29.148,29.317,-29.09,29.313,-29.078,29.281,-29.078,29.241,-29.068,29.209,-28.992,29.126,-28.965,29.054,-28.933,29.05,-28.908,28.996,-28.91,28.982]],
+    [[-46.829,37.662,-46.829,37.662,-46.829,37.662,-46.829,37.662]],
+    [[-46.636,37.86,-46.636,37.86,-46.636,37.86,-46.636,37.86]],
+  ],
+  GB: [
+    [[55.07,-7.249,55.212,-6.1,54.488,-5.438,54.098,-6.269,54.106,-6.284,54.098,-6.327,54.111,-6.356,54.064,-6.377,54.055,-6.435,54.069,-6.449,54.049,-6.565,54.054,-6.586,54.037,-6.615,54.069,-6.673,54.103,-6.655,54.114,-6.665,54.15,-6.633,54.168,-6.64,54.199,-6.694,54.184,-6.745,54.202,-6.788,54.233,-6.824,54.261,-6.838,54.276,-6.881,54.293,-6.856,54.346,-6.885,54.349,-6.907,54.373,-6.921,54.413,-7.018,54.412,-7.051,54.395,-7.079,54.349,-7.126,54.331,-7.195,54.317,-7.184,54.293,-7.209,54.283,-7.177,54.27,-7.18,54.253,-7.144,54.224,-7.155,54.207,-7.231,54.19,-7.256,54.167,-7.245,54.162,-7.267,54.141,-7.263,54.123,-7.295,54.165,-7.295,54.143,-7.331,54.114,-7.31,54.121,-7.396,54.146,-7.414,54.146,-7.439,54.125,-7.501,54.14,-7.609,54.168,-7.634,54.201,-7.706,54.204,-7.835,54.228,-7.868,54.287,-7.879,54.3,-7.951,54.312,-7.969,54.358,-8.001,54.358,-8.03,54.379,-8.08,54.439,-8.156,54.462,-8.174,54.479,-8.098,54.498,-8.055,54.543,-8.001,54.531,-7.886,54.542,-7.85,54.596,-7.749,54.604,-7.709,54.624,-7.709,54.614,-7.753,54.64,-7.814,54.631,-7.839,54.65,-7.864,54.661,-7.907,54.687,-7.907,54.697,-7.929,54.731,-7.832,54.705,-7.771,54.707,-7.738,54.744,-7.648,54.741,-7.544,54.793,-7.544,54.846,-7.472,54.884,-7.443,54.932,-7.447,54.945,-7.414,54.986,-7.414,55.03,-7.378,55.041,-7.357,55.046,-7.292,55.07,-7.249]],
+    [[51.617,-2.666,51.399,-3.541,51.727,-4.379,51.597,-4.941,51.918,-5.29,52.279,-4.196,52.888,-4.131,52.789,-4.761,53.218,-4.178,53.376,-3.184,53.736,-2.9,54.513,-3.634,54.996,-3.569,54.702,-4.347,54.879,-5.157,55.496,-4.617,55.97,-5.182,55.303,-5.639,56.342,-5.564,56.755,-6.179,57.13,-5.647,57.833,-5.812,57.853,-5.456,58.628,-4.988,58.64,-3.019,57.949,-4.016,57.498,-4.25,57.703,-3.501,57.703,-1.996,57.473,-1.759,56.058,-3.177,55.918,-2.147,55.585,-1.633,54.621,-1.201,54.113,-0.074,53.093,0.337,52.775,1.643,52.081,1.582,51.391,0.585,51.392,1.424,51.131,1.355,50.747,0.272,50.847,-1.003,50.597,-1.985,50.629,-3.422,50.226,-3.645,50.33,-4.754,50.194,-5.438,51.212,-4.153,51.22,-3.001,51.617,-2.666]],
+    [[50.714,-1.082,50.714,-1.082,50.714,-1.082,50.714,-1.082]],
+    [[50.808,-0.959,50.808,-0.959,50.808,-0.959,50.808,-0.959]],
+    [[51.413,0.913,51.413,0.913,51.413,0.913,51.413,0.913]],
+    [[53.272,-4.577,53.272,-4.577,53.272,-4.577,53.272,-4.577]],
+    [[53.309,-4.099,53.309,-4.099,53.309,-4.099,53.309,-4.099]],
+    [[55.312,-6.237,55.312,-6.237,55.312,-6.237,55.312,-6.237]],
+    [[55.509,-5.071,55.509,-5.071,55.509,-5.071,55.509,-5.071]],
+    [[55.749,-5.031,55.749,-5.031,55.749,-5.031,55.749,-5.031]],
+    [[55.729,-6.032,55.729,-6.032,55.729,-6.032,55.729,-6.032]],
+    [[56.104,-6.205,56.104,-6.205,56.104,-6.205,56.104,-6.205]],
+    [[56.112,-5.798,56.112,-5.798,56.112,-5.798,56.112,-5.798]],
+    [[56.201,-5.69,56.201,-5.69,56.201,-5.69,56.201,-5.69]],
+    [[56.264,-5.632,56.264,-5.632,56.264,-5.632,56.264,-5.632]],
+    [[56.318,-5.632,56.318,-5.632,56.318,-5.632,56.318,-5.632]],
+    [[56.414,-5.557,56.414,-5.557,56.414,-5.557,56.414,-5.557]],
+    [[56.47,-6.161,56.47,-6.161,56.47,-6.161,56.47,-6.161]],
+    [[56.538,-6.82,56.538,-6.82,56.538,-6.82,56.538,-6.82]],
+    [[56.434,-5.69,56.434,-5.69,56.434,-5.69,56.434,-5.69]],
+    [[56.678,-6.46,56.678,-6.46,56.678,-6.46,56.678,-6.46]],
+    [[57.01,-7.393,57.01,-7.393,57.01,-7.393,57.01,-7.393]],
+    [[57.059,-6.323,57.059,-6.323,57.059,-6.323,57.059,-6.323]],
+    [[57.053,-6.608,57.053,-6.608,57.053,-6.608,57.053,-6.608]],
+    [[57.284,-5.96,57.284,-5.96,57.284,-5.96,57.284,-5.96]],
+    [[57.326,-7.245,57.326,-7.245,57.326,-7.245,57.326,-7.245]],
+    [[57.483,-7.263,57.483,-7.263,57.483,-7.263,57.483,-7.263]],
+    [[57.346,-6.064,57.346,-6.064,57.346,-6.064,57.346,-6.064]],
+    [[57.519,-5.967,57.519,-5.967,57.519,-5.967,57.519,-5.967]],
+    [[57.654,-7.13,57.654,-7.13,57.654,-7.13,57.654,-7.13]],
+    [[57.346,-6.565,57.703,-6.313,57.041,-5.935,57.346,-6.565]],
+    [[57.709,-7.223,57.709,-7.223,57.709,-7.223,57.709,-7.223]],
+    [[57.833,-8.62,57.833,-8.62,57.833,-8.62,57.833,-8.62]],
+    [[57.902,-7.043,57.902,-7.043,57.902,-7.043,57.902,-7.043]],
+    [[58.216,-6.874,58.216,-6.874,58.216,-6.874,58.216,-6.874]],
+    [[57.743,-6.953,58.245,-7.033,58.511,-6.244,58.039,-6.352,57.743,-6.953]],
+    [[58.841,-2.954,58.841,-2.954,58.841,-2.954,58.841,-2.954]],
+    [[58.792,-3.249,58.792,-3.249,58.792,-3.249,58.792,-3.249]],
+    [[58.971,-2.727,58.971,-2.727,58.971,-2.727,58.971,-2.727]],
+    [[59.121,-2.543,59.121,-2.543,59.121,-2.543,59.121,-2.543]],
+    [[59.128,-3.004,59.128,-3.004,59.128,-3.004,59.128,-3.004]],
+    [[59.197,-2.831,59.197,-2.831,59.197,-2.831,59.197,-2.831]],
+    [[59.293,-2.446,59.293,-2.446,59.293,-2.446,59.293,-2.446]],
+    [[59.32,-3.047,59.32,-3.047,59.32,-3.047,59.32,-3.047]],
+    [[59.53,-1.651,59.53,-1.651,59.53,-1.651,59.53,-1.651]],
+    [[60.615,-0.783,60.615,-0.783,60.615,-0.783,60.615,-0.783]],
+    [[60.416,-1.096,60.416,-1.096,60.416,-1.096,60.416,-1.096]],
+    [[60.698,-0.988,60.698,-0.988,60.698,-0.988,60.698,-0.988]],
+    [[60.685,-0.905,60.685,-0.905,60.685,-0.905,60.685,-0.905]],
+    [[49.935,-6.298,49.935,-6.298,49.935,-6.298,49.935,-6.298]],
+    [[49.96,-6.334,49.96,-6.334,49.96,-6.334,49.96,-6.334]],
+    [[51.183,-4.664,51.183,-4.664,51.183,-4.664,51.183,-4.664]],
+    [[57.596,-13.689,57.596,-13.689,57.596,-13.689,57.596,-13.689]],
+    [[60.094,-1.316,60.094,-1.316,60.094,-1.316,60.094,-1.316]],
+    [[60.156,-2.054,60.156,-2.054,60.156,-2.054,60.156,-2.054]],
+    [[60.165,-1.064,60.165,-1.064,60.165,-1.064,60.165,-1.064]],
+    [[60.386,-0.92,60.386,-0.92,60.386,-0.92,60.386,-0.92]],
+  ],
+  FR: [
+    [[2.326,-54.614,2.346,-54.6,2.338,-54.55,2.349,-54.521,2.417,-54.492,2.429,-54.474,2.435,-54.424,2.508,-54.359,2.679,-54.287,2.777,-54.211,2.839,-54.19,2.853,-54.172,2.871,-54.19,2.92,-54.172,2.969,-54.164,2.998,-54.186,3.011,-54.168,3.052,-54.179,3.116,-54.179,3.128,-54.211,3.178,-54.19,3.285,-54.114,3.308,-54.082,3.378,-54.056,3.415,-54.02,3.455,-54.002,3.531,-54.006,3.611,-53.988,3.641,-54.017,3.634,-54.049,3.677,-54.074,3.748,-54.096,3.796,-54.136,3.812,-54.182,3.859,-54.215,3.876,-54.24,3.923,-54.265,3.95,-54.294,3.984,-54.305,4.041,-54.355,4.082,-54.352,4.133,-54.334,4.161,-54.348,4.17,-54.384,4.192,-54.406,4.269,-54.395,4.313,-54.402,4.376,-54.434,4.484,-54.452,4.509,-54.449,4.546,-54.427,4.615,-54.424,4.649,-54.438,4.71,-54.434,4.742,-54.474,4.756,-54.478,4.879,-54.478,4.902,-54.488,4.931,-54.456,4.951,-54.449,5.009,-54.456,5.053,-54.431,5.156,-54.344,5.196,-54.334,5.269,-54.269,5.326,-54.19,5.348,-54.172,5.745,-53.945,5.458,-52.994,4.653,-51.997,4.04,-51.684,4.002,-51.76,3.981,-51.785,3.891,-51.817,3.796,-51.9,3.773,-51.94,3.734,-51.94,3.705,-51.99,3.619,-52.012,3.557,-52.055,3.516,-52.073,3.506,-52.094,3.481,-52.094,3.26,-52.228,3.243,-52.253,3.243,-52.278,3.226,-52.3,3.178,-52.321,3.151,-52.357,3.109,-52.361,3.065,-52.35,2.942,-52.418,2.898,-52.408,2.864,-52.454,2.69,-52.534,2.66,-52.541,2.638,-52.573,2.586,-52.552,2.505,-52.591,2.464,-52.62,2.43,-52.656,2.39,-52.678,2.359,-52.706,2.292,-52.818,2.26,-52.879,2.214,-52.901,2.175,-52.958,2.186,-53.063,2.213,-53.092,2.219,-53.131,2.196,-53.254,2.204,-53.279,2.251,-53.236,2.304,-53.297,2.339,-53.322,2.349,-53.344,2.299,-53.39,2.285,-53.426,2.258,-53.462,2.246,-53.531,2.27,-53.578,2.278,-53.646,2.307,-53.714,2.312,-53.75,2.349,-53.736,2.365,-53.747,2.354,-53.801,2.311,-53.83,2.305,-53.866,2.265,-53.902,2.27,-53.934,2.223,-53.945,2.191,-54.013,2.181,-54.02,2.189,-54.071,2.115,-54.11,2.121,-54.157,2.162,-54.19,2.148,-54.265,2.155,-54.316,2.196,-54.373,2.214,-54.478,2.268,-54.546,2.282,-54.528,2.316,-54.564,2.326,-54.614]],
+    [[51.087,2.522,51.065,2.536,51.001,2.558,50.962,2.608,50.942,2.612,50.911,2.576,50.867,2.597,50.85,2.587,50.817,2.619,50.813,2.68,50.766,2.745,50.734,2.767,50.724,2.788,50.697,2.885,50.736,2.929,50.758,2.972,50.785,3.105,50.769,3.145,50.709,3.199,50.705,3.224,50.671,3.245,50.656,3.231,50.57,3.263,50.526,3.271,50.514,3.285,50.489,3.361,50.503,3.429,50.519,3.461,50.518,3.49,50.487,3.497,50.487,3.562,50.477,3.609,50.445,3.645,50.361,3.652,50.318,3.663,50.298,3.695,50.344,3.742,50.345,3.839,50.325,3.897,50.342,3.983,50.339,4.023,50.295,4.099,50.258,4.124,50.251,4.145,50.273,4.163,50.253,4.203,50.241,4.203,50.222,4.167,50.146,4.127,50.128,4.127,50.128,4.181,50.06,4.21,50.031,4.145,50.018,4.131,49.974,4.138,49.955,4.189,49.96,4.279,49.932,4.433,49.935,4.466,49.981,4.603,49.984,4.646,50.001,4.667,50.048,4.682,50.084,4.682,50.153,4.79,50.161,4.815,50.146,4.819,50.139,4.873,50.084,4.862,50.091,4.847,50.063,4.826,50.036,4.826,49.959,4.783,49.944,4.797,49.932,4.844,49.913,4.862,49.859,4.837,49.837,4.847,49.795,4.847,49.787,4.905,49.797,4.948,49.79,4.988,49.766,5.027,49.753,5.081,49.706,5.135,49.684,5.193,49.692,5.258,49.663,5.301,49.626,5.29,49.613,5.297,49.626,5.333,49.603,5.402,49.537,5.456,49.508,5.449,49.494,5.477,49.523,5.546,49.513,5.603,49.543,5.643,49.532,5.711,49.55,5.747,49.538,5.791,49.5,5.841,49.483,5.927,49.442,5.96,49.449,6.064,49.464,6.1,49.483,6.107,49.494,6.136,49.5,6.194,49.491,6.248,49.466,6.298,49.456,6.345,49.467,6.392,49.435,6.496,49.395,6.525,49.361,6.575,49.337,6.55,49.314,6.572,49.272,6.64,49.253,6.64,49.245,6.665,49.207,6.683,49.214,6.701,49.174,6.701,49.158,6.712,49.147,6.809,49.163,6.838,49.196,6.827,49.211,6.842,49.206,6.925,49.182,6.989,49.182,7.011,49.147,7.007,49.12,7.022,49.108,7.043,49.12,7.072,49.142,7.087,49.115,7.155,49.115,7.241,49.104,7.274,49.128,7.295,49.135,7.335,49.158,7.349,49.169,7.411,49.158,7.414,49.152,7.475,49.128,7.472,49.094,7.508,49.074,7.544,49.062,7.609,49.039,7.634,49.044,7.684,49.035,7.727,49.049,7.774,49.032,7.857,49.035,7.933,48.979,8.091,48.966,8.188,48.957,8.199,48.903,8.149,48.807,8.091,48.78,8.026,48.765,8.023,48.757,7.969,48.73,7.965,48.703,7.936,48.667,7.882,48.659,7.853,48.615,7.81,48.547,7.803,48.52,7.814,48.49,7.771,48.469,7.771,48.444,7.749,48.393,7.738,48.355,7.753,48.326,7.738,48.311,7.702,48.27,7.695,48.238,7.677,48.179,7.612,48.152,7.605,48.095,7.573,48.054,7.576,48.003,7.619,47.971,7.619,47.941,7.583,47.905,7.58,47.884,7.558,47.85,7.565,47.835,7.547,47.784,7.526,47.725,7.533,47.708,7.511,47.671,7.522,47.652,7.551,47.608,7.591,47.585,7.587,47.576,7.551,47.542,7.483,47.517,7.501,47.512,7.475,47.493,7.486,47.482,7.468,47.492,7.425,47.472,7.429,47.438,7.407,47.431,7.378,47.433,7.31,47.417,7.245,47.443,7.169,47.46,7.162,47.488,7.18,47.497,7.105,47.49,7.054,47.499,7.011,47.488,6.975,47.453,6.989,47.434,6.968,47.424,6.925,47.406,6.925,47.396,6.899,47.353,6.867,47.362,6.986,47.369,7.004,47.34,7.043,47.306,6.993,47.291,6.957,47.245,6.957,47.211,6.889,47.169,6.842,47.129,6.773,47.12,6.745,47.103,6.745,47.085,6.698,47.063,6.676,47.044,6.687,47.021,6.665,46.987,6.597,46.963,6.493,46.945,6.442,46.909,6.428,46.872,6.449,46.806,6.417,46.769,6.431,46.751,6.417,46.734,6.374,46.707,6.338,46.68,6.266,46.595,6.133,46.57,6.122,46.551,6.147,46.521,6.111,46.465,6.061,46.433,6.068,46.42,6.053,46.396,6.107,46.359,6.136,46.31,6.104,46.246,6.089,46.244,6.046,46.212,5.96,46.2,5.956,46.171,5.981,46.131,5.96,46.141,5.981,46.149,6.075,46.139,6.107,46.149,6.14,46.192,6.19,46.22,6.255,46.241,6.28,46.263,6.277,46.268,6.237,46.315,6.215,46.328,6.219,46.376,6.269,46.394,6.302,46.408,6.399,46.448,6.482,46.457,6.547,46.457,6.615,46.43,6.763,46.414,6.788,46.379,6.781,46.345,6.752,46.296,6.806,46.269,6.827,46.222,6.791,46.187,6.773,46.134,6.773,46.122,6.853,46.112,6.871,46.085,6.853,46.045,6.86,46.055,6.892,46.048,6.914,45.996,6.982,45.925,7.022,45.911,6.997,45.869,6.968,45.845,6.907,45.845,6.874,45.829,6.871,45.839,6.842,45.827,6.802,45.778,6.781,45.719,6.795,45.683,6.842,45.675,6.881,45.653,6.917,45.641,6.964,45.621,6.968,45.585,6.953,45.567,6.971,45.511,6.982,45.471,7.072,45.435,7.097,45.411,7.162,45.383,7.151,45.324,7.094,45.259,7.108,45.243,7.079,45.214,7.054,45.227,7.029,45.211,6.957,45.17,6.914,45.167,6.874,45.141,6.878,45.129,6.845,45.158,6.737,45.14,6.694,45.126,6.633,45.104,6.604,45.074,6.637,45.05,6.64,45.03,6.662,45.026,6.698,45.013,6.723,44.984,6.73,44.929,6.727,44.888,6.777,44.859,6.845,44.863,6.914,44.847,6.982,44.822,7.007,44.793,6.997,44.739,7.018,44.685,7.054,44.692,6.982,44.667,6.943,44.626,6.946,44.576,6.896,44.533,6.835,44.503,6.838,44.474,6.86,44.435,6.917,44.424,6.885,44.383,6.867,44.358,6.874,44.302,6.921,44.277,6.961,44.241,6.982,44.243,7.033,44.208,7.144,44.153,7.27,44.147,7.31,44.123,7.342,44.123,7.382,44.159,7.555,44.16,7.583,44.18,7.623,44.175,7.655,44.143,7.641,44.11,7.677,44.067,7.691,44.04,7.652,43.993,7.63,43.944,7.558,43.887,7.493,43.865,7.479,43.792,7.501,43.743,7.436,43.763,7.407,43.747,7.371,43.723,7.367,43.201,6.68,43.044,5.855,43.335,5.341,43.541,3.955,43.107,3.112,42.431,3.181,42.424,3.112,42.433,3.065,42.465,3.029,42.47,2.983,42.462,2.965,42.47,2.932,42.451,2.9,42.448,2.849,42.419,2.806,42.409,2.767,42.414,2.727,42.406,2.691,42.372,2.641,42.338,2.662,42.352,2.547,42.326,2.525,42.34,2.464,42.367,2.428,42.384,2.421,42.389,2.374,42.429,2.277,42.413,2.183,42.416,2.137,42.386,2.104,42.352,2.05,42.348,1.996,42.367,1.964,42.436,1.928,42.446,1.87,42.482,1.791,42.489,1.73,42.502,1.708,42.549,1.723,42.563,1.766,42.59,1.712,42.61,1.723,42.619,1.607,42.649,1.543,42.642,1.467,42.602,1.453,42.595,1.431,42.686,1.363,42.713,1.319,42.713,1.197,42.706,1.15,42.76,1.107,42.776,1.067,42.781,0.985,42.796,0.949,42.784,0.92,42.804,0.887,42.831,0.812,42.835,0.758,42.845,0.725,42.838,0.657,42.803,0.653,42.745,0.632,42.73,0.661,42.696,0.664,42.684,0.643,42.688,0.607,42.684,0.391,42.718,0.355,42.713,0.337,42.671,0.29,42.669,0.275,42.71,0.239,42.727,0.167,42.715,0.135,42.708,0.074,42.684,-0.038,42.716,-0.121,42.777,-0.164,42.796,-0.16,42.784,-0.207,42.786,-0.236,42.804,-0.247,42.843,-0.322,42.791,-0.423,42.789,-0.455,42.808,-0.509,42.808,-0.535,42.784,-0.535,42.772,-0.571,42.796,-0.581,42.808,-0.607,42.85,-0.65,42.877,-0.7,42.877,-0.729,42.894,-0.747,42.919,-0.743,42.946,-0.761,42.953,-0.787,42.943,-0.862,42.948,-0.945,42.956,-0.981,42.987,-1.028,42.993,-1.078,43.009,-1.111,43.005,-1.15,43.039,-1.219,43.047,-1.276,43.069,-1.312,43.113,-1.309,43.093,-1.348,43.034,-1.366,43.036,-1.435,43.061,-1.474,43.081,-1.489,43.123,-1.438,43.167,-1.409,43.206,-1.399,43.243,-1.402,43.265,-1.431,43.26,-1.467,43.277,-1.507,43.284,-1.561,43.252,-1.586,43.245,-1.611,43.255,-1.64,43.292,-1.643,43.304,-1.672,43.291,-1.748,43.319,-1.755,43.341,-1.798,43.385,-1.795,43.579,-1.478,44.778,-1.172,46.259,-1.111,46.504,-1.805,47.036,-1.989,47.629,-2.774,47.576,-3.073,48.068,-4.685,48.567,-4.721,48.843,-3.515,48.544,-2.619,48.652,-1.391,49.724,-1.935,49.28,-0.218,49.692,0.171,49.96,1.172,50.27,1.55,50.869,1.582,51.087,2.522],[42.441,1.982,42.445,2,42.485,1.967,42.451,1.946,42.441,1.982]],
+    [[14.462,-60.81,14.462,-60.81,14.462,-60.81,14.462,-60.81]],
+    [[15.932,-61.195,15.932,-61.195,15.932,-61.195,15.932,-61.195]],
+    [[16.346,-60.99,16.346,-60.99,16.346,-60.99,16.346,-60.99]],
+    [[16.285,-61.552,16.285,-61.552,16.285,-61.552,16.285,-61.552]],
+    [[16.285,-61.544,16.285,-61.544,16.285,-61.544,16.285,-61.544]],
+    [[-21.103,55.788,-21.103,55.788,-21.103,55.788,-21.103,55.788]],
+    [[-12.763,45.261,-12.763,45.261,-12.763,45.261,-12.763,45.261]],
+    [[-12.723,45.2,-12.723,45.2,-12.723,45.2,-12.723,45.2]],
+    [[42.647,9.455,42.647,9.455,42.647,9.455,42.647,9.455]],
+    [[42.208,8.566,43.017,9.423,42.104,9.545,41.372,9.221,41.556,8.797,42.208,8.566]],
+    [[45.943,-1.219,45.943,-1.219,45.943,-1.219,45.943,-1.219]],
+    [[46.156,-1.28,46.156,-1.28,46.156,-1.28,46.156,-1.28]],
+    [[46.732,-2.338,46.732,-2.338,46.732,-2.338,46.732,-2.338]],
+    [[46.985,-2.201,46.985,-2.201,46.985,-2.201,46.985,-2.201]],
+    [[47.331,-3.116,47.331,-3.116,47.331,-3.116,47.331,-3.116]],
+    [[48.48,-5.049,48.48,-5.049,48.48,-5.049,48.48,-5.049]],
+    [[15.871,-61.624,15.871,-61.624,15.871,-61.624,15.871,-61.624]],
+    [[15.878,-61.566,15.878,-61.566,15.878,-61.566,15.878,-61.566]],
+    [[43.022,6.233,43.022,6.233,43.022,6.233,43.022,6.233]],
+  ],
+  DE: [
+    [[48.767,13.815,48.724,13.786,48.696,13.815,48.675,13.801,48.643,13.808,48.598,13.797,48.569,13.776,48.559,13.732,48.522,13.718,48.535,13.675,48.566,13.624,48.584,13.52,48.574,13.455,48.561,13.441,48.525,13.459,48.478,13.437,48.431,13.437,48.377,13.405,48.319,13.308,48.307,13.275,48.29,13.135,48.257,13.016,48.209,12.933,48.196,12.861,48.16,12.822,48.113,12.739,48.086,12.742,48.064,12.76,48.015,12.832,47.963,12.861,47.924,12.93,47.872,12.966,47.846,12.991,47.777,12.926,47.75,12.919,47.723,12.894,47.713,12.908,47.705,12.966,47.715,13.005,47.706,13.034,47.659,13.074,47.622,13.074,47.583,13.041,47.542,13.027,47.493,13.038,47.466,13.002,47.47,12.944,47.499,12.883,47.537,12.829,47.554,12.778,47.603,12.786,47.612,12.814,47.649,12.753,47.667,12.76,47.676,12.652,47.662,12.598,47.635,12.555,47.629,12.516,47.634,12.483,47.656,12.444,47.691,12.426,47.694,12.408,47.681,12.35,47.689,12.292,47.679,12.249,47.696,12.224,47.732,12.238,47.698,12.177,47.672,12.206,47.637,12.206,47.603,12.166,47.61,11.936,47.6,11.853,47.575,11.821,47.583,11.763,47.583,11.684,47.59,11.619,47.571,11.59,47.537,11.576,47.514,11.551,47.502,11.482,47.51,11.436,47.505,11.414,47.47,11.367,47.445,11.385,47.436,11.306,47.401,11.259,47.396,11.212,47.423,11.216,47.424,11.169,47.389,11.083,47.39,10.978,47.409,10.957,47.433,10.96,47.468,10.91,47.493,10.852,47.515,10.892,47.531,10.86,47.515,10.791,47.515,10.752,47.529,10.741,47.563,10.608,47.563,10.582,47.529,10.525,47.532,10.482,47.546,10.453,47.581,10.453,47.573,10.413,47.542,10.431,47.493,10.42,47.473,10.449,47.439,10.453,47.38,10.413,47.367,10.37,47.331,10.345,47.303,10.305,47.277,10.24,47.271,10.161,47.294,10.186,47.355,10.208,47.379,10.19,47.358,10.082,47.406,10.053,47.428,10.082,47.488,10.024,47.477,9.992,47.534,9.934,47.542,9.812,47.576,9.808,47.588,9.769,47.564,9.729,47.531,9.704,47.522,9.675,47.522,9.614,47.534,9.549,47.651,9.272,47.656,9.196,47.671,9.182,47.671,9.128,47.679,9.016,47.654,8.944,47.656,8.883,47.681,8.836,47.691,8.854,47.708,8.829,47.721,8.771,47.694,8.771,47.694,8.717,47.73,8.703,47.757,8.714,47.759,8.681,47.791,8.645,47.762,8.631,47.762,8.606,47.794,8.602,47.796,8.541,47.779,8.552,47.764,8.462,47.723,8.437,47.708,8.401,47.666,8.39,47.647,8.437,47.64,8.476,47.657,8.519,47.662,8.57,47.656,8.606,47.634,8.577,47.6,8.581,47.59,8.559,47.622,8.523,47.607,8.462,47.585,8.447,47.581,8.354,47.591,8.307,47.615,8.289,47.622,8.249,47.615,8.177,47.588,8.113,47.571,8.098,47.561,8.041,47.561,7.911,47.588,7.897,47.595,7.821,47.556,7.767,47.544,7.684,47.564,7.609,47.571,7.648,47.596,7.659,47.585,7.587,47.608,7.591,47.652,7.551,47.671,7.522,47.708,7.511,47.725,7.533,47.784,7.526,47.835,7.547,47.85,7.565,47.884,7.558,47.905,7.58,47.941,7.583,47.971,7.619,48.003,7.619,48.054,7.576,48.095,7.573,48.152,7.605,48.179,7.612,48.238,7.677,48.27,7.695,48.311,7.702,48.326,7.738,48.355,7.753,48.393,7.738,48.444,7.749,48.469,7.771,48.49,7.771,48.52,7.814,48.547,7.803,48.615,7.81,48.659,7.853,48.667,7.882,48.703,7.936,48.73,7.965,48.757,7.969,48.765,8.023,48.78,8.026,48.807,8.091,48.903,8.149,48.957,8.199,48.966,8.188,48.979,8.091,49.035,7.933,49.032,7.857,49.049,7.774,49.035,7.727,49.044,7.684,49.039,7.634,49.062,7.609,49.074,7.544,49.094,7.508,49.128,7.472,49.152,7.475,49.158,7.414,49.169,7.411,49.158,7.349,49.135,7.335,49.128,7.295,49.104,7.274,49.115,7.241,49.115,7.155,49.142,7.087,49.12,7.072,49.108,7.043,49.12,7.022,49.147,7.007,49.182,7.011,49.182,6.989,49.206,6.925,49.211,6.842,49.196,6.827,49.163,6.838,49.147,6.809,49.158,6.712,49.174,6.701,49.214,6.701,49.207,6.683,49.245,6.665,49.253,6.64,49.272,6.64,49.314,6.572,49.337,6.55,49.361,6.575,49.395,6.525,49.435,6.496,49.467,6.392,49.456,6.345,49.493,6.341,49.567,6.352,49.64,6.417,49.657,6.403,49.67,6.417,49.7,6.493,49.743,6.485,49.785,6.5,49.8,6.493,49.805,6.413,49.841,6.327,49.834,6.309,49.861,6.287,49.876,6.237,49.955,6.172,49.942,6.161,49.996,6.122,50.036,6.115,50.048,6.097,50.121,6.118,50.165,6.122,50.182,6.165,50.214,6.147,50.242,6.19,50.256,6.255,50.297,6.277,50.308,6.298,50.307,6.363,50.329,6.374,50.367,6.338,50.433,6.352,50.465,6.323,50.481,6.338,50.492,6.251,50.491,6.197,50.543,6.161,50.562,6.179,50.587,6.233,50.614,6.248,50.616,6.179,50.636,6.147,50.643,6.161,50.702,6.1,50.715,6.064,50.709,6.01,50.737,6.01,50.751,5.996,50.795,5.967,50.801,5.999,50.83,5.999,50.844,6.046,50.862,6.064,50.891,6.053,50.908,6.064,50.925,6.007,50.938,5.996,50.974,6.003,50.977,5.942,50.965,5.873,50.991,5.873,51.043,5.852,51.051,5.881,51.029,5.92,51.031,5.938,51.075,5.981,51.121,6.075,51.139,6.133,51.153,6.147,51.164,6.125,51.18,6.158,51.185,6.133,51.163,6.086,51.171,6.061,51.19,6.053,51.232,6.064,51.259,6.097,51.318,6.147,51.345,6.194,51.387,6.208,51.399,6.194,51.458,6.205,51.509,6.194,51.595,6.086,51.644,6.1,51.663,6.032,51.681,6.01,51.71,6.021,51.73,5.978,51.732,5.938,51.757,5.963,51.796,5.949,51.806,5.927,51.823,5.949,51.828,5.989,51.853,6.082,51.842,6.158,51.885,6.093,51.897,6.125,51.862,6.226,51.867,6.266,51.847,6.287,51.843,6.327,51.821,6.345,51.828,6.381,51.86,6.377,51.848,6.464,51.877,6.529,51.897,6.629,51.899,6.716,51.909,6.745,51.951,6.791,51.98,6.809,52.002,6.777,52.034,6.676,52.061,6.68,52.073,6.719,52.103,6.748,52.113,6.831,52.161,6.885,52.173,6.928,52.215,6.982,52.23,7.025,52.267,7.011,52.301,7.018,52.328,7.04,52.365,7.047,52.39,7.033,52.451,6.975,52.433,6.928,52.434,6.871,52.446,6.82,52.453,6.741,52.475,6.694,52.542,6.687,52.559,6.745,52.583,6.705,52.618,6.701,52.64,6.77,52.642,6.867,52.632,6.917,52.637,6.968,52.627,7.018,52.647,7.036,52.791,7.054,52.855,7.079,52.932,7.162,52.966,7.184,53.034,7.195,53.145,7.173,53.201,7.198,53.245,7.195,53.667,7.227,53.547,8.566,53.897,8.984,54.896,8.66,54.889,8.732,54.906,8.825,54.898,8.905,54.879,8.984,54.851,9.196,54.807,9.225,54.802,9.319,54.82,9.383,54.808,9.405,54.81,9.437,54.315,10.777,54.043,10.752,54.439,13.009,53.701,14.265,53.657,14.262,53.598,14.298,53.528,14.298,53.444,14.359,53.392,14.37,53.316,14.398,53.279,14.402,53.252,14.442,53.221,14.416,53.203,14.388,53.177,14.377,53.132,14.391,53.049,14.344,53.002,14.254,52.959,14.143,52.909,14.164,52.877,14.161,52.851,14.125,52.828,14.154,52.818,14.215,52.794,14.247,52.785,14.276,52.738,14.384,52.686,14.431,52.674,14.463,52.65,14.488,52.637,14.55,52.576,14.643,52.517,14.611,52.497,14.632,52.449,14.593,52.422,14.539,52.382,14.546,52.309,14.589,52.291,14.586,52.276,14.607,52.254,14.697,52.215,14.712,52.2,14.694,52.179,14.708,52.122,14.686,52.107,14.697,52.076,14.762,52.054,14.737,51.992,14.701,51.931,14.697,51.894,14.672,51.843,14.596,51.804,14.586,51.769,14.636,51.717,14.647,51.676,14.719,51.632,14.744,51.607,14.744,51.548,14.704,51.516,14.733,51.502,14.798,51.484,14.841,51.462,14.928,51.435,14.956,51.423,14.946,51.335,14.96,51.273,15.021,51.242,15.014,51.161,14.982,51.122,14.982,51.105,14.96,51.065,14.956,50.916,14.859,50.877,14.809,50.859,14.809,50.813,14.776,50.817,14.701,50.835,14.661,50.845,14.614,50.871,14.611,50.909,14.636,50.921,14.618,50.906,14.56,50.913,14.55,50.95,14.575,50.984,14.568,51.002,14.514,51.038,14.481,51.023,14.474,51.012,14.388,51.033,14.355,51.036,14.287,51.021,14.265,50.977,14.251,50.97,14.305,50.953,14.294,50.938,14.319,50.921,14.38,50.896,14.377,50.881,14.348,50.884,14.269,50.879,14.233,50.849,14.19,50.803,14.035,50.805,13.981,50.798,13.948,50.779,13.923,50.781,13.891,50.742,13.884,50.724,13.833,50.724,13.75,50.712,13.693,50.712,13.603,50.707,13.556,50.692,13.516,50.663,13.524,50.643,13.495,50.629,13.498,50.597,13.448,50.6,13.408,50.629,13.369,50.602,13.322,50.568,13.286,50.582,13.232,50.526,13.2,50.497,13.16,50.499,13.106,50.491,13.052,50.492,13.009,50.433,12.998,50.405,12.951,50.405,12.919,50.442,12.825,50.432,12.739,50.394,12.692,50.4,12.627,50.389,12.512,50.369,12.476,50.345,12.469,50.315,12.397,50.28,12.368,50.259,12.336,50.199,12.307,50.166,12.314,50.161,12.285,50.21,12.26,50.237,12.228,50.259,12.231,50.263,12.188,50.303,12.17,50.312,12.148,50.315,12.076,50.291,12.109,50.264,12.109,50.242,12.08,50.21,12.138,50.172,12.184,50.133,12.177,50.102,12.188,50.07,12.242,50.045,12.246,49.993,12.397,49.981,12.451,49.955,12.472,49.932,12.462,49.912,12.519,49.886,12.523,49.827,12.483,49.83,12.462,49.78,12.454,49.758,12.397,49.743,12.382,49.7,12.418,49.67,12.498,49.619,12.501,49.584,12.555,49.55,12.562,49.515,12.595,49.51,12.624,49.444,12.631,49.418,12.663,49.391,12.728,49.342,12.76,49.327,12.796,49.324,12.876,49.339,12.886,49.327,12.94,49.295,13.002,49.277,13.005,49.238,13.056,49.155,13.149,49.118,13.178,49.108,13.207,49.106,13.268,49.094,13.3,49.039,13.372,48.993,13.383,48.959,13.426,48.937,13.484,48.971,13.516,48.951,13.574,48.946,13.61,48.909,13.621,48.881,13.653,48.868,13.725,48.78,13.797,48.767,13.815]],
+    [[53.939,14.211,53.907,14.175,53.878,14.2,53.939,14.211]],
+    [[53.604,6.799,53.604,6.799,53.604,6.799,53.604,6.799]],
+    [[53.672,6.874,53.672,6.874,53.672,6.874,53.672,6.874]],
+    [[53.707,7.133,53.707,7.133,53.707,7.133,53.707,7.133]],
+    [[53.728,7.367,53.728,7.367,53.728,7.367,53.728,7.367]],
+    [[53.721,8.12,53.721,8.12,53.721,8.12,53.721,8.12]],
+    [[53.761,7.519,53.761,7.519,53.761,7.519,53.761,7.519]],
+    [[53.761,7.663,53.761,7.663,53.761,7.663,53.761,7.663]],
+    [[53.777,7.875,53.777,7.875,53.777,7.875,53.777,7.875]],
+    [[53.981,11.374,53.981,11.374,53.981,11.374,53.981,11.374]],
+    [[54.076,11.529,54.076,11.529,54.076,11.529,54.076,11.529]],
+    [[54.523,8.962,54.523,8.962,54.523,8.962,54.523,8.962]],
+    [[54.479,11.256,54.479,11.256,54.479,11.256,54.479,11.256]],
+    [[54.597,13.142,54.597,13.142,54.597,13.142,54.597,13.142]],
+    [[54.391,13.7,54.391,13.7,54.391,13.7,54.391,13.7]],
+    [[54.694,8.332,54.694,8.332,54.694,8.332,54.694,8.332]],
+    [[54.756,8.498,54.756,8.498,54.756,8.498,54.756,8.498]],
+    [[54.949,8.361,54.949,8.361,54.949,8.361,54.949,8.361]],
+    [[54.543,8.635,54.543,8.635,54.543,8.635,54.543,8.635]],
+    [[54.18,7.904,54.18,7.904,54.18,7.904,54.18,7.904]],
+    [[54.192,7.911,54.192,7.911,54.192,7.911,54.192,7.911]],
+  ],
+  IT: [
+    [[45.925,7.022,45.891,7.069,45.876,7.123,45.881,7.184,45.913,7.288,45.908,7.36,45.916,7.393,45.945,7.454,45.957,7.504,45.984,7.54,45.967,7.645,45.928,7.695,45.93,7.731,45.918,7.781,45.915,7.832,45.94,7.85,45.94,7.871,45.959,7.871,45.982,7.897,45.999,7.987,46.029,8.012,46.092,8.026,46.1,8.066,46.127,8.109,46.16,8.131,46.197,8.131,46.263,8.077,46.286,8.105,46.31,8.192,46.354,8.242,46.379,8.293,46.406,8.285,46.443,8.343,46.452,8.401,46.448,8.429,46.413,8.447,46.354,8.444,46.301,8.426,46.251,8.426,46.235,8.437,46.208,8.509,46.188,8.537,46.122,8.602,46.095,8.678,46.107,8.732,46.094,8.746,46.09,8.807,46.067,8.833,46.019,8.789,45.984,8.768,45.979,8.8,45.957,8.858,45.896,8.908,45.866,8.915,45.827,8.901,45.835,8.941,45.82,9.002,45.883,9.059,45.916,9.052,45.926,9.009,45.972,8.984,45.992,9.016,46.04,9.002,46.062,9.059,46.119,9.07,46.138,9.092,46.173,9.164,46.203,9.182,46.23,9.225,46.268,9.239,46.31,9.268,46.344,9.275,46.379,9.261,46.416,9.261,46.436,9.239,46.462,9.247,46.497,9.283,46.502,9.329,46.467,9.383,46.499,9.434,46.396,9.445,46.381,9.441,46.357,9.484,46.32,9.502,46.293,9.56,46.291,9.675,46.311,9.707,46.342,9.707,46.35,9.729,46.338,9.769,46.367,9.855,46.372,9.898,46.355,9.963,46.298,9.977,46.261,10.032,46.22,10.042,46.22,10.075,46.244,10.147,46.263,10.158,46.281,10.147,46.31,10.104,46.328,10.093,46.362,10.104,46.381,10.132,46.403,10.14,46.42,10.118,46.433,10.042,46.447,10.028,46.467,10.042,46.484,10.028,46.533,10.032,46.565,10.071,46.609,10.096,46.627,10.194,46.627,10.219,46.607,10.237,46.575,10.233,46.565,10.276,46.551,10.294,46.538,10.446,46.578,10.467,46.624,10.46,46.636,10.438,46.639,10.395,46.673,10.37,46.702,10.395,46.735,10.399,46.756,10.428,46.799,10.417,46.823,10.446,46.864,10.453,46.847,10.485,46.843,10.528,46.862,10.629,46.86,10.662,46.83,10.741,46.813,10.744,46.794,10.716,46.791,10.755,46.776,10.806,46.781,10.834,46.764,10.881,46.772,10.914,46.769,10.996,46.806,11.032,46.815,11.054,46.835,11.054,46.913,11.094,46.963,11.173,46.978,11.245,46.987,11.313,46.97,11.41,47.005,11.461,46.989,11.526,47,11.598,46.992,11.684,46.972,11.745,46.989,11.778,46.994,11.821,47.012,11.857,47.038,11.943,47.041,12.015,47.076,12.116,47.085,12.181,47.08,12.206,47.053,12.202,47.034,12.181,47.011,12.123,46.994,12.112,46.919,12.141,46.909,12.127,46.899,12.174,46.881,12.195,46.869,12.267,46.833,12.278,46.808,12.267,46.784,12.274,46.766,12.343,46.712,12.372,46.69,12.404,46.678,12.447,46.673,12.501,46.651,12.562,46.656,12.62,46.653,12.67,46.637,12.706,46.636,12.775,46.61,12.829,46.599,13.063,46.585,13.146,46.558,13.21,46.551,13.272,46.566,13.372,46.56,13.416,46.563,13.477,46.546,13.506,46.546,13.549,46.519,13.671,46.519,13.7,46.469,13.689,46.445,13.66,46.443,13.599,46.389,13.531,46.345,13.423,46.301,13.39,46.29,13.365,46.244,13.383,46.208,13.408,46.21,13.437,46.229,13.423,46.224,13.47,46.205,13.531,46.185,13.56,46.18,13.639,46.161,13.646,46.126,13.617,46.067,13.506,46.045,13.484,46.018,13.484,46.006,13.462,45.967,13.509,45.986,13.606,45.967,13.624,45.926,13.61,45.864,13.57,45.83,13.567,45.81,13.581,45.798,13.61,45.791,13.66,45.766,13.711,45.744,13.779,45.619,13.887,45.585,13.848,45.582,13.801,45.596,13.761,45.594,13.711,45.773,13.628,45.308,12.21,44.251,12.368,43.532,13.617,42.598,14.074,41.935,15.122,41.945,16.026,41.479,15.932,40.67,17.955,40.104,18.517,39.797,18.369,40.29,17.847,40.445,16.911,39.689,16.515,39.407,17.16,38.961,17.174,38.785,16.573,37.933,16.062,38.242,15.651,38.919,16.216,40.077,15.626,40.241,14.91,40.67,14.784,40.832,14.082,41.252,13.722,41.227,13.045,42.279,11.659,42.926,10.518,44.017,10.107,44.429,8.735,43.956,8.167,43.792,7.501,43.865,7.479,43.887,7.493,43.944,7.558,43.993,7.63,44.04,7.652,44.067,7.691,44.11,7.677,44.143,7.641,44.175,7.655,44.18,7.623,44.16,7.583,44.159,7.555,44.123,7.382,44.123,7.342,44.147,7.31,44.153,7.27,44.208,7.144,44.243,7.033,44.241,6.982,44.277,6.961,44.302,6.921,44.358,6.874,44.383,6.867,44.424,6.885,44.435,6.917,44.474,6.86,44.503,6.838,44.533,6.835,44.576,6.896,44.626,6.946,44.667,6.943,44.692,6.982,44.685,7.054,44.739,7.018,44.793,6.997,44.822,7.007,44.847,6.982,44.863,6.914,44.859,6.845,44.888,6.777,44.929,6.727,44.984,6.73,45.013,6.723,45.026,6.698,45.03,6.662,45.05,6.64,45.074,6.637,45.104,6.604,45.126,6.633,45.14,6.694,45.158,6.737,45.129,6.845,45.141,6.878,45.167,6.874,45.17,6.914,45.211,6.957,45.227,7.029,45.214,7.054,45.243,7.079,45.259,7.108,45.324,7.094,45.383,7.151,45.411,7.162,45.435,7.097,45.471,7.072,45.511,6.982,45.567,6.971,45.585,6.953,45.621,6.968,45.641,6.964,45.653,6.917,45.675,6.881,45.683,6.842,45.719,6.795,45.778,6.781,45.827,6.802,45.839,6.842,45.829,6.871,45.845,6.874,45.845,6.907,45.869,6.968,45.911,6.997,45.925,7.022],[43.892,12.429,43.895,12.462,43.956,12.494,43.983,12.483,43.968,12.422,43.949,12.397,43.924,12.386,43.904,12.4,43.892,12.429],[41.903,12.454,41.903,12.454,41.903,12.454,41.903,12.454]],
+    [[36.835,12.001,36.835,12.001,36.835,12.001,36.835,12.001]],
+    [[37.94,12.274,37.94,12.274,37.94,12.274,37.94,12.274]],
+    [[38.303,15.529,37.46,15.09,36.655,15.093,36.793,14.488,37.798,12.426,38.181,12.76,37.973,13.79,38.303,15.529]],
+    [[38.433,14.967,38.433,14.967,38.433,14.967,38.433,14.967]],
+    [[38.473,14.906,38.473,14.906,38.473,14.906,38.473,14.906]],
+    [[38.549,14.863,38.549,14.863,38.549,14.863,38.549,14.863]],
+    [[39.074,8.455,39.074,8.455,39.074,8.455,39.074,8.455]],
+    [[39.194,8.307,39.194,8.307,39.194,8.307,39.194,8.307]],
+    [[40.702,13.945,40.702,13.945,40.702,13.945,40.702,13.945]],
+    [[41.057,8.275,41.057,8.275,41.057,8.275,41.057,8.275]],
+    [[40.557,9.794,39.149,9.567,38.899,8.599,39.238,8.375,40.315,8.462,40.881,8.217,41.263,9.232,40.557,9.794]],
+    [[42.387,10.896,42.387,10.896,42.387,10.896,42.387,10.896]],
+    [[42.845,10.442,42.845,10.442,42.845,10.442,42.845,10.442]],
+    [[43.064,9.841,43.064,9.841,43.064,9.841,43.064,9.841]],
+    [[45.405,12.354,45.405,12.354,45.405,12.354,45.405,12.354]],
+    [[35.873,12.861,35.873,12.861,35.873,12.861,35.873,12.861]],
+    [[38.536,14.348,38.536,14.348,38.536,14.348,38.536,14.348]],
+    [[38.576,14.575,38.576,14.575,38.576,14.575,38.576,14.575]],
+    [[38.718,13.171,38.718,13.171,38.718,13.171,38.718,13.171]],
+    [[38.811,15.226,38.811,15.226,38.811,15.226,38.811,15.226]],
+    [[40.795,13.419,40.795,13.419,40.795,13.419,40.795,13.419]],
+    [[35.51,12.624,35.51,12.624,35.51,12.624,35.51,12.624]],
+    [[37.968,12.073,37.968,12.073,37.968,12.073,37.968,12.073]],
+    [[41.236,9.473,41.236,9.473,41.236,9.473,41.236,9.473]],
+    [[41.225,9.43,41.225,9.43,41.225,9.43,41.225,9.43]],
+    [[42.345,10.298,42.345,10.298,42.345,10.298,42.345,10.298]],
+    [[42.597,10.093,42.597,10.093,42.597,10.093,42.597,10.093]],
+    [[45.459,12.328,45.459,12.328,45.459,12.328,45.459,12.328]],
+  ],
+  ES: [
+    [[35.847,-5.341,35.901,-5.391,35.925,-5.398,35.847,-5.341]],
+    [[35.329,-2.947,35.277,-2.914,35.268,-2.943,35.287,-2.965,35.314,-2.968,35.329,-2.947]],
+    [[43.385,-1.795,43.341,-1.798,43.319,-1.755,43.291,-1.748,43.304,-1.672,43.292,-1.643,43.255,-1.64,43.245,-1.611,43.252,-1.586,43.284,-1.561,43.277,-1.507,43.26,-1.467,43.265,-1.431,43.243,-1.402,43.206,-1.399,43.167,-1.409,43.123,-1.438,43.081,-1.489,43.061,-1.474,43.036,-1.435,43.034,-1.366,43.093,-1.348,43.113,-1.309,43.069,-1.312,43.047,-1.276,43.039,-1.219,43.005,-1.15,43.009,-1.111,42.993,-1.078,42.987,-1.028,42.956,-0.981,42.948,-0.945,42.943,-0.862,42.953,-0.787,42.946,-0.761,42.919,-0.743,42.894,-0.747,42.877,-0.729,42.877,-0.7,42.85,-0.65,42.808,-0.607,42.796,-0.581,42.772,-0.571,42.784,-0.535,42.808,-0.535,42.808,-0.509,42.789,-0.455,42.791,-0.423,42.843,-0.322,42.804,-0.247,42.786,-0.236,42.784,-0.207,42.796,-0.16,42.777,-0.164,42.716,-0.121,42.684,-0.038,42.708,0.074,42.715,0.135,42.727,0.167,42.71,0.239,42.669,0.275,42.671,0.29,42.713,0.337,42.718,0.355,42.684,0.391,42.688,0.607,42.684,0.643,42.696,0.664,42.73,0.661,42.745,0.632,42.803,0.653,42.838,0.657,42.845,0.725,42.835,0.758,42.831,0.812,42.804,0.887,42.784,0.92,42.796,0.949,42.781,0.985,42.776,1.067,42.76,1.107,42.706,1.15,42.713,1.197,42.713,1.319,42.686,1.363,42.595,1.431,42.561,1.427,42.529,1.406,42.521,1.445,42.504,1.449,42.487,1.406,42.435,1.449,42.429,1.517,42.45,1.546,42.456,1.607,42.467,1.64,42.494,1.651,42.49,1.687,42.502,1.708,42.489,1.73,42.482,1.791,42.446,1.87,42.436,1.928,42.367,1.964,42.348,1.996,42.352,2.05,42.386,2.104,42.416,2.137,42.413,2.183,42.429,2.277,42.389,2.374,42.384,2.421,42.367,2.428,42.34,2.464,42.326,2.525,42.352,2.547,42.338,2.662,42.372,2.641,42.406,2.691,42.414,2.727,42.409,2.767,42.419,2.806,42.448,2.849,42.451,2.9,42.47,2.932,42.462,2.965,42.47,2.983,42.465,3.029,42.433,3.065,42.424,3.112,42.431,3.181,41.947,3.231,41.274,2.061,41.04,0.992,39.517,-0.322,38.742,0.236,38.338,-0.509,37.723,-0.851,37.364,-1.672,36.736,-2.126,36.724,-4.405,36.141,-5.337,36.141,-5.359,36.305,-6.158,36.96,-6.5,37.193,-7.414,37.259,-7.436,37.274,-7.429,37.387,-7.447,37.418,-7.461,37.494,-7.475,37.517,-7.508,37.566,-7.529,37.602,-7.515,37.629,-7.479,37.652,-7.465,37.7,-7.457,37.75,-7.425,37.811,-7.335,37.85,-7.306,37.931,-7.274,37.983,-7.267,37.994,-7.223,37.988,-7.184,38,-7.151,38.032,-7.133,38.039,-7.105,38.021,-7.051,38.022,-7.025,38.196,-6.946,38.206,-6.964,38.2,-7.025,38.178,-7.061,38.174,-7.105,38.191,-7.126,38.272,-7.166,38.287,-7.191,38.318,-7.213,38.424,-7.317,38.446,-7.36,38.47,-7.335,38.493,-7.346,38.556,-7.317,38.618,-7.27,38.639,-7.292,38.713,-7.285,38.738,-7.27,38.78,-7.195,38.819,-7.151,38.833,-7.09,38.855,-7.058,38.885,-7.051,38.905,-7.065,38.943,-7.022,39.024,-6.975,39.067,-6.986,39.11,-7.04,39.113,-7.09,39.098,-7.126,39.105,-7.159,39.122,-7.169,39.152,-7.155,39.17,-7.169,39.196,-7.245,39.231,-7.267,39.27,-7.252,39.341,-7.328,39.385,-7.331,39.414,-7.317,39.468,-7.321,39.476,-7.364,39.493,-7.4,39.523,-7.418,39.55,-7.468,39.594,-7.515,39.68,-7.558,39.672,-7.342,39.684,-7.292,39.687,-7.234,39.675,-7.184,39.689,-7.036,39.716,-7.011,39.74,-7.015,39.765,-6.997,39.802,-7,39.821,-6.986,39.832,-6.953,39.861,-6.928,39.919,-6.925,39.932,-6.91,39.976,-6.903,40.01,-6.881,40.065,-6.921,40.111,-6.968,40.119,-7.015,40.133,-7.029,40.182,-7.043,40.216,-7.025,40.253,-6.953,40.256,-6.896,40.265,-6.878,40.3,-6.863,40.325,-6.82,40.356,-6.795,40.41,-6.853,40.442,-6.856,40.503,-6.817,40.531,-6.817,40.565,-6.849,40.597,-6.845,40.629,-6.82,40.66,-6.813,40.743,-6.838,40.84,-6.838,40.844,-6.82,40.871,-6.82,40.888,-6.856,40.949,-6.885,40.992,-6.932,41.016,-6.943,41.048,-6.928,41.057,-6.907,41.055,-6.817,41.109,-6.766,41.16,-6.755,41.202,-6.701,41.268,-6.647,41.271,-6.565,41.295,-6.496,41.339,-6.431,41.377,-6.399,41.377,-6.377,41.398,-6.377,41.42,-6.32,41.465,-6.284,41.487,-6.287,41.57,-6.205,41.629,-6.273,41.649,-6.316,41.663,-6.367,41.676,-6.46,41.653,-6.503,41.659,-6.543,41.74,-6.579,41.757,-6.565,41.849,-6.536,41.867,-6.525,41.882,-6.575,41.943,-6.572,41.962,-6.608,41.941,-6.622,41.933,-6.658,41.931,-6.727,41.938,-6.759,41.98,-6.795,41.984,-6.824,41.953,-6.831,41.943,-6.856,41.943,-6.946,41.967,-6.993,41.941,-7.051,41.987,-7.144,41.963,-7.198,41.901,-7.198,41.864,-7.252,41.845,-7.321,41.842,-7.393,41.806,-7.443,41.852,-7.468,41.865,-7.508,41.827,-7.565,41.832,-7.623,41.874,-7.609,41.876,-7.663,41.899,-7.72,41.877,-7.814,41.876,-7.85,41.859,-7.864,41.859,-7.897,41.914,-7.907,41.908,-7.925,41.867,-7.943,41.864,-7.994,41.816,-8.048,41.806,-8.095,41.811,-8.181,41.837,-8.174,41.857,-8.185,41.869,-8.221,41.886,-8.231,41.923,-8.221,41.965,-8.181,42.001,-8.123,42.024,-8.098,42.056,-8.102,42.073,-8.138,42.061,-8.192,42.085,-8.206,42.129,-8.203,42.154,-8.221,42.137,-8.253,42.131,-8.296,42.102,-8.347,42.083,-8.501,42.055,-8.573,42.051,-8.627,42.041,-8.645,42.001,-8.671,41.968,-8.75,42.301,-8.624,43.201,-9.139,43.794,-7.684,43.559,-7.159,43.561,-5.423,43.395,-4.311,43.519,-3.58,43.287,-2.129,43.385,-1.795]],
+    [[42.441,1.982,42.451,1.946,42.485,1.967,42.445,2,42.441,1.982]],
+    [[27.852,-17.934,27.852,-17.934,27.852,-17.934,27.852,-17.934]],
+    [[28.031,-15.392,28.031,-15.392,28.031,-15.392,28.031,-15.392]],
+    [[28.207,-17.311,28.207,-17.311,28.207,-17.311,28.207,-17.311]],
+    [[28.149,-16.429,28.355,-16.915,28.544,-16.126,28.149,-16.429]],
+    [[28.735,-13.974,28.735,-13.974,28.735,-13.974,28.735,-13.974]],
+    [[28.818,-17.757,28.818,-17.757,28.818,-17.757,28.818,-17.757]],
+    [[29.24,-13.484,29.24,-13.484,29.24,-13.484,29.24,-13.484]],
+    [[29.284,-13.488,29.284,-13.488,29.284,-13.488,29.284,-13.488]],
+    [[37.747,-0.733,37.747,-0.733,37.747,-0.733,37.747,-0.733]],
+    [[38.677,1.525,38.677,1.525,38.677,1.525,38.677,1.525]],
+    [[39.091,1.607,39.091,1.607,39.091,1.607,39.091,1.607]],
+    [[39.785,3.353,39.268,3.062,39.611,2.356,39.969,3.181,39.785,3.353]],
+    [[39.925,4.304,39.925,4.304,39.925,4.304,39.925,4.304]],
+    [[39.165,2.986,39.165,2.986,39.165,2.986,39.165,2.986]],
+    [[35.172,-4.3,35.172,-4.3,35.172,-4.3,35.172,-4.3]],
+    [[35.214,-3.904,35.214,-3.904,35.214,-3.904,35.214,-3.904]],
+    [[35.218,-3.901,35.218,-3.901,35.218,-3.901,35.218,-3.901]],
+    [[35.185,-2.435,35.185,-2.435,35.185,-2.435,35.185,-2.435]],
+    [[35.915,-5.42,35.915,-5.42,35.915,-5.42,35.915,-5.42]],
+  ],
+  PT: [
+    [[37.193,-7.414,36.999,-7.821,37.021,-8.998,38.188,-8.775,38.708,-9.491,40.783,-8.685,41.968,-8.75,42.001,-8.671,42.041,-8.645,42.051,-8.627,42.055,-8.573,42.083,-8.501,42.102,-8.347,42.131,-8.296,42.137,-8.253,42.154,-8.221,42.129,-8.203,42.085,-8.206,42.061,-8.192,42.073,-8.138,42.056,-8.102,42.024,-8.098,42.001,-8.123,41.965,-8.181,41.923,-8.221,41.886,-8.231,41.869,-8.221,41.857,-8.185,41.837,-8.174,41.811,-8.181,41.806,-8.095,41.816,-8.048,41.864,-7.994,41.867,-7.943,41.908,-7.925,41.914,-7.907,41.859,-7.897,41.859,-7.864,41.876,-7.85,41.877,-7.814,41.899,-7.72,41.876,-7.663,41.874,-7.609,41.832,-7.623,41.827,-7.565,41.865,-7.508,41.852,-7.468,41.806,-7.443,41.842,-7.393,41.845,-7.321,41.864,-7.252,41.901,-7.198,41.963,-7.198,41.987,-7.144,41.941,-7.051,41.967,-6.993,41.943,-6.946,41.943,-6.856,41.953,-6.831,41.984,-6.824,41.98,-6.795,41.938,-6.759,41.931,-6.727,41.933,-6.658,41.941,-6.622,41.962,-6.608,41.943,-6.572,41.882,-6.575,41.867,-6.525,41.849,-6.536,41.757,-6.565,41.74,-6.579,41.659,-6.543,41.653,-6.503,41.676,-6.46,41.663,-6.367,41.649,-6.316,41.629,-6.273,41.57,-6.205,41.487,-6.287,41.465,-6.284,41.42,-6.32,41.398,-6.377,41.377,-6.377,41.377,-6.399,41.339,-6.431,41.295,-6.496,41.271,-6.565,41.268,-6.647,41.202,-6.701,41.16,-6.755,41.109,-6.766,41.055,-6.817,41.057,-6.907,41.048,-6.928,41.016,-6.943,40.992,-6.932,40.949,-6.885,40.888,-6.856,40.871,-6.82,40.844,-6.82,40.84,-6.838,40.743,-6.838,40.66,-6.813,40.629,-6.82,40.597,-6.845,40.565,-6.849,40.531,-6.817,40.503,-6.817,40.442,-6.856,40.41,-6.853,40.356,-6.795,40.325,-6.82,40.3,-6.863,40.265,-6.878,40.256,-6.896,40.253,-6.953,40.216,-7.025,40.182,-7.043,40.133,-7.029,40.119,-7.015,40.111,-6.968,40.065,-6.921,40.01,-6.881,39.976,-6.903,39.932,-6.91,39.919,-6.925,39.861,-6.928,39.832,-6.953,39.821,-6.986,39.802,-7,39.765,-6.997,39.74,-7.015,39.716,-7.011,39.689,-7.036,39.675,-7.184,39.687,-7.234,39.684,-7.292,39.672,-7.342,39.68,-7.558,39.594,-7.515,39.55,-7.468,39.523,-7.418,39.493,-7.4,39.476,-7.364,39.468,-7.321,39.414,-7.317,39.385,-7.331,39.341,-7.328,39.27,-7.252,39.231,-7.267,39.196,-7.245,39.17,-7.169,39.152,-7.155,39.122,-7.169,39.105,-7.159,39.098,-7.126,39.113,-7.09,39.11,-7.04,39.067,-6.986,39.024,-6.975,38.943,-7.022,38.905,-7.065,38.885,-7.051,38.855,-7.058,38.833,-7.09,38.819,-7.151,38.78,-7.195,38.738,-7.27,38.713,-7.285,38.639,-7.292,38.618,-7.27,38.556,-7.317,38.493,-7.346,38.47,-7.335,38.446,-7.36,38.424,-7.317,38.318,-7.213,38.287,-7.191,38.272,-7.166,38.191,-7.126,38.174,-7.105,38.178,-7.061,38.2,-7.025,38.206,-6.964,38.196,-6.946,38.022,-7.025,38.021,-7.051,38.039,-7.105,38.032,-7.133,38,-7.151,37.988,-7.184,37.994,-7.223,37.983,-7.267,37.931,-7.274,37.85,-7.306,37.811,-7.335,37.75,-7.425,37.7,-7.457,37.652,-7.465,37.629,-7.479,37.602,-7.515,37.566,-7.529,37.517,-7.508,37.494,-7.475,37.418,-7.461,37.387,-7.447,37.274,-7.429,37.259,-7.436,37.193,-7.414]],
+    [[32.492,-16.486,32.492,-16.486,32.492,-16.486,32.492,-16.486]],
+    [[32.686,-16.789,32.686,-16.789,32.686,-16.789,32.686,-16.789]],
+    [[33.058,-16.339,33.058,-16.339,33.058,-16.339,33.058,-16.339]],
+    [[36.98,-7.954,36.98,-7.954,36.98,-7.954,36.98,-7.954]],
+    [[37.021,-25.065,37.021,-25.065,37.021,-25.065,37.021,-25.065]],
+    [[37.865,-25.198,37.865,-25.198,37.865,-25.198,37.865,-25.198]],
+    [[38.446,-28.111,38.446,-28.111,38.446,-28.111,38.446,-28.111]],
+    [[38.598,-28.611,38.598,-28.611,38.598,-28.611,38.598,-28.611]],
+    [[38.605,-27.891,38.605,-27.891,38.605,-27.891,38.605,-27.891]],
+    [[38.694,-27.02,38.694,-27.02,38.694,-27.02,38.694,-27.02]],
+    [[39.015,-27.985,39.015,-27.985,39.015,-27.985,39.015,-27.985]],
+    [[39.508,-31.207,39.508,-31.207,39.508,-31.207,39.508,-31.207]],
+    [[39.728,-31.117,39.728,-31.117,39.728,-31.117,39.728,-31.117]],
+    [[30.034,-16.029,30.034,-16.029,30.034,-16.029,30.034,-16.029]],
+    [[30.152,-15.864,30.152,-15.864,30.152,-15.864,30.152,-15.864]],
+    [[38.868,-9.041,38.868,-9.041,38.868,-9.041,38.868,-9.041]],
+  ],
+  NL: [
+    [[53.245,7.195,53.201,7.198,53.145,7.173,53.034,7.195,52.966,7.184,52.932,7.162,52.855,7.079,52.791,7.054,52.647,7.036,52.627,7.018,52.637,6.968,52.632,6.917,52.642,6.867,52.64,6.77,52.618,6.701,52.583,6.705,52.559,6.745,52.542,6.687,52.475,6.694,52.453,6.741,52.446,6.82,52.434,6.871,52.433,6.928,52.451,6.975,52.39,7.033,52.365,7.047,52.328,7.04,52.301,7.018,52.267,7.011,52.23,7.025,52.215,6.982,52.173,6.928,52.161,6.885,52.113,6.831,52.103,6.748,52.073,6.719,52.061,6.68,52.034,6.676,52.002,6.777,51.98,6.809,51.951,6.791,51.909,6.745,51.899,6.716,51.897,6.629,51.877,6.529,51.848,6.464,51.86,6.377,51.828,6.381,51.821,6.345,51.843,6.327,51.847,6.287,51.867,6.266,51.862,6.226,51.897,6.125,51.885,6.093,51.842,6.158,51.853,6.082,51.828,5.989,51.823,5.949,51.806,5.927,51.796,5.949,51.757,5.963,51.732,5.938,51.73,5.978,51.71,6.021,51.681,6.01,51.663,6.032,51.644,6.1,51.595,6.086,51.509,6.194,51.458,6.205,51.399,6.194,51.387,6.208,51.345,6.194,51.318,6.147,51.259,6.097,51.232,6.064,51.19,6.053,51.171,6.061,51.163,6.086,51.185,6.133,51.18,6.158,51.164,6.125,51.153,6.147,51.139,6.133,51.121,6.075,51.075,5.981,51.031,5.938,51.029,5.92,51.051,5.881,51.043,5.852,50.991,5.873,50.965,5.873,50.977,5.942,50.974,6.003,50.938,5.996,50.925,6.007,50.908,6.064,50.891,6.053,50.862,6.064,50.844,6.046,50.83,5.999,50.801,5.999,50.795,5.967,50.751,5.996,50.749,5.902,50.754,5.881,50.752,5.794,50.771,5.762,50.754,5.729,50.761,5.69,50.796,5.701,50.815,5.639,50.852,5.621,50.904,5.693,50.911,5.722,50.96,5.765,50.96,5.722,50.999,5.762,51.024,5.776,51.048,5.765,51.055,5.791,51.082,5.812,51.097,5.805,51.104,5.845,51.119,5.823,51.139,5.841,51.156,5.83,51.153,5.78,51.178,5.747,51.185,5.719,51.18,5.657,51.197,5.625,51.208,5.567,51.22,5.546,51.262,5.535,51.278,5.517,51.288,5.47,51.259,5.387,51.262,5.272,51.259,5.215,51.294,5.215,51.308,5.197,51.308,5.139,51.32,5.117,51.35,5.103,51.374,5.067,51.406,5.067,51.438,5.081,51.462,5.06,51.477,5.027,51.411,4.955,51.392,4.909,51.406,4.855,51.408,4.783,51.426,4.768,51.414,4.822,51.46,4.826,51.484,4.815,51.495,4.779,51.485,4.732,51.426,4.653,51.418,4.631,51.419,4.541,51.428,4.52,51.468,4.534,51.475,4.484,51.443,4.376,51.435,4.39,51.401,4.387,51.384,4.412,51.357,4.412,51.352,4.347,51.369,4.289,51.369,4.261,51.529,3.451,52.223,4.408,52.968,4.747,53.307,5.611,53.461,6.73,53.245,7.195]],
+    [[51.376,3.35,51.369,4.221,51.33,4.207,51.296,4.167,51.273,4.12,51.234,3.994,51.21,3.951,51.205,3.807,51.22,3.782,51.242,3.782,51.262,3.757,51.291,3.609,51.281,3.515,51.24,3.501,51.235,3.454,51.247,3.393,51.289,3.353,51.337,3.357,51.376,3.35]],
+    [[12.228,-68.212,12.228,-68.212,12.228,-68.212,12.228,-68.212]],
+    [[17.526,-62.999,17.526,-62.999,17.526,-62.999,17.526,-62.999]],
+    [[51.686,4.037,51.686,4.037,51.686,4.037,51.686,4.037]],
+    [[53.111,4.894,53.111,4.894,53.111,4.894,53.111,4.894]],
+    [[53.221,4.88,53.221,4.88,53.221,4.88,53.221,4.88]],
+    [[53.431,5.423,53.431,5.423,53.431,5.423,53.431,5.423]],
+    [[53.468,5.675,53.468,5.675,53.468,5.675,53.468,5.675]],
+    [[53.508,6.212,53.508,6.212,53.508,6.212,53.508,6.212]],
+    [[53.557,6.442,53.557,6.442,53.557,6.442,53.557,6.442]],
+    [[17.646,-63.24,17.646,-63.24,17.646,-63.24,17.646,-63.24]],
+  ],
+  CH: [
+    [[46.864,10.453,46.823,10.446,46.799,10.417,46.756,10.428,46.735,10.399,46.702,10.395,46.673,10.37,46.639,10.395,46.636,10.438,46.624,10.46,46.578,10.467,46.538,10.446,46.551,10.294,46.565,10.276,46.575,10.233,46.607,10.237,46.627,10.219,46.627,10.194,46.609,10.096,46.565,10.071,46.533,10.032,46.484,10.028,46.467,10.042,46.447,10.028,46.433,10.042,46.42,10.118,46.403,10.14,46.381,10.132,46.362,10.104,46.328,10.093,46.31,10.104,46.281,10.147,46.263,10.158,46.244,10.147,46.22,10.075,46.22,10.042,46.261,10.032,46.298,9.977,46.355,9.963,46.372,9.898,46.367,9.855,46.338,9.769,46.35,9.729,46.342,9.707,46.311,9.707,46.291,9.675,46.293,9.56,46.32,9.502,46.357,9.484,46.381,9.441,46.396,9.445,46.499,9.434,46.467,9.383,46.502,9.329,46.497,9.283,46.462,9.247,46.436,9.239,46.416,9.261,46.379,9.261,46.344,9.275,46.31,9.268,46.268,9.239,46.23,9.225,46.203,9.182,46.173,9.164,46.138,9.092,46.119,9.07,46.062,9.059,46.04,9.002,45.992,9.016,45.972,8.984,45.926,9.009,45.916,9.052,45.883,9.059,45.82,9.002,45.835,8.941,45.827,8.901,45.866,8.915,45.896,8.908,45.957,8.858,45.979,8.8,45.984,8.768,46.019,8.789,46.067,8.833,46.09,8.807,46.094,8.746,46.107,8.732,46.095,8.678,46.122,8.602,46.188,8.537,46.208,8.509,46.235,8.437,46.251,8.426,46.301,8.426,46.354,8.444,46.413,8.447,46.448,8.429,46.452,8.401,46.443,8.343,46.406,8.285,46.379,8.293,46.354,8.242,46.31,8.192,46.286,8.105,46.263,8.077,46.197,8.131,46.16,8.131,46.127,8.109,46.1,8.066,46.092,8.026,46.029,8.012,45.999,7.987,45.982,7.897,45.959,7.871,45.94,7.871,45.94,7.85,45.915,7.832,45.918,7.781,45.93,7.731,45.928,7.695,45.967,7.645,45.984,7.54,45.957,7.504,45.945,7.454,45.916,7.393,45.908,7.36,45.913,7.288,45.881,7.184,45.876,7.123,45.891,7.069,45.925,7.022,45.996,6.982,46.048,6.914,46.055,6.892,46.045,6.86,46.085,6.853,46.112,6.871,46.122,6.853,46.134,6.773,46.187,6.773,46.222,6.791,46.269,6.827,46.296,6.806,46.345,6.752,46.379,6.781,46.414,6.788,46.43,6.763,46.457,6.615,46.457,6.547,46.448,6.482,46.408,6.399,46.394,6.302,46.376,6.269,46.328,6.219,46.315,6.215,46.268,6.237,46.263,6.277,46.241,6.28,46.22,6.255,46.192,6.19,46.149,6.14,46.139,6.107,46.149,6.075,46.141,5.981,46.131,5.96,46.171,5.981,46.2,5.956,46.212,5.96,46.244,6.046,46.246,6.089,46.31,6.104,46.359,6.136,46.396,6.107,46.42,6.053,46.433,6.068,46.465,6.061,46.521,6.111,46.551,6.147,46.57,6.122,46.595,6.133,46.68,6.266,46.707,6.338,46.734,6.374,46.751,6.417,46.769,6.431,46.806,6.417,46.872,6.449,46.909,6.428,46.945,6.442,46.963,6.493,46.987,6.597,47.021,6.665,47.044,6.687,47.063,6.676,47.085,6.698,47.103,6.745,47.12,6.745,47.129,6.773,47.169,6.842,47.211,6.889,47.245,6.957,47.291,6.957,47.306,6.993,47.34,7.043,47.369,7.004,47.362,6.986,47.353,6.867,47.396,6.899,47.406,6.925,47.424,6.925,47.434,6.968,47.453,6.989,47.488,6.975,47.499,7.011,47.49,7.054,47.497,7.105,47.488,7.18,47.46,7.162,47.443,7.169,47.417,7.245,47.433,7.31,47.431,7.378,47.438,7.407,47.472,7.429,47.492,7.425,47.482,7.468,47.493,7.486,47.512,7.475,47.517,7.501,47.542,7.483,47.576,7.551,47.585,7.587,47.596,7.659,47.571,7.648,47.564,7.609,47.544,7.684,47.556,7.767,47.595,7.821,47.588,7.897,47.561,7.911,47.561,8.041,47.571,8.098,47.588,8.113,47.615,8.177,47.622,8.249,47.615,8.289,47.591,8.307,47.581,8.354,47.585,8.447,47.607,8.462,47.622,8.523,47.59,8.559,47.6,8.581,47.634,8.577,47.656,8.606,47.662,8.57,47.657,8.519,47.64,8.476,47.647,8.437,47.666,8.39,47.708,8.401,47.723,8.437,47.764,8.462,47.779,8.552,47.796,8.541,47.794,8.602,47.762,8.606,47.762,8.631,47.791,8.645,47.759,8.681,47.757,8.714,47.73,8.703,47.694,8.717,47.694,8.771,47.721,8.771,47.708,8.829,47.691,8.854,47.681,8.836,47.656,8.883,47.654,8.944,47.679,9.016,47.671,9.128,47.671,9.182,47.656,9.196,47.651,9.272,47.534,9.549,47.51,9.556,47.48,9.585,47.451,9.65,47.409,9.65,47.362,9.599,47.328,9.589,47.299,9.553,47.262,9.52,47.21,9.488,47.176,9.484,47.129,9.513,47.108,9.513,47.065,9.477,47.053,9.56,47.056,9.581,47.056,9.668,47.016,9.859,46.999,9.869,46.94,9.862,46.914,9.898,46.891,10.006,46.865,10.046,46.847,10.111,46.852,10.158,46.867,10.201,46.923,10.237,46.923,10.294,46.965,10.312,46.997,10.374,46.962,10.417,46.936,10.46,46.864,10.453]],
+  ],
+  AT: [
+    [[48.605,16.944,48.557,16.954,48.54,16.947,48.52,16.915,48.458,16.864,48.39,16.854,48.365,16.843,48.353,16.882,48.331,16.908,48.29,16.918,48.274,16.954,48.253,16.954,48.199,16.976,48.16,16.983,48.137,17.019,48.132,17.048,48.098,17.08,48.061,17.059,48.036,17.07,48.02,17.124,48.005,17.149,47.97,17.084,47.961,17.095,47.892,17.077,47.873,17.052,47.868,17.016,47.853,17.005,47.838,17.041,47.813,17.055,47.801,17.041,47.703,17.055,47.696,16.983,47.683,16.904,47.686,16.864,47.713,16.85,47.676,16.796,47.681,16.742,47.73,16.692,47.75,16.609,47.754,16.569,47.743,16.53,47.711,16.522,47.683,16.45,47.691,16.44,47.661,16.407,47.639,16.483,47.644,16.508,47.625,16.576,47.629,16.609,47.607,16.648,47.566,16.652,47.551,16.681,47.522,16.688,47.493,16.638,47.453,16.641,47.426,16.591,47.392,16.483,47.412,16.458,47.397,16.432,47.336,16.44,47.293,16.468,47.264,16.468,47.244,16.422,47.203,16.411,47.168,16.443,47.139,16.447,47.149,16.497,47.125,16.504,47.097,16.461,47.068,16.461,47.06,16.494,47.044,16.483,47.024,16.425,47.019,16.468,46.999,16.486,46.989,16.414,47.002,16.389,47.004,16.274,46.948,16.231,46.919,16.17,46.877,16.123,46.862,16.094,46.837,16.029,46.83,15.986,46.761,15.968,46.718,15.982,46.71,16.004,46.671,16.018,46.691,15.986,46.696,15.946,46.72,15.878,46.723,15.824,46.703,15.756,46.71,15.651,46.717,15.637,46.69,15.633,46.673,15.604,46.676,15.568,46.664,15.532,46.632,15.514,46.615,15.464,46.646,15.388,46.639,15.205,46.649,15.061,46.637,15.003,46.6,14.967,46.62,14.935,46.605,14.899,46.605,14.863,46.585,14.834,46.536,14.809,46.504,14.784,46.492,14.708,46.458,14.679,46.46,14.661,46.44,14.632,46.435,14.589,46.384,14.557,46.379,14.539,46.418,14.503,46.413,14.467,46.425,14.42,46.44,14.406,46.436,14.362,46.44,14.146,46.475,14.082,46.485,14.031,46.482,13.981,46.512,13.891,46.516,13.862,46.507,13.783,46.519,13.7,46.519,13.671,46.546,13.549,46.546,13.506,46.563,13.477,46.56,13.416,46.566,13.372,46.551,13.272,46.558,13.21,46.585,13.146,46.599,13.063,46.61,12.829,46.636,12.775,46.637,12.706,46.653,12.67,46.656,12.62,46.651,12.562,46.673,12.501,46.678,12.447,46.69,12.404,46.712,12.372,46.766,12.343,46.784,12.274,46.808,12.267,46.833,12.278,46.869,12.267,46.881,12.195,46.899,12.174,46.909,12.127,46.919,12.141,46.994,12.112,47.011,12.123,47.034,12.181,47.053,12.202,47.08,12.206,47.085,12.181,47.076,12.116,47.041,12.015,47.038,11.943,47.012,11.857,46.994,11.821,46.989,11.778,46.972,11.745,46.992,11.684,47,11.598,46.989,11.526,47.005,11.461,46.97,11.41,46.987,11.313,46.978,11.245,46.963,11.173,46.913,11.094,46.835,11.054,46.815,11.054,46.806,11.032,46.769,10.996,46.772,10.914,46.764,10.881,46.781,10.834,46.776,10.806,46.791,10.755,46.794,10.716,46.813,10.744,46.83,10.741,46.86,10.662,46.862,10.629,46.843,10.528,46.847,10.485,46.864,10.453,46.936,10.46,46.962,10.417,46.997,10.374,46.965,10.312,46.923,10.294,46.923,10.237,46.867,10.201,46.852,10.158,46.847,10.111,46.865,10.046,46.891,10.006,46.914,9.898,46.94,9.862,46.999,9.869,47.016,9.859,47.056,9.668,47.056,9.581,47.081,9.61,47.107,9.617,47.132,9.607,47.168,9.553,47.198,9.563,47.228,9.542,47.244,9.545,47.262,9.52,47.299,9.553,47.328,9.589,47.362,9.599,47.409,9.65,47.451,9.65,47.48,9.585,47.51,9.556,47.534,9.549,47.522,9.614,47.522,9.675,47.531,9.704,47.564,9.729,47.588,9.769,47.576,9.808,47.542,9.812,47.534,9.934,47.477,9.992,47.488,10.024,47.428,10.082,47.406,10.053,47.358,10.082,47.379,10.19,47.355,10.208,47.294,10.186,47.271,10.161,47.277,10.24,47.303,10.305,47.331,10.345,47.367,10.37,47.38,10.413,47.439,10.453,47.473,10.449,47.493,10.42,47.542,10.431,47.573,10.413,47.581,10.453,47.546,10.453,47.532,10.482,47.529,10.525,47.563,10.582,47.563,10.608,47.529,10.741,47.515,10.752,47.515,10.791,47.531,10.86,47.515,10.892,47.493,10.852,47.468,10.91,47.433,10.96,47.409,10.957,47.39,10.978,47.389,11.083,47.424,11.169,47.423,11.216,47.396,11.212,47.401,11.259,47.436,11.306,47.445,11.385,47.47,11.367,47.505,11.414,47.51,11.436,47.502,11.482,47.514,11.551,47.537,11.576,47.571,11.59,47.59,11.619,47.583,11.684,47.583,11.763,47.575,11.821,47.6,11.853,47.61,11.936,47.603,12.166,47.637,12.206,47.672,12.206,47.698,12.177,47.732,12.238,47.696,12.224,47.679,12.249,47.689,12.292,47.681,12.35,47.694,12.408,47.691,12.426,47.656,12.444,47.634,12.483,47.629,12.516,47.635,12.555,47.662,12.598,47.676,12.652,47.667,12.76,47.649,12.753,47.612,12.814,47.603,12.786,47.554,12.778,47.537,12.829,47.499,12.883,47.47,12.944,47.466,13.002,47.493,13.038,47.542,13.027,47.583,13.041,47.622,13.074,47.659,13.074,47.706,13.034,47.715,13.005,47.705,12.966,47.713,12.908,47.723,12.894,47.75,12.919,47.777,12.926,47.846,12.991,47.872,12.966,47.924,12.93,47.963,12.861,48.015,12.832,48.064,12.76,48.086,12.742,48.113,12.739,48.16,12.822,48.196,12.861,48.209,12.933,48.257,13.016,48.29,13.135,48.307,13.275,48.319,13.308,48.377,13.405,48.431,13.437,48.478,13.437,48.525,13.459,48.561,13.441,48.574,13.455,48.584,13.52,48.566,13.624,48.535,13.675,48.522,13.718,48.559,13.732,48.569,13.776,48.598,13.797,48.643,13.808,48.675,13.801,48.696,13.815,48.724,13.786,48.767,13.815,48.753,13.876,48.731,13.916,48.701,13.992,48.662,14.035,48.64,14.006,48.606,14.031,48.591,14.074,48.581,14.215,48.557,14.316,48.586,14.406,48.637,14.445,48.643,14.46,48.625,14.481,48.608,14.535,48.621,14.593,48.599,14.604,48.603,14.636,48.578,14.658,48.589,14.697,48.674,14.704,48.694,14.722,48.724,14.776,48.777,14.802,48.775,14.866,48.762,14.92,48.78,14.953,48.797,14.938,48.885,14.967,48.971,14.964,49.006,14.978,49.01,15.003,48.998,15.061,48.993,15.136,48.966,15.151,48.937,15.144,48.952,15.244,48.986,15.266,48.976,15.288,48.971,15.36,48.937,15.471,48.909,15.522,48.887,15.604,48.858,15.68,48.858,15.745,48.873,15.788,48.873,15.817,48.849,15.838,48.849,15.86,48.831,15.907,48.819,15.907,48.758,16.033,48.743,16.087,48.746,16.177,48.728,16.353,48.736,16.386,48.795,16.436,48.806,16.512,48.778,16.645,48.74,16.663,48.73,16.746,48.709,16.8,48.719,16.872,48.697,16.897,48.632,16.911,48.605,16.944]],
+  ],
+  GR: [
+    [[40.849,20.965,40.854,21.112,40.871,21.184,40.861,21.296,40.873,21.346,40.901,21.382,40.91,21.429,40.901,21.508,40.871,21.555,40.866,21.58,40.895,21.624,40.895,21.645,40.918,21.656,40.928,21.685,40.92,21.735,40.933,21.778,40.964,21.782,40.994,21.832,41.038,21.879,41.097,21.908,41.124,21.966,41.139,22.03,41.151,22.048,41.121,22.102,41.16,22.182,41.16,22.225,41.146,22.304,41.124,22.308,41.133,22.369,41.114,22.423,41.122,22.502,41.119,22.57,41.153,22.624,41.177,22.628,41.178,22.657,41.139,22.704,41.166,22.729,41.205,22.736,41.283,22.74,41.315,22.75,41.335,22.779,41.34,22.826,41.335,22.916,41.313,23.114,41.317,23.157,41.334,23.2,41.369,23.211,41.398,23.269,41.398,23.287,41.369,23.326,41.371,23.348,41.399,23.413,41.398,23.514,41.372,23.578,41.371,23.611,41.398,23.654,41.401,23.755,41.43,23.776,41.435,23.83,41.464,23.902,41.438,23.949,41.464,24,41.452,24.036,41.464,24.054,41.526,24.046,41.536,24.075,41.526,24.147,41.511,24.169,41.548,24.198,41.563,24.252,41.54,24.288,41.523,24.284,41.518,24.345,41.528,24.439,41.55,24.46,41.562,24.511,41.548,24.532,41.48,24.554,41.46,24.583,41.44,24.579,41.418,24.637,41.416,24.68,41.396,24.72,41.362,24.752,41.347,24.795,41.393,24.802,41.401,24.885,41.386,24.918,41.308,25.155,41.249,25.22,41.239,25.285,41.281,25.454,41.283,25.515,41.315,25.551,41.312,25.641,41.296,25.681,41.317,25.728,41.318,25.764,41.339,25.8,41.335,25.832,41.31,25.864,41.313,25.947,41.342,26.023,41.357,26.12,41.447,26.174,41.479,26.145,41.506,26.163,41.543,26.16,41.553,26.131,41.583,26.131,41.617,26.116,41.636,26.066,41.69,26.048,41.729,26.109,41.735,26.188,41.751,26.21,41.746,26.235,41.715,26.275,41.713,26.332,41.715,26.361,41.692,26.404,41.676,26.476,41.649,26.466,41.59,26.577,41.612,26.595,41.469,26.617,41.399,26.635,41.357,26.631,41.33,26.61,41.334,26.57,41.352,26.541,41.312,26.491,41.259,26.394,41.254,26.332,41.229,26.336,41.188,26.322,41.153,26.336,41.122,26.318,41.114,26.34,41.089,26.322,41.041,26.347,41.031,26.376,41.003,26.361,40.991,26.332,40.969,26.358,40.955,26.35,40.927,26.293,40.906,26.289,40.92,26.26,40.886,26.239,40.866,26.206,40.847,26.214,40.812,26.16,40.768,26.134,40.748,26.113,40.736,26.08,40.739,26.044,41.006,25.04,40.695,23.69,40.369,23.924,40.209,23.337,40.503,22.822,40.143,22.549,39.179,23.344,38.851,22.704,38.205,24.068,37.69,24.072,37.973,23.226,37.401,23.262,37.582,22.74,36.433,23.197,36.805,22.765,36.513,22.354,36.727,21.876,37.561,21.552,37.843,21.112,38.336,21.955,37.94,22.866,38.161,23.215,38.412,21.958,38.304,21.156,39.073,20.688,39.694,20,39.701,20.014,39.682,20.09,39.637,20.184,39.64,20.202,39.667,20.212,39.664,20.245,39.686,20.248,39.704,20.284,39.728,20.299,39.756,20.277,39.797,20.274,39.807,20.288,39.785,20.371,39.799,20.389,39.836,20.392,39.895,20.346,39.919,20.317,39.988,20.299,39.995,20.378,40.03,20.389,40.057,20.414,40.06,20.464,40.072,20.5,40.067,20.576,40.094,20.648,40.138,20.67,40.179,20.659,40.19,20.684,40.236,20.698,40.288,20.706,40.304,20.738,40.374,20.774,40.422,20.77,40.437,20.81,40.472,20.839,40.459,20.911,40.472,20.936,40.506,20.95,40.548,21.015,40.621,21.033,40.66,21.037,40.716,20.994,40.765,20.943,40.802,20.968,40.849,20.965]],
+    [[34.854,24.129,34.854,24.129,34.854,24.129,34.854,24.129]],
+    [[35.432,26.977,35.432,26.977,35.432,26.977,35.432,26.977]],
+    [[35.315,26.322,35.039,26.242,34.932,24.738,35.239,23.586,35.613,23.604,35.364,24.273,35.425,24.972,35.133,25.728,35.315,26.322]],
+    [[35.521,27.211,35.521,27.211,35.521,27.211,35.521,27.211]],
+    [[35.898,23.28,35.898,23.28,35.898,23.28,35.898,23.28]],
+    [[36.308,23.013,36.308,23.013,36.308,23.013,36.308,23.013]],
+    [[36.383,25.735,36.383,25.735,36.383,25.735,36.383,25.735]],
+    [[36.433,28.24,36.433,28.24,36.433,28.24,36.433,28.24]],
+    [[36.479,25.382,36.479,25.382,36.479,25.382,36.479,25.382]],
+    [[36.438,27.398,36.438,27.398,36.438,27.398,36.438,27.398]],
+    [[36.638,26.361,36.638,26.361,36.638,26.361,36.638,26.361]],
+    [[36.59,27.87,36.59,27.87,36.59,27.87,36.59,27.87]],
+    [[36.665,24.867,36.665,24.867,36.665,24.867,36.665,24.867]],
+    [[36.72,25.144,36.72,25.144,36.72,25.144,36.72,25.144]],
+    [[36.754,21.764,36.754,21.764,36.754,21.764,36.754,21.764]],
+    [[36.747,24.475,36.747,24.475,36.747,24.475,36.747,24.475]],
+    [[36.79,24.644,36.79,24.644,36.79,24.644,36.79,24.644]],
+    [[36.72,25.274,36.72,25.274,36.72,25.274,36.72,25.274]],
+    [[36.741,21.696,36.741,21.696,36.741,21.696,36.741,21.696]],
+    [[36.835,24.608,36.835,24.608,36.835,24.608,36.835,24.608]],
+    [[36.832,25.422,36.832,25.422,36.832,25.422,36.832,25.422]],
+    [[36.908,27.279,36.908,27.279,36.908,27.279,36.908,27.279]],
+    [[36.884,25.609,36.884,25.609,36.884,25.609,36.884,25.609]],
+    [[36.938,26.005,36.938,26.005,36.938,26.005,36.938,26.005]],
+    [[36.953,25.08,36.953,25.08,36.953,25.08,36.953,25.08]],
+    [[37.034,24.705,37.034,24.705,37.034,24.705,37.034,24.705]],
+    [[36.947,26.912,36.947,26.912,36.947,26.912,36.947,26.912]],
+    [[37.104,25.807,37.104,25.807,37.104,25.807,37.104,25.807]],
+    [[37.05,25.281,37.05,25.281,37.05,25.281,37.05,25.281]],
+    [[37.197,25.526,37.197,25.526,37.197,25.526,37.197,25.526]],
+    [[37.178,24.442,37.178,24.442,37.178,24.442,37.178,24.442]],
+    [[37.288,23.128,37.288,23.128,37.288,23.128,37.288,23.128]],
+    [[37.37,23.586,37.37,23.586,37.37,23.586,37.37,23.586]],
+    [[37.413,24.367,37.413,24.367,37.413,24.367,37.413,24.367]],
+    [[37.418,25.396,37.418,25.396,37.418,25.396,37.418,25.396]],
+    [[37.436,24.943,37.436,24.943,37.436,24.943,37.436,24.943]],
+    [[37.556,23.478,37.556,23.478,37.556,23.478,37.556,23.478]],
+    [[37.583,25.09,37.583,25.09,37.583,25.09,37.583,25.09]],
+    [[37.686,24.374,37.686,24.374,37.686,24.374,37.686,24.374]],
+    [[37.686,26.361,37.686,26.361,37.686,26.361,37.686,26.361]],
+    [[37.774,23.546,37.774,23.546,37.774,23.546,37.774,23.546]],
+    [[37.727,27.049,37.727,27.049,37.727,27.049,37.727,27.049]],
+    [[37.793,20.9,37.793,20.9,37.793,20.9,37.793,20.9]],
+    [[37.769,24.993,37.769,24.993,37.769,24.993,37.769,24.993]],
+    [[37.899,23.409,37.899,23.409,37.899,23.409,37.899,23.409]],
+    [[38.063,20.734,38.063,20.734,38.063,20.734,38.063,20.734]],
+    [[38.392,20.716,38.392,20.716,38.392,20.716,38.392,20.716]],
+    [[38.605,20.94,38.605,20.94,38.605,20.94,38.605,20.94]],
+    [[38.542,26.163,38.542,26.163,38.542,26.163,38.542,26.163]],
+    [[38.612,25.587,38.612,25.587,38.612,25.587,38.612,25.587]],
+    [[38.618,20.587,38.618,20.587,38.618,20.587,38.618,20.587]],
+    [[38.809,24.676,38.809,24.676,38.809,24.676,38.809,24.676]],
+    [[38.159,24.586,38.851,23.143,38.652,24.154,38.159,24.586]],
+    [[39.147,23.438,39.147,23.438,39.147,23.438,39.147,23.438]],
+    [[39.118,23.668,39.118,23.668,39.118,23.668,39.118,23.668]],
+    [[39.241,20.14,39.241,20.14,39.241,20.14,39.241,20.14]],
+    [[39.221,23.935,39.221,23.935,39.221,23.935,39.221,23.935]],
+    [[39.049,26.613,39.179,25.836,39.383,26.343,39.049,26.613]],
+    [[39.564,25.011,39.564,25.011,39.564,25.011,39.564,25.011]],
+    [[39.434,20.094,39.434,20.094,39.434,20.094,39.434,20.094]],
+    [[40.037,25.45,40.037,25.45,40.037,25.45,40.037,25.45]],
+    [[40.447,25.692,40.447,25.692,40.447,25.692,40.447,25.692]],
+    [[40.736,24.788,40.736,24.788,40.736,24.788,40.736,24.788]],
+    [[36.844,23.884,36.844,23.884,36.844,23.884,36.844,23.884]],
+    [[36.921,23.46,36.921,23.46,36.921,23.46,36.921,23.46]],
+    [[36.244,27.567,36.244,27.567,36.244,27.567,36.244,27.567]],
+    [[36.616,27.186,36.616,27.186,36.616,27.186,36.616,27.186]],
+    [[37.134,26.872,37.134,26.872,37.134,26.872,37.134,26.872]],
+    [[37.355,26.599,37.355,26.599,37.355,26.599,37.355,26.599]],
+    [[37.614,24.738,37.614,24.738,37.614,24.738,37.614,24.738]],
+    [[38.652,20.947,38.652,20.947,38.652,20.947,38.652,20.947]],
+    [[38.666,20.799,38.666,20.799,38.666,20.799,38.666,20.799]],
+    [[39.353,24.082,39.353,24.082,39.353,24.082,39.353,24.082]],
+  ],
+  US: [
+    [[44.999,-74.713,44.998,-74.695,44.999,-74.296,45.001,-74.199,45.001,-73.896,45.003,-73.799,45.005,-73.299,45.006,-73.201,45.006,-72.899,45.01,-72.503,45.01,-72.201,45.013,-71.805,45.013,-71.506,45.053,-71.506,45.111,-71.455,45.151,-71.441,45.205,-71.405,45.227,-71.448,45.241,-71.394,45.278,-71.351,45.295,-71.311,45.254,-71.211,45.246,-71.16,45.253,-71.142,45.302,-71.095,45.307,-71.063,45.344,-71.016,45.344,-70.969,45.332,-70.951,45.246,-70.908,45.246,-70.876,45.283,-70.869,45.31,-70.836,45.393,-70.833,45.423,-70.815,45.43,-70.771,45.388,-70.696,45.396,-70.653,45.427,-70.649,45.471,-70.725,45.508,-70.732,45.572,-70.689,45.663,-70.573,45.682,-70.516,45.704,-70.473,45.705,-70.44,45.732,-70.408,45.771,-70.404,45.793,-70.419,45.81,-70.411,45.867,-70.314,45.891,-70.282,45.948,-70.257,45.982,-70.318,46.035,-70.307,46.055,-70.293,46.08,-70.314,46.121,-70.249,46.163,-70.249,46.192,-70.285,46.212,-70.282,46.301,-70.224,46.305,-70.203,46.359,-70.188,46.372,-70.152,46.42,-70.073,46.445,-70.062,46.61,-70.033,46.705,-70.008,46.99,-69.72,47.171,-69.54,47.26,-69.446,47.453,-69.252,47.46,-69.223,47.433,-69.068,47.419,-69.054,47.33,-69.065,47.291,-69.065,47.249,-69.04,47.19,-68.906,47.191,-68.888,47.237,-68.762,47.245,-68.719,47.245,-68.644,47.282,-68.586,47.299,-68.539,47.306,-68.467,47.291,-68.435,47.301,-68.384,47.328,-68.381,47.358,-68.348,47.369,-68.298,47.36,-68.248,47.333,-68.183,47.306,-68.158,47.286,-68.1,47.245,-68.039,47.223,-67.992,47.186,-67.952,47.164,-67.942,47.139,-67.898,47.107,-67.87,47.081,-67.812,47.036,-67.805,46.901,-67.801,46.767,-67.801,46.497,-67.794,46.364,-67.794,45.95,-67.783,45.928,-67.758,45.876,-67.798,45.829,-67.772,45.766,-67.812,45.712,-67.808,45.68,-67.762,45.69,-67.736,45.638,-67.661,45.611,-67.553,45.611,-67.448,45.597,-67.43,45.533,-67.427,45.493,-67.492,45.455,-67.481,45.388,-67.43,45.351,-67.434,45.302,-67.47,45.266,-67.47,45.236,-67.427,45.194,-67.391,45.167,-67.355,45.153,-67.319,45.17,-67.283,45.195,-67.276,45.205,-67.254,45.178,-67.175,44.815,-66.977,44.329,-68.06,44.422,-68.986,44.052,-69.076,43.85,-69.95,42.914,-70.804,42.321,-71.049,41.816,-70.534,41.681,-69.979,41.366,-71.499,41.246,-72.892,41.008,-73.633,40.498,-74.281,40.395,-73.972,39.699,-74.166,38.963,-74.836,39.478,-75.531,38.426,-75.045,37.357,-75.887,37.96,-75.631,38.473,-76.319,37.904,-76.247,36.908,-76.477,36.911,-75.988,35.576,-75.783,34.99,-76.765,34.976,-76.326,34.377,-77.669,33.892,-78.033,33.779,-78.763,33.188,-79.199,32.058,-80.895,31.545,-81.334,30.842,-81.517,29.586,-81.179,28.6,-80.599,28.374,-80.74,26.974,-80.074,25.902,-80.142,25.243,-80.452,25.122,-81.085,25.783,-81.323,25.981,-81.712,26.84,-82.054,27.886,-82.835,28.874,-82.63,30.106,-84.023,29.73,-84.887,30.483,-86.14,30.28,-87.763,30.408,-88.858,30.155,-89.88,29.23,-89.495,29.134,-90.885,29.753,-91.684,29.534,-92.278,29.774,-93.2,29.377,-94.888,28.764,-95.601,28.075,-97.217,26.825,-97.556,25.966,-97.138,25.961,-97.268,25.944,-97.268,25.922,-97.311,25.934,-97.329,25.913,-97.354,25.853,-97.347,25.846,-97.376,25.866,-97.397,25.854,-97.426,25.892,-97.448,25.895,-97.487,25.913,-97.52,25.954,-97.566,25.966,-97.595,26.01,-97.624,26.035,-97.678,26.04,-97.768,26.064,-97.8,26.064,-97.88,26.057,-97.941,26.064,-98.013,26.042,-98.067,26.071,-98.085,26.076,-98.103,26.064,-98.15,26.076,-98.222,26.111,-98.301,26.16,-98.34,26.163,-98.376,26.194,-98.369,26.226,-98.456,26.207,-98.474,26.231,-98.492,26.248,-98.553,26.263,-98.582,26.241,-98.639,26.271,-98.704,26.298,-98.7,26.304,-98.74,26.32,-98.736,26.373,-98.801,26.366,-98.826,26.368,-98.895,26.393,-98.931,26.395,-99.017,26.407,-99.028,26.408,-99.086,26.423,-99.107,26.471,-99.089,26.526,-99.114,26.54,-99.165,26.629,-99.183,26.736,-99.222,26.827,-99.248,26.925,-99.338,26.974,-99.392,27.004,-99.392,27.03,-99.438,27.057,-99.46,27.099,-99.438,27.124,-99.453,27.207,-99.431,27.261,-99.453,27.298,-99.485,27.312,-99.521,27.339,-99.496,27.415,-99.474,27.491,-99.482,27.501,-99.51,27.573,-99.507,27.605,-99.536,27.622,-99.579,27.643,-99.59,27.632,-99.644,27.659,-99.665,27.659,-99.701,27.692,-99.73,27.722,-99.741,27.73,-99.766,27.773,-99.809,27.805,-99.863,27.845,-99.863,27.876,-99.892,27.903,-99.878,27.947,-99.932,27.975,-99.928,27.992,-99.978,28.051,-100.014,28.068,-100.011,28.095,-100.047,28.137,-100.058,28.154,-100.076,28.207,-100.198,28.244,-100.205,28.261,-100.259,28.296,-100.284,28.332,-100.277,28.387,-100.324,28.458,-100.335,28.478,-100.356,28.497,-100.353,28.51,-100.324,28.538,-100.385,28.568,-100.4,28.593,-100.396,28.627,-100.446,28.644,-100.446,28.708,-100.493,28.804,-100.518,28.84,-100.544,28.85,-100.569,28.87,-100.565,28.884,-100.59,28.917,-100.619,28.963,-100.637,29.005,-100.634,29.044,-100.652,29.117,-100.67,29.135,-100.709,29.174,-100.763,29.208,-100.763,29.257,-100.796,29.291,-100.864,29.336,-100.914,29.372,-100.997,29.4,-101.022,29.459,-101.037,29.488,-101.134,29.529,-101.192,29.532,-101.213,29.554,-101.228,29.584,-101.217,29.623,-101.235,29.62,-101.26,29.595,-101.3,29.613,-101.31,29.65,-101.3,29.654,-101.336,29.677,-101.364,29.753,-101.408,29.779,-101.404,29.77,-101.436,29.792,-101.472,29.765,-101.523,29.772,-101.544,29.797,-101.53,29.821,-101.548,29.797,-101.555,29.782,-101.58,29.775,-101.631,29.796,-101.793,29.812,-101.807,29.806,-101.858,29.812,-101.886,29.797,-101.93,29.817,-101.973,29.806,-101.987,29.811,-102.016,29.802,-102.11,29.846,-102.203,29.855,-102.254,29.89,-102.3,29.893,-102.322,29.87,-102.34,29.848,-102.376,29.811,-102.38,29.777,-102.405,29.785,-102.516,29.757,-102.552,29.772,-102.567,29.747,-102.621,29.745,-102.675,29.736,-102.693,29.709,-102.696,29.603,-102.761,29.593,-102.779,29.557,-102.779,29.544,-102.797,29.471,-102.826,29.453,-102.84,29.416,-102.833,29.39,-102.844,29.367,-102.837,29.343,-102.884,29.275,-102.898,29.255,-102.891,29.23,-102.858,29.22,-102.898,29.183,-102.948,29.193,-102.97,29.177,-102.988,29.11,-103.031,29.085,-103.082,29.058,-103.103,28.997,-103.121,28.985,-103.146,29.004,-103.24,29.002,-103.301,29.031,-103.308,29.024,-103.33,29.041,-103.341,29.024,-103.373,29.058,-103.424,29.081,-103.478,29.156,-103.557,29.154,-103.586,29.174,-103.672,29.235,-103.776,29.257,-103.769,29.275,-103.784,29.292,-103.928,29.321,-104.018,29.34,-104.057,29.385,-104.104,29.4,-104.14,29.449,-104.194,29.485,-104.212,29.527,-104.266,29.537,-104.349,29.583,-104.432,29.625,-104.468,29.667,-104.532,29.703,-104.536,29.745,-104.561,29.787,-104.572,29.833,-104.619,29.888,-104.637,29.937,-104.676,29.976,-104.68,30.032,-104.698,30.076,-104.698,30.111,-104.684,30.192,-104.68,30.245,-104.716,30.265,-104.748,30.336,-104.788,30.351,-104.813,30.38,-104.817,30.417,-104.856,30.439,-104.853,30.473,-104.867,30.491,-104.86,30.511,-104.878,30.552,-104.885,30.614,-104.943,30.621,-104.982,30.662,-104.997,30.69,-105.029,30.709,-105.087,30.758,-105.134,30.765,-105.162,30.782,-105.166,30.81,-105.231,30.799,-105.249,30.819,-105.278,30.851,-105.364,30.903,-105.414,30.957,-105.497,31.016,-105.566,31.072,-105.591,31.104,-105.645,31.128,-105.666,31.18,-105.767,31.211,-105.785,31.288,-105.861,31.327,-105.929,31.352,-105.94,31.396,-106.005,31.405,-106.048,31.428,-106.098,31.438,-106.142,31.477,-106.21,31.52,-106.232,31.58,-106.286,31.648,-106.311,31.717,-106.358,31.746,-106.39,31.759,-106.43,31.754,-106.473,31.775,-106.516,31.775,-107.153,31.776,-107.178,31.776,-107.906,31.778,-107.931,31.778,-108.215,31.327,-108.215,31.327,-111.005,31.334,-111.067,31.408,-111.301,31.476,-111.506,31.601,-111.916,31.727,-112.323,32.107,-113.554,32.234,-113.961,32.487,-114.782,32.501,-114.821,32.511,-114.811,32.575,-114.793,32.595,-114.803,32.627,-114.782,32.669,-114.739,32.713,-114.724,32.681,-115.131,32.666,-115.354,32.642,-115.646,32.627,-115.869,32.604,-116.161,32.572,-116.603,32.565,-116.675,32.531,-117.125,33.335,-117.511,34.039,-118.544,34.421,-119.617,34.451,-120.473,35.14,-120.646,36.305,-121.899,36.806,-121.791,37.234,-122.417,37.816,-122.529,38.919,-123.728,39.834,-123.854,40.444,-124.408,41.437,-124.063,42.845,-124.549,43.762,-124.174,45.56,-123.897,46.747,-123.901,46.886,-124.131,48.37,-124.574,48.177,-124.052,48.125,-122.857,47.39,-122.324,47.987,-122.212,48.993,-122.752,48.993,-95.176,49.012,-95.158,49.223,-95.162,49.369,-95.162,49.354,-95.104,49.356,-94.982,49.346,-94.928,49.319,-94.856,49.294,-94.827,49.211,-94.805,49.167,-94.812,49.126,-94.791,48.915,-94.712,48.807,-94.712,48.778,-94.69,48.726,-94.593,48.704,-94.521,48.701,-94.481,48.714,-94.312,48.709,-94.283,48.684,-94.254,48.657,-94.251,48.652,-94.233,48.637,-93.876,48.616,-93.837,48.544,-93.808,48.52,-93.779,48.517,-93.758,48.539,-93.567,48.542,-93.491,48.557,-93.459,48.598,-93.452,48.615,-93.387,48.63,-93.257,48.618,-92.98,48.613,-92.955,48.579,-92.883,48.549,-92.724,48.537,-92.649,48.503,-92.627,48.483,-92.71,48.459,-92.717,48.446,-92.703,48.437,-92.656,48.446,-92.526,48.432,-92.49,48.393,-92.469,48.353,-92.469,48.312,-92.451,48.282,-92.418,48.233,-92.386,48.223,-92.354,48.24,-92.303,48.27,-92.292,48.311,-92.303,48.339,-92.26,48.35,-92.156,48.346,-92.069,48.334,-92.044,48.287,-92.022,48.248,-91.994,48.228,-91.958,48.196,-91.853,48.187,-91.767,48.169,-91.727,48.137,-91.695,48.112,-91.716,48.098,-91.691,48.081,-91.58,48.049,-91.576,48.054,-91.486,48.037,-91.428,48.057,-91.367,48.064,-91.277,48.083,-91.238,48.108,-91.205,48.171,-91.072,48.184,-91.029,48.226,-90.924,48.235,-90.874,48.22,-90.842,48.177,-90.842,48.147,-90.802,48.1,-90.788,48.084,-90.752,48.084,-90.701,48.105,-90.586,48.084,-90.532,48.096,-90.489,48.09,-90.471,48.117,-90.179,48.115,-90.122,48.091,-90.06,48.03,-90.01,48.01,-89.981,47.987,-89.902,48.014,-89.805,48.014,-89.747,48.003,-89.711,48.008,-89.657,47.997,-89.592,47.995,-89.463,47.98,-89.387,47.985,-89.34,48.154,-88.905,48.257,-88.642,48.304,-88.408,48.299,-88.347,48.15,-87.972,47.931,-87.411,47.708,-86.845,47.37,-86.01,47.267,-85.758,47.163,-85.51,47.112,-85.384,47.007,-85.135,46.957,-85.009,46.897,-84.88,46.862,-84.855,46.658,-84.786,46.634,-84.772,46.475,-84.588,46.453,-84.541,46.457,-84.491,46.512,-84.423,46.523,-84.354,46.502,-84.304,46.546,-84.196,46.541,-84.149,46.526,-84.109,46.433,-84.16,46.399,-84.149,46.347,-84.106,46.315,-84.12,46.278,-84.106,46.202,-84.088,46.171,-84.055,46.151,-84.019,46.116,-84.016,46.063,-83.965,46.067,-83.929,46.116,-83.857,46.117,-83.818,46.107,-83.767,46.119,-83.667,46.116,-83.613,46.09,-83.566,46.038,-83.49,46.008,-83.461,45.992,-83.465,45.817,-83.595,45.78,-83.512,45.373,-82.59,45.334,-82.547,45.293,-82.533,45.084,-82.486,44.873,-82.435,44.663,-82.389,44.452,-82.338,44.032,-82.245,43.823,-82.194,43.601,-82.144,43.549,-82.155,43.363,-82.252,43.301,-82.281,43.051,-82.41,42.983,-82.414,42.919,-82.453,42.818,-82.486,42.791,-82.471,42.72,-82.482,42.62,-82.525,42.571,-82.576,42.558,-82.644,42.519,-82.695,42.418,-82.799,42.397,-82.831,42.355,-82.943,42.332,-83.04,42.304,-83.08,42.24,-83.13,42.2,-83.137,42.115,-83.141,42.046,-83.159,42.001,-83.155,41.941,-83.134,41.876,-83.098,41.849,-83.069,41.68,-82.713,41.67,-82.666,41.671,-82.45,41.676,-82.425,41.744,-82.281,41.876,-81.993,41.943,-81.852,42.075,-81.564,42.208,-81.276,42.288,-80.761,42.323,-80.52,42.365,-80.247,42.419,-80.092,42.475,-79.941,42.529,-79.786,42.585,-79.635,42.693,-79.325,42.749,-79.174,42.803,-79.019,42.84,-78.961,42.889,-78.918,42.931,-78.907,42.948,-78.915,42.977,-78.983,43.014,-79.033,43.058,-79.023,43.096,-79.062,43.12,-79.066,43.161,-79.048,43.277,-79.059,43.343,-79.091,43.465,-79.174,43.617,-78.753,43.632,-78.688,43.632,-78.457,43.627,-77.071,43.625,-76.841,43.645,-76.798,43.919,-76.582,44.084,-76.456,44.152,-76.351,44.186,-76.319,44.218,-76.207,44.243,-76.168,44.278,-76.179,44.304,-76.15,44.348,-76.067,44.408,-75.869,44.464,-75.829,44.528,-75.754,44.582,-75.7,44.741,-75.455,44.864,-75.271,44.925,-75.131,44.94,-75.059,44.966,-75.016,44.988,-74.94,45.005,-74.904,45.01,-74.868,44.999,-74.713]],
+    [[69.651,-141.004,63.528,-141.004,63.383,-141.001,60.322,-141.001,60.296,-140.979,60.219,-140.533,60.224,-140.518,60.29,-140.464,60.293,-140.425,60.188,-140.014,60.188,-139.968,60.208,-139.917,60.31,-139.73,60.327,-139.68,60.333,-139.629,60.347,-139.1,60.322,-139.068,60.3,-139.075,60.1,-139.183,60.073,-139.183,59.996,-139.053,59.977,-139.003,59.913,-138.744,59.894,-138.697,59.805,-138.654,59.754,-138.6,59.557,-138.218,59.395,-137.912,59.239,-137.61,59.207,-137.581,58.993,-137.484,58.94,-137.509,58.915,-137.509,58.9,-137.487,58.908,-137.422,58.988,-137.282,59.074,-137.048,59.148,-136.839,59.156,-136.785,59.151,-136.674,59.155,-136.612,59.172,-136.569,59.258,-136.483,59.288,-136.465,59.462,-136.468,59.45,-136.368,59.459,-136.321,59.486,-136.274,59.528,-136.245,59.557,-136.26,59.592,-136.35,59.621,-136.26,59.666,-135.925,59.793,-135.482,59.79,-135.464,59.753,-135.403,59.699,-135.259,59.623,-135.158,59.607,-135.09,59.56,-135.018,59.493,-135.021,59.462,-135.039,59.418,-135.097,59.381,-134.992,59.335,-135.018,59.297,-134.982,59.271,-134.931,59.244,-134.744,59.241,-134.704,59.222,-134.683,59.182,-134.661,59.145,-134.611,59.123,-134.557,59.114,-134.478,59.052,-134.398,59.018,-134.384,58.974,-134.398,58.969,-134.344,58.952,-134.319,58.934,-134.334,58.903,-134.316,58.842,-134.222,58.736,-133.873,58.717,-133.83,58.694,-133.797,58.599,-133.7,58.547,-133.628,58.462,-133.462,58.403,-133.394,58.371,-133.43,58.331,-133.416,58.29,-133.376,58.211,-133.257,58.147,-133.167,58.121,-133.142,58.034,-133.095,58.008,-133.074,57.88,-132.919,57.792,-132.832,57.579,-132.631,57.498,-132.552,57.346,-132.361,57.196,-132.231,57.081,-132.343,57.029,-132.033,56.858,-132.109,56.794,-131.871,56.749,-131.889,56.728,-131.882,56.683,-131.839,56.644,-131.828,56.603,-131.832,56.588,-131.799,56.585,-131.691,56.595,-131.587,56.585,-131.536,56.559,-131.493,56.504,-131.346,56.407,-131.101,56.387,-131.018,56.372,-130.838,56.345,-130.759,56.262,-130.647,56.247,-130.604,56.232,-130.496,56.21,-130.456,56.144,-130.428,56.122,-130.402,56.092,-130.244,56.09,-130.212,56.105,-130.118,56.102,-130.093,56.046,-130.039,55.963,-130.014,55.908,-130.021,55.285,-129.988,54.825,-130.935,55.715,-130.888,55.887,-131.734,56.223,-131.878,57.335,-133.39,58.187,-134.089,58.373,-134.733,59.271,-135.363,58.351,-135.057,58.272,-136.562,58.633,-137.671,59.08,-138.286,59.547,-139.856,59.891,-139.622,59.709,-140.616,60.112,-142.797,59.997,-143.917,60.457,-145.94,61.011,-147.049,60.779,-148.374,60.436,-147.956,59.991,-148.402,59.997,-149.389,59.666,-149.745,59.167,-151.743,59.56,-151.272,59.786,-151.884,60.702,-151.412,61.034,-150.451,60.884,-149.126,61.369,-150.541,60.995,-151.567,60.477,-152.341,59.71,-153.054,59.381,-154.145,59.035,-154.188,58.844,-153.288,58.616,-153.9,58.025,-154.584,57.576,-156.02,56.983,-156.549,56.472,-158.357,55.97,-158.666,55.852,-159.847,55.494,-160.477,55.384,-161.517,54.813,-163.321,55.119,-163.335,55.381,-162.489,55.896,-161.773,55.99,-160.581,56.277,-160.369,56.843,-158.943,57.573,-157.68,58.464,-157.503,58.954,-156.978,58.614,-158.155,58.775,-158.915,58.425,-159.051,58.908,-159.588,59.07,-160.351,58.599,-161.719,59.354,-161.971,59.501,-161.715,60.17,-162.374,59.802,-163.616,60.553,-165.431,60.826,-164.667,60.58,-163.778,60.752,-163.407,60.916,-165.038,61.399,-165.92,62.13,-165.693,62.62,-164.811,63.13,-164.595,63.261,-164.145,63.03,-163.35,63.432,-162.169,63.506,-161.186,63.746,-160.79,64.251,-160.974,64.509,-161.467,64.643,-160.805,64.94,-161.183,64.413,-163.134,64.59,-164.343,64.455,-164.837,64.585,-166.19,65.115,-166.755,65.276,-166.356,65.597,-168.091,65.899,-167.346,66.556,-164.718,66.603,-163.735,66.078,-163.681,66.076,-162.18,66.242,-160.995,66.482,-161.867,66.402,-160.25,66.672,-160.88,66.534,-161.481,67.056,-161.834,67.103,-163.688,67.62,-164.153,68.3,-166.298,68.874,-166.237,68.93,-164.347,69.389,-163.127,69.791,-162.95,70.321,-161.906,70.347,-160.862,70.836,-159.519,70.836,-158.043,71.306,-156.816,71.123,-155.21,70.791,-154.13,70.929,-153.302,70.818,-152.219,70.558,-152.629,70.448,-151.981,70.51,-149.346,70.168,-147.124,70.168,-145.839,69.999,-145.303,70.117,-143.301,69.651,-141.004]],
+    [[48.993,-123.091,48.993,-123.037,48.993,-123.091,48.993,-123.091]],
+    [[40.797,-73.932,40.797,-73.932,40.797,-73.932,40.797,-73.932]],
+    [[41.58,-71.315,41.58,-71.315,41.58,-71.315,41.58,-71.315]],
+    [[43.789,-69.662,43.789,-69.662,43.789,-69.662,43.789,-69.662]],
+    [[43.956,-69.67,43.956,-69.67,43.956,-69.67,43.956,-69.67]],
+    [[44.089,-68.608,44.089,-68.608,44.089,-68.608,44.089,-68.608]],
+    [[44.148,-68.813,44.148,-68.813,44.148,-68.813,44.148,-68.813]],
+    [[44.164,-68.392,44.164,-68.392,44.164,-68.392,44.164,-68.392]],
+    [[44.236,-68.921,44.236,-68.921,44.236,-68.921,44.236,-68.921]],
+    [[44.348,-68.489,44.348,-68.489,44.348,-68.489,44.348,-68.489]],
+    [[44.381,-68.867,44.381,-68.867,44.381,-68.867,44.381,-68.867]],
+    [[44.461,-67.567,44.461,-67.567,44.461,-67.567,44.461,-67.567]],
+    [[44.62,-67.283,44.62,-67.283,44.62,-67.283,44.62,-67.283]],
+    [[44.927,-67.045,44.927,-67.045,44.927,-67.045,44.927,-67.045]],
+    [[44.89,-66.901,44.89,-66.901,44.89,-66.901,44.89,-66.901]],
+    [[44.961,-66.962,44.961,-66.962,44.961,-66.962,44.961,-66.962]],
+    [[54.819,-132.649,54.819,-132.649,54.819,-132.649,54.819,-132.649]],
+    [[54.935,-131.245,54.935,-131.245,54.935,-131.245,54.935,-131.245]],
+    [[55.055,-132.825,55.055,-132.825,55.055,-132.825,55.055,-132.825]],
+    [[54.702,-132.703,54.702,-132.703,54.702,-132.703,54.702,-132.703]],
+    [[55.006,-131.479,55.006,-131.479,55.006,-131.479,55.006,-131.479]],
+    [[55.263,-133.293,55.263,-133.293,55.263,-133.293,55.263,-133.293]],
+    [[55.415,-131.817,55.415,-131.817,55.415,-131.817,55.415,-131.817]],
+    [[55.406,-133.448,55.406,-133.448,55.406,-133.448,55.406,-133.448]],
+    [[55.482,-133.538,55.482,-133.538,55.482,-133.538,55.482,-133.538]],
+    [[55.448,-133.347,55.448,-133.347,55.448,-133.347,55.448,-133.347]],
+    [[55.489,-133.603,55.489,-133.603,55.489,-133.603,55.489,-133.603]],
+    [[55.798,-133.304,55.798,-133.304,55.798,-133.304,55.798,-133.304]],
+    [[55.908,-133.286,55.908,-133.286,55.908,-133.286,55.908,-133.286]],
+    [[55.887,-155.653,55.887,-155.653,55.887,-155.653,55.887,-155.653]],
+    [[55.914,-134.179,55.914,-134.179,55.914,-134.179,55.914,-134.179]],
+    [[55.921,-133.92,55.921,-133.92,55.921,-133.92,55.921,-133.92]],
+    [[55.585,-130.96,55.185,-131.191,55.477,-131.81,55.908,-131.58,55.585,-130.96]],
+    [[56.078,-133.606,56.078,-133.606,56.078,-133.606,56.078,-133.606]],
+    [[56.304,-132.548,56.304,-132.548,56.304,-132.548,56.304,-132.548]],
+    [[54.832,-131.976,55.585,-133.25,56.168,-133.286,55.997,-132.735,55.256,-131.983,54.832,-131.976]],
+    [[56.401,-132.613,56.401,-132.613,56.401,-132.613,56.401,-132.613]],
+    [[56.34,-132.004,56.34,-132.004,56.34,-132.004,56.34,-132.004]],
+    [[56.531,-154.055,56.531,-154.055,56.531,-154.055,56.531,-154.055]],
+    [[56.581,-157.061,56.581,-157.061,56.581,-157.061,56.581,-157.061]],
+    [[56.593,-154.425,56.593,-154.425,56.593,-154.425,56.593,-154.425]],
+    [[56.553,-154.083,56.553,-154.083,56.553,-154.083,56.553,-154.083]],
+    [[56.787,-132.958,56.787,-132.958,56.787,-132.958,56.787,-132.958]],
+    [[56.49,-133.884,56.49,-133.884,56.49,-133.884,56.49,-133.884]],
+    [[57.083,-133.912,56.934,-132.98,56.475,-133.131,56.465,-133.66,57.083,-133.912]],
+    [[57.164,-152.906,57.164,-152.906,57.164,-152.906,57.164,-152.906]],
+    [[57.172,-135.601,57.172,-135.601,57.172,-135.601,57.172,-135.601]],
+    [[56.744,-134.622,56.174,-134.658,57.358,-135.676,57.259,-134.838,56.744,-134.622]],
+    [[57.833,-153.302,57.833,-153.302,57.833,-153.302,57.833,-153.302]],
+    [[57.627,-152.161,57.519,-152.975,57.01,-153.673,56.899,-154.238,57.274,-154.782,58.008,-153.295,57.627,-152.161]],
+    [[57.964,-136.389,57.964,-136.389,57.964,-136.389,57.964,-136.389]],
+    [[58.066,-153.417,58.066,-153.417,58.066,-153.417,58.066,-153.417]],
+    [[58.258,-151.866,58.258,-151.866,58.258,-151.866,58.258,-151.866]],
+    [[57.394,-135.849,57.834,-136.418,58.275,-135.813,58.027,-134.924,57.498,-134.812,57.76,-135.77,57.394,-135.849]],
+    [[58.238,-134.596,58.238,-134.596,58.238,-134.596,58.238,-134.596]],
+    [[57.093,-134.355,58.113,-134.798,58.128,-134.204,57.309,-133.938,57.093,-134.355]],
+    [[58.289,-152.802,58.287,-152.795,58.289,-152.802,58.289,-152.802]],
+    [[58.518,-152.643,58.518,-152.643,58.518,-152.643,58.518,-152.643]],
+    [[58.738,-160.949,58.738,-160.949,58.738,-160.949,58.738,-160.949]],
+    [[58.922,-152.251,58.922,-152.251,58.922,-152.251,58.922,-152.251]],
+    [[59.396,-150.703,59.396,-150.703,59.396,-150.703,59.396,-150.703]],
+    [[59.33,-153.525,59.33,-153.525,59.33,-153.525,59.33,-153.525]],
+    [[59.457,-150.336,59.457,-150.336,59.457,-150.336,59.457,-150.336]],
+    [[59.984,-144.342,59.984,-144.342,59.984,-144.342,59.984,-144.342]],
+    [[60.046,-148.006,60.046,-148.006,60.046,-148.006,60.046,-148.006]],
+    [[60.053,-147.826,60.053,-147.826,60.053,-147.826,60.053,-147.826]],
+    [[60.073,-147.963,60.073,-147.963,60.073,-147.963,60.073,-147.963]],
+    [[60.043,-148.158,60.043,-148.158,60.043,-148.158,60.043,-148.158]],
+    [[60.286,-147.106,60.286,-147.106,60.286,-147.106,60.286,-147.106]],
+    [[60.376,-147.978,60.376,-147.978,60.376,-147.978,60.376,-147.978]],
+    [[60.382,-145.173,60.382,-145.173,60.382,-145.173,60.382,-145.173]],
+    [[60.403,-146.188,60.403,-146.188,60.403,-146.188,60.403,-146.188]],
+    [[60.409,-147.772,60.409,-147.772,60.409,-147.772,60.409,-147.772]],
+    [[60.485,-151.869,60.485,-151.869,60.485,-151.869,60.485,-151.869]],
+    [[60.629,-145.756,60.629,-145.756,60.629,-145.756,60.629,-145.756]],
+    [[60.656,-147.499,60.656,-147.499,60.656,-147.499,60.656,-147.499]],
+    [[60.718,-147.927,60.718,-147.927,60.718,-147.927,60.718,-147.927]],
+    [[60.663,-148.168,60.663,-148.168,60.663,-148.168,60.663,-148.168]],
+    [[60.799,-148.086,60.799,-148.086,60.799,-148.086,60.799,-148.086]],
+    [[63.603,-162.342,63.603,-162.342,63.603,-162.342,63.603,-162.342]],
+    [[69.61,-163.184,69.61,-163.184,69.61,-163.184,69.61,-163.184]],
+    [[69.722,-141.422,69.722,-141.422,69.722,-141.422,69.722,-141.422]],
+    [[69.805,-163.055,69.805,-163.055,69.805,-163.055,69.805,-163.055]],
+    [[70.022,-162.702,70.022,-162.702,70.022,-162.702,70.022,-162.702]],
+    [[70.173,-162.486,70.173,-162.486,70.173,-162.486,70.173,-162.486]],
+    [[70.326,-161.55,70.326,-161.55,70.326,-161.55,70.326,-161.55]],
+    [[70.47,-148.82,70.47,-148.82,70.47,-148.82,70.47,-148.82]],
+    [[24.576,-81.748,24.576,-81.748,24.576,-81.748,24.576,-81.748]],
+    [[24.598,-81.705,24.598,-81.705,24.598,-81.705,24.598,-81.705]],
+    [[24.639,-81.507,24.639,-81.507,24.639,-81.507,24.639,-81.507]],
+    [[24.686,-81.089,24.686,-81.089,24.686,-81.089,24.686,-81.089]],
+    [[24.755,-81.431,24.755,-81.431,24.755,-81.431,24.755,-81.431]],
+    [[24.769,-80.923,24.769,-80.923,24.769,-80.923,24.769,-80.923]],
+    [[24.843,-80.801,24.843,-80.801,24.843,-80.801,24.843,-80.801]],
+    [[25.248,-80.322,25.248,-80.322,25.248,-80.322,25.248,-80.322]],
+    [[25.481,-80.189,25.481,-80.189,25.481,-80.189,25.481,-80.189]],
+    [[25.672,-80.164,25.672,-80.164,25.672,-80.164,25.672,-80.164]],
+    [[26.461,-82.129,26.461,-82.129,26.461,-82.129,26.461,-82.129]],
+    [[26.702,-82.259,26.702,-82.259,26.702,-82.259,26.702,-82.259]],
+    [[26.584,-82.137,26.584,-82.137,26.584,-82.137,26.584,-82.137]],
+    [[26.803,-82.273,26.803,-82.273,26.803,-82.273,26.803,-82.273]],
+    [[26.277,-97.199,26.277,-97.199,26.277,-97.199,26.277,-97.199]],
+    [[27.396,-82.659,27.396,-82.659,27.396,-82.659,27.396,-82.659]],
+    [[27.815,-97.077,27.815,-97.077,27.815,-97.077,27.815,-97.077]],
+    [[27.719,-80.387,27.719,-80.387,27.719,-80.387,27.719,-80.387]],
+    [[28.131,-96.879,28.131,-96.879,28.131,-96.879,28.131,-96.879]],
+    [[28.181,-80.635,28.181,-80.635,28.181,-80.635,28.181,-80.635]],
+    [[28.394,-96.429,28.394,-96.429,28.394,-96.429,28.394,-96.429]],
+    [[28.407,-96.371,28.407,-96.371,28.407,-96.371,28.407,-96.371]],
+    [[28.58,-80.679,28.58,-80.679,28.58,-80.679,28.58,-80.679]],
+    [[29.061,-90.942,29.061,-90.942,29.061,-90.942,29.061,-90.942]],
+    [[29.058,-90.348,29.058,-90.348,29.058,-90.348,29.058,-90.348]],
+    [[29.27,-89.963,29.27,-89.963,29.27,-89.963,29.27,-89.963]],
+    [[29.353,-94.816,29.353,-94.816,29.353,-94.816,29.353,-94.816]],
+    [[29.503,-89.167,29.503,-89.167,29.503,-89.167,29.503,-89.167]],
+    [[29.49,-91.803,29.49,-91.803,29.49,-91.803,29.49,-91.803]],
+    [[29.64,-85.143,29.64,-85.143,29.64,-85.143,29.64,-85.143]],
+    [[29.736,-84.736,29.736,-84.736,29.736,-84.736,29.736,-84.736]],
+    [[29.792,-89.455,29.792,-89.455,29.792,-89.455,29.792,-89.455]],
+    [[29.806,-89.304,29.806,-89.304,29.806,-89.304,29.806,-89.304]],
+    [[29.806,-84.617,29.806,-84.617,29.806,-84.617,29.806,-84.617]],
+    [[29.949,-89.236,29.949,-89.236,29.949,-89.236,29.949,-89.236]],
+    [[29.981,-89.272,29.981,-89.272,29.981,-89.272,29.981,-89.272]],
+    [[30.059,-88.872,30.059,-88.872,30.059,-88.872,30.059,-88.872]],
+    [[30.145,-89.434,30.145,-89.434,30.145,-89.434,30.145,-89.434]],
+    [[30.079,-89.189,30.079,-89.189,30.079,-89.189,30.079,-89.189]],
+    [[30.218,-88.941,30.218,-88.941,30.218,-88.941,30.218,-88.941]],
+    [[30.216,-88.501,30.216,-88.501,30.216,-88.501,30.216,-88.501]],
+    [[30.258,-89.059,30.258,-89.059,30.258,-89.059,30.258,-89.059]],
+    [[30.241,-88.642,30.241,-88.642,30.241,-88.642,30.241,-88.642]],
+    [[30.25,-88.069,30.25,-88.069,30.25,-88.069,30.25,-88.069]],
+    [[30.408,-86.694,30.408,-86.694,30.408,-86.694,30.408,-86.694]],
+    [[30.805,-81.478,30.805,-81.478,30.805,-81.478,30.805,-81.478]],
+    [[32.828,-118.36,32.828,-118.36,32.828,-118.36,32.828,-118.36]],
+    [[33.06,-79.339,33.06,-79.339,33.06,-79.339,33.06,-79.339]],
+    [[33.267,-119.487,33.267,-119.487,33.267,-119.487,33.267,-119.487]],
+    [[33.423,-118.515,33.423,-118.515,33.423,-118.515,33.423,-118.515]],
+    [[33.89,-77.971,33.89,-77.971,33.89,-77.971,33.89,-77.971]],
+    [[34.037,-120.045,34.037,-120.045,34.037,-120.045,34.037,-120.045]],
+    [[34.046,-120.344,34.046,-120.344,34.046,-120.344,34.046,-120.344]],
+    [[34.025,-119.53,34.025,-119.53,34.025,-119.53,34.025,-119.53]],
+    [[34.088,-77.874,34.088,-77.874,34.088,-77.874,34.088,-77.874]],
+    [[34.5,-77.431,34.5,-77.431,34.5,-77.431,34.5,-77.431]],
+    [[34.67,-76.564,34.67,-76.564,34.67,-76.564,34.67,-76.564]],
+    [[34.697,-76.899,34.697,-76.899,34.697,-76.899,34.697,-76.899]],
+    [[34.914,-76.258,34.914,-76.258,34.914,-76.258,34.914,-76.258]],
+    [[35.072,-76.078,35.072,-76.078,35.072,-76.078,35.072,-76.078]],
+    [[35.123,-75.991,35.123,-75.991,35.123,-75.991,35.123,-75.991]],
+    [[35.695,-75.477,35.695,-75.477,35.695,-75.477,35.695,-75.477]],
+    [[35.925,-75.714,35.925,-75.714,35.925,-75.714,35.925,-75.714]],
+    [[37.462,-75.657,37.462,-75.657,37.462,-75.657,37.462,-75.657]],
+    [[37.571,-75.621,37.571,-75.621,37.571,-75.621,37.571,-75.621]],
+    [[38.027,-76.006,38.027,-76.006,38.027,-76.006,38.027,-76.006]],
+    [[38.149,-76.035,38.149,-76.035,38.149,-76.035,38.149,-76.035]],
+    [[38.206,-75.153,38.206,-75.153,38.206,-75.153,38.206,-75.153]],
+    [[39.447,-74.361,39.447,-74.361,39.447,-74.361,39.447,-74.361]],
+    [[39.714,-74.134,39.714,-74.134,39.714,-74.134,39.714,-74.134]],
+    [[40.64,-73.255,40.64,-73.255,40.64,-73.255,40.64,-73.255]],
+    [[40.633,-74.127,40.633,-74.127,40.633,-74.127,40.633,-74.127]],
+    [[40.734,-72.881,40.734,-72.881,40.734,-72.881,40.734,-72.881]],
+    [[41.065,-71.92,40.569,-73.99,40.788,-73.907,41.065,-71.92]],
+    [[41.202,-71.56,41.202,-71.56,41.202,-71.56,41.202,-71.56]],
+    [[41.252,-71.999,41.252,-71.999,41.252,-71.999,41.252,-71.999]],
+    [[41.393,-70.055,41.393,-70.055,41.393,-70.055,41.393,-70.055]],
+    [[41.394,-70.501,41.394,-70.501,41.394,-70.501,41.394,-70.501]],
+    [[41.428,-70.577,41.428,-70.577,41.428,-70.577,41.428,-70.577]],
+    [[41.558,-71.358,41.558,-71.358,41.558,-71.358,41.558,-71.358]],
+    [[41.654,-69.972,41.654,-69.972,41.654,-69.972,41.654,-69.972]],
+    [[41.582,-71.286,41.582,-71.286,41.582,-71.286,41.582,-71.286]],
+    [[46.492,-123.973,46.492,-123.973,46.492,-123.973,46.492,-123.973]],
+    [[47.426,-122.435,47.426,-122.435,47.426,-122.435,47.426,-122.435]],
+    [[47.607,-122.497,47.607,-122.497,47.607,-122.497,47.607,-122.497]],
+    [[48.096,-122.731,48.096,-122.731,48.096,-122.731,48.096,-122.731]],
+    [[47.976,-122.36,47.976,-122.36,47.976,-122.36,47.976,-122.36]],
+    [[48.49,-122.86,48.49,-122.86,48.49,-122.86,48.49,-122.86]],
+    [[48.586,-122.695,48.586,-122.695,48.586,-122.695,48.586,-122.695]],
+    [[48.5,-123.019,48.5,-123.019,48.5,-123.019,48.5,-123.019]],
+    [[48.664,-122.745,48.664,-122.745,48.664,-122.745,48.664,-122.745]],
+    [[48.669,-122.623,48.669,-122.623,48.669,-122.623,48.669,-122.623]],
+    [[53.981,-166.093,53.981,-166.093,53.981,-166.093,53.981,-166.093]],
+    [[54.792,-159.523,54.792,-159.523,54.792,-159.523,54.792,-159.523]],
+    [[55.192,-161.334,55.192,-161.334,55.192,-161.334,55.192,-161.334]],
+    [[55.254,-161.561,55.254,-161.561,55.254,-161.561,55.254,-161.561]],
+    [[55.327,-160.038,55.327,-160.038,55.327,-160.038,55.327,-160.038]],
+    [[55.811,-159.314,55.811,-159.314,55.811,-159.314,55.811,-159.314]],
+    [[56.039,-156.679,56.039,-156.679,56.039,-156.679,56.039,-156.679]],
+    [[56.19,-156.78,56.19,-156.78,56.19,-156.78,56.19,-156.78]],
+    [[56.343,-157.813,56.343,-157.813,56.343,-157.813,56.343,-157.813]],
+    [[57.502,-153.835,57.502,-153.835,57.502,-153.835,57.502,-153.835]],
+    [[57.924,-152.345,57.924,-152.345,57.924,-152.345,57.924,-152.345]],
+    [[57.985,-152.744,57.985,-152.744,57.985,-152.744,57.985,-152.744]],
+    [[58.287,-152.795,58.289,-152.802,58.287,-152.795,58.287,-152.795]],
+    [[58.679,-160.257,58.679,-160.257,58.679,-160.257,58.679,-160.257]],
+    [[58.731,-160.383,58.731,-160.383,58.731,-160.383,58.731,-160.383]],
+    [[61.173,-150.21,61.173,-150.21,61.173,-150.21,61.173,-150.21]],
+    [[63.064,-164.588,63.064,-164.588,63.064,-164.588,63.064,-164.588]],
+    [[51.276,-179.143,51.276,-179.143,51.276,-179.143,51.276,-179.143]],
+    [[51.384,-178.985,51.384,-178.985,51.384,-178.985,51.384,-178.985]],
+    [[51.83,-178.787,51.83,-178.787,51.83,-178.787,51.83,-178.787]],
+    [[51.809,-176.263,51.809,-176.263,51.809,-176.263,51.809,-176.263]],
+    [[51.83,-176.011,51.83,-176.011,51.83,-176.011,51.83,-176.011]],
+    [[51.884,-175.99,51.884,-175.99,51.884,-175.99,51.884,-175.99]],
+    [[51.796,-177.8,51.796,-177.8,51.796,-177.8,51.796,-177.8]],
+    [[51.933,-177.124,51.933,-177.124,51.933,-177.124,51.933,-177.124]],
+    [[51.973,-175.723,51.973,-175.723,51.973,-175.723,51.973,-175.723]],
+    [[51.788,-176.436,51.788,-176.436,51.788,-176.436,51.788,-176.436]],
+    [[51.987,-175.867,51.987,-175.867,51.987,-175.867,51.987,-175.867]],
+    [[51.994,-176.137,51.994,-176.137,51.994,-176.137,51.994,-176.137]],
+    [[52.108,-173.124,52.108,-173.124,52.108,-173.124,52.108,-173.124]],
+    [[52.385,-172.408,52.385,-172.408,52.385,-172.408,52.385,-172.408]],
+    [[52.24,-174.053,52.24,-174.053,52.24,-174.053,52.24,-174.053]],
+    [[52.529,-171.256,52.529,-171.256,52.529,-171.256,52.529,-171.256]],
+    [[52.688,-170.604,52.688,-170.604,52.688,-170.604,52.688,-170.604]],
+    [[52.782,-170.104,52.782,-170.104,52.782,-170.104,52.782,-170.104]],
+    [[52.872,-169.686,52.872,-169.686,52.872,-169.686,52.872,-169.686]],
+    [[52.919,-170.071,52.919,-170.071,52.919,-170.071,52.919,-170.071]],
+    [[53.035,-169.693,53.035,-169.693,53.035,-169.693,53.035,-169.693]],
+    [[53.393,-167.857,52.853,-169.041,53.461,-168.372,53.393,-167.857]],
+    [[53.837,-166.136,53.837,-166.136,53.837,-166.136,53.837,-166.136]],
+    [[53.728,-166.295,53.26,-167.508,54.005,-166.633,53.728,-166.295]],
+    [[54.091,-165.265,54.091,-165.265,54.091,-165.265,54.091,-165.265]],
+    [[54.125,-165.74,54.125,-165.74,54.125,-165.74,54.125,-165.74]],
+    [[54.173,-165.485,54.173,-165.485,54.173,-165.485,54.173,-165.485]],
+    [[54.94,-159.285,54.94,-159.285,54.94,-159.285,54.94,-159.285]],
+    [[55.023,-159.39,55.023,-159.39,55.023,-159.39,55.023,-159.39]],
+    [[55.072,-159.523,55.072,-159.523,55.072,-159.523,55.072,-159.523]],
+    [[55.139,-159.901,55.139,-159.901,55.139,-159.901,55.139,-159.901]],
+    [[55.403,-163.137,55.403,-163.137,55.403,-163.137,55.403,-163.137]],
+    [[19.568,-154.901,19.029,-155.88,19.732,-156.06,20.263,-155.869,19.568,-154.901]],
+    [[20.598,-156.56,20.598,-156.56,20.598,-156.56,20.598,-156.56]],
+    [[20.876,-156.848,20.876,-156.848,20.876,-156.848,20.876,-156.848]],
+    [[20.8,-156.002,20.8,-156.002,20.8,-156.002,20.8,-156.002]],
+    [[21.17,-156.747,21.17,-156.747,21.17,-156.747,21.17,-156.747]],
+    [[21.353,-157.709,21.353,-157.709,21.353,-157.709,21.353,-157.709]],
+    [[22.001,-160.113,22.001,-160.113,22.001,-160.113,22.001,-160.113]],
+    [[22.151,-159.3,22.151,-159.3,22.151,-159.3,22.151,-159.3]],
+    [[51.408,179.399,51.408,179.399,51.408,179.399,51.408,179.399]],
+    [[51.83,178.254,51.83,178.254,51.83,178.254,51.83,178.254]],
+    [[51.987,178.535,51.987,178.535,51.987,178.535,51.987,178.535]],
+    [[51.967,179.78,51.967,179.78,51.967,179.78,51.967,179.78]],
+    [[52.125,177.642,52.125,177.642,52.125,177.642,52.125,177.642]],
+    [[52.379,175.882,52.379,175.882,52.379,175.882,52.379,175.882]],
+    [[52.502,173.79,52.502,173.79,52.502,173.79,52.502,173.79]],
+    [[52.715,174.096,52.715,174.096,52.715,174.096,52.715,174.096]],
+    [[52.831,173.376,52.831,173.376,52.831,173.376,52.831,173.376]],
+    [[54.125,-164.973,54.125,-164.973,54.125,-164.973,54.125,-164.973]],
+    [[54.407,-162.41,54.407,-162.41,54.407,-162.41,54.407,-162.41]],
+    [[54.44,-162.587,54.44,-162.587,54.44,-162.587,54.44,-162.587]],
+    [[54.954,-162.374,54.954,-162.374,54.954,-162.374,54.954,-162.374]],
+    [[54.687,-163.073,54.405,-164.801,54.883,-164.549,55.057,-163.573,54.687,-163.073]],
+    [[55.161,-161.73,55.161,-161.73,55.161,-161.73,55.161,-161.73]],
+    [[55.359,-160.326,55.359,-160.326,55.359,-160.326,55.359,-160.326]],
+    [[55.195,-160.499,55.195,-160.499,55.195,-160.499,55.195,-160.499]],
+    [[55.386,-160.149,55.386,-160.149,55.386,-160.149,55.386,-160.149]],
+    [[55.832,-158.709,55.832,-158.709,55.832,-158.709,55.832,-158.709]],
+    [[56.61,-169.581,56.61,-169.581,56.61,-169.581,56.61,-169.581]],
+    [[57.216,-170.24,57.216,-170.24,57.216,-170.24,57.216,-170.24]],
+    [[59.952,-165.582,59.827,-166.158,60.028,-167.191,60.426,-166.118,59.952,-165.582]],
+    [[60.352,-172.296,60.352,-172.296,60.352,-172.296,60.352,-172.296]],
+    [[63.064,-169.808,63.064,-169.808,63.064,-169.808,63.064,-169.808]],
+    [[63.363,-169.441,63.363,-169.441,63.363,-169.441,63.363,-169.441]],
+    [[63.239,-170.298,63.239,-170.298,63.239,-170.298,63.239,-170.298]],
+    [[63.432,-170.975,63.432,-170.975,63.432,-170.975,63.432,-170.975]],
+    [[63.604,-171.09,63.604,-171.09,63.604,-171.09,63.604,-171.09]],
+    [[63.604,-171.09,63.609,-171.158,63.604,-171.09,63.604,-171.09]],
+    [[63.609,-171.158,63.699,-170.309,63.353,-169.52,63.312,-168.714,62.966,-169.754,63.461,-170.856,63.321,-171.439,63.797,-171.727,63.609,-171.158]],
+    [[44.096,-68.849,44.096,-68.849,44.096,-68.849,44.096,-68.849]],
+    [[44.26,-68.644,44.26,-68.644,44.26,-68.644,44.26,-68.644]],
+    [[44.425,-68.244,44.425,-68.244,44.425,-68.244,44.425,-68.244]],
+    [[23.038,-161.949,23.038,-161.949,23.038,-161.949,23.038,-161.949]],
+    [[23.58,-164.703,23.58,-164.703,23.58,-164.703,23.58,-164.703]],
+    [[25.002,-167.997,25.002,-167.997,25.002,-167.997,25.002,-167.997]],
+    [[25.773,-171.724,25.773,-171.724,25.773,-171.724,25.773,-171.724]],
+    [[26.072,-173.966,26.072,-173.966,26.072,-173.966,26.072,-173.966]],
+    [[28.402,-178.29,28.402,-178.29,28.402,-178.29,28.402,-178.29]],
+    [[47.183,-122.705,47.183,-122.705,47.183,-122.705,47.183,-122.705]],
+    [[47.269,-122.867,47.269,-122.867,47.269,-122.867,47.269,-122.867]],
+    [[24.556,-82.119,24.556,-82.119,24.556,-82.119,24.556,-82.119]],
+    [[24.585,-82.119,24.585,-82.119,24.585,-82.119,24.585,-82.119]],
+    [[24.655,-81.424,24.655,-81.424,24.655,-81.424,24.655,-81.424]],
+    [[24.671,-81.265,24.671,-81.265,24.671,-81.265,24.671,-81.265]],
+    [[24.681,-81.449,24.681,-81.449,24.681,-81.449,24.681,-81.449]],
+    [[24.682,-81.481,24.682,-81.481,24.682,-81.481,24.682,-81.481]],
+    [[24.703,-81.33,24.703,-81.33,24.703,-81.33,24.703,-81.33]],
+    [[24.882,-80.7,24.882,-80.7,24.882,-80.7,24.882,-80.7]],
+    [[24.936,-80.625,24.936,-80.625,24.936,-80.625,24.936,-80.625]],
+    [[25.309,-81.046,25.309,-81.046,25.309,-81.046,25.309,-81.046]],
+    [[25.339,-81.089,25.339,-81.089,25.339,-81.089,25.339,-81.089]],
+    [[25.821,-81.381,25.821,-81.381,25.821,-81.381,25.821,-81.381]],
+    [[25.826,-81.453,25.826,-81.453,25.826,-81.453,25.826,-81.453]],
+    [[25.902,-81.676,25.902,-81.676,25.902,-81.676,25.902,-81.676]],
+    [[25.89,-81.543,25.89,-81.543,25.89,-81.543,25.89,-81.543]],
+    [[28.735,-82.666,28.735,-82.666,28.735,-82.666,28.735,-82.666]],
+    [[28.764,-82.695,28.764,-82.695,28.764,-82.695,28.764,-82.695]],
+    [[29.068,-90.651,29.068,-90.651,29.068,-90.651,29.068,-90.651]],
+    [[29.056,-90.417,29.056,-90.417,29.056,-90.417,29.056,-90.417]],
+    [[29.145,-83.037,29.145,-83.037,29.145,-83.037,29.145,-83.037]],
+    [[29.235,-90.449,29.235,-90.449,29.235,-90.449,29.235,-90.449]],
+    [[29.289,-89.927,29.289,-89.927,29.289,-89.927,29.289,-89.927]],
+    [[29.456,-89.995,29.456,-89.995,29.456,-89.995,29.456,-89.995]],
+    [[29.562,-89.056,29.562,-89.056,29.562,-89.056,29.562,-89.056]],
+    [[29.633,-88.98,29.633,-88.98,29.633,-88.98,29.633,-88.98]],
+    [[29.682,-88.926,29.682,-88.926,29.682,-88.926,29.682,-88.926]],
+    [[31.504,-81.251,31.504,-81.251,31.504,-81.251,31.504,-81.251]],
+    [[31.67,-81.161,31.67,-81.161,31.67,-81.161,31.67,-81.161]],
+    [[33.764,-118.234,33.764,-118.234,33.764,-118.234,33.764,-118.234]],
+    [[37.129,-75.905,37.129,-75.905,37.129,-75.905,37.129,-75.905]],
+    [[41.09,-72.341,41.09,-72.341,41.09,-72.341,41.09,-72.341]],
+    [[41.121,-72.132,41.121,-72.132,41.121,-72.132,41.121,-72.132]],
+    [[41.261,-70.829,41.261,-70.829,41.261,-70.829,41.261,-70.829]],
+    [[41.438,-70.872,41.438,-70.872,41.438,-70.872,41.438,-70.872]],
+    [[41.511,-70.725,41.511,-70.725,41.511,-70.725,41.511,-70.725]],
+    [[46.205,-123.418,46.205,-123.418,46.205,-123.418,46.205,-123.418]],
+    [[46.256,-123.479,46.256,-123.479,46.256,-123.479,46.256,-123.479]],
+    [[54.813,-133.52,54.813,-133.52,54.813,-133.52,54.813,-133.52]],
+    [[55.104,-131.191,55.104,-131.191,55.104,-131.191,55.104,-131.191]],
+    [[55.431,-133.308,55.431,-133.308,55.431,-133.308,55.431,-133.308]],
+    [[57.397,-152.287,57.397,-152.287,57.397,-152.287,57.397,-152.287]],
+    [[58.265,-136.137,58.265,-136.137,58.265,-136.137,58.265,-136.137]],
+    [[58.346,-135.72,58.346,-135.72,58.346,-135.72,58.346,-135.72]],
+    [[58.952,-152.035,58.952,-152.035,58.952,-152.035,58.952,-152.035]],
+    [[59.129,-151.689,59.129,-151.689,59.129,-151.689,59.129,-151.689]],
+    [[59.138,-151.466,59.138,-151.466,59.138,-151.466,59.138,-151.466]],
+    [[59.163,-151.859,59.163,-151.859,59.163,-151.859,59.163,-151.859]],
+    [[59.452,-146.325,59.452,-146.325,59.452,-146.325,59.452,-146.325]],
+    [[60.149,-152.564,60.149,-152.564,60.149,-152.564,60.149,-152.564]],
+    [[60.301,-147.362,60.301,-147.362,60.301,-147.362,60.301,-147.362]],
+    [[60.642,-173.063,60.642,-173.063,60.642,-173.063,60.642,-173.063]],
+    [[60.842,-146.822,60.842,-146.822,60.842,-146.822,60.842,-146.822]],
+    [[60.897,-147.096,60.897,-147.096,60.897,-147.096,60.897,-147.096]],
+    [[62.029,-165.949,62.029,-165.949,62.029,-165.949,62.029,-165.949]],
+    [[64.985,-168.037,64.985,-168.037,64.985,-168.037,64.985,-168.037]],
+    [[65.769,-168.908,65.769,-168.908,65.769,-168.908,65.769,-168.908]],
+    [[65.772,-167.778,65.772,-167.778,65.772,-167.778,65.772,-167.778]],
+    [[65.794,-167.67,65.794,-167.67,65.794,-167.67,65.794,-167.67]],
+    [[66.039,-166.86,66.039,-166.86,66.039,-166.86,66.039,-166.86]],
+    [[66.201,-166.284,66.201,-166.284,66.201,-166.284,66.201,-166.284]],
+    [[66.257,-166.089,66.257,-166.089,66.257,-166.089,66.257,-166.089]],
+    [[66.316,-165.863,66.316,-165.863,66.316,-165.863,66.316,-165.863]],
+    [[66.409,-165.488,66.409,-165.488,66.409,-165.488,66.409,-165.488]],
+    [[66.409,-165.488,66.421,-165.423,66.409,-165.488,66.409,-165.488]],
+    [[66.436,-165.344,66.421,-165.423,66.436,-165.344,66.436,-165.344]],
+    [[66.436,-165.344,66.436,-165.344,66.436,-165.344,66.436,-165.344]],
+    [[66.546,-164.765,66.546,-164.765,66.546,-164.765,66.546,-164.765]],
+  ],
+  CA: [
+    [[44.999,-74.713,45.01,-74.868,45.005,-74.904,44.988,-74.94,44.966,-75.016,44.94,-75.059,44.925,-75.131,44.864,-75.271,44.741,-75.455,44.582,-75.7,44.528,-75.754,44.464,-75.829,44.408,-75.869,44.348,-76.067,44.304,-76.15,44.278,-76.179,44.243,-76.168,44.218,-76.207,44.186,-76.319,44.152,-76.351,44.084,-76.456,43.919,-76.582,43.645,-76.798,43.625,-76.841,43.627,-77.071,43.632,-78.457,43.632,-78.688,43.617,-78.753,43.465,-79.174,43.343,-79.091,43.277,-79.059,43.161,-79.048,43.12,-79.066,43.096,-79.062,43.058,-79.023,43.014,-79.033,42.977,-78.983,42.948,-78.915,42.931,-78.907,42.889,-78.918,42.84,-78.961,42.803,-79.019,42.749,-79.174,42.693,-79.325,42.585,-79.635,42.529,-79.786,42.475,-79.941,42.419,-80.092,42.365,-80.247,42.323,-80.52,42.288,-80.761,42.208,-81.276,42.075,-81.564,41.943,-81.852,41.876,-81.993,41.744,-82.281,41.676,-82.425,41.671,-82.45,41.67,-82.666,41.68,-82.713,41.849,-83.069,41.876,-83.098,41.941,-83.134,42.001,-83.155,42.046,-83.159,42.115,-83.141,42.2,-83.137,42.24,-83.13,42.304,-83.08,42.332,-83.04,42.355,-82.943,42.397,-82.831,42.418,-82.799,42.519,-82.695,42.558,-82.644,42.571,-82.576,42.62,-82.525,42.72,-82.482,42.791,-82.471,42.818,-82.486,42.919,-82.453,42.983,-82.414,43.051,-82.41,43.301,-82.281,43.363,-82.252,43.549,-82.155,43.601,-82.144,43.823,-82.194,44.032,-82.245,44.452,-82.338,44.663,-82.389,44.873,-82.435,45.084,-82.486,45.293,-82.533,45.334,-82.547,45.373,-82.59,45.78,-83.512,45.817,-83.595,45.992,-83.465,46.008,-83.461,46.038,-83.49,46.09,-83.566,46.116,-83.613,46.119,-83.667,46.107,-83.767,46.117,-83.818,46.116,-83.857,46.067,-83.929,46.063,-83.965,46.116,-84.016,46.151,-84.019,46.171,-84.055,46.202,-84.088,46.278,-84.106,46.315,-84.12,46.347,-84.106,46.399,-84.149,46.433,-84.16,46.526,-84.109,46.541,-84.149,46.546,-84.196,46.502,-84.304,46.523,-84.354,46.512,-84.423,46.457,-84.491,46.453,-84.541,46.475,-84.588,46.634,-84.772,46.658,-84.786,46.862,-84.855,46.897,-84.88,46.957,-85.009,47.007,-85.135,47.112,-85.384,47.163,-85.51,47.267,-85.758,47.37,-86.01,47.708,-86.845,47.931,-87.411,48.15,-87.972,48.299,-88.347,48.304,-88.408,48.257,-88.642,48.154,-88.905,47.985,-89.34,47.98,-89.387,47.995,-89.463,47.997,-89.592,48.008,-89.657,48.003,-89.711,48.014,-89.747,48.014,-89.805,47.987,-89.902,48.01,-89.981,48.03,-90.01,48.091,-90.06,48.115,-90.122,48.117,-90.179,48.09,-90.471,48.096,-90.489,48.084,-90.532,48.105,-90.586,48.084,-90.701,48.084,-90.752,48.1,-90.788,48.147,-90.802,48.177,-90.842,48.22,-90.842,48.235,-90.874,48.226,-90.924,48.184,-91.029,48.171,-91.072,48.108,-91.205,48.083,-91.238,48.064,-91.277,48.057,-91.367,48.037,-91.428,48.054,-91.486,48.049,-91.576,48.081,-91.58,48.098,-91.691,48.112,-91.716,48.137,-91.695,48.169,-91.727,48.187,-91.767,48.196,-91.853,48.228,-91.958,48.248,-91.994,48.287,-92.022,48.334,-92.044,48.346,-92.069,48.35,-92.156,48.339,-92.26,48.311,-92.303,48.27,-92.292,48.24,-92.303,48.223,-92.354,48.233,-92.386,48.282,-92.418,48.312,-92.451,48.353,-92.469,48.393,-92.469,48.432,-92.49,48.446,-92.526,48.437,-92.656,48.446,-92.703,48.459,-92.717,48.483,-92.71,48.503,-92.627,48.537,-92.649,48.549,-92.724,48.579,-92.883,48.613,-92.955,48.618,-92.98,48.63,-93.257,48.615,-93.387,48.598,-93.452,48.557,-93.459,48.542,-93.491,48.539,-93.567,48.517,-93.758,48.52,-93.779,48.544,-93.808,48.616,-93.837,48.637,-93.876,48.652,-94.233,48.657,-94.251,48.684,-94.254,48.709,-94.283,48.714,-94.312,48.701,-94.481,48.704,-94.521,48.726,-94.593,48.778,-94.69,48.807,-94.712,48.915,-94.712,49.126,-94.791,49.167,-94.812,49.211,-94.805,49.294,-94.827,49.319,-94.856,49.346,-94.928,49.356,-94.982,49.354,-95.104,49.369,-95.162,49.223,-95.162,49.012,-95.158,48.993,-95.176,48.993,-122.752,48.993,-123.037,48.993,-123.091,49.82,-124.009,49.954,-124.732,50.241,-124.603,50.543,-125.355,50.501,-126.241,50.867,-126.183,50.822,-127.022,51.234,-127.789,51.921,-127.85,52.319,-127.148,52.216,-127.861,52.892,-128.109,53.326,-128.883,54.032,-128.62,53.397,-129.337,54.349,-130.46,55.273,-129.959,55.908,-130.021,55.963,-130.014,56.046,-130.039,56.102,-130.093,56.105,-130.118,56.09,-130.212,56.092,-130.244,56.122,-130.402,56.144,-130.428,56.21,-130.456,56.232,-130.496,56.247,-130.604,56.262,-130.647,56.345,-130.759,56.372,-130.838,56.387,-131.018,56.407,-131.101,56.504,-131.346,56.559,-131.493,56.585,-131.536,56.595,-131.587,56.585,-131.691,56.588,-131.799,56.603,-131.832,56.644,-131.828,56.683,-131.839,56.728,-131.882,56.749,-131.889,56.794,-131.871,56.858,-132.109,57.029,-132.033,57.081,-132.343,57.196,-132.231,57.346,-132.361,57.498,-132.552,57.579,-132.631,57.792,-132.832,57.88,-132.919,58.008,-133.074,58.034,-133.095,58.121,-133.142,58.147,-133.167,58.211,-133.257,58.29,-133.376,58.331,-133.416,58.371,-133.43,58.403,-133.394,58.462,-133.462,58.547,-133.628,58.599,-133.7,58.694,-133.797,58.717,-133.83,58.736,-133.873,58.842,-134.222,58.903,-134.316,58.934,-134.334,58.952,-134.319,58.969,-134.344,58.974,-134.398,59.018,-134.384,59.052,-134.398,59.114,-134.478,59.123,-134.557,59.145,-134.611,59.182,-134.661,59.222,-134.683,59.241,-134.704,59.244,-134.744,59.271,-134.931,59.297,-134.982,59.335,-135.018,59.381,-134.992,59.418,-135.097,59.462,-135.039,59.493,-135.021,59.56,-135.018,59.607,-135.09,59.623,-135.158,59.699,-135.259,59.753,-135.403,59.79,-135.464,59.793,-135.482,59.666,-135.925,59.621,-136.26,59.592,-136.35,59.557,-136.26,59.528,-136.245,59.486,-136.274,59.459,-136.321,59.45,-136.368,59.462,-136.468,59.288,-136.465,59.258,-136.483,59.172,-136.569,59.155,-136.612,59.151,-136.674,59.156,-136.785,59.148,-136.839,59.074,-137.048,58.988,-137.282,58.908,-137.422,58.9,-137.487,58.915,-137.509,58.94,-137.509,58.993,-137.484,59.207,-137.581,59.239,-137.61,59.395,-137.912,59.557,-138.218,59.754,-138.6,59.805,-138.654,59.894,-138.697,59.913,-138.744,59.977,-139.003,59.996,-139.053,60.073,-139.183,60.1,-139.183,60.3,-139.075,60.322,-139.068,60.347,-139.1,60.333,-139.629,60.327,-139.68,60.31,-139.73,60.208,-139.917,60.188,-139.968,60.188,-140.014,60.293,-140.425,60.29,-140.464,60.224,-140.518,60.219,-140.533,60.296,-140.979,60.322,-141.001,63.383,-141.001,63.528,-141.004,69.651,-141.004,69.514,-139.143,69.139,-138.096,68.876,-136.663,68.906,-135.867,69.222,-135.968,69.263,-135.176,69.724,-134.319,69.551,-133.75,69.256,-134.164,69.661,-132.886,69.892,-131.086,70.166,-130.384,70.031,-129.495,69.528,-132.012,69.058,-132.872,69.344,-131.475,69.263,-130.957,69.702,-130.338,69.963,-128.311,70.593,-128.001,70.252,-127.137,69.73,-126.647,69.318,-125.423,69.695,-125.369,70.156,-124.408,69.369,-124.437,69.496,-123.177,69.838,-122.95,69.768,-121.427,69.408,-120.279,69.225,-118.666,69.025,-118.04,68.81,-115.97,68.876,-115.034,68.4,-113.907,68.283,-114.969,67.924,-115.545,67.696,-113.86,67.767,-111.038,68.01,-110.08,67.719,-109.716,67.625,-108.6,67.282,-107.992,66.86,-108.136,67.125,-107.204,67.709,-108.006,67.994,-107.751,68.104,-106.757,68.64,-105.648,68.167,-107.614,68.275,-108.816,68.621,-108.28,68.886,-105.81,68.354,-105.324,68.033,-104.486,68.072,-103.542,67.723,-102.308,67.848,-100.716,67.804,-98.355,67.596,-97.559,67.78,-97.12,67.9,-98.067,68.368,-98.718,68.469,-97.26,68.266,-97.08,68.297,-95.896,67.474,-96.461,67.29,-95.176,67.696,-95.662,68.072,-95.45,68.032,-94.863,68.564,-93.545,69.453,-94.323,69.865,-96.206,70.315,-96.562,70.625,-96.191,70.826,-96.616,71.299,-96.447,71.485,-95.464,71.949,-95.226,71.356,-92.991,70.818,-92.948,70.161,-91.511,69.764,-92.57,69.489,-91.799,69.668,-91.425,69.437,-90.352,69.256,-90.806,68.233,-90.237,68.957,-89.751,69.234,-88.941,68.808,-88.023,68.331,-87.792,68.276,-88.408,67.67,-88.141,67.118,-87.515,67.38,-86.503,67.687,-86.529,68.054,-85.902,68.727,-85.668,69.035,-84.714,69.318,-85.499,69.854,-85.359,69.86,-84.34,69.646,-82.615,69.298,-82.144,69.092,-81.273,68.513,-81.629,68.447,-82.644,67.9,-82.09,67.461,-81.237,66.997,-81.528,66.35,-83.368,66.936,-84.408,66.213,-83.685,66.287,-85.269,66.568,-85.416,66.429,-86.791,66.162,-85.855,65.33,-87.382,65.333,-87.929,65.946,-89.704,65.928,-91.072,65.728,-89.736,65.328,-89.041,65.239,-87.047,64.192,-87.983,63.947,-89.049,64.168,-89.97,63.608,-90.258,63.699,-92.102,63.364,-90.708,63.069,-90.644,62.787,-91.443,62.794,-92.454,61.787,-93.25,61.458,-93.984,59.948,-94.823,59.018,-94.809,58.78,-94.179,58.744,-93.156,57.355,-92.422,56.955,-92.706,57.265,-91.032,56.86,-88.879,56.065,-87.591,55.246,-84.613,55.327,-83.929,55.072,-82.32,54.228,-82.432,53.812,-82.126,52.968,-82.302,52.456,-81.564,52.264,-81.791,52.002,-80.977,51.357,-80.43,51.124,-79.746,52.357,-78.501,53.029,-78.983,54.18,-79.048,54.726,-79.595,55.273,-77.781,56.073,-76.657,57.272,-76.589,57.961,-77.079,58.609,-78.547,58.945,-78.558,59.403,-77.676,60.004,-77.237,60.426,-77.741,60.759,-77.608,60.793,-78.198,61.485,-77.547,62.297,-78.155,62.594,-77.471,62.157,-74.771,62.481,-73.669,62.101,-72.622,61.149,-71.373,61.08,-69.536,60.526,-69.828,58.895,-69.45,58.771,-68.356,58.116,-67.661,58.78,-66.109,59.28,-65.371,59.731,-65.548,60.366,-64.849,60.246,-64.381,59.219,-63.542,58.824,-62.927,58.429,-63.01,57.625,-61.89,57.431,-62.387,57.107,-61.364,56.806,-61.894,55.96,-61.404,55.761,-60.331,55.119,-60.515,55.16,-59.05,54.856,-58.92,54.567,-57.354,53.827,-59.474,53.498,-60.05,53.714,-59.021,53.947,-58.841,54.201,-57.466,53.741,-57.124,53.55,-55.979,53.145,-55.748,52.112,-55.684,51.424,-56.965,51.316,-58.452,50.215,-60.14,50.102,-61.696,50.29,-62.326,50.322,-65.26,50.264,-66.412,49.83,-67.132,49.329,-67.402,49.295,-68.053,48.757,-69.068,47.792,-69.918,46.739,-71.355,46.691,-71.88,46.21,-72.996,45.354,-73.961,44.999,-74.713]],
+    [[44.999,-74.713,45.415,-73.558,46.058,-73.14,46.666,-71.866,47.011,-70.534,48.03,-69.324,48.642,-68.204,49.123,-66.62,49.266,-65.566,49.098,-64.554,48.419,-64.331,48.012,-65.285,48.108,-66.516,47.671,-65.63,47.816,-64.828,47.088,-65.368,47.09,-64.824,46.224,-64.558,45.614,-62.47,45.889,-61.912,45.334,-60.997,44.441,-63.632,44.299,-64.334,43.5,-65.666,44.086,-66.21,44.579,-65.998,45.32,-64.349,45.43,-64.903,45.727,-64.482,45.214,-65.89,45.178,-67.175,45.205,-67.254,45.195,-67.276,45.17,-67.283,45.153,-67.319,45.167,-67.355,45.194,-67.391,45.236,-67.427,45.266,-67.47,45.302,-67.47,45.351,-67.434,45.388,-67.43,45.455,-67.481,45.493,-67.492,45.533,-67.427,45.597,-67.43,45.611,-67.448,45.611,-67.553,45.638,-67.661,45.69,-67.736,45.68,-67.762,45.712,-67.808,45.766,-67.812,45.829,-67.772,45.876,-67.798,45.928,-67.758,45.95,-67.783,46.364,-67.794,46.497,-67.794,46.767,-67.801,46.901,-67.801,47.036,-67.805,47.081,-67.812,47.107,-67.87,47.139,-67.898,47.164,-67.942,47.186,-67.952,47.223,-67.992,47.245,-68.039,47.286,-68.1,47.306,-68.158,47.333,-68.183,47.36,-68.248,47.369,-68.298,47.358,-68.348,47.328,-68.381,47.301,-68.384,47.291,-68.435,47.306,-68.467,47.299,-68.539,47.282,-68.586,47.245,-68.644,47.245,-68.719,47.237,-68.762,47.191,-68.888,47.19,-68.906,47.249,-69.04,47.291,-69.065,47.33,-69.065,47.419,-69.054,47.433,-69.068,47.46,-69.223,47.453,-69.252,47.26,-69.446,47.171,-69.54,46.99,-69.72,46.705,-70.008,46.61,-70.033,46.445,-70.062,46.42,-70.073,46.372,-70.152,46.359,-70.188,46.305,-70.203,46.301,-70.224,46.212,-70.282,46.192,-70.285,46.163,-70.249,46.121,-70.249,46.08,-70.314,46.055,-70.293,46.035,-70.307,45.982,-70.318,45.948,-70.257,45.891,-70.282,45.867,-70.314,45.81,-70.411,45.793,-70.419,45.771,-70.404,45.732,-70.408,45.705,-70.44,45.704,-70.473,45.682,-70.516,45.663,-70.573,45.572,-70.689,45.508,-70.732,45.471,-70.725,45.427,-70.649,45.396,-70.653,45.388,-70.696,45.43,-70.771,45.423,-70.815,45.393,-70.833,45.31,-70.836,45.283,-70.869,45.246,-70.876,45.246,-70.908,45.332,-70.951,45.344,-70.969,45.344,-71.016,45.307,-71.063,45.302,-71.095,45.253,-71.142,45.246,-71.16,45.254,-71.211,45.295,-71.311,45.278,-71.351,45.241,-71.394,45.227,-71.448,45.205,-71.405,45.151,-71.441,45.111,-71.455,45.053,-71.506,45.013,-71.506,45.013,-71.805,45.01,-72.201,45.01,-72.503,45.006,-72.899,45.006,-73.201,45.005,-73.299,45.003,-73.799,45.001,-73.896,45.001,-74.199,44.999,-74.296,44.998,-74.695,44.999,-74.713]],
+    [[47.266,-55.878,47.266,-55.878,47.266,-55.878,47.266,-55.878]],
+    [[47.642,-54.121,47.642,-54.121,47.642,-54.121,47.642,-54.121]],
+    [[47.678,-55.925,47.678,-55.925,47.678,-55.925,47.678,-55.925]],
+    [[47.618,-54.096,47.618,-54.096,47.618,-54.096,47.618,-54.096]],
+    [[48.191,-53.567,48.191,-53.567,48.191,-53.567,48.191,-53.567]],
+    [[49.466,-54.658,49.466,-54.658,49.466,-54.658,49.466,-54.658]],
+    [[49.562,-55.727,49.562,-55.727,49.562,-55.727,49.562,-55.727]],
+    [[49.609,-55.579,49.609,-55.579,49.609,-55.579,49.609,-55.579]],
+    [[49.555,-54.884,49.555,-54.884,49.555,-54.884,49.555,-54.884]],
+    [[49.575,-54.276,49.575,-54.276,49.575,-54.276,49.575,-54.276]],
+    [[50.604,-59.352,50.604,-59.352,50.604,-59.352,50.604,-59.352]],
+    [[50.805,-55.511,50.805,-55.511,50.805,-55.511,50.805,-55.511]],
+    [[50.972,-55.529,50.972,-55.529,50.972,-55.529,50.972,-55.529]],
+    [[51.254,-58.398,51.254,-58.398,51.254,-58.398,51.254,-58.398]],
+    [[47.527,-52.627,46.791,-52.94,46.656,-53.624,47.163,-53.574,46.908,-54.193,47.424,-53.808,47.872,-54.168,46.919,-55.252,46.904,-55.95,47.583,-55.133,47.458,-55.918,47.699,-56.058,47.532,-56.85,47.698,-58.07,47.561,-59.111,47.909,-59.402,48.441,-58.571,49.268,-58.229,50.687,-57.322,51.35,-56.666,51.58,-55.41,50.042,-56.728,49.57,-56.821,50.156,-56.148,49.945,-55.464,49.699,-56.069,49.265,-55.223,49.543,-54.445,49.243,-53.455,48.567,-53.905,48.591,-52.98,48.169,-53.639,47.539,-53.552,48.095,-52.904,47.527,-52.627]],
+    [[51.522,-127.918,51.522,-127.918,51.522,-127.918,51.522,-127.918]],
+    [[51.884,-55.352,51.884,-55.352,51.884,-55.352,51.884,-55.352]],
+    [[51.864,-128.138,51.864,-128.138,51.864,-128.138,51.864,-128.138]],
+    [[52.112,-130.996,52.112,-130.996,52.112,-130.996,52.112,-130.996]],
+    [[52.166,-127.947,52.166,-127.947,52.166,-127.947,52.166,-127.947]],
+    [[52.022,-128.249,52.022,-128.249,52.022,-128.249,52.022,-128.249]],
+    [[52.213,-128.228,52.213,-128.228,52.213,-128.228,52.213,-128.228]],
+    [[52.24,-128.098,52.24,-128.098,52.24,-128.098,52.24,-128.098]],
+    [[52.426,-127.241,52.426,-127.241,52.426,-127.241,52.426,-127.241]],
+    [[52.455,-128.617,52.455,-128.617,52.455,-128.617,52.455,-128.617]],
+    [[52.612,-128.563,52.612,-128.563,52.612,-128.563,52.612,-128.563]],
+    [[52.728,-131.565,52.728,-131.565,52.728,-131.565,52.728,-131.565]],
+    [[52.429,-128.311,52.429,-128.311,52.429,-128.311,52.429,-128.311]],
+    [[52.615,-128.93,52.615,-128.93,52.615,-128.93,52.615,-128.93]],
+    [[52.728,-128.311,52.728,-128.311,52.728,-128.311,52.728,-128.311]],
+    [[52.728,-128.534,52.728,-128.534,52.728,-128.534,52.728,-128.534]],
+    [[53.002,-129.556,53.002,-129.556,53.002,-129.556,53.002,-129.556]],
+    [[53.056,-129.563,53.056,-129.563,53.056,-129.563,53.056,-129.563]],
+    [[53.132,-129.653,53.132,-129.653,53.132,-129.653,53.132,-129.653]],
+    [[53.035,-129.304,53.035,-129.304,53.035,-129.304,53.035,-129.304]],
+    [[52.173,-131.112,52.132,-131.281,53.145,-132.566,53.252,-131.796,52.542,-131.662,52.173,-131.112]],
+    [[52.701,-128.804,53.302,-129.077,53.164,-128.635,52.701,-128.804]],
+    [[53.108,-129.293,53.108,-129.293,53.108,-129.293,53.108,-129.293]],
+    [[53.407,-128.912,53.407,-128.912,53.407,-128.912,53.407,-128.912]],
+    [[53.235,-129.743,53.235,-129.743,53.235,-129.743,53.235,-129.743]],
+    [[53.385,-129.167,53.385,-129.167,53.385,-129.167,53.385,-129.167]],
+    [[53.687,-130.406,53.687,-130.406,53.687,-130.406,53.687,-130.406]],
+    [[53.893,-130.251,53.361,-129.337,53.216,-129.567,53.893,-130.251]],
+    [[53.981,-130.449,53.981,-130.449,53.981,-130.449,53.981,-130.449]],
+    [[53.208,-132.58,53.897,-133.146,54.163,-132.998,54.153,-131.67,53.262,-131.983,53.208,-132.58]],
+    [[54.118,-130.23,54.118,-130.23,54.118,-130.23,54.118,-130.23]],
+    [[54.118,-130.654,54.118,-130.654,54.118,-130.654,54.118,-130.654]],
+    [[54.268,-130.352,54.271,-130.356,54.268,-130.352,54.268,-130.352]],
+    [[54.268,-130.352,54.271,-130.356,54.268,-130.352,54.268,-130.352]],
+    [[54.363,-130.759,54.363,-130.759,54.363,-130.759,54.363,-130.759]],
+    [[54.606,-130.744,54.606,-130.744,54.606,-130.744,54.606,-130.744]],
+    [[54.743,-130.593,54.743,-130.593,54.743,-130.593,54.743,-130.593]],
+    [[54.812,-130.208,54.812,-130.208,54.812,-130.208,54.812,-130.208]],
+    [[54.819,-57.872,54.819,-57.872,54.819,-57.872,54.819,-57.872]],
+    [[54.79,-130.431,54.79,-130.431,54.79,-130.431,54.79,-130.431]],
+    [[55.935,-60.749,55.935,-60.749,55.935,-60.749,55.935,-60.749]],
+    [[56.044,-61.008,56.044,-61.008,56.044,-61.008,56.044,-61.008]],
+    [[56.374,-61.415,56.374,-61.415,56.374,-61.415,56.374,-61.415]],
+    [[56.455,-61.228,56.455,-61.228,56.455,-61.228,56.455,-61.228]],
+    [[56.586,-61.217,56.586,-61.217,56.586,-61.217,56.586,-61.217]],
+    [[56.847,-61.631,56.847,-61.631,56.847,-61.631,56.847,-61.631]],
+    [[57.416,-61.613,57.416,-61.613,57.416,-61.613,57.416,-61.613]],
+    [[57.586,-61.854,57.586,-61.854,57.586,-61.854,57.586,-61.854]],
+    [[57.765,-61.901,57.765,-61.901,57.765,-61.901,57.765,-61.901]],
+    [[57.795,-61.93,57.795,-61.93,57.795,-61.93,57.795,-61.93]],
+    [[59.131,-69.101,59.131,-69.101,59.131,-69.101,59.131,-69.101]],
+    [[59.8,-64.079,59.8,-64.079,59.8,-64.079,59.8,-64.079]],
+    [[66.943,-107.877,66.943,-107.877,66.943,-107.877,66.943,-107.877]],
+    [[66.981,-108.046,66.981,-108.046,66.981,-108.046,66.981,-108.046]],
+    [[67.118,-107.416,67.118,-107.416,67.118,-107.416,67.118,-107.416]],
+    [[67.371,-108.006,67.371,-108.006,67.371,-108.006,67.371,-108.006]],
+    [[67.535,-108.287,67.535,-108.287,67.535,-108.287,67.535,-108.287]],
+    [[67.645,-108.129,67.645,-108.129,67.645,-108.129,67.645,-108.129]],
+    [[67.707,-97.433,67.707,-97.433,67.707,-97.433,67.707,-97.433]],
+    [[67.79,-109.212,67.79,-109.212,67.79,-109.212,67.79,-109.212]],
+    [[67.888,-114.137,67.888,-114.137,67.888,-114.137,67.888,-114.137]],
+    [[67.927,-113.446,67.927,-113.446,67.927,-113.446,67.927,-113.446]],
+    [[67.866,-111.088,67.866,-111.088,67.866,-111.088,67.866,-111.088]],
+    [[67.954,-108.053,67.954,-108.053,67.954,-108.053,67.954,-108.053]],
+    [[67.92,-108.91,67.92,-108.91,67.92,-108.91,67.92,-108.91]],
+    [[68.07,-98.967,68.07,-98.967,68.07,-98.967,68.07,-98.967]],
+    [[68.057,-109.356,68.057,-109.356,68.057,-109.356,68.057,-109.356]],
+    [[68.098,-110.062,68.098,-110.062,68.098,-110.062,68.098,-110.062]],
+    [[68.16,-109.857,68.16,-109.857,68.16,-109.857,68.16,-109.857]],
+    [[68.304,-111.657,68.304,-111.657,68.304,-111.657,68.304,-111.657]],
+    [[68.373,-100.09,68.373,-100.09,68.373,-100.09,68.373,-100.09]],
+    [[68.55,-110.836,68.55,-110.836,68.55,-110.836,68.55,-110.836]],
+    [[68.55,-110.645,68.55,-110.645,68.55,-110.645,68.55,-110.645]],
+    [[68.516,-104.489,68.516,-104.489,68.516,-104.489,68.516,-104.489]],
+    [[68.613,-113.968,68.613,-113.968,68.613,-113.968,68.613,-113.968]],
+    [[68.673,-114.145,68.673,-114.145,68.673,-114.145,68.673,-114.145]],
+    [[68.77,-101.696,68.77,-101.696,68.77,-101.696,68.77,-101.696]],
+    [[68.893,-114.476,68.893,-114.476,68.893,-114.476,68.893,-114.476]],
+    [[68.803,-100.205,68.803,-100.205,68.803,-100.205,68.803,-100.205]],
+    [[69.085,-100.043,69.085,-100.043,69.085,-100.043,69.085,-100.043]],
+    [[69.188,-101.53,69.188,-101.53,69.188,-101.53,69.188,-101.53]],
+    [[69.386,-135.568,69.386,-135.568,69.386,-135.568,69.386,-135.568]],
+    [[69.482,-100.983,69.482,-100.983,69.482,-100.983,69.482,-100.983]],
+    [[69.479,-96.555,69.479,-96.555,69.479,-96.555,69.479,-96.555]],
+    [[69.578,-133.93,69.578,-133.93,69.578,-133.93,69.578,-133.93]],
+    [[69.421,-95.943,69.421,-95.943,69.421,-95.943,69.421,-95.943]],
+    [[69.654,-139.114,69.654,-139.114,69.654,-139.114,69.654,-139.114]],
+    [[69.578,-135.576,69.578,-135.576,69.578,-135.576,69.578,-135.576]],
+    [[69.715,-102.128,69.715,-102.128,69.715,-102.128,69.715,-102.128]],
+    [[68.862,-95.216,68.447,-96.519,68.832,-99.183,69.041,-99.593,69.308,-98.409,69.896,-97.973,69.236,-96.069,68.891,-95.846,68.862,-95.216]],
+    [[69.901,-97.466,69.901,-97.466,69.901,-97.466,69.901,-97.466]],
+    [[70.168,-124.959,70.168,-124.959,70.168,-124.959,70.168,-124.959]],
+    [[70.313,-113.165,70.313,-113.165,70.313,-113.165,70.313,-113.165]],
+    [[70.313,-100.742,70.313,-100.742,70.313,-100.742,70.313,-100.742]],
+    [[70.325,-111.952,70.325,-111.952,70.325,-111.952,70.325,-111.952]],
+    [[70.497,-116.665,70.497,-116.665,70.497,-116.665,70.497,-116.665]],
+    [[70.551,-116.265,70.551,-116.265,70.551,-116.265,70.551,-116.265]],
+    [[70.558,-116.722,70.558,-116.722,70.558,-116.722,70.558,-116.722]],
+    [[70.581,-115.887,70.581,-115.887,70.581,-115.887,70.581,-115.887]],
+    [[70.571,-117.057,70.571,-117.057,70.571,-117.057,70.571,-117.057]],
+    [[70.661,-128.235,70.661,-128.235,70.661,-128.235,70.661,-128.235]],
+    [[70.49,-100.353,70.49,-100.353,70.49,-100.353,70.49,-100.353]],
+    [[71.963,-125.949,71.963,-125.949,71.963,-125.949,71.963,-125.949]],
+    [[72.594,-110.509,72.594,-110.509,72.594,-110.509,72.594,-110.509]],
+    [[72.621,-110.397,72.621,-110.397,72.621,-110.397,72.621,-110.397]],
+    [[72.655,-110.314,72.655,-110.314,72.655,-110.314,72.655,-110.314]],
+    [[69.808,-100.871,69.646,-101.674,69.847,-102.03,69.388,-102.837,69.484,-102.056,68.969,-101.966,68.79,-103.352,69.188,-106.412,69.489,-106.512,69.026,-107.333,68.947,-108.539,68.727,-109.029,68.548,-110.98,68.489,-113.065,68.8,-113.655,69.202,-113.583,69.3,-115.973,69.756,-117.237,70.092,-117.194,70.316,-114.184,70.2,-112.586,70.271,-111.524,70.504,-112.172,70.668,-114.184,70.607,-117.586,71.022,-118.385,71.377,-116.103,71.549,-115.822,71.373,-117.55,71.665,-118.076,71.627,-119.051,71.936,-119.055,72.228,-118.126,72.429,-118.594,72.918,-117.37,73.384,-114.584,73.14,-113.957,72.614,-113.734,73.016,-113.014,72.724,-111.221,72.292,-111.664,72.579,-110.678,72.505,-109.788,73.01,-110.703,72.996,-110.077,72.565,-108.633,71.799,-108.287,71.635,-107.726,71.902,-107.25,72.142,-107.78,73.135,-108.298,73.354,-108.089,73.307,-107.006,73.013,-105.832,71.35,-104.28,71.12,-104.648,70.75,-103.971,70.114,-101.53,69.808,-100.871]],
+    [[66.735,-72.949,67.275,-72.193,68.236,-72.996,68.413,-73.947,69.023,-75.462,68.682,-76.625,69.016,-76.639,69.286,-75.689,69.825,-77.683,70.183,-77.683,70.456,-78.745,70.428,-79.588,70.191,-78.767,69.879,-78.799,70.131,-81.755,70.001,-81.193,69.786,-82.137,70.114,-86.269,70.465,-88.692,71.093,-89.556,70.958,-88.325,71.009,-87.281,71.213,-88.066,71.329,-89.812,71.917,-90.104,72.611,-89.754,73.251,-89.052,73.717,-87.763,73.847,-86.716,73.812,-85.107,73.668,-84.952,73.302,-86.032,72.826,-86.694,72.395,-86.255,71.794,-86.129,71.275,-84.858,71.676,-84.646,71.985,-86.021,72.267,-85.477,72.118,-84.509,72.638,-85.708,73.231,-85.193,73.737,-82.831,73.715,-81.528,73.248,-81.132,72.738,-80.247,72.204,-80.97,72.05,-80.398,72.341,-79.595,72.245,-77.784,72.425,-78.533,72.756,-77.601,72.498,-75.199,72.128,-75.246,72.079,-74.242,71.779,-73.72,71.49,-74.015,71.27,-73.05,71.655,-72.586,71.456,-71.419,71.073,-71.445,71.085,-72.046,70.757,-72.337,70.938,-70.516,70.634,-70.984,70.88,-69.914,70.585,-68.363,69.729,-67.114,69.646,-68.726,69.464,-67.229,69.185,-66.667,69.21,-68.532,69.04,-67.736,68.601,-68.406,68.422,-66.894,67.817,-65.958,68.057,-65.026,67.295,-63.924,67.221,-62.977,66.89,-63.348,67.037,-62.005,66.677,-61.3,66.372,-61.462,66.409,-62.498,66.098,-62.038,65.823,-62.293,65.094,-64.558,66.573,-66.746,66.255,-67.754,65.933,-67.171,65.796,-68.204,65.646,-67.272,65.045,-66.682,64.479,-65.08,64.021,-65.195,64.047,-64.694,63.288,-64.486,63.55,-65.098,62.912,-64.626,62.726,-64.99,63.052,-66.628,63.768,-67.924,63.395,-67.672,63.741,-68.989,63.16,-68.147,63.098,-67.61,62.451,-66.358,61.887,-65.972,62.25,-68.554,62.667,-69.59,63.233,-71.761,63.565,-71.279,63.856,-72.665,64.656,-73.673,64.378,-74.681,64.617,-75.793,64.192,-76.69,64.557,-78.144,64.957,-78.144,65.2,-77.313,65.473,-77.392,65.239,-75.822,65.522,-74.188,65.46,-73.475,66.149,-74.472,66.735,-72.949]],
+    [[73.509,-115.325,72.63,-119.163,72.152,-120.153,71.492,-120.635,71.085,-123.101,71.701,-124.066,71.949,-125.791,72.885,-125.067,73.766,-123.775,74.349,-124.757,74.556,-121.582,74.279,-120.157,74.281,-118.065,74.087,-116.866,73.509,-115.325]],
+    [[48.613,-123.289,48.613,-123.289,48.613,-123.289,48.613,-123.289]],
+    [[48.773,-123.368,48.773,-123.368,48.773,-123.368,48.773,-123.368]],
+    [[49.033,-123.652,49.033,-123.652,49.033,-123.652,49.033,-123.652]],
+    [[49.16,-123.721,49.16,-123.721,49.16,-123.721,49.16,-123.721]],
+    [[49.201,-125.949,49.201,-125.949,49.201,-125.949,49.201,-125.949]],
+    [[49.315,-126.082,49.315,-126.082,49.315,-126.082,49.315,-126.082]],
+    [[49.373,-123.332,49.373,-123.332,49.373,-123.332,49.373,-123.332]],
+    [[49.5,-124.232,49.5,-124.232,49.5,-124.232,49.5,-124.232]],
+    [[49.445,-123.451,49.445,-123.451,49.445,-123.451,49.445,-123.451]],
+    [[49.532,-124.606,49.532,-124.606,49.532,-124.606,49.532,-124.606]],
+    [[49.498,-124.707,49.498,-124.707,49.498,-124.707,49.498,-124.707]],
+    [[49.679,-124.109,49.679,-124.109,49.679,-124.109,49.679,-124.109]],
+    [[49.748,-124.664,49.748,-124.664,49.748,-124.664,49.748,-124.664]],
+    [[49.788,-126.658,49.788,-126.658,49.788,-126.658,49.788,-126.658]],
+    [[50.021,-127.241,50.021,-127.241,50.021,-127.241,50.021,-127.241]],
+    [[50.145,-125.027,50.145,-125.027,50.145,-125.027,50.145,-125.027]],
+    [[50.042,-125.2,50.042,-125.2,50.042,-125.2,50.042,-125.2]],
+    [[50.192,-124.891,50.192,-124.891,50.192,-124.891,50.192,-124.891]],
+    [[50.229,-124.804,50.229,-124.804,50.229,-124.804,50.229,-124.804]],
+    [[50.302,-125.337,50.302,-125.337,50.302,-125.337,50.302,-125.337]],
+    [[50.413,-125.503,50.413,-125.503,50.413,-125.503,50.413,-125.503]],
+    [[50.46,-125.369,50.46,-125.369,50.46,-125.369,50.46,-125.369]],
+    [[50.421,-125.747,50.421,-125.747,50.421,-125.747,50.421,-125.747]],
+    [[50.584,-126.539,50.584,-126.539,50.584,-126.539,50.584,-126.539]],
+    [[50.604,-126.338,50.604,-126.338,50.604,-126.338,50.604,-126.338]],
+    [[50.629,-126.403,50.629,-126.403,50.629,-126.403,50.629,-126.403]],
+    [[50.646,-126.86,50.646,-126.86,50.646,-126.86,50.646,-126.86]],
+    [[50.673,-126.619,50.673,-126.619,50.673,-126.619,50.673,-126.619]],
+    [[50.774,-126.781,50.774,-126.781,50.774,-126.781,50.774,-126.781]],
+    [[48.496,-123.321,48.312,-123.551,48.917,-125.47,49.445,-126.053,49.425,-126.575,49.898,-126.651,49.866,-127.141,50.611,-128.321,50.871,-128.077,50.329,-125.456,49.461,-124.772,49.229,-123.955,48.496,-123.321]],
+    [[50.923,-127.846,50.923,-127.846,50.923,-127.846,50.923,-127.846]],
+    [[51.09,-127.544,51.09,-127.544,51.09,-127.544,51.09,-127.544]],
+    [[52.843,-131.68,52.843,-131.68,52.843,-131.68,52.843,-131.68]],
+    [[52.995,-132.231,52.995,-132.231,52.995,-132.231,52.995,-132.231]],
+    [[54.246,-132.98,54.246,-132.98,54.246,-132.98,54.246,-132.98]],
+    [[60.333,-64.478,60.333,-64.478,60.333,-64.478,60.333,-64.478]],
+    [[60.497,-67.88,60.497,-67.88,60.497,-67.88,60.497,-67.88]],
+    [[60.69,-64.612,60.69,-64.612,60.69,-64.612,60.69,-64.612]],
+    [[60.835,-78.245,60.835,-78.245,60.835,-78.245,60.835,-78.245]],
+    [[61.352,-64.842,61.6,-65.486,61.664,-64.716,61.352,-64.842]],
+    [[61.792,-65.702,61.792,-65.702,61.792,-65.702,61.792,-65.702]],
+    [[61.917,-93.027,61.917,-93.027,61.917,-93.027,61.917,-93.027]],
+    [[61.921,-65.242,61.921,-65.242,61.921,-65.242,61.921,-65.242]],
+    [[62.407,-92.271,62.407,-92.271,62.407,-92.271,62.407,-92.271]],
+    [[62.27,-79.282,61.573,-79.833,62.137,-80.214,62.41,-79.833,62.27,-79.282]],
+    [[62.404,-92.577,62.404,-92.577,62.404,-92.577,62.404,-92.577]],
+    [[62.527,-64.381,62.527,-64.381,62.527,-64.381,62.527,-64.381]],
+    [[62.588,-77.853,62.588,-77.853,62.588,-77.853,62.588,-77.853]],
+    [[62.588,-77.723,62.588,-77.723,62.588,-77.723,62.588,-77.723]],
+    [[62.534,-64.968,62.534,-64.968,62.534,-64.968,62.534,-64.968]],
+    [[62.65,-91.594,62.65,-91.594,62.65,-91.594,62.65,-91.594]],
+    [[62.684,-91.133,62.684,-91.133,62.684,-91.133,62.684,-91.133]],
+    [[62.67,-74.015,62.67,-74.015,62.67,-74.015,62.67,-74.015]],
+    [[62.616,-70.242,62.616,-70.242,62.616,-70.242,62.616,-70.242]],
+    [[62.986,-82.191,62.711,-81.939,62.177,-83.134,62.491,-83.908,62.932,-83.289,62.986,-82.191]],
+    [[63.479,-90.622,63.479,-90.622,63.479,-90.622,63.479,-90.622]],
+    [[63.288,-77.539,63.087,-77.939,63.39,-78.533,63.288,-77.539]],
+    [[63.521,-90.676,63.521,-90.676,63.521,-90.676,63.521,-90.676]],
+    [[63.616,-91.464,63.616,-91.464,63.616,-91.464,63.616,-91.464]],
+    [[63.336,-64.086,63.336,-64.086,63.336,-64.086,63.336,-64.086]],
+    [[63.486,-76.69,63.486,-76.69,63.486,-76.69,63.486,-76.69]],
+    [[63.706,-72.474,63.706,-72.474,63.706,-72.474,63.706,-72.474]],
+    [[63.905,-92.976,63.905,-92.976,63.905,-92.976,63.905,-92.976]],
+    [[63.795,-64.889,63.795,-64.889,63.795,-64.889,63.795,-64.889]],
+    [[63.966,-77.975,63.966,-77.975,63.966,-77.975,63.966,-77.975]],
+    [[64.192,-81.471,64.192,-81.471,64.192,-81.471,64.192,-81.471]],
+    [[64.219,-73.277,64.219,-73.277,64.219,-73.277,64.219,-73.277]],
+    [[64.504,-73.529,64.504,-73.529,64.504,-73.529,64.504,-73.529]],
+    [[64.548,-65.548,64.548,-65.548,64.548,-65.548,64.548,-65.548]],
+    [[65.749,-62.257,65.749,-62.257,65.749,-62.257,65.749,-62.257]],
+    [[65.809,-83.505,65.809,-83.505,65.809,-83.505,65.809,-83.505]],
+    [[63.768,-80.182,63.451,-80.999,63.743,-82.551,63.898,-82.356,64.015,-83.685,63.765,-83.649,63.123,-85.272,63.675,-85.618,63.586,-87.177,64.104,-86.194,64.597,-86.421,65.764,-85.938,65.924,-85.488,65.213,-84.847,65.489,-84.577,65.2,-84.07,64.513,-81.773,64.134,-81.607,64.123,-80.887,63.768,-80.182]],
+    [[66.007,-85.002,66.007,-85.002,66.007,-85.002,66.007,-85.002]],
+    [[66.09,-84.473,66.09,-84.473,66.09,-84.473,66.09,-84.473]],
+    [[66.309,-83.274,66.309,-83.274,66.309,-83.274,66.309,-83.274]],
+    [[67.187,-62.408,67.187,-62.408,67.187,-62.408,67.187,-62.408]],
+    [[67.324,-63.517,67.324,-63.517,67.324,-63.517,67.324,-63.517]],
+    [[67.523,-63.758,67.523,-63.758,67.523,-63.758,67.523,-63.758]],
+    [[67.837,-73.36,67.778,-74.404,68.064,-74.757,67.837,-73.36]],
+    [[68.27,-66.296,68.27,-66.296,68.27,-66.296,68.27,-66.296]],
+    [[68.29,-86.575,67.728,-86.597,68.067,-86.986,68.29,-86.575]],
+    [[68.173,-75.034,67.608,-75.034,67.255,-75.919,67.243,-76.981,67.871,-77.212,68.263,-76.69,68.344,-75.912,68.173,-75.034]],
+    [[68.324,-78.907,68.324,-78.907,68.324,-78.907,68.324,-78.907]],
+    [[68.307,-82.083,68.307,-82.083,68.307,-82.083,68.307,-82.083]],
+    [[68.39,-74.368,68.39,-74.368,68.39,-74.368,68.39,-74.368]],
+    [[68.506,-78.616,68.506,-78.616,68.506,-78.616,68.506,-78.616]],
+    [[68.579,-74.847,68.579,-74.847,68.579,-74.847,68.579,-74.847]],
+    [[68.42,-74.839,68.42,-74.839,68.42,-74.839,68.42,-74.839]],
+    [[68.77,-68.006,68.77,-68.006,68.77,-68.006,68.77,-68.006]],
+    [[69.119,-90.183,69.119,-90.183,69.119,-90.183,69.119,-90.183]],
+    [[69.242,-90.496,69.242,-90.496,69.242,-90.496,69.242,-90.496]],
+    [[68.879,-79.08,68.879,-79.08,68.879,-79.08,68.879,-79.08]],
+    [[69.298,-90.251,69.298,-90.251,69.298,-90.251,69.298,-90.251]],
+    [[69.411,-76.693,69.411,-76.693,69.411,-76.693,69.411,-76.693]],
+    [[69.592,-67.445,69.592,-67.445,69.592,-67.445,69.592,-67.445]],
+    [[69.534,-67.909,69.534,-67.909,69.534,-67.909,69.534,-67.909]],
+    [[69.646,-78.396,69.646,-78.396,69.646,-78.396,69.646,-78.396]],
+    [[69.632,-79.969,69.632,-79.969,69.632,-79.969,69.632,-79.969]],
+    [[69.751,-83.836,69.751,-83.836,69.751,-83.836,69.751,-83.836]],
+    [[69.86,-91.853,69.86,-91.853,69.86,-91.853,69.86,-91.853]],
+    [[69.778,-91.464,69.778,-91.464,69.778,-91.464,69.778,-91.464]],
+    [[69.989,-87.083,69.989,-87.083,69.989,-87.083,69.989,-87.083]],
+    [[71.017,-71.509,71.017,-71.509,71.017,-71.509,71.017,-71.509]],
+    [[71.517,-72.953,71.517,-72.953,71.517,-72.953,71.517,-72.953]],
+    [[71.662,-72.737,71.662,-72.737,71.662,-72.737,71.662,-72.737]],
+    [[71.848,-95.327,71.848,-95.327,71.848,-95.327,71.848,-95.327]],
+    [[72.874,-95.766,72.874,-95.766,72.874,-95.766,72.874,-95.766]],
+    [[72.738,-96.918,72.738,-96.918,72.738,-96.918,72.738,-96.918]],
+    [[73.138,-97.073,73.138,-97.073,73.138,-97.073,73.138,-97.073]],
+    [[73.59,-108.089,73.59,-108.089,73.59,-108.089,73.59,-108.089]],
+    [[73.629,-104.68,73.332,-104.572,72.853,-105.299,73.415,-106.509,73.71,-106.599,73.756,-105.166,73.629,-104.68]],
+    [[73.607,-80.902,73.751,-80.862,73.668,-78.137,73.511,-77.212,73.094,-76.243,72.817,-76.319,72.898,-78.169,72.755,-79.174,72.847,-79.948,73.234,-80.164,73.607,-80.902]],
+    [[72.468,-96.321,71.839,-96.558,71.272,-98.729,71.35,-99.237,72.187,-100.637,72.326,-101.84,72.662,-102.614,73.003,-102.556,73.094,-101.948,72.719,-101.296,72.937,-100.036,73.457,-101.584,73.601,-100.551,73.803,-101.004,73.95,-100,73.739,-99.219,73.91,-97.732,73.835,-97.16,73.395,-97.149,73.043,-98.348,72.962,-97.257,72.614,-97.07,72.468,-96.321]],
+    [[73.856,-99.248,74.122,-97.725,73.879,-98.142,73.856,-99.248]],
+    [[73.923,-90.291,72.847,-91.857,72.711,-92.386,72.771,-94.157,72.464,-93.466,72.025,-94.344,71.966,-95.144,72.523,-95.198,72.802,-95.669,73.641,-95.727,73.692,-94.841,73.992,-95.295,74.173,-93.668,73.992,-92.271,73.923,-90.291]],
+    [[74.472,-97.736,74.472,-97.736,74.472,-97.736,74.472,-97.736]],
+    [[74.59,-95.363,74.59,-95.363,74.59,-95.363,74.59,-95.363]],
+    [[75.2,-103.64,75.124,-104.907,75.433,-104.403,75.2,-103.64]],
+    [[74.945,-93.437,74.654,-93.606,74.632,-94.726,74.992,-96.616,75.5,-95.792,75.605,-94.395,75.267,-93.498,74.945,-93.437]],
+    [[75.438,-96.576,75.438,-96.576,75.438,-96.576,75.438,-96.576]],
+    [[75.931,-120.999,75.931,-120.999,75.931,-120.999,75.931,-120.999]],
+    [[75.765,-102.873,75.765,-102.873,75.765,-102.873,75.765,-102.873]],
+    [[75.978,-94.485,75.978,-94.485,75.978,-94.485,75.978,-94.485]],
+    [[75.993,-102.57,75.993,-102.57,75.993,-102.57,75.993,-102.57]],
+    [[75.897,-117.784,75.504,-118.612,75.602,-119.408,76.127,-117.658,75.897,-117.784]],
+    [[76.123,-78.897,75.855,-78.875,75.862,-79.725,76.123,-78.897]],
+    [[76.15,-81.327,76.15,-81.327,76.15,-81.327,76.15,-81.327]],
+    [[76.034,-103.812,76.213,-104.313,76.316,-102.725,76.117,-102.682,76.034,-103.812]],
+    [[76.446,-89.38,76.446,-89.38,76.446,-89.38,76.446,-89.38]],
+    [[76.426,-83.991,76.426,-83.991,76.426,-83.991,76.426,-83.991]],
+    [[76.469,-104.399,76.67,-104.025,76.451,-103.02,76.469,-104.399]],
+    [[75.52,-97.426,75.335,-98.164,75.026,-98.034,75.014,-100.331,75.438,-100.72,75.656,-99.824,75.499,-102.632,75.905,-101.832,76.459,-101.811,75.951,-99.82,76.507,-100.986,76.637,-99.64,76.486,-97.664,75.52,-97.426]],
+    [[76.581,-101.159,76.581,-101.159,76.581,-101.159,76.581,-101.159]],
+    [[76.733,-89.675,76.486,-90.064,76.716,-90.568,76.733,-89.675]],
+    [[75.674,-105.396,75.056,-106.008,74.918,-108.417,75.071,-108.824,74.859,-109.583,74.413,-112.438,74.445,-113.695,74.683,-114.44,74.985,-112.798,74.985,-111.776,75.244,-110.923,74.972,-115.66,75.245,-117.673,75.789,-116.884,75.867,-114.875,75.899,-116.708,76.456,-115.513,76.471,-114.206,76.191,-113.965,76.274,-112.993,75.841,-111.459,75.527,-111.275,75.495,-108.903,75.75,-109.101,75.897,-110.055,76.103,-109.31,76.301,-110.383,76.865,-108.777,76.041,-108.5,75.889,-107.045,75.99,-105.76,75.674,-105.396]],
+    [[76.76,-114.836,76.76,-114.836,76.76,-114.836,76.76,-114.836]],
+    [[74.992,-79.559,74.624,-80.16,74.458,-81.787,74.578,-83.494,74.507,-84.257,74.501,-88.519,74.664,-88.847,74.533,-89.949,74.778,-92.019,75.218,-92.505,75.862,-92.116,76.37,-93.128,76.24,-95.392,76.986,-96.774,77.077,-95.77,76.92,-93.7,76.628,-93.081,76.694,-91.443,76.184,-89.38,76.164,-91.245,75.796,-89.196,75.438,-88.969,75.595,-87.112,75.431,-86.395,75.623,-84.577,75.826,-83.735,75.779,-81.114,75.47,-79.649,74.992,-79.559]],
+    [[76.199,-119.318,75.829,-120.477,76.199,-120.88,75.921,-121.283,76.108,-122.979,76.409,-122.381,76.67,-121.089,77.361,-118.821,77.562,-116.405,77.309,-115.394,77.196,-116.247,76.699,-115.894,76.527,-117.075,76.26,-117.352,76.402,-118.007,76.757,-117.763,76.719,-118.497,76.088,-119.095,76.199,-119.318]],
+    [[77.459,-85.161,77.459,-85.161,77.459,-85.161,77.459,-85.161]],
+    [[77.356,-89.661,77.204,-90.093,77.408,-91.198,77.63,-90.305,77.356,-89.661]],
+    [[77.192,-104.396,77.165,-105.224,77.739,-106.077,77.721,-105.504,77.192,-104.396]],
+    [[77.645,-93.254,77.464,-93.502,77.479,-95.986,77.706,-96.234,77.812,-95.446,77.781,-93.606,77.645,-93.254]],
+    [[77.857,-77.572,77.857,-77.572,77.857,-77.572,77.857,-77.572]],
+    [[77.739,-102.448,77.89,-102.398,77.726,-100.986,77.739,-102.448]],
+    [[77.866,-113.687,77.707,-114.163,77.96,-115.117,78.077,-114.389,77.866,-113.687]],
+    [[78.074,-109.605,77.869,-110.84,77.781,-110.131,77.505,-110.235,77.326,-112.111,77.528,-113.201,77.923,-113.086,78.091,-111.279,78.074,-109.605]],
+    [[78.275,-102.902,78.275,-102.902,78.275,-102.902,78.275,-102.902]],
+    [[78.452,-88.059,78.452,-88.059,78.452,-88.059,78.452,-88.059]],
+    [[78.459,-109.259,78.308,-109.425,78.391,-111.153,78.275,-113.061,78.406,-113.216,78.766,-110.426,78.459,-109.259]],
+    [[78.781,-74.559,78.781,-74.559,78.781,-74.559,78.781,-74.559]],
+    [[77.795,-96.911,78.457,-98.373,78.818,-98.15,78.624,-96.166,78.364,-94.827,78.109,-94.888,77.795,-96.911]],
+    [[79.104,-105.605,79.3,-105.155,79.364,-103.722,79.014,-102.419,79.082,-101.649,78.584,-99.528,78.438,-99.87,77.895,-99.017,77.864,-100.608,78.199,-101.037,78.381,-102.743,78.275,-104.464,78.496,-105.044,78.506,-103.496,78.985,-104.079,79.104,-105.605]],
+    [[79.999,-100.151,80.151,-99.78,79.967,-98.708,79.676,-98.801,79.999,-100.151]],
+    [[80.652,-95.853,80.652,-95.853,80.652,-95.853,80.652,-95.853]],
+    [[80.044,-96.623,80.046,-94.845,80.276,-96.569,80.585,-96.026,80.708,-94.074,80.807,-95.5,81.098,-93.156,81.223,-94.168,81.373,-93.257,81.162,-91.828,80.566,-90.73,80.537,-89.326,80.194,-89.041,80.439,-88.469,80.412,-87.702,79.909,-86.961,79.509,-87.342,79.647,-86.309,79.296,-84.919,79.068,-86.503,78.646,-87.673,78.953,-88.217,78.464,-88.228,78.17,-88.998,78.614,-90.006,78.165,-89.455,78.212,-92.004,78.969,-94.272,79.156,-93.434,79.163,-91.882,79.45,-92.606,79.288,-95.237,80.044,-96.623]],
+    [[82.331,-61.087,82.197,-61.314,81.724,-64.374,81.763,-65.375,81.5,-66.653,81.162,-70.069,81.55,-64.547,80.76,-68.28,80.142,-70.649,79.789,-71.142,79.663,-72.233,79.776,-73.385,79.539,-73.173,79.347,-75.916,79.453,-77.403,79.267,-77.327,79.227,-74.469,79.036,-74.494,79.124,-76.132,79.056,-77.914,78.982,-75.779,78.871,-76.441,78.835,-74.775,78.589,-74.803,78.548,-76.499,78.376,-75.109,78.112,-75.581,77.905,-76.881,77.966,-78.184,77.601,-77.737,77.292,-79.134,77.287,-81.103,77.157,-79.033,76.925,-79.375,76.966,-77.914,76.664,-77.77,76.578,-78.774,76.297,-79.347,76.164,-80.668,76.42,-80.772,76.422,-84.941,76.284,-85.204,76.456,-87.4,76.393,-88.404,76.824,-88.509,76.41,-88.912,76.574,-89.682,76.856,-89.538,77.136,-88.293,77.266,-86.914,77.353,-87.681,77.802,-88.181,77.905,-87.191,77.793,-86.215,77.505,-85.783,77.383,-84.617,77.95,-85.661,78.118,-85.488,78.128,-87.486,78.411,-87.529,78.81,-86.611,78.92,-85.222,78.839,-83.746,78.916,-82.122,78.955,-84.279,79.617,-85.02,79.754,-86.449,80.309,-86.503,80.25,-83.789,79.869,-82.173,79.912,-81.651,80.318,-83.206,80.596,-78.018,80.612,-79.966,80.902,-76.589,80.828,-79.613,80.539,-82.914,80.742,-83.775,80.51,-84.397,80.605,-86.748,80.993,-86.111,80.632,-87.277,80.878,-89.387,80.981,-88.861,81.005,-86.698,81.125,-86.521,81.013,-89.826,81.174,-90.352,81.586,-88.404,81.368,-90.42,81.633,-89.585,81.772,-91.486,81.922,-89.765,81.819,-89.351,82.106,-87.997,81.991,-84.754,82.138,-86.727,82.29,-85.351,82.467,-85.762,82.298,-82.968,81.967,-80.02,82.381,-82.713,82.675,-82.068,82.558,-80.599,82.8,-81.586,82.764,-79.894,82.94,-80.157,82.867,-77.14,83.053,-76.135,83.003,-74.199,83.116,-69.688,82.991,-69.616,82.895,-66.361,82.631,-68.618,82.658,-67.441,82.91,-64.698,82.518,-62.84,82.331,-61.087]],
+    [[53.145,-79.84,53.145,-79.84,53.145,-79.84,53.145,-79.84]],
+    [[53.351,-79.951,53.351,-79.951,53.351,-79.951,53.351,-79.951]],
+    [[53.913,-79.861,53.913,-79.861,53.913,-79.861,53.913,-79.861]],
+    [[56.201,-79.977,56.201,-79.977,56.201,-79.977,56.201,-79.977]],
+    [[56.771,-79.595,56.771,-79.595,56.771,-79.595,56.771,-79.595]],
+    [[56.894,-79.905,56.894,-79.905,56.894,-79.905,56.894,-79.905]],
+    [[57.429,-79.793,57.429,-79.793,57.429,-79.793,57.429,-79.793]],
+    [[59.491,-80.47,59.491,-80.47,59.491,-80.47,59.491,-80.47]],
+    [[59.731,-80.225,59.731,-80.225,59.731,-80.225,59.731,-80.225]],
+    [[59.764,-80.11,59.764,-80.11,59.764,-80.11,59.764,-80.11]],
+    [[43.483,-65.609,43.483,-65.609,43.483,-65.609,43.483,-65.609]],
+    [[43.964,-59.795,43.964,-59.795,43.964,-59.795,43.964,-59.795]],
+    [[44.386,-66.232,44.386,-66.232,44.386,-66.232,44.386,-66.232]],
+    [[44.728,-66.862,44.728,-66.862,44.728,-66.862,44.728,-66.862]],
+    [[45.32,-73.997,45.32,-73.997,45.32,-73.997,45.32,-73.997]],
+    [[45.396,-73.889,45.396,-73.889,45.396,-73.889,45.396,-73.889]],
+    [[45.489,-73.932,45.489,-73.932,45.489,-73.932,45.489,-73.932]],
+    [[45.567,-60.914,45.567,-60.914,45.567,-60.914,45.567,-60.914]],
+    [[45.55,-73.857,45.55,-73.857,45.55,-73.857,45.55,-73.857]],
+    [[45.71,-73.5,45.71,-73.5,45.71,-73.5,45.71,-73.5]],
+    [[47.032,-70.843,47.032,-70.843,47.032,-70.843,47.032,-70.843]],
+    [[45.793,-60.079,45.567,-61.336,46.041,-61.541,47.034,-60.605,46.615,-60.349,45.854,-60.914,46.328,-60.284,45.793,-60.079]],
+    [[46.463,-62.005,45.95,-62.75,46.409,-64.126,46.779,-64.093,46.408,-63.236,46.463,-62.005]],
+    [[47.546,-61.67,47.546,-61.67,47.546,-61.67,47.546,-61.67]],
+    [[47.89,-64.504,47.89,-64.504,47.89,-64.504,47.89,-64.504]],
+    [[47.971,-64.547,47.971,-64.547,47.971,-64.547,47.971,-64.547]],
+    [[49.792,-64.32,49.783,-63.125,49.354,-61.883,49.067,-62.246,49.39,-63.586,49.792,-64.32]],
+    [[50.199,-63.884,50.199,-63.884,50.199,-63.884,50.199,-63.884]],
+    [[52.083,-79.393,52.083,-79.393,52.083,-79.393,52.083,-79.393]],
+    [[52.919,-80.758,52.699,-80.7,53.024,-82.061,53.203,-81.121,52.919,-80.758]],
+    [[53.522,-79.757,53.522,-79.757,53.522,-79.757,53.522,-79.757]],
+    [[54.913,-79.285,54.913,-79.285,54.913,-79.285,54.913,-79.285]],
+    [[55.619,-77.313,55.619,-77.313,55.619,-77.313,55.619,-77.313]],
+    [[56.017,-79.005,56.017,-79.005,56.017,-79.005,56.017,-79.005]],
+    [[56.168,-78.756,56.168,-78.756,56.168,-78.756,56.168,-78.756]],
+    [[56.044,-79.545,56.044,-79.545,56.044,-79.545,56.044,-79.545]],
+    [[56.867,-79.905,56.867,-79.905,56.867,-79.905,56.867,-79.905]],
+    [[58.332,-77.921,58.332,-77.921,58.332,-77.921,58.332,-77.921]],
+    [[58.628,-78.641,58.628,-78.641,58.628,-78.641,58.628,-78.641]],
+    [[48.812,-123.289,48.812,-123.289,48.812,-123.289,48.812,-123.289]],
+    [[48.768,-123.091,48.768,-123.091,48.768,-123.091,48.768,-123.091]],
+    [[45.827,-62.545,45.827,-62.545,45.827,-62.545,45.827,-62.545]],
+    [[45.994,-59.708,45.994,-59.708,45.994,-59.708,45.994,-59.708]],
+    [[47.279,-54.794,47.279,-54.794,47.279,-54.794,47.279,-54.794]],
+    [[47.394,-54.197,47.394,-54.197,47.394,-54.197,47.394,-54.197]],
+    [[47.428,-70.368,47.428,-70.368,47.428,-70.368,47.428,-70.368]],
+    [[47.656,-52.955,47.656,-52.955,47.656,-52.955,47.656,-52.955]],
+    [[48.407,-68.863,48.407,-68.863,48.407,-68.863,48.407,-68.863]],
+    [[49.238,-125.863,49.238,-125.863,49.238,-125.863,49.238,-125.863]],
+    [[50.205,-55.853,50.205,-55.853,50.205,-55.853,50.205,-55.853]],
+    [[50.232,-55.763,50.232,-55.763,50.232,-55.763,50.232,-55.763]],
+    [[50.805,-128.638,50.805,-128.638,50.805,-128.638,50.805,-128.638]],
+    [[50.833,-58.862,50.833,-58.862,50.833,-58.862,50.833,-58.862]],
+    [[50.837,-128.703,50.837,-128.703,50.837,-128.703,50.837,-128.703]],
+    [[50.84,-57.25,50.84,-57.25,50.84,-57.25,50.84,-57.25]],
+    [[50.901,-127.778,50.901,-127.778,50.901,-127.778,50.901,-127.778]],
+    [[51.176,-58.463,51.176,-58.463,51.176,-58.463,51.176,-58.463]],
+    [[51.252,-58.308,51.252,-58.308,51.252,-58.308,51.252,-58.308]],
+    [[51.98,-128.437,51.98,-128.437,51.98,-128.437,51.98,-128.437]],
+    [[52.113,-79.026,52.113,-79.026,52.113,-79.026,52.113,-79.026]],
+    [[52.26,-79.404,52.26,-79.404,52.26,-79.404,52.26,-79.404]],
+    [[52.444,-78.735,52.444,-78.735,52.444,-78.735,52.444,-78.735]],
+    [[52.556,-79.584,52.556,-79.584,52.556,-79.584,52.556,-79.584]],
+    [[52.682,-129.434,52.682,-129.434,52.682,-129.434,52.682,-129.434]],
+    [[52.772,-55.853,52.772,-55.853,52.772,-55.853,52.772,-55.853]],
+    [[52.863,-129.355,52.863,-129.355,52.863,-129.355,52.863,-129.355]],
+    [[53.007,-55.81,53.007,-55.81,53.007,-55.81,53.007,-55.81]],
+    [[53.079,-55.828,53.079,-55.828,53.079,-55.828,53.079,-55.828]],
+    [[53.493,-55.928,53.493,-55.928,53.493,-55.928,53.493,-55.928]],
+    [[53.496,-130.593,53.496,-130.593,53.496,-130.593,53.496,-130.593]],
+    [[53.694,-57.152,53.694,-57.152,53.694,-57.152,53.694,-57.152]],
+    [[53.797,-56.922,53.797,-56.922,53.797,-56.922,53.797,-56.922]],
+    [[53.797,-130.608,53.797,-130.608,53.797,-130.608,53.797,-130.608]],
+    [[54.288,-57.329,54.288,-57.329,54.288,-57.329,54.288,-57.329]],
+    [[54.332,-81.107,54.332,-81.107,54.332,-81.107,54.332,-81.107]],
+    [[54.484,-57.246,54.484,-57.246,54.484,-57.246,54.484,-57.246]],
+    [[54.486,-130.816,54.486,-130.816,54.486,-130.816,54.486,-130.816]],
+    [[54.575,-57.304,54.575,-57.304,54.575,-57.304,54.575,-57.304]],
+    [[54.628,-131.097,54.628,-131.097,54.628,-131.097,54.628,-131.097]],
+    [[56.161,-76.729,56.161,-76.729,56.161,-76.729,56.161,-76.729]],
+    [[56.315,-77.849,56.315,-77.849,56.315,-77.849,56.315,-77.849]],
+    [[56.443,-77.485,56.443,-77.485,56.443,-77.485,56.443,-77.485]],
+    [[56.657,-78.81,56.657,-78.81,56.657,-78.81,56.657,-78.81]],
+    [[56.681,-76.625,56.681,-76.625,56.681,-76.625,56.681,-76.625]],
+    [[57.071,-76.654,57.071,-76.654,57.071,-76.654,57.071,-76.654]],
+    [[57.199,-78.267,57.199,-78.267,57.199,-78.267,57.199,-78.267]],
+    [[57.306,-78.335,57.306,-78.335,57.306,-78.335,57.306,-78.335]],
+    [[57.336,-76.791,57.336,-76.791,57.336,-76.791,57.336,-76.791]],
+    [[58.412,-67.56,58.412,-67.56,58.412,-67.56,58.412,-67.56]],
+    [[58.78,-78.63,58.78,-78.63,58.78,-78.63,58.78,-78.63]],
+    [[58.832,-78.9,58.832,-78.9,58.832,-78.9,58.832,-78.9]],
+    [[59.016,-68.996,59.016,-68.996,59.016,-68.996,59.016,-68.996]],
+    [[59.111,-80.553,59.111,-80.553,59.111,-80.553,59.111,-80.553]],
+    [[59.695,-80.52,59.695,-80.52,59.695,-80.52,59.695,-80.52]],
+    [[59.712,-80.387,59.712,-80.387,59.712,-80.387,59.712,-80.387]],
+    [[61.014,-69.922,61.014,-69.922,61.014,-69.922,61.014,-69.922]],
+    [[61.333,-71.56,61.333,-71.56,61.333,-71.56,61.333,-71.56]],
+    [[61.895,-72.093,61.895,-72.093,61.895,-72.093,61.895,-72.093]],
+    [[61.948,-92.8,61.948,-92.8,61.948,-92.8,61.948,-92.8]],
+    [[62.039,-72.413,62.039,-72.413,62.039,-72.413,62.039,-72.413]],
+    [[62.061,-92.642,62.061,-92.642,62.061,-92.642,62.061,-92.642]],
+    [[62.895,-66.437,62.895,-66.437,62.895,-66.437,62.895,-66.437]],
+    [[63.066,-66.926,63.066,-66.926,63.066,-66.926,63.066,-66.926]],
+    [[63.273,-68.147,63.273,-68.147,63.273,-68.147,63.273,-68.147]],
+    [[63.3,-68.024,63.3,-68.024,63.3,-68.024,63.3,-68.024]],
+    [[63.346,-67.852,63.346,-67.852,63.346,-67.852,63.346,-67.852]],
+    [[63.564,-64.043,63.564,-64.043,63.564,-64.043,63.564,-64.043]],
+    [[63.842,-64.216,63.842,-64.216,63.842,-64.216,63.842,-64.216]],
+    [[64.182,-76.485,64.182,-76.485,64.182,-76.485,64.182,-76.485]],
+    [[64.242,-76.665,64.242,-76.665,64.242,-76.665,64.242,-76.665]],
+    [[64.31,-64.964,64.31,-64.964,64.31,-64.964,64.31,-64.964]],
+    [[65.316,-66.934,65.316,-66.934,65.316,-66.934,65.316,-66.934]],
+    [[65.406,-89.045,65.406,-89.045,65.406,-89.045,65.406,-89.045]],
+    [[65.487,-88.429,65.487,-88.429,65.487,-88.429,65.487,-88.429]],
+    [[65.742,-67.434,65.742,-67.434,65.742,-67.434,65.742,-67.434]],
+    [[65.701,-65.785,65.701,-65.785,65.701,-65.785,65.701,-65.785]],
+    [[65.95,-66.93,65.95,-66.93,65.95,-66.93,65.95,-66.93]],
+    [[66.083,-85.02,66.083,-85.02,66.083,-85.02,66.083,-85.02]],
+    [[66.041,-83.595,66.041,-83.595,66.041,-83.595,66.041,-83.595]],
+    [[66.085,-83.613,66.085,-83.613,66.085,-83.613,66.085,-83.613]],
+    [[66.463,-85.956,66.463,-85.956,66.463,-85.956,66.463,-85.956]],
+    [[67.947,-113.007,67.947,-113.007,67.947,-113.007,67.947,-113.007]],
+    [[68.17,-112.838,68.17,-112.838,68.17,-112.838,68.17,-112.838]],
+    [[69.18,-136.213,69.18,-136.213,69.18,-136.213,69.18,-136.213]],
+    [[69.401,-80.146,69.401,-80.146,69.401,-80.146,69.401,-80.146]],
+    [[69.415,-81.643,69.415,-81.643,69.415,-81.643,69.415,-81.643]],
+    [[69.509,-135.705,69.509,-135.705,69.509,-135.705,69.509,-135.705]],
+    [[69.791,-82.507,69.791,-82.507,69.791,-82.507,69.791,-82.507]],
+  ],
+  MX: [
+    [[25.966,-97.138,24.515,-97.653,22.626,-97.89,21.675,-97.674,20.647,-97.149,19.838,-96.44,18.766,-95.752,18.524,-94.809,18.144,-94.467,18.702,-92.062,18.443,-91.594,19.375,-90.73,19.922,-90.478,21.032,-90.334,21.285,-89.787,21.601,-87.961,21.434,-86.827,20.854,-86.874,19.63,-87.745,19.554,-87.443,18.328,-87.864,18.482,-88.303,18.482,-88.372,18.489,-88.408,18.475,-88.458,18.484,-88.491,18.443,-88.534,18.352,-88.555,18.283,-88.609,18.247,-88.613,18.22,-88.627,18.178,-88.696,18.149,-88.692,18.111,-88.717,18.051,-88.735,18.014,-88.782,17.965,-88.804,17.928,-88.858,17.888,-88.879,17.92,-88.933,17.948,-88.948,17.95,-88.98,17.992,-89.027,17.999,-89.049,17.97,-89.131,17.942,-89.153,17.901,-89.16,17.815,-89.16,17.815,-90.698,17.817,-90.964,17.802,-90.989,17.526,-90.993,17.253,-90.993,17.254,-91.439,17.238,-91.443,17.214,-91.374,17.19,-91.364,17.189,-91.292,17.165,-91.27,17.124,-91.259,17.119,-91.238,17.079,-91.216,17.028,-91.173,17.025,-91.126,16.991,-91.112,16.949,-91.076,16.918,-91.068,16.878,-90.982,16.896,-90.989,16.891,-90.953,16.875,-90.968,16.836,-90.921,16.805,-90.831,16.814,-90.809,16.787,-90.802,16.746,-90.737,16.653,-90.669,16.616,-90.654,16.593,-90.669,16.593,-90.633,16.53,-90.647,16.518,-90.611,16.483,-90.633,16.481,-90.586,16.49,-90.543,16.459,-90.532,16.471,-90.51,16.456,-90.482,16.43,-90.474,16.415,-90.42,16.419,-90.395,16.368,-90.381,16.373,-90.41,16.348,-90.399,16.317,-90.42,16.309,-90.446,16.295,-90.42,16.285,-90.442,16.263,-90.428,16.26,-90.46,16.236,-90.435,16.221,-90.46,16.189,-90.464,16.174,-90.431,16.155,-90.449,16.137,-90.435,16.116,-90.46,16.108,-90.435,16.079,-90.449,16.071,-90.485,16.071,-90.852,16.069,-90.989,16.069,-91.724,16.047,-91.752,15.78,-91.911,15.289,-92.206,15.237,-92.202,15.074,-92.073,15.017,-92.105,14.995,-92.156,14.901,-92.156,14.87,-92.166,14.847,-92.188,14.814,-92.192,14.774,-92.177,14.752,-92.181,14.683,-92.159,14.571,-92.21,14.546,-92.246,15.907,-93.758,16.429,-94.852,15.976,-95.435,15.659,-96.555,15.98,-97.772,16.528,-98.855,16.731,-99.741,17.265,-101.058,17.891,-101.811,18.333,-103.499,18.875,-103.982,19.369,-105.018,20.407,-105.699,21.493,-105.198,21.955,-105.634,22.638,-105.8,23.98,-107.034,24.662,-108.006,25.032,-108.003,25.54,-108.77,25.647,-109.41,26.334,-109.227,27.116,-109.983,27.3,-110.523,27.837,-110.588,28.051,-111.25,28.966,-112.168,30.812,-113.129,31.156,-113.05,31.601,-113.939,31.656,-114.782,30.199,-114.667,29.253,-113.623,28.892,-113.525,28.441,-112.845,27.864,-112.773,27.548,-112.355,26.54,-111.736,26.695,-111.56,25.772,-111.304,24.807,-110.656,24.254,-110.609,24.063,-109.828,23.202,-109.454,22.872,-109.954,23.541,-110.307,24.774,-112.089,25.995,-112.197,26.753,-113.27,26.726,-113.637,27.237,-114.487,27.86,-115.055,27.774,-114.497,28.458,-114.044,29.378,-114.973,29.757,-115.696,30.814,-116.067,31.553,-116.675,32.531,-117.125,32.565,-116.675,32.572,-116.603,32.604,-116.161,32.627,-115.869,32.642,-115.646,32.666,-115.354,32.681,-115.131,32.713,-114.724,32.669,-114.739,32.627,-114.782,32.595,-114.803,32.575,-114.793,32.511,-114.811,32.501,-114.821,32.487,-114.782,32.234,-113.961,32.107,-113.554,31.727,-112.323,31.601,-111.916,31.476,-111.506,31.408,-111.301,31.334,-111.067,31.327,-111.005,31.327,-108.215,31.778,-108.215,31.778,-107.931,31.776,-107.906,31.776,-107.178,31.775,-107.153,31.775,-106.516,31.754,-106.473,31.759,-106.43,31.746,-106.39,31.717,-106.358,31.648,-106.311,31.58,-106.286,31.52,-106.232,31.477,-106.21,31.438,-106.142,31.428,-106.098,31.405,-106.048,31.396,-106.005,31.352,-105.94,31.327,-105.929,31.288,-105.861,31.211,-105.785,31.18,-105.767,31.128,-105.666,31.104,-105.645,31.072,-105.591,31.016,-105.566,30.957,-105.497,30.903,-105.414,30.851,-105.364,30.819,-105.278,30.799,-105.249,30.81,-105.231,30.782,-105.166,30.765,-105.162,30.758,-105.134,30.709,-105.087,30.69,-105.029,30.662,-104.997,30.621,-104.982,30.614,-104.943,30.552,-104.885,30.511,-104.878,30.491,-104.86,30.473,-104.867,30.439,-104.853,30.417,-104.856,30.38,-104.817,30.351,-104.813,30.336,-104.788,30.265,-104.748,30.245,-104.716,30.192,-104.68,30.111,-104.684,30.076,-104.698,30.032,-104.698,29.976,-104.68,29.937,-104.676,29.888,-104.637,29.833,-104.619,29.787,-104.572,29.745,-104.561,29.703,-104.536,29.667,-104.532,29.625,-104.468,29.583,-104.432,29.537,-104.349,29.527,-104.266,29.485,-104.212,29.449,-104.194,29.4,-104.14,29.385,-104.104,29.34,-104.057,29.321,-104.018,29.292,-103.928,29.275,-103.784,29.257,-103.769,29.235,-103.776,29.174,-103.672,29.154,-103.586,29.156,-103.557,29.081,-103.478,29.058,-103.424,29.024,-103.373,29.041,-103.341,29.024,-103.33,29.031,-103.308,29.002,-103.301,29.004,-103.24,28.985,-103.146,28.997,-103.121,29.058,-103.103,29.085,-103.082,29.11,-103.031,29.177,-102.988,29.193,-102.97,29.183,-102.948,29.22,-102.898,29.23,-102.858,29.255,-102.891,29.275,-102.898,29.343,-102.884,29.367,-102.837,29.39,-102.844,29.416,-102.833,29.453,-102.84,29.471,-102.826,29.544,-102.797,29.557,-102.779,29.593,-102.779,29.603,-102.761,29.709,-102.696,29.736,-102.693,29.745,-102.675,29.747,-102.621,29.772,-102.567,29.757,-102.552,29.785,-102.516,29.777,-102.405,29.811,-102.38,29.848,-102.376,29.87,-102.34,29.893,-102.322,29.89,-102.3,29.855,-102.254,29.846,-102.203,29.802,-102.11,29.811,-102.016,29.806,-101.987,29.817,-101.973,29.797,-101.93,29.812,-101.886,29.806,-101.858,29.812,-101.807,29.796,-101.793,29.775,-101.631,29.782,-101.58,29.797,-101.555,29.821,-101.548,29.797,-101.53,29.772,-101.544,29.765,-101.523,29.792,-101.472,29.77,-101.436,29.779,-101.404,29.753,-101.408,29.677,-101.364,29.654,-101.336,29.65,-101.3,29.613,-101.31,29.595,-101.3,29.62,-101.26,29.623,-101.235,29.584,-101.217,29.554,-101.228,29.532,-101.213,29.529,-101.192,29.488,-101.134,29.459,-101.037,29.4,-101.022,29.372,-100.997,29.336,-100.914,29.291,-100.864,29.257,-100.796,29.208,-100.763,29.174,-100.763,29.135,-100.709,29.117,-100.67,29.044,-100.652,29.005,-100.634,28.963,-100.637,28.917,-100.619,28.884,-100.59,28.87,-100.565,28.85,-100.569,28.84,-100.544,28.804,-100.518,28.708,-100.493,28.644,-100.446,28.627,-100.446,28.593,-100.396,28.568,-100.4,28.538,-100.385,28.51,-100.324,28.497,-100.353,28.478,-100.356,28.458,-100.335,28.387,-100.324,28.332,-100.277,28.296,-100.284,28.261,-100.259,28.244,-100.205,28.207,-100.198,28.154,-100.076,28.137,-100.058,28.095,-100.047,28.068,-100.011,28.051,-100.014,27.992,-99.978,27.975,-99.928,27.947,-99.932,27.903,-99.878,27.876,-99.892,27.845,-99.863,27.805,-99.863,27.773,-99.809,27.73,-99.766,27.722,-99.741,27.692,-99.73,27.659,-99.701,27.659,-99.665,27.632,-99.644,27.643,-99.59,27.622,-99.579,27.605,-99.536,27.573,-99.507,27.501,-99.51,27.491,-99.482,27.415,-99.474,27.339,-99.496,27.312,-99.521,27.298,-99.485,27.261,-99.453,27.207,-99.431,27.124,-99.453,27.099,-99.438,27.057,-99.46,27.03,-99.438,27.004,-99.392,26.974,-99.392,26.925,-99.338,26.827,-99.248,26.736,-99.222,26.629,-99.183,26.54,-99.165,26.526,-99.114,26.471,-99.089,26.423,-99.107,26.408,-99.086,26.407,-99.028,26.395,-99.017,26.393,-98.931,26.368,-98.895,26.366,-98.826,26.373,-98.801,26.32,-98.736,26.304,-98.74,26.298,-98.7,26.271,-98.704,26.241,-98.639,26.263,-98.582,26.248,-98.553,26.231,-98.492,26.207,-98.474,26.226,-98.456,26.194,-98.369,26.163,-98.376,26.16,-98.34,26.111,-98.301,26.076,-98.222,26.064,-98.15,26.076,-98.103,26.071,-98.085,26.042,-98.067,26.064,-98.013,26.057,-97.941,26.064,-97.88,26.064,-97.8,26.04,-97.768,26.035,-97.678,26.01,-97.624,25.966,-97.595,25.954,-97.566,25.913,-97.52,25.895,-97.487,25.892,-97.448,25.854,-97.426,25.866,-97.397,25.846,-97.376,25.853,-97.347,25.913,-97.354,25.934,-97.329,25.922,-97.311,25.944,-97.268,25.961,-97.268,25.966,-97.138]],
+    [[18.355,-114.775,18.355,-114.775,18.355,-114.775,18.355,-114.775]],
+    [[18.799,-110.948,18.799,-110.948,18.799,-110.948,18.799,-110.948]],
+    [[19.348,-110.815,19.348,-110.815,19.348,-110.815,19.348,-110.815]],
+    [[21.329,-106.224,21.329,-106.224,21.329,-106.224,21.329,-106.224]],
+    [[21.484,-106.404,21.484,-106.404,21.484,-106.404,21.484,-106.404]],
+    [[21.597,-106.512,21.597,-106.512,21.597,-106.512,21.597,-106.512]],
+    [[21.776,-106.664,21.776,-106.664,21.776,-106.664,21.776,-106.664]],
+    [[24.225,-109.835,24.225,-109.835,24.225,-109.835,24.225,-109.835]],
+    [[24.379,-111.563,24.379,-111.563,24.379,-111.563,24.379,-111.563]],
+    [[24.448,-111.754,24.448,-111.754,24.448,-111.754,24.448,-111.754]],
+    [[24.515,-110.325,24.515,-110.325,24.515,-110.325,24.515,-110.325]],
+    [[25.095,-110.71,25.095,-110.71,25.095,-110.71,25.095,-110.71]],
+    [[24.617,-112.103,24.617,-112.103,24.617,-112.103,24.617,-112.103]],
+    [[25.427,-108.831,25.427,-108.831,25.427,-108.831,25.427,-108.831]],
+    [[25.594,-110.764,25.594,-110.764,25.594,-110.764,25.594,-110.764]],
+    [[25.998,-111.081,25.998,-111.081,25.998,-111.081,25.998,-111.081]],
+    [[27.087,-110.044,27.087,-110.044,27.087,-110.044,27.087,-110.044]],
+    [[27.318,-110.606,27.318,-110.606,27.318,-110.606,27.318,-110.606]],
+    [[28.342,-115.196,28.342,-115.196,28.342,-115.196,28.342,-115.196]],
+    [[28.678,-112.895,28.678,-112.895,28.678,-112.895,28.678,-112.895]],
+    [[28.725,-112.615,28.725,-112.615,28.725,-112.615,28.725,-112.615]],
+    [[28.769,-112.276,28.769,-112.276,28.769,-112.276,28.769,-112.276]],
+    [[29.064,-113.137,29.064,-113.137,29.064,-113.137,29.064,-113.137]],
+    [[31.803,-114.785,31.803,-114.785,31.803,-114.785,31.803,-114.785]],
+    [[18.533,-87.331,18.533,-87.331,18.533,-87.331,18.533,-87.331]],
+    [[18.739,-87.27,18.739,-87.27,18.739,-87.27,18.739,-87.27]],
+    [[18.772,-91.601,18.772,-91.601,18.772,-91.601,18.772,-91.601]],
+    [[20.593,-86.748,20.593,-86.748,20.593,-86.748,20.593,-86.748]],
+    [[21.199,-86.701,21.199,-86.701,21.199,-86.701,21.199,-86.701]],
+    [[21.788,-97.653,21.788,-97.653,21.788,-97.653,21.788,-97.653]],
+    [[22.72,-97.815,22.72,-97.815,22.72,-97.815,22.72,-97.815]],
+    [[29.09,-118.252,29.09,-118.252,29.09,-118.252,29.09,-118.252]],
+    [[26.724,-113.245,26.724,-113.245,26.724,-113.245,26.724,-113.245]],
+    [[22.371,-89.664,22.371,-89.664,22.371,-89.664,22.371,-89.664]],
+    [[24.833,-110.588,24.833,-110.588,24.833,-110.588,24.833,-110.588]],
+    [[24.954,-115.754,24.954,-115.754,24.954,-115.754,24.954,-115.754]],
+    [[25.306,-110.714,25.306,-110.714,25.306,-110.714,25.306,-110.714]],
+    [[25.485,-112.107,25.485,-112.107,25.485,-112.107,25.485,-112.107]],
+    [[25.701,-111.059,25.701,-111.059,25.701,-111.059,25.701,-111.059]],
+    [[25.812,-111.257,25.812,-111.257,25.812,-111.257,25.812,-111.257]],
+    [[26.126,-111.286,26.126,-111.286,26.126,-111.286,26.126,-111.286]],
+    [[27.224,-112.096,27.224,-112.096,27.224,-112.096,27.224,-112.096]],
+    [[27.43,-111.891,27.43,-111.891,27.43,-111.891,27.43,-111.891]],
+    [[27.892,-115.203,27.892,-115.203,27.892,-115.203,27.892,-115.203]],
+    [[27.968,-111.387,27.968,-111.387,27.968,-111.387,27.968,-111.387]],
+    [[28.318,-115.595,28.318,-115.595,28.318,-115.595,28.318,-115.595]],
+    [[29.095,-113.518,29.095,-113.518,29.095,-113.518,29.095,-113.518]],
+    [[29.986,-114.418,29.986,-114.418,29.986,-114.418,29.986,-114.418]],
+    [[30.496,-116.114,30.496,-116.114,30.496,-116.114,30.496,-116.114]],
+    [[32.421,-117.255,32.421,-117.255,32.421,-117.255,32.421,-117.255]],
+  ],
+  BR: [
+    [[-30.183,-57.613,-30.169,-57.548,-30.144,-57.505,-30.039,-57.412,-29.982,-57.325,-29.965,-57.318,-29.848,-57.307,-29.815,-57.293,-29.793,-57.264,-29.778,-57.221,-29.772,-57.134,-29.752,-57.095,-29.683,-57.019,-29.636,-56.98,-29.6,-56.965,-29.558,-56.911,-29.536,-56.897,-29.475,-56.818,-29.435,-56.8,-29.426,-56.785,-29.396,-56.782,-29.372,-56.764,-29.352,-56.717,-29.33,-56.688,-29.251,-56.652,-29.208,-56.652,-29.161,-56.616,-29.132,-56.584,-29.094,-56.512,-29.078,-56.443,-29.051,-56.414,-28.991,-56.411,-28.952,-56.393,-28.916,-56.324,-28.881,-56.303,-28.796,-56.296,-28.78,-56.285,-28.764,-56.22,-28.744,-56.184,-28.648,-56.105,-28.609,-56.04,-28.585,-56.022,-28.511,-56.022,-28.496,-56.011,-28.474,-55.918,-28.454,-55.896,-28.406,-55.896,-28.378,-55.907,-28.346,-55.842,-28.366,-55.734,-28.408,-55.705,-28.374,-55.676,-28.327,-55.662,-28.29,-55.687,-28.266,-55.756,-28.232,-55.774,-28.216,-55.748,-28.197,-55.684,-28.146,-55.622,-28.118,-55.604,-28.121,-55.583,-28.145,-55.576,-28.146,-55.554,-28.079,-55.507,-28.079,-55.442,-28.025,-55.388,-27.972,-55.378,-27.964,-55.338,-27.929,-55.331,-27.915,-55.313,-27.92,-55.259,-27.893,-55.223,-27.861,-55.198,-27.858,-55.162,-27.881,-55.118,-27.853,-55.111,-27.839,-55.068,-27.851,-55.046,-27.841,-55.025,-27.778,-55.082,-27.771,-55.064,-27.788,-55.01,-27.785,-54.985,-27.728,-54.906,-27.662,-54.895,-27.623,-54.899,-27.611,-54.845,-27.545,-54.827,-27.523,-54.791,-27.549,-54.794,-27.564,-54.773,-27.542,-54.676,-27.503,-54.661,-27.527,-54.65,-27.515,-54.625,-27.459,-54.6,-27.456,-54.571,-27.488,-54.535,-27.471,-54.47,-27.459,-54.449,-27.412,-54.46,-27.407,-54.406,-27.422,-54.38,-27.454,-54.373,-27.427,-54.344,-27.395,-54.348,-27.429,-54.308,-27.429,-54.287,-27.388,-54.262,-27.38,-54.233,-27.338,-54.222,-27.243,-54.179,-27.258,-54.157,-27.28,-54.157,-27.289,-54.128,-27.285,-54.092,-27.213,-54.017,-27.187,-53.999,-27.191,-53.963,-27.167,-53.966,-27.148,-53.952,-27.165,-53.927,-27.159,-53.898,-27.126,-53.891,-27.126,-53.869,-27.164,-53.84,-27.132,-53.819,-27.11,-53.826,-27.094,-53.804,-27.035,-53.797,-27.03,-53.772,-26.905,-53.711,-26.873,-53.711,-26.777,-53.732,-26.774,-53.754,-26.74,-53.747,-26.714,-53.776,-26.676,-53.74,-26.601,-53.743,-26.566,-53.729,-26.519,-53.736,-26.5,-53.714,-26.377,-53.725,-26.346,-53.714,-26.292,-53.675,-26.26,-53.66,-26.22,-53.668,-26.188,-53.686,-26.127,-53.732,-26.029,-53.765,-25.973,-53.826,-25.949,-53.837,-25.921,-53.83,-25.868,-53.84,-25.809,-53.837,-25.772,-53.851,-25.723,-53.887,-25.698,-53.876,-25.661,-53.887,-25.629,-53.909,-25.654,-53.966,-25.607,-53.977,-25.575,-53.999,-25.563,-54.031,-25.571,-54.056,-25.549,-54.082,-25.59,-54.085,-25.597,-54.1,-25.571,-54.125,-25.5,-54.107,-25.5,-54.128,-25.529,-54.154,-25.531,-54.215,-25.581,-54.19,-25.578,-54.244,-25.598,-54.254,-25.556,-54.283,-25.554,-54.323,-25.583,-54.348,-25.576,-54.388,-25.62,-54.406,-25.646,-54.438,-25.676,-54.434,-25.689,-54.449,-25.642,-54.46,-25.607,-54.51,-25.61,-54.532,-25.575,-54.546,-25.575,-54.6,-25.524,-54.593,-25.487,-54.607,-25.433,-54.611,-25.36,-54.575,-25.337,-54.546,-25.279,-54.503,-25.195,-54.47,-25.168,-54.434,-25.131,-54.431,-25.073,-54.463,-25.038,-54.463,-24.822,-54.406,-24.767,-54.37,-24.629,-54.323,-24.595,-54.319,-24.528,-54.334,-24.464,-54.323,-24.411,-54.283,-24.359,-54.262,-24.33,-54.262,-24.276,-54.283,-24.234,-54.316,-24.197,-54.319,-24.165,-54.334,-24.117,-54.326,-24.09,-54.301,-24.05,-54.244,-23.984,-54.366,-23.913,-54.424,-23.9,-54.442,-23.812,-54.614,-23.805,-54.64,-23.846,-54.697,-23.888,-54.827,-23.92,-54.892,-23.969,-54.942,-23.974,-54.996,-23.989,-55.043,-23.989,-55.104,-24.016,-55.165,-24.019,-55.201,-23.994,-55.306,-23.989,-55.367,-23.977,-55.399,-23.928,-55.432,-23.736,-55.446,-23.673,-55.468,-23.604,-55.529,-23.53,-55.532,-23.466,-55.543,-23.41,-55.514,-23.379,-55.514,-23.331,-55.554,-23.309,-55.561,-23.246,-55.536,-23.229,-55.536,-23.146,-55.561,-23.118,-55.601,-23.064,-55.594,-23.001,-55.637,-22.932,-55.633,-22.856,-55.658,-22.819,-55.658,-22.726,-55.619,-22.692,-55.63,-22.66,-55.619,-22.626,-55.63,-22.596,-55.698,-22.537,-55.741,-22.501,-55.748,-22.417,-55.752,-22.392,-55.759,-22.353,-55.81,-22.29,-55.86,-22.317,-55.874,-22.307,-55.892,-22.3,-55.954,-22.277,-56,-22.287,-56.026,-22.279,-56.198,-22.265,-56.231,-22.238,-56.26,-22.208,-56.317,-22.147,-56.371,-22.086,-56.396,-22.074,-56.422,-22.086,-56.494,-22.1,-56.522,-22.201,-56.594,-22.238,-56.656,-22.263,-56.648,-22.26,-56.666,-22.223,-56.699,-22.216,-56.717,-22.25,-56.742,-22.243,-56.753,-22.248,-56.807,-22.289,-56.843,-22.29,-56.879,-22.236,-56.904,-22.263,-56.915,-22.255,-56.962,-22.235,-57.012,-22.233,-57.109,-22.218,-57.124,-22.206,-57.17,-22.208,-57.206,-22.187,-57.214,-22.214,-57.271,-22.203,-57.332,-22.218,-57.34,-22.213,-57.386,-22.194,-57.419,-22.181,-57.466,-22.189,-57.512,-22.17,-57.556,-22.181,-57.595,-22.165,-57.628,-22.105,-57.653,-22.11,-57.689,-22.103,-57.736,-22.108,-57.775,-22.123,-57.775,-22.128,-57.815,-22.143,-57.844,-22.121,-57.88,-22.128,-57.905,-22.118,-57.941,-22.074,-57.988,-22.035,-57.988,-21.966,-57.962,-21.905,-57.926,-21.851,-57.955,-21.792,-57.934,-21.755,-57.941,-21.689,-57.894,-21.659,-57.923,-21.623,-57.941,-21.564,-57.912,-21.53,-57.948,-21.487,-57.944,-21.453,-57.93,-21.357,-57.862,-21.331,-57.854,-21.316,-57.883,-21.276,-57.905,-21.216,-57.847,-21.174,-57.833,-21.127,-57.829,-21.037,-57.851,-20.975,-57.815,-20.938,-57.836,-20.956,-57.847,-20.933,-57.869,-20.906,-57.916,-20.882,-57.908,-20.85,-57.858,-20.831,-57.858,-20.806,-57.887,-20.794,-57.941,-20.762,-57.908,-20.74,-57.858,-20.669,-57.919,-20.674,-57.948,-20.71,-57.955,-20.693,-57.98,-20.641,-57.977,-20.607,-57.995,-20.585,-57.991,-20.549,-58.006,-20.48,-58.009,-20.433,-57.991,-20.421,-58.024,-20.376,-58.085,-20.335,-58.099,-20.281,-58.092,-20.261,-58.121,-20.274,-58.139,-20.244,-58.164,-20.227,-58.157,-20.215,-58.117,-20.164,-58.16,-20.144,-58.103,-20.117,-58.081,-20.107,-58.052,-20.065,-58.024,-20.053,-57.984,-20.026,-57.959,-20.034,-57.919,-20.024,-57.894,-19.98,-57.858,-19.757,-58.117,-19.73,-58.124,-19.58,-58.049,-19.501,-58.013,-19.303,-57.912,-19.058,-57.79,-19.048,-57.772,-19.045,-57.718,-18.922,-57.732,-18.91,-57.782,-18.305,-57.584,-18.245,-57.556,-18.239,-57.466,-18.207,-57.473,-18.206,-57.512,-18.184,-57.552,-18.123,-57.584,-18.001,-57.638,-17.846,-57.728,-17.843,-57.7,-17.826,-57.696,-17.768,-57.732,-17.736,-57.725,-17.696,-57.779,-17.659,-57.79,-17.556,-57.79,-17.52,-57.815,-17.508,-57.854,-17.52,-57.905,-17.518,-57.944,-17.496,-58.009,-17.463,-58.052,-17.434,-58.114,-17.405,-58.139,-17.388,-58.189,-17.329,-58.232,-17.321,-58.265,-17.294,-58.301,-17.287,-58.344,-17.267,-58.38,-17.238,-58.398,-17.199,-58.405,-17.11,-58.405,-17.056,-58.427,-16.968,-58.438,-16.938,-58.456,-16.875,-58.466,-16.841,-58.452,-16.802,-58.456,-16.726,-58.477,-16.684,-58.481,-16.649,-58.474,-16.618,-58.456,-16.51,-58.355,-16.473,-58.344,-16.419,-58.362,-16.387,-58.333,-16.289,-58.34,-16.279,-58.394,-16.318,-58.423,-16.331,-58.466,-16.323,-58.729,-16.276,-60.061,-16.266,-60.162,-16.222,-60.18,-15.853,-60.205,-15.502,-60.238,-15.457,-60.259,-15.35,-60.353,-15.144,-60.529,-15.099,-60.583,-15.095,-60.274,-15.084,-60.27,-14.629,-60.292,-14.607,-60.302,-14.575,-60.353,-14.543,-60.371,-14.533,-60.338,-14.491,-60.346,-14.42,-60.378,-14.341,-60.4,-14.297,-60.454,-14.278,-60.464,-14.199,-60.461,-14.177,-60.475,-14.118,-60.475,-14.092,-60.436,-14.055,-60.41,-13.989,-60.389,-13.944,-60.41,-13.918,-60.439,-13.844,-60.464,-13.798,-60.472,-13.788,-60.49,-13.766,-60.576,-13.741,-60.594,-13.719,-60.652,-13.604,-60.803,-13.576,-60.871,-13.554,-60.896,-13.535,-61.022,-13.515,-61.04,-13.464,-61.048,-13.484,-61.12,-13.52,-61.148,-13.518,-61.217,-13.525,-61.249,-13.508,-61.282,-13.493,-61.346,-13.528,-61.415,-13.544,-61.458,-13.549,-61.505,-13.533,-61.562,-13.508,-61.588,-13.513,-61.667,-13.538,-61.735,-13.53,-61.753,-13.544,-61.814,-13.53,-61.847,-13.464,-61.868,-13.432,-61.912,-13.385,-61.958,-13.365,-61.998,-13.278,-62.077,-13.25,-62.11,-13.15,-62.113,-13.147,-62.138,-13.118,-62.171,-13.142,-62.174,-13.12,-62.21,-13.142,-62.29,-13.133,-62.311,-13.145,-62.336,-13.14,-62.383,-13.125,-62.426,-13.077,-62.459,-13.066,-62.491,-13.067,-62.556,-13.03,-62.642,-12.985,-62.657,-12.964,-62.686,-12.983,-62.722,-12.985,-62.758,-13.01,-62.772,-12.99,-62.808,-12.942,-62.84,-12.941,-62.858,-12.846,-62.93,-12.858,-62.956,-12.844,-62.988,-12.777,-63.013,-12.747,-63.049,-12.719,-63.042,-12.703,-63.056,-12.652,-63.074,-12.633,-63.136,-12.647,-63.168,-12.664,-63.175,-12.667,-63.2,-12.701,-63.247,-12.703,-63.319,-12.674,-63.359,-12.664,-63.395,-12.605,-63.463,-12.564,-63.478,-12.554,-63.496,-12.541,-63.56,-12.507,-63.6,-12.475,-63.658,-12.454,-63.802,-12.47,-63.863,-12.544,-63.92,-12.524,-63.971,-12.537,-64.021,-12.508,-64.043,-12.507,-64.104,-12.49,-64.118,-12.52,-64.144,-12.488,-64.183,-12.473,-64.216,-12.492,-64.255,-12.497,-64.288,-12.466,-64.298,-12.47,-64.352,-12.458,-64.396,-12.4,-64.442,-12.373,-64.489,-12.356,-64.493,-12.296,-64.468,-12.253,-64.471,-12.243,-64.511,-12.22,-64.547,-12.216,-64.594,-12.181,-64.666,-12.159,-64.687,-12.127,-64.68,-12.105,-64.691,-12.112,-64.709,-12.147,-64.716,-12.145,-64.741,-12.12,-64.738,-12.086,-64.77,-12.032,-64.792,-12.017,-64.838,-12.025,-64.864,-12.014,-64.903,-12.009,-64.968,-11.997,-64.997,-11.968,-65.015,-11.909,-64.997,-11.889,-65.029,-11.858,-65.04,-11.828,-65.036,-11.754,-65.065,-11.723,-65.112,-11.691,-65.112,-11.715,-65.137,-11.774,-65.152,-11.757,-65.184,-11.728,-65.202,-11.683,-65.202,-11.657,-65.188,-11.624,-65.191,-11.615,-65.166,-11.592,-65.195,-11.585,-65.22,-11.539,-65.216,-11.517,-65.224,-11.495,-65.256,-11.505,-65.292,-11.477,-65.321,-11.391,-65.353,-11.372,-65.353,-11.328,-65.328,-11.296,-65.375,-11.254,-65.389,-11.218,-65.36,-11.178,-65.396,-11.154,-65.396,-11.107,-65.342,-11.088,-65.332,-11.033,-65.342,-10.99,-65.303,-10.952,-65.314,-10.865,-65.317,-10.823,-65.36,-10.813,-65.4,-10.8,-65.404,-10.715,-65.382,-10.67,-65.386,-10.626,-65.436,-10.561,-65.429,-10.528,-65.443,-10.499,-65.436,-10.469,-65.45,-10.464,-65.425,-10.406,-65.386,-10.374,-65.389,-10.332,-65.364,-10.315,-65.328,-10.242,-65.306,-10.207,-65.285,-10.163,-65.299,-10.099,-65.306,-10.046,-65.324,-9.967,-65.335,-9.927,-65.332,-9.864,-65.303,-9.825,-65.303,-9.79,-65.339,-9.71,-65.371,-9.68,-65.414,-9.682,-65.45,-9.734,-65.512,-9.795,-65.548,-9.802,-65.569,-9.837,-65.584,-9.827,-65.63,-9.79,-65.677,-9.792,-65.717,-9.756,-65.71,-9.773,-65.764,-9.732,-65.789,-9.786,-65.818,-9.758,-65.836,-9.781,-65.861,-9.771,-65.915,-9.776,-65.965,-9.803,-66.012,-9.805,-66.044,-9.785,-66.088,-9.807,-66.116,-9.795,-66.134,-9.802,-66.192,-9.835,-66.257,-9.849,-66.354,-9.879,-66.412,-9.889,-66.451,-9.884,-66.512,-9.905,-66.631,-9.952,-66.671,-9.992,-66.772,-10.094,-66.901,-10.258,-67.063,-10.283,-67.11,-10.296,-67.16,-10.32,-67.171,-10.327,-67.2,-10.313,-67.258,-10.318,-67.322,-10.335,-67.34,-10.372,-67.344,-10.381,-67.42,-10.406,-67.43,-10.452,-67.466,-10.465,-67.488,-10.502,-67.585,-10.575,-67.643,-10.61,-67.686,-10.676,-67.704,-10.705,-67.722,-10.713,-67.754,-10.707,-67.776,-10.664,-67.834,-10.659,-67.862,-10.664,-67.981,-10.661,-68.028,-10.681,-68.075,-10.713,-68.111,-10.779,-68.147,-10.859,-68.219,-10.918,-68.244,-10.96,-68.273,-10.994,-68.312,-11.006,-68.377,-11.044,-68.428,-11.044,-68.478,-11.061,-68.536,-11.112,-68.615,-11.141,-68.759,-11.125,-68.788,-11.085,-68.791,-11.012,-68.759,-10.995,-68.806,-11.016,-68.885,-11.001,-68.957,-11.002,-68.996,-10.97,-69.072,-10.97,-69.122,-10.953,-69.238,-10.955,-69.295,-10.935,-69.396,-10.952,-69.464,-10.952,-69.576,-10.965,-69.72,-10.958,-69.752,-10.935,-69.792,-10.925,-69.835,-10.928,-69.875,-10.919,-69.958,-11.041,-70.199,-11.065,-70.289,-11.068,-70.339,-11.06,-70.39,-11.036,-70.437,-10.938,-70.534,-10.943,-70.555,-11.011,-70.642,-10.548,-70.642,-10.421,-70.638,-9.852,-70.638,-9.792,-70.617,-9.785,-70.573,-9.709,-70.541,-9.673,-70.559,-9.634,-70.602,-9.565,-70.624,-9.565,-70.566,-9.53,-70.577,-9.516,-70.555,-9.43,-70.527,-9.449,-70.606,-9.528,-70.681,-9.58,-70.768,-9.634,-70.825,-9.66,-70.876,-9.721,-70.919,-9.754,-70.969,-9.803,-70.998,-9.817,-71.016,-9.834,-71.077,-9.862,-71.146,-9.898,-71.175,-9.94,-71.196,-9.955,-71.247,-9.984,-71.279,-9.994,-71.315,-9.981,-71.355,-10.003,-71.373,-10.006,-71.43,-10.006,-72.197,-9.967,-72.183,-9.918,-72.179,-9.9,-72.161,-9.805,-72.193,-9.763,-72.265,-9.724,-72.276,-9.668,-72.262,-9.601,-72.305,-9.533,-72.312,-9.533,-72.345,-9.496,-72.391,-9.482,-72.431,-9.486,-72.492,-9.476,-72.553,-9.455,-72.597,-9.412,-72.813,-9.408,-73.216,-9.376,-73.194,-9.322,-73.14,-9.244,-73.09,-9.231,-73.047,-9.211,-73.029,-9.184,-73.029,-9.146,-72.982,-9.116,-72.964,-9.086,-72.96,-8.986,-72.975,-8.944,-73.003,-8.893,-73.068,-8.782,-73.147,-8.74,-73.162,-8.704,-73.191,-8.682,-73.27,-8.653,-73.309,-8.582,-73.356,-8.518,-73.349,-8.479,-73.356,-8.463,-73.378,-8.456,-73.41,-8.415,-73.446,-8.373,-73.525,-8.36,-73.54,-8.273,-73.561,-8.211,-73.605,-8.137,-73.601,-8.069,-73.644,-8.013,-73.669,-7.976,-73.749,-7.941,-73.785,-7.875,-73.795,-7.887,-73.745,-7.867,-73.713,-7.828,-73.702,-7.789,-73.713,-7.764,-73.741,-7.753,-73.781,-7.721,-73.839,-7.585,-73.968,-7.561,-74.011,-7.544,-74.019,-7.524,-73.972,-7.502,-73.957,-7.449,-73.943,-7.422,-73.95,-7.357,-73.983,-7.372,-73.921,-7.365,-73.878,-7.343,-73.842,-7.338,-73.759,-7.324,-73.723,-7.304,-73.713,-7.225,-73.734,-7.127,-73.803,-7.103,-73.813,-7.049,-73.792,-6.96,-73.767,-6.904,-73.767,-6.875,-73.749,-6.85,-73.705,-6.811,-73.684,-6.744,-73.594,-6.698,-73.515,-6.639,-73.446,-6.615,-73.407,-6.583,-73.371,-6.576,-73.349,-6.576,-73.277,-6.546,-73.198,-6.477,-73.147,-6.413,-73.126,-6.391,-73.126,-6.3,-73.162,-6.202,-73.176,-6.148,-73.227,-6.078,-73.234,-5.879,-73.14,-5.847,-73.104,-5.709,-73,-5.651,-72.978,-5.56,-72.96,-5.531,-72.96,-5.465,-72.975,-5.372,-72.935,-5.313,-72.924,-5.271,-72.895,-5.195,-72.899,-5.146,-72.921,-5.133,-72.917,-5.116,-72.859,-5.092,-72.856,-5.097,-72.831,-5.08,-72.773,-5.055,-72.748,-5.063,-72.708,-5.063,-72.654,-5.023,-72.629,-4.996,-72.586,-4.959,-72.546,-4.942,-72.489,-4.903,-72.478,-4.9,-72.453,-4.876,-72.413,-4.805,-72.399,-4.793,-72.388,-4.783,-72.345,-4.763,-72.334,-4.76,-72.251,-4.711,-72.183,-4.665,-72.107,-4.613,-72.078,-4.613,-72.035,-4.582,-71.981,-4.537,-71.934,-4.513,-71.891,-4.503,-71.801,-4.481,-71.776,-4.496,-71.74,-4.481,-71.7,-4.508,-71.664,-4.479,-71.614,-4.5,-71.617,-4.481,-71.571,-4.486,-71.524,-4.457,-71.513,-4.442,-71.491,-4.434,-71.401,-4.459,-71.362,-4.427,-71.304,-4.395,-71.304,-4.381,-71.29,-4.38,-71.243,-4.41,-71.214,-4.363,-71.171,-4.4,-71.146,-4.402,-71.128,-4.375,-71.106,-4.364,-71.081,-4.386,-71.031,-4.369,-71.009,-4.348,-71.005,-4.385,-70.969,-4.3,-70.897,-4.251,-70.872,-4.229,-70.84,-4.19,-70.847,-4.155,-70.775,-4.172,-70.714,-4.163,-70.681,-4.123,-70.663,-4.12,-70.631,-4.167,-70.631,-4.194,-70.584,-4.148,-70.566,-4.147,-70.534,-4.175,-70.527,-4.177,-70.501,-4.145,-70.462,-4.135,-70.429,-4.142,-70.397,-4.169,-70.361,-4.14,-70.343,-4.157,-70.318,-4.19,-70.311,-4.246,-70.318,-4.299,-70.257,-4.304,-70.231,-4.342,-70.206,-4.288,-70.17,-4.26,-70.138,-4.266,-70.098,-4.315,-70.077,-4.337,-70.051,-4.339,-70.023,-4.315,-69.99,-4.265,-69.961,-4.236,-69.965,-4.201,-69.947,-3.718,-69.86,-3.557,-69.828,-2.59,-69.655,-2.428,-69.623,-1.561,-69.468,-1.423,-69.436,-1.376,-69.436,-1.284,-69.418,-1.239,-69.421,-1.183,-69.4,-1.153,-69.41,-1.092,-69.446,-1.048,-69.439,-0.994,-69.454,-0.987,-69.472,-0.957,-69.493,-0.942,-69.526,-0.921,-69.54,-0.889,-69.536,-0.864,-69.565,-0.8,-69.58,-0.758,-69.619,-0.734,-69.63,-0.668,-69.59,-0.644,-69.583,-0.606,-69.605,-0.525,-69.619,-0.493,-69.648,-0.454,-69.745,-0.408,-69.792,-0.383,-69.835,-0.342,-69.857,-0.305,-69.943,-0.273,-69.965,-0.226,-70.019,-0.16,-70.069,-0.048,-70.073,0.114,-70.066,0.222,-70.066,0.519,-70.055,0.588,-70.055,0.575,-70.041,0.59,-70.001,0.586,-69.954,0.595,-69.914,0.598,-69.846,0.62,-69.767,0.669,-69.695,0.651,-69.619,0.689,-69.594,0.7,-69.554,0.73,-69.504,0.733,-69.479,0.717,-69.439,0.641,-69.364,0.656,-69.302,0.619,-69.295,0.615,-69.227,0.635,-69.209,0.637,-69.144,0.651,-69.137,0.691,-69.151,0.715,-69.191,0.745,-69.173,0.779,-69.169,0.845,-69.176,0.868,-69.151,0.907,-69.209,0.944,-69.205,0.958,-69.227,0.988,-69.234,1.039,-69.288,1.064,-69.338,1.063,-69.371,1.029,-69.418,1.061,-69.479,1.058,-69.554,1.073,-69.619,1.059,-69.716,1.083,-69.727,1.091,-69.763,1.085,-69.788,1.058,-69.828,1.059,-69.853,1.188,-69.853,1.257,-69.85,1.669,-69.85,1.708,-69.857,1.708,-69.806,1.74,-69.731,1.738,-69.648,1.77,-69.58,1.772,-69.544,1.757,-69.468,1.725,-69.392,1.72,-69.353,1.721,-69,1.721,-68.165,1.736,-68.19,1.768,-68.201,1.77,-68.24,1.823,-68.248,1.829,-68.28,1.858,-68.262,2.008,-68.201,1.981,-68.186,1.956,-68.125,1.924,-68.1,1.86,-68.078,1.777,-68.032,1.75,-67.999,1.74,-67.963,1.741,-67.927,1.762,-67.859,1.784,-67.819,1.812,-67.79,1.973,-67.668,2.056,-67.592,2.072,-67.553,2.108,-67.51,2.111,-67.474,2.14,-67.441,2.115,-67.366,2.054,-67.319,1.975,-67.29,1.932,-67.265,1.789,-67.157,1.709,-67.117,1.605,-67.081,1.541,-67.074,1.253,-67.099,1.201,-67.096,1.176,-67.085,1.172,-67.067,1.223,-66.876,1.102,-66.739,1.031,-66.664,0.901,-66.516,0.803,-66.408,0.759,-66.347,0.745,-66.286,0.762,-66.228,0.755,-66.188,0.733,-66.156,0.742,-66.113,0.777,-66.08,0.787,-66.059,0.789,-66.012,0.808,-65.972,0.875,-65.915,0.909,-65.872,0.95,-65.785,0.975,-65.746,0.985,-65.702,0.978,-65.584,0.958,-65.558,0.909,-65.526,0.863,-65.515,0.816,-65.533,0.738,-65.587,0.691,-65.584,0.656,-65.562,0.651,-65.519,0.689,-65.45,0.742,-65.414,0.792,-65.411,0.836,-65.389,0.911,-65.328,0.919,-65.31,0.912,-65.242,0.924,-65.202,0.955,-65.18,0.997,-65.17,1.08,-65.159,1.127,-65.137,1.135,-65.101,1.132,-65.058,1.14,-65.022,1.162,-65.018,1.201,-64.968,1.22,-64.896,1.259,-64.856,1.27,-64.82,1.247,-64.77,1.248,-64.73,1.331,-64.604,1.395,-64.572,1.436,-64.529,1.463,-64.475,1.507,-64.41,1.51,-64.385,1.497,-64.363,1.478,-64.363,1.417,-64.392,1.37,-64.388,1.367,-64.352,1.424,-64.324,1.446,-64.302,1.497,-64.234,1.551,-64.176,1.578,-64.129,1.623,-64.093,1.684,-64.072,1.745,-64.075,1.807,-64.061,1.893,-64.054,1.927,-64.036,1.958,-63.996,1.971,-63.96,1.975,-63.92,1.973,-63.802,1.986,-63.762,2.101,-63.618,2.126,-63.56,2.125,-63.51,2.137,-63.445,2.15,-63.413,2.204,-63.402,2.282,-63.37,2.349,-63.373,2.4,-63.362,2.42,-63.384,2.425,-63.51,2.434,-63.575,2.437,-63.704,2.429,-63.766,2.429,-63.83,2.461,-63.953,2.468,-64.01,2.463,-64.032,2.488,-64.057,2.535,-64.05,2.604,-64.01,2.714,-63.996,2.799,-64.028,2.947,-64.108,3.052,-64.172,3.089,-64.205,3.124,-64.223,3.165,-64.226,3.251,-64.216,3.293,-64.219,3.418,-64.244,3.46,-64.234,3.498,-64.205,3.533,-64.194,3.596,-64.201,3.653,-64.266,3.724,-64.324,3.778,-64.435,3.854,-64.532,3.915,-64.576,3.974,-64.644,3.997,-64.662,4.084,-64.709,4.141,-64.727,4.158,-64.741,4.188,-64.802,4.23,-64.817,4.273,-64.806,4.284,-64.792,4.288,-64.745,4.264,-64.702,4.227,-64.662,4.192,-64.637,4.148,-64.622,4.119,-64.59,4.151,-64.363,4.143,-64.241,4.124,-64.172,4.111,-64.147,4.058,-64.108,3.911,-64.064,3.883,-64.039,3.881,-63.996,3.93,-63.917,3.95,-63.874,3.95,-63.83,3.933,-63.791,3.93,-63.748,3.947,-63.672,3.935,-63.622,3.876,-63.553,3.854,-63.51,3.867,-63.47,3.94,-63.449,3.969,-63.424,3.972,-63.391,3.959,-63.352,3.921,-63.287,3.886,-63.251,3.807,-63.193,3.763,-63.132,3.638,-63.024,3.599,-62.999,3.57,-62.952,3.56,-62.891,3.577,-62.851,3.596,-62.833,3.597,-62.797,3.66,-62.75,3.7,-62.74,3.742,-62.74,3.822,-62.768,3.847,-62.768,3.899,-62.79,3.965,-62.765,4.006,-62.772,4.035,-62.743,4.043,-62.671,4.031,-62.588,4.038,-62.56,4.126,-62.538,4.139,-62.484,4.175,-62.462,4.183,-62.426,4.173,-62.383,4.095,-62.192,4.09,-62.153,4.105,-62.11,4.16,-62.034,4.166,-61.991,4.146,-61.933,4.149,-61.886,4.176,-61.832,4.232,-61.778,4.252,-61.739,4.252,-61.681,4.242,-61.642,4.252,-61.609,4.249,-61.566,4.263,-61.541,4.298,-61.523,4.374,-61.516,4.403,-61.501,4.42,-61.458,4.418,-61.382,4.433,-61.307,4.469,-61.296,4.509,-61.321,4.524,-61.296,4.516,-61.238,4.494,-61.184,4.492,-61.152,4.507,-61.094,4.518,-61.012,4.534,-60.976,4.573,-60.947,4.637,-60.932,4.7,-60.904,4.712,-60.86,4.756,-60.763,4.784,-60.716,4.818,-60.68,4.901,-60.612,4.95,-60.59,4.997,-60.598,5.171,-60.666,5.188,-60.684,5.201,-60.742,5.213,-60.673,5.206,-60.601,5.188,-60.554,5.196,-60.497,5.174,-60.457,5.206,-60.421,5.208,-60.4,5.193,-60.356,5.206,-60.313,5.257,-60.256,5.264,-60.202,5.227,-60.176,5.244,-60.133,5.232,-60.122,5.157,-60.09,5.141,-60.076,5.087,-59.982,5.058,-59.982,4.997,-60,4.958,-60,4.892,-60.018,4.832,-60.022,4.788,-60.036,4.744,-60.029,4.691,-60.047,4.651,-60.076,4.607,-60.086,4.593,-60.133,4.565,-60.162,4.546,-60.166,4.512,-60.148,4.502,-60.122,4.526,-60.097,4.519,-60.076,4.494,-60.065,4.499,-60.022,4.489,-59.986,4.504,-59.975,4.504,-59.942,4.474,-59.914,4.485,-59.874,4.46,-59.863,4.455,-59.827,4.465,-59.809,4.448,-59.795,4.416,-59.737,4.389,-59.712,4.381,-59.687,4.34,-59.694,4.283,-59.737,4.264,-59.723,4.214,-59.741,4.176,-59.726,4.151,-59.669,4.134,-59.647,4.104,-59.662,4.065,-59.654,4.033,-59.618,3.996,-59.597,3.97,-59.597,3.95,-59.528,3.932,-59.528,3.918,-59.564,3.856,-59.604,3.817,-59.597,3.786,-59.618,3.756,-59.672,3.702,-59.68,3.638,-59.755,3.609,-59.838,3.582,-59.863,3.552,-59.863,3.484,-59.82,3.425,-59.842,3.432,-59.824,3.376,-59.827,3.356,-59.82,3.349,-59.842,3.315,-59.852,3.273,-59.881,3.182,-59.917,3.158,-59.903,3.145,-59.921,3.126,-59.91,3.114,-59.928,3.067,-59.96,3.018,-59.975,2.939,-59.971,2.858,-59.993,2.694,-60,2.613,-59.964,2.596,-59.971,2.555,-59.939,2.523,-59.935,2.459,-59.906,2.405,-59.903,2.388,-59.914,2.359,-59.903,2.326,-59.845,2.292,-59.802,2.289,-59.762,2.263,-59.741,2.153,-59.744,2.113,-59.734,2.086,-59.752,2.022,-59.737,1.963,-59.744,1.932,-59.762,1.861,-59.759,1.851,-59.748,1.858,-59.705,1.839,-59.647,1.787,-59.665,1.765,-59.683,1.726,-59.651,1.72,-59.608,1.728,-59.572,1.703,-59.532,1.657,-59.503,1.601,-59.446,1.566,-59.428,1.552,-59.399,1.524,-59.381,1.525,-59.338,1.473,-59.32,1.453,-59.294,1.387,-59.258,1.356,-59.179,1.328,-59.01,1.313,-58.97,1.284,-58.927,1.218,-58.898,1.198,-58.873,1.186,-58.834,1.201,-58.772,1.232,-58.736,1.272,-58.708,1.282,-58.682,1.272,-58.582,1.287,-58.556,1.267,-58.52,1.316,-58.488,1.358,-58.481,1.439,-58.513,1.458,-58.499,1.471,-58.412,1.49,-58.387,1.53,-58.391,1.554,-58.351,1.593,-58.333,1.601,-58.319,1.566,-58.283,1.556,-58.218,1.568,-58.186,1.559,-58.171,1.519,-58.15,1.508,-58.07,1.517,-58.027,1.586,-57.988,1.635,-57.991,1.657,-57.984,1.642,-57.923,1.669,-57.872,1.704,-57.79,1.711,-57.725,1.696,-57.638,1.709,-57.563,1.731,-57.53,1.816,-57.466,1.9,-57.43,1.926,-57.383,1.969,-57.343,1.975,-57.296,1.949,-57.239,2.002,-57.152,2.022,-57.106,1.996,-57.073,1.947,-57.055,1.919,-57.012,1.919,-56.922,1.885,-56.879,1.873,-56.807,1.878,-56.782,1.914,-56.738,1.912,-56.684,1.937,-56.641,1.934,-56.62,1.905,-56.576,1.942,-56.483,1.922,-56.429,1.929,-56.368,1.919,-56.328,1.895,-56.292,1.885,-56.26,1.888,-56.209,1.872,-56.144,1.846,-56.083,1.833,-56.018,1.853,-55.954,1.887,-55.921,1.922,-55.918,2.007,-55.925,2.037,-55.914,2.062,-55.925,2.091,-55.961,2.145,-56.004,2.164,-56.033,2.224,-56.054,2.241,-56.072,2.248,-56.134,2.256,-56.148,2.304,-56.134,2.349,-56.105,2.341,-56.062,2.354,-56.044,2.417,-56.008,2.461,-56.008,2.522,-55.99,2.528,-55.946,2.471,-55.871,2.446,-55.784,2.41,-55.756,2.397,-55.723,2.417,-55.644,2.434,-55.608,2.437,-55.511,2.43,-55.399,2.442,-55.37,2.495,-55.356,2.511,-55.338,2.52,-55.302,2.5,-55.277,2.498,-55.252,2.559,-55.172,2.562,-55.136,2.533,-55.136,2.528,-55.111,2.545,-55.075,2.577,-55.039,2.608,-54.978,2.599,-54.953,2.566,-54.978,2.544,-54.978,2.447,-54.881,2.434,-54.841,2.466,-54.758,2.451,-54.708,2.397,-54.697,2.376,-54.715,2.324,-54.704,2.316,-54.672,2.326,-54.614,2.316,-54.564,2.282,-54.528,2.268,-54.546,2.214,-54.478,2.196,-54.373,2.155,-54.316,2.148,-54.265,2.162,-54.19,2.121,-54.157,2.115,-54.11,2.189,-54.071,2.181,-54.02,2.191,-54.013,2.223,-53.945,2.27,-53.934,2.265,-53.902,2.305,-53.866,2.311,-53.83,2.354,-53.801,2.365,-53.747,2.349,-53.736,2.312,-53.75,2.307,-53.714,2.278,-53.646,2.27,-53.578,2.246,-53.531,2.258,-53.462,2.285,-53.426,2.299,-53.39,2.349,-53.344,2.339,-53.322,2.304,-53.297,2.251,-53.236,2.204,-53.279,2.196,-53.254,2.219,-53.131,2.213,-53.092,2.186,-53.063,2.175,-52.958,2.214,-52.901,2.26,-52.879,2.292,-52.818,2.359,-52.706,2.39,-52.678,2.43,-52.656,2.464,-52.62,2.505,-52.591,2.586,-52.552,2.638,-52.573,2.66,-52.541,2.69,-52.534,2.864,-52.454,2.898,-52.408,2.942,-52.418,3.065,-52.35,3.109,-52.361,3.151,-52.357,3.178,-52.321,3.226,-52.3,3.243,-52.278,3.243,-52.253,3.26,-52.228,3.481,-52.094,3.506,-52.094,3.516,-52.073,3.557,-52.055,3.619,-52.012,3.705,-51.99,3.734,-51.94,3.773,-51.94,3.796,-51.9,3.891,-51.817,3.981,-51.785,4.002,-51.76,4.04,-51.684,4.442,-51.515,1.833,-50.492,1.664,-49.909,1.174,-49.887,-0.128,-51.252,-1.703,-52.249,-1.129,-50.957,-1.803,-50.662,-1.948,-49.232,-1.386,-48.642,-1.612,-48.501,-0.661,-48.037,-0.717,-46.809,-1.107,-46.323,-1.43,-45.063,-2.635,-44.016,-2.347,-43.31,-2.835,-42.241,-2.848,-39.987,-3.697,-38.479,-4.912,-37.183,-5.123,-36.56,-5.145,-35.509,-5.484,-35.261,-7.159,-34.796,-7.905,-34.811,-9.194,-35.304,-10.502,-36.409,-10.773,-36.902,-12.642,-38.051,-13.022,-38.511,-12.571,-38.699,-13.441,-39.069,-14.655,-39.066,-15.853,-38.861,-17.162,-39.21,-17.711,-39.149,-18.518,-39.725,-19.416,-39.71,-20.864,-40.758,-21.524,-41.071,-21.948,-40.967,-22.535,-41.967,-22.954,-42.057,-23.108,-44.7,-23.653,-45.434,-24.009,-46.406,-24.756,-47.634,-25.622,-48.433,-26.385,-48.642,-27.861,-48.566,-28.611,-48.815,-29.443,-49.812,-30.461,-50.316,-30.183,-51.238,-31.081,-51.443,-31.311,-51.929,-33.102,-52.62,-33.741,-53.38,-33.742,-53.412,-33.697,-53.441,-33.688,-53.455,-33.69,-53.513,-33.649,-53.538,-33.56,-53.538,-33.394,-53.513,-33.244,-53.534,-33.172,-53.538,-33.099,-53.513,-33.067,-53.484,-33.042,-53.448,-32.974,-53.326,-32.962,-53.315,-32.89,-53.3,-32.864,-53.272,-32.822,-53.203,-32.778,-53.164,-32.741,-53.113,-32.707,-53.12,-32.646,-53.185,-32.608,-53.268,-32.608,-53.3,-32.581,-53.358,-32.564,-53.416,-32.508,-53.473,-32.471,-53.538,-32.388,-53.61,-32.369,-53.635,-32.339,-53.65,-32.288,-53.653,-32.226,-53.671,-32.162,-53.722,-32.104,-53.75,-32.069,-53.75,-32.047,-53.772,-32.037,-53.83,-32.011,-53.873,-31.959,-53.905,-31.932,-53.966,-31.93,-53.999,-31.898,-54.031,-31.88,-54.067,-31.883,-54.107,-31.908,-54.136,-31.897,-54.168,-31.856,-54.218,-31.824,-54.276,-31.77,-54.344,-31.714,-54.402,-31.672,-54.463,-31.642,-54.478,-31.601,-54.478,-31.566,-54.496,-31.517,-54.564,-31.459,-54.604,-31.456,-54.654,-31.436,-54.82,-31.407,-54.877,-31.382,-54.899,-31.366,-54.942,-31.312,-54.996,-31.269,-55.028,-31.272,-55.043,-31.306,-55.061,-31.326,-55.086,-31.314,-55.122,-31.277,-55.169,-31.245,-55.244,-31.211,-55.27,-31.154,-55.295,-31.135,-55.327,-31.108,-55.345,-31.056,-55.352,-30.966,-55.442,-30.905,-55.511,-30.877,-55.565,-30.843,-55.612,-30.862,-55.651,-30.939,-55.651,-30.949,-55.666,-30.943,-55.712,-30.958,-55.745,-31.008,-55.763,-31.076,-55.864,-31.083,-55.918,-31.083,-56.011,-31.068,-56.022,-30.912,-56.011,-30.885,-55.993,-30.857,-55.99,-30.797,-56.011,-30.752,-56.076,-30.672,-56.13,-30.645,-56.17,-30.615,-56.184,-30.566,-56.234,-30.551,-56.267,-30.509,-56.328,-30.477,-56.386,-30.409,-56.44,-30.367,-56.512,-30.296,-56.587,-30.284,-56.63,-30.233,-56.641,-30.161,-56.767,-30.124,-56.796,-30.102,-56.832,-30.108,-56.908,-30.097,-56.954,-30.105,-57.019,-30.115,-57.037,-30.107,-57.077,-30.151,-57.131,-30.183,-57.152,-30.238,-57.163,-30.287,-57.214,-30.293,-57.246,-30.276,-57.271,-30.291,-57.289,-30.272,-57.336,-30.277,-57.368,-30.299,-57.401,-30.269,-57.444,-30.277,-57.512,-30.257,-57.566,-30.205,-57.588,-30.183,-57.613]],
+    [[-13.395,-38.943,-13.395,-38.943,-13.395,-38.943,-13.395,-38.943]],
+    [[-12.926,-38.616,-12.926,-38.616,-12.926,-38.616,-12.926,-38.616]],
+    [[-2.808,-44.498,-2.808,-44.498,-2.808,-44.498,-2.808,-44.498]],
+    [[-2.705,-42.043,-2.705,-42.043,-2.705,-42.043,-2.705,-42.043]],
+    [[-2.252,-43.627,-2.252,-43.627,-2.252,-43.627,-2.252,-43.627]],
+    [[-1.759,-49.286,-1.759,-49.286,-1.759,-49.286,-1.759,-49.286]],
+    [[-1.273,-44.891,-1.273,-44.891,-1.273,-44.891,-1.273,-44.891]],
+    [[-1.067,-48.339,-1.067,-48.339,-1.067,-48.339,-1.067,-48.339]],
+    [[-0.82,-48.195,-0.82,-48.195,-0.82,-48.195,-0.82,-48.195]],
+    [[-0.641,-47.947,-0.641,-47.947,-0.641,-47.947,-0.641,-47.947]],
+    [[-0.621,-50.82,-0.621,-50.82,-0.621,-50.82,-0.621,-50.82]],
+    [[-0.579,-47.659,-0.579,-47.659,-0.579,-47.659,-0.579,-47.659]],
+    [[-0.614,-51.187,-1.45,-51.785,-0.665,-51.562,-0.614,-51.187]],
+    [[-0.14,-51.166,-0.14,-51.166,-0.14,-51.166,-0.14,-51.166]],
+    [[-0.577,-48.462,-1.443,-48.84,-1.82,-49.808,-1.764,-50.608,-1.35,-50.813,-0.265,-50.654,-0.106,-50.37,-0.271,-48.393,-0.577,-48.462]],
+    [[-0.292,-50.975,-0.292,-50.975,-0.292,-50.975,-0.292,-50.975]],
+    [[-0.102,-49.833,-0.102,-49.833,-0.102,-49.833,-0.102,-49.833]],
+    [[0.071,-50.633,0.071,-50.633,0.071,-50.633,0.071,-50.633]],
+    [[0.306,-50.089,0.306,-50.089,0.306,-50.089,0.306,-50.089]],
+    [[0.299,-50.035,0.299,-50.035,0.299,-50.035,0.299,-50.035]],
+    [[0.245,-50.377,0.245,-50.377,0.245,-50.377,0.245,-50.377]],
+    [[0.414,-50.312,0.414,-50.312,0.414,-50.312,0.414,-50.312]],
+    [[0.75,-50.201,0.75,-50.201,0.75,-50.201,0.75,-50.201]],
+    [[0.923,-50.064,0.923,-50.064,0.923,-50.064,0.923,-50.064]],
+    [[2.111,-50.453,2.111,-50.453,2.111,-50.453,2.111,-50.453]],
+    [[2.147,-50.543,2.147,-50.543,2.147,-50.543,2.147,-50.543]],
+    [[-20.585,-29.338,-20.585,-29.338,-20.585,-29.338,-20.585,-29.338]],
+    [[-20.519,-28.885,-20.519,-28.885,-20.519,-28.885,-20.519,-28.885]],
+    [[-27.405,-48.433,-27.405,-48.433,-27.405,-48.433,-27.405,-48.433]],
+    [[-26.341,-48.545,-26.341,-48.545,-26.341,-48.545,-26.341,-48.545]],
+    [[-24.702,-47.519,-24.702,-47.519,-24.702,-47.519,-24.702,-47.519]],
+    [[-23.927,-46.327,-23.927,-46.327,-23.927,-46.327,-23.927,-46.327]],
+    [[-23.906,-45.215,-23.906,-45.215,-23.906,-45.215,-23.906,-45.215]],
+    [[-23.15,-44.102,-23.15,-44.102,-23.15,-44.102,-23.15,-44.102]],
+    [[-3.838,-32.402,-3.838,-32.402,-3.838,-32.402,-3.838,-32.402]],
+    [[0.885,-29.407,0.885,-29.407,0.885,-29.407,0.885,-29.407]],
+    [[-25.384,-48.321,-25.384,-48.321,-25.384,-48.321,-25.384,-48.321]],
+    [[-7.698,-34.854,-7.698,-34.854,-7.698,-34.854,-7.698,-34.854]],
+    [[-2.693,-42.23,-2.693,-42.23,-2.693,-42.23,-2.693,-42.23]],
+    [[-2.455,-43.832,-2.455,-43.832,-2.455,-43.832,-2.455,-43.832]],
+    [[-2.362,-43.566,-2.362,-43.566,-2.362,-43.566,-2.362,-43.566]],
+    [[-1.656,-49.481,-1.656,-49.481,-1.656,-49.481,-1.656,-49.481]],
+  ],
+  AU: [
+    [[-31.606,131.536,-31.574,130.158,-31.708,128.93,-32.273,127.288,-32.233,126.187,-33.121,124.117,-33.938,123.526,-34.019,122.093,-33.82,122.007,-33.923,120.02,-34.494,119.354,-34.453,118.839,-34.901,118.4,-35.051,116.639,-34.364,115.12,-33.521,114.987,-33.595,115.433,-32.628,115.765,-31.648,115.682,-30.215,114.976,-29.48,114.98,-28.108,114.166,-27.316,114.011,-26.397,113.299,-26.448,114.105,-25.841,114.26,-24.458,113.399,-23.076,113.806,-22.562,113.651,-21.792,114.159,-22.478,114.112,-21.843,114.645,-21.502,115.48,-20.858,116.189,-20.62,117.831,-19.634,120.956,-18.452,121.823,-18.15,122.324,-17.262,122.173,-16.58,122.961,-17.518,123.555,-16.333,123.713,-16.338,124.412,-15.523,124.39,-14.545,125.589,-14.639,125.909,-13.971,126.431,-13.724,126.953,-14.699,128.174,-14.943,129.61,-14.408,129.358,-12.941,130.129,-12.058,131.277,-12.297,131.493,-12.14,132.717,-11.331,132.912,-11.858,133.524,-11.715,133.801,-12.26,135.072,-12.431,136.058,-11.943,136.45,-12.289,136.926,-13.059,136.566,-13.326,135.885,-14.195,135.91,-14.948,135.471,-15.916,136.706,-16.252,137.746,-16.678,138.153,-16.916,139.039,-17.348,139.273,-17.706,140,-17.441,140.846,-16.061,141.433,-15.011,141.667,-13.949,141.487,-10.93,142.174,-10.752,142.617,-12.329,143.078,-12.613,143.434,-13.75,143.532,-14.511,143.942,-14.244,144.45,-14.943,145.346,-16.443,145.4,-17.633,146.149,-18.236,146.008,-18.874,146.275,-19.828,147.682,-20.053,148.561,-20.556,148.654,-21.09,149.23,-22.495,149.662,-22.142,150.055,-22.714,150.829,-23.158,150.764,-24.006,151.441,-24.155,151.902,-25.934,153.205,-27.045,153.205,-28.644,153.623,-30.735,152.989,-31.483,152.935,-32.442,152.539,-32.864,151.833,-34.33,150.926,-35.179,150.761,-35.894,150.152,-36.929,149.904,-37.496,149.986,-37.786,149.479,-37.824,148.305,-38.08,147.589,-38.81,146.476,-38.531,145.375,-37.883,144.964,-38.859,143.535,-38.367,142.398,-38.386,141.372,-37.916,140.396,-37.18,139.741,-36.621,139.852,-35.694,139.244,-35.37,139.352,-35.672,138.2,-34.74,138.535,-34.129,138.078,-35.179,137.685,-35.294,136.875,-34.918,137.448,-34.156,137.451,-33.139,138.038,-33.139,137.451,-33.653,137.224,-34.073,136.371,-34.874,135.824,-34.644,135.406,-33.352,134.812,-33.205,134.334,-32.457,134.15,-31.956,132.796,-32.018,132.195,-31.606,131.536]],
+    [[-15.09,128.159,-15.09,128.159,-15.09,128.159,-15.09,128.159]],
+    [[-14.957,128.415,-14.957,128.415,-14.957,128.415,-14.957,128.415]],
+    [[-14.847,129.632,-14.847,129.632,-14.847,129.632,-14.847,129.632]],
+    [[-14.798,129.535,-14.798,129.535,-14.798,129.535,-14.798,129.535]],
+    [[-13.874,126.5,-13.874,126.5,-13.874,126.5,-13.874,126.5]],
+    [[-12.058,134.884,-12.058,134.884,-12.058,134.884,-12.058,134.884]],
+    [[-12.027,134.964,-12.027,134.964,-12.027,134.964,-12.027,134.964]],
+    [[-11.929,135.122,-11.929,135.122,-11.929,135.122,-11.929,135.122]],
+    [[-11.592,133.408,-11.592,133.408,-11.592,133.408,-11.592,133.408]],
+    [[-11.455,133.477,-11.455,133.477,-11.455,133.477,-11.455,133.477]],
+    [[-43.23,147.999,-42.911,147.358,-43.612,146.926,-43.553,146.023,-42.915,145.472,-41.413,144.748,-40.704,144.691,-41.155,146.214,-41.008,147.445,-40.736,147.985,-41.292,148.334,-42.545,147.888,-43.23,147.999]],
+    [[-54.51,158.893,-54.51,158.893,-54.51,158.893,-54.51,158.893]],
+    [[-43.34,147.337,-43.34,147.337,-43.34,147.337,-43.34,147.337]],
+    [[-43.131,147.402,-43.131,147.402,-43.131,147.402,-43.131,147.402]],
+    [[-42.604,148.143,-42.604,148.143,-42.604,148.143,-42.604,148.143]],
+    [[-42.305,148.298,-42.305,148.298,-42.305,148.298,-42.305,148.298]],
+    [[-40.669,145.015,-40.669,145.015,-40.669,145.015,-40.669,145.015]],
+    [[-40.524,148.114,-40.524,148.114,-40.524,148.114,-40.524,148.114]],
+    [[-40.421,144.792,-40.421,144.792,-40.421,144.792,-40.421,144.792]],
+    [[-40.47,144.9,-40.47,144.9,-40.47,144.9,-40.47,144.9]],
+    [[-40.373,148.431,-40.373,148.431,-40.373,148.431,-40.373,148.431]],
+    [[-40.15,148.014,-40.15,148.014,-40.15,148.014,-40.15,148.014]],
+    [[-39.894,144.104,-39.894,144.104,-39.894,144.104,-39.894,144.104]],
+    [[-38.756,146.628,-38.756,146.628,-38.756,146.628,-38.756,146.628]],
+    [[-38.509,145.335,-38.509,145.335,-38.509,145.335,-38.509,145.335]],
+    [[-38.317,145.443,-38.317,145.443,-38.317,145.443,-38.317,145.443]],
+    [[-35.816,138.128,-36.083,137.458,-36.062,136.717,-35.769,136.58,-35.583,137.336,-35.816,138.128]],
+    [[-35.149,136.447,-35.149,136.447,-35.149,136.447,-35.149,136.447]],
+    [[-35.012,136.173,-35.012,136.173,-35.012,136.173,-35.012,136.173]],
+    [[-34.472,137.368,-34.472,137.368,-34.472,137.368,-34.472,137.368]],
+    [[-33.712,134.546,-33.712,134.546,-33.712,134.546,-33.712,134.546]],
+    [[-32.321,133.567,-32.321,133.567,-32.321,133.567,-32.321,133.567]],
+    [[-31.518,159.044,-31.518,159.044,-31.518,159.044,-31.518,159.044]],
+    [[-27.415,153.486,-27.415,153.486,-27.415,153.486,-27.415,153.486]],
+    [[-27.339,153.41,-27.339,153.41,-27.339,153.41,-27.339,153.41]],
+    [[-26.068,113.216,-26.068,113.216,-26.068,113.216,-26.068,113.216]],
+    [[-25.269,152.964,-25.269,152.964,-25.269,152.964,-25.269,152.964]],
+    [[-25.262,113.057,-25.262,113.057,-25.262,113.057,-25.262,113.057]],
+    [[-24.926,113.151,-24.926,113.151,-24.926,113.151,-24.926,113.151]],
+    [[-24.989,153.371,-25.798,153.054,-25.183,153.039,-24.989,153.371]],
+    [[-23.82,151.373,-23.82,151.373,-23.82,151.373,-23.82,151.373]],
+    [[-23.667,151.268,-23.667,151.268,-23.667,151.268,-23.667,151.268]],
+    [[-22.341,149.727,-22.341,149.727,-22.341,149.727,-22.341,149.727]],
+    [[-22.275,150.537,-22.275,150.537,-22.275,150.537,-22.275,150.537]],
+    [[-22.042,149.918,-22.042,149.918,-22.042,149.918,-22.042,149.918]],
+    [[-21.742,150.293,-21.742,150.293,-21.742,150.293,-21.742,150.293]],
+    [[-21.679,150.3,-21.679,150.3,-21.679,150.3,-21.679,150.3]],
+    [[-20.73,115.466,-20.73,115.466,-20.73,115.466,-20.73,115.466]],
+    [[-20.418,149.094,-20.418,149.094,-20.418,149.094,-20.418,149.094]],
+    [[-20.315,149.068,-20.315,149.068,-20.315,149.068,-20.315,149.068]],
+    [[-20.144,148.957,-20.144,148.957,-20.144,148.957,-20.144,148.957]],
+    [[-19.965,148.449,-19.965,148.449,-19.965,148.449,-19.965,148.449]],
+    [[-19.116,146.862,-19.116,146.862,-19.116,146.862,-19.116,146.862]],
+    [[-18.383,146.318,-18.383,146.318,-18.383,146.318,-18.383,146.318]],
+    [[-17.039,139.561,-17.039,139.561,-17.039,139.561,-17.039,139.561]],
+    [[-16.828,139.089,-16.828,139.089,-16.828,139.089,-16.828,139.089]],
+    [[-16.443,139.734,-16.443,139.734,-16.443,139.734,-16.443,139.734]],
+    [[-15.663,136.67,-15.663,136.67,-15.663,136.67,-15.663,136.67]],
+    [[-15.642,136.8,-15.642,136.8,-15.642,136.8,-15.642,136.8]],
+    [[-15.75,137.077,-15.75,137.077,-15.75,137.077,-15.75,137.077]],
+    [[-15.539,136.616,-15.539,136.616,-15.539,136.616,-15.539,136.616]],
+    [[-15.587,136.897,-15.587,136.897,-15.587,136.897,-15.587,136.897]],
+    [[-15.254,124.419,-15.254,124.419,-15.254,124.419,-15.254,124.419]],
+    [[-15.333,124.577,-15.333,124.577,-15.333,124.577,-15.333,124.577]],
+    [[-14.974,124.927,-14.974,124.927,-14.974,124.927,-14.974,124.927]],
+    [[-14.867,135.766,-14.867,135.766,-14.867,135.766,-14.867,135.766]],
+    [[-14.471,125.197,-14.471,125.197,-14.471,125.197,-14.471,125.197]],
+    [[-13.819,136.807,-13.819,136.807,-13.819,136.807,-13.819,136.807]],
+    [[-13.706,136.288,-13.706,136.288,-13.706,136.288,-13.706,136.288]],
+    [[-14.182,136.951,-14.195,136.425,-13.648,136.717,-14.182,136.951]],
+    [[-13.435,136.137,-13.435,136.137,-13.435,136.137,-13.435,136.137]],
+    [[-12.076,136.818,-12.076,136.818,-12.076,136.818,-12.076,136.818]],
+    [[-12.071,132.386,-12.071,132.386,-12.071,132.386,-12.071,132.386]],
+    [[-11.977,136.292,-11.977,136.292,-11.977,136.292,-11.977,136.292]],
+    [[-11.894,136.465,-11.894,136.465,-11.894,136.465,-11.894,136.465]],
+    [[-11.745,136.605,-11.745,136.605,-11.745,136.605,-11.745,136.605]],
+    [[-11.706,135.957,-11.706,135.957,-11.706,135.957,-11.706,135.957]],
+    [[-11.647,132.62,-11.647,132.62,-11.647,132.62,-11.647,132.62]],
+    [[-11.509,136.422,-11.509,136.422,-11.509,136.422,-11.509,136.422]],
+    [[-11.705,130.536,-11.705,130.536,-11.705,130.536,-11.705,130.536]],
+    [[-11.413,131.536,-11.926,130.978,-11.386,130.723,-11.413,131.536]],
+    [[-11.039,136.764,-11.039,136.764,-11.039,136.764,-11.039,136.764]],
+    [[-11.159,132.49,-11.159,132.49,-11.159,132.49,-11.159,132.49]],
+    [[-10.666,142.254,-10.666,142.254,-10.666,142.254,-10.666,142.254]],
+    [[-10.578,142.261,-10.578,142.261,-10.578,142.261,-10.578,142.261]],
+    [[-10.139,142.293,-10.139,142.293,-10.139,142.293,-10.139,142.293]],
+    [[-10.08,142.189,-10.08,142.189,-10.08,142.189,-10.08,142.189]],
+    [[-32.15,115.66,-32.15,115.66,-32.15,115.66,-32.15,115.66]],
+    [[-31.996,115.491,-31.996,115.491,-31.996,115.491,-31.996,115.491]],
+    [[-28.452,113.68,-28.452,113.68,-28.452,113.68,-28.452,113.68]],
+    [[-18.746,146.653,-18.746,146.653,-18.746,146.653,-18.746,146.653]],
+    [[-9.369,142.754,-9.369,142.754,-9.369,142.754,-9.369,142.754]],
+    [[-9.239,142.207,-9.239,142.207,-9.239,142.207,-9.239,142.207]],
+    [[-12.429,123.598,-12.429,123.598,-12.429,123.598,-12.429,123.598]],
+  ],
+  NZ: [
+    [[-50.864,166.136,-50.864,166.136,-50.864,166.136,-50.864,166.136]],
+    [[-52.521,169.25,-52.521,169.25,-52.521,169.25,-52.521,169.25]],
+    [[-50.601,166.244,-50.601,166.244,-50.601,166.244,-50.601,166.244]],
+    [[-49.628,178.841,-49.628,178.841,-49.628,178.841,-49.628,178.841]],
+    [[-44.249,-176.144,-44.249,-176.144,-44.249,-176.144,-44.249,-176.144]],
+    [[-43.899,-176.382,-43.899,-176.382,-43.899,-176.382,-43.899,-176.382]],
+    [[-29.279,-177.908,-29.279,-177.908,-29.279,-177.908,-29.279,-177.908]],
+    [[-9.356,-171.191,-9.356,-171.191,-9.356,-171.191,-9.356,-171.191]],
+    [[-8.566,-172.487,-8.566,-172.487,-8.566,-172.487,-8.566,-172.487]],
+    [[-47.994,166.637,-47.994,166.637,-47.994,166.637,-47.994,166.637]],
+    [[-47.232,167.418,-47.232,167.418,-47.232,167.418,-47.232,167.418]],
+    [[-46.785,167.709,-46.785,167.709,-46.785,167.709,-46.785,167.709]],
+    [[-46.733,168.591,-46.733,168.591,-46.733,168.591,-46.733,168.591]],
+    [[-47.048,168.199,-47.273,167.522,-46.684,167.922,-47.048,168.199]],
+    [[-45.616,166.712,-45.616,166.712,-45.616,166.712,-45.616,166.712]],
+    [[-45.164,166.975,-45.164,166.975,-45.164,166.975,-45.164,166.975]],
+    [[-41.106,174.38,-41.106,174.38,-41.106,174.38,-41.106,174.38]],
+    [[-40.907,173.783,-40.907,173.783,-40.907,173.783,-40.907,173.783]],
+    [[-43.279,172.75,-43.647,173.066,-43.737,172.418,-44.279,171.346,-44.926,171.194,-45.729,170.626,-46.579,169.635,-46.602,168.419,-46.189,167.699,-46.219,166.763,-45.807,166.489,-44.949,167.202,-44.119,168.339,-43.566,169.733,-42.592,171.122,-41.831,171.49,-41.665,171.857,-40.887,172.105,-40.517,172.757,-41.302,173.214,-40.925,173.855,-41.027,174.319,-41.755,174.287,-42.96,173.279,-43.279,172.75]],
+    [[-36.741,175.169,-36.741,175.169,-36.741,175.169,-36.741,175.169]],
+    [[-36.625,175.849,-36.625,175.849,-36.625,175.849,-36.625,175.849]],
+    [[-36.392,174.852,-36.392,174.852,-36.392,174.852,-36.392,174.852]],
+    [[-36.176,175.133,-36.176,175.133,-36.176,175.133,-36.176,175.133]],
+    [[-36.282,175.54,-36.282,175.54,-36.282,175.54,-36.282,175.54]],
+    [[-39.607,176.954,-39.668,177.12,-41.246,175.968,-41.609,175.331,-41.256,174.6,-40.674,175.14,-39.916,174.967,-39.394,173.783,-38.84,174.578,-37.781,174.866,-36.761,174.409,-36.228,174.51,-36.268,174.024,-35.22,173.099,-34.48,172.674,-34.845,173.164,-35.2,174.352,-36.824,174.82,-37.228,175.601,-36.718,175.853,-37.624,176.17,-37.977,177.437,-37.55,178.031,-37.7,178.567,-38.531,178.301,-39.097,177.865,-39.2,177.066,-39.607,176.954]],
+  ],
+};
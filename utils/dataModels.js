@@ -4,7 +4,7 @@ import { VERIFICATION_STATUS, QR_CONFIG } from './constants';
 
 /**
  * QR Code Data Model
- * Represents the structure of QR code data with security features
+ * Represents the structure of signed QR code data with security features
  */
 export class QRCodeData {
   constructor({
@@ -13,20 +13,24 @@ export class QRCodeData {
     verificationHash,
     expiresAt,
     blockchainTxId = null,
-    encryptedData,
+    signature,
+    keyId = null,
     generatedAt = new Date(),
     version = QR_CONFIG.VERSION,
-    securityLevel = 'high'
+    securityLevel = 'high',
+    disclosureProfile = null
   }) {
     this.qrString = qrString;
     this.userId = userId;
     this.verificationHash = verificationHash;
     this.expiresAt = new Date(expiresAt);
     this.blockchainTxId = blockchainTxId;
-    this.encryptedData = encryptedData;
+    this.signature = signature;
+    this.keyId = keyId;
     this.generatedAt = new Date(generatedAt);
     this.version = version;
     this.securityLevel = securityLevel;
+    this.disclosureProfile = disclosureProfile;
   }
 
   // Check if QR code is expired
@@ -57,10 +61,12 @@ export class QRCodeData {
       verificationHash: this.verificationHash,
       expiresAt: this.expiresAt.toISOString(),
       blockchainTxId: this.blockchainTxId,
-      encryptedData: this.encryptedData,
+      signature: this.signature,
+      keyId: this.keyId,
       generatedAt: this.generatedAt.toISOString(),
       version: this.version,
-      securityLevel: this.securityLevel
+      securityLevel: this.securityLevel,
+      disclosureProfile: this.disclosureProfile
     };
   }
 
@@ -74,6 +80,84 @@ export class QRCodeData {
   }
 }
 
+/**
+ * Medical Profile Data Model
+ * Medical ID kept encrypted on the device; shared with emergency contacts and
+ * medical QR scans only with the user's consent
+ */
+export class MedicalProfile {
+  constructor({
+    bloodType = '',
+    allergies = '',
+    medications = '',
+    conditions = '',
+    insurance = {},
+    doctor = {},
+    showOnLockScreen = false,
+    updatedAt = new Date()
+  } = {}) {
+    this.bloodType = bloodType ? bloodType.trim().toUpperCase() : '';
+    this.allergies = allergies || '';
+    this.medications = medications || '';
+    this.conditions = conditions || '';
+    this.insurance = {
+      provider: insurance?.provider || '',
+      policyNumber: insurance?.policyNumber || '',
+      phoneNumber: insurance?.phoneNumber || ''
+    };
+    this.doctor = {
+      name: doctor?.name || '',
+      phoneNumber: doctor?.phoneNumber || ''
+    };
+    this.showOnLockScreen = showOnLockScreen;
+    this.updatedAt = new Date(updatedAt);
+  }
+
+  // Check if nothing worth showing has been filled in
+  isEmpty() {
+    return ![
+      this.bloodType,
+      this.allergies,
+      this.medications,
+      this.conditions,
+      this.insurance.policyNumber,
+      this.doctor.phoneNumber
+    ].some(value => value && value.trim());
+  }
+
+  // Short lines for emergency messages, most critical first
+  getSummaryLines() {
+    return [
+      this.bloodType && `Blood group: ${this.bloodType}`,
+      this.allergies && `Allergies: ${this.allergies}`,
+      this.conditions && `Conditions: ${this.conditions}`,
+      this.medications && `Medications: ${this.medications}`,
+      this.doctor.phoneNumber && `Doctor: ${[this.doctor.name, this.doctor.phoneNumber].filter(Boolean).join(', ')}`,
+      this.insurance.policyNumber && `Insurance: ${[this.insurance.provider, this.insurance.policyNumber, this.insurance.phoneNumber].filter(Boolean).join(', ')}`
+    ].filter(Boolean);
+  }
+
+  toJSON() {
+    return {
+      bloodType: this.bloodType,
+      allergies: this.allergies,
+      medications: this.medications,
+      conditions: this.conditions,
+      insurance: { ...this.insurance },
+      doctor: { ...this.doctor },
+      showOnLockScreen: this.showOnLockScreen,
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+
+  static fromJSON(json) {
+    return new MedicalProfile({
+      ...json,
+      updatedAt: new Date(json.updatedAt)
+    });
+  }
+}
+
 /**
  * Tourist User Data Model
  * Represents the complete tourist user profile
@@ -101,7 +185,7 @@ export class TouristUser {
     this.passportNumber = passportNumber;
     this.phoneNumber = phoneNumber;
     this.emergencyContacts = emergencyContacts;
-    this.medicalInfo = medicalInfo;
+    this.medicalInfo = medicalInfo instanceof MedicalProfile ? medicalInfo : new MedicalProfile(medicalInfo || {});
     this.verificationStatus = verificationStatus;
     this.preferences = preferences;
     this.profilePhotoUrl = profilePhotoUrl;
@@ -136,7 +220,7 @@ export class TouristUser {
       passportNumber: this.passportNumber,
       phoneNumber: this.phoneNumber,
       emergencyContacts: this.emergencyContacts,
-      medicalInfo: this.medicalInfo,
+      medicalInfo: this.medicalInfo.toJSON(),
       verificationStatus: this.verificationStatus,
       preferences: this.preferences,
       profilePhotoUrl: this.profilePhotoUrl,
@@ -247,19 +331,26 @@ export class BlockchainTransaction {
     timestamp = new Date(),
     blockNumber = null,
     status = 'pending',
-    confirmations = 0
+    confirmations = 0,
+    leafHash = null,
+    treeSize = null,
+    rootHash = null
   }) {
     this.txId = txId;
     this.userId = userId;
     this.qrHash = qrHash;
     this.timestamp = new Date(timestamp);
-    this.blockNumber = blockNumber;
-    this.status = status;
-    this.confirmations = confirmations;
+    this.blockNumber = blockNumber; // Leaf index in the verification ledger
+    this.status = status; // 'pending' | 'confirmed' | 'invalid'
+    this.confirmations = confirmations; // Ledger entries appended since (inclusive)
+    this.leafHash = leafHash;
+    this.treeSize = treeSize;
+    this.rootHash = rootHash;
   }
 
+  // Confirmed once an inclusion proof against a tree head has been checked
   isConfirmed() {
-    return this.status === 'confirmed' && this.confirmations >= 6;
+    return this.status === 'confirmed' && !!this.rootHash;
   }
 
   toJSON() {
@@ -270,7 +361,10 @@ export class BlockchainTransaction {
       timestamp: this.timestamp.toISOString(),
       blockNumber: this.blockNumber,
       status: this.status,
-      confirmations: this.confirmations
+      confirmations: this.confirmations,
+      leafHash: this.leafHash,
+      treeSize: this.treeSize,
+      rootHash: this.rootHash
     };
   }
 
@@ -289,6 +383,7 @@ export class QRVerificationResult {
   constructor({
     isValid,
     isExpired = false,
+    isRevoked = false,
     userData = null,
     verificationHash = null,
     blockchainVerified = false,
@@ -297,6 +392,7 @@ export class QRVerificationResult {
   }) {
     this.isValid = isValid;
     this.isExpired = isExpired;
+    this.isRevoked = isRevoked;
     this.userData = userData;
     this.verificationHash = verificationHash;
     this.blockchainVerified = blockchainVerified;
@@ -308,6 +404,7 @@ export class QRVerificationResult {
     return {
       isValid: this.isValid,
       isExpired: this.isExpired,
+      isRevoked: this.isRevoked,
       userData: this.userData,
       verificationHash: this.verificationHash,
       blockchainVerified: this.blockchainVerified,
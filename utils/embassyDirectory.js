@@ -0,0 +1,371 @@
+// Bundled embassies and consulates, used offline and until the first directory
+// sync. `country` is the country the mission represents (ISO 3166-1 alpha-2),
+// `hostCountry` the one it is in. The version is the newest `updatedAt` the data
+// includes, so a sync only has to fetch entries changed after it.
+
+export const EMBASSY_DIRECTORY_VERSION = Date.UTC(2026, 9, 1);
+
+export const MISSION_TYPES = {
+  EMBASSY: 'embassy',
+  HIGH_COMMISSION: 'high_commission',
+  CONSULATE: 'consulate'
+};
+
+export const EMBASSIES = [
+  // Missions in India
+  {
+    id: 'us-new-delhi',
+    country: 'US',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.EMBASSY,
+    name: 'U.S. Embassy New Delhi',
+    city: 'New Delhi',
+    address: 'Shantipath, Chanakyapuri, New Delhi 110021',
+    phone: '+91-11-2419-8000',
+    hours: 'Mon–Fri 08:00–17:00',
+    latitude: 28.5977,
+    longitude: 77.1866
+  },
+  {
+    id: 'us-mumbai',
+    country: 'US',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.CONSULATE,
+    name: 'U.S. Consulate General Mumbai',
+    city: 'Mumbai',
+    address: 'C-49, G-Block, Bandra Kurla Complex, Mumbai 400051',
+    phone: '+91-22-6672-4000',
+    hours: 'Mon–Fri 08:30–17:30',
+    latitude: 19.0674,
+    longitude: 72.8697
+  },
+  {
+    id: 'us-chennai',
+    country: 'US',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.CONSULATE,
+    name: 'U.S. Consulate General Chennai',
+    city: 'Chennai',
+    address: '220 Anna Salai, Gemini Circle, Chennai 600006',
+    phone: '+91-44-2857-4000',
+    hours: 'Mon–Fri 08:30–17:00',
+    latitude: 13.0524,
+    longitude: 80.2508
+  },
+  {
+    id: 'us-kolkata',
+    country: 'US',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.CONSULATE,
+    name: 'U.S. Consulate General Kolkata',
+    city: 'Kolkata',
+    address: '5/1 Ho Chi Minh Sarani, Kolkata 700071',
+    phone: '+91-33-3984-2400',
+    hours: 'Mon–Fri 08:30–17:00',
+    latitude: 22.5466,
+    longitude: 88.3514
+  },
+  {
+    id: 'us-hyderabad',
+    country: 'US',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.CONSULATE,
+    name: 'U.S. Consulate General Hyderabad',
+    city: 'Hyderabad',
+    address: 'Survey No. 115/1, Nanakramguda, Hyderabad 500032',
+    phone: '+91-40-6932-8000',
+    hours: 'Mon–Fri 08:30–17:00',
+    latitude: 17.424,
+    longitude: 78.337
+  },
+  {
+    id: 'gb-new-delhi',
+    country: 'GB',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.HIGH_COMMISSION,
+    name: 'British High Commission New Delhi',
+    city: 'New Delhi',
+    address: 'Shantipath, Chanakyapuri, New Delhi 110021',
+    phone: '+91-11-2419-2100',
+    hours: 'Mon–Thu 09:00–17:00, Fri 09:00–14:00',
+    latitude: 28.597,
+    longitude: 77.188
+  },
+  {
+    id: 'gb-mumbai',
+    country: 'GB',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.CONSULATE,
+    name: 'British Deputy High Commission Mumbai',
+    city: 'Mumbai',
+    address: 'Naman Chambers, C-32, G-Block, Bandra Kurla Complex, Mumbai 400051',
+    phone: '+91-22-6650-2222',
+    hours: 'Mon–Thu 08:30–16:30, Fri 08:30–13:30',
+    latitude: 19.064,
+    longitude: 72.865
+  },
+  {
+    id: 'gb-chennai',
+    country: 'GB',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.CONSULATE,
+    name: 'British Deputy High Commission Chennai',
+    city: 'Chennai',
+    address: '20 Anderson Road, Chennai 600006',
+    phone: '+91-44-4219-2151',
+    hours: 'Mon–Thu 08:30–16:30, Fri 08:30–13:30',
+    latitude: 13.06,
+    longitude: 80.25
+  },
+  {
+    id: 'au-new-delhi',
+    country: 'AU',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.HIGH_COMMISSION,
+    name: 'Australian High Commission New Delhi',
+    city: 'New Delhi',
+    address: '1/50 G Shantipath, Chanakyapuri, New Delhi 110021',
+    phone: '+91-11-4139-9900',
+    hours: 'Mon–Fri 08:45–17:00',
+    latitude: 28.596,
+    longitude: 77.186
+  },
+  {
+    id: 'au-mumbai',
+    country: 'AU',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.CONSULATE,
+    name: 'Australian Consulate-General Mumbai',
+    city: 'Mumbai',
+    address: 'Level 10, A Wing, Crescenzo Building, Bandra Kurla Complex, Mumbai 400051',
+    phone: '+91-22-6757-4900',
+    hours: 'Mon–Fri 09:00–17:00',
+    latitude: 19.066,
+    longitude: 72.868
+  },
+  {
+    id: 'ca-new-delhi',
+    country: 'CA',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.HIGH_COMMISSION,
+    name: 'High Commission of Canada New Delhi',
+    city: 'New Delhi',
+    address: '7/8 Shantipath, Chanakyapuri, New Delhi 110021',
+    phone: '+91-11-4178-2000',
+    hours: 'Mon–Fri 09:00–17:00',
+    latitude: 28.598,
+    longitude: 77.189
+  },
+  {
+    id: 'nz-new-delhi',
+    country: 'NZ',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.HIGH_COMMISSION,
+    name: 'New Zealand High Commission New Delhi',
+    city: 'New Delhi',
+    address: 'Sir Edmund Hillary Marg, Chanakyapuri, New Delhi 110021',
+    phone: '+91-11-4688-3170',
+    hours: 'Mon–Fri 09:00–17:00',
+    latitude: 28.595,
+    longitude: 77.182
+  },
+  {
+    id: 'ie-new-delhi',
+    country: 'IE',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.EMBASSY,
+    name: 'Embassy of Ireland New Delhi',
+    city: 'New Delhi',
+    address: 'C-17 Malcha Marg, Chanakyapuri, New Delhi 110021',
+    phone: '+91-11-4940-3200',
+    hours: 'Mon–Fri 09:30–17:30',
+    latitude: 28.593,
+    longitude: 77.196
+  },
+  {
+    id: 'fr-new-delhi',
+    country: 'FR',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.EMBASSY,
+    name: 'Embassy of France New Delhi',
+    city: 'New Delhi',
+    address: '2/50-E Shantipath, Chanakyapuri, New Delhi 110021',
+    phone: '+91-11-4319-6100',
+    hours: 'Mon–Fri 09:00–17:30',
+    latitude: 28.594,
+    longitude: 77.187
+  },
+  {
+    id: 'de-new-delhi',
+    country: 'DE',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.EMBASSY,
+    name: 'Embassy of Germany New Delhi',
+    city: 'New Delhi',
+    address: '6/50G Shantipath, Chanakyapuri, New Delhi 110021',
+    phone: '+91-11-4419-9199',
+    hours: 'Mon–Fri 08:30–17:00',
+    latitude: 28.5965,
+    longitude: 77.1875
+  },
+  {
+    id: 'jp-new-delhi',
+    country: 'JP',
+    hostCountry: 'IN',
+    type: MISSION_TYPES.EMBASSY,
+    name: 'Embassy of Japan New Delhi',
+    city: 'New Delhi',
+    address: '50-G Shantipath, Chanakyapuri, New Delhi 110021',
+    phone: '+91-11-4610-4610',
+    hours: 'Mon–Fri 09:00–17:30',
+    latitude: 28.5955,
+    longitude: 77.188
+  },
+
+  // Missions in neighbouring destinations
+  {
+    id: 'us-kathmandu',
+    country: 'US',
+    hostCountry: 'NP',
+    type: MISSION_TYPES.EMBASSY,
+    name: 'U.S. Embassy Kathmandu',
+    city: 'Kathmandu',
+    address: 'Maharajgunj, Kathmandu',
+    phone: '+977-1-423-4000',
+    hours: 'Mon–Fri 08:00–17:00',
+    latitude: 27.736,
+    longitude: 85.33
+  },
+  {
+    id: 'gb-kathmandu',
+    country: 'GB',
+    hostCountry: 'NP',
+    type: MISSION_TYPES.EMBASSY,
+    name: 'British Embassy Kathmandu',
+    city: 'Kathmandu',
+    address: 'Lainchaur, Kathmandu',
+    phone: '+977-1-423-7100',
+    hours: 'Mon–Thu 08:15–16:30, Fri 08:15–13:15',
+    latitude: 27.717,
+    longitude: 85.315
+  },
+  {
+    id: 'us-bangkok',
+    country: 'US',
+    hostCountry: 'TH',
+    type: MISSION_TYPES.EMBASSY,
+    name: 'U.S. Embassy Bangkok',
+    city: 'Bangkok',
+    address: '95 Wireless Road, Lumpini, Bangkok 10330',
+    phone: '+66-2-205-4000',
+    hours: 'Mon–Fri 07:30–16:30',
+    latitude: 13.738,
+    longitude: 100.548
+  },
+  {
+    id: 'gb-bangkok',
+    country: 'GB',
+    hostCountry: 'TH',
+    type: MISSION_TYPES.EMBASSY,
+    name: 'British Embassy Bangkok',
+    city: 'Bangkok',
+    address: 'AIA Sathorn Tower, 11/1 South Sathorn Road, Bangkok 10120',
+    phone: '+66-2-305-8333',
+    hours: 'Mon–Thu 08:00–16:30, Fri 08:00–13:00',
+    latitude: 13.7233,
+    longitude: 100.5375
+  },
+
+  // Indian missions, for Indian nationals travelling abroad
+  {
+    id: 'in-kathmandu',
+    country: 'IN',
+    hostCountry: 'NP',
+    type: MISSION_TYPES.EMBASSY,
+    name: 'Embassy of India Kathmandu',
+    city: 'Kathmandu',
+    address: '336 Kapurdhara Marg, Kathmandu',
+    phone: '+977-1-441-0900',
+    hours: 'Mon–Fri 09:00–17:30',
+    latitude: 27.722,
+    longitude: 85.327
+  },
+  {
+    id: 'in-bangkok',
+    country: 'IN',
+    hostCountry: 'TH',
+    type: MISSION_TYPES.EMBASSY,
+    name: 'Embassy of India Bangkok',
+    city: 'Bangkok',
+    address: '46 Soi Prasarnmitr, Sukhumvit 23, Bangkok 10110',
+    phone: '+66-2-258-0300',
+    hours: 'Mon–Fri 09:00–17:30',
+    latitude: 13.739,
+    longitude: 100.564
+  },
+  {
+    id: 'in-singapore',
+    country: 'IN',
+    hostCountry: 'SG',
+    type: MISSION_TYPES.HIGH_COMMISSION,
+    name: 'High Commission of India Singapore',
+    city: 'Singapore',
+    address: '31 Grange Road, Singapore 239702',
+    phone: '+65-6737-6777',
+    hours: 'Mon–Fri 09:00–17:30',
+    latitude: 1.304,
+    longitude: 103.833
+  },
+  {
+    id: 'in-abu-dhabi',
+    country: 'IN',
+    hostCountry: 'AE',
+    type: MISSION_TYPES.EMBASSY,
+    name: 'Embassy of India Abu Dhabi',
+    city: 'Abu Dhabi',
+    address: 'Plot No. 10, Sector W-59/02, Diplomatic Area, Abu Dhabi',
+    phone: '+971-2-449-2700',
+    hours: 'Mon–Fri 08:30–17:00',
+    latitude: 24.427,
+    longitude: 54.433
+  },
+  {
+    id: 'in-dubai',
+    country: 'IN',
+    hostCountry: 'AE',
+    type: MISSION_TYPES.CONSULATE,
+    name: 'Consulate General of India Dubai',
+    city: 'Dubai',
+    address: 'Al Hamriya, Diplomatic Enclave, Dubai',
+    phone: '+971-4-397-1222',
+    hours: 'Mon–Fri 08:00–16:30',
+    latitude: 25.267,
+    longitude: 55.309
+  },
+  {
+    id: 'in-london',
+    country: 'IN',
+    hostCountry: 'GB',
+    type: MISSION_TYPES.HIGH_COMMISSION,
+    name: 'High Commission of India London',
+    city: 'London',
+    address: 'India House, Aldwych, London WC2B 4NA',
+    phone: '+44-20-7836-8484',
+    hours: 'Mon–Fri 09:30–17:30',
+    latitude: 51.513,
+    longitude: -0.118
+  },
+  {
+    id: 'in-washington',
+    country: 'IN',
+    hostCountry: 'US',
+    type: MISSION_TYPES.EMBASSY,
+    name: 'Embassy of India Washington, D.C.',
+    city: 'Washington, D.C.',
+    address: '2107 Massachusetts Avenue NW, Washington, DC 20008',
+    phone: '+1-202-939-7000',
+    hours: 'Mon–Fri 09:00–17:30',
+    latitude: 38.911,
+    longitude: -77.047
+  }
+];
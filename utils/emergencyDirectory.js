@@ -0,0 +1,204 @@
+// Bundled emergency number directory. Bump VERSION whenever a number changes so
+// cached lookups are re-resolved against the new data.
+//
+// Offline, countries are found from their outlines in utils/countryBoundaries.js;
+// run scripts/generateCountryBoundaries.js after adding a country.
+// regions override national numbers and are matched on the geocoded region name.
+
+export const EMERGENCY_DIRECTORY_VERSION = '2026.10.1';
+
+export const DEFAULT_COUNTRY_CODE = 'IN';
+
+// 112 is routed to local emergency services by GSM networks in most countries
+export const FALLBACK_NUMBERS = {
+  general: '112',
+  police: '112',
+  ambulance: '112',
+  fire: '112'
+};
+
+export const EMERGENCY_DIRECTORY = {
+  IN: {
+    name: 'India',
+    numbers: {
+      general: '112',
+      police: '100',
+      ambulance: '108',
+      fire: '101',
+      touristPolice: '1363',
+      womenHelpline: '1091',
+      childHelpline: '1098'
+    }
+  },
+  NP: {
+    name: 'Nepal',
+    numbers: { police: '100', ambulance: '102', fire: '101', touristPolice: '1144' }
+  },
+  LK: {
+    name: 'Sri Lanka',
+    numbers: { police: '119', ambulance: '1990', fire: '110', touristPolice: '1912' }
+  },
+  BD: {
+    name: 'Bangladesh',
+    numbers: { general: '999', police: '999', ambulance: '999', fire: '999' }
+  },
+  MV: {
+    name: 'Maldives',
+    numbers: { police: '119', ambulance: '102', fire: '118' }
+  },
+  TH: {
+    name: 'Thailand',
+    numbers: { police: '191', ambulance: '1669', fire: '199', touristPolice: '1155' }
+  },
+  SG: {
+    name: 'Singapore',
+    numbers: { police: '999', ambulance: '995', fire: '995' }
+  },
+  MY: {
+    name: 'Malaysia',
+    numbers: { general: '999', police: '999', ambulance: '999', fire: '994' }
+  },
+  ID: {
+    name: 'Indonesia',
+    numbers: { general: '112', police: '110', ambulance: '118', fire: '113' }
+  },
+  VN: {
+    name: 'Vietnam',
+    numbers: { police: '113', ambulance: '115', fire: '114' }
+  },
+  CN: {
+    name: 'China',
+    numbers: { police: '110', ambulance: '120', fire: '119' }
+  },
+  HK: {
+    name: 'Hong Kong',
+    numbers: { general: '999', police: '999', ambulance: '999', fire: '999' }
+  },
+  JP: {
+    name: 'Japan',
+    numbers: { police: '110', ambulance: '119', fire: '119', touristPolice: '050-3816-2787' }
+  },
+  KR: {
+    name: 'South Korea',
+    numbers: { police: '112', ambulance: '119', fire: '119', touristPolice: '1330' }
+  },
+  AE: {
+    name: 'United Arab Emirates',
+    numbers: { police: '999', ambulance: '998', fire: '997' }
+  },
+  TR: {
+    name: 'Türkiye',
+    numbers: { general: '112', police: '112', ambulance: '112', fire: '112' }
+  },
+  EG: {
+    name: 'Egypt',
+    numbers: { police: '122', ambulance: '123', fire: '180', touristPolice: '126' }
+  },
+  ZA: {
+    name: 'South Africa',
+    numbers: { general: '112', police: '10111', ambulance: '10177', fire: '10177' }
+  },
+  GB: {
+    name: 'United Kingdom',
+    numbers: { general: '999', police: '999', ambulance: '999', fire: '999' }
+  },
+  FR: {
+    name: 'France',
+    numbers: { general: '112', police: '17', ambulance: '15', fire: '18' }
+  },
+  DE: {
+    name: 'Germany',
+    numbers: { general: '112', police: '110', ambulance: '112', fire: '112' }
+  },
+  IT: {
+    name: 'Italy',
+    numbers: { general: '112', police: '113', ambulance: '118', fire: '115' }
+  },
+  ES: {
+    name: 'Spain',
+    numbers: { general: '112', police: '091', ambulance: '061', fire: '112' },
+    regions: {
+      CT: {
+        names: ['Catalonia', 'Cataluña', 'Catalunya'],
+        numbers: { police: '088' }
+      }
+    }
+  },
+  PT: {
+    name: 'Portugal',
+    numbers: { general: '112', police: '112', ambulance: '112', fire: '112' }
+  },
+  NL: {
+    name: 'Netherlands',
+    numbers: { general: '112', police: '112', ambulance: '112', fire: '112' }
+  },
+  CH: {
+    name: 'Switzerland',
+    numbers: { general: '112', police: '117', ambulance: '144', fire: '118' }
+  },
+  AT: {
+    name: 'Austria',
+    numbers: { general: '112', police: '133', ambulance: '144', fire: '122' }
+  },
+  GR: {
+    name: 'Greece',
+    numbers: { general: '112', police: '100', ambulance: '166', fire: '199', touristPolice: '1571' }
+  },
+  US: {
+    name: 'United States',
+    numbers: { general: '911', police: '911', ambulance: '911', fire: '911' }
+  },
+  CA: {
+    name: 'Canada',
+    numbers: { general: '911', police: '911', ambulance: '911', fire: '911' }
+  },
+  MX: {
+    name: 'Mexico',
+    numbers: { general: '911', police: '911', ambulance: '911', fire: '911', touristPolice: '078' }
+  },
+  BR: {
+    name: 'Brazil',
+    numbers: { police: '190', ambulance: '192', fire: '193' }
+  },
+  AU: {
+    name: 'Australia',
+    numbers: { general: '000', police: '000', ambulance: '000', fire: '000' }
+  },
+  NZ: {
+    name: 'New Zealand',
+    numbers: { general: '111', police: '111', ambulance: '111', fire: '111' }
+  }
+};
+
+// 24/7 consular emergency lines, keyed by the traveller's nationality (see
+// utils/nationalities.js for how the profile's free text is matched)
+export const CONSULAR_HOTLINES = {
+  US: {
+    service: 'U.S. Overseas Citizens Services',
+    number: '+1-202-501-4444'
+  },
+  GB: {
+    service: 'UK Foreign, Commonwealth & Development Office',
+    number: '+44-20-7008-5000'
+  },
+  AU: {
+    service: 'Australian Consular Emergency Centre',
+    number: '+61-2-6261-3305'
+  },
+  CA: {
+    service: 'Global Affairs Canada Emergency Watch and Response Centre',
+    number: '+1-613-996-8885'
+  },
+  NZ: {
+    service: 'New Zealand Consular Emergency Line',
+    number: '+64-99-20-20-20'
+  },
+  IE: {
+    service: 'Irish Department of Foreign Affairs',
+    number: '+353-1-408-2000'
+  },
+  FR: {
+    service: 'Centre de crise et de soutien',
+    number: '+33-1-53-59-11-00'
+  }
+};
@@ -97,12 +97,6 @@ export const createTouristUserDoc = async (uid, touristData) => {
     passportNumber: touristData.passportNumber,
     phoneNumber: touristData.phoneNumber,
     emergencyContacts: touristData.emergencyContacts || [],
-    medicalInfo: touristData.medicalInfo || {
-      allergies: '',
-      medications: '',
-      conditions: '',
-      bloodType: ''
-    },
     preferences: touristData.preferences || {
       language: 'en',
       accessibility: {
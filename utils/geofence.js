@@ -0,0 +1,307 @@
+import { SAFETY_LEVELS } from './constants';
+import { calculateDistance } from './helpers';
+
+// Safety zone geometry and a spatial index for matching location fixes to zones.
+// A zone's shape is one of:
+//   coordinates: [{ latitude, longitude }, ...]                            simple polygon
+//   geometry: { type: 'Circle', center: { latitude, longitude }, radius }  radius in metres
+//   geometry: { type: 'Polygon', rings: [outer, ...holes] }
+//   geometry: { type: 'MultiPolygon', polygons: [[outer, ...holes], ...] }
+export const GEOMETRY_TYPES = {
+  CIRCLE: 'Circle',
+  POLYGON: 'Polygon',
+  MULTI_POLYGON: 'MultiPolygon'
+};
+
+// Where zones overlap the highest level wins; zone.priority breaks ties within a level
+export const SAFETY_LEVEL_PRIORITY = {
+  [SAFETY_LEVELS.RESTRICTED]: 3,
+  [SAFETY_LEVELS.CAUTION]: 2,
+  [SAFETY_LEVELS.SAFE]: 1
+};
+
+const METERS_PER_DEGREE = 111320;
+const NODE_CAPACITY = 16;
+const EDGE_TOLERANCE = 1e-12;
+// Index boxes are padded slightly so points the edge test accepts are never filtered out
+const BOUNDS_PADDING = 1e-9;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Longitude difference in [-180, 180), so rings across the antimeridian stay contiguous
+// (values already in range are returned as they are, to keep them exact)
+const wrapLongitude = (delta) => (
+  delta >= -180 && delta < 180 ? delta : ((delta + 540) % 360) - 180
+);
+
+// Zone shape as a circle or a list of polygons ([outer, ...holes]); null if it has none
+export const getZoneGeometry = (zone) => {
+  const geometry = zone?.geometry;
+
+  if (geometry?.type === GEOMETRY_TYPES.CIRCLE && geometry.center && geometry.radius > 0) {
+    return { type: GEOMETRY_TYPES.CIRCLE, center: geometry.center, radius: geometry.radius };
+  }
+  if (geometry?.type === GEOMETRY_TYPES.POLYGON && geometry.rings?.length > 0) {
+    return { type: GEOMETRY_TYPES.MULTI_POLYGON, polygons: [geometry.rings] };
+  }
+  if (geometry?.type === GEOMETRY_TYPES.MULTI_POLYGON && geometry.polygons?.length > 0) {
+    return { type: GEOMETRY_TYPES.MULTI_POLYGON, polygons: geometry.polygons };
+  }
+  if (zone?.coordinates?.length >= 3) {
+    return { type: GEOMETRY_TYPES.MULTI_POLYGON, polygons: [[zone.coordinates]] };
+  }
+  return null;
+};
+
+// Ray casting in a local equirectangular projection centred on the point: longitudes
+// are wrapped and scaled by cos(latitude) instead of being used as planar x/y.
+// Points on an edge count as inside unless includeEdge is false
+export const isPointInRing = (point, ring, includeEdge = true) => {
+  const scale = Math.cos(toRadians(point.latitude));
+  const project = (vertex) => ({
+    x: wrapLongitude(vertex.longitude - point.longitude) * scale,
+    y: vertex.latitude - point.latitude
+  });
+
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = project(ring[i]);
+    const b = project(ring[j]);
+
+    // The point (the origin) lies on segment ab
+    if (Math.abs(a.x * b.y - a.y * b.x) <= EDGE_TOLERANCE && a.x * b.x + a.y * b.y <= 0) {
+      return includeEdge;
+    }
+
+    if ((a.y > 0) !== (b.y > 0) && a.x - a.y * (b.x - a.x) / (b.y - a.y) > 0) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+// Inside the outer ring and not inside any hole; a hole's edge belongs to the polygon
+const isPointInPolygonRings = (point, [outer, ...holes]) => (
+  isPointInRing(point, outer) && !holes.some(hole => isPointInRing(point, hole, false))
+);
+
+export const isPointInGeometry = (point, geometry) => {
+  if (!geometry) {
+    return false;
+  }
+  if (geometry.type === GEOMETRY_TYPES.CIRCLE) {
+    const distance = calculateDistance(
+      point.latitude,
+      point.longitude,
+      geometry.center.latitude,
+      geometry.center.longitude
+    ) * 1000;
+    return distance <= geometry.radius;
+  }
+  return geometry.polygons.some(rings => isPointInPolygonRings(point, rings));
+};
+
+export const isPointInZone = (point, zone) => isPointInGeometry(point, getZoneGeometry(zone));
+
+// Distance in metres from the origin to segment ab (both in projected metres)
+const distanceToSegment = (a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+  return Math.hypot(a.x + t * dx, a.y + t * dy);
+};
+
+// Distance in metres to the nearest border of the shape: negative inside, positive outside.
+// Polygon edges (holes included) are measured in the same local projection as isPointInRing
+export const getSignedDistance = (point, zone) => {
+  const geometry = getZoneGeometry(zone);
+  if (!geometry) {
+    return Infinity;
+  }
+  if (geometry.type === GEOMETRY_TYPES.CIRCLE) {
+    return calculateDistance(
+      point.latitude,
+      point.longitude,
+      geometry.center.latitude,
+      geometry.center.longitude
+    ) * 1000 - geometry.radius;
+  }
+
+  const scale = Math.cos(toRadians(point.latitude)) * METERS_PER_DEGREE;
+  const project = (vertex) => ({
+    x: wrapLongitude(vertex.longitude - point.longitude) * scale,
+    y: (vertex.latitude - point.latitude) * METERS_PER_DEGREE
+  });
+
+  let nearest = Infinity;
+  geometry.polygons.forEach(rings => rings.forEach(ring => {
+    const projected = ring.map(project);
+    for (let i = 0, j = projected.length - 1; i < projected.length; j = i++) {
+      nearest = Math.min(nearest, distanceToSegment(projected[j], projected[i]));
+    }
+  }));
+
+  return isPointInGeometry(point, geometry) ? -nearest : nearest;
+};
+
+// Bounding box in degrees. Longitudes are unwrapped from the first vertex, so a zone
+// across the antimeridian may extend past ±180
+const getGeometryBounds = (geometry) => {
+  if (geometry.type === GEOMETRY_TYPES.CIRCLE) {
+    const { latitude, longitude } = geometry.center;
+    const latDelta = geometry.radius / METERS_PER_DEGREE;
+    const lonDelta = latDelta / Math.max(Math.cos(toRadians(latitude)), 0.01);
+    return {
+      minLat: latitude - latDelta,
+      maxLat: latitude + latDelta,
+      minLon: longitude - lonDelta,
+      maxLon: longitude + lonDelta
+    };
+  }
+
+  const outerRings = geometry.polygons.map(([outer]) => outer);
+  const origin = outerRings[0][0].longitude;
+  const bounds = { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity };
+
+  outerRings.forEach(ring => ring.forEach(({ latitude, longitude }) => {
+    const delta = longitude - origin;
+    const unwrapped = delta >= -180 && delta < 180 ? longitude : origin + wrapLongitude(delta);
+    bounds.minLat = Math.min(bounds.minLat, latitude);
+    bounds.maxLat = Math.max(bounds.maxLat, latitude);
+    bounds.minLon = Math.min(bounds.minLon, unwrapped);
+    bounds.maxLon = Math.max(bounds.maxLon, unwrapped);
+  }));
+
+  return bounds;
+};
+
+export const getZoneBounds = (zone) => {
+  const geometry = getZoneGeometry(zone);
+  return geometry ? getGeometryBounds(geometry) : null;
+};
+
+// Representative point: the circle centre, or the vertex average of the first outer ring
+export const getZoneCenter = (zone) => {
+  const geometry = getZoneGeometry(zone);
+  if (!geometry) {
+    return null;
+  }
+  if (geometry.type === GEOMETRY_TYPES.CIRCLE) {
+    return { latitude: geometry.center.latitude, longitude: geometry.center.longitude };
+  }
+
+  const [outer] = geometry.polygons[0];
+  const origin = outer[0].longitude;
+  const latitude = outer.reduce((sum, vertex) => sum + vertex.latitude, 0) / outer.length;
+  const offset = outer.reduce((sum, vertex) => sum + wrapLongitude(vertex.longitude - origin), 0) / outer.length;
+  return { latitude, longitude: wrapLongitude(origin + offset) };
+};
+
+const unionBounds = (nodes) => nodes.reduce((bounds, { bounds: child }) => ({
+  minLat: Math.min(bounds.minLat, child.minLat),
+  maxLat: Math.max(bounds.maxLat, child.maxLat),
+  minLon: Math.min(bounds.minLon, child.minLon),
+  maxLon: Math.max(bounds.maxLon, child.maxLon)
+}), { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity });
+
+const centerOf = ({ bounds }, axis) => (
+  axis === 'lat' ? (bounds.minLat + bounds.maxLat) / 2 : (bounds.minLon + bounds.maxLon) / 2
+);
+
+// Sort-Tile-Recursive packing: slice by longitude, then group each slice by latitude
+const packLevel = (nodes) => {
+  const parentCount = Math.ceil(nodes.length / NODE_CAPACITY);
+  const sliceSize = Math.ceil(Math.sqrt(parentCount)) * NODE_CAPACITY;
+  const byLongitude = [...nodes].sort((a, b) => centerOf(a, 'lon') - centerOf(b, 'lon'));
+  const parents = [];
+
+  for (let i = 0; i < byLongitude.length; i += sliceSize) {
+    const slice = byLongitude
+      .slice(i, i + sliceSize)
+      .sort((a, b) => centerOf(a, 'lat') - centerOf(b, 'lat'));
+
+    for (let j = 0; j < slice.length; j += NODE_CAPACITY) {
+      const children = slice.slice(j, j + NODE_CAPACITY);
+      parents.push({ bounds: unionBounds(children), children });
+    }
+  }
+
+  return parents;
+};
+
+const containsPoint = (bounds, latitude, longitude) => (
+  latitude >= bounds.minLat && latitude <= bounds.maxLat &&
+  longitude >= bounds.minLon && longitude <= bounds.maxLon
+);
+
+const compareMatches = (a, b) => (
+  (SAFETY_LEVEL_PRIORITY[b.zone.safetyLevel] || 0) - (SAFETY_LEVEL_PRIORITY[a.zone.safetyLevel] || 0) ||
+  (b.zone.priority || 0) - (a.zone.priority || 0) ||
+  a.order - b.order
+);
+
+// Static R-tree over the zones' bounding boxes. Zones without a usable shape are skipped
+export const createGeofenceIndex = (zones = []) => {
+  let level = [];
+  zones.forEach((zone, order) => {
+    const geometry = getZoneGeometry(zone);
+    if (geometry) {
+      const bounds = getGeometryBounds(geometry);
+      level.push({
+        bounds: {
+          minLat: bounds.minLat - BOUNDS_PADDING,
+          maxLat: bounds.maxLat + BOUNDS_PADDING,
+          minLon: bounds.minLon - BOUNDS_PADDING,
+          maxLon: bounds.maxLon + BOUNDS_PADDING
+        },
+        zone,
+        geometry,
+        order
+      });
+    }
+  });
+
+  const size = level.length;
+  if (size === 0) {
+    return { root: null, size };
+  }
+
+  while (level.length > NODE_CAPACITY) {
+    level = packLevel(level);
+  }
+  return { root: { bounds: unionBounds(level), children: level }, size };
+};
+
+// Zones containing the point, highest priority first
+export const queryGeofenceIndex = (index, point) => {
+  if (!index?.root) {
+    return [];
+  }
+
+  const { root } = index;
+  const matches = [];
+  // Also try the point shifted by a full turn to reach zones unwrapped past ±180
+  const longitudes = [point.longitude, point.longitude - 360, point.longitude + 360]
+    .filter(longitude => longitude >= root.bounds.minLon && longitude <= root.bounds.maxLon);
+
+  longitudes.forEach(longitude => {
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!containsPoint(node.bounds, point.latitude, longitude)) {
+        continue;
+      }
+      if (node.children) {
+        stack.push(...node.children);
+      } else if (!matches.includes(node) && isPointInGeometry(point, node.geometry)) {
+        matches.push(node);
+      }
+    }
+  });
+
+  return matches.sort(compareMatches).map(({ zone }) => zone);
+};
@@ -1,3 +1,4 @@
+import { Platform } from 'react-native';
 import { VALIDATION_RULES, ERROR_MESSAGES } from './constants';
 
 // Date and Time Helpers
@@ -238,6 +239,24 @@ export const safeJsonStringify = (object, defaultValue = '{}') => {
   }
 };
 
+// Deterministic JSON (sorted keys) so signatures and hashes are stable across devices
+export const canonicalJsonStringify = (value) => {
+  if (value && typeof value.toJSON === 'function') {
+    return canonicalJsonStringify(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJsonStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJsonStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
 // Performance Helpers
 export const debounce = (func, wait) => {
   let timeout;
@@ -0,0 +1,166 @@
+import { LOCATION_FILTER_CONFIG } from './constants';
+
+// Constant-velocity Kalman filter for GPS tracks. Positions are kept in metres
+// east and north of the track's first fix; both axes share one covariance because
+// the noise is the same in every direction. The state is plain JSON so the
+// background task can persist it between runs:
+//   { origin: { latitude, longitude }, position: [east, north], velocity: [east, north],
+//     covariance: { pp, pv, vv }, timestamp, rejections }
+
+export const FILTER_REJECTIONS = {
+  INVALID: 'invalid',
+  ACCURACY: 'accuracy',
+  STALE: 'stale',
+  OUT_OF_ORDER: 'out_of_order',
+  SPEED: 'implausible_speed',
+  GATE: 'outside_gate'
+};
+
+const METERS_PER_DEGREE = 111320;
+
+const toMillis = (timestamp) => new Date(timestamp).getTime();
+
+const toLocal = (origin, point) => [
+  (point.longitude - origin.longitude) * METERS_PER_DEGREE * Math.cos(origin.latitude * Math.PI / 180),
+  (point.latitude - origin.latitude) * METERS_PER_DEGREE
+];
+
+const toCoordinates = (origin, [east, north]) => ({
+  latitude: origin.latitude + north / METERS_PER_DEGREE,
+  longitude: origin.longitude + east / (METERS_PER_DEGREE * Math.cos(origin.latitude * Math.PI / 180))
+});
+
+const getMeasurementAccuracy = (location, config) => Math.max(
+  config.MIN_ACCURACY_METERS,
+  location.accuracy || config.DEFAULT_ACCURACY_METERS
+);
+
+// Checks that need no track: coordinates in range, usable accuracy, recent enough.
+// Pass now = null to accept old fixes (e.g. deferred background updates)
+export const checkLocation = (location, now = Date.now(), config = LOCATION_FILTER_CONFIG) => {
+  const { latitude, longitude, accuracy, timestamp } = location || {};
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180 ||
+      (latitude === 0 && longitude === 0) || Number.isNaN(toMillis(timestamp))) {
+    return FILTER_REJECTIONS.INVALID;
+  }
+  if (accuracy && accuracy > config.MAX_ACCURACY_METERS) {
+    return FILTER_REJECTIONS.ACCURACY;
+  }
+  if (now !== null && now - toMillis(timestamp) > config.MAX_FIX_AGE_MS) {
+    return FILTER_REJECTIONS.STALE;
+  }
+  return null;
+};
+
+const startTrack = (location, config) => {
+  const accuracy = getMeasurementAccuracy(location, config);
+  return {
+    origin: { latitude: location.latitude, longitude: location.longitude },
+    position: [0, 0],
+    velocity: [0, 0],
+    covariance: { pp: accuracy * accuracy, pv: 0, vv: config.INITIAL_SPEED_STD ** 2 },
+    timestamp: toMillis(location.timestamp),
+    rejections: 0
+  };
+};
+
+// Move the track forward by dt seconds under white-noise acceleration
+const predict = (state, dt, config) => {
+  const { pp, pv, vv } = state.covariance;
+  const q = config.ACCELERATION_NOISE ** 2;
+  return {
+    position: state.position.map((p, axis) => p + state.velocity[axis] * dt),
+    velocity: state.velocity,
+    covariance: {
+      pp: pp + 2 * dt * pv + dt * dt * vv + q * dt ** 4 / 4,
+      pv: pv + dt * vv + q * dt ** 3 / 2,
+      vv: vv + q * dt * dt
+    }
+  };
+};
+
+const toFilteredLocation = (location, state) => {
+  const [ve, vn] = state.velocity;
+  const speed = Math.hypot(ve, vn);
+  return {
+    ...location,
+    ...toCoordinates(state.origin, state.position),
+    accuracy: Math.round(Math.sqrt(state.covariance.pp) * 10) / 10,
+    speed,
+    // Below walking pace the velocity direction is mostly noise
+    heading: speed >= 0.5 ? (Math.atan2(ve, vn) * 180 / Math.PI + 360) % 360 : location.heading ?? null,
+    rawLatitude: location.latitude,
+    rawLongitude: location.longitude,
+    rawAccuracy: location.accuracy ?? null,
+    isFiltered: true
+  };
+};
+
+// Run one fix through the filter. Returns the next state and either the cleaned
+// location or the reason the fix was dropped. After several rejections in a row
+// the track restarts at the new fix, so a real jump (leaving a tunnel, a train)
+// is followed rather than rejected forever
+export const filterLocation = (state, location, { now = Date.now(), config = LOCATION_FILTER_CONFIG } = {}) => {
+  const invalid = checkLocation(location, now, config);
+  if (invalid) {
+    return { state, location: null, rejected: invalid };
+  }
+
+  const timestamp = toMillis(location.timestamp);
+  if (!state || timestamp - state.timestamp > config.RESET_AFTER_MS) {
+    const track = startTrack(location, config);
+    return { state: track, location: toFilteredLocation(location, track), rejected: null };
+  }
+
+  const dt = (timestamp - state.timestamp) / 1000;
+  if (dt <= 0) {
+    return { state, location: null, rejected: FILTER_REJECTIONS.OUT_OF_ORDER };
+  }
+
+  const accuracy = getMeasurementAccuracy(location, config);
+  const measured = toLocal(state.origin, location);
+  const predicted = predict(state, dt, config);
+
+  // Speed plausibility: even giving both the fix and the track their full error,
+  // getting here from the last filtered position must not need an impossible speed
+  const jump = Math.hypot(measured[0] - state.position[0], measured[1] - state.position[1]);
+  const slack = accuracy + Math.sqrt(state.covariance.pp);
+  const isImplausible = (jump - slack) / dt > config.MAX_SPEED_MPS;
+
+  // Innovation gate: distance from the prediction in units of the expected spread
+  const innovation = measured.map((value, axis) => value - predicted.position[axis]);
+  const spread = predicted.covariance.pp + accuracy * accuracy;
+  const isOutsideGate = (innovation[0] ** 2 + innovation[1] ** 2) / spread > config.INNOVATION_GATE;
+
+  if (isImplausible || isOutsideGate) {
+    const rejections = state.rejections + 1;
+    if (rejections < config.MAX_CONSECUTIVE_REJECTIONS) {
+      return {
+        state: { ...state, rejections },
+        location: null,
+        rejected: isImplausible ? FILTER_REJECTIONS.SPEED : FILTER_REJECTIONS.GATE
+      };
+    }
+    const track = startTrack(location, config);
+    return { state: track, location: toFilteredLocation(location, track), rejected: null, restarted: true };
+  }
+
+  const { pp, pv, vv } = predicted.covariance;
+  const positionGain = pp / spread;
+  const velocityGain = pv / spread;
+  const next = {
+    origin: state.origin,
+    position: predicted.position.map((p, axis) => p + positionGain * innovation[axis]),
+    velocity: predicted.velocity.map((v, axis) => v + velocityGain * innovation[axis]),
+    covariance: {
+      pp: (1 - positionGain) * pp,
+      pv: (1 - positionGain) * pv,
+      vv: vv - velocityGain * pv
+    },
+    timestamp,
+    rejections: 0
+  };
+
+  return { state: next, location: toFilteredLocation(location, next), rejected: null };
+};
@@ -0,0 +1,148 @@
+// Slippy-map tile maths and the on-device tile index. The index follows the
+// MBTiles layout (a metadata table plus one row per zoom_level/tile_column/tile_row)
+// as plain JSON:
+//   { metadata: { name, format, minzoom, maxzoom, bounds: [w, s, e, n], attribution },
+//     tiles: { 'z/x/y': { size, usedAt } },
+//     areas: [{ id, name, region, zoomLevels, tileCount, bytes, downloadedAt }],
+//     totalBytes }
+// Tile keys and file paths use XYZ rows, as the map's tile overlays expect
+
+const MAX_LATITUDE = 85.0511; // Web Mercator stops here
+
+const clampTile = (value, zoom) => Math.min(Math.pow(2, zoom) - 1, Math.max(0, value));
+
+export const lon2tile = (lon, zoom) => Math.floor((lon + 180) / 360 * Math.pow(2, zoom));
+
+export const lat2tile = (lat, zoom) => {
+  const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const radians = clamped * Math.PI / 180;
+  return Math.floor((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * Math.pow(2, zoom));
+};
+
+export const tile2lon = (x, zoom) => x / Math.pow(2, zoom) * 360 - 180;
+
+export const tile2lat = (y, zoom) => {
+  const n = Math.PI - 2 * Math.PI * y / Math.pow(2, zoom);
+  return 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+};
+
+export const tileKey = ({ z, x, y }) => `${z}/${x}/${y}`;
+
+export const createTileIndex = () => ({
+  metadata: { name: 'Offline areas', format: 'png', minzoom: null, maxzoom: null, bounds: null, attribution: null },
+  tiles: {},
+  areas: [],
+  totalBytes: 0
+});
+
+export const zoomRange = (minZoom, maxZoom) => (
+  Array.from({ length: maxZoom - minZoom + 1 }, (_, i) => minZoom + i)
+);
+
+// A square region of radiusKm around a point, in the map's region format
+export const regionAround = ({ latitude, longitude }, radiusKm) => {
+  const latitudeDelta = (2 * radiusKm) / 111.32;
+  return {
+    latitude,
+    longitude,
+    latitudeDelta,
+    longitudeDelta: latitudeDelta / Math.max(0.01, Math.cos(latitude * Math.PI / 180))
+  };
+};
+
+export const regionToBounds = ({ latitude, longitude, latitudeDelta, longitudeDelta }) => ({
+  minLat: latitude - latitudeDelta / 2,
+  maxLat: latitude + latitudeDelta / 2,
+  minLon: longitude - longitudeDelta / 2,
+  maxLon: longitude + longitudeDelta / 2
+});
+
+// Tile ranges covering a region at each zoom level
+export const getTileRanges = (region, zoomLevels) => {
+  const bounds = regionToBounds(region);
+  return zoomLevels.map(z => ({
+    z,
+    minX: clampTile(lon2tile(bounds.minLon, z), z),
+    maxX: clampTile(lon2tile(bounds.maxLon, z), z),
+    minY: clampTile(lat2tile(bounds.maxLat, z), z),
+    maxY: clampTile(lat2tile(bounds.minLat, z), z)
+  }));
+};
+
+export const countRegionTiles = (region, zoomLevels) => getTileRanges(region, zoomLevels).reduce(
+  (count, { minX, maxX, minY, maxY }) => count + (maxX - minX + 1) * (maxY - minY + 1),
+  0
+);
+
+// Every tile of a region, lowest zoom first so a partial download still shows the
+// whole area at some detail
+export const listRegionTiles = (region, zoomLevels) => getTileRanges(region, zoomLevels).flatMap(
+  ({ z, minX, maxX, minY, maxY }) => {
+    const tiles = [];
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        tiles.push({ z, x, y });
+      }
+    }
+    return tiles;
+  }
+);
+
+export const getAverageTileBytes = (index, fallback) => {
+  const count = Object.keys(index.tiles).length;
+  return count > 0 ? Math.round(index.totalBytes / count) : fallback;
+};
+
+// Size of downloading a region: tiles already stored cost nothing
+export const estimateRegion = (index, region, zoomLevels, fallbackTileBytes) => {
+  const tiles = listRegionTiles(region, zoomLevels);
+  const stored = tiles.map(tile => index.tiles[tileKey(tile)]).filter(Boolean);
+  const newTiles = tiles.length - stored.length;
+  return {
+    tileCount: tiles.length,
+    newTiles,
+    storedBytes: stored.reduce((sum, tile) => sum + tile.size, 0),
+    estimatedBytes: newTiles * getAverageTileBytes(index, fallbackTileBytes)
+  };
+};
+
+// Least recently used tiles to delete to free bytesToFree, skipping protected keys.
+// Returns the keys and how much they free, which may fall short
+export const selectEvictions = (index, bytesToFree, protectedKeys = new Set()) => {
+  const candidates = Object.entries(index.tiles)
+    .filter(([key]) => !protectedKeys.has(key))
+    .sort(([, a], [, b]) => a.usedAt - b.usedAt);
+
+  const keys = [];
+  let freed = 0;
+  for (const [key, tile] of candidates) {
+    if (freed >= bytesToFree) {
+      break;
+    }
+    keys.push(key);
+    freed += tile.size;
+  }
+  return { keys, freed };
+};
+
+// Keep the MBTiles metadata covering every stored area
+export const describeAreas = (metadata, areas, attribution) => {
+  if (areas.length === 0) {
+    return { ...metadata, minzoom: null, maxzoom: null, bounds: null, attribution: null };
+  }
+
+  const allBounds = areas.map(area => regionToBounds(area.region));
+  const zooms = areas.flatMap(area => area.zoomLevels);
+  return {
+    ...metadata,
+    minzoom: Math.min(...zooms),
+    maxzoom: Math.max(...zooms),
+    bounds: [
+      Math.min(...allBounds.map(b => b.minLon)),
+      Math.min(...allBounds.map(b => b.minLat)),
+      Math.max(...allBounds.map(b => b.maxLon)),
+      Math.max(...allBounds.map(b => b.maxLat))
+    ],
+    attribution
+  };
+};
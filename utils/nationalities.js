@@ -0,0 +1,30 @@
+// Free-text nationality (as typed on the tourist profile) to ISO 3166-1 alpha-2.
+// Matching is case- and accent-insensitive; the code itself also matches.
+export const NATIONALITY_NAMES = {
+  IN: ['india', 'indian'],
+  US: ['united states', 'united states of america', 'usa', 'u.s.', 'u.s.a.', 'america', 'american'],
+  GB: ['united kingdom', 'uk', 'u.k.', 'great britain', 'britain', 'british', 'england', 'english', 'scotland', 'scottish', 'wales', 'welsh'],
+  AU: ['australia', 'australian'],
+  CA: ['canada', 'canadian'],
+  NZ: ['new zealand', 'new zealander', 'kiwi'],
+  IE: ['ireland', 'irish'],
+  FR: ['france', 'french'],
+  DE: ['germany', 'german', 'deutschland'],
+  JP: ['japan', 'japanese']
+};
+
+export const normalizeNationality = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase();
+
+export const getNationalityCode = (nationality) => {
+  const name = normalizeNationality(nationality);
+  if (!name) {
+    return null;
+  }
+  return Object.keys(NATIONALITY_NAMES).find(code =>
+    code.toLowerCase() === name || NATIONALITY_NAMES[code].includes(name)
+  ) || null;
+};
@@ -1,5 +1,6 @@
 import { Alert } from 'react-native';
 import { privacyService } from '../services/privacy/privacyService';
+import { tripHistoryService } from '../services/location/tripHistoryService';
 
 /**
  * Handle permission changes with safety feature protection
@@ -112,8 +113,9 @@ const setupFallbackMechanisms = async (userId, permission, newValue) => {
   if (!newValue) { // Permission was disabled
     switch (permission) {
       case 'locationTracking':
-        // Enable manual location entry mode
+        // Enable manual location entry mode and stop keeping trip history
         await privacyService.updateUserPreference(userId, 'manualLocationMode', true);
+        await tripHistoryService.updateSettings({ enabled: false });
         break;
         
       case 'emergencyContacts':
@@ -128,8 +130,9 @@ const setupFallbackMechanisms = async (userId, permission, newValue) => {
   } else { // Permission was enabled
     switch (permission) {
       case 'locationTracking':
-        // Disable manual location entry mode
+        // Disable manual location entry mode and resume trip history
         await privacyService.updateUserPreference(userId, 'manualLocationMode', false);
+        await tripHistoryService.updateSettings({ enabled: true });
         break;
         
       case 'emergencyContacts':
@@ -199,6 +202,12 @@ export const checkPermissionSafety = (permission, userProfile) => {
       canDisable: true,
       reason: 'Marketing communications do not affect safety features',
       riskLevel: 'none'
+    }),
+
+    medicalDataSharing: () => ({
+      canDisable: true,
+      reason: 'Responders will not see your medical ID unless you show it to them',
+      riskLevel: 'medium'
     })
   };
   
@@ -218,7 +227,7 @@ export const getPermissionInfo = (permission) => {
       description: 'Allows the app to track your location for safety monitoring and emergency response',
       impact: 'Required for geo-fencing, safety zone alerts, and automatic emergency location sharing',
       dataCollected: 'GPS coordinates, movement patterns, visited locations',
-      retention: 'Location data is retained for 90 days for safety analysis'
+      retention: 'Trip history stays on this device for the period you choose (up to 90 days) and is deleted when location tracking is turned off'
     },
     
     emergencyContacts: {
@@ -259,6 +268,14 @@ export const getPermissionInfo = (permission) => {
       impact: 'You will receive notifications about app updates and safety information',
       dataCollected: 'Notification preferences, engagement with communications',
       retention: 'Communication preferences are retained until you opt out'
+    },
+
+    medicalDataSharing: {
+      title: 'Medical ID Sharing',
+      description: 'Adds your medical ID to emergency alerts and lets you share it as a medical QR code',
+      impact: 'Emergency contacts and responders can see your blood group, allergies, medications and conditions',
+      dataCollected: 'Blood group, allergies, medications, conditions, insurance and doctor contact',
+      retention: 'Your medical ID stays encrypted on this device; copies sent in alerts are kept with the emergency record'
     }
   };
   
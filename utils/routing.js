@@ -0,0 +1,327 @@
+import { ROUTING_CONFIG } from './constants';
+import { calculateDistance } from './helpers';
+import { queryGeofenceIndex } from './geofence';
+
+// Walking routes over a road graph. Road data is kept in the compact form it is
+// cached in:
+//   { nodes: { [id]: [latitude, longitude] }, ways: [{ id, nodes: [ids], highway, lit, name }] }
+
+// Roads a pedestrian can use; motorways and trunk roads are left out
+export const WALKABLE_HIGHWAYS = [
+  'footway', 'pedestrian', 'path', 'steps', 'living_street', 'residential', 'service',
+  'unclassified', 'tertiary', 'secondary', 'primary', 'track', 'cycleway'
+];
+
+const metersBetween = (a, b) => calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude) * 1000;
+
+export const isNightTime = (date = new Date()) => {
+  const hour = date.getHours();
+  return hour >= ROUTING_CONFIG.NIGHT_START_HOUR || hour <= ROUTING_CONFIG.NIGHT_END_HOUR;
+};
+
+// Overpass QL for the walkable roads inside a bounding box
+export const buildRoadQuery = ({ minLat, minLon, maxLat, maxLon }) => (
+  `[out:json][timeout:25];way["highway"~"^(${WALKABLE_HIGHWAYS.join('|')})$"]` +
+  `(${minLat},${minLon},${maxLat},${maxLon});(._;>;);out body;`
+);
+
+// Overpass JSON elements to the compact road data form
+export const parseRoadElements = (elements = []) => {
+  const data = { nodes: {}, ways: [] };
+  elements.forEach(element => {
+    if (element.type === 'node') {
+      data.nodes[element.id] = [element.lat, element.lon];
+    } else if (element.type === 'way' && element.nodes?.length > 1) {
+      data.ways.push({
+        id: element.id,
+        nodes: element.nodes,
+        highway: element.tags?.highway || null,
+        lit: element.tags?.lit || null,
+        name: element.tags?.name || null
+      });
+    }
+  });
+  return data;
+};
+
+// Undirected graph: pedestrians may walk one-way streets both ways
+export const buildRoadGraph = (data) => {
+  const nodes = new Map();
+  const edges = new Map();
+
+  const getNode = (id) => {
+    if (!nodes.has(id)) {
+      const [latitude, longitude] = data.nodes[id];
+      nodes.set(id, { id, latitude, longitude });
+      edges.set(id, []);
+    }
+    return nodes.get(id);
+  };
+
+  data.ways.forEach(way => {
+    for (let i = 1; i < way.nodes.length; i++) {
+      const [fromId, toId] = [way.nodes[i - 1], way.nodes[i]];
+      if (!data.nodes[fromId] || !data.nodes[toId] || fromId === toId) {
+        continue;
+      }
+      const from = getNode(fromId);
+      const to = getNode(toId);
+      const distance = metersBetween(from, to);
+      edges.get(fromId).push({ to: toId, distance, way });
+      edges.get(toId).push({ to: fromId, distance, way });
+    }
+  });
+
+  return { nodes, edges };
+};
+
+export const findNearestNode = (graph, point) => {
+  let nearest = null;
+  graph.nodes.forEach(node => {
+    const distance = metersBetween(point, node);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { id: node.id, distance };
+    }
+  });
+  return nearest;
+};
+
+// Binary min-heap of [priority, id]
+const heapPush = (heap, item) => {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= heap[i][0]) {
+      break;
+    }
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+};
+
+const heapPop = (heap) => {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+      if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+      if (smallest === i) {
+        break;
+      }
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+};
+
+// A* search. edgeCost(edge, from, to) must be at least the edge length in metres,
+// which keeps the straight-line heuristic admissible. Returns null if unreachable
+export const findRoute = (graph, startId, goalId, edgeCost = (edge) => edge.distance) => {
+  const goal = graph.nodes.get(goalId);
+  if (!graph.nodes.has(startId) || !goal) {
+    return null;
+  }
+
+  const costs = new Map([[startId, 0]]);
+  const previous = new Map();
+  const closed = new Set();
+  const heap = [[metersBetween(graph.nodes.get(startId), goal), startId]];
+
+  while (heap.length > 0) {
+    const [, id] = heapPop(heap);
+    if (id === goalId) {
+      const nodeIds = [goalId];
+      while (previous.has(nodeIds[0])) {
+        nodeIds.unshift(previous.get(nodeIds[0]));
+      }
+      return { nodeIds, cost: costs.get(goalId) };
+    }
+    if (closed.has(id)) {
+      continue;
+    }
+    closed.add(id);
+
+    const from = graph.nodes.get(id);
+    graph.edges.get(id).forEach(edge => {
+      if (closed.has(edge.to)) {
+        return;
+      }
+      const to = graph.nodes.get(edge.to);
+      const cost = costs.get(id) + edgeCost(edge, from, to);
+      if (cost < (costs.get(edge.to) ?? Infinity)) {
+        costs.set(edge.to, cost);
+        previous.set(edge.to, id);
+        heapPush(heap, [cost + metersBetween(to, goal), edge.to]);
+      }
+    });
+  }
+
+  return null;
+};
+
+// Penalty multiplier (at least 1) for walking past a point: the worst zone level,
+// poor lighting after dark and empty streets, plus unlit roads after dark
+export const getSegmentPenalty = (zones, way, isNight) => {
+  const worst = (table, key) => zones.reduce(
+    (max, zone) => Math.max(max, table[zone[key]] || 1),
+    1
+  );
+
+  let penalty = worst(ROUTING_CONFIG.ZONE_PENALTY, 'safetyLevel') *
+    worst(ROUTING_CONFIG.CROWD_PENALTY, 'crowdLevel');
+  if (isNight) {
+    penalty *= worst(ROUTING_CONFIG.NIGHT_LIGHTING_PENALTY, 'lightingQuality');
+    if (way?.lit === 'no') {
+      penalty *= ROUTING_CONFIG.UNLIT_ROAD_NIGHT_PENALTY;
+    }
+  }
+  return penalty;
+};
+
+const midpoint = (from, to) => ({
+  latitude: (from.latitude + to.latitude) / 2,
+  longitude: (from.longitude + to.longitude) / 2
+});
+
+// Edge cost for the safest route: length times the penalty at the segment's midpoint
+export const createSafetyCost = (zoneIndex, isNight) => {
+  const penalties = new Map();
+  return (edge, from, to) => {
+    const key = from.id < to.id ? `${from.id}:${to.id}` : `${to.id}:${from.id}`;
+    if (!penalties.has(key)) {
+      const zones = queryGeofenceIndex(zoneIndex, midpoint(from, to));
+      penalties.set(key, getSegmentPenalty(zones, edge.way, isNight));
+    }
+    return edge.distance * penalties.get(key);
+  };
+};
+
+// Points, street names per segment, length and metres walked through restricted,
+// caution and unlit-at-night segments
+export const summarizeRoute = (graph, nodeIds, zoneIndex, isNight) => {
+  const points = nodeIds.map(id => {
+    const { latitude, longitude } = graph.nodes.get(id);
+    return { latitude, longitude };
+  });
+  const names = [];
+  const exposure = { restricted: 0, caution: 0, unlitAtNight: 0 };
+  let distance = 0;
+
+  for (let i = 1; i < nodeIds.length; i++) {
+    const from = graph.nodes.get(nodeIds[i - 1]);
+    const to = graph.nodes.get(nodeIds[i]);
+    const edge = graph.edges.get(from.id).find(candidate => candidate.to === to.id);
+    const [zone] = queryGeofenceIndex(zoneIndex, midpoint(from, to));
+
+    distance += edge.distance;
+    names.push(edge.way.name);
+    if (zone && exposure[zone.safetyLevel] !== undefined) {
+      exposure[zone.safetyLevel] += edge.distance;
+    }
+    if (isNight && (edge.way.lit === 'no' || zone?.lightingQuality === 'poor')) {
+      exposure.unlitAtNight += edge.distance;
+    }
+  }
+
+  return {
+    points,
+    names,
+    distance: Math.round(distance),
+    exposure: {
+      restricted: Math.round(exposure.restricted),
+      caution: Math.round(exposure.caution),
+      unlitAtNight: Math.round(exposure.unlitAtNight)
+    }
+  };
+};
+
+// Local projection in metres around an origin, good enough over a walking route
+const toPlane = (origin) => {
+  const scale = Math.cos(origin.latitude * Math.PI / 180);
+  return (point) => ({
+    x: (point.longitude - origin.longitude) * 111320 * scale,
+    y: (point.latitude - origin.latitude) * 111320
+  });
+};
+
+// Distance along the route at each point
+export const measureRoute = (points) => points.reduce((cumulative, point, i) => {
+  cumulative.push(i === 0 ? 0 : cumulative[i - 1] + metersBetween(points[i - 1], point));
+  return cumulative;
+}, []);
+
+// Where a fix is relative to the route: how far off it and how far along it
+export const locateOnRoute = (points, cumulative, location) => {
+  const project = toPlane(location);
+  let best = { distanceFromRoute: Infinity, distanceAlong: 0, segmentIndex: 0 };
+
+  for (let i = 1; i < points.length; i++) {
+    const a = project(points[i - 1]);
+    const b = project(points[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    const distance = Math.hypot(a.x + t * dx, a.y + t * dy);
+
+    if (distance < best.distanceFromRoute) {
+      best = {
+        distanceFromRoute: distance,
+        distanceAlong: cumulative[i - 1] + t * (cumulative[i] - cumulative[i - 1]),
+        segmentIndex: i - 1
+      };
+    }
+  }
+
+  return best;
+};
+
+const bearingBetween = (from, to) => {
+  const { x, y } = toPlane(from)(to);
+  return Math.atan2(x, y) * 180 / Math.PI;
+};
+
+const describeTurn = (angle) => {
+  const side = angle > 0 ? 'right' : 'left';
+  if (Math.abs(angle) >= 120) return `Make a sharp ${side}`;
+  if (Math.abs(angle) >= 60) return `Turn ${side}`;
+  return `Bear ${side}`;
+};
+
+// Turn-by-turn steps: a turn wherever the route bends by at least the configured
+// angle, then the arrival. names[i] is the street of segment i (or null)
+export const buildTurnInstructions = (points, names = [], minTurnDegrees = 35) => {
+  const cumulative = measureRoute(points);
+  const steps = [];
+
+  for (let i = 1; i < points.length - 1; i++) {
+    let angle = bearingBetween(points[i], points[i + 1]) - bearingBetween(points[i - 1], points[i]);
+    angle = ((angle + 540) % 360) - 180;
+    if (Math.abs(angle) >= minTurnDegrees) {
+      const street = names[i];
+      steps.push({
+        index: i,
+        point: points[i],
+        distanceAlong: cumulative[i],
+        text: street ? `${describeTurn(angle)} onto ${street}` : describeTurn(angle)
+      });
+    }
+  }
+
+  const last = points.length - 1;
+  steps.push({
+    index: last,
+    point: points[last],
+    distanceAlong: cumulative[last],
+    text: 'You have arrived'
+  });
+  return steps;
+};
@@ -0,0 +1,316 @@
+import { TRIP_HISTORY_CONFIG, TRIP_SEGMENT_TYPES } from './constants';
+import { calculateDistance } from './helpers';
+
+// Location history as a timeline of trips and stays. Finished segments are plain JSON:
+//   trip: { id, type: 'trip', startTime, endTime, distance, points: [{ latitude, longitude, timestamp, accuracy }] }
+//   stay: { id, type: 'stay', startTime, endTime, center: { latitude, longitude }, radius, fixes }
+// The segment still being recorded ("open") keeps its raw points until it is finished.
+
+const METERS_PER_DEGREE = 111320;
+
+const metersBetween = (a, b) => calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude) * 1000;
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Compact point with a millisecond timestamp, or null for unusable input
+export const toTrackPoint = (location) => {
+  const { latitude, longitude, accuracy } = location || {};
+  const timestamp = new Date(location?.timestamp ?? NaN).getTime();
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Number.isNaN(timestamp)) {
+    return null;
+  }
+
+  const point = { latitude: round(latitude, 6), longitude: round(longitude, 6), timestamp };
+  if (Number.isFinite(accuracy)) {
+    point.accuracy = Math.round(accuracy);
+  }
+  return point;
+};
+
+export const trackDistance = (points) => points.slice(1).reduce(
+  (sum, point, i) => sum + metersBetween(points[i], point),
+  0
+);
+
+// Distance in metres from p to the segment a-b, on a flat projection around a
+const distanceToSegment = (p, a, b) => {
+  const scale = Math.cos(a.latitude * Math.PI / 180);
+  const toLocal = (point) => [
+    (point.longitude - a.longitude) * METERS_PER_DEGREE * scale,
+    (point.latitude - a.latitude) * METERS_PER_DEGREE
+  ];
+  const [px, py] = toLocal(p);
+  const [bx, by] = toLocal(b);
+  const lengthSquared = bx * bx + by * by;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / lengthSquared)) : 0;
+  return Math.hypot(px - t * bx, py - t * by);
+};
+
+// Douglas-Peucker: keep only the points needed to stay within tolerance of the track
+export const simplifyTrack = (points, toleranceMeters = TRIP_HISTORY_CONFIG.SIMPLIFY_TOLERANCE_METERS) => {
+  if (points.length <= 2) {
+    return points.slice();
+  }
+
+  const keep = points.map((_, i) => i === 0 || i === points.length - 1);
+  const ranges = [[0, points.length - 1]];
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+    let farthest = -1;
+    let maxDistance = 0;
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        farthest = i;
+      }
+    }
+    if (maxDistance > toleranceMeters) {
+      keep[farthest] = true;
+      ranges.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
+
+// The anchor is where the user last arrived; staying near it long enough starts a stay
+const startTrip = (points) => {
+  const last = points[points.length - 1];
+  return {
+    type: TRIP_SEGMENT_TYPES.TRIP,
+    points,
+    anchor: { index: points.length - 1, latitude: last.latitude, longitude: last.longitude, timestamp: last.timestamp },
+    lastTimestamp: last.timestamp
+  };
+};
+
+const startStay = (points) => {
+  const center = {
+    latitude: points.reduce((sum, point) => sum + point.latitude, 0) / points.length,
+    longitude: points.reduce((sum, point) => sum + point.longitude, 0) / points.length
+  };
+  return {
+    type: TRIP_SEGMENT_TYPES.STAY,
+    startTime: points[0].timestamp,
+    center,
+    radius: Math.max(...points.map(point => metersBetween(center, point))),
+    fixes: points.length,
+    lastTimestamp: points[points.length - 1].timestamp
+  };
+};
+
+// Running mean keeps a stay constant-size however long it lasts
+const extendStay = (stay, point) => {
+  const fixes = stay.fixes + 1;
+  const center = {
+    latitude: stay.center.latitude + (point.latitude - stay.center.latitude) / fixes,
+    longitude: stay.center.longitude + (point.longitude - stay.center.longitude) / fixes
+  };
+  return {
+    ...stay,
+    center,
+    radius: Math.max(stay.radius, metersBetween(center, point)),
+    fixes,
+    lastTimestamp: point.timestamp
+  };
+};
+
+// A long trip in progress is compressed up to the anchor; the points after it
+// are still needed to detect a stay
+const compactTrip = (trip, config) => {
+  if (trip.points.length <= config.MAX_OPEN_POINTS) {
+    return trip;
+  }
+
+  const settled = simplifyTrack(trip.points.slice(0, trip.anchor.index + 1), config.SIMPLIFY_TOLERANCE_METERS);
+  return {
+    ...trip,
+    points: [...settled, ...trip.points.slice(trip.anchor.index + 1)],
+    anchor: { ...trip.anchor, index: settled.length - 1 }
+  };
+};
+
+// Turn an open segment into a stored one. Trips too short to matter are dropped (null)
+export const finishSegment = (open, config = TRIP_HISTORY_CONFIG) => {
+  if (!open) {
+    return null;
+  }
+
+  if (open.type === TRIP_SEGMENT_TYPES.STAY) {
+    return {
+      id: `${TRIP_SEGMENT_TYPES.STAY}_${open.startTime}`,
+      type: TRIP_SEGMENT_TYPES.STAY,
+      startTime: open.startTime,
+      endTime: open.lastTimestamp,
+      center: { latitude: round(open.center.latitude, 6), longitude: round(open.center.longitude, 6) },
+      radius: Math.round(open.radius),
+      fixes: open.fixes
+    };
+  }
+
+  const distance = trackDistance(open.points);
+  if (open.points.length < 2 || distance < config.MIN_TRIP_METERS) {
+    return null;
+  }
+
+  const startTime = open.points[0].timestamp;
+  return {
+    id: `${TRIP_SEGMENT_TYPES.TRIP}_${startTime}`,
+    type: TRIP_SEGMENT_TYPES.TRIP,
+    startTime,
+    endTime: open.lastTimestamp,
+    distance: Math.round(distance),
+    points: simplifyTrack(open.points, config.SIMPLIFY_TOLERANCE_METERS)
+  };
+};
+
+const finished = (open, config) => {
+  const segment = finishSegment(open, config);
+  return segment ? [segment] : [];
+};
+
+// Add one fix to the open segment. Returns the new open segment and any segments
+// the fix finished. Duplicate and out-of-order fixes leave the open segment as is
+export const appendToTimeline = (open, location, config = TRIP_HISTORY_CONFIG) => {
+  const point = toTrackPoint(location);
+  if (!point || (open && point.timestamp <= open.lastTimestamp)) {
+    return { open, closed: [] };
+  }
+
+  if (!open || point.timestamp - open.lastTimestamp > config.MAX_GAP_MS) {
+    return { open: startTrip([point]), closed: finished(open, config) };
+  }
+
+  if (open.type === TRIP_SEGMENT_TYPES.STAY) {
+    if (metersBetween(open.center, point) <= config.STAY_RADIUS_METERS) {
+      return { open: extendStay(open, point), closed: [] };
+    }
+    // Leaving: the trip starts where the stay was
+    const departure = { ...open.center, timestamp: open.lastTimestamp };
+    return { open: startTrip([departure, point]), closed: finished(open, config) };
+  }
+
+  const points = [...open.points, point];
+  if (metersBetween(open.anchor, point) > config.STAY_RADIUS_METERS) {
+    return { open: compactTrip(startTrip(points), config), closed: [] };
+  }
+
+  if (point.timestamp - open.anchor.timestamp < config.STAY_MIN_DURATION_MS) {
+    return { open: compactTrip({ ...open, points, lastTimestamp: point.timestamp }, config), closed: [] };
+  }
+
+  // Settled: the trip ends where the stay began
+  return {
+    open: startStay(points.slice(open.anchor.index)),
+    closed: finished(startTrip(points.slice(0, open.anchor.index + 1)), config)
+  };
+};
+
+// Append finished segments to the stored list (oldest first). A stay that follows
+// another stay at the same place, with only a dropped trip between them, extends it
+export const addSegments = (segments, closed, config = TRIP_HISTORY_CONFIG) => closed.reduce((list, segment) => {
+  const previous = list[list.length - 1];
+  if (previous?.type === TRIP_SEGMENT_TYPES.STAY && segment.type === TRIP_SEGMENT_TYPES.STAY &&
+      metersBetween(previous.center, segment.center) <= config.STAY_RADIUS_METERS) {
+    return [
+      ...list.slice(0, -1),
+      {
+        ...previous,
+        endTime: segment.endTime,
+        radius: Math.max(previous.radius, segment.radius),
+        fixes: previous.fixes + segment.fixes
+      }
+    ];
+  }
+  return [...list, segment];
+}, segments);
+
+// Split a list of locations in any order into finished segments, oldest first
+export const segmentHistory = (locations, config = TRIP_HISTORY_CONFIG) => {
+  const points = locations.map(toTrackPoint).filter(Boolean).sort((a, b) => a.timestamp - b.timestamp);
+  let segments = [];
+  let open = null;
+  points.forEach(point => {
+    const result = appendToTimeline(open, point, config);
+    open = result.open;
+    segments = addSegments(segments, result.closed, config);
+  });
+  return addSegments(segments, finished(open, config), config);
+};
+
+const toISO = (timestamp) => new Date(timestamp).toISOString();
+
+const escapeXML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// GPX 1.1: stays as waypoints, each trip as a track
+export const toGPX = (segments, { name = 'Trip history' } = {}) => {
+  const stays = segments.filter(segment => segment.type === TRIP_SEGMENT_TYPES.STAY);
+  const trips = segments.filter(segment => segment.type === TRIP_SEGMENT_TYPES.TRIP);
+
+  const waypoints = stays.map(stay => [
+    `  <wpt lat="${stay.center.latitude}" lon="${stay.center.longitude}">`,
+    `    <time>${toISO(stay.startTime)}</time>`,
+    '    <name>Stay</name>',
+    `    <desc>${toISO(stay.startTime)} to ${toISO(stay.endTime)}, within ${stay.radius} m</desc>`,
+    '  </wpt>'
+  ].join('\n'));
+
+  const tracks = trips.map(trip => [
+    '  <trk>',
+    `    <name>Trip ${toISO(trip.startTime)}</name>`,
+    '    <trkseg>',
+    ...trip.points.map(point => (
+      `      <trkpt lat="${point.latitude}" lon="${point.longitude}"><time>${toISO(point.timestamp)}</time></trkpt>`
+    )),
+    '    </trkseg>',
+    '  </trk>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Tourist Safety" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXML(name)}</name></metadata>`,
+    ...waypoints,
+    ...tracks,
+    '</gpx>',
+    ''
+  ].join('\n');
+};
+
+// GeoJSON FeatureCollection: trips as LineStrings with per-point times, stays as Points
+export const toGeoJSON = (segments) => ({
+  type: 'FeatureCollection',
+  features: segments.map(segment => {
+    const properties = {
+      type: segment.type,
+      startTime: toISO(segment.startTime),
+      endTime: toISO(segment.endTime)
+    };
+
+    if (segment.type === TRIP_SEGMENT_TYPES.STAY) {
+      return {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [segment.center.longitude, segment.center.latitude] },
+        properties: { ...properties, radius: segment.radius }
+      };
+    }
+
+    return {
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: segment.points.map(point => [point.longitude, point.latitude])
+      },
+      properties: {
+        ...properties,
+        distance: segment.distance,
+        coordTimes: segment.points.map(point => toISO(point.timestamp))
+      }
+    };
+  })
+});